@@ -0,0 +1,171 @@
+// Mock the database and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Address: {
+    findOne: jest.fn(),
+    count: jest.fn(),
+    create: jest.fn(),
+    update: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  Checkout: {
+    count: jest.fn()
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Address, Checkout } = require('../database/models');
+const AddressService = require('../services/AddressService');
+const { createCheckoutSessionSchema } = require('../validation/checkoutSchemas');
+
+/**
+ * Build an address book entry double
+ */
+const buildAddress = (overrides = {}) => {
+  const address = {
+    id: 42,
+    label: 'Home',
+    name: 'John Doe',
+    line1: '123 Main St',
+    city: 'New York',
+    postal_code: '10001',
+    country: 'US',
+    is_default_shipping: true,
+    is_default_billing: false,
+    ...overrides
+  };
+  address.getSnapshot = () => ({ name: address.name, line1: address.line1, city: address.city, postal_code: address.postal_code, country: address.country });
+  address.getBookEntry = () => ({ id: address.id });
+  address.update = jest.fn(async (values) => Object.assign(address, values));
+  address.destroy = jest.fn();
+  return address;
+};
+
+describe('AddressService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Address.sequelize.transaction.mockResolvedValue(mockTransaction);
+    Address.create.mockImplementation(async values => buildAddress({ id: 43, ...values }));
+  });
+
+  it('makes the first saved address the default for shipping and billing', async () => {
+    Address.count.mockResolvedValue(0);
+
+    await AddressService.createAddress(5, { name: 'John Doe', country: 'US' });
+
+    expect(Address.create).toHaveBeenCalledWith(expect.objectContaining({
+      user_id: 5,
+      in_address_book: true,
+      is_default_shipping: true,
+      is_default_billing: true
+    }), { transaction: mockTransaction });
+    expect(Address.update).toHaveBeenCalledWith({ is_default_shipping: false }, {
+      where: { user_id: 5, is_default_shipping: true },
+      transaction: mockTransaction
+    });
+  });
+
+  it('archives a deleted address that a checkout points to', async () => {
+    const address = buildAddress();
+    Address.findOne.mockResolvedValue(address);
+    Checkout.count.mockResolvedValue(1);
+
+    const result = await AddressService.deleteAddress(5, 42);
+
+    expect(result).toEqual({ archived: true });
+    expect(address.destroy).not.toHaveBeenCalled();
+    expect(address.update).toHaveBeenCalledWith(expect.objectContaining({
+      archived_at: expect.any(Date),
+      is_default_shipping: false
+    }), { transaction: mockTransaction });
+  });
+
+  it('deletes an address no checkout has used', async () => {
+    const address = buildAddress();
+    Address.findOne.mockResolvedValue(address);
+    Checkout.count.mockResolvedValue(0);
+
+    const result = await AddressService.deleteAddress(5, 42);
+
+    expect(result).toEqual({ archived: false });
+    expect(address.destroy).toHaveBeenCalledWith({ transaction: mockTransaction });
+  });
+
+  it('saves changes to a used address as a new address and keeps the old one', async () => {
+    const address = buildAddress();
+    Address.findOne.mockResolvedValue(address);
+    Checkout.count.mockResolvedValue(2);
+
+    const result = await AddressService.updateAddress(5, 42, { line1: '9 Elm St' });
+
+    expect(result).toEqual({ id: 43 });
+    expect(address.update).toHaveBeenCalledWith(expect.objectContaining({ archived_at: expect.any(Date) }), { transaction: mockTransaction });
+    expect(Address.create).toHaveBeenCalledWith(expect.objectContaining({
+      line1: '9 Elm St',
+      city: 'New York',
+      label: 'Home',
+      is_default_shipping: true
+    }), { transaction: mockTransaction });
+  });
+
+  it('refuses saved addresses for guests', async () => {
+    await expect(AddressService.findForCheckout(null, 42, mockTransaction))
+      .rejects.toThrow('Sign in to use a saved address');
+    expect(Address.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('Address validation', () => {
+  const address = {
+    name: 'John Doe',
+    phone: '(415) 555-0123',
+    email: 'john@example.com',
+    line1: '123 Main St',
+    city: 'San Francisco',
+    state: 'california',
+    postal_code: '941051234',
+    country: 'US'
+  };
+
+  it('stores postal codes, states and phone numbers normalised', () => {
+    const { error, value } = createCheckoutSessionSchema.validate({
+      cart_id: 1,
+      shipping_address: address,
+      billing_address: { ...address, country: 'GB', state: 'London', postal_code: 'sw1a1aa', phone: '020 7946 0958' },
+      shipping_method: 'standard'
+    });
+
+    expect(error).toBeUndefined();
+    expect(value.shipping_address).toMatchObject({ state: 'CA', postal_code: '94105-1234', phone: '+14155550123' });
+    expect(value.billing_address).toMatchObject({ postal_code: 'SW1A 1AA', phone: '+442079460958' });
+  });
+
+  it('reports each field that breaks its country rules', () => {
+    const { error } = createCheckoutSessionSchema.validate({
+      cart_id: 1,
+      shipping_address: { ...address, country: 'IN', state: 'Ontario', postal_code: '011001', phone: '12' },
+      billing_address_id: 3,
+      shipping_method: 'standard'
+    }, { abortEarly: false });
+
+    expect(error.details.map(detail => detail.path.join('.')).sort()).toEqual([
+      'shipping_address.phone',
+      'shipping_address.postal_code',
+      'shipping_address.state'
+    ]);
+  });
+});
@@ -0,0 +1,191 @@
+// Mock the database, pricing services and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Cart: {
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  CartItem: {},
+  Product: {},
+  Inventory: {
+    findOne: jest.fn()
+  },
+  Address: {},
+  Checkout: {
+    findByPk: jest.fn(),
+    MAX_EXTENSIONS: 3
+  },
+  InventoryReservation: {
+    update: jest.fn()
+  },
+  User: {}
+}));
+
+jest.mock('../services/TaxService', () => ({}));
+jest.mock('../services/ShippingService', () => ({}));
+jest.mock('../services/OrderService', () => ({}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Cart, Checkout, Inventory, InventoryReservation } = require('../database/models');
+const CheckoutService = require('../services/CheckoutService');
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Build an active checkout created `age` minutes ago that expires in `remaining` minutes
+ */
+const buildCheckout = ({ age = 10, remaining = 5, extensionCount = 0, status = 'active' } = {}) => {
+  const now = Date.now();
+  const extended = new Date(now + 10 * MINUTE);
+  const deadline = new Date(now - age * MINUTE + 45 * MINUTE);
+  const expiresAt = new Date(now + remaining * MINUTE);
+
+  return {
+    id: 10,
+    status,
+    expires_at: expiresAt,
+    extension_count: extensionCount,
+    cart: { isAccessibleBy: userId => String(userId) === '5' },
+    isExpired() {
+      return new Date() > this.expires_at;
+    },
+    getHoldDeadline: () => deadline,
+    getExtendedExpiry() {
+      const candidate = extended < deadline ? extended : deadline;
+      return candidate > this.expires_at ? candidate : null;
+    },
+    hasExtensionsLeft() {
+      return this.extension_count < 3;
+    },
+    getTimeRemaining() {
+      return Math.floor((this.expires_at - new Date()) / MINUTE);
+    },
+    update: jest.fn(async function update(values) {
+      Object.assign(this, values);
+    })
+  };
+};
+
+describe('CheckoutService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Cart.sequelize.transaction.mockResolvedValue(mockTransaction);
+  });
+
+  describe('extendSession', () => {
+    it('moves the session and its active reservations to the same new expiry', async () => {
+      const checkout = buildCheckout();
+      const originalExpiry = checkout.expires_at;
+      Checkout.findByPk.mockResolvedValue(checkout);
+
+      const result = await CheckoutService.extendSession(10, 5);
+
+      expect(result.extended).toBe(true);
+      expect(result.expires_at - originalExpiry).toBe(5 * MINUTE);
+      expect(result.extensions_remaining).toBe(2);
+      expect(checkout.update).toHaveBeenCalledWith({
+        expires_at: checkout.expires_at,
+        extension_count: 1
+      }, { transaction: mockTransaction });
+      expect(InventoryReservation.update).toHaveBeenCalledWith(
+        { expires_at: checkout.expires_at },
+        { where: { checkout_id: 10, status: 'active' }, transaction: mockTransaction }
+      );
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('stops at the maximum hold time', async () => {
+      const checkout = buildCheckout({ age: 38 });
+      Checkout.findByPk.mockResolvedValue(checkout);
+
+      const result = await CheckoutService.extendSession(10, 5);
+      expect(result.extended).toBe(true);
+      expect(result.expires_at).toEqual(checkout.getHoldDeadline());
+
+      const capped = buildCheckout({ age: 38 });
+      capped.expires_at = capped.getHoldDeadline();
+      Checkout.findByPk.mockResolvedValue(capped);
+
+      await expect(CheckoutService.extendSession(10, 5))
+        .rejects.toThrow('Checkout session has reached its maximum hold time');
+    });
+
+    it('leaves the hold alone when the heartbeat comes early', async () => {
+      const checkout = buildCheckout({ remaining: 14 });
+      Checkout.findByPk.mockResolvedValue(checkout);
+
+      const result = await CheckoutService.extendSession(10, 5);
+
+      expect(result.extended).toBe(false);
+      expect(result.extensions_remaining).toBe(3);
+      expect(checkout.update).not.toHaveBeenCalled();
+      expect(InventoryReservation.update).not.toHaveBeenCalled();
+    });
+
+    it('refuses once the extensions are used up', async () => {
+      Checkout.findByPk.mockResolvedValue(buildCheckout({ extensionCount: 3 }));
+
+      await expect(CheckoutService.extendSession(10, 5))
+        .rejects.toThrow('Checkout session cannot be extended again');
+      expect(InventoryReservation.update).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('does not revive an expired session', async () => {
+      Checkout.findByPk.mockResolvedValue(buildCheckout({ remaining: -1 }));
+
+      await expect(CheckoutService.extendSession(10, 5)).rejects.toThrow('Checkout session has expired');
+    });
+
+    it('rejects other shoppers', async () => {
+      Checkout.findByPk.mockResolvedValue(buildCheckout());
+
+      await expect(CheckoutService.extendSession(10, 99)).rejects.toThrow('Access denied');
+    });
+  });
+
+  describe('failSession', () => {
+    it('releases the reserved stock inside the transaction under a row lock', async () => {
+      const reservation = { product_id: 3, quantity: 2, markAsReleased: jest.fn() };
+      const checkout = { ...buildCheckout(), reservations: [reservation], markAsFailed: jest.fn() };
+      const inventory = { releaseStock: jest.fn() };
+      Checkout.findByPk.mockResolvedValue(checkout);
+      Inventory.findOne.mockResolvedValue(inventory);
+
+      const result = await CheckoutService.failSession(10, 'Payment failed');
+
+      expect(result).toBe(true);
+      expect(Checkout.findByPk).toHaveBeenCalledWith(10, expect.objectContaining({ lock: 'UPDATE' }));
+      expect(Inventory.findOne).toHaveBeenCalledWith(expect.objectContaining({ lock: 'UPDATE', transaction: mockTransaction }));
+      expect(inventory.releaseStock).toHaveBeenCalledWith(2, 'checkout 10', null, { transaction: mockTransaction });
+      expect(checkout.markAsFailed).toHaveBeenCalledWith('Payment failed', { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('leaves a checkout that is no longer active alone', async () => {
+      const checkout = { ...buildCheckout({ status: 'completed' }), markAsFailed: jest.fn() };
+      Checkout.findByPk.mockResolvedValue(checkout);
+
+      const result = await CheckoutService.failSession(10, 'Order could not be placed');
+
+      expect(result).toBe(false);
+      expect(Checkout.findByPk).toHaveBeenCalledTimes(1);
+      expect(checkout.markAsFailed).not.toHaveBeenCalled();
+      expect(Inventory.findOne).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,206 @@
+// Mock the database and logger
+jest.mock('../database/models', () => ({
+  Coupon: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    increment: jest.fn()
+  },
+  CartCoupon: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  CouponRedemption: {
+    count: jest.fn(),
+    create: jest.fn()
+  },
+  Promotion: {
+    findAll: jest.fn()
+  },
+  ExchangeRate: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Coupon, CartCoupon, CouponRedemption, Promotion } = require('../database/models');
+const PromotionService = require('../services/PromotionService');
+
+/**
+ * Build a coupon with the model's rules for scope and line discounts
+ */
+const buildCoupon = (overrides = {}) => ({
+  id: 1,
+  code: 'SAVE10',
+  type: 'percentage',
+  value: '10.00',
+  currency: 'USD',
+  min_subtotal: null,
+  applies_to: 'all',
+  product_ids: null,
+  usage_limit_per_customer: null,
+  getAvailabilityError: () => null,
+  isLineDiscount() {
+    return this.type !== 'free_shipping';
+  },
+  appliesToItem(item) {
+    return this.applies_to === 'all' || (this.product_ids || []).includes(item.product_id);
+  },
+  ...overrides
+});
+
+const buildCartCoupon = (coupon) => ({
+  coupon_id: coupon.id,
+  coupon,
+  update: jest.fn(),
+  getSummary: jest.fn(() => ({ code: coupon.code }))
+});
+
+const buildItem = (id, productId, lineSubtotal) => ({
+  id,
+  product_id: productId,
+  line_subtotal: lineSubtotal,
+  line_discount: '0.00',
+  update: jest.fn()
+});
+
+const cart = { id: 7, user_id: null, currency: 'USD' };
+
+describe('PromotionService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Promotion.findAll.mockResolvedValue([]);
+  });
+
+  describe('applyToCart', () => {
+    it('takes a percentage off every eligible line', async () => {
+      const items = [buildItem(1, 10, '100.00'), buildItem(2, 11, '50.55')];
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(buildCoupon())]);
+
+      const result = await PromotionService.applyToCart(cart, items);
+
+      expect(result.discount_total).toBe(15.06);
+      expect(items[0].update).toHaveBeenCalledWith({
+        line_discount: 10,
+        discount_details: [{ source: 'coupon', code: 'SAVE10', name: 'SAVE10', amount: 10 }]
+      }, { transaction: null });
+      expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 5.06 }), { transaction: null });
+    });
+
+    it('spreads a fixed amount over scoped lines only', async () => {
+      const items = [buildItem(1, 10, '20.00'), buildItem(2, 11, '10.00'), buildItem(3, 12, '40.00')];
+      const coupon = buildCoupon({ type: 'fixed_amount', value: '10.00', applies_to: 'products', product_ids: [10, 11] });
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(coupon)]);
+
+      const result = await PromotionService.applyToCart(cart, items);
+
+      expect(result.discount_total).toBe(10);
+      expect(items[0].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 6.67 }), { transaction: null });
+      expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 3.33 }), { transaction: null });
+      expect(items[2].update).not.toHaveBeenCalled();
+    });
+
+    it('keeps a coupon below its minimum spend on the cart with the reason', async () => {
+      const items = [buildItem(1, 10, '20.00')];
+      const cartCoupon = buildCartCoupon(buildCoupon({ min_subtotal: '50.00' }));
+      CartCoupon.findAll.mockResolvedValue([cartCoupon]);
+
+      const result = await PromotionService.applyToCart(cart, items);
+
+      expect(result.discount_total).toBe(0);
+      expect(cartCoupon.update).toHaveBeenCalledWith({
+        discount_amount: 0,
+        free_shipping: false,
+        inapplicable_reason: 'Spend at least 50 USD on eligible items to use this coupon'
+      }, { transaction: null });
+    });
+
+    it('grants free shipping without touching the lines', async () => {
+      const items = [buildItem(1, 10, '20.00')];
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(buildCoupon({ code: 'SHIPFREE', type: 'free_shipping' }))]);
+
+      const result = await PromotionService.applyToCart(cart, items);
+
+      expect(result).toEqual(expect.objectContaining({ discount_total: 0, free_shipping: true }));
+      expect(items[0].update).not.toHaveBeenCalled();
+    });
+
+    it('refuses a coupon the guest has used up when enforcing at checkout', async () => {
+      const items = [buildItem(1, 10, '20.00')];
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(buildCoupon({ code: 'WELCOME', usage_limit_per_customer: 1 }))]);
+      CouponRedemption.count.mockResolvedValue(1);
+
+      await expect(PromotionService.applyToCart(cart, items, { enforce: true, guestEmail: 'guest@example.com' }))
+        .rejects.toThrow('Coupon not applicable (WELCOME): Coupon has already been used the maximum number of times');
+      expect(CouponRedemption.count).toHaveBeenCalledWith({
+        where: { coupon_id: 1, guest_email: 'guest@example.com' },
+        transaction: null
+      });
+    });
+  });
+
+  describe('addCoupon', () => {
+    it('allows only one discount coupon per cart', async () => {
+      Coupon.findOne.mockResolvedValue(buildCoupon({ id: 2, code: 'TENOFF', type: 'fixed_amount' }));
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(buildCoupon())]);
+
+      await expect(PromotionService.addCoupon(cart, 'tenoff', [buildItem(1, 10, '20.00')], null))
+        .rejects.toThrow('Only one discount coupon can be used per cart');
+      expect(CartCoupon.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordRedemptions', () => {
+    const transaction = { LOCK: { UPDATE: 'UPDATE' } };
+    const checkout = { cart_id: 7, shipping_discount: '0.00' };
+    const order = { id: 30, order_number: 'GM-241224-7K3QX9', user_id: null, guest_email: 'asha@example.com' };
+
+    it('refuses an order once the coupon has been used up since the checkout was created', async () => {
+      const coupon = buildCoupon({ usage_limit: 100, times_used: 99 });
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(coupon)]);
+      // Another order took the last use after this checkout was priced
+      Coupon.findByPk.mockResolvedValue({ ...coupon, times_used: 100 });
+
+      await expect(PromotionService.recordRedemptions(checkout, order, transaction))
+        .rejects.toThrow('Coupon not applicable (SAVE10): Coupon usage limit has been reached');
+      expect(Coupon.findByPk).toHaveBeenCalledWith(1, { lock: 'UPDATE', transaction });
+      expect(CouponRedemption.create).not.toHaveBeenCalled();
+      expect(Coupon.increment).not.toHaveBeenCalled();
+    });
+
+    it('refuses an order from a customer who used the coupon up in a concurrent order', async () => {
+      const coupon = buildCoupon({ usage_limit: null, usage_limit_per_customer: 1 });
+      CartCoupon.findAll.mockResolvedValue([buildCartCoupon(coupon)]);
+      Coupon.findByPk.mockResolvedValue(coupon);
+      CouponRedemption.count.mockResolvedValue(1);
+
+      await expect(PromotionService.recordRedemptions(checkout, order, transaction))
+        .rejects.toThrow('Coupon has already been used the maximum number of times');
+      expect(CouponRedemption.count).toHaveBeenCalledWith({
+        where: { coupon_id: 1, guest_email: 'asha@example.com' },
+        transaction
+      });
+      expect(CouponRedemption.create).not.toHaveBeenCalled();
+    });
+
+    it('counts a coupon with uses left', async () => {
+      const coupon = buildCoupon({ usage_limit: 100, times_used: 10 });
+      CartCoupon.findAll.mockResolvedValue([{ ...buildCartCoupon(coupon), discount_amount: '5.00' }]);
+      Coupon.findByPk.mockResolvedValue(coupon);
+
+      await expect(PromotionService.recordRedemptions(checkout, order, transaction)).resolves.toBe(1);
+      expect(CouponRedemption.create).toHaveBeenCalledWith(expect.objectContaining({
+        coupon_id: 1,
+        order_id: 30,
+        discount_amount: '5.00'
+      }), { transaction });
+      expect(Coupon.increment).toHaveBeenCalledWith('times_used', { by: 1, where: { id: 1 }, transaction });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+// Mock the database and logger
+const mockTransaction = {
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  ExchangeRate: {
+    findOne: jest.fn()
+  },
+  Cart: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  CartItem: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  CartCoupon: {
+    findAll: jest.fn()
+  },
+  Coupon: {},
+  Promotion: {
+    findAll: jest.fn()
+  },
+  Product: {
+    findOne: jest.fn()
+  },
+  Inventory: {},
+  User: {}
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { ExchangeRate, Cart, CartItem, CartCoupon, Promotion, Product } = require('../database/models');
+const ExchangeRateService = require('../services/ExchangeRateService');
+const CartService = require('../services/CartService');
+const { pricesIncludeTax } = require('../config/currencies');
+
+/**
+ * Store a single rate; lookups for any other pair find nothing
+ */
+const storeRate = (base, quote, rate) => {
+  ExchangeRate.findOne.mockImplementation(async ({ where }) => (
+    where.base_currency === base && where.quote_currency === quote ? { rate: String(rate) } : null
+  ));
+};
+
+const buildCart = (currency) => ({
+  id: 7,
+  currency,
+  prices_include_tax: pricesIncludeTax(currency),
+  updateCartTotals: jest.fn()
+});
+
+describe('Multi-currency pricing', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Cart.sequelize.transaction.mockResolvedValue(mockTransaction);
+    CartCoupon.findAll.mockResolvedValue([]);
+    Promotion.findAll.mockResolvedValue([]);
+  });
+
+  describe('ExchangeRateService.convert', () => {
+    it('rounds INR to the paisa', async () => {
+      storeRate('USD', 'INR', '83.12345');
+
+      await expect(ExchangeRateService.convert('19.99', 'USD', 'INR'))
+        .resolves.toEqual({ amount: 1661.64, rate: 83.12345 });
+    });
+
+    it('rounds JPY to whole yen', async () => {
+      storeRate('USD', 'JPY', '151.37');
+
+      await expect(ExchangeRateService.convert('19.99', 'USD', 'JPY'))
+        .resolves.toEqual({ amount: 3026, rate: 151.37 });
+    });
+
+    it('uses the inverse of a rate stored the other way round', async () => {
+      storeRate('USD', 'INR', '80');
+
+      await expect(ExchangeRateService.convert('1000', 'INR', 'USD'))
+        .resolves.toEqual({ amount: 12.5, rate: 0.0125 });
+    });
+
+    it('does not look up a rate within one currency', async () => {
+      await expect(ExchangeRateService.convert('10.50', 'EUR', 'EUR'))
+        .resolves.toEqual({ amount: 10.5, rate: 1 });
+      expect(ExchangeRate.findOne).not.toHaveBeenCalled();
+    });
+
+    it('refuses to convert without a rate', async () => {
+      ExchangeRate.findOne.mockResolvedValue(null);
+
+      await expect(ExchangeRateService.convert('10', 'GBP', 'JPY'))
+        .rejects.toThrow('No exchange rate from GBP to JPY');
+    });
+  });
+
+  describe('CartService', () => {
+    it('converts a product into the cart currency and records the rate', async () => {
+      storeRate('USD', 'INR', '83.5');
+      Cart.findOne.mockResolvedValue(buildCart('INR'));
+      Product.findOne.mockResolvedValue({
+        id: 3,
+        price: '24.99',
+        currency: 'USD',
+        status: 'published',
+        inventory: { quantity: 10 }
+      });
+      CartItem.findOne.mockResolvedValue(null);
+      CartItem.create.mockImplementation(async values => values);
+      CartItem.findAll.mockResolvedValue([]);
+
+      await CartService.addItem(7, 'ECO-001', 2, 5);
+
+      expect(CartItem.create).toHaveBeenCalledWith({
+        cart_id: 7,
+        product_id: 3,
+        sku: 'ECO-001',
+        qty: 2,
+        unit_price: 2086.67,
+        source_currency: 'USD',
+        source_unit_price: '24.99',
+        exchange_rate: 83.5
+      }, { transaction: mockTransaction });
+    });
+
+    it('keeps adding tax on top of prices in a new default INR cart', async () => {
+      const models = jest.requireActual('../database/models');
+      Cart.create.mockImplementation(async values => models.Cart.build({ id: 7, ...values }));
+
+      const cart = await CartService.createOrGetCart();
+
+      expect(Cart.create).toHaveBeenCalledWith(expect.objectContaining({ currency: 'INR', prices_include_tax: false }),
+        { transaction: mockTransaction });
+
+      jest.spyOn(models.CartItem, 'findAll').mockResolvedValue([
+        { line_subtotal: '1000.00', line_discount: '100.00', line_tax: '162.00' }
+      ]);
+      cart.update = jest.fn();
+
+      await cart.updateCartTotals();
+
+      expect(cart.update).toHaveBeenCalledWith(expect.objectContaining({ grand_total: 1062 }), {});
+    });
+
+    it('moves lines to the current rate when repricing', async () => {
+      storeRate('USD', 'INR', '84');
+      const cart = buildCart('INR');
+      const item = {
+        unit_price: '2086.67',
+        source_currency: 'USD',
+        source_unit_price: '24.99',
+        exchange_rate: '83.50000000',
+        line_discount: '0.00',
+        product: { price: '24.99', currency: 'USD' },
+        update: jest.fn()
+      };
+      Cart.findOne.mockResolvedValue(cart);
+      CartItem.findAll.mockResolvedValue([item]);
+
+      await CartService.repriceCart(7, 5);
+
+      expect(item.update).toHaveBeenCalledWith(expect.objectContaining({
+        unit_price: 2099.16,
+        exchange_rate: 84
+      }), { transaction: mockTransaction });
+      expect(cart.updateCartTotals).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,196 @@
+// Mock the database, emails and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Checkout: {
+    findByPk: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  Cart: {},
+  CheckoutTender: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  GiftCard: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  StoreCreditWallet: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  BalanceLedgerEntry: {
+    findAll: jest.fn(),
+    create: jest.fn()
+  },
+  Payment: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../services/OrderEmailService', () => ({
+  queueGiftCardsIssued: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Checkout, CheckoutTender, GiftCard, StoreCreditWallet, BalanceLedgerEntry, Payment } = require('../database/models');
+const TenderService = require('../services/TenderService');
+const GiftCardService = require('../services/GiftCardService');
+
+/**
+ * Build a gift card double with the model's redemption rules
+ */
+const buildCard = (overrides = {}) => {
+  const card = {
+    id: 3,
+    code: 'ABCD-EFGH-JKMN-PQRS',
+    currency: 'USD',
+    balance: '50.00',
+    status: 'active',
+    ...overrides
+  };
+  card.getRedemptionError = (currency) => (card.currency === currency ? null : 'Gift card is in another currency');
+  card.update = jest.fn(async (values) => Object.assign(card, values));
+  return card;
+};
+
+const buildCheckout = (overrides = {}) => ({
+  id: 10,
+  status: 'active',
+  currency: 'USD',
+  grand_total: '80.00',
+  tender_total: '0.00',
+  cart: { isAccessibleBy: () => true },
+  isExpired: () => false,
+  update: jest.fn(),
+  ...overrides
+});
+
+describe('Gift cards and store credit', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Checkout.sequelize.transaction.mockResolvedValue(mockTransaction);
+    Payment.findOne.mockResolvedValue(null);
+    BalanceLedgerEntry.create.mockImplementation(async values => values);
+  });
+
+  it('normalizes codes typed without dashes or in lower case', () => {
+    expect(GiftCardService.normalizeCode('abcd efgh jkmn pqrs')).toBe('ABCD-EFGH-JKMN-PQRS');
+    expect(GiftCardService.generateCode()).toMatch(/^[2-9A-HJKMNP-Z]{4}(-[2-9A-HJKMNP-Z]{4}){3}$/);
+  });
+
+  it('caps a gift card at what is still due after other tenders', async () => {
+    const checkout = buildCheckout();
+    Checkout.findByPk
+      .mockResolvedValueOnce(checkout)
+      .mockResolvedValueOnce({ tenders: [], tender_total: '80.00', getAmountDue: () => 0 });
+    CheckoutTender.findAll.mockResolvedValue([{ id: 1, type: 'store_credit', wallet_id: 9, amount: '45.00' }]);
+    GiftCard.findOne.mockResolvedValue(buildCard());
+
+    await TenderService.applyTender(10, { type: 'gift_card', code: 'abcd-efgh-jkmn-pqrs' }, 5);
+
+    expect(CheckoutTender.create).toHaveBeenCalledWith({
+      checkout_id: 10,
+      type: 'gift_card',
+      gift_card_id: 3,
+      amount: 35
+    }, { transaction: mockTransaction });
+    expect(checkout.update).toHaveBeenCalledWith({ tender_total: 80 }, { transaction: mockTransaction });
+  });
+
+  it('spends the locked balance and records it in the ledger when the order is placed', async () => {
+    const card = buildCard();
+    CheckoutTender.findAll.mockResolvedValue([{ type: 'gift_card', gift_card_id: 3, amount: '30.00' }]);
+    GiftCard.findByPk.mockResolvedValue(card);
+
+    await TenderService.redeemForOrder(
+      { id: 10, tender_total: '30.00' },
+      { id: 77, user_id: 5, currency: 'USD', order_number: 'GM-241224-ABCDEF' },
+      mockTransaction
+    );
+
+    expect(GiftCard.findByPk).toHaveBeenCalledWith(3, { lock: 'UPDATE', transaction: mockTransaction });
+    expect(card.balance).toBe(20);
+    expect(BalanceLedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      gift_card_id: 3,
+      entry_type: 'redeem',
+      amount: -30,
+      balance_after: 20,
+      order_id: 77
+    }), { transaction: mockTransaction });
+  });
+
+  it('fails the order when the balance was spent elsewhere in the meantime', async () => {
+    const wallet = { id: 9, currency: 'USD', balance: '10.00', update: jest.fn() };
+    CheckoutTender.findAll.mockResolvedValue([{ type: 'store_credit', wallet_id: 9, amount: '25.00' }]);
+    StoreCreditWallet.findByPk.mockResolvedValue(wallet);
+
+    await expect(TenderService.redeemForOrder(
+      { id: 10, tender_total: '25.00' },
+      { id: 77, user_id: 5, currency: 'USD', order_number: 'GM-241224-ABCDEF' },
+      mockTransaction
+    )).rejects.toThrow('Store credit balance is no longer sufficient');
+
+    expect(wallet.update).not.toHaveBeenCalled();
+    expect(BalanceLedgerEntry.create).not.toHaveBeenCalled();
+  });
+
+  it('gives back the tendered share of a partial cancellation', async () => {
+    const card = buildCard({ balance: '0.00' });
+    BalanceLedgerEntry.findAll.mockResolvedValue([{ gift_card_id: 3, wallet_id: null, amount: '-50.00' }]);
+    GiftCard.findByPk.mockResolvedValue(card);
+
+    // Half the order was paid by gift card, so half of the cancelled 30 goes back to it
+    const restored = await TenderService.restoreForCancellation(
+      { id: 77, currency: 'USD', grand_total: '100.00', tender_total: '50.00', order_number: 'GM-241224-ABCDEF' },
+      30,
+      false,
+      5,
+      mockTransaction
+    );
+
+    expect(restored).toBe(15);
+    expect(card.balance).toBe(15);
+    expect(BalanceLedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      entry_type: 'restore',
+      amount: 15,
+      balance_after: 15
+    }), { transaction: mockTransaction });
+  });
+
+  it('gives back everything a tender-only order took when it is returned in full', async () => {
+    const wallet = { id: 4, currency: 'USD', balance: '10.00', update: jest.fn(async function(values) { Object.assign(this, values); }) };
+    BalanceLedgerEntry.findAll.mockResolvedValue([{ gift_card_id: null, wallet_id: 4, amount: '-40.00' }]);
+    StoreCreditWallet.findByPk.mockResolvedValue(wallet);
+
+    const restored = await TenderService.restoreForReturn(
+      { id: 78, currency: 'USD', grand_total: '40.00', tender_total: '40.00', order_number: 'GM-241224-GHJKMN' },
+      40,
+      'RMA-241230-4MZK8Q',
+      99,
+      mockTransaction
+    );
+
+    expect(restored).toBe(40);
+    expect(wallet.balance).toBe(50);
+    expect(BalanceLedgerEntry.create).toHaveBeenCalledWith(expect.objectContaining({
+      wallet_id: 4,
+      entry_type: 'restore',
+      amount: 40,
+      note: 'Refunded for return RMA-241230-4MZK8Q'
+    }), { transaction: mockTransaction });
+  });
+});
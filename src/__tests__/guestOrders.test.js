@@ -0,0 +1,287 @@
+// Mock the database, order loading, email, token and password services and logger
+const mockTransaction = {
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Order: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  User: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn()
+  },
+  Role: {
+    findOne: jest.fn()
+  },
+  UserRole: {
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../services/OrderService', () => ({
+  loadOrder: jest.fn()
+}));
+
+jest.mock('../services/EmailService', () => ({
+  sendGuestOrderLinkEmail: jest.fn(),
+  sendWelcomeEmail: jest.fn(),
+  sendEmailVerificationEmail: jest.fn()
+}));
+
+jest.mock('../services/TokenService', () => ({
+  issueTokens: jest.fn()
+}));
+
+jest.mock('../services/PasswordService', () => ({
+  hashPassword: jest.fn()
+}));
+
+jest.mock('../services/TwoFAService', () => ({}));
+
+jest.mock('../services/AuditService', () => ({
+  logAuthEvent: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Order, User, Role } = require('../database/models');
+const OrderService = require('../services/OrderService');
+const EmailService = require('../services/EmailService');
+const GuestOrderService = require('../services/GuestOrderService');
+const AuthService = require('../services/AuthService');
+
+const buildGuestOrder = (overrides = {}) => ({
+  id: 10,
+  order_number: 'GM-241224-7K3QX9',
+  user_id: null,
+  guest_email: 'asha@example.com',
+  billing_address: { name: 'Asha Rao' },
+  isGuestOrder() {
+    return this.user_id === null;
+  },
+  update: jest.fn(),
+  addHistoryNote: jest.fn(),
+  ...overrides
+});
+
+/**
+ * Pull the token out of the link in the most recent email
+ */
+const getSentToken = () => {
+  const { link } = EmailService.sendGuestOrderLinkEmail.mock.calls[0][1];
+  return new URL(link).searchParams.get('token');
+};
+
+describe('GuestOrderService', () => {
+  const originalSecret = process.env.GUEST_ORDER_LINK_SECRET;
+  const originalVerificationSecret = process.env.EMAIL_VERIFICATION_SECRET;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    process.env.GUEST_ORDER_LINK_SECRET = 'test_guest_link_secret';
+    process.env.EMAIL_VERIFICATION_SECRET = 'test_email_verification_secret';
+    Order.sequelize.transaction.mockResolvedValue(mockTransaction);
+  });
+
+  afterAll(() => {
+    process.env.GUEST_ORDER_LINK_SECRET = originalSecret;
+    process.env.EMAIL_VERIFICATION_SECRET = originalVerificationSecret;
+  });
+
+  describe('order links', () => {
+    it('emails a link that opens the guest order', async () => {
+      const order = buildGuestOrder();
+      Order.findOne.mockResolvedValue(order);
+      OrderService.loadOrder.mockResolvedValue(order);
+
+      await expect(GuestOrderService.requestOrderLink('GM-241224-7K3QX9', 'Asha@Example.com ')).resolves.toBe(true);
+      expect(Order.findOne).toHaveBeenCalledWith({
+        where: { order_number: 'GM-241224-7K3QX9', user_id: null, guest_email: 'asha@example.com' }
+      });
+      expect(EmailService.sendGuestOrderLinkEmail).toHaveBeenCalledWith('asha@example.com', expect.objectContaining({
+        order_number: 'GM-241224-7K3QX9',
+        customer_name: 'Asha Rao',
+        expires_in_hours: 24
+      }));
+
+      await expect(GuestOrderService.getOrderWithToken('GM-241224-7K3QX9', getSentToken())).resolves.toBe(order);
+    });
+
+    it('sends nothing when the order and email do not match', async () => {
+      Order.findOne.mockResolvedValue(null);
+
+      await expect(GuestOrderService.requestOrderLink('GM-241224-7K3QX9', 'someone@example.com')).resolves.toBe(false);
+      expect(EmailService.sendGuestOrderLinkEmail).not.toHaveBeenCalled();
+    });
+
+    it('rejects a token signed for another order', async () => {
+      Order.findOne.mockResolvedValue(buildGuestOrder({ order_number: 'GM-241224-AAAAAA' }));
+      await GuestOrderService.requestOrderLink('GM-241224-AAAAAA', 'asha@example.com');
+      OrderService.loadOrder.mockResolvedValue(buildGuestOrder());
+
+      await expect(GuestOrderService.getOrderWithToken('GM-241224-7K3QX9', getSentToken()))
+        .rejects.toThrow('Order not found');
+    });
+
+    it('rejects an expired link', async () => {
+      const order = buildGuestOrder();
+      OrderService.loadOrder.mockResolvedValue(order);
+      const expires = Math.floor(Date.now() / 1000) - 60;
+      const token = `${expires}.${GuestOrderService.sign(order.order_number, order.guest_email, expires)}`;
+
+      await expect(GuestOrderService.getOrderWithToken(order.order_number, token))
+        .rejects.toThrow('Order link has expired');
+    });
+
+    it('stops working once the order belongs to an account', async () => {
+      const order = buildGuestOrder();
+      Order.findOne.mockResolvedValue(order);
+      await GuestOrderService.requestOrderLink(order.order_number, order.guest_email);
+      OrderService.loadOrder.mockResolvedValue(buildGuestOrder({ user_id: 5 }));
+
+      await expect(GuestOrderService.getOrderWithToken(order.order_number, getSentToken()))
+        .rejects.toThrow('Order not found');
+    });
+
+    it('refuses to hand out links without a signing secret', async () => {
+      delete process.env.GUEST_ORDER_LINK_SECRET;
+
+      await expect(GuestOrderService.requestOrderLink('GM-241224-7K3QX9', 'asha@example.com'))
+        .rejects.toThrow('Guest order links are not configured');
+      expect(Order.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('attachGuestOrders', () => {
+    it('moves guest orders with the same email to the account once its email is verified', async () => {
+      const orders = [buildGuestOrder(), buildGuestOrder({ id: 11, order_number: 'GM-241224-BBBBBB' })];
+      Order.findAll.mockResolvedValue(orders);
+
+      await expect(GuestOrderService.attachGuestOrders({ id: 5, email: 'Asha@example.com', is_email_verified: 1 })).resolves.toBe(2);
+      expect(Order.findAll).toHaveBeenCalledWith({ where: { user_id: null, guest_email: 'asha@example.com' } });
+      expect(orders[0].update).toHaveBeenCalledWith({ user_id: 5 }, { transaction: mockTransaction });
+      expect(orders[1].addHistoryNote).toHaveBeenCalledWith(expect.any(String), 5, { transaction: mockTransaction });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('never fails the caller', async () => {
+      const order = buildGuestOrder();
+      order.update.mockRejectedValue(new Error('Deadlock found'));
+      Order.findAll.mockResolvedValue([order]);
+
+      await expect(GuestOrderService.attachGuestOrders({ id: 5, email: 'asha@example.com', is_email_verified: 1 })).resolves.toBe(0);
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('attaches nothing to an account registered without verifying its email', async () => {
+      Order.findAll.mockResolvedValue([buildGuestOrder()]);
+      User.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 5, email: 'asha@example.com', roles: [{ name: 'CUSTOMER' }] });
+      Role.findOne.mockResolvedValue({ id: 1, name: 'CUSTOMER' });
+      User.create.mockResolvedValue({ id: 5, uuid: 'uuid-5', email: 'asha@example.com', is_email_verified: 0, update: jest.fn() });
+
+      await AuthService.register({ email: 'asha@example.com', password: 'Secret123!', full_name: 'Mallory' });
+
+      expect(Order.findAll).not.toHaveBeenCalled();
+      await expect(GuestOrderService.attachGuestOrders({ id: 5, email: 'asha@example.com', is_email_verified: 0 })).resolves.toBe(0);
+      expect(Order.findAll).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('email verification', () => {
+    const buildUser = (overrides = {}) => {
+      const user = { id: 5, uuid: 'uuid-5', email: 'asha@example.com', full_name: 'Asha Rao', is_email_verified: 0, ...overrides };
+      user.update = jest.fn(async values => Object.assign(user, values));
+      return user;
+    };
+
+    /**
+     * Register Asha and return the token from her verification email
+     */
+    const registerAndGetToken = async (user) => {
+      User.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ id: 5, email: user.email, roles: [{ name: 'CUSTOMER' }] });
+      Role.findOne.mockResolvedValue({ id: 1, name: 'CUSTOMER' });
+      User.create.mockResolvedValue(user);
+
+      await AuthService.register({ email: user.email, password: 'Secret123!', full_name: user.full_name });
+
+      expect(EmailService.sendEmailVerificationEmail).toHaveBeenCalledWith(user.email, expect.any(String), 'Asha Rao');
+      return EmailService.sendEmailVerificationEmail.mock.calls[0][1];
+    };
+
+    it('attaches the guest orders once the emailed link verifies the address', async () => {
+      const user = buildUser();
+      const token = await registerAndGetToken(user);
+      const order = buildGuestOrder();
+      Order.findAll.mockResolvedValue([order]);
+      User.findByPk.mockResolvedValue(user);
+
+      const result = await AuthService.verifyEmail(token);
+
+      expect(result.guest_orders_attached).toBe(1);
+      expect(user.update).toHaveBeenCalledWith({ is_email_verified: true });
+      expect(order.update).toHaveBeenCalledWith({ user_id: 5 }, { transaction: mockTransaction });
+    });
+
+    it('rejects a link once the account\'s email has changed', async () => {
+      const user = buildUser();
+      const token = await registerAndGetToken(user);
+      User.findByPk.mockResolvedValue(buildUser({ email: 'mallory@example.com' }));
+
+      await expect(AuthService.verifyEmail(token)).rejects.toThrow('Invalid verification link');
+      expect(Order.findAll).not.toHaveBeenCalled();
+    });
+
+    it('rejects an expired link', async () => {
+      const user = buildUser();
+      const expires = Math.floor(Date.now() / 1000) - 60;
+      const token = `5.${expires}.${AuthService.signEmailVerification(5, user.email, expires)}`;
+      User.findByPk.mockResolvedValue(user);
+
+      await expect(AuthService.verifyEmail(token)).rejects.toThrow('Verification link has expired');
+      expect(user.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('claimGuestOrders', () => {
+    it('attaches the guest orders of a signed-in customer who presents a link sent to their email', async () => {
+      const order = buildGuestOrder();
+      Order.findOne.mockResolvedValue(order);
+      await GuestOrderService.requestOrderLink(order.order_number, order.guest_email);
+      OrderService.loadOrder.mockResolvedValue(order);
+      Order.findAll.mockResolvedValue([order]);
+      User.findByPk.mockResolvedValue({ id: 5, email: 'Asha@example.com' });
+
+      await expect(GuestOrderService.claimGuestOrders(order.order_number, getSentToken(), 5)).resolves.toBe(1);
+      expect(order.update).toHaveBeenCalledWith({ user_id: 5 }, { transaction: mockTransaction });
+    });
+
+    it('refuses a link for another customer\'s email', async () => {
+      const order = buildGuestOrder();
+      Order.findOne.mockResolvedValue(order);
+      await GuestOrderService.requestOrderLink(order.order_number, order.guest_email);
+      OrderService.loadOrder.mockResolvedValue(order);
+      User.findByPk.mockResolvedValue({ id: 6, email: 'mallory@example.com' });
+
+      await expect(GuestOrderService.claimGuestOrders(order.order_number, getSentToken(), 6))
+        .rejects.toThrow('Order not found');
+      expect(Order.findAll).not.toHaveBeenCalled();
+    });
+  });
+});
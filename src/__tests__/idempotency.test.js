@@ -0,0 +1,184 @@
+// Mock the database and logger
+jest.mock('../database/models', () => ({
+  IdempotencyKey: {
+    findOne: jest.fn(),
+    create: jest.fn()
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { IdempotencyKey } = require('../database/models');
+const { idempotency, fingerprintRequest, canonicalJson } = require('../middleware/idempotency');
+
+const buildReq = (overrides = {}) => {
+  const headers = { 'idempotency-key': 'key-123', ...overrides.headers };
+  return {
+    method: 'POST',
+    baseUrl: '/api/cart',
+    path: '/items',
+    route: { path: '/items' },
+    originalUrl: '/api/cart/items?cart_token=abc',
+    query: { cart_token: 'abc' },
+    body: { sku: 'PROD-001', qty: 2 },
+    requestId: 'req-2',
+    ...overrides,
+    get: name => headers[name.toLowerCase()]
+  };
+};
+
+const buildRes = () => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set: jest.fn((name, value) => {
+      res.headers[name] = value;
+      return res;
+    }),
+    status: jest.fn(code => {
+      res.statusCode = code;
+      return res;
+    }),
+    json: jest.fn(() => res)
+  };
+  return res;
+};
+
+const buildRecord = (overrides = {}) => ({
+  fingerprint: fingerprintRequest(buildReq()),
+  request_id: 'req-1',
+  response_status: 201,
+  response_body: { data: { id: 1 } },
+  isExpired: () => false,
+  isCompleted: () => true,
+  isStale: () => false,
+  update: jest.fn().mockResolvedValue(),
+  destroy: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Idempotency middleware', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('fingerprints bodies independently of key order', () => {
+    expect(canonicalJson({ b: 1, a: [{ d: 2, c: 3 }] })).toBe('{"a":[{"c":3,"d":2}],"b":1}');
+    expect(fingerprintRequest(buildReq({ body: { qty: 2, sku: 'PROD-001' } })))
+      .toBe(fingerprintRequest(buildReq()));
+  });
+
+  it('passes requests without the header straight through', async () => {
+    const next = jest.fn();
+    await idempotency()(buildReq({ headers: { 'idempotency-key': undefined } }), buildRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+  });
+
+  it('rejects malformed keys', async () => {
+    const res = buildRes();
+    await idempotency()(buildReq({ headers: { 'idempotency-key': 'has space' } }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].error.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+
+  it('ignores the key for callers with neither a login nor a cart token', async () => {
+    const next = jest.fn();
+    const req = buildReq({ originalUrl: '/api/cart/items', query: {} });
+
+    await idempotency()(req, buildRes(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.findOne).not.toHaveBeenCalled();
+    expect(IdempotencyKey.create).not.toHaveBeenCalled();
+  });
+
+  it('stores the response of the first request before sending it', async () => {
+    const record = buildRecord({ isCompleted: () => false });
+    IdempotencyKey.findOne.mockResolvedValue(null);
+    IdempotencyKey.create.mockResolvedValue(record);
+
+    const res = buildRes();
+    const sendJson = res.json;
+    const next = jest.fn();
+    await idempotency()(buildReq(), res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(IdempotencyKey.create.mock.calls[0][0]).toMatchObject({
+      idempotency_key: 'key-123',
+      scope: 'POST /api/cart/items|cart:abc',
+      status: 'in_progress',
+      request_id: 'req-2'
+    });
+
+    res.status(201);
+    res.json({ data: { id: 1 } });
+    await flush();
+
+    expect(record.update).toHaveBeenCalledWith({
+      status: 'completed',
+      response_status: 201,
+      response_body: { data: { id: 1 } }
+    });
+    expect(sendJson).toHaveBeenCalledWith({ data: { id: 1 } });
+  });
+
+  it('replays a completed response', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(buildRecord());
+
+    const res = buildRes();
+    const next = jest.fn();
+    await idempotency()(buildReq(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.json).toHaveBeenCalledWith({ data: { id: 1 } });
+    expect(res.headers['Idempotent-Replayed']).toBe('true');
+    expect(res.headers['X-Original-Request-ID']).toBe('req-1');
+  });
+
+  it('rejects a reused key with a different body', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(buildRecord());
+
+    const res = buildRes();
+    await idempotency()(buildReq({ body: { sku: 'PROD-001', qty: 3 } }), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(422);
+    expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+  });
+
+  it('reports a retry while the original is still running', async () => {
+    IdempotencyKey.findOne.mockResolvedValue(buildRecord({ isCompleted: () => false }));
+
+    const res = buildRes();
+    await idempotency()(buildReq(), res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.json.mock.calls[0][0].error.code).toBe('IDEMPOTENCY_REQUEST_IN_PROGRESS');
+  });
+
+  it('releases the key when the handler fails with a server error', async () => {
+    const record = buildRecord({ isCompleted: () => false });
+    IdempotencyKey.findOne.mockResolvedValue(null);
+    IdempotencyKey.create.mockResolvedValue(record);
+
+    const res = buildRes();
+    await idempotency()(buildReq(), res, jest.fn());
+
+    res.status(500);
+    res.json({ error: { code: 'CART_ADD_ITEM_ERROR', message: 'Failed' } });
+    await flush();
+
+    expect(record.destroy).toHaveBeenCalled();
+    expect(record.update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,224 @@
+// Mock the database, storage and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Invoice: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    formatNumber: value => `INV-${String(value).padStart(8, '0')}`
+  },
+  CreditNote: {
+    findOne: jest.fn(),
+    create: jest.fn(),
+    formatNumber: value => `CN-${String(value).padStart(8, '0')}`,
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  DocumentSequence: {
+    next: jest.fn()
+  },
+  Order: {
+    findOne: jest.fn()
+  },
+  OrderItem: {
+    findAll: jest.fn()
+  },
+  Payment: {}
+}));
+
+jest.mock('../services/BunnyCDNService', () => ({
+  uploadFile: jest.fn(),
+  downloadFile: jest.fn()
+}));
+
+jest.mock('../services/AuditService', () => ({
+  log: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Invoice, CreditNote, DocumentSequence, Order } = require('../database/models');
+const BunnyCDNService = require('../services/BunnyCDNService');
+const InvoiceService = require('../services/InvoiceService');
+
+/**
+ * Build an order line snapshot as checkout stores it (13% tax: 5% federal, 8% state)
+ */
+const buildItem = (id, qty, unitPrice, overrides = {}) => {
+  const subtotal = qty * unitPrice;
+  return {
+    id,
+    sku: `PROD-00${id}`,
+    title: `Product ${id}`,
+    qty,
+    cancelled_qty: 0,
+    unit_price: unitPrice.toFixed(2),
+    line_subtotal: subtotal.toFixed(2),
+    line_discount: '0.00',
+    tax_rate: '0.1300',
+    line_tax: (subtotal * 0.13).toFixed(2),
+    line_total: (subtotal * 1.13).toFixed(2),
+    ...overrides
+  };
+};
+
+const buildOrder = (overrides = {}) => ({
+  id: 10,
+  order_number: 'GM-241224-7K3QX9',
+  currency: 'USD',
+  shipping_total: '10.00',
+  tax_breakdown: { federal_tax_rate: 0.05, state_tax_rate: 0.08, total_tax_rate: 0.13 },
+  billing_address: { name: 'Asha Rao', line1: '1 Main St', city: 'Toronto', country: 'CA' },
+  shipping_address: { name: 'Asha Rao', line1: '1 Main St', city: 'Toronto', country: 'CA' },
+  items: [buildItem(1, 2, 20), buildItem(2, 1, 50)],
+  ...overrides
+});
+
+describe('InvoiceService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CreditNote.sequelize.transaction.mockResolvedValue(mockTransaction);
+  });
+
+  describe('issueInvoice', () => {
+    it('numbers the invoice from the sequence and splits each line into federal and state tax', async () => {
+      Invoice.findOne.mockResolvedValue(null);
+      DocumentSequence.next.mockResolvedValue(7);
+      Invoice.create.mockImplementation(async data => data);
+
+      const invoice = await InvoiceService.issueInvoice(buildOrder(), mockTransaction);
+
+      expect(DocumentSequence.next).toHaveBeenCalledWith('invoice', mockTransaction);
+      expect(invoice.invoice_number).toBe('INV-00000007');
+      expect(invoice.lines[0]).toMatchObject({
+        quantity: 2,
+        taxable_amount: 40,
+        federal_tax: 2,
+        state_tax: 3.2,
+        line_tax: 5.2,
+        line_total: 45.2
+      });
+      expect(invoice.tax_total).toBe(11.7);
+      expect(invoice.grand_total).toBe(111.7);
+      expect(Invoice.create.mock.calls[0][1]).toEqual({ transaction: mockTransaction });
+    });
+
+    it('leaves out units cancelled before payment', async () => {
+      Invoice.findOne.mockResolvedValue(null);
+      DocumentSequence.next.mockResolvedValue(8);
+      Invoice.create.mockImplementation(async data => data);
+
+      const invoice = await InvoiceService.issueInvoice(buildOrder({
+        items: [buildItem(1, 2, 20, { cancelled_qty: 1 }), buildItem(2, 1, 50, { cancelled_qty: 1 })]
+      }), mockTransaction);
+
+      expect(invoice.lines).toHaveLength(1);
+      expect(invoice.lines[0]).toMatchObject({ quantity: 1, line_subtotal: 20, line_tax: 2.6 });
+      expect(invoice.grand_total).toBe(32.6);
+    });
+
+    it('returns the existing invoice without using a number', async () => {
+      const existing = { invoice_number: 'INV-00000003' };
+      Invoice.findOne.mockResolvedValue(existing);
+
+      await expect(InvoiceService.issueInvoice(buildOrder(), mockTransaction)).resolves.toBe(existing);
+      expect(DocumentSequence.next).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('issueCreditNote', () => {
+    const invoice = {
+      id: 4,
+      currency: 'USD',
+      seller: { name: 'GlobeMart' },
+      buyer: {},
+      shipping_total: '10.00',
+      grand_total: '111.70',
+      lines: [
+        {
+          order_item_id: 1, sku: 'PROD-001', description: 'Product 1', quantity: 2, unit_price: 20,
+          line_subtotal: 40, line_discount: 0, taxable_amount: 40, federal_tax_rate: 0.05, federal_tax: 2,
+          state_tax_rate: 0.08, state_tax: 3.2, line_tax: 5.2, line_total: 45.2
+        },
+        {
+          order_item_id: 2, sku: 'PROD-002', description: 'Product 2', quantity: 1, unit_price: 50,
+          line_subtotal: 50, line_discount: 0, taxable_amount: 50, federal_tax_rate: 0.05, federal_tax: 2.5,
+          state_tax_rate: 0.08, state_tax: 4, line_tax: 6.5, line_total: 56.5
+        }
+      ]
+    };
+
+    const buildRefundedPayment = (amount) => ({
+      id: 41,
+      order_id: 10,
+      meta: { refunds: [{ provider_reference: 'mock_rfnd_41_0', amount }] }
+    });
+
+    beforeEach(() => {
+      CreditNote.findOne.mockResolvedValue(null);
+      Invoice.findOne.mockResolvedValue(invoice);
+      DocumentSequence.next.mockResolvedValue(2);
+      CreditNote.create.mockImplementation(async data => ({ ...data, update: jest.fn() }));
+      BunnyCDNService.uploadFile.mockRejectedValue(new Error('Bunny CDN is not properly configured'));
+    });
+
+    it('credits the refunded units and puts the rest on a shipping line', async () => {
+      const creditNote = await InvoiceService.issueCreditNote(buildRefundedPayment(32.6), 'mock_rfnd_41_0', {
+        reason: 'order_cancelled',
+        items: [{ order_item_id: 1, qty: 1 }]
+      });
+
+      expect(creditNote.credit_note_number).toBe('CN-00000002');
+      expect(creditNote.lines).toHaveLength(2);
+      expect(creditNote.lines[0]).toMatchObject({ quantity: 1, federal_tax: 1, state_tax: 1.6, line_total: 22.6 });
+      expect(creditNote.lines[1]).toMatchObject({ description: 'Shipping', line_tax: 0, line_total: 10 });
+      expect(creditNote.tax_total).toBe(2.6);
+      expect(creditNote.total).toBe(32.6);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('spreads a refund without unit detail over the whole invoice', async () => {
+      const creditNote = await InvoiceService.issueCreditNote(buildRefundedPayment(55.85), 'mock_rfnd_41_0');
+
+      expect(creditNote.lines.map(line => line.quantity)).toEqual([null, null, null]);
+      expect(creditNote.lines.reduce((sum, line) => sum + line.line_total, 0)).toBeCloseTo(55.85, 2);
+      expect(creditNote.tax_total).toBe(5.85);
+    });
+
+    it('returns the existing credit note for a refund it has already seen', async () => {
+      const existing = { credit_note_number: 'CN-00000001' };
+      CreditNote.findOne.mockResolvedValue(existing);
+
+      await expect(InvoiceService.issueCreditNote(buildRefundedPayment(10), 'mock_rfnd_41_0')).resolves.toBe(existing);
+      expect(DocumentSequence.next).not.toHaveBeenCalled();
+    });
+
+    it('uses no number when the order has no invoice', async () => {
+      Invoice.findOne.mockResolvedValue(null);
+
+      await expect(InvoiceService.issueCreditNote(buildRefundedPayment(10), 'mock_rfnd_41_0'))
+        .rejects.toThrow('Order has no invoice');
+      expect(DocumentSequence.next).not.toHaveBeenCalled();
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+
+  describe('getDocumentsForUser', () => {
+    it('hides other customers\' orders', async () => {
+      Order.findOne.mockResolvedValue({ isOwnedBy: () => false });
+
+      await expect(InvoiceService.getDocumentsForUser('GM-241224-7K3QX9', 2)).rejects.toThrow('Order not found');
+    });
+  });
+});
@@ -0,0 +1,157 @@
+// Mock the database, email service and logger
+jest.mock('../database/models', () => ({
+  OrderEmail: {
+    findOrCreate: jest.fn(),
+    findAll: jest.fn(),
+    update: jest.fn()
+  },
+  Order: {
+    findByPk: jest.fn()
+  },
+  User: {
+    findByPk: jest.fn()
+  }
+}));
+
+jest.mock('../services/EmailService', () => ({
+  isAvailable: jest.fn(),
+  sendOrderConfirmationEmail: jest.fn(),
+  sendOrderShippedEmail: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Op } = require('sequelize');
+const { OrderEmail, User } = require('../database/models');
+const EmailService = require('../services/EmailService');
+const OrderEmailService = require('../services/OrderEmailService');
+
+const buildQueuedEmail = (overrides = {}) => ({
+  id: 3,
+  order_id: 10,
+  type: 'order_confirmation',
+  recipient: 'asha@example.com',
+  payload: { order_number: 'GM-241224-7K3QX9' },
+  attempts: 0,
+  markAsSent: jest.fn(),
+  markAsFailed: jest.fn(),
+  ...overrides
+});
+
+describe('OrderEmailService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('enqueue', () => {
+    it('sends guest order emails to the billing contact', async () => {
+      OrderEmail.findOrCreate.mockImplementation(async ({ defaults }) => [defaults, true]);
+
+      const email = await OrderEmailService.enqueue({
+        id: 10,
+        order_number: 'GM-241224-7K3QX9',
+        user_id: null,
+        currency: 'USD',
+        billing_address: { name: 'Asha Rao', email: 'asha@example.com' }
+      }, 'order_confirmation', 'GM-241224-7K3QX9', { items: [] }, 'tx');
+
+      expect(User.findByPk).not.toHaveBeenCalled();
+      expect(OrderEmail.findOrCreate).toHaveBeenCalledWith(expect.objectContaining({
+        where: { order_id: 10, type: 'order_confirmation', reference: 'GM-241224-7K3QX9' },
+        transaction: 'tx'
+      }));
+      expect(email).toMatchObject({
+        recipient: 'asha@example.com',
+        payload: { order_number: 'GM-241224-7K3QX9', customer_name: 'Asha Rao', currency: 'USD', items: [] }
+      });
+    });
+  });
+
+  describe('processPending', () => {
+    it('leaves emails queued while email is unavailable', async () => {
+      EmailService.isAvailable.mockReturnValue(false);
+
+      await expect(OrderEmailService.processPending()).resolves.toEqual({ sent: 0, failed: 0 });
+      expect(OrderEmail.findAll).not.toHaveBeenCalled();
+    });
+
+    it('claims and sends a due email', async () => {
+      const email = buildQueuedEmail();
+      EmailService.isAvailable.mockReturnValue(true);
+      OrderEmail.findAll.mockResolvedValue([email]);
+      OrderEmail.update.mockResolvedValue([1]);
+
+      await expect(OrderEmailService.processPending()).resolves.toEqual({ sent: 1, failed: 0 });
+      expect(OrderEmail.update).toHaveBeenCalledWith(
+        { attempts: 1, next_attempt_at: expect.any(Date) },
+        { where: { id: 3, status: 'pending', attempts: 0, next_attempt_at: { [Op.lte]: expect.any(Date) } } }
+      );
+      expect(OrderEmail.update.mock.calls[0][0].next_attempt_at.getTime()).toBeGreaterThan(Date.now());
+      expect(EmailService.sendOrderConfirmationEmail).toHaveBeenCalledWith('asha@example.com', email.payload);
+      expect(email.markAsSent).toHaveBeenCalled();
+    });
+
+    it('records a failed send for retry', async () => {
+      const email = buildQueuedEmail({ type: 'order_shipped', attempts: 2 });
+      EmailService.isAvailable.mockReturnValue(true);
+      EmailService.sendOrderShippedEmail.mockRejectedValue(new Error('SMTP connection refused'));
+      OrderEmail.findAll.mockResolvedValue([email]);
+      OrderEmail.update.mockResolvedValue([1]);
+
+      await expect(OrderEmailService.processPending()).resolves.toEqual({ sent: 0, failed: 1 });
+      expect(email.attempts).toBe(3);
+      expect(email.markAsFailed).toHaveBeenCalledWith('SMTP connection refused');
+    });
+
+    it('skips an email another worker has claimed', async () => {
+      EmailService.isAvailable.mockReturnValue(true);
+      OrderEmail.findAll.mockResolvedValue([buildQueuedEmail()]);
+      OrderEmail.update.mockResolvedValue([0]);
+
+      await expect(OrderEmailService.processPending()).resolves.toEqual({ sent: 0, failed: 0 });
+      expect(EmailService.sendOrderConfirmationEmail).not.toHaveBeenCalled();
+    });
+
+    it('sends an email once when two workers poll while it is being sent', async () => {
+      // One stored row; the mocks apply the service's where clauses to it
+      const row = { id: 3, status: 'pending', attempts: 0, next_attempt_at: new Date(Date.now() - 1000) };
+      const isDue = where => row.status === where.status && row.next_attempt_at <= where.next_attempt_at[Op.lte];
+      EmailService.isAvailable.mockReturnValue(true);
+      OrderEmail.findAll.mockImplementation(async ({ where }) => (
+        isDue(where) ? [buildQueuedEmail({ attempts: row.attempts })] : []
+      ));
+      OrderEmail.update.mockImplementation(async (values, { where }) => {
+        if (!isDue(where) || row.attempts !== where.attempts) {
+          return [0];
+        }
+        Object.assign(row, values);
+        return [1];
+      });
+
+      let finishSend;
+      const sending = new Promise(started => {
+        EmailService.sendOrderConfirmationEmail.mockImplementation(() => new Promise(resolve => {
+          finishSend = resolve;
+          started();
+        }));
+      });
+
+      const first = OrderEmailService.processPending();
+      const second = OrderEmailService.processPending();
+      await sending;
+      // A third worker polls while the first is still sending
+      const third = await OrderEmailService.processPending();
+      finishSend();
+
+      const results = await Promise.all([first, second]);
+      expect(EmailService.sendOrderConfirmationEmail).toHaveBeenCalledTimes(1);
+      expect([...results, third].map(result => result.sent)).toEqual([1, 0, 0]);
+    });
+  });
+});
@@ -0,0 +1,624 @@
+// Mock the database, stock, payments, invoices, gift cards, emails, audit log, logger, auth and rate limits
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  Order: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    findAndCountAll: jest.fn(),
+    create: jest.fn(),
+    generateOrderNumber: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  OrderItem: {
+    bulkCreate: jest.fn()
+  },
+  OrderStatusHistory: {
+    create: jest.fn()
+  },
+  Product: {
+    findAll: jest.fn()
+  },
+  Shipment: {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    count: jest.fn()
+  },
+  ShipmentItem: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn()
+  },
+  Payment: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../services/InventoryService', () => ({
+  addStock: jest.fn()
+}));
+
+jest.mock('../services/PaymentService', () => ({
+  voidPayment: jest.fn(),
+  capturePayment: jest.fn(),
+  refundPayment: jest.fn()
+}));
+
+jest.mock('../services/InvoiceService', () => ({
+  issueInvoice: jest.fn(),
+  publish: jest.fn()
+}));
+
+jest.mock('../services/OrderEmailService', () => ({
+  queueOrderConfirmation: jest.fn(),
+  queueShipmentDispatched: jest.fn(),
+  queueCancellation: jest.fn()
+}));
+
+jest.mock('../services/GiftCardService', () => ({
+  issueForOrder: jest.fn()
+}));
+
+jest.mock('../services/AuditService', () => ({
+  log: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+// The signed-in user comes from a test header
+jest.mock('../middleware/auth', () => ({
+  authenticateAccessToken: (req, res, next) => {
+    req.auth = { userId: parseInt(req.get('X-Test-User'), 10) };
+    next();
+  }
+}));
+
+jest.mock('../middleware/rateLimiter', () => ({
+  rateLimiters: {
+    public: (req, res, next) => next(),
+    auth: (req, res, next) => next()
+  }
+}));
+
+// Keep label purchase timeouts short
+process.env.SHIPPING_CARRIER_TIMEOUT_MS = '50';
+
+const express = require('express');
+const request = require('supertest');
+const { Order, OrderItem, OrderStatusHistory, Product, Shipment, ShipmentItem, Payment } = require('../database/models');
+const InventoryService = require('../services/InventoryService');
+const PaymentService = require('../services/PaymentService');
+const InvoiceService = require('../services/InvoiceService');
+const OrderEmailService = require('../services/OrderEmailService');
+const AuditService = require('../services/AuditService');
+const OrderService = require('../services/OrderService');
+const OrderCancellationService = require('../services/OrderCancellationService');
+const ShippingZoneService = require('../services/ShippingZoneService');
+const PackingService = require('../services/PackingService');
+const TaxService = require('../services/TaxService');
+const PromotionService = require('../services/PromotionService');
+const TenderService = require('../services/TenderService');
+const { registerCarrier } = require('../services/carriers');
+const orderRoutes = require('../routes/orders');
+
+const buildItem = (id, sku, qty, overrides = {}) => {
+  const item = {
+    id,
+    product_id: id * 10,
+    sku,
+    qty,
+    cancelled_qty: 0,
+    line_total: String(qty * 30),
+    getActiveQuantity() {
+      return this.qty - this.cancelled_qty;
+    },
+    ...overrides
+  };
+  item.update = jest.fn(async values => Object.assign(item, values));
+  return item;
+};
+
+const buildOrder = (overrides = {}) => ({
+  id: 10,
+  order_number: 'GM-241224-7K3QX9',
+  status: 'packed',
+  items: [
+    buildItem(1, 'PROD-001', 2),
+    buildItem(2, 'PROD-002', 1)
+  ],
+  isOwnedBy: userId => String(userId) === '1',
+  transitionTo: jest.fn(),
+  addHistoryNote: jest.fn(),
+  ...overrides
+});
+
+describe('Order lifecycle', () => {
+  describe('state machine', () => {
+    const { Order: OrderModel } = jest.requireActual('../database/models');
+
+    it('allows only the defined transitions', () => {
+      expect(OrderModel.build({ status: 'placed' }).canTransitionTo('paid')).toBe(true);
+      expect(OrderModel.build({ status: 'placed' }).canTransitionTo('shipped')).toBe(false);
+      expect(OrderModel.build({ status: 'packed' }).getAllowedTransitions()).toEqual(['shipped', 'cancelled']);
+      expect(OrderModel.build({ status: 'delivered' }).canTransitionTo('cancelled')).toBe(false);
+      expect(OrderModel.build({ status: 'returned' }).getAllowedTransitions()).toEqual([]);
+    });
+
+    it('refuses a disallowed move before touching the database', async () => {
+      const order = OrderModel.build({ status: 'paid' });
+      order.update = jest.fn();
+
+      await expect(order.transitionTo('delivered', 1)).rejects.toThrow('Order cannot move from paid to delivered');
+      expect(order.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OrderService', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Order.sequelize.transaction.mockResolvedValue(mockTransaction);
+      jest.spyOn(OrderService, 'loadOrder').mockResolvedValue({});
+    });
+
+    it('keeps an order packed after a partial shipment', async () => {
+      const order = buildOrder();
+      Order.findOne.mockResolvedValue(order);
+      ShipmentItem.findAll.mockResolvedValue([]);
+      Shipment.findOne.mockResolvedValue(null);
+      Shipment.create.mockResolvedValue({ id: 3 });
+
+      await OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'BlueDart',
+        tracking_number: 'BD123',
+        items: [{ order_item_id: 1, qty: 2 }]
+      });
+
+      expect(Shipment.create.mock.calls[0][0]).toMatchObject({ order_id: 10, carrier: 'BlueDart', created_by: 7 });
+      expect(ShipmentItem.bulkCreate.mock.calls[0][0]).toEqual([{ shipment_id: 3, order_item_id: 1, qty: 2 }]);
+      expect(order.transitionTo).not.toHaveBeenCalled();
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('ships the order once every unit is in a parcel', async () => {
+      const order = buildOrder();
+      Order.findOne.mockResolvedValue(order);
+      ShipmentItem.findAll.mockResolvedValue([{ order_item_id: 1, qty: 2 }]);
+      Shipment.findOne.mockResolvedValue(null);
+      Shipment.create.mockResolvedValue({ id: 4 });
+
+      await OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'DTDC',
+        tracking_number: 'D456',
+        items: [{ order_item_id: 2, qty: 1 }]
+      });
+
+      expect(order.transitionTo).toHaveBeenCalledWith('shipped', 7, 'Shipped via DTDC', { transaction: mockTransaction });
+      expect(OrderEmailService.queueShipmentDispatched).toHaveBeenCalledWith(
+        order, { id: 4 }, [{ order_item_id: 2, qty: 1 }], true, mockTransaction
+      );
+    });
+
+    it('rejects shipping more units than are left', async () => {
+      Order.findOne.mockResolvedValue(buildOrder());
+      ShipmentItem.findAll.mockResolvedValue([{ order_item_id: 1, qty: 2 }]);
+
+      await expect(OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'DTDC',
+        tracking_number: 'D789',
+        items: [{ order_item_id: 1, qty: 1 }]
+      })).rejects.toThrow('Only 0 unit(s) of PROD-001 are left to ship');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+
+    it('delivers the order when its last parcel arrives', async () => {
+      const order = buildOrder({ status: 'shipped' });
+      Order.findOne.mockResolvedValue(order);
+      const delivered = { id: 3, isDelivered: () => true };
+      const last = {
+        id: 4,
+        status: 'shipped',
+        isDelivered() {
+          return this.status === 'delivered';
+        },
+        markAsDelivered: jest.fn(async function() {
+          this.status = 'delivered';
+        })
+      };
+      Shipment.findAll.mockResolvedValue([delivered, last]);
+
+      await OrderService.markShipmentDelivered('GM-241224-7K3QX9', 4, 7);
+
+      expect(last.markAsDelivered).toHaveBeenCalled();
+      expect(order.transitionTo).toHaveBeenCalledWith('delivered', 7, null, { transaction: mockTransaction });
+    });
+
+    it('does not let staff ship or cancel through a plain transition', async () => {
+      await expect(OrderService.transitionOrder('GM-241224-7K3QX9', 'shipped', 7))
+        .rejects.toThrow('Orders cannot be moved to shipped directly');
+      expect(Order.sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('marks only placed orders as paid', async () => {
+      const order = buildOrder({ status: 'picking' });
+      Order.findByPk.mockResolvedValue(order);
+
+      await expect(OrderService.markAsPaid(10, { id: 41 })).resolves.toBe(false);
+      expect(order.transitionTo).not.toHaveBeenCalled();
+
+      const placed = buildOrder({ status: 'placed' });
+      Order.findByPk.mockResolvedValue(placed);
+
+      await expect(OrderService.markAsPaid(10, { id: 41 })).resolves.toBe(true);
+      expect(placed.transitionTo).toHaveBeenCalledWith('paid', null, 'Payment 41 captured', { transaction: mockTransaction });
+      expect(InvoiceService.issueInvoice).toHaveBeenCalledTimes(1);
+      expect(InvoiceService.issueInvoice).toHaveBeenCalledWith(placed, mockTransaction);
+    });
+
+    it('does not wait for cancelled units before shipping', async () => {
+      const order = buildOrder({
+        items: [buildItem(1, 'PROD-001', 2), buildItem(2, 'PROD-002', 1, { cancelled_qty: 1 })]
+      });
+      Order.findOne.mockResolvedValue(order);
+      ShipmentItem.findAll.mockResolvedValue([]);
+      Shipment.findOne.mockResolvedValue(null);
+      Shipment.create.mockResolvedValue({ id: 5 });
+
+      await OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'DTDC',
+        tracking_number: 'D999',
+        items: [{ order_item_id: 1, qty: 2 }]
+      });
+
+      expect(order.transitionTo).toHaveBeenCalledWith('shipped', 7, 'Shipped via DTDC', { transaction: mockTransaction });
+    });
+  });
+
+  describe('carrier labels', () => {
+    const labelCarrier = {
+      name: 'test_labels',
+      createLabel: jest.fn(),
+      track: jest.fn()
+    };
+
+    beforeAll(() => {
+      registerCarrier(labelCarrier);
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Order.sequelize.transaction.mockResolvedValue(mockTransaction);
+      jest.spyOn(OrderService, 'loadOrder').mockResolvedValue({});
+      jest.spyOn(ShippingZoneService, 'getShippingConfig').mockResolvedValue({ boxes: [] });
+      jest.spyOn(PackingService, 'pack').mockReturnValue([]);
+      jest.spyOn(PackingService, 'weighParcels').mockReturnValue([{ weight: 1 }]);
+      Order.findOne.mockResolvedValue(buildOrder());
+      Product.findAll.mockResolvedValue([]);
+      Shipment.count.mockResolvedValue(0);
+      ShipmentItem.findAll.mockResolvedValue([]);
+      Shipment.findOne.mockResolvedValue(null);
+      Shipment.create.mockResolvedValue({ id: 6 });
+    });
+
+    it('buys the label before locking the order', async () => {
+      labelCarrier.createLabel.mockImplementation(async () => {
+        expect(Order.sequelize.transaction).not.toHaveBeenCalled();
+        return { success: true, tracking_number: 'TL1', service: 'ground', label_format: 'zpl', label_data: 'Wl5' };
+      });
+
+      await OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'test_labels',
+        purchase_label: true,
+        items: [{ order_item_id: 1, qty: 2 }]
+      });
+
+      expect(labelCarrier.createLabel.mock.calls[0][0]).toMatchObject({ reference: 'GM-241224-7K3QX9-1' });
+      expect(Shipment.create.mock.calls[0][0]).toMatchObject({ tracking_number: 'TL1', service: 'ground' });
+      expect(mockTransaction.commit).toHaveBeenCalled();
+    });
+
+    it('fails the purchase when the carrier does not answer in time', async () => {
+      labelCarrier.createLabel.mockReturnValue(new Promise(() => {}));
+
+      await expect(OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'test_labels',
+        purchase_label: true,
+        items: [{ order_item_id: 1, qty: 2 }]
+      })).rejects.toThrow('Label purchase failed: carrier test_labels did not answer within 50 ms');
+      expect(Order.sequelize.transaction).not.toHaveBeenCalled();
+    });
+
+    it('fails tracking when the carrier does not answer in time', async () => {
+      Shipment.findOne.mockResolvedValue({ id: 6, carrier: 'test_labels', tracking_number: 'TL1' });
+      labelCarrier.track.mockReturnValue(new Promise(() => {}));
+
+      await expect(OrderService.trackShipment('GM-241224-7K3QX9', 6))
+        .rejects.toThrow('Tracking failed: carrier test_labels did not answer within 50 ms');
+    });
+
+    it('does not buy a label for items that are already shipped', async () => {
+      ShipmentItem.findAll.mockResolvedValue([{ order_item_id: 1, qty: 2 }]);
+
+      await expect(OrderService.createShipment('GM-241224-7K3QX9', 7, {
+        carrier: 'test_labels',
+        purchase_label: true,
+        items: [{ order_item_id: 1, qty: 1 }]
+      })).rejects.toThrow('Only 0 unit(s) of PROD-001 are left to ship');
+      expect(labelCarrier.createLabel).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('OrderCancellationService', () => {
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Order.sequelize.transaction.mockResolvedValue(mockTransaction);
+      jest.spyOn(OrderService, 'loadOrder').mockResolvedValue({});
+    });
+
+    it('cancels the whole order, restocks every line and voids an authorization', async () => {
+      const order = buildOrder({ status: 'placed' });
+      Order.findOne.mockResolvedValue(order);
+      const payment = { id: 41, amount: '95.99', canVoid: () => true };
+      Payment.findOne.mockResolvedValue(payment);
+
+      const { cancellation } = await OrderCancellationService.cancelOrder('GM-241224-7K3QX9', 1, { reason: 'Changed my mind' });
+
+      expect(InventoryService.addStock).toHaveBeenCalledWith(
+        10, 2, 'order_release', 'Cancelled from order GM-241224-7K3QX9', 1, { transaction: mockTransaction }
+      );
+      expect(InventoryService.addStock).toHaveBeenCalledWith(
+        20, 1, 'order_release', 'Cancelled from order GM-241224-7K3QX9', 1, { transaction: mockTransaction }
+      );
+      expect(order.transitionTo).toHaveBeenCalledWith('cancelled', 1, 'Changed my mind', { transaction: mockTransaction });
+      expect(PaymentService.voidPayment).toHaveBeenCalledWith(payment);
+      expect(OrderEmailService.queueCancellation).toHaveBeenCalledWith(order, expect.any(Array), {
+        fully_cancelled: true,
+        amount: 90,
+        reason: 'Changed my mind'
+      }, mockTransaction);
+      expect(cancellation).toMatchObject({
+        fully_cancelled: true,
+        amount: 90,
+        payment: { action: 'void', status: 'succeeded', amount: 95.99 }
+      });
+      expect(AuditService.log).toHaveBeenCalledWith('ORDER_CANCELLED', expect.objectContaining({
+        actor_user_id: 1,
+        resource_type: 'ORDER',
+        resource_id: 'GM-241224-7K3QX9'
+      }));
+    });
+
+    it('refunds the cancelled units of a captured payment and keeps the order open', async () => {
+      const order = buildOrder({ status: 'paid' });
+      Order.findOne.mockResolvedValue(order);
+      const payment = { id: 41, canVoid: () => false, getRefundableAmount: () => 95.99 };
+      Payment.findOne.mockResolvedValue(payment);
+      PaymentService.refundPayment.mockResolvedValue({ amount: 30, provider_reference: 'mock_rfnd_41_0' });
+
+      const { cancellation } = await OrderCancellationService.cancelOrder('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 1, qty: 1 }]
+      });
+
+      expect(order.items[0].update).toHaveBeenCalledWith({ cancelled_qty: 1 }, { transaction: mockTransaction });
+      expect(order.transitionTo).not.toHaveBeenCalled();
+      expect(order.addHistoryNote).toHaveBeenCalledWith('Cancelled 1 x PROD-001', 1, { transaction: mockTransaction });
+      expect(PaymentService.refundPayment).toHaveBeenCalledWith(payment, 30, 'order_cancelled', {
+        items: [{ order_item_id: 1, qty: 1 }]
+      });
+      expect(cancellation.payment).toMatchObject({ action: 'refund', status: 'succeeded', amount: 30 });
+      expect(AuditService.log.mock.calls[0][0]).toBe('ORDER_PARTIALLY_CANCELLED');
+    });
+
+    it('refuses once fulfilment has started', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({ status: 'picking' }));
+
+      await expect(OrderCancellationService.cancelOrder('GM-241224-7K3QX9', 1))
+        .rejects.toThrow('Order is picking and can no longer be cancelled');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(InventoryService.addStock).not.toHaveBeenCalled();
+      expect(Payment.findOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects cancelling more units than are left', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({
+        status: 'paid',
+        items: [buildItem(1, 'PROD-001', 2, { cancelled_qty: 1 })]
+      }));
+
+      await expect(OrderCancellationService.cancelOrder('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 1, qty: 2 }]
+      })).rejects.toThrow('Only 1 unit(s) of PROD-001 can be cancelled');
+    });
+
+    it('reports a failed refund instead of undoing the cancellation', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({ status: 'paid' }));
+      Payment.findOne.mockResolvedValue({ id: 41, canVoid: () => false, getRefundableAmount: () => 95.99 });
+      PaymentService.refundPayment.mockRejectedValue(new Error('Payment refund failed: Issuer unavailable'));
+
+      const { cancellation } = await OrderCancellationService.cancelOrder('GM-241224-7K3QX9', 1);
+
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(cancellation.payment).toEqual({
+        action: 'refund',
+        status: 'failed',
+        payment_id: 41,
+        error: 'Payment refund failed: Issuer unavailable'
+      });
+    });
+  });
+
+  describe('placing an order', () => {
+    const address = { getSnapshot: () => ({ name: 'Asha Rao', city: 'Pune', country: 'IN' }) };
+
+    const buildCheckout = (overrides = {}) => ({
+      id: 30,
+      currency: 'INR',
+      prices_include_tax: false,
+      tax_total: '18.00',
+      shipping_total: '50.00',
+      grand_total: '168.00',
+      tender_total: null,
+      shipping_method: 'standard',
+      shipping_carrier: null,
+      guest_email: 'asha@example.com',
+      created_at: new Date('2026-10-01T10:00:00Z'),
+      shippingAddress: address,
+      billingAddress: address,
+      cart: {
+        id: 20,
+        user_id: 1,
+        items: [
+          { id: 5, product_id: 50, sku: 'PROD-001', qty: 2, unit_price: '50.00', line_subtotal: '100.00', line_discount: '0.00', product: { title: 'Tea Cup' } }
+        ]
+      },
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Order.findOne.mockResolvedValue(null);
+      Order.generateOrderNumber.mockReturnValue('GM-261001-ABC123');
+      jest.spyOn(TaxService, 'calculateTax').mockResolvedValue({
+        tax_breakdown: [{ name: 'GST', rate: 18, amount: 18 }],
+        item_taxes: [{ cart_item_id: 5, tax_class_id: 2, tax_rate: 18, state_tax_rate: 0, tax_amount: 18, gross_amount: 118 }]
+      });
+      jest.spyOn(PromotionService, 'recordRedemptions').mockResolvedValue();
+      jest.spyOn(TenderService, 'redeemForOrder').mockResolvedValue();
+    });
+
+    it('snapshots the checkout, its lines and the first timeline entry', async () => {
+      const order = { id: 10, order_number: 'GM-261001-ABC123', user_id: 1, reload: jest.fn() };
+      Order.create.mockResolvedValue(order);
+      const checkout = buildCheckout();
+
+      const placed = await OrderService.createFromCheckout(checkout, mockTransaction);
+
+      expect(placed).toBe(order);
+      expect(Order.create).toHaveBeenCalledWith(expect.objectContaining({
+        order_number: 'GM-261001-ABC123',
+        user_id: 1,
+        guest_email: null,
+        checkout_id: 30,
+        status: 'placed',
+        subtotal: 100,
+        discount_total: 0,
+        grand_total: '168.00',
+        tender_total: 0,
+        shipping_address: { name: 'Asha Rao', city: 'Pune', country: 'IN' }
+      }), { transaction: mockTransaction });
+      expect(OrderItem.bulkCreate).toHaveBeenCalledWith([expect.objectContaining({
+        order_id: 10,
+        sku: 'PROD-001',
+        title: 'Tea Cup',
+        tax_rate: 18,
+        line_tax: 18,
+        line_total: 118
+      })], { transaction: mockTransaction });
+      expect(OrderStatusHistory.create).toHaveBeenCalledWith(
+        expect.objectContaining({ order_id: 10, from_status: null, to_status: 'placed', actor_user_id: 1 }),
+        { transaction: mockTransaction }
+      );
+      expect(TenderService.redeemForOrder).toHaveBeenCalledWith(checkout, order, mockTransaction);
+      expect(OrderEmailService.queueOrderConfirmation).toHaveBeenCalledWith(order, mockTransaction);
+    });
+
+    it('keeps the guest email only for orders placed without an account', async () => {
+      Order.create.mockResolvedValue({ id: 11, reload: jest.fn() });
+      const checkout = buildCheckout();
+      checkout.cart.user_id = null;
+
+      await OrderService.createFromCheckout(checkout, mockTransaction);
+
+      expect(Order.create.mock.calls[0][0]).toMatchObject({ user_id: null, guest_email: 'asha@example.com' });
+    });
+
+    it('returns the order already placed for the checkout', async () => {
+      const existing = { id: 9, order_number: 'GM-261001-XYZ789' };
+      Order.findOne.mockResolvedValue(existing);
+
+      expect(await OrderService.createFromCheckout(buildCheckout(), mockTransaction)).toBe(existing);
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+
+    it('refuses a checkout whose cart is empty', async () => {
+      await expect(OrderService.createFromCheckout(buildCheckout({ cart: { id: 20, user_id: 1, items: [] } }), mockTransaction))
+        .rejects.toThrow('Cart is empty');
+      expect(Order.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('customer order endpoints', () => {
+    const { Order: OrderModel, OrderItem: OrderItemModel } = jest.requireActual('../database/models');
+    const app = express().use('/api/orders', orderRoutes);
+
+    const buildStoredOrder = (userId) => OrderModel.build({
+      id: 10,
+      order_number: 'GM-241224-7K3QX9',
+      user_id: userId,
+      status: 'placed',
+      currency: 'INR',
+      subtotal: '100.00',
+      grand_total: '168.00',
+      items: [{ id: 1, sku: 'PROD-001', title: 'Tea Cup', qty: 2, unit_price: '50.00', line_total: '118.00' }]
+    }, { include: [{ model: OrderItemModel, as: 'items' }] });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      // Look orders up through the real service again
+      jest.restoreAllMocks();
+    });
+
+    it('lists only the signed-in customer\'s orders', async () => {
+      Order.findAndCountAll.mockResolvedValue({ count: 1, rows: [buildStoredOrder(1)] });
+
+      const response = await request(app).get('/api/orders?page=1&limit=10').set('X-Test-User', '1');
+
+      expect(response.status).toBe(200);
+      expect(Order.findAndCountAll.mock.calls[0][0]).toMatchObject({ where: { user_id: 1 }, limit: 10, offset: 0 });
+      expect(response.body.data).toEqual([expect.objectContaining({ order_number: 'GM-241224-7K3QX9' })]);
+      expect(response.headers['x-total-count']).toBe('1');
+    });
+
+    it('shows a customer their own order', async () => {
+      Order.findOne.mockResolvedValue(buildStoredOrder(1));
+
+      const response = await request(app).get('/api/orders/GM-241224-7K3QX9').set('X-Test-User', '1');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ order_number: 'GM-241224-7K3QX9', status: 'placed' });
+      expect(response.body.data.items).toEqual([expect.objectContaining({ sku: 'PROD-001', quantity: 2 })]);
+    });
+
+    it('answers another customer\'s order and a missing one alike', async () => {
+      Order.findOne.mockResolvedValue(buildStoredOrder(1));
+      const foreign = await request(app).get('/api/orders/GM-241224-7K3QX9').set('X-Test-User', '2');
+
+      Order.findOne.mockResolvedValue(null);
+      const missing = await request(app).get('/api/orders/GM-241224-ZZZZZZ').set('X-Test-User', '1');
+
+      expect(foreign.status).toBe(404);
+      expect(missing.status).toBe(404);
+      expect(foreign.body).toEqual({ error: { code: 'ORDER_NOT_FOUND', message: 'Order not found' } });
+      expect(missing.body).toEqual(foreign.body);
+    });
+
+    it('does not show a guest order to a signed-in customer', async () => {
+      Order.findOne.mockResolvedValue(buildStoredOrder(null));
+
+      const response = await request(app).get('/api/orders/GM-241224-7K3QX9').set('X-Test-User', '1');
+
+      expect(response.status).toBe(404);
+    });
+  });
+});
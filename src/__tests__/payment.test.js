@@ -0,0 +1,527 @@
+const MockPaymentProvider = require('../services/payments/MockPaymentProvider');
+
+// Mock the database and logger
+jest.mock('../database/models', () => ({
+  Checkout: {
+    findByPk: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  Cart: {},
+  Payment: {
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  Order: {
+    findByPk: jest.fn()
+  },
+  OrderItem: {},
+  PaymentWebhookEvent: {
+    findOrCreate: jest.fn(),
+    findAll: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+jest.mock('../services/CheckoutService', () => ({
+  confirmReservations: jest.fn(),
+  failSession: jest.fn()
+}));
+
+jest.mock('../services/PaymentWebhookService', () => ({
+  processDeferredEvents: jest.fn()
+}));
+
+jest.mock('../services/InvoiceService', () => ({
+  issueCreditNote: jest.fn()
+}));
+
+jest.mock('../services/OrderEmailService', () => ({
+  queueRefundIssued: jest.fn()
+}));
+
+const { Checkout, Payment, Order, PaymentWebhookEvent } = require('../database/models');
+const CheckoutService = require('../services/CheckoutService');
+const PaymentService = require('../services/PaymentService');
+const OrderService = require('../services/OrderService');
+const InvoiceService = require('../services/InvoiceService');
+const OrderEmailService = require('../services/OrderEmailService');
+const PaymentWebhookService = jest.requireActual('../services/PaymentWebhookService');
+
+/**
+ * Build a payment double that tracks status changes like the model does
+ */
+const buildPayment = (overrides = {}) => {
+  const payment = {
+    id: 42,
+    provider: 'mock',
+    method: 'card',
+    status: 'pending',
+    amount: '114.87',
+    currency: 'USD',
+    amount_captured: '0.00',
+    amount_refunded: '0.00',
+    provider_payment_id: null,
+    ...overrides
+  };
+
+  payment.canCapture = () => payment.status === 'authorized';
+  payment.canVoid = () => payment.status === 'authorized';
+  payment.getRefundableAmount = () => parseFloat(payment.amount_captured) - parseFloat(payment.amount_refunded);
+  payment.canRefund = () => ['captured', 'partially_refunded'].includes(payment.status) && payment.getRefundableAmount() > 0;
+  payment.markAsAuthorized = jest.fn(async (providerPaymentId) => {
+    payment.status = 'authorized';
+    payment.provider_payment_id = providerPaymentId;
+  });
+  payment.markAsCaptured = jest.fn(async (amount) => {
+    payment.status = 'captured';
+    payment.amount_captured = String(amount);
+  });
+  payment.markAsVoided = jest.fn(async () => {
+    payment.status = 'voided';
+  });
+  payment.markAsFailed = jest.fn(async (failureCode) => {
+    payment.status = 'failed';
+    payment.failure_code = failureCode;
+  });
+  payment.recordRefund = jest.fn();
+  payment.reload = jest.fn();
+  payment.hasRefund = jest.fn(() => false);
+  payment.getSummary = () => ({ id: payment.id, status: payment.status });
+
+  return payment;
+};
+
+describe('MockPaymentProvider', () => {
+  const provider = new MockPaymentProvider();
+  const baseRequest = { amount: 100, currency: 'INR', reference: 7 };
+
+  it('should authorize a valid card and return masked instrument details', async () => {
+    const result = await provider.authorize({
+      ...baseRequest,
+      method: 'card',
+      details: { number: '4242 4242 4242 4242' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.provider_payment_id).toBe('mock_pay_7');
+    expect(result.meta.instrument).toEqual({ type: 'card', brand: 'visa', last4: '4242' });
+  });
+
+  it('should decline the test card numbers deterministically', async () => {
+    for (const cardNumber of ['4000000000000002', '4000000000009995', '4000000000000069']) {
+      const result = await provider.authorize({ ...baseRequest, method: 'card', details: { number: cardNumber } });
+
+      expect(result.success).toBe(false);
+      expect(result.failure_code).toBe(MockPaymentProvider.TEST_CARDS[cardNumber].failure_code);
+    }
+  });
+
+  it('should reject card numbers that fail the checksum', async () => {
+    const result = await provider.authorize({ ...baseRequest, method: 'card', details: { number: '4242424242424241' } });
+
+    expect(result.success).toBe(false);
+    expect(result.failure_code).toBe('invalid_card_number');
+  });
+
+  it('should authorize UPI and decline the failure handle', async () => {
+    const approved = await provider.authorize({ ...baseRequest, method: 'upi', details: { vpa: 'buyer@okbank' } });
+    const declined = await provider.authorize({ ...baseRequest, method: 'upi', details: { vpa: 'failure@mock' } });
+
+    expect(approved.success).toBe(true);
+    expect(approved.meta.instrument.vpa).toBe('bu***@okbank');
+    expect(declined.success).toBe(false);
+    expect(declined.failure_code).toBe('upi_declined');
+  });
+
+  it('should fail capture for the capture-failure test card only', async () => {
+    const auth = await provider.authorize({ ...baseRequest, method: 'card', details: { number: '4000000000000341' } });
+    const capture = await provider.capture({ provider_payment_id: auth.provider_payment_id, amount: 100, reference: 7 });
+
+    expect(auth.success).toBe(true);
+    expect(capture.success).toBe(false);
+    expect(capture.failure_code).toBe('capture_failed');
+  });
+});
+
+describe('PaymentService', () => {
+  let transaction;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    transaction = {
+      LOCK: { UPDATE: 'UPDATE' },
+      commit: jest.fn(),
+      rollback: jest.fn()
+    };
+    Checkout.sequelize.transaction.mockResolvedValue(transaction);
+    Checkout.findByPk.mockResolvedValue({
+      id: 10,
+      status: 'active',
+      grand_total: '114.87',
+      currency: 'USD',
+      cart: { user_id: 5, isAccessibleBy: userId => String(userId) === '5' },
+      isExpired: () => false,
+      canProcessPayment: () => true,
+      getAmountDue: () => 114.87
+    });
+    Payment.findOne.mockResolvedValue(null);
+  });
+
+  describe('payForCheckout', () => {
+    it('should place the order and capture when the card is approved', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockResolvedValue({ order_number: 'GM-241224-ABCDEF' });
+
+      const result = await PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5);
+
+      expect(result.success).toBe(true);
+      expect(result.checkout_status).toBe('completed');
+      expect(CheckoutService.confirmReservations).toHaveBeenCalledWith(10, payment);
+      expect(payment.status).toBe('captured');
+      expect(CheckoutService.failSession).not.toHaveBeenCalled();
+    });
+
+    it('should fail the checkout with the decline reason when the card is declined', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+
+      const result = await PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4000000000000002' }
+      }, 5);
+
+      expect(result.success).toBe(false);
+      expect(result.checkout_status).toBe('failed');
+      expect(payment.markAsFailed).toHaveBeenCalledWith('card_declined', 'Your card was declined');
+      expect(CheckoutService.failSession).toHaveBeenCalledWith(10, 'Your card was declined');
+      expect(CheckoutService.confirmReservations).not.toHaveBeenCalled();
+    });
+
+    it('should void the authorization when the order cannot be placed', async () => {
+      const payment = buildPayment({ method: 'upi' });
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockRejectedValue(new Error('Checkout session has expired'));
+
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'upi',
+        details: { vpa: 'buyer@okbank' }
+      }, 5)).rejects.toThrow('Checkout session has expired');
+
+      expect(payment.status).toBe('voided');
+      expect(CheckoutService.failSession).toHaveBeenCalledWith(10, 'Order could not be placed');
+    });
+
+    it('should fail the payment and the checkout when the provider cannot be reached', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      const authorize = jest.spyOn(MockPaymentProvider.prototype, 'authorize')
+        .mockRejectedValue(new Error('socket hang up'));
+
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5)).rejects.toThrow('socket hang up');
+
+      expect(payment.markAsFailed).toHaveBeenCalledWith('provider_error', 'socket hang up');
+      expect(CheckoutService.failSession).toHaveBeenCalledWith(10, 'Payment could not be authorized');
+      expect(CheckoutService.confirmReservations).not.toHaveBeenCalled();
+      authorize.mockRestore();
+    });
+
+    it('should still fail the checkout with the original error when the void fails', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockRejectedValue(new Error('Checkout session has expired'));
+      const voidAuthorization = jest.spyOn(MockPaymentProvider.prototype, 'void')
+        .mockRejectedValue(new Error('Gateway timeout'));
+
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5)).rejects.toThrow('Checkout session has expired');
+
+      expect(payment.status).toBe('authorized');
+      expect(CheckoutService.failSession).toHaveBeenCalledWith(10, 'Order could not be placed');
+      voidAuthorization.mockRestore();
+    });
+
+    it('should not capture again when the webhook captured the payment while the order was placed', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockResolvedValue({ order_number: 'GM-241224-ABCDEF' });
+      payment.reload.mockImplementation(async () => {
+        payment.status = 'captured';
+      });
+      const capture = jest.spyOn(MockPaymentProvider.prototype, 'capture');
+
+      const result = await PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5);
+
+      expect(result.success).toBe(true);
+      expect(capture).not.toHaveBeenCalled();
+      expect(payment.markAsCaptured).not.toHaveBeenCalled();
+      capture.mockRestore();
+    });
+
+    it('should keep the order the webhook already placed for the payment', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockRejectedValue(new Error('Checkout session is not active'));
+      payment.reload.mockImplementation(async () => {
+        payment.order_id = 77;
+      });
+      Order.findByPk.mockResolvedValue({ id: 77, order_number: 'GM-241224-ABCDEF' });
+
+      const result = await PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5);
+
+      expect(result.success).toBe(true);
+      expect(result.checkout_status).toBe('completed');
+      expect(Order.findByPk).toHaveBeenCalledWith(77, expect.any(Object));
+      expect(payment.markAsVoided).not.toHaveBeenCalled();
+      expect(payment.status).toBe('captured');
+      expect(CheckoutService.failSession).not.toHaveBeenCalled();
+    });
+
+    it('should void without failing the checkout when the session was closed elsewhere', async () => {
+      const payment = buildPayment();
+      Payment.create.mockResolvedValue(payment);
+      CheckoutService.confirmReservations.mockRejectedValue(new Error('Checkout session is not active'));
+
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5)).rejects.toThrow('Checkout session is not active');
+
+      expect(payment.status).toBe('voided');
+      expect(CheckoutService.failSession).not.toHaveBeenCalled();
+    });
+
+    it('should reject checkouts owned by another user', async () => {
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 99)).rejects.toThrow('Access denied');
+
+      expect(Payment.create).not.toHaveBeenCalled();
+      expect(transaction.rollback).toHaveBeenCalled();
+    });
+
+    it('should reject a second payment while one is in flight', async () => {
+      Payment.findOne.mockResolvedValue(buildPayment({ status: 'authorized' }));
+
+      await expect(PaymentService.payForCheckout(10, {
+        type: 'card',
+        details: { number: '4242424242424242' }
+      }, 5)).rejects.toThrow('Payment already in progress for this checkout');
+    });
+
+    it('should place the order without a payment when gift cards cover the total', async () => {
+      const order = { id: 77, order_number: 'GM-241224-ABCDEF' };
+      Checkout.findByPk.mockResolvedValue({
+        id: 10,
+        status: 'active',
+        currency: 'USD',
+        cart: { user_id: 5, isAccessibleBy: () => true },
+        isExpired: () => false,
+        canProcessPayment: () => true,
+        getAmountDue: () => 0
+      });
+      CheckoutService.confirmReservations.mockResolvedValue(order);
+      const markAsPaid = jest.spyOn(OrderService, 'markAsPaid').mockResolvedValue(true);
+
+      const result = await PaymentService.payForCheckout(10, {}, 5);
+
+      expect(result.success).toBe(true);
+      expect(result.payment).toBeNull();
+      expect(Payment.create).not.toHaveBeenCalled();
+      expect(CheckoutService.confirmReservations).toHaveBeenCalledWith(10);
+      expect(markAsPaid).toHaveBeenCalledWith(77, null);
+      markAsPaid.mockRestore();
+    });
+  });
+
+  describe('refundPayment', () => {
+    it('should refuse to refund more than the captured balance', async () => {
+      const payment = buildPayment({
+        status: 'captured',
+        provider_payment_id: 'mock_pay_42',
+        amount_captured: '114.87'
+      });
+
+      await expect(PaymentService.refundPayment(payment, 200)).rejects.toThrow('Refund amount must be between 0 and 114.87');
+      expect(payment.recordRefund).not.toHaveBeenCalled();
+    });
+
+    it('should refund the remaining balance by default', async () => {
+      const payment = buildPayment({
+        status: 'partially_refunded',
+        provider_payment_id: 'mock_pay_42',
+        amount_captured: '114.87',
+        amount_refunded: '14.87'
+      });
+
+      const result = await PaymentService.refundPayment(payment);
+
+      expect(result.amount).toBe(100);
+      expect(result.provider_reference).toBe('mock_rfnd_42_1487');
+      expect(payment.recordRefund).toHaveBeenCalledWith(100, 'mock_rfnd_42_1487');
+    });
+
+    it('should issue a credit note and queue an email for order refunds without failing the refund', async () => {
+      const payment = buildPayment({
+        status: 'captured',
+        order_id: 10,
+        provider_payment_id: 'mock_pay_42',
+        amount_captured: '114.87'
+      });
+      InvoiceService.issueCreditNote.mockRejectedValueOnce(new Error('Order has no invoice'));
+
+      const result = await PaymentService.refundPayment(payment, 30, 'return', {
+        items: [{ order_item_id: 7, qty: 1 }]
+      });
+
+      expect(result.amount).toBe(30);
+      expect(InvoiceService.issueCreditNote).toHaveBeenCalledWith(payment, 'mock_rfnd_42_0', {
+        reason: 'return',
+        items: [{ order_item_id: 7, qty: 1 }]
+      });
+      expect(OrderEmailService.queueRefundIssued).toHaveBeenCalledWith(payment, 'mock_rfnd_42_0', 30, 'return');
+    });
+  });
+});
+
+describe('PaymentWebhookService', () => {
+  const provider = new MockPaymentProvider();
+
+  /**
+   * Build a signed mock webhook delivery
+   */
+  const buildDelivery = (payload, timestamp) => {
+    const rawBody = Buffer.from(JSON.stringify(payload));
+    return {
+      rawBody,
+      headers: { 'x-mock-signature': provider.signWebhookPayload(rawBody.toString('utf8'), timestamp) }
+    };
+  };
+
+  const capturedPayload = {
+    id: 'evt_1',
+    type: 'payment.captured',
+    created: 1703412345,
+    data: { payment_id: 'mock_pay_42', amount: 114.87 }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('ingest', () => {
+    it('should reject deliveries with a bad signature', async () => {
+      const { rawBody } = buildDelivery(capturedPayload);
+
+      await expect(PaymentWebhookService.ingest('mock', rawBody, {
+        'x-mock-signature': `t=${Math.floor(Date.now() / 1000)},v1=${'0'.repeat(64)}`
+      })).rejects.toThrow('Invalid webhook signature');
+
+      expect(PaymentWebhookEvent.findOrCreate).not.toHaveBeenCalled();
+    });
+
+    it('should reject deliveries signed outside the tolerance window', async () => {
+      const { rawBody, headers } = buildDelivery(capturedPayload, Math.floor(Date.now() / 1000) - 3600);
+
+      await expect(PaymentWebhookService.ingest('mock', rawBody, headers)).rejects.toThrow('Invalid webhook signature');
+    });
+
+    it('should not re-apply an event that was already processed', async () => {
+      const { rawBody, headers } = buildDelivery(capturedPayload);
+      const storedEvent = { event_id: 'evt_1', status: 'processed', isSettled: () => true };
+      PaymentWebhookEvent.findOrCreate.mockResolvedValue([storedEvent, false]);
+      const processSpy = jest.spyOn(PaymentWebhookService, 'processEvent');
+
+      const result = await PaymentWebhookService.ingest('mock', rawBody, headers);
+
+      expect(result.duplicate).toBe(true);
+      expect(processSpy).not.toHaveBeenCalled();
+      processSpy.mockRestore();
+    });
+  });
+
+  describe('applyTransition', () => {
+    const transaction = {};
+
+    it('should capture a pending payment when the capture arrives before the authorization', async () => {
+      const payment = buildPayment({ provider_payment_id: 'mock_pay_42' });
+
+      const outcome = await PaymentWebhookService.applyTransition(payment, {
+        event_type: 'payment.captured',
+        amount: 114.87
+      }, transaction);
+
+      expect(outcome.status).toBe('processed');
+      expect(payment.markAsCaptured).toHaveBeenCalledWith(114.87, { transaction });
+    });
+
+    it('should ignore a late authorization for a captured payment', async () => {
+      const payment = buildPayment({ status: 'captured', provider_payment_id: 'mock_pay_42' });
+
+      const outcome = await PaymentWebhookService.applyTransition(payment, {
+        event_type: 'payment.authorized'
+      }, transaction);
+
+      expect(outcome.status).toBe('ignored');
+      expect(payment.markAsAuthorized).not.toHaveBeenCalled();
+    });
+
+    it('should defer a refund that arrives before the capture', async () => {
+      const payment = buildPayment({ status: 'authorized', provider_payment_id: 'mock_pay_42' });
+
+      const outcome = await PaymentWebhookService.applyTransition(payment, {
+        event_type: 'payment.refunded',
+        refund_id: 'rfnd_1',
+        amount: 20
+      }, transaction);
+
+      expect(outcome.status).toBe('deferred');
+      expect(payment.recordRefund).not.toHaveBeenCalled();
+    });
+
+    it('should record a refund only once per provider refund id', async () => {
+      const payment = buildPayment({
+        status: 'captured',
+        provider_payment_id: 'mock_pay_42',
+        amount_captured: '114.87'
+      });
+      const refundEvent = { event_type: 'payment.refunded', refund_id: 'rfnd_1', amount: 20 };
+
+      const first = await PaymentWebhookService.applyTransition(payment, refundEvent, transaction);
+      payment.hasRefund.mockReturnValue(true);
+      const second = await PaymentWebhookService.applyTransition(payment, refundEvent, transaction);
+
+      expect(first.status).toBe('processed');
+      expect(second.status).toBe('ignored');
+      expect(payment.recordRefund).toHaveBeenCalledTimes(1);
+      expect(payment.recordRefund).toHaveBeenCalledWith(20, 'rfnd_1', { transaction });
+    });
+  });
+});
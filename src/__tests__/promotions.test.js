@@ -0,0 +1,160 @@
+// Mock the database and logger
+jest.mock('../database/models', () => ({
+  Coupon: {},
+  CartCoupon: {
+    findAll: jest.fn()
+  },
+  CouponRedemption: {},
+  Promotion: {
+    findAll: jest.fn()
+  },
+  ExchangeRate: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { CartCoupon, Promotion } = require('../database/models');
+const PromotionService = require('../services/PromotionService');
+
+/**
+ * Build a running promotion with the model's scope rules
+ */
+const buildPromotion = (overrides = {}) => ({
+  id: 1,
+  name: 'Promotion',
+  description: null,
+  currency: 'USD',
+  applies_to: 'all',
+  product_ids: null,
+  exclusive: false,
+  isRunning: () => true,
+  appliesToItem(item) {
+    if (this.type === 'bundle_price') {
+      return this.rules.items.some(component => component.sku === item.sku);
+    }
+    return this.applies_to === 'all' || (this.product_ids || []).includes(item.product_id);
+  },
+  ...overrides
+});
+
+const buildItem = (id, sku, qty, unitPrice) => ({
+  id,
+  product_id: id * 10,
+  sku,
+  qty,
+  line_subtotal: (qty * unitPrice).toFixed(2),
+  line_discount: '0.00',
+  discount_details: null,
+  update: jest.fn()
+});
+
+const cart = { id: 7, user_id: null, currency: 'USD' };
+
+describe('Automatic promotions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    CartCoupon.findAll.mockResolvedValue([]);
+  });
+
+  it('gives the cheapest unit away in buy 2 get 1 free', async () => {
+    const items = [buildItem(1, 'TEE-RED', 2, 20), buildItem(2, 'TEE-BLUE', 1, 10)];
+    Promotion.findAll.mockResolvedValue([buildPromotion({
+      name: 'Buy 2 tees, get 1 free',
+      type: 'buy_x_get_y',
+      rules: { buy_qty: 2, get_qty: 1, percent_off: 100 }
+    })]);
+
+    const result = await PromotionService.applyToCart(cart, items);
+
+    expect(result.discount_total).toBe(10);
+    expect(items[0].update).not.toHaveBeenCalled();
+    expect(items[1].update).toHaveBeenCalledWith({
+      line_discount: 10,
+      discount_details: [{ source: 'promotion', id: 1, name: 'Buy 2 tees, get 1 free', amount: 10 }]
+    }, { transaction: null });
+  });
+
+  it('takes the percentage of the highest tier reached', async () => {
+    const items = [buildItem(1, 'MUG', 3, 50), buildItem(2, 'BOWL', 2, 40)];
+    Promotion.findAll.mockResolvedValue([buildPromotion({
+      type: 'tiered_spend',
+      rules: { tiers: [{ min_subtotal: 100, percent_off: 5 }, { min_subtotal: 200, percent_off: 10 }] }
+    })]);
+
+    const result = await PromotionService.applyToCart(cart, items);
+
+    expect(result.discount_total).toBe(23);
+    expect(items[0].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 15 }), { transaction: null });
+    expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 8 }), { transaction: null });
+  });
+
+  it('prices each complete bundle at the bundle price', async () => {
+    const items = [buildItem(1, 'CAMERA', 2, 30), buildItem(2, 'STRAP', 1, 20)];
+    Promotion.findAll.mockResolvedValue([buildPromotion({
+      type: 'bundle_price',
+      rules: { items: [{ sku: 'CAMERA', qty: 1 }, { sku: 'STRAP', qty: 1 }], price: 40 }
+    })]);
+
+    const result = await PromotionService.applyToCart(cart, items);
+
+    expect(result.discount_total).toBe(10);
+    expect(items[0].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 6 }), { transaction: null });
+    expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 4 }), { transaction: null });
+  });
+
+  it('keeps later promotions and coupons off lines an exclusive promotion discounted', async () => {
+    const items = [buildItem(1, 'TEE', 2, 20), buildItem(2, 'CAP', 1, 10)];
+    const cartCoupon = {
+      coupon: {
+        code: 'SAVE10',
+        type: 'percentage',
+        value: '10.00',
+        min_subtotal: null,
+        getAvailabilityError: () => null,
+        isLineDiscount: () => true,
+        appliesToItem: item => item.sku === 'TEE'
+      },
+      update: jest.fn(),
+      getSummary: jest.fn()
+    };
+    CartCoupon.findAll.mockResolvedValue([cartCoupon]);
+    Promotion.findAll.mockResolvedValue([
+      buildPromotion({
+        id: 1,
+        name: 'Second tee half price',
+        type: 'buy_x_get_y',
+        rules: { buy_qty: 1, get_qty: 1, percent_off: 50 },
+        applies_to: 'products',
+        product_ids: [10],
+        exclusive: true
+      }),
+      buildPromotion({
+        id: 2,
+        name: '5% off everything',
+        type: 'tiered_spend',
+        rules: { tiers: [{ min_subtotal: 0, percent_off: 5 }] }
+      })
+    ]);
+
+    const result = await PromotionService.applyToCart(cart, items);
+
+    expect(Promotion.findAll).toHaveBeenCalledWith(expect.objectContaining({
+      order: [['priority', 'ASC'], ['id', 'ASC']]
+    }));
+    expect(result.promotions.map(promotion => promotion.id)).toEqual([1, 2]);
+    expect(items[0].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 10 }), { transaction: null });
+    expect(items[1].update).toHaveBeenCalledWith(expect.objectContaining({ line_discount: 0.5 }), { transaction: null });
+    expect(cartCoupon.update).toHaveBeenCalledWith(expect.objectContaining({
+      discount_amount: 0,
+      inapplicable_reason: 'Coupon cannot be combined with the promotions on these items'
+    }), { transaction: null });
+  });
+});
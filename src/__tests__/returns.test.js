@@ -0,0 +1,340 @@
+// Mock the database, audit log and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  ReturnRequest: {
+    findByPk: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  ReturnItem: {
+    findAll: jest.fn(),
+    bulkCreate: jest.fn()
+  },
+  Order: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  OrderItem: {
+    findAll: jest.fn()
+  },
+  Payment: {
+    findOne: jest.fn()
+  },
+  Inventory: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../services/PaymentService', () => ({
+  refundPayment: jest.fn()
+}));
+
+jest.mock('../services/TenderService', () => ({
+  restoreForReturn: jest.fn()
+}));
+
+jest.mock('../services/AuditService', () => ({
+  log: jest.fn()
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const {
+  ReturnRequest,
+  ReturnItem,
+  Order,
+  OrderItem,
+  Payment,
+  Inventory
+} = require('../database/models');
+const PaymentService = require('../services/PaymentService');
+const TenderService = require('../services/TenderService');
+const AuditService = require('../services/AuditService');
+const ReturnService = require('../services/ReturnService');
+
+const buildOrder = (overrides = {}) => ({
+  id: 10,
+  user_id: 1,
+  status: 'delivered',
+  placed_at: new Date(),
+  isOwnedBy: userId => String(userId) === '1',
+  ...overrides
+});
+
+const buildReturn = (overrides = {}) => {
+  const returnRequest = {
+    id: 5,
+    rma_number: 'RMA-241230-4MZK8Q',
+    order_id: 10,
+    status: 'requested',
+    refund_amount: '60.00',
+    refund_status: 'none',
+    canReview() {
+      return this.status === 'requested';
+    },
+    canReceive() {
+      return this.status === 'approved';
+    },
+    ...overrides
+  };
+  returnRequest.update = jest.fn(async values => Object.assign(returnRequest, values));
+  return returnRequest;
+};
+
+describe('ReturnService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReturnRequest.sequelize.transaction.mockResolvedValue(mockTransaction);
+    ReturnRequest.findOne.mockResolvedValue({ id: 5 });
+    TenderService.restoreForReturn.mockResolvedValue(0);
+  });
+
+  describe('createReturn', () => {
+    beforeEach(() => {
+      Order.findOne.mockResolvedValue(buildOrder());
+      OrderItem.findAll.mockResolvedValue([
+        { id: 12, sku: 'PROD-001', qty: 3, line_total: '90.00', getActiveQuantity: () => 3 }
+      ]);
+    });
+
+    it('prorates the refund from the line total', async () => {
+      ReturnItem.findAll.mockResolvedValue([]);
+      ReturnRequest.create.mockResolvedValue(buildReturn());
+
+      await ReturnService.createReturn('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 12, qty: 2, reason: 'defective' }]
+      });
+
+      expect(ReturnRequest.create.mock.calls[0][0]).toMatchObject({
+        order_id: 10,
+        user_id: 1,
+        status: 'requested',
+        refund_amount: 60
+      });
+      expect(ReturnItem.bulkCreate.mock.calls[0][0]).toEqual([
+        { order_item_id: 12, qty: 2, reason: 'defective', refund_amount: 60, return_request_id: 5 }
+      ]);
+      expect(mockTransaction.commit).toHaveBeenCalled();
+      expect(AuditService.log).toHaveBeenCalledWith('RETURN_REQUESTED', expect.objectContaining({
+        actor_user_id: 1,
+        resource_type: 'RETURN_REQUEST',
+        resource_id: 'RMA-241230-4MZK8Q'
+      }));
+    });
+
+    it('rejects quantities already covered by other returns', async () => {
+      ReturnItem.findAll.mockResolvedValue([{ order_item_id: 12, qty: 2 }]);
+
+      await expect(ReturnService.createReturn('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 12, qty: 2, reason: 'defective' }]
+      })).rejects.toThrow('Only 1 unit(s) of PROD-001 can be returned');
+
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+      expect(ReturnRequest.create).not.toHaveBeenCalled();
+    });
+
+    it('hides orders owned by other users', async () => {
+      await expect(ReturnService.createReturn('GM-241224-7K3QX9', 2, {
+        items: [{ order_item_id: 12, qty: 1, reason: 'other' }]
+      })).rejects.toThrow('Order not found');
+    });
+
+    it('rejects returns for orders that have not shipped', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({ status: 'picking' }));
+
+      await expect(ReturnService.createReturn('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 12, qty: 1, reason: 'other' }]
+      })).rejects.toThrow('Order cannot be returned');
+    });
+
+    it('rejects returns after the return window', async () => {
+      Order.findOne.mockResolvedValue(buildOrder({ placed_at: new Date('2020-01-01') }));
+
+      await expect(ReturnService.createReturn('GM-241224-7K3QX9', 1, {
+        items: [{ order_item_id: 12, qty: 1, reason: 'other' }]
+      })).rejects.toThrow('Return window has closed');
+    });
+  });
+
+  describe('approveReturn', () => {
+    it('refunds the captured payment once approved', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      const payment = { id: 3, getRefundableAmount: () => 100 };
+      Payment.findOne.mockResolvedValue(payment);
+      ReturnItem.findAll.mockResolvedValue([{ order_item_id: 12, qty: 2 }]);
+      PaymentService.refundPayment.mockResolvedValue({ amount: 60, provider_reference: 'mock_rfnd_3_0' });
+
+      await ReturnService.approveReturn(5, 99, 'Looks defective');
+
+      expect(returnRequest.update.mock.calls[0][0]).toMatchObject({
+        status: 'approved',
+        reviewed_by: 99,
+        refund_status: 'pending'
+      });
+      expect(PaymentService.refundPayment).toHaveBeenCalledWith(payment, 60, 'return', {
+        items: [{ order_item_id: 12, qty: 2 }]
+      });
+      expect(returnRequest.refund_status).toBe('refunded');
+      expect(returnRequest.refund_reference).toBe('mock_rfnd_3_0');
+
+      const actions = AuditService.log.mock.calls.map(call => call[0]);
+      expect(actions).toEqual(['RETURN_APPROVED', 'RETURN_REFUNDED']);
+    });
+
+    it('records a failed refund so it can be retried', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      Payment.findOne.mockResolvedValue(null);
+
+      await ReturnService.approveReturn(5, 99);
+
+      expect(returnRequest.status).toBe('approved');
+      expect(returnRequest.refund_status).toBe('failed');
+      expect(returnRequest.refund_error).toBe('No captured payment found for this order');
+      expect(AuditService.log.mock.calls.map(call => call[0])).toContain('RETURN_REFUND_FAILED');
+    });
+
+    it('refunds an order paid only by gift card or store credit to its tenders', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      const order = { id: 10, grand_total: '60.00', tender_total: '60.00' };
+      Order.findByPk.mockResolvedValue(order);
+      TenderService.restoreForReturn.mockResolvedValue(60);
+
+      await ReturnService.approveReturn(5, 99);
+
+      expect(TenderService.restoreForReturn).toHaveBeenCalledWith(order, 60, 'RMA-241230-4MZK8Q', 99, mockTransaction);
+      expect(Payment.findOne).not.toHaveBeenCalled();
+      expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+      expect(returnRequest).toMatchObject({ refund_status: 'refunded', tender_refunded: 60, payment_id: null });
+    });
+
+    it('refunds the payment only for the share the tenders did not cover', async () => {
+      const returnRequest = buildReturn();
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      TenderService.restoreForReturn.mockResolvedValue(20);
+      const payment = { id: 3, getRefundableAmount: () => 100 };
+      Payment.findOne.mockResolvedValue(payment);
+      ReturnItem.findAll.mockResolvedValue([{ order_item_id: 12, qty: 2 }]);
+      PaymentService.refundPayment.mockResolvedValue({ amount: 40, provider_reference: 'mock_rfnd_3_1' });
+
+      await ReturnService.approveReturn(5, 99);
+
+      expect(PaymentService.refundPayment).toHaveBeenCalledWith(payment, 40, 'return', {
+        items: [{ order_item_id: 12, qty: 2 }]
+      });
+      expect(returnRequest).toMatchObject({ refund_status: 'refunded', tender_refunded: 20, payment_id: 3 });
+    });
+
+    it('does not give tenders back again when a failed refund is retried', async () => {
+      const returnRequest = buildReturn({ status: 'approved', refund_status: 'failed', tender_refunded: '20.00' });
+      returnRequest.canRetryRefund = () => true;
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      Payment.findOne.mockResolvedValue({ id: 3, getRefundableAmount: () => 100 });
+      ReturnItem.findAll.mockResolvedValue([]);
+      PaymentService.refundPayment.mockResolvedValue({ amount: 40, provider_reference: 'mock_rfnd_3_2' });
+
+      await ReturnService.retryRefund(5, 99);
+
+      expect(TenderService.restoreForReturn).not.toHaveBeenCalled();
+      expect(PaymentService.refundPayment.mock.calls[0][1]).toBe(40);
+      expect(returnRequest.refund_status).toBe('refunded');
+    });
+
+    it('does not review a return twice', async () => {
+      ReturnRequest.findByPk.mockResolvedValue(buildReturn({ status: 'rejected' }));
+
+      await expect(ReturnService.approveReturn(5, 99)).rejects.toThrow('Return is already rejected');
+      expect(PaymentService.refundPayment).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('receiveReturn', () => {
+    it('restocks only items in a sellable condition', async () => {
+      const buildItem = (id, productId) => ({
+        id,
+        qty: 1,
+        orderItem: { product_id: productId, sku: `SKU-${id}` },
+        isRestockable() {
+          return ['unopened', 'good'].includes(this.condition);
+        },
+        save: jest.fn()
+      });
+      const goodItem = buildItem(7, 40);
+      const damagedItem = buildItem(8, 41);
+      const returnRequest = buildReturn({ status: 'approved', items: [goodItem, damagedItem] });
+      ReturnRequest.findByPk.mockResolvedValue(returnRequest);
+      const inventory = { addStock: jest.fn() };
+      Inventory.findOne.mockResolvedValue(inventory);
+      const order = {
+        id: 10,
+        items: [
+          { id: 70, qty: 1, getActiveQuantity: () => 1 },
+          { id: 80, qty: 1, getActiveQuantity: () => 1 }
+        ],
+        canTransitionTo: status => status === 'returned',
+        transitionTo: jest.fn()
+      };
+      Order.findByPk.mockResolvedValue(order);
+      ReturnItem.findAll.mockResolvedValue([
+        { order_item_id: 70, qty: 1 },
+        { order_item_id: 80, qty: 1 }
+      ]);
+
+      await ReturnService.receiveReturn(5, 77, {
+        items: [
+          { return_item_id: 7, condition: 'good' },
+          { return_item_id: 8, condition: 'damaged' }
+        ]
+      });
+
+      expect(Inventory.findOne).toHaveBeenCalledTimes(1);
+      expect(inventory.addStock).toHaveBeenCalledWith(
+        1,
+        'return',
+        'Returned via RMA-241230-4MZK8Q',
+        77,
+        { transaction: mockTransaction }
+      );
+      expect(goodItem.restocked).toBe(true);
+      expect(damagedItem.restocked).toBeUndefined();
+      expect(returnRequest.status).toBe('received');
+      expect(order.transitionTo).toHaveBeenCalledWith(
+        'returned',
+        77,
+        'Returned via RMA-241230-4MZK8Q',
+        { transaction: mockTransaction }
+      );
+      expect(AuditService.log).toHaveBeenCalledWith('RETURN_RECEIVED', expect.objectContaining({
+        actor_user_id: 77,
+        meta: expect.objectContaining({ restocked: [{ sku: 'SKU-7', qty: 1 }] })
+      }));
+    });
+
+    it('requires a condition for every returned item', async () => {
+      ReturnRequest.findByPk.mockResolvedValue(buildReturn({
+        status: 'approved',
+        items: [{ id: 7 }, { id: 8 }]
+      }));
+
+      await expect(ReturnService.receiveReturn(5, 77, {
+        items: [{ return_item_id: 7, condition: 'good' }]
+      })).rejects.toThrow('A condition must be recorded for every returned item');
+      expect(mockTransaction.rollback).toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,342 @@
+// Mock the database and logger
+jest.mock('../database/models', () => ({
+  ShippingZone: {
+    findAll: jest.fn()
+  },
+  ShippingZoneRegion: {},
+  ShippingMethod: {
+    findAll: jest.fn(),
+    findByPk: jest.fn()
+  },
+  ShippingRate: {},
+  ShippingRateBand: {},
+  ShippingBox: {
+    findAll: jest.fn()
+  },
+  BusinessCalendar: {
+    findAll: jest.fn()
+  },
+  PublicHoliday: {},
+  ExchangeRate: {
+    findOne: jest.fn()
+  }
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+process.env.SHIPPING_CARRIER_TIMEOUT_MS = '50';
+
+const { ShippingZone, ShippingMethod, ShippingBox, BusinessCalendar, ExchangeRate } = require('../database/models');
+const ShippingZoneService = require('../services/ShippingZoneService');
+const ShippingService = require('../services/ShippingService');
+const PackingService = require('../services/PackingService');
+const { registerCarrier } = require('../services/carriers');
+const CarrierAdapter = require('../services/carriers/CarrierAdapter');
+
+const models = jest.requireActual('../database/models');
+
+/**
+ * Build a zone with its regions and rates, as loaded for pricing
+ */
+const buildZone = (values) => models.ShippingZone.build(values, {
+  include: [
+    { model: models.ShippingZoneRegion, as: 'regions' },
+    { model: models.ShippingRate, as: 'rates', include: [{ model: models.ShippingRateBand, as: 'bands' }] }
+  ]
+});
+
+const standard = models.ShippingMethod.build({ id: 1, code: 'standard', name: 'Standard Shipping', max_weight: 30, max_value: 10000, volumetric_divisor: 5000 });
+const express = models.ShippingMethod.build({ id: 2, code: 'express', name: 'Express Shipping', max_weight: 20, max_value: 5000 });
+const freight = models.ShippingMethod.build({ id: 3, code: 'freight', name: 'Freight', volumetric_divisor: 4000 });
+
+const domestic = buildZone({
+  id: 1,
+  code: 'domestic',
+  regions: [{ country: 'US' }],
+  rates: [
+    {
+      method_id: 1,
+      base_rate: '5.99',
+      min_charge: '2.99',
+      free_shipping_threshold: '50.00',
+      estimated_delivery: '5-7 business days',
+      transit_days_min: 5,
+      transit_days_max: 7,
+      bands: [{ basis: 'weight', min_amount: '0', max_amount: null, flat_amount: '0', unit_rate: '1.5' }]
+    },
+    {
+      method_id: 2,
+      base_rate: '12.99',
+      min_charge: '2.99',
+      free_shipping_threshold: null,
+      estimated_delivery: '2-3 business days',
+      transit_days_min: 2,
+      transit_days_max: 3,
+      bands: [{ basis: 'value', min_amount: '0', max_amount: null, flat_amount: '0', unit_rate: '0.03' }]
+    },
+    {
+      method_id: 3,
+      base_rate: '20.00',
+      min_charge: '0',
+      free_shipping_threshold: null,
+      estimated_delivery: '7-10 business days',
+      bands: [{ basis: 'weight', min_amount: '0', max_amount: null, flat_amount: '0', unit_rate: '1' }]
+    }
+  ]
+});
+
+// Alaska ZIP codes; express is not offered there
+const alaska = buildZone({
+  id: 2,
+  code: 'us_alaska',
+  regions: [{ country: 'US', postal_code_from: '995', postal_code_to: '999' }],
+  rates: [
+    {
+      method_id: 1,
+      base_rate: '9.99',
+      min_charge: '2.99',
+      free_shipping_threshold: null,
+      estimated_delivery: '8-12 business days',
+      bands: [
+        { basis: 'weight', min_amount: '0', max_amount: '5', flat_amount: '12.00', unit_rate: '0' },
+        { basis: 'weight', min_amount: '5', max_amount: null, flat_amount: '12.00', unit_rate: '2.5' }
+      ]
+    }
+  ]
+});
+
+const international = buildZone({ id: 3, code: 'international', is_default: true, regions: [], rates: [] });
+
+const usCalendar = models.BusinessCalendar.build({
+  country: 'US',
+  name: 'United States',
+  weekend_days: [6, 7],
+  holidays: [{ date: '2026-11-26', name: 'Thanksgiving Day' }]
+}, {
+  include: [{ model: models.PublicHoliday, as: 'holidays' }]
+});
+
+const mediumBox = models.ShippingBox.build({
+  code: 'medium',
+  inner_length: '40.0',
+  inner_width: '30.0',
+  inner_height: '30.0',
+  max_weight: '15.000',
+  tare_weight: '0.400'
+});
+
+/**
+ * Build a cart line of `qty` items weighing `weight` kg each, with the product's dimensions in cm if given
+ */
+const buildItem = (qty, weight, lineSubtotal, product = {}) => ({
+  qty,
+  sku: product.sku || 'SKU-1',
+  line_subtotal: lineSubtotal,
+  product: { weight, ...product }
+});
+
+describe('Shipping zones and rates', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ShippingZoneService.invalidateCache();
+    ShippingZone.findAll.mockResolvedValue([domestic, alaska, international]);
+    ShippingMethod.findAll.mockResolvedValue([standard, express, freight]);
+    ShippingBox.findAll.mockResolvedValue([]);
+    BusinessCalendar.findAll.mockResolvedValue([usCalendar]);
+    // The only stored exchange rate: 1 USD = 83 INR
+    ExchangeRate.findOne.mockImplementation(async ({ where }) => (
+      where.base_currency === 'USD' && where.quote_currency === 'INR' ? { rate: '83.00000000' } : null
+    ));
+  });
+
+  afterEach(() => {
+    delete process.env.SHIPPING_CARRIERS;
+  });
+
+  it('puts an address in the zone of the narrowest region that covers it', async () => {
+    const zoneOf = async address => (await ShippingService.getShippingZone(address)).code;
+
+    expect(await zoneOf({ country: 'US', state: 'NY', postal_code: '10001' })).toBe('domestic');
+    expect(await zoneOf({ country: 'US', state: 'AK', postal_code: '99501-1234' })).toBe('us_alaska');
+    expect(await zoneOf({ country: 'FR', state: null, postal_code: '75001' })).toBe('international');
+
+    // The zones are read once and then served from the cache
+    expect(ShippingZone.findAll).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves addresses outside a zone\'s postal code range to the wider zone', async () => {
+    const zoneOf = async address => (await ShippingService.getShippingZone(address)).code;
+
+    // 994 is below the Alaska range, and a missing postal code cannot be placed in it
+    expect(await zoneOf({ country: 'US', state: 'WA', postal_code: '99401' })).toBe('domestic');
+    expect(await zoneOf({ country: 'US', state: 'AK', postal_code: null })).toBe('domestic');
+    expect(alaska.regions[0].covers({ country: 'CA', state: null, postal_code: '99501' })).toBe(false);
+
+    const outside = await ShippingService.calculateShipping(
+      { country: 'US', state: 'WA', postal_code: '99401' }, [buildItem(1, '1', '600.00')], 'express', 'USD'
+    );
+    expect(outside).toMatchObject({ shipping_zone: 'domestic', is_available: true });
+  });
+
+  it('reads the shipping data again after an admin change', async () => {
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+    const items = [buildItem(1, '1', '60.00')];
+
+    expect((await ShippingService.getAvailableShippingMethods(address, items)).map(method => method.code))
+      .toEqual(['standard', 'express', 'freight']);
+
+    // An admin deactivates express
+    ShippingMethod.findByPk.mockResolvedValue({ id: 2, update: jest.fn(), getSummary: () => ({ id: 2 }) });
+    await ShippingZoneService.updateMethod(2, { is_active: false }, 1);
+    ShippingMethod.findAll.mockResolvedValue([standard, freight]);
+
+    expect((await ShippingService.getAvailableShippingMethods(address, items)).map(method => method.code))
+      .toEqual(['standard', 'freight']);
+    expect(ShippingMethod.findAll).toHaveBeenCalledTimes(2);
+  });
+
+  it('prices a method from its weight and value bands, minimum charge and free shipping threshold', async () => {
+    const alaskaAddress = { country: 'US', state: 'AK', postal_code: '99501' };
+    const heavy = await ShippingService.calculateShipping(alaskaAddress, [buildItem(4, '2', '30.00')], 'standard', 'USD');
+
+    expect(heavy).toMatchObject({ shipping_zone: 'us_alaska', shipping_cost: 32, is_available: true });
+    expect(heavy.breakdown).toMatchObject({ base_rate: 9.99, weight_rate: 32, value_rate: 0 });
+
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+    const free = await ShippingService.calculateShipping(address, [buildItem(1, '1', '60.00')], 'standard', 'USD');
+    expect(free.shipping_cost).toBe(0);
+
+    const expressResult = await ShippingService.calculateShipping(address, [buildItem(1, '1', '600.00')], 'express', 'USD');
+    expect(expressResult.shipping_cost).toBe(18);
+
+    const unavailable = await ShippingService.calculateShipping(alaskaAddress, [buildItem(1, '1', '60.00')], 'express', 'USD');
+    expect(unavailable).toMatchObject({ is_available: false, shipping_cost: null });
+
+    const methods = await ShippingService.getAvailableShippingMethods(address, [buildItem(1, '25', '60.00')]);
+    expect(methods.map(method => method.code)).toEqual(['standard', 'freight']);
+  });
+
+  it('converts a rate, its minimum charge and free shipping threshold into the cart currency', async () => {
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+
+    // 5.99 USD base rate; 1000 INR is under the 50 USD (4150 INR) threshold
+    const priced = await ShippingService.calculateShipping(address, [buildItem(1, '1', '1000.00')], 'standard', 'INR');
+    expect(priced).toMatchObject({ shipping_cost: 497.17, currency: 'INR', is_available: true });
+    expect(priced.breakdown).toMatchObject({ base_rate: 497.17, weight_rate: 124.5 });
+
+    const free = await ShippingService.calculateShipping(address, [buildItem(1, '1', '4150.00')], 'standard', 'INR');
+    expect(free.shipping_cost).toBe(0);
+
+    // No exchange rate from USD to EUR: the rates cannot be priced in a EUR cart
+    const unpriced = await ShippingService.calculateShipping(address, [buildItem(1, '1', '60.00')], 'standard', 'EUR');
+    expect(unpriced).toMatchObject({ is_available: false, shipping_cost: null });
+    expect(await ShippingService.getAvailableShippingMethods(address, [buildItem(1, '1', '60.00')], 'EUR')).toEqual([]);
+  });
+
+  it('packs bulky items into parcels and charges their volumetric weight', async () => {
+    ShippingBox.findAll.mockResolvedValue([mediumBox]);
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+    const items = [
+      buildItem(1, '1', '40.00', { id: 6, sku: 'LAMP-1', length: '20', width: '20', height: '30' }),
+      buildItem(2, '6', '400.00', { id: 5, sku: 'CHAIR-1', length: '90', width: '60', height: '50' })
+    ];
+
+    const result = await ShippingService.calculateShipping(address, items, 'freight', 'USD');
+
+    // Each chair ships in its own packaging; the lamp goes in a medium box
+    expect(result.parcels).toEqual([
+      expect.objectContaining({ box: null, length: 90, items: [{ product_id: 5, sku: 'CHAIR-1', qty: 1 }], actual_weight: 6, volumetric_weight: 67.5, chargeable_weight: 67.5, cost: 67.5 }),
+      expect.objectContaining({ box: null, length: 90, chargeable_weight: 67.5, cost: 67.5 }),
+      expect.objectContaining({ box: 'medium', length: 40, actual_weight: 1.4, volumetric_weight: 9, chargeable_weight: 9, cost: 20 })
+    ]);
+    expect(result).toMatchObject({ shipping_cost: 155, weight: 13.4, chargeable_weight: 144 });
+
+    // At 5000 cm³/kg a chair still weighs 54 kg, over the standard limit of 30 kg
+    const methods = await ShippingService.getAvailableShippingMethods(address, items);
+    expect(methods.map(method => method.code)).toEqual(['express', 'freight']);
+  });
+
+  it('fills each box with identical units before opening the next and downsizes the last', () => {
+    const smallBox = models.ShippingBox.build({
+      code: 'small',
+      inner_length: '20.0',
+      inner_width: '20.0',
+      inner_height: '20.0',
+      max_weight: '5.000',
+      tare_weight: '0.200'
+    });
+    const items = [buildItem(995, '0.5', '995.00', { id: 7, sku: 'CUBE-1', length: '10', width: '10', height: '10' })];
+
+    const parcels = PackingService.weighParcels(PackingService.pack(items, [mediumBox, smallBox]));
+
+    // A medium box takes 30 cubes before it reaches 15 kg; the last 5 fit a small box
+    expect(parcels).toHaveLength(34);
+    expect(parcels[0]).toMatchObject({ box: 'medium', items: [{ product_id: 7, sku: 'CUBE-1', qty: 30 }], actual_weight: 15.4 });
+    expect(parcels[33]).toMatchObject({ box: 'small', items: [{ product_id: 7, sku: 'CUBE-1', qty: 5 }], actual_weight: 2.7 });
+  });
+
+  it('prices a method from the cheapest carrier quote and falls back to the table rate on timeout', async () => {
+    // A carrier that never answers
+    const slowCarrier = new CarrierAdapter('slow');
+    slowCarrier.quote = () => new Promise(() => {});
+    registerCarrier(slowCarrier);
+
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+    const items = [buildItem(1, '1', '600.00')];
+
+    process.env.SHIPPING_CARRIERS = 'stub_fedex,slow';
+    const quoted = await ShippingService.calculateShipping(address, items, 'express', 'USD');
+
+    // The FedEx stub charges 14.00 + 2.20 per kg for 2Day
+    expect(quoted).toMatchObject({
+      shipping_cost: 16.2,
+      rate_source: 'carrier',
+      carrier: 'stub_fedex',
+      carrier_service: 'fedex_2day',
+      estimated_delivery: '2 business days'
+    });
+    expect(quoted.breakdown.carrier_rate).toBe(16.2);
+
+    process.env.SHIPPING_CARRIERS = 'slow';
+    const fallback = await ShippingService.calculateShipping(address, items, 'express', 'USD');
+    expect(fallback).toMatchObject({ shipping_cost: 18, rate_source: 'table', carrier: null });
+  });
+
+  it('compares a converted carrier quote with the rate\'s threshold in the same currency', async () => {
+    process.env.SHIPPING_CARRIERS = 'stub_fedex';
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+
+    // FedEx Ground quotes 9.60 USD (797 INR); 1000 INR is under the 50 USD (4150 INR) free shipping threshold
+    const quoted = await ShippingService.calculateShipping(address, [buildItem(1, '1', '1000.00')], 'standard', 'INR');
+    expect(quoted).toMatchObject({ shipping_cost: 796.8, rate_source: 'carrier', carrier: 'stub_fedex' });
+
+    const free = await ShippingService.calculateShipping(address, [buildItem(1, '1', '4150.00')], 'standard', 'INR');
+    expect(free).toMatchObject({ shipping_cost: 0, rate_source: 'carrier' });
+  });
+
+  it('dates deliveries from the cutoff, handling days, holidays and transit time', async () => {
+    const address = { country: 'US', state: 'NY', postal_code: '10001' };
+    const items = [buildItem(1, '1', '600.00')];
+
+    // Before the 14:00 UTC cutoff on the Wednesday before Thanksgiving: processed that day and,
+    // after a handling day that skips the holiday, shipped on Friday
+    const beforeCutoff = await ShippingService.calculateShipping(address, items, 'express', 'USD', new Date('2026-11-25T10:00:00Z'));
+    expect(beforeCutoff.transit_days).toEqual({ min: 2, max: 3 });
+    expect(beforeCutoff.delivery_estimate).toEqual({ ships_on: '2026-11-27', earliest: '2026-12-01', latest: '2026-12-02' });
+
+    // After the cutoff the order is processed on Friday and ships on Monday
+    const afterCutoff = new Date('2026-11-25T15:00:00Z');
+    const methods = await ShippingService.getAvailableShippingMethods(address, items, 'USD', afterCutoff);
+    expect(methods.map(method => [method.code, method.delivery_estimate])).toEqual([
+      ['standard', { ships_on: '2026-11-30', earliest: '2026-12-07', latest: '2026-12-09' }],
+      ['express', { ships_on: '2026-11-30', earliest: '2026-12-02', latest: '2026-12-03' }],
+      ['freight', null]
+    ]);
+  });
+});
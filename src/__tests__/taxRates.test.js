@@ -0,0 +1,216 @@
+// Mock the database and logger
+const mockTransaction = {
+  LOCK: { UPDATE: 'UPDATE' },
+  commit: jest.fn(),
+  rollback: jest.fn()
+};
+
+jest.mock('../database/models', () => ({
+  TaxJurisdiction: {
+    findAll: jest.fn(),
+    findOne: jest.fn(),
+    create: jest.fn()
+  },
+  TaxRate: {
+    findOne: jest.fn(),
+    findByPk: jest.fn(),
+    create: jest.fn(),
+    sequelize: {
+      transaction: jest.fn()
+    }
+  },
+  TaxClass: {
+    findOne: jest.fn(),
+    findByPk: jest.fn()
+  },
+  Product: {
+    findAll: jest.fn()
+  },
+  Category: {},
+  OrderItem: {}
+}));
+
+jest.mock('../middleware/errorHandler', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn()
+  }
+}));
+
+const { Op } = require('sequelize');
+const { TaxJurisdiction, TaxRate, Product } = require('../database/models');
+const TaxRateService = require('../services/TaxRateService');
+const TaxService = require('../services/TaxService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a tax rate double
+ */
+const buildRate = (overrides = {}) => {
+  const rate = {
+    id: 7,
+    jurisdiction_id: 1,
+    name: 'VAT',
+    rate: '0.200000',
+    effective_from: new Date('2000-01-01T00:00:00.000Z'),
+    effective_to: null,
+    ...overrides
+  };
+  rate.hasStarted = () => new Date(rate.effective_from) <= new Date();
+  rate.update = jest.fn(async (values) => Object.assign(rate, values));
+  return rate;
+};
+
+describe('Tax rules', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    TaxRate.sequelize.transaction.mockResolvedValue(mockTransaction);
+    TaxRate.create.mockImplementation(async values => buildRate({ id: 8, ...values }));
+  });
+
+  it('taxes at the rates in effect at the given moment', async () => {
+    const createdAt = new Date('2024-12-24T10:00:00.000Z');
+    TaxJurisdiction.findAll.mockResolvedValue([
+      { isCountryWide: () => true, rates: [buildRate({ id: 3, name: 'GST', rate: '0.050000' })] },
+      { isCountryWide: () => false, rates: [buildRate({ id: 4, name: 'Provincial sales tax', rate: '0.080000' })] }
+    ]);
+
+    const result = await TaxService.calculateTax(
+      { country: 'CA', state: 'ON' },
+      [{ id: 1, sku: 'SKU-1', line_subtotal: '100.00', line_discount: '0.00' }],
+      'CAD',
+      { effectiveAt: createdAt }
+    );
+
+    const rateFilter = TaxJurisdiction.findAll.mock.calls[0][0].include[0].where;
+    expect(rateFilter.effective_from).toEqual({ [Op.lte]: createdAt });
+    expect(result.total_tax).toBe(13);
+    expect(result.tax_breakdown).toMatchObject({
+      federal_tax_rate: 0.05,
+      state_tax_rate: 0.08,
+      effective_at: createdAt.toISOString(),
+      federal_tax_rate_id: 3,
+      state_tax_rate_id: 4
+    });
+  });
+
+  it('taxes each line at the rate of its tax class and breaks the tax down by class', async () => {
+    const zero = { id: 2, code: 'zero', name: 'Zero rate' };
+    TaxJurisdiction.findAll.mockResolvedValue([
+      {
+        isCountryWide: () => true,
+        rates: [
+          buildRate({ id: 3, rate: '0.200000' }),
+          buildRate({ id: 5, tax_class_id: 2, name: 'VAT (zero)', rate: '0.000000' })
+        ]
+      }
+    ]);
+    // The book takes its class from its category; the reduced-rate toy has no GB rate for its class
+    Product.findAll.mockResolvedValue([
+      { id: 10, taxClass: null, category: { taxClass: zero } },
+      { id: 11, taxClass: { id: 4, code: 'reduced', name: 'Reduced rate' }, category: null }
+    ]);
+
+    const result = await TaxService.calculateTax(
+      { country: 'GB', state: null },
+      [
+        { id: 1, product_id: 10, sku: 'BOOK-1', line_subtotal: '20.00', line_discount: '0.00' },
+        { id: 2, product_id: 11, sku: 'TOY-1', line_subtotal: '50.00', line_discount: '0.00' },
+        { id: 3, product_id: 12, sku: 'MUG-1', line_subtotal: '10.00', line_discount: '0.00' }
+      ],
+      'GBP'
+    );
+
+    expect(result.total_tax).toBe(12);
+    expect(result.item_taxes.map(itemTax => [itemTax.tax_class_code, itemTax.tax_rate])).toEqual([
+      ['zero', 0],
+      ['reduced', 0.2],
+      ['standard', 0.2]
+    ]);
+    expect(result.tax_breakdown.classes).toEqual([
+      expect.objectContaining({ tax_class_code: 'zero', federal_tax_rate_id: 5, taxable_amount: 20, tax_amount: 0 }),
+      expect.objectContaining({ tax_class_code: 'reduced', federal_tax_rate_id: 3, taxable_amount: 50, tax_amount: 10 }),
+      expect.objectContaining({ tax_class_code: 'standard', federal_tax_rate_id: 3, taxable_amount: 10, tax_amount: 2 })
+    ]);
+  });
+
+  it('takes the tax out of tax-inclusive prices', async () => {
+    TaxJurisdiction.findAll.mockResolvedValue([
+      { isCountryWide: () => true, rates: [buildRate({ id: 3, rate: '0.200000' })] }
+    ]);
+    Product.findAll.mockResolvedValue([]);
+
+    const result = await TaxService.calculateTax(
+      { country: 'GB', state: null },
+      [{ id: 1, product_id: 12, sku: 'MUG-1', line_subtotal: '130.00', line_discount: '10.00' }],
+      'GBP',
+      { pricesIncludeTax: true }
+    );
+
+    expect(result).toMatchObject({ prices_include_tax: true, total_tax: 20, net_total: 100, gross_total: 120 });
+    expect(result.item_taxes[0]).toMatchObject({ tax_amount: 20, net_amount: 100, gross_amount: 120 });
+  });
+
+  it('waives the rates of an exempt jurisdiction and records the exemption', async () => {
+    TaxJurisdiction.findAll.mockResolvedValue([
+      { isCountryWide: () => true, rates: [buildRate({ id: 3, jurisdiction_id: 1, name: 'GST', rate: '0.050000' })] },
+      { isCountryWide: () => false, rates: [buildRate({ id: 4, jurisdiction_id: 2, name: 'PST', rate: '0.080000' })] }
+    ]);
+    Product.findAll.mockResolvedValue([]);
+    const exemption = { tax_exemption_id: 9, jurisdiction_id: 2, country: 'CA', state: 'ON', certificate_number: 'PST-123' };
+
+    const result = await TaxService.calculateTax(
+      { country: 'CA', state: 'ON' },
+      [{ id: 1, product_id: 12, sku: 'MUG-1', line_subtotal: '100.00', line_discount: '0.00' }],
+      'CAD',
+      { exemptions: [exemption] }
+    );
+
+    expect(result).toMatchObject({ total_tax: 5, exempt_total: 8, gross_total: 105 });
+    expect(result.tax_breakdown).toMatchObject({ state_tax_rate: 0, state_tax_rate_id: null, exemptions: [exemption] });
+    expect(result.item_taxes[0]).toMatchObject({ tax_amount: 5, exempt_amount: 8 });
+  });
+
+  it('ends the open-ended rate where a new rate starts', async () => {
+    const current = buildRate();
+    const startsAt = new Date(Date.now() + 30 * DAY);
+    TaxRate.findOne
+      .mockResolvedValueOnce(current)
+      .mockResolvedValueOnce(null);
+
+    const rate = await TaxRateService.insertRate({ id: 1 }, {
+      name: 'VAT',
+      rate: 0.22,
+      effective_from: startsAt
+    }, 3, mockTransaction);
+
+    expect(current.update).toHaveBeenCalledWith({ effective_to: startsAt, updated_by: 3 }, { transaction: mockTransaction });
+    expect(rate).toMatchObject({ jurisdiction_id: 1, rate: 0.22, effective_from: startsAt, effective_to: null });
+  });
+
+  it('does not change a rate that checkouts may already have used', async () => {
+    TaxRate.findByPk.mockResolvedValue(buildRate());
+
+    await expect(TaxRateService.updateRate(7, { rate: 0.21 }, 3))
+      .rejects.toThrow('Tax rate is already in effect');
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+  });
+
+  it('imports nothing when any row is rejected', async () => {
+    TaxJurisdiction.findOne.mockResolvedValue({ id: 1 });
+    TaxRate.findOne.mockResolvedValue(null);
+
+    const result = await TaxRateService.importRates([
+      'country,state,name,rate,effective_from,effective_to',
+      'GB,,VAT,0.2,2030-01-01,',
+      'XX,,VAT,2,2030-01-01,'
+    ].join('\n'), 3);
+
+    expect(result.imported).toBe(0);
+    expect(result.errors.map(error => `${error.row}:${error.field}`)).toEqual(['3:country', '3:rate']);
+    expect(mockTransaction.rollback).toHaveBeenCalled();
+    expect(mockTransaction.commit).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,230 @@
+/**
+ * Address Configuration
+ *
+ * The countries addresses can be in, with each country's calling code, postal code
+ * format and, where one is required, its list of states or provinces (ISO 3166-2
+ * codes). Addresses are stored normalised: postal codes in their canonical form,
+ * subdivisions as their code and phone numbers in E.164.
+ */
+
+const US_STATES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia', FL: 'Florida',
+  GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois', IN: 'Indiana',
+  IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine',
+  MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota', MS: 'Mississippi',
+  MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada', NH: 'New Hampshire',
+  NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York', NC: 'North Carolina', ND: 'North Dakota',
+  OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+  SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah',
+  VT: 'Vermont', VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin',
+  WY: 'Wyoming', AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands', PR: 'Puerto Rico',
+  VI: 'U.S. Virgin Islands', AA: 'Armed Forces Americas', AE: 'Armed Forces Europe', AP: 'Armed Forces Pacific'
+};
+
+const CA_PROVINCES = {
+  AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba', NB: 'New Brunswick',
+  NL: 'Newfoundland and Labrador', NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+  ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec', SK: 'Saskatchewan', YT: 'Yukon'
+};
+
+const IN_STATES = {
+  AN: 'Andaman and Nicobar Islands', AP: 'Andhra Pradesh', AR: 'Arunachal Pradesh', AS: 'Assam',
+  BR: 'Bihar', CH: 'Chandigarh', CG: 'Chhattisgarh', DH: 'Dadra and Nagar Haveli and Daman and Diu',
+  DL: 'Delhi', GA: 'Goa', GJ: 'Gujarat', HR: 'Haryana', HP: 'Himachal Pradesh',
+  JK: 'Jammu and Kashmir', JH: 'Jharkhand', KA: 'Karnataka', KL: 'Kerala', LA: 'Ladakh',
+  LD: 'Lakshadweep', MP: 'Madhya Pradesh', MH: 'Maharashtra', MN: 'Manipur', ML: 'Meghalaya',
+  MZ: 'Mizoram', NL: 'Nagaland', OD: 'Odisha', PY: 'Puducherry', PB: 'Punjab',
+  RJ: 'Rajasthan', SK: 'Sikkim', TN: 'Tamil Nadu', TS: 'Telangana', TR: 'Tripura',
+  UP: 'Uttar Pradesh', UK: 'Uttarakhand', WB: 'West Bengal'
+};
+
+const AU_STATES = {
+  ACT: 'Australian Capital Territory', NSW: 'New South Wales', NT: 'Northern Territory', QLD: 'Queensland',
+  SA: 'South Australia', TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+};
+
+/**
+ * Per-country rules. `postalCode.format` turns the code, upper-cased and stripped of
+ * spaces and dashes, into its canonical form before it is matched against `pattern`.
+ */
+const ADDRESS_FORMATS = {
+  US: {
+    callingCode: '1',
+    postalCode: { pattern: /^\d{5}(-\d{4})?$/, example: '94105 or 94105-1234', format: code => (code.length === 9 ? `${code.slice(0, 5)}-${code.slice(5)}` : code) },
+    subdivisions: US_STATES
+  },
+  CA: {
+    callingCode: '1',
+    postalCode: { pattern: /^[A-Z]\d[A-Z] \d[A-Z]\d$/, example: 'K1A 0B1', format: code => `${code.slice(0, 3)} ${code.slice(3)}` },
+    subdivisions: CA_PROVINCES
+  },
+  GB: {
+    callingCode: '44',
+    postalCode: { pattern: /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/, example: 'SW1A 1AA', format: code => `${code.slice(0, -3)} ${code.slice(-3)}` }
+  },
+  IN: {
+    callingCode: '91',
+    postalCode: { pattern: /^[1-9]\d{5}$/, example: '110001' },
+    subdivisions: IN_STATES
+  },
+  AU: {
+    callingCode: '61',
+    postalCode: { pattern: /^\d{4}$/, example: '2000' },
+    subdivisions: AU_STATES
+  },
+  DE: { callingCode: '49', postalCode: { pattern: /^\d{5}$/, example: '10115' } },
+  FR: { callingCode: '33', postalCode: { pattern: /^\d{5}$/, example: '75001' } },
+  IT: { callingCode: '39', postalCode: { pattern: /^\d{5}$/, example: '00118' } },
+  ES: { callingCode: '34', postalCode: { pattern: /^\d{5}$/, example: '28001' } },
+  NL: {
+    callingCode: '31',
+    postalCode: { pattern: /^\d{4} [A-Z]{2}$/, example: '1012 AB', format: code => `${code.slice(0, 4)} ${code.slice(4)}` }
+  },
+  BR: {
+    callingCode: '55',
+    postalCode: { pattern: /^\d{5}-\d{3}$/, example: '01310-100', format: code => `${code.slice(0, 5)}-${code.slice(5)}` }
+  },
+  MX: { callingCode: '52', postalCode: { pattern: /^\d{5}$/, example: '06000' } },
+  JP: {
+    callingCode: '81',
+    postalCode: { pattern: /^\d{3}-\d{4}$/, example: '100-0001', format: code => `${code.slice(0, 3)}-${code.slice(3)}` }
+  },
+  CN: { callingCode: '86', postalCode: { pattern: /^\d{6}$/, example: '100000' } },
+  KR: { callingCode: '82', postalCode: { pattern: /^\d{5}$/, example: '03051' } },
+  SG: { callingCode: '65', postalCode: { pattern: /^\d{6}$/, example: '018956' } },
+  MY: { callingCode: '60', postalCode: { pattern: /^\d{5}$/, example: '50050' } },
+  TH: { callingCode: '66', postalCode: { pattern: /^\d{5}$/, example: '10200' } },
+  PH: { callingCode: '63', postalCode: { pattern: /^\d{4}$/, example: '1000' } },
+  ID: { callingCode: '62', postalCode: { pattern: /^\d{5}$/, example: '10110' } },
+  VN: { callingCode: '84', postalCode: { pattern: /^\d{6}$/, example: '100000' } }
+};
+
+const ADDRESS_COUNTRIES = Object.keys(ADDRESS_FORMATS);
+
+// E.164: a plus sign, a country calling code and at most 15 digits in all
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Put a postal code in its canonical form for the country
+ * @param {string} postalCode - Postal code as entered
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {string} Normalised postal code
+ */
+function normalizePostalCode(postalCode, country) {
+  const rules = ADDRESS_FORMATS[country]?.postalCode;
+  if (!rules) {
+    return String(postalCode).trim();
+  }
+
+  const compact = String(postalCode).toUpperCase().replace(/[\s-]/g, '');
+  return rules.format ? rules.format(compact) : compact;
+}
+
+/**
+ * Check a postal code against the country's format
+ * @param {string} postalCode - Postal code, normalised or as entered
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {boolean} True when it matches, or the country has no format
+ */
+function isValidPostalCode(postalCode, country) {
+  const rules = ADDRESS_FORMATS[country]?.postalCode;
+  if (!rules) {
+    return true;
+  }
+
+  return rules.pattern.test(normalizePostalCode(postalCode, country));
+}
+
+/**
+ * Resolve a state or province to its code
+ * @param {string} state - Code or name, in any case
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {string|null} Subdivision code, the trimmed value for countries without a list, or null when unknown
+ */
+function normalizeSubdivision(state, country) {
+  const trimmed = String(state).trim();
+  const subdivisions = ADDRESS_FORMATS[country]?.subdivisions;
+  if (!subdivisions) {
+    return trimmed;
+  }
+
+  const upper = trimmed.toUpperCase();
+  if (subdivisions[upper]) {
+    return upper;
+  }
+
+  const code = Object.keys(subdivisions).find(key => subdivisions[key].toUpperCase() === upper);
+  return code || null;
+}
+
+/**
+ * Normalise a phone number to E.164
+ * Numbers without an international prefix are read as national numbers of the address country,
+ * dropping a leading trunk 0 (or 1 in North America).
+ * @param {string} phone - Phone number as entered
+ * @param {string} country - ISO 3166-1 alpha-2 country code
+ * @returns {string|null} E.164 number, or null when it cannot be one
+ */
+function normalizePhone(phone, country) {
+  const raw = String(phone).trim();
+  const digits = raw.replace(/[\s().-]/g, '');
+
+  let e164;
+  if (digits.startsWith('+')) {
+    e164 = digits;
+  } else if (digits.startsWith('00')) {
+    e164 = `+${digits.slice(2)}`;
+  } else {
+    const callingCode = ADDRESS_FORMATS[country]?.callingCode;
+    if (!callingCode) {
+      return null;
+    }
+    const trunkPrefix = callingCode === '1' ? /^1(?=\d{10}$)/ : /^0/;
+    e164 = `+${callingCode}${digits.replace(trunkPrefix, '')}`;
+  }
+
+  return E164_PATTERN.test(e164) ? e164 : null;
+}
+
+/**
+ * Check an address against its country's rules
+ * @param {Object} address - Address with country, postal_code, state and phone
+ * @returns {Array<Object>} Problems as { field, message }; empty when the address is valid
+ */
+function getAddressErrors(address) {
+  const errors = [];
+  const { country } = address;
+
+  if (!ADDRESS_FORMATS[country]) {
+    errors.push({ field: 'country', message: `Country ${country} is not supported` });
+    return errors;
+  }
+
+  if (address.postal_code && !isValidPostalCode(address.postal_code, country)) {
+    errors.push({
+      field: 'postal_code',
+      message: `Invalid postal code format for country ${country} (e.g. ${ADDRESS_FORMATS[country].postalCode.example})`
+    });
+  }
+
+  if (ADDRESS_FORMATS[country].subdivisions && !(address.state && normalizeSubdivision(address.state, country))) {
+    errors.push({ field: 'state', message: `Invalid state or province for country ${country}` });
+  }
+
+  if (address.phone && !normalizePhone(address.phone, country)) {
+    errors.push({ field: 'phone', message: 'Phone number must be a valid international number' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  ADDRESS_FORMATS,
+  ADDRESS_COUNTRIES,
+  normalizePostalCode,
+  isValidPostalCode,
+  normalizeSubdivision,
+  normalizePhone,
+  getAddressErrors
+};
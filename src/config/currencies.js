@@ -0,0 +1,70 @@
+/**
+ * Currency Configuration
+ *
+ * The currencies products can be priced in and carts can be shopped in, with the
+ * number of decimals each one is rounded to. Amounts are rounded to the currency's
+ * smallest unit (cents, paise, whole yen) whenever they are converted.
+ *
+ * Carts in a tax-inclusive currency treat prices as gross: tax is extracted from them
+ * rather than added on top. No currency is tax-inclusive unless TAX_INCLUSIVE_CURRENCIES
+ * (comma-separated codes) names it, so existing carts keep adding tax on top.
+ */
+
+const CURRENCIES = {
+  USD: { name: 'US Dollar', decimals: 2, taxInclusive: false },
+  EUR: { name: 'Euro', decimals: 2, taxInclusive: false },
+  GBP: { name: 'Pound Sterling', decimals: 2, taxInclusive: false },
+  INR: { name: 'Indian Rupee', decimals: 2, taxInclusive: false },
+  CAD: { name: 'Canadian Dollar', decimals: 2, taxInclusive: false },
+  AUD: { name: 'Australian Dollar', decimals: 2, taxInclusive: false },
+  JPY: { name: 'Japanese Yen', decimals: 0, taxInclusive: false }
+};
+
+const SUPPORTED_CURRENCIES = Object.keys(CURRENCIES);
+
+/**
+ * Get the number of decimals a currency is rounded to
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Decimal places
+ */
+function getCurrencyDecimals(currency) {
+  const config = CURRENCIES[currency];
+  if (!config) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return config.decimals;
+}
+
+/**
+ * Round an amount to a currency's smallest unit
+ * @param {number|string} amount - Amount to round
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {number} Rounded amount
+ */
+function roundAmount(amount, currency) {
+  const factor = Math.pow(10, getCurrencyDecimals(currency));
+  return Math.round((parseFloat(amount) + Number.EPSILON) * factor) / factor;
+}
+
+/**
+ * Check whether prices in a currency already include tax
+ * @param {string} currency - ISO 4217 currency code
+ * @returns {boolean} True when tax is extracted from prices rather than added on top
+ */
+function pricesIncludeTax(currency) {
+  const setting = process.env.TAX_INCLUSIVE_CURRENCIES;
+  if (setting !== undefined && setting.trim() !== '') {
+    return setting.split(',').map(code => code.trim().toUpperCase()).includes(currency);
+  }
+
+  const config = CURRENCIES[currency];
+  return config ? config.taxInclusive : false;
+}
+
+module.exports = {
+  CURRENCIES,
+  SUPPORTED_CURRENCIES,
+  getCurrencyDecimals,
+  roundAmount,
+  pricesIncludeTax
+};
@@ -0,0 +1,27 @@
+/**
+ * Fulfilment Configuration
+ *
+ * Where and when the warehouse ships, for delivery date estimates. Orders placed
+ * before the cutoff (warehouse local time) on a warehouse business day are
+ * processed that day; a shipping method's own cutoff and handling days override
+ * the defaults below.
+ */
+
+/**
+ * Get the warehouse's fulfilment settings
+ * @returns {Object} Time zone, country, default cutoff (HH:MM) and handling days
+ */
+function getFulfilmentSettings() {
+  const handlingDays = parseInt(process.env.FULFILMENT_HANDLING_DAYS, 10);
+
+  return {
+    timezone: process.env.FULFILMENT_TIMEZONE || 'UTC',
+    country: process.env.FULFILMENT_COUNTRY || process.env.SELLER_COUNTRY || 'US',
+    cutoff_time: process.env.FULFILMENT_CUTOFF_TIME || '14:00',
+    handling_days: Number.isNaN(handlingDays) ? 1 : handlingDays
+  };
+}
+
+module.exports = {
+  getFulfilmentSettings
+};
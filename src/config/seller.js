@@ -0,0 +1,29 @@
+/**
+ * Seller Configuration
+ *
+ * The legal entity printed on invoices and credit notes. Values are read when a
+ * document is issued and copied onto it, so changing them never alters documents
+ * that were already issued.
+ */
+
+/**
+ * Get the seller details for a new document
+ * @returns {Object} Seller name, address and tax registration
+ */
+function getSellerDetails() {
+  return {
+    name: process.env.SELLER_NAME || 'GlobeMart',
+    line1: process.env.SELLER_ADDRESS_LINE1 || null,
+    line2: process.env.SELLER_ADDRESS_LINE2 || null,
+    city: process.env.SELLER_CITY || null,
+    state: process.env.SELLER_STATE || null,
+    postal_code: process.env.SELLER_POSTAL_CODE || null,
+    country: process.env.SELLER_COUNTRY || null,
+    tax_id: process.env.SELLER_TAX_ID || null,
+    email: process.env.SELLER_EMAIL || null
+  };
+}
+
+module.exports = {
+  getSellerDetails
+};
@@ -0,0 +1,161 @@
+const AddressService = require('../services/AddressService');
+const { logger } = require('../middleware/errorHandler');
+
+/**
+ * Send the response for an address book request that failed
+ */
+const sendAddressError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Address not found') {
+    return res.status(404).json({
+      error: {
+        code: 'ADDRESS_NOT_FOUND',
+        message: 'Address not found'
+      }
+    });
+  }
+
+  if (error.message.startsWith('Invalid postal code')) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_POSTAL_CODE',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class AddressController {
+  /**
+   * List the signed-in customer's address book
+   * @route GET /api/account/addresses
+   */
+  static async listAddresses(req, res) {
+    try {
+      const result = await AddressService.listAddresses(req.auth.userId);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to fetch addresses:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendAddressError(res, error, 'ADDRESSES_FETCH_ERROR', 'Failed to fetch addresses');
+    }
+  }
+
+  /**
+   * Get an address book entry
+   * @route GET /api/account/addresses/:id
+   */
+  static async getAddress(req, res) {
+    try {
+      const address = await AddressService.getAddress(req.auth.userId, req.params.id);
+
+      res.status(200).json({
+        data: address
+      });
+    } catch (error) {
+      logger.error('Failed to fetch address:', {
+        error: error.message,
+        addressId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendAddressError(res, error, 'ADDRESS_FETCH_ERROR', 'Failed to fetch address');
+    }
+  }
+
+  /**
+   * Add an address to the address book
+   * @route POST /api/account/addresses
+   */
+  static async createAddress(req, res) {
+    try {
+      const address = await AddressService.createAddress(req.auth.userId, req.body);
+
+      res.status(201).json({
+        message: 'Address saved successfully',
+        data: address
+      });
+    } catch (error) {
+      logger.error('Failed to save address:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendAddressError(res, error, 'ADDRESS_CREATE_ERROR', 'Failed to save address');
+    }
+  }
+
+  /**
+   * Update an address book entry
+   * @route PATCH /api/account/addresses/:id
+   */
+  static async updateAddress(req, res) {
+    try {
+      const address = await AddressService.updateAddress(req.auth.userId, req.params.id, req.body);
+
+      res.status(200).json({
+        message: 'Address updated successfully',
+        data: address
+      });
+    } catch (error) {
+      logger.error('Failed to update address:', {
+        error: error.message,
+        addressId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendAddressError(res, error, 'ADDRESS_UPDATE_ERROR', 'Failed to update address');
+    }
+  }
+
+  /**
+   * Remove an address from the address book
+   * @route DELETE /api/account/addresses/:id
+   */
+  static async deleteAddress(req, res) {
+    try {
+      const result = await AddressService.deleteAddress(req.auth.userId, req.params.id);
+
+      res.status(200).json({
+        message: 'Address deleted successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to delete address:', {
+        error: error.message,
+        addressId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendAddressError(res, error, 'ADDRESS_DELETE_ERROR', 'Failed to delete address');
+    }
+  }
+}
+
+module.exports = AddressController;
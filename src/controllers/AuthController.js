@@ -323,19 +323,42 @@ class AuthController {
   }
 
   /**
-   * Verify email (stub for future implementation)
+   * Verify email through the token from the emailed link
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async verifyEmail(req, res) {
     try {
-      // This is a stub for email verification
-      // In a full implementation, this would verify the email token
+      const context = {
+        ip: req.ip || req.connection.remoteAddress,
+        userAgent: req.get('User-Agent'),
+        requestId: req.requestId
+      };
+
+      const result = await AuthService.verifyEmail(req.body.token, context);
+
       res.status(200).json({
         success: true,
-        message: 'Email verification is not implemented yet'
+        message: result.message,
+        data: {
+          guest_orders_attached: result.guest_orders_attached
+        }
       });
     } catch (error) {
+      if (error.message === 'Email verification is not configured') {
+        return res.status(503).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'Invalid verification link' || error.message === 'Verification link has expired') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
       logger.error('Email verification error:', error);
       res.status(500).json({
         success: false,
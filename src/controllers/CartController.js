@@ -159,6 +159,15 @@ class CartController {
         });
       }
 
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the item cannot be priced in the cart currency`
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CART_ADD_ITEM_ERROR',
@@ -236,6 +245,15 @@ class CartController {
         });
       }
 
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the item cannot be priced in the cart currency`
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CART_UPDATE_ITEM_ERROR',
@@ -346,6 +364,15 @@ class CartController {
         userId: req.auth?.userId
       });
 
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the item cannot be priced in the cart currency`
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CART_MERGE_ERROR',
@@ -399,6 +426,15 @@ class CartController {
         userId: req.auth?.userId
       });
 
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the item cannot be priced in the cart currency`
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CART_REPRICE_ERROR',
@@ -408,6 +444,161 @@ class CartController {
     }
   }
 
+  /**
+   * Apply coupon to cart
+   * @route POST /api/cart/coupons
+   */
+  static async applyCoupon(req, res) {
+    try {
+      const { code } = req.body;
+      const { cart_token } = req.query;
+      const userId = req.auth?.userId || null;
+
+      // Get cart
+      let cart = null;
+      if (userId) {
+        cart = await CartService.getCartByUserId(userId);
+      } else if (cart_token) {
+        cart = await CartService.getCartByToken(cart_token);
+      }
+
+      if (!cart) {
+        return res.status(404).json({
+          error: {
+            code: 'CART_NOT_FOUND',
+            message: 'Cart not found'
+          }
+        });
+      }
+
+      const updatedCart = await CartService.applyCoupon(cart.id, code, userId, cart_token);
+
+      logger.info('Coupon applied to cart', {
+        cartId: cart.id,
+        code,
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json({
+        data: updatedCart
+      });
+    } catch (error) {
+      logger.error('Failed to apply coupon:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Coupon not found') {
+        return res.status(404).json({
+          error: {
+            code: 'COUPON_NOT_FOUND',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message.startsWith('Coupon not applicable')) {
+        return res.status(422).json({
+          error: {
+            code: 'COUPON_NOT_APPLICABLE',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message === 'Coupon is already applied' || error.message.startsWith('Only one')) {
+        return res.status(409).json({
+          error: {
+            code: 'COUPON_CONFLICT',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the coupon cannot be priced in the cart currency`
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'COUPON_APPLY_ERROR',
+          message: 'Failed to apply coupon'
+        }
+      });
+    }
+  }
+
+  /**
+   * Remove coupon from cart
+   * @route DELETE /api/cart/coupons
+   */
+  static async removeCoupon(req, res) {
+    try {
+      const { code } = req.body;
+      const { cart_token } = req.query;
+      const userId = req.auth?.userId || null;
+
+      // Get cart
+      let cart = null;
+      if (userId) {
+        cart = await CartService.getCartByUserId(userId);
+      } else if (cart_token) {
+        cart = await CartService.getCartByToken(cart_token);
+      }
+
+      if (!cart) {
+        return res.status(404).json({
+          error: {
+            code: 'CART_NOT_FOUND',
+            message: 'Cart not found'
+          }
+        });
+      }
+
+      const updatedCart = await CartService.removeCoupon(cart.id, code, userId, cart_token);
+
+      logger.info('Coupon removed from cart', {
+        cartId: cart.id,
+        code,
+        userId,
+        requestId: req.requestId
+      });
+
+      res.status(200).json({
+        data: updatedCart
+      });
+    } catch (error) {
+      logger.error('Failed to remove coupon:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Coupon is not applied to this cart') {
+        return res.status(404).json({
+          error: {
+            code: 'COUPON_NOT_APPLIED',
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'COUPON_REMOVE_ERROR',
+          message: 'Failed to remove coupon'
+        }
+      });
+    }
+  }
+
   /**
    * Clear cart
    * @route DELETE /api/cart
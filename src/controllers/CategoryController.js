@@ -40,6 +40,15 @@ class CategoryController {
         });
       }
 
+      if (error.message === 'Tax class not found') {
+        return res.status(404).json({
+          error: {
+            code: 'TAX_CLASS_NOT_FOUND',
+            message: 'Tax class not found'
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CATEGORY_CREATE_ERROR',
@@ -115,6 +124,15 @@ class CategoryController {
         });
       }
 
+      if (error.message === 'Tax class not found') {
+        return res.status(404).json({
+          error: {
+            code: 'TAX_CLASS_NOT_FOUND',
+            message: 'Tax class not found'
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CATEGORY_UPDATE_ERROR',
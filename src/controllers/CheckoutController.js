@@ -1,6 +1,99 @@
 const CheckoutService = require('../services/CheckoutService');
+const PaymentService = require('../services/PaymentService');
+const TenderService = require('../services/TenderService');
 const { logger } = require('../middleware/errorHandler');
 
+// Why a gift card or store credit cannot be used (when applied, or when the order is placed)
+const TENDER_UNAVAILABLE_ERRORS = [
+  'Gift card is disabled',
+  'Gift card has expired',
+  'Gift card is in',
+  'Gift card has no balance left',
+  'Gift card balance is no longer sufficient',
+  'Store credit balance is no longer sufficient',
+  'Sign in to pay with store credit',
+  'No store credit available',
+  'Amount exceeds the available balance',
+  'Checkout total is already covered'
+];
+
+// Error codes for what a tender change could not find
+const TENDER_NOT_FOUND_CODES = {
+  'Checkout session not found': 'CHECKOUT_NOT_FOUND',
+  'Gift card not found': 'GIFT_CARD_NOT_FOUND',
+  'Tender not found': 'TENDER_NOT_FOUND'
+};
+
+/**
+ * Send the response for a failed tender change
+ * @param {Object} res - Express response
+ * @param {Error} error - Error from TenderService
+ * @param {string} fallbackCode - Error code for unexpected failures
+ * @param {string} fallbackMessage - Message for unexpected failures
+ */
+const sendTenderError = (res, error, fallbackCode, fallbackMessage) => {
+  if (TENDER_NOT_FOUND_CODES[error.message]) {
+    return res.status(404).json({
+      error: {
+        code: TENDER_NOT_FOUND_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message === 'Access denied') {
+    return res.status(403).json({
+      error: {
+        code: 'ACCESS_DENIED',
+        message: 'Access denied to checkout session'
+      }
+    });
+  }
+
+  if (error.message === 'Checkout session has expired') {
+    return res.status(410).json({
+      error: {
+        code: 'CHECKOUT_EXPIRED',
+        message: 'Checkout session has expired'
+      }
+    });
+  }
+
+  if (error.message === 'Checkout session is not active') {
+    return res.status(409).json({
+      error: {
+        code: 'CHECKOUT_NOT_ACTIVE',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message === 'Payment already in progress for this checkout') {
+    return res.status(409).json({
+      error: {
+        code: 'PAYMENT_IN_PROGRESS',
+        message: error.message
+      }
+    });
+  }
+
+  if (TENDER_UNAVAILABLE_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+    return res.status(422).json({
+      error: {
+        code: 'TENDER_UNAVAILABLE',
+        message: error.message
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
 class CheckoutController {
   /**
    * Create checkout session
@@ -10,9 +103,13 @@ class CheckoutController {
     try {
       const { 
         cart_id, 
+        cart_token,
         shipping_address, 
+        shipping_address_id,
         billing_address, 
-        shipping_method 
+        billing_address_id,
+        shipping_method,
+        guest_info
       } = req.body;
       
       const userId = req.auth?.userId || null;
@@ -27,7 +124,7 @@ class CheckoutController {
         });
       }
 
-      if (!shipping_address) {
+      if (!shipping_address && !shipping_address_id) {
         return res.status(400).json({
           error: {
             code: 'MISSING_SHIPPING_ADDRESS',
@@ -36,7 +133,7 @@ class CheckoutController {
         });
       }
 
-      if (!billing_address) {
+      if (!billing_address && !billing_address_id) {
         return res.status(400).json({
           error: {
             code: 'MISSING_BILLING_ADDRESS',
@@ -54,12 +151,14 @@ class CheckoutController {
         });
       }
 
+      // Saved addresses are passed on as references and resolved from the customer's address book
       const result = await CheckoutService.createSession(
         cart_id,
-        shipping_address,
-        billing_address,
+        shipping_address_id ? { address_id: shipping_address_id } : shipping_address,
+        billing_address_id ? { address_id: billing_address_id } : billing_address,
         shipping_method,
-        userId
+        userId,
+        { cart_token, email: guest_info?.email }
       );
 
       logger.info('Checkout session created successfully', {
@@ -101,6 +200,24 @@ class CheckoutController {
         });
       }
 
+      if (error.message === 'Guest email is required') {
+        return res.status(400).json({
+          error: {
+            code: 'GUEST_EMAIL_REQUIRED',
+            message: 'An email address is required to check out as a guest'
+          }
+        });
+      }
+
+      if (error.message.startsWith('Coupon not applicable')) {
+        return res.status(422).json({
+          error: {
+            code: 'COUPON_NOT_APPLICABLE',
+            message: `${error.message}. Remove the coupon to continue.`
+          }
+        });
+      }
+
       if (error.message.includes('Insufficient stock')) {
         return res.status(400).json({
           error: {
@@ -119,6 +236,24 @@ class CheckoutController {
         });
       }
 
+      if (error.message === 'Address not found') {
+        return res.status(404).json({
+          error: {
+            code: 'ADDRESS_NOT_FOUND',
+            message: 'Saved address not found'
+          }
+        });
+      }
+
+      if (error.message === 'Sign in to use a saved address') {
+        return res.status(401).json({
+          error: {
+            code: 'AUTHENTICATION_REQUIRED',
+            message: error.message
+          }
+        });
+      }
+
       if (error.message.includes('address') || error.message.includes('Address')) {
         return res.status(400).json({
           error: {
@@ -137,6 +272,15 @@ class CheckoutController {
         });
       }
 
+      if (error.message.startsWith('No exchange rate')) {
+        return res.status(422).json({
+          error: {
+            code: 'EXCHANGE_RATE_UNAVAILABLE',
+            message: `${error.message}; the cart cannot be priced in its currency`
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'CHECKOUT_SESSION_ERROR',
@@ -164,7 +308,7 @@ class CheckoutController {
         });
       }
 
-      const result = await CheckoutService.getSession(checkoutId, userId);
+      const result = await CheckoutService.getSession(checkoutId, userId, req.query.cart_token || null);
 
       res.status(200).json({
         data: result
@@ -213,6 +357,133 @@ class CheckoutController {
     }
   }
 
+  /**
+   * Extend checkout session and its stock reservations
+   * @route POST /api/checkout/session/:id/extend
+   */
+  static async extendSession(req, res) {
+    try {
+      const userId = req.auth?.userId || null;
+
+      const result = await CheckoutService.extendSession(req.params.id, userId, req.body.cart_token || null);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to extend checkout session:', {
+        error: error.message,
+        checkoutId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Checkout session not found') {
+        return res.status(404).json({
+          error: {
+            code: 'CHECKOUT_NOT_FOUND',
+            message: 'Checkout session not found'
+          }
+        });
+      }
+
+      if (error.message === 'Access denied') {
+        return res.status(403).json({
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Access denied to checkout session'
+          }
+        });
+      }
+
+      if (error.message === 'Checkout session has expired') {
+        return res.status(410).json({
+          error: {
+            code: 'CHECKOUT_EXPIRED',
+            message: 'Checkout session has expired'
+          }
+        });
+      }
+
+      if (error.message === 'Checkout session is not active') {
+        return res.status(409).json({
+          error: {
+            code: 'CHECKOUT_NOT_ACTIVE',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message === 'Checkout session cannot be extended again' ||
+          error.message === 'Checkout session has reached its maximum hold time') {
+        return res.status(409).json({
+          error: {
+            code: 'CHECKOUT_EXTENSION_LIMIT',
+            message: error.message
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'CHECKOUT_EXTEND_ERROR',
+          message: 'Failed to extend checkout session'
+        }
+      });
+    }
+  }
+
+  /**
+   * Put a gift card or store credit toward the checkout total
+   * @route POST /api/checkout/session/:id/tenders
+   */
+  static async addTender(req, res) {
+    try {
+      const userId = req.auth?.userId || null;
+      const { cart_token, ...tender } = req.body;
+
+      const result = await TenderService.applyTender(req.params.id, tender, userId, cart_token || null);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to apply checkout tender:', {
+        error: error.message,
+        checkoutId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTenderError(res, error, 'TENDER_APPLY_ERROR', 'Failed to apply gift card or store credit');
+    }
+  }
+
+  /**
+   * Take a gift card or store credit off the checkout
+   * @route DELETE /api/checkout/session/:id/tenders/:tenderId
+   */
+  static async removeTender(req, res) {
+    try {
+      const userId = req.auth?.userId || null;
+
+      const result = await TenderService.removeTender(req.params.id, req.params.tenderId, userId, req.query.cart_token || null);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to remove checkout tender:', {
+        error: error.message,
+        checkoutId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTenderError(res, error, 'TENDER_REMOVE_ERROR', 'Failed to remove gift card or store credit');
+    }
+  }
+
   /**
    * Release stock reservations (for expired sessions)
    * @route POST /api/checkout/session/:id/release
@@ -268,7 +539,7 @@ class CheckoutController {
   }
 
   /**
-   * Confirm reservations (when order is placed)
+   * Confirm reservations and place the order
    * @route POST /api/checkout/session/:id/confirm
    */
   static async confirmReservations(req, res) {
@@ -284,16 +555,18 @@ class CheckoutController {
         });
       }
 
-      await CheckoutService.confirmReservations(checkoutId);
+      const order = await CheckoutService.confirmReservations(checkoutId);
 
       logger.info('Stock reservations confirmed successfully', {
         checkoutId,
+        orderNumber: order.order_number,
         requestId: req.requestId,
         userId: req.auth?.userId
       });
 
       res.status(200).json({
-        message: 'Stock reservations confirmed successfully'
+        message: 'Stock reservations confirmed successfully',
+        data: order.getDetails()
       });
     } catch (error) {
       logger.error('Failed to confirm reservations:', {
@@ -330,13 +603,159 @@ class CheckoutController {
     }
   }
 
+  /**
+   * Pay for checkout session and place the order
+   * @route POST /api/checkout/session/:id/pay
+   */
+  static async pay(req, res) {
+    try {
+      const checkoutId = req.params.id;
+      const { provider, method, card, upi, cart_token } = req.body;
+      const userId = req.auth?.userId || null;
+
+      const result = await PaymentService.payForCheckout(checkoutId, {
+        provider,
+        type: method,
+        details: method === 'card' ? card : upi
+      }, userId, cart_token || null);
+
+      if (!result.success) {
+        return res.status(402).json({
+          error: {
+            code: 'PAYMENT_FAILED',
+            message: result.failure_reason,
+            details: {
+              checkout_id: result.checkout_id,
+              checkout_status: result.checkout_status,
+              payment: result.payment
+            }
+          }
+        });
+      }
+
+      logger.info('Checkout payment processed successfully', {
+        checkoutId,
+        orderNumber: result.order.order_number,
+        paymentStatus: result.payment ? result.payment.status : null,
+        requestId: req.requestId,
+        userId
+      });
+
+      res.status(200).json({
+        data: {
+          checkout_id: result.checkout_id,
+          status: result.checkout_status,
+          payment: result.payment,
+          order: result.order.getDetails()
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to process checkout payment:', {
+        error: error.message,
+        checkoutId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Checkout session not found') {
+        return res.status(404).json({
+          error: {
+            code: 'CHECKOUT_NOT_FOUND',
+            message: 'Checkout session not found'
+          }
+        });
+      }
+
+      if (error.message === 'Access denied') {
+        return res.status(403).json({
+          error: {
+            code: 'ACCESS_DENIED',
+            message: 'Access denied to checkout session'
+          }
+        });
+      }
+
+      if (error.message === 'Checkout session has expired') {
+        return res.status(410).json({
+          error: {
+            code: 'CHECKOUT_EXPIRED',
+            message: 'Checkout session has expired'
+          }
+        });
+      }
+
+      if (error.message === 'Checkout session is not active' ||
+          error.message === 'Checkout session cannot accept payment') {
+        return res.status(409).json({
+          error: {
+            code: 'CHECKOUT_NOT_ACTIVE',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message === 'Payment already in progress for this checkout') {
+        return res.status(409).json({
+          error: {
+            code: 'PAYMENT_IN_PROGRESS',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message.startsWith('Payment provider') && error.message.endsWith('is not available')) {
+        return res.status(400).json({
+          error: {
+            code: 'PAYMENT_PROVIDER_UNAVAILABLE',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message === 'Payment method is required') {
+        return res.status(400).json({
+          error: {
+            code: 'PAYMENT_METHOD_REQUIRED',
+            message: error.message
+          }
+        });
+      }
+
+      if (TENDER_UNAVAILABLE_ERRORS.some(prefix => error.message.startsWith(prefix))) {
+        return res.status(409).json({
+          error: {
+            code: 'TENDER_UNAVAILABLE',
+            message: error.message
+          }
+        });
+      }
+
+      // Another order used the coupon's last redemption since the session was created
+      if (error.message.startsWith('Coupon not applicable')) {
+        return res.status(409).json({
+          error: {
+            code: 'COUPON_NOT_APPLICABLE',
+            message: `${error.message}. Remove the coupon to continue.`
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'PAYMENT_PROCESSING_ERROR',
+          message: 'Failed to process payment'
+        }
+      });
+    }
+  }
+
   /**
    * Get available shipping methods for an address
    * @route POST /api/checkout/shipping-methods
    */
   static async getShippingMethods(req, res) {
     try {
-      const { shipping_address, cart_items } = req.body;
+      const { shipping_address, cart_items, currency = 'INR' } = req.body;
 
       if (!shipping_address) {
         return res.status(400).json({
@@ -357,7 +776,7 @@ class CheckoutController {
       }
 
       const ShippingService = require('../services/ShippingService');
-      const methods = await ShippingService.getAvailableShippingMethods(shipping_address, cart_items);
+      const methods = await ShippingService.getAvailableShippingMethods(shipping_address, cart_items, currency);
 
       res.status(200).json({
         data: methods
@@ -454,8 +873,7 @@ class CheckoutController {
       const { 
         shipping_address, 
         cart_items, 
-        currency = 'INR',
-        customer_info = {}
+        currency = 'INR'
       } = req.body;
 
       if (!shipping_address) {
@@ -477,11 +895,12 @@ class CheckoutController {
       }
 
       const TaxService = require('../services/TaxService');
+      // Only exemptions Finance approved for the signed-in customer waive tax
       const result = await TaxService.calculateTaxWithExemptions(
         shipping_address, 
         cart_items, 
         currency, 
-        customer_info
+        req.auth?.userId || null
       );
 
       res.status(200).json({
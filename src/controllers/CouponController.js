@@ -0,0 +1,122 @@
+const PromotionService = require('../services/PromotionService');
+const { logger } = require('../middleware/errorHandler');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+/**
+ * Send the response for a coupon write that failed
+ */
+const sendCouponError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Coupon not found') {
+    return res.status(404).json({
+      error: {
+        code: 'COUPON_NOT_FOUND',
+        message: 'Coupon not found'
+      }
+    });
+  }
+
+  if (error.message === 'Coupon code already exists') {
+    return res.status(409).json({
+      error: {
+        code: 'COUPON_CODE_EXISTS',
+        message: 'A coupon with this code already exists'
+      }
+    });
+  }
+
+  // Rules checked by the model, e.g. a percentage above 100 after a partial update
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class CouponController {
+  /**
+   * List coupons (Admin only)
+   * @route GET /api/admin/coupons
+   */
+  static async listCoupons(req, res) {
+    try {
+      const result = await PromotionService.getCoupons(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.coupons, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch coupons:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'COUPONS_FETCH_ERROR',
+          message: 'Failed to fetch coupons'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create a coupon (Admin only)
+   * @route POST /api/admin/coupons
+   */
+  static async createCoupon(req, res) {
+    try {
+      const coupon = await PromotionService.createCoupon(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Coupon created successfully',
+        data: coupon
+      });
+    } catch (error) {
+      logger.error('Failed to create coupon:', {
+        error: error.message,
+        code: req.body.code,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendCouponError(res, error, 'COUPON_CREATE_ERROR', 'Failed to create coupon');
+    }
+  }
+
+  /**
+   * Update a coupon (Admin only)
+   * @route PATCH /api/admin/coupons/:id
+   */
+  static async updateCoupon(req, res) {
+    try {
+      const coupon = await PromotionService.updateCoupon(req.params.id, req.body);
+
+      res.status(200).json({
+        message: 'Coupon updated successfully',
+        data: coupon
+      });
+    } catch (error) {
+      logger.error('Failed to update coupon:', {
+        error: error.message,
+        couponId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendCouponError(res, error, 'COUPON_UPDATE_ERROR', 'Failed to update coupon');
+    }
+  }
+}
+
+module.exports = CouponController;
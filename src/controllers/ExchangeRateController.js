@@ -0,0 +1,103 @@
+const ExchangeRateService = require('../services/ExchangeRateService');
+const { logger } = require('../middleware/errorHandler');
+
+class ExchangeRateController {
+  /**
+   * List exchange rates
+   * @route GET /api/admin/exchange-rates
+   */
+  static async listRates(req, res) {
+    try {
+      const rates = await ExchangeRateService.listRates();
+
+      res.status(200).json({
+        data: rates
+      });
+    } catch (error) {
+      logger.error('Failed to list exchange rates:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'EXCHANGE_RATE_FETCH_ERROR',
+          message: 'Failed to fetch exchange rates'
+        }
+      });
+    }
+  }
+
+  /**
+   * Set the exchange rate for a currency pair
+   * @route PUT /api/admin/exchange-rates/:base/:quote
+   */
+  static async setRate(req, res) {
+    try {
+      const { base, quote } = req.params;
+      const rate = await ExchangeRateService.setRate(base, quote, req.body.rate, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Exchange rate saved successfully',
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Failed to set exchange rate:', {
+        error: error.message,
+        base: req.params.base,
+        quote: req.params.quote,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'EXCHANGE_RATE_UPDATE_ERROR',
+          message: 'Failed to save exchange rate'
+        }
+      });
+    }
+  }
+
+  /**
+   * Delete the exchange rate for a currency pair
+   * @route DELETE /api/admin/exchange-rates/:base/:quote
+   */
+  static async deleteRate(req, res) {
+    try {
+      const { base, quote } = req.params;
+      await ExchangeRateService.deleteRate(base, quote);
+
+      res.status(200).json({
+        message: 'Exchange rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete exchange rate:', {
+        error: error.message,
+        base: req.params.base,
+        quote: req.params.quote,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Exchange rate not found') {
+        return res.status(404).json({
+          error: {
+            code: 'EXCHANGE_RATE_NOT_FOUND',
+            message: 'Exchange rate not found'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'EXCHANGE_RATE_DELETE_ERROR',
+          message: 'Failed to delete exchange rate'
+        }
+      });
+    }
+  }
+}
+
+module.exports = ExchangeRateController;
@@ -0,0 +1,154 @@
+const GiftCardService = require('../services/GiftCardService');
+const { logger } = require('../middleware/errorHandler');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+/**
+ * Send the response for a gift card request that failed
+ */
+const sendGiftCardError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Gift card not found') {
+    return res.status(404).json({
+      error: {
+        code: 'GIFT_CARD_NOT_FOUND',
+        message: 'Gift card not found'
+      }
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class GiftCardController {
+  /**
+   * Check a gift card's balance by its code
+   * @route GET /api/gift-cards/:code
+   */
+  static async getBalance(req, res) {
+    try {
+      const balance = await GiftCardService.getBalance(req.params.code);
+
+      res.status(200).json({
+        data: balance
+      });
+    } catch (error) {
+      logger.error('Failed to fetch gift card balance:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      sendGiftCardError(res, error, 'GIFT_CARD_FETCH_ERROR', 'Failed to fetch gift card balance');
+    }
+  }
+
+  /**
+   * List gift cards (Finance, Support or Admin)
+   * @route GET /api/admin/gift-cards
+   */
+  static async listGiftCards(req, res) {
+    try {
+      const result = await GiftCardService.getGiftCards(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.gift_cards, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch gift cards:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'GIFT_CARDS_FETCH_ERROR',
+          message: 'Failed to fetch gift cards'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a gift card with its ledger (Finance, Support or Admin)
+   * @route GET /api/admin/gift-cards/:id
+   */
+  static async getGiftCard(req, res) {
+    try {
+      const giftCard = await GiftCardService.getGiftCard(req.params.id);
+
+      res.status(200).json({
+        data: giftCard
+      });
+    } catch (error) {
+      logger.error('Failed to fetch gift card:', {
+        error: error.message,
+        giftCardId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendGiftCardError(res, error, 'GIFT_CARD_FETCH_ERROR', 'Failed to fetch gift card');
+    }
+  }
+
+  /**
+   * Issue a gift card (Finance or Admin)
+   * @route POST /api/admin/gift-cards
+   */
+  static async issueGiftCard(req, res) {
+    try {
+      const giftCard = await GiftCardService.issueGiftCard(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Gift card issued successfully',
+        data: giftCard
+      });
+    } catch (error) {
+      logger.error('Failed to issue gift card:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendGiftCardError(res, error, 'GIFT_CARD_ISSUE_ERROR', 'Failed to issue gift card');
+    }
+  }
+
+  /**
+   * Disable, re-enable or change the expiry of a gift card (Finance or Admin)
+   * @route PATCH /api/admin/gift-cards/:id
+   */
+  static async updateGiftCard(req, res) {
+    try {
+      const giftCard = await GiftCardService.updateGiftCard(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Gift card updated successfully',
+        data: giftCard
+      });
+    } catch (error) {
+      logger.error('Failed to update gift card:', {
+        error: error.message,
+        giftCardId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendGiftCardError(res, error, 'GIFT_CARD_UPDATE_ERROR', 'Failed to update gift card');
+    }
+  }
+}
+
+module.exports = GiftCardController;
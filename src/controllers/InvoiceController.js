@@ -0,0 +1,254 @@
+const InvoiceService = require('../services/InvoiceService');
+const { logger } = require('../middleware/errorHandler');
+const { getRequestContext } = require('../middleware/audit');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+/**
+ * Map invoice errors to API responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by InvoiceService
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendInvoiceError = (res, error, code, message) => {
+  const notFound = {
+    'Order not found': 'ORDER_NOT_FOUND',
+    'Invoice not found': 'INVOICE_NOT_FOUND',
+    'Credit note not found': 'CREDIT_NOTE_NOT_FOUND'
+  };
+
+  if (notFound[error.message]) {
+    return res.status(404).json({
+      error: {
+        code: notFound[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message === 'Order has not been paid') {
+    return res.status(409).json({
+      error: {
+        code: 'ORDER_NOT_PAID',
+        message: 'Order has not been paid, so it has no invoice'
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code,
+      message
+    }
+  });
+};
+
+/**
+ * Send a PDF as a download
+ * @param {Object} res - Express response object
+ * @param {Buffer} buffer - PDF bytes
+ * @param {string} number - Document number, used as the file name
+ */
+const sendPdf = (res, buffer, number) => {
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${number}.pdf"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(buffer);
+};
+
+class InvoiceController {
+  /**
+   * List an order's invoice and credit notes
+   * @route GET /api/orders/:number/documents
+   */
+  static async listOrderDocuments(req, res) {
+    try {
+      const documents = await InvoiceService.getDocumentsForUser(req.params.number, req.auth.userId);
+
+      res.status(200).json({
+        data: documents
+      });
+    } catch (error) {
+      logger.error('Failed to fetch order documents:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendInvoiceError(res, error, 'DOCUMENTS_FETCH_ERROR', 'Failed to fetch order documents');
+    }
+  }
+
+  /**
+   * Download an order's invoice
+   * @route GET /api/orders/:number/invoice
+   */
+  static async downloadOrderInvoice(req, res) {
+    try {
+      const invoice = await InvoiceService.getInvoiceForUser(req.params.number, req.auth.userId);
+      const buffer = await InvoiceService.getPdf(invoice, 'invoice');
+
+      sendPdf(res, buffer, invoice.invoice_number);
+    } catch (error) {
+      logger.error('Failed to download invoice:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendInvoiceError(res, error, 'INVOICE_DOWNLOAD_ERROR', 'Failed to download invoice');
+    }
+  }
+
+  /**
+   * Download one of an order's credit notes
+   * @route GET /api/orders/:number/credit-notes/:creditNoteNumber
+   */
+  static async downloadOrderCreditNote(req, res) {
+    try {
+      const creditNote = await InvoiceService.getCreditNoteForUser(
+        req.params.number,
+        req.params.creditNoteNumber,
+        req.auth.userId
+      );
+      const buffer = await InvoiceService.getPdf(creditNote, 'credit_note');
+
+      sendPdf(res, buffer, creditNote.credit_note_number);
+    } catch (error) {
+      logger.error('Failed to download credit note:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        creditNoteNumber: req.params.creditNoteNumber,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendInvoiceError(res, error, 'CREDIT_NOTE_DOWNLOAD_ERROR', 'Failed to download credit note');
+    }
+  }
+
+  /**
+   * List invoices (Finance, Support, Admin)
+   * @route GET /api/admin/invoices
+   */
+  static async listInvoices(req, res) {
+    try {
+      const result = await InvoiceService.getInvoices(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.invoices, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch invoices:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'INVOICES_FETCH_ERROR',
+          message: 'Failed to fetch invoices'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get an invoice with its credit notes (Finance, Support, Admin)
+   * @route GET /api/admin/invoices/:number
+   */
+  static async getInvoice(req, res) {
+    try {
+      const invoice = await InvoiceService.getInvoiceByNumber(req.params.number);
+
+      res.status(200).json({
+        data: invoice.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch invoice:', {
+        error: error.message,
+        invoiceNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      sendInvoiceError(res, error, 'INVOICE_FETCH_ERROR', 'Failed to fetch invoice');
+    }
+  }
+
+  /**
+   * Download any invoice (Finance, Support, Admin)
+   * @route GET /api/admin/invoices/:number/pdf
+   */
+  static async downloadInvoice(req, res) {
+    try {
+      const invoice = await InvoiceService.getInvoiceByNumber(req.params.number);
+      const buffer = await InvoiceService.getPdf(invoice, 'invoice');
+
+      await InvoiceService.audit('INVOICE_DOWNLOAD', invoice.invoice_number, req.auth.userId, getRequestContext(req));
+
+      sendPdf(res, buffer, invoice.invoice_number);
+    } catch (error) {
+      logger.error('Failed to download invoice:', {
+        error: error.message,
+        invoiceNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      sendInvoiceError(res, error, 'INVOICE_DOWNLOAD_ERROR', 'Failed to download invoice');
+    }
+  }
+
+  /**
+   * Download any credit note (Finance, Support, Admin)
+   * @route GET /api/admin/invoices/credit-notes/:number/pdf
+   */
+  static async downloadCreditNote(req, res) {
+    try {
+      const creditNote = await InvoiceService.getCreditNoteByNumber(req.params.number);
+      const buffer = await InvoiceService.getPdf(creditNote, 'credit_note');
+
+      await InvoiceService.audit('CREDIT_NOTE_DOWNLOAD', creditNote.credit_note_number, req.auth.userId, getRequestContext(req));
+
+      sendPdf(res, buffer, creditNote.credit_note_number);
+    } catch (error) {
+      logger.error('Failed to download credit note:', {
+        error: error.message,
+        creditNoteNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      sendInvoiceError(res, error, 'CREDIT_NOTE_DOWNLOAD_ERROR', 'Failed to download credit note');
+    }
+  }
+
+  /**
+   * Issue any missing invoice or credit notes for an order (Finance, Admin)
+   * @route POST /api/admin/invoices/sync
+   */
+  static async syncOrderDocuments(req, res) {
+    try {
+      const invoice = await InvoiceService.syncOrderDocuments(req.body.order_number);
+
+      res.status(200).json({
+        message: 'Order documents are up to date',
+        data: invoice.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to sync order documents:', {
+        error: error.message,
+        orderNumber: req.body.order_number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendInvoiceError(res, error, 'DOCUMENTS_SYNC_ERROR', 'Failed to sync order documents');
+    }
+  }
+}
+
+module.exports = InvoiceController;
@@ -0,0 +1,584 @@
+const OrderService = require('../services/OrderService');
+const OrderCancellationService = require('../services/OrderCancellationService');
+const GuestOrderService = require('../services/GuestOrderService');
+const { logger } = require('../middleware/errorHandler');
+const { getRequestContext } = require('../middleware/audit');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+// Content types of carrier label formats
+const LABEL_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  png: 'image/png',
+  zpl: 'text/plain; charset=utf-8'
+};
+
+// Fulfilment lookups that fail with 404
+const NOT_FOUND_CODES = {
+  'Order not found': 'ORDER_NOT_FOUND',
+  'Shipment not found': 'SHIPMENT_NOT_FOUND',
+  'Shipment label not found': 'SHIPMENT_LABEL_NOT_FOUND'
+};
+
+/**
+ * Map fulfilment errors to API responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by OrderService
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendFulfilmentError = (res, error, code, message) => {
+  if (NOT_FOUND_CODES[error.message]) {
+    return res.status(404).json({
+      error: {
+        code: NOT_FOUND_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.startsWith('Order cannot move from') ||
+      error.message.startsWith('Orders cannot be moved to') ||
+      error.message.endsWith('cannot be shipped') ||
+      error.message === 'Shipment is already delivered') {
+    return res.status(409).json({
+      error: {
+        code: 'INVALID_ORDER_TRANSITION',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('not found in order') || error.message.includes('left to ship')) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_SHIPMENT_ITEMS',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message === 'Tracking number is already in use') {
+    return res.status(409).json({
+      error: {
+        code: 'DUPLICATE_TRACKING_NUMBER',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.startsWith('Carrier') && error.message.endsWith('is not available')) {
+    return res.status(400).json({
+      error: {
+        code: 'CARRIER_UNAVAILABLE',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.startsWith('Label purchase failed') || error.message.startsWith('Tracking failed')) {
+    return res.status(422).json({
+      error: {
+        code: error.message.startsWith('Label') ? 'LABEL_PURCHASE_FAILED' : 'TRACKING_FAILED',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code,
+      message
+    }
+  });
+};
+
+/**
+ * Map cancellation errors to API responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by OrderCancellationService
+ */
+const sendCancellationError = (res, error) => {
+  if (error.message === 'Order not found') {
+    return res.status(404).json({
+      error: {
+        code: 'ORDER_NOT_FOUND',
+        message: 'Order not found'
+      }
+    });
+  }
+
+  if (error.message === 'Order is already cancelled') {
+    return res.status(409).json({
+      error: {
+        code: 'ORDER_ALREADY_CANCELLED',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.endsWith('can no longer be cancelled')) {
+    return res.status(409).json({
+      error: {
+        code: 'ORDER_FULFILMENT_STARTED',
+        message: `${error.message}; please contact support`
+      }
+    });
+  }
+
+  if (error.message.includes('not found in order') || error.message.includes('can be cancelled')) {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_CANCELLATION_ITEMS',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code: 'ORDER_CANCEL_ERROR',
+      message: 'Failed to cancel order'
+    }
+  });
+};
+
+class OrderController {
+  /**
+   * List orders for the authenticated user
+   * @route GET /api/orders
+   */
+  static async listOrders(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const userId = req.auth.userId;
+
+      const result = await OrderService.getOrdersForUser(userId, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.orders, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch orders:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'ORDERS_FETCH_ERROR',
+          message: 'Failed to fetch orders'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get order details by order number
+   * @route GET /api/orders/:number
+   */
+  static async getOrder(req, res) {
+    try {
+      const { number } = req.params;
+      const userId = req.auth.userId;
+
+      const order = await OrderService.getOrderByNumber(number, userId);
+
+      res.status(200).json({
+        data: order.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch order:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Order not found') {
+        return res.status(404).json({
+          error: {
+            code: 'ORDER_NOT_FOUND',
+            message: 'Order not found'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'ORDER_FETCH_ERROR',
+          message: 'Failed to fetch order'
+        }
+      });
+    }
+  }
+
+  /**
+   * Cancel all or part of an order that has not entered fulfilment
+   * @route POST /api/orders/:number/cancel
+   */
+  static async cancelOrder(req, res) {
+    try {
+      const { items, reason } = req.body;
+
+      const result = await OrderCancellationService.cancelOrder(
+        req.params.number,
+        req.auth.userId,
+        { items, reason },
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        data: {
+          ...result.order.getDetails(),
+          cancellation: result.cancellation
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to cancel order:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendCancellationError(res, error);
+    }
+  }
+
+  /**
+   * Email a guest the link to their order
+   * @route POST /api/orders/guest/link
+   */
+  static async requestGuestOrderLink(req, res) {
+    try {
+      const { order_number, email } = req.body;
+
+      await GuestOrderService.requestOrderLink(order_number, email);
+
+      // Same answer whether or not the order and email matched
+      res.status(202).json({
+        message: 'If the order and email match, a link to the order has been sent'
+      });
+    } catch (error) {
+      logger.error('Failed to request guest order link:', {
+        error: error.message,
+        orderNumber: req.body.order_number,
+        requestId: req.requestId
+      });
+
+      if (error.message === 'Guest order links are not configured') {
+        return res.status(503).json({
+          error: {
+            code: 'GUEST_ORDER_LINKS_UNAVAILABLE',
+            message: 'Guest order lookup is not available'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'GUEST_ORDER_LINK_ERROR',
+          message: 'Failed to send order link'
+        }
+      });
+    }
+  }
+
+  /**
+   * Attach the customer's guest orders through an emailed order link
+   * @route POST /api/orders/guest/:number/claim
+   */
+  static async claimGuestOrders(req, res) {
+    try {
+      const attached = await GuestOrderService.claimGuestOrders(req.params.number, req.body.token, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Guest orders attached to your account',
+        data: {
+          attached
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to claim guest orders:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Order not found') {
+        return res.status(404).json({
+          error: {
+            code: 'ORDER_NOT_FOUND',
+            message: 'Order not found'
+          }
+        });
+      }
+
+      if (error.message === 'Order link has expired') {
+        return res.status(410).json({
+          error: {
+            code: 'ORDER_LINK_EXPIRED',
+            message: 'Order link has expired; request a new one'
+          }
+        });
+      }
+
+      if (error.message === 'Guest order links are not configured') {
+        return res.status(503).json({
+          error: {
+            code: 'GUEST_ORDER_LINKS_UNAVAILABLE',
+            message: 'Guest order lookup is not available'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'GUEST_ORDER_CLAIM_ERROR',
+          message: 'Failed to attach guest orders'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a guest order through its emailed link
+   * @route GET /api/orders/guest/:number
+   */
+  static async getGuestOrder(req, res) {
+    try {
+      const order = await GuestOrderService.getOrderWithToken(req.params.number, req.query.token);
+
+      res.status(200).json({
+        data: order.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch guest order:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      if (error.message === 'Order not found') {
+        return res.status(404).json({
+          error: {
+            code: 'ORDER_NOT_FOUND',
+            message: 'Order not found'
+          }
+        });
+      }
+
+      if (error.message === 'Order link has expired') {
+        return res.status(410).json({
+          error: {
+            code: 'ORDER_LINK_EXPIRED',
+            message: 'Order link has expired; request a new one'
+          }
+        });
+      }
+
+      if (error.message === 'Guest order links are not configured') {
+        return res.status(503).json({
+          error: {
+            code: 'GUEST_ORDER_LINKS_UNAVAILABLE',
+            message: 'Guest order lookup is not available'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'ORDER_FETCH_ERROR',
+          message: 'Failed to fetch order'
+        }
+      });
+    }
+  }
+
+  /**
+   * List all orders (Support, Warehouse, Admin)
+   * @route GET /api/admin/orders
+   */
+  static async listAllOrders(req, res) {
+    try {
+      const result = await OrderService.getOrders(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.orders, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch orders:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'ORDERS_FETCH_ERROR',
+          message: 'Failed to fetch orders'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get any order with its full status history (Support, Warehouse, Admin)
+   * @route GET /api/admin/orders/:number
+   */
+  static async getAnyOrder(req, res) {
+    try {
+      const order = await OrderService.getOrderForStaff(req.params.number);
+
+      res.status(200).json({
+        data: {
+          ...order.getDetails(),
+          user_id: order.user_id,
+          guest_email: order.guest_email,
+          allowed_transitions: order.getAllowedTransitions(),
+          history: (order.history || []).map(entry => entry.getSummary())
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to fetch order:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'ORDER_FETCH_ERROR', 'Failed to fetch order');
+    }
+  }
+
+  /**
+   * Move an order to another fulfilment status (Warehouse, Admin)
+   * @route POST /api/admin/orders/:number/transition
+   */
+  static async transitionOrder(req, res) {
+    try {
+      const { status, note } = req.body;
+
+      const order = await OrderService.transitionOrder(req.params.number, status, req.auth.userId, note || null);
+
+      res.status(200).json({
+        data: order.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to change order status:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        status: req.body.status,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'ORDER_TRANSITION_ERROR', 'Failed to change order status');
+    }
+  }
+
+  /**
+   * Record a shipment for an order (Warehouse, Admin)
+   * @route POST /api/admin/orders/:number/shipments
+   */
+  static async createShipment(req, res) {
+    try {
+      const order = await OrderService.createShipment(req.params.number, req.auth.userId, req.body);
+
+      res.status(201).json({
+        data: order.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to create shipment:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'SHIPMENT_CREATE_ERROR', 'Failed to create shipment');
+    }
+  }
+
+  /**
+   * Download a shipment's carrier label (Warehouse, Admin)
+   * @route GET /api/admin/orders/:number/shipments/:shipmentId/label
+   */
+  static async getShipmentLabel(req, res) {
+    try {
+      const { number, shipmentId } = req.params;
+
+      const label = await OrderService.getShipmentLabel(number, shipmentId);
+
+      res.set({
+        'Content-Type': LABEL_CONTENT_TYPES[label.label_format] || 'application/octet-stream',
+        'Content-Disposition': `attachment; filename="${label.tracking_number}.${label.label_format}"`
+      });
+      res.status(200).send(label.label);
+    } catch (error) {
+      logger.error('Failed to get shipment label:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        shipmentId: req.params.shipmentId,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'SHIPMENT_LABEL_FETCH_ERROR', 'Failed to fetch shipment label');
+    }
+  }
+
+  /**
+   * Get a shipment's tracking history from its carrier (Warehouse, Support, Admin)
+   * @route GET /api/admin/orders/:number/shipments/:shipmentId/tracking
+   */
+  static async trackShipment(req, res) {
+    try {
+      const { number, shipmentId } = req.params;
+
+      const tracking = await OrderService.trackShipment(number, shipmentId);
+
+      res.status(200).json({
+        data: tracking
+      });
+    } catch (error) {
+      logger.error('Failed to track shipment:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        shipmentId: req.params.shipmentId,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'SHIPMENT_TRACKING_ERROR', 'Failed to fetch shipment tracking');
+    }
+  }
+
+  /**
+   * Mark a shipment as delivered (Warehouse, Admin)
+   * @route POST /api/admin/orders/:number/shipments/:shipmentId/deliver
+   */
+  static async markShipmentDelivered(req, res) {
+    try {
+      const { number, shipmentId } = req.params;
+
+      const order = await OrderService.markShipmentDelivered(number, shipmentId, req.auth.userId);
+
+      res.status(200).json({
+        data: order.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to mark shipment delivered:', {
+        error: error.message,
+        orderNumber: req.params.number,
+        shipmentId: req.params.shipmentId,
+        requestId: req.requestId
+      });
+
+      sendFulfilmentError(res, error, 'SHIPMENT_UPDATE_ERROR', 'Failed to update shipment');
+    }
+  }
+}
+
+module.exports = OrderController;
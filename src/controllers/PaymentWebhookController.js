@@ -0,0 +1,187 @@
+const PaymentWebhookService = require('../services/PaymentWebhookService');
+const { logger } = require('../middleware/errorHandler');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+class PaymentWebhookController {
+  /**
+   * Receive a payment provider webhook
+   * @route POST /api/webhooks/payments/:provider
+   */
+  static async receive(req, res) {
+    try {
+      const { provider } = req.params;
+
+      const result = await PaymentWebhookService.ingest(provider, req.rawBody, req.headers);
+
+      res.status(200).json({
+        data: {
+          received: true,
+          event_id: result.event.event_id,
+          status: result.event.status,
+          duplicate: result.duplicate
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to ingest payment webhook:', {
+        error: error.message,
+        provider: req.params.provider,
+        requestId: req.requestId
+      });
+
+      if (error.message.startsWith('Payment provider') && error.message.endsWith('is not available')) {
+        return res.status(404).json({
+          error: {
+            code: 'PAYMENT_PROVIDER_NOT_FOUND',
+            message: error.message
+          }
+        });
+      }
+
+      if (error.message === 'Invalid webhook signature') {
+        logger.logSecurity(req, 'Payment webhook signature rejected', {
+          provider: req.params.provider,
+          ip: req.ip
+        });
+
+        return res.status(401).json({
+          error: {
+            code: 'INVALID_SIGNATURE',
+            message: 'Webhook signature verification failed'
+          }
+        });
+      }
+
+      if (error.message === 'Malformed webhook payload') {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_WEBHOOK_PAYLOAD',
+            message: 'Webhook payload could not be parsed'
+          }
+        });
+      }
+
+      // A 5xx makes the provider redeliver; the stored event is retried then
+      res.status(500).json({
+        error: {
+          code: 'WEBHOOK_PROCESSING_ERROR',
+          message: 'Failed to process webhook'
+        }
+      });
+    }
+  }
+
+  /**
+   * List stored webhook events (Admin only)
+   * @route GET /api/admin/payments/webhooks
+   */
+  static async listEvents(req, res) {
+    try {
+      const result = await PaymentWebhookService.getEvents(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.events, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch payment webhook events:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'WEBHOOK_EVENTS_FETCH_ERROR',
+          message: 'Failed to fetch webhook events'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a stored webhook event with its payload (Admin only)
+   * @route GET /api/admin/payments/webhooks/:id
+   */
+  static async getEvent(req, res) {
+    try {
+      const event = await PaymentWebhookService.getEvent(req.params.id);
+
+      res.status(200).json({
+        data: event
+      });
+    } catch (error) {
+      logger.error('Failed to fetch payment webhook event:', {
+        error: error.message,
+        eventId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Webhook event not found') {
+        return res.status(404).json({
+          error: {
+            code: 'WEBHOOK_EVENT_NOT_FOUND',
+            message: 'Webhook event not found'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'WEBHOOK_EVENT_FETCH_ERROR',
+          message: 'Failed to fetch webhook event'
+        }
+      });
+    }
+  }
+
+  /**
+   * Replay a stored webhook event (Admin only)
+   * @route POST /api/admin/payments/webhooks/:id/replay
+   */
+  static async replayEvent(req, res) {
+    try {
+      const { event, outcome } = await PaymentWebhookService.replayEvent(req.params.id);
+
+      logger.info('Payment webhook event replayed', {
+        eventId: event.id,
+        provider: event.provider,
+        status: outcome.status,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(200).json({
+        data: {
+          event: event.getSummary(),
+          outcome
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to replay payment webhook event:', {
+        error: error.message,
+        eventId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'Webhook event not found') {
+        return res.status(404).json({
+          error: {
+            code: 'WEBHOOK_EVENT_NOT_FOUND',
+            message: 'Webhook event not found'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'WEBHOOK_REPLAY_ERROR',
+          message: `Failed to replay webhook event: ${error.message}`
+        }
+      });
+    }
+  }
+}
+
+module.exports = PaymentWebhookController;
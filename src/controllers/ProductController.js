@@ -40,6 +40,15 @@ class ProductController {
         });
       }
 
+      if (error.message === 'Tax class not found') {
+        return res.status(404).json({
+          error: {
+            code: 'TAX_CLASS_NOT_FOUND',
+            message: 'Tax class not found'
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'PRODUCT_CREATE_ERROR',
@@ -97,6 +106,15 @@ class ProductController {
         });
       }
 
+      if (error.message === 'Tax class not found') {
+        return res.status(404).json({
+          error: {
+            code: 'TAX_CLASS_NOT_FOUND',
+            message: 'Tax class not found'
+          }
+        });
+      }
+
       res.status(500).json({
         error: {
           code: 'PRODUCT_UPDATE_ERROR',
@@ -0,0 +1,112 @@
+const PromotionService = require('../services/PromotionService');
+const { logger } = require('../middleware/errorHandler');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+/**
+ * Send the response for a promotion write that failed
+ */
+const sendPromotionError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Promotion not found') {
+    return res.status(404).json({
+      error: {
+        code: 'PROMOTION_NOT_FOUND',
+        message: 'Promotion not found'
+      }
+    });
+  }
+
+  // Rules checked by the model, e.g. rules that no longer match the type after a partial update
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class PromotionController {
+  /**
+   * List automatic promotions (Admin only)
+   * @route GET /api/admin/promotions
+   */
+  static async listPromotions(req, res) {
+    try {
+      const result = await PromotionService.getPromotions(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.promotions, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch promotions:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'PROMOTIONS_FETCH_ERROR',
+          message: 'Failed to fetch promotions'
+        }
+      });
+    }
+  }
+
+  /**
+   * Create an automatic promotion (Admin only)
+   * @route POST /api/admin/promotions
+   */
+  static async createPromotion(req, res) {
+    try {
+      const promotion = await PromotionService.createPromotion(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Promotion created successfully',
+        data: promotion
+      });
+    } catch (error) {
+      logger.error('Failed to create promotion:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendPromotionError(res, error, 'PROMOTION_CREATE_ERROR', 'Failed to create promotion');
+    }
+  }
+
+  /**
+   * Update an automatic promotion (Admin only)
+   * @route PATCH /api/admin/promotions/:id
+   */
+  static async updatePromotion(req, res) {
+    try {
+      const promotion = await PromotionService.updatePromotion(req.params.id, req.body);
+
+      res.status(200).json({
+        message: 'Promotion updated successfully',
+        data: promotion
+      });
+    } catch (error) {
+      logger.error('Failed to update promotion:', {
+        error: error.message,
+        promotionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendPromotionError(res, error, 'PROMOTION_UPDATE_ERROR', 'Failed to update promotion');
+    }
+  }
+}
+
+module.exports = PromotionController;
@@ -0,0 +1,313 @@
+const ReturnService = require('../services/ReturnService');
+const { logger } = require('../middleware/errorHandler');
+const { getRequestContext } = require('../middleware/audit');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+/**
+ * Map return workflow errors to API responses
+ * @param {Object} res - Express response object
+ * @param {Error} error - Error thrown by ReturnService
+ * @param {string} code - Fallback error code
+ * @param {string} message - Fallback error message
+ */
+const sendReturnError = (res, error, code, message) => {
+  if (error.message === 'Order not found') {
+    return res.status(404).json({
+      error: {
+        code: 'ORDER_NOT_FOUND',
+        message: 'Order not found'
+      }
+    });
+  }
+
+  if (error.message === 'Return not found') {
+    return res.status(404).json({
+      error: {
+        code: 'RETURN_NOT_FOUND',
+        message: 'Return not found'
+      }
+    });
+  }
+
+  if (error.message === 'Order cannot be returned' || error.message === 'Return window has closed') {
+    return res.status(409).json({
+      error: {
+        code: 'ORDER_NOT_RETURNABLE',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.includes('not found in order') ||
+      error.message.includes('can be returned') ||
+      error.message === 'A condition must be recorded for every returned item') {
+    return res.status(400).json({
+      error: {
+        code: 'INVALID_RETURN_ITEMS',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message.startsWith('Return is') || error.message === 'Return has no failed refund to retry') {
+    return res.status(409).json({
+      error: {
+        code: 'INVALID_RETURN_STATE',
+        message: error.message
+      }
+    });
+  }
+
+  res.status(500).json({
+    error: {
+      code,
+      message
+    }
+  });
+};
+
+class ReturnController {
+  /**
+   * Open a return request for an order
+   * @route POST /api/returns
+   */
+  static async createReturn(req, res) {
+    try {
+      const { order_number, items, note } = req.body;
+
+      const returnRequest = await ReturnService.createReturn(
+        order_number,
+        req.auth.userId,
+        { items, note },
+        getRequestContext(req)
+      );
+
+      res.status(201).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to create return:', {
+        error: error.message,
+        orderNumber: req.body.order_number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendReturnError(res, error, 'RETURN_CREATE_ERROR', 'Failed to create return');
+    }
+  }
+
+  /**
+   * List returns opened by the authenticated user
+   * @route GET /api/returns
+   */
+  static async listReturns(req, res) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+
+      const result = await ReturnService.getReturnsForUser(req.auth.userId, {
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10)
+      });
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.returns, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch returns:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'RETURNS_FETCH_ERROR',
+          message: 'Failed to fetch returns'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a return by RMA number
+   * @route GET /api/returns/:rma_number
+   */
+  static async getReturn(req, res) {
+    try {
+      const returnRequest = await ReturnService.getReturnForUser(req.params.rma_number, req.auth.userId);
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch return:', {
+        error: error.message,
+        rmaNumber: req.params.rma_number,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendReturnError(res, error, 'RETURN_FETCH_ERROR', 'Failed to fetch return');
+    }
+  }
+
+  /**
+   * List all returns (Support, Warehouse, Admin)
+   * @route GET /api/admin/returns
+   */
+  static async listAllReturns(req, res) {
+    try {
+      const result = await ReturnService.getReturns(req.query);
+
+      // Set pagination headers
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.returns, result.pagination));
+    } catch (error) {
+      logger.error('Failed to fetch returns:', {
+        error: error.message,
+        requestId: req.requestId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'RETURNS_FETCH_ERROR',
+          message: 'Failed to fetch returns'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get any return by ID (Support, Warehouse, Admin)
+   * @route GET /api/admin/returns/:id
+   */
+  static async getAnyReturn(req, res) {
+    try {
+      const returnRequest = await ReturnService.getReturnById(req.params.id);
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch return:', {
+        error: error.message,
+        returnId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendReturnError(res, error, 'RETURN_FETCH_ERROR', 'Failed to fetch return');
+    }
+  }
+
+  /**
+   * Approve a return and refund it (Support, Admin)
+   * @route POST /api/admin/returns/:id/approve
+   */
+  static async approveReturn(req, res) {
+    try {
+      const returnRequest = await ReturnService.approveReturn(
+        req.params.id,
+        req.auth.userId,
+        req.body.note,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to approve return:', {
+        error: error.message,
+        returnId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendReturnError(res, error, 'RETURN_APPROVE_ERROR', 'Failed to approve return');
+    }
+  }
+
+  /**
+   * Reject a return (Support, Admin)
+   * @route POST /api/admin/returns/:id/reject
+   */
+  static async rejectReturn(req, res) {
+    try {
+      const returnRequest = await ReturnService.rejectReturn(
+        req.params.id,
+        req.auth.userId,
+        req.body.note,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to reject return:', {
+        error: error.message,
+        returnId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendReturnError(res, error, 'RETURN_REJECT_ERROR', 'Failed to reject return');
+    }
+  }
+
+  /**
+   * Record receipt of returned items (Warehouse, Admin)
+   * @route POST /api/admin/returns/:id/receive
+   */
+  static async receiveReturn(req, res) {
+    try {
+      const returnRequest = await ReturnService.receiveReturn(
+        req.params.id,
+        req.auth.userId,
+        req.body,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to receive return:', {
+        error: error.message,
+        returnId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendReturnError(res, error, 'RETURN_RECEIVE_ERROR', 'Failed to record return receipt');
+    }
+  }
+
+  /**
+   * Retry a failed return refund (Support, Admin)
+   * @route POST /api/admin/returns/:id/refund
+   */
+  static async retryRefund(req, res) {
+    try {
+      const returnRequest = await ReturnService.retryRefund(
+        req.params.id,
+        req.auth.userId,
+        getRequestContext(req)
+      );
+
+      res.status(200).json({
+        data: returnRequest.getDetails()
+      });
+    } catch (error) {
+      logger.error('Failed to retry return refund:', {
+        error: error.message,
+        returnId: req.params.id,
+        requestId: req.requestId
+      });
+
+      sendReturnError(res, error, 'RETURN_REFUND_ERROR', 'Failed to retry refund');
+    }
+  }
+}
+
+module.exports = ReturnController;
@@ -0,0 +1,607 @@
+const ShippingZoneService = require('../services/ShippingZoneService');
+const { logger } = require('../middleware/errorHandler');
+
+// Service errors that mean the record was not found
+const SHIPPING_NOT_FOUND_CODES = {
+  'Shipping zone not found': 'SHIPPING_ZONE_NOT_FOUND',
+  'Shipping method not found': 'SHIPPING_METHOD_NOT_FOUND',
+  'Shipping rate not found': 'SHIPPING_RATE_NOT_FOUND',
+  'Shipping box not found': 'SHIPPING_BOX_NOT_FOUND',
+  'Business calendar not found': 'BUSINESS_CALENDAR_NOT_FOUND',
+  'Public holiday not found': 'PUBLIC_HOLIDAY_NOT_FOUND'
+};
+
+// Service errors that mean the request conflicts with the stored zones, methods, rates, boxes or calendars
+const SHIPPING_CONFLICT_CODES = {
+  'Shipping zone already exists': 'SHIPPING_ZONE_EXISTS',
+  'Default shipping zone cannot be deleted': 'SHIPPING_ZONE_IS_DEFAULT',
+  'Shipping method already exists': 'SHIPPING_METHOD_EXISTS',
+  'Shipping method has rates': 'SHIPPING_METHOD_IN_USE',
+  'Shipping rate already exists': 'SHIPPING_RATE_EXISTS',
+  'Shipping box already exists': 'SHIPPING_BOX_EXISTS',
+  'Business calendar already exists': 'BUSINESS_CALENDAR_EXISTS'
+};
+
+/**
+ * Send the response for a shipping admin request that failed
+ */
+const sendShippingError = (res, error, fallbackCode, fallbackMessage) => {
+  if (SHIPPING_NOT_FOUND_CODES[error.message]) {
+    return res.status(404).json({
+      error: {
+        code: SHIPPING_NOT_FOUND_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (SHIPPING_CONFLICT_CODES[error.message]) {
+    return res.status(409).json({
+      error: {
+        code: SHIPPING_CONFLICT_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.message === 'Shipping rate bands overlap') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class ShippingZoneController {
+  /**
+   * List shipping zones with their regions (Admin)
+   * @route GET /api/admin/shipping/zones
+   */
+  static async listZones(req, res) {
+    try {
+      const zones = await ShippingZoneService.listZones();
+
+      res.status(200).json({
+        data: zones
+      });
+    } catch (error) {
+      logger.error('Failed to list shipping zones:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_ZONES_FETCH_ERROR', 'Failed to fetch shipping zones');
+    }
+  }
+
+  /**
+   * Get a shipping zone with its regions and rates (Admin)
+   * @route GET /api/admin/shipping/zones/:id
+   */
+  static async getZone(req, res) {
+    try {
+      const zone = await ShippingZoneService.getZone(req.params.id);
+
+      res.status(200).json({
+        data: zone
+      });
+    } catch (error) {
+      logger.error('Failed to fetch shipping zone:', {
+        error: error.message,
+        zoneId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_ZONE_FETCH_ERROR', 'Failed to fetch shipping zone');
+    }
+  }
+
+  /**
+   * Create a shipping zone (Admin)
+   * @route POST /api/admin/shipping/zones
+   */
+  static async createZone(req, res) {
+    try {
+      const zone = await ShippingZoneService.createZone(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Shipping zone created successfully',
+        data: zone
+      });
+    } catch (error) {
+      logger.error('Failed to create shipping zone:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_ZONE_CREATE_ERROR', 'Failed to create shipping zone');
+    }
+  }
+
+  /**
+   * Update a shipping zone (Admin)
+   * @route PATCH /api/admin/shipping/zones/:id
+   */
+  static async updateZone(req, res) {
+    try {
+      const zone = await ShippingZoneService.updateZone(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping zone updated successfully',
+        data: zone
+      });
+    } catch (error) {
+      logger.error('Failed to update shipping zone:', {
+        error: error.message,
+        zoneId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_ZONE_UPDATE_ERROR', 'Failed to update shipping zone');
+    }
+  }
+
+  /**
+   * Delete a shipping zone (Admin)
+   * @route DELETE /api/admin/shipping/zones/:id
+   */
+  static async deleteZone(req, res) {
+    try {
+      await ShippingZoneService.deleteZone(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping zone deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete shipping zone:', {
+        error: error.message,
+        zoneId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_ZONE_DELETE_ERROR', 'Failed to delete shipping zone');
+    }
+  }
+
+  /**
+   * List shipping methods (Admin)
+   * @route GET /api/admin/shipping/methods
+   */
+  static async listMethods(req, res) {
+    try {
+      const methods = await ShippingZoneService.listMethods();
+
+      res.status(200).json({
+        data: methods
+      });
+    } catch (error) {
+      logger.error('Failed to list shipping methods:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_METHODS_FETCH_ERROR', 'Failed to fetch shipping methods');
+    }
+  }
+
+  /**
+   * Create a shipping method (Admin)
+   * @route POST /api/admin/shipping/methods
+   */
+  static async createMethod(req, res) {
+    try {
+      const method = await ShippingZoneService.createMethod(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Shipping method created successfully',
+        data: method
+      });
+    } catch (error) {
+      logger.error('Failed to create shipping method:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_METHOD_CREATE_ERROR', 'Failed to create shipping method');
+    }
+  }
+
+  /**
+   * Update a shipping method (Admin)
+   * @route PATCH /api/admin/shipping/methods/:id
+   */
+  static async updateMethod(req, res) {
+    try {
+      const method = await ShippingZoneService.updateMethod(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping method updated successfully',
+        data: method
+      });
+    } catch (error) {
+      logger.error('Failed to update shipping method:', {
+        error: error.message,
+        methodId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_METHOD_UPDATE_ERROR', 'Failed to update shipping method');
+    }
+  }
+
+  /**
+   * Delete a shipping method (Admin)
+   * @route DELETE /api/admin/shipping/methods/:id
+   */
+  static async deleteMethod(req, res) {
+    try {
+      await ShippingZoneService.deleteMethod(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping method deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete shipping method:', {
+        error: error.message,
+        methodId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_METHOD_DELETE_ERROR', 'Failed to delete shipping method');
+    }
+  }
+
+  /**
+   * Offer a shipping method in a zone at a rate (Admin)
+   * @route POST /api/admin/shipping/rates
+   */
+  static async createRate(req, res) {
+    try {
+      const rate = await ShippingZoneService.createRate(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Shipping rate created successfully',
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Failed to create shipping rate:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_RATE_CREATE_ERROR', 'Failed to create shipping rate');
+    }
+  }
+
+  /**
+   * Update a shipping rate and its bands (Admin)
+   * @route PATCH /api/admin/shipping/rates/:id
+   */
+  static async updateRate(req, res) {
+    try {
+      const rate = await ShippingZoneService.updateRate(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping rate updated successfully',
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Failed to update shipping rate:', {
+        error: error.message,
+        rateId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_RATE_UPDATE_ERROR', 'Failed to update shipping rate');
+    }
+  }
+
+  /**
+   * Delete a shipping rate (Admin)
+   * @route DELETE /api/admin/shipping/rates/:id
+   */
+  static async deleteRate(req, res) {
+    try {
+      await ShippingZoneService.deleteRate(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete shipping rate:', {
+        error: error.message,
+        rateId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_RATE_DELETE_ERROR', 'Failed to delete shipping rate');
+    }
+  }
+
+  /**
+   * List packing boxes (Admin)
+   * @route GET /api/admin/shipping/boxes
+   */
+  static async listBoxes(req, res) {
+    try {
+      const boxes = await ShippingZoneService.listBoxes();
+
+      res.status(200).json({
+        data: boxes
+      });
+    } catch (error) {
+      logger.error('Failed to list shipping boxes:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_BOXES_FETCH_ERROR', 'Failed to fetch shipping boxes');
+    }
+  }
+
+  /**
+   * Create a packing box (Admin)
+   * @route POST /api/admin/shipping/boxes
+   */
+  static async createBox(req, res) {
+    try {
+      const box = await ShippingZoneService.createBox(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Shipping box created successfully',
+        data: box
+      });
+    } catch (error) {
+      logger.error('Failed to create shipping box:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_BOX_CREATE_ERROR', 'Failed to create shipping box');
+    }
+  }
+
+  /**
+   * Update a packing box (Admin)
+   * @route PATCH /api/admin/shipping/boxes/:id
+   */
+  static async updateBox(req, res) {
+    try {
+      const box = await ShippingZoneService.updateBox(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping box updated successfully',
+        data: box
+      });
+    } catch (error) {
+      logger.error('Failed to update shipping box:', {
+        error: error.message,
+        boxId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_BOX_UPDATE_ERROR', 'Failed to update shipping box');
+    }
+  }
+
+  /**
+   * Delete a packing box (Admin)
+   * @route DELETE /api/admin/shipping/boxes/:id
+   */
+  static async deleteBox(req, res) {
+    try {
+      await ShippingZoneService.deleteBox(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Shipping box deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete shipping box:', {
+        error: error.message,
+        boxId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'SHIPPING_BOX_DELETE_ERROR', 'Failed to delete shipping box');
+    }
+  }
+
+  /**
+   * List business calendars (Admin)
+   * @route GET /api/admin/shipping/calendars
+   */
+  static async listCalendars(req, res) {
+    try {
+      const calendars = await ShippingZoneService.listCalendars();
+
+      res.status(200).json({
+        data: calendars
+      });
+    } catch (error) {
+      logger.error('Failed to list business calendars:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'BUSINESS_CALENDARS_FETCH_ERROR', 'Failed to fetch business calendars');
+    }
+  }
+
+  /**
+   * Get a business calendar with its holidays (Admin)
+   * @route GET /api/admin/shipping/calendars/:id
+   */
+  static async getCalendar(req, res) {
+    try {
+      const calendar = await ShippingZoneService.getCalendar(req.params.id);
+
+      res.status(200).json({
+        data: calendar
+      });
+    } catch (error) {
+      logger.error('Failed to fetch business calendar:', {
+        error: error.message,
+        calendarId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'BUSINESS_CALENDAR_FETCH_ERROR', 'Failed to fetch business calendar');
+    }
+  }
+
+  /**
+   * Create a business calendar (Admin)
+   * @route POST /api/admin/shipping/calendars
+   */
+  static async createCalendar(req, res) {
+    try {
+      const calendar = await ShippingZoneService.createCalendar(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Business calendar created successfully',
+        data: calendar
+      });
+    } catch (error) {
+      logger.error('Failed to create business calendar:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'BUSINESS_CALENDAR_CREATE_ERROR', 'Failed to create business calendar');
+    }
+  }
+
+  /**
+   * Update a business calendar (Admin)
+   * @route PATCH /api/admin/shipping/calendars/:id
+   */
+  static async updateCalendar(req, res) {
+    try {
+      const calendar = await ShippingZoneService.updateCalendar(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Business calendar updated successfully',
+        data: calendar
+      });
+    } catch (error) {
+      logger.error('Failed to update business calendar:', {
+        error: error.message,
+        calendarId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'BUSINESS_CALENDAR_UPDATE_ERROR', 'Failed to update business calendar');
+    }
+  }
+
+  /**
+   * Delete a business calendar (Admin)
+   * @route DELETE /api/admin/shipping/calendars/:id
+   */
+  static async deleteCalendar(req, res) {
+    try {
+      await ShippingZoneService.deleteCalendar(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Business calendar deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete business calendar:', {
+        error: error.message,
+        calendarId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'BUSINESS_CALENDAR_DELETE_ERROR', 'Failed to delete business calendar');
+    }
+  }
+
+  /**
+   * Add public holidays to a business calendar (Admin)
+   * @route POST /api/admin/shipping/calendars/:id/holidays
+   */
+  static async addHolidays(req, res) {
+    try {
+      const calendar = await ShippingZoneService.addHolidays(req.params.id, req.body.holidays, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Public holidays added successfully',
+        data: calendar
+      });
+    } catch (error) {
+      logger.error('Failed to add public holidays:', {
+        error: error.message,
+        calendarId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'PUBLIC_HOLIDAYS_CREATE_ERROR', 'Failed to add public holidays');
+    }
+  }
+
+  /**
+   * Remove a public holiday from a business calendar (Admin)
+   * @route DELETE /api/admin/shipping/calendars/:id/holidays/:holidayId
+   */
+  static async deleteHoliday(req, res) {
+    try {
+      await ShippingZoneService.deleteHoliday(req.params.id, req.params.holidayId, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Public holiday deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete public holiday:', {
+        error: error.message,
+        calendarId: req.params.id,
+        holidayId: req.params.holidayId,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendShippingError(res, error, 'PUBLIC_HOLIDAY_DELETE_ERROR', 'Failed to delete public holiday');
+    }
+  }
+}
+
+module.exports = ShippingZoneController;
@@ -0,0 +1,108 @@
+const StoreCreditService = require('../services/StoreCreditService');
+const { logger } = require('../middleware/errorHandler');
+
+class StoreCreditController {
+  /**
+   * Get the signed-in customer's store credit
+   * @route GET /api/store-credit
+   */
+  static async getMyWallets(req, res) {
+    try {
+      const result = await StoreCreditService.getWallets(req.auth.userId);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to fetch store credit:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'STORE_CREDIT_FETCH_ERROR',
+          message: 'Failed to fetch store credit'
+        }
+      });
+    }
+  }
+
+  /**
+   * Get a customer's store credit (Support, Finance or Admin)
+   * @route GET /api/admin/store-credit/:userId
+   */
+  static async getUserWallets(req, res) {
+    try {
+      const result = await StoreCreditService.getWallets(req.params.userId);
+
+      res.status(200).json({
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to fetch customer store credit:', {
+        error: error.message,
+        customerId: req.params.userId,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      res.status(500).json({
+        error: {
+          code: 'STORE_CREDIT_FETCH_ERROR',
+          message: 'Failed to fetch store credit'
+        }
+      });
+    }
+  }
+
+  /**
+   * Grant store credit to a customer (Support or Admin)
+   * @route POST /api/admin/store-credit/:userId
+   */
+  static async grantCredit(req, res) {
+    try {
+      const result = await StoreCreditService.grantCredit(req.params.userId, req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Store credit granted successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to grant store credit:', {
+        error: error.message,
+        customerId: req.params.userId,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          error: {
+            code: 'USER_NOT_FOUND',
+            message: 'User not found'
+          }
+        });
+      }
+
+      if (error.message === 'Order not found') {
+        return res.status(404).json({
+          error: {
+            code: 'ORDER_NOT_FOUND',
+            message: 'Order not found for this customer'
+          }
+        });
+      }
+
+      res.status(500).json({
+        error: {
+          code: 'STORE_CREDIT_GRANT_ERROR',
+          message: 'Failed to grant store credit'
+        }
+      });
+    }
+  }
+}
+
+module.exports = StoreCreditController;
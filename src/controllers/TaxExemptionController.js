@@ -0,0 +1,323 @@
+const TaxExemptionService = require('../services/TaxExemptionService');
+const { logger } = require('../middleware/errorHandler');
+const { formatPaginatedResponse, setPaginationHeaders } = require('../middleware/pagination');
+
+// Service errors that mean the exemption is not in a state that allows the request
+const EXEMPTION_CONFLICT_CODES = {
+  'Tax exemption has already been reviewed': 'TAX_EXEMPTION_REVIEWED',
+  'Tax exemption is not approved': 'TAX_EXEMPTION_NOT_APPROVED'
+};
+
+/**
+ * Send the response for a tax exemption request that failed
+ */
+const sendExemptionError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Tax exemption not found') {
+    return res.status(404).json({
+      error: {
+        code: 'TAX_EXEMPTION_NOT_FOUND',
+        message: 'Tax exemption not found'
+      }
+    });
+  }
+
+  if (error.message === 'Tax exemption has no certificate') {
+    return res.status(404).json({
+      error: {
+        code: 'CERTIFICATE_NOT_FOUND',
+        message: 'Tax exemption has no certificate'
+      }
+    });
+  }
+
+  if (error.message === 'Tax jurisdiction not found') {
+    return res.status(404).json({
+      error: {
+        code: 'TAX_JURISDICTION_NOT_FOUND',
+        message: 'Tax jurisdiction not found'
+      }
+    });
+  }
+
+  if (error.message === 'A tax ID or certificate is required' ||
+      error.message === 'Tax jurisdiction is not in the exemption country') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.message
+      }
+    });
+  }
+
+  if (EXEMPTION_CONFLICT_CODES[error.message]) {
+    return res.status(409).json({
+      error: {
+        code: EXEMPTION_CONFLICT_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+/**
+ * Send an exemption certificate as a download
+ * @param {Object} res - Express response object
+ * @param {Object} certificate - { buffer, filename, content_type }
+ */
+const sendCertificate = (res, certificate) => {
+  res.set({
+    'Content-Type': certificate.content_type,
+    'Content-Disposition': `attachment; filename="${certificate.filename.replace(/"/g, '')}"`,
+    'Cache-Control': 'private, no-store'
+  });
+  res.status(200).send(certificate.buffer);
+};
+
+class TaxExemptionController {
+  /**
+   * List the signed-in customer's tax exemptions
+   * @route GET /api/account/tax-exemptions
+   */
+  static async listMyExemptions(req, res) {
+    try {
+      const exemptions = await TaxExemptionService.listForUser(req.auth.userId);
+
+      res.status(200).json({
+        data: exemptions
+      });
+    } catch (error) {
+      logger.error('Failed to fetch tax exemptions:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTIONS_FETCH_ERROR', 'Failed to fetch tax exemptions');
+    }
+  }
+
+  /**
+   * Submit a tax ID or exemption certificate for review
+   * @route POST /api/account/tax-exemptions
+   */
+  static async submitExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.submit(req.auth.userId, req.body, req.file || null);
+
+      res.status(201).json({
+        message: 'Tax exemption submitted for review',
+        data: exemption
+      });
+    } catch (error) {
+      logger.error('Failed to submit tax exemption:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_SUBMIT_ERROR', 'Failed to submit tax exemption');
+    }
+  }
+
+  /**
+   * Get one of the signed-in customer's tax exemptions
+   * @route GET /api/account/tax-exemptions/:id
+   */
+  static async getMyExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.getForUser(req.auth.userId, req.params.id);
+
+      res.status(200).json({
+        data: exemption.getSummary()
+      });
+    } catch (error) {
+      logger.error('Failed to fetch tax exemption:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_FETCH_ERROR', 'Failed to fetch tax exemption');
+    }
+  }
+
+  /**
+   * Download the certificate of one of the signed-in customer's tax exemptions
+   * @route GET /api/account/tax-exemptions/:id/certificate
+   */
+  static async downloadMyCertificate(req, res) {
+    try {
+      const exemption = await TaxExemptionService.getForUser(req.auth.userId, req.params.id);
+      const certificate = await TaxExemptionService.getCertificate(exemption);
+
+      sendCertificate(res, certificate);
+    } catch (error) {
+      logger.error('Failed to download tax exemption certificate:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'CERTIFICATE_DOWNLOAD_ERROR', 'Failed to download certificate');
+    }
+  }
+
+  /**
+   * List tax exemptions for review (Finance or Admin)
+   * @route GET /api/admin/tax/exemptions
+   */
+  static async listExemptions(req, res) {
+    try {
+      const result = await TaxExemptionService.getExemptions(req.query);
+
+      setPaginationHeaders(res, result.pagination);
+
+      res.status(200).json(formatPaginatedResponse(result.exemptions, result.pagination));
+    } catch (error) {
+      logger.error('Failed to list tax exemptions:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTIONS_FETCH_ERROR', 'Failed to fetch tax exemptions');
+    }
+  }
+
+  /**
+   * Get a tax exemption (Finance or Admin)
+   * @route GET /api/admin/tax/exemptions/:id
+   */
+  static async getExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.getExemption(req.params.id);
+
+      res.status(200).json({
+        data: TaxExemptionService.getStaffSummary(exemption)
+      });
+    } catch (error) {
+      logger.error('Failed to fetch tax exemption:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_FETCH_ERROR', 'Failed to fetch tax exemption');
+    }
+  }
+
+  /**
+   * Download a tax exemption certificate (Finance or Admin)
+   * @route GET /api/admin/tax/exemptions/:id/certificate
+   */
+  static async downloadCertificate(req, res) {
+    try {
+      const exemption = await TaxExemptionService.getExemption(req.params.id);
+      const certificate = await TaxExemptionService.getCertificate(exemption);
+
+      sendCertificate(res, certificate);
+    } catch (error) {
+      logger.error('Failed to download tax exemption certificate:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'CERTIFICATE_DOWNLOAD_ERROR', 'Failed to download certificate');
+    }
+  }
+
+  /**
+   * Approve a tax exemption for a jurisdiction until an expiry date (Finance or Admin)
+   * @route POST /api/admin/tax/exemptions/:id/approve
+   */
+  static async approveExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.approve(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax exemption approved',
+        data: exemption
+      });
+    } catch (error) {
+      logger.error('Failed to approve tax exemption:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_REVIEW_ERROR', 'Failed to review tax exemption');
+    }
+  }
+
+  /**
+   * Reject a tax exemption (Finance or Admin)
+   * @route POST /api/admin/tax/exemptions/:id/reject
+   */
+  static async rejectExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.reject(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax exemption rejected',
+        data: exemption
+      });
+    } catch (error) {
+      logger.error('Failed to reject tax exemption:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_REVIEW_ERROR', 'Failed to review tax exemption');
+    }
+  }
+
+  /**
+   * Revoke an approved tax exemption (Finance or Admin)
+   * @route POST /api/admin/tax/exemptions/:id/revoke
+   */
+  static async revokeExemption(req, res) {
+    try {
+      const exemption = await TaxExemptionService.revoke(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax exemption revoked',
+        data: exemption
+      });
+    } catch (error) {
+      logger.error('Failed to revoke tax exemption:', {
+        error: error.message,
+        exemptionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendExemptionError(res, error, 'TAX_EXEMPTION_REVIEW_ERROR', 'Failed to review tax exemption');
+    }
+  }
+}
+
+module.exports = TaxExemptionController;
@@ -0,0 +1,405 @@
+const TaxRateService = require('../services/TaxRateService');
+const { logger } = require('../middleware/errorHandler');
+
+// Service errors that mean the request conflicts with the stored rates
+const TAX_CONFLICT_CODES = {
+  'Tax jurisdiction already exists': 'TAX_JURISDICTION_EXISTS',
+  'Tax jurisdiction has tax rates': 'TAX_JURISDICTION_IN_USE',
+  'Tax jurisdiction has tax exemptions': 'TAX_JURISDICTION_IN_USE',
+  'Tax class already exists': 'TAX_CLASS_EXISTS',
+  'Tax class is in use': 'TAX_CLASS_IN_USE',
+  'Tax rate overlaps an existing rate': 'TAX_RATE_OVERLAP',
+  'Tax rate is already in effect': 'TAX_RATE_IN_EFFECT',
+  'Tax rate cannot end in the past': 'TAX_RATE_IN_EFFECT',
+  'Tax rate cannot start in the past while another rate is in effect': 'TAX_RATE_IN_EFFECT'
+};
+
+/**
+ * Send the response for a tax rule request that failed
+ */
+const sendTaxError = (res, error, fallbackCode, fallbackMessage) => {
+  if (error.message === 'Tax jurisdiction not found') {
+    return res.status(404).json({
+      error: {
+        code: 'TAX_JURISDICTION_NOT_FOUND',
+        message: 'Tax jurisdiction not found'
+      }
+    });
+  }
+
+  if (error.message === 'Tax rate not found') {
+    return res.status(404).json({
+      error: {
+        code: 'TAX_RATE_NOT_FOUND',
+        message: 'Tax rate not found'
+      }
+    });
+  }
+
+  if (error.message === 'Tax class not found') {
+    return res.status(404).json({
+      error: {
+        code: 'TAX_CLASS_NOT_FOUND',
+        message: 'Tax class not found'
+      }
+    });
+  }
+
+  if (TAX_CONFLICT_CODES[error.message]) {
+    return res.status(409).json({
+      error: {
+        code: TAX_CONFLICT_CODES[error.message],
+        message: error.message
+      }
+    });
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return res.status(400).json({
+      error: {
+        code: 'VALIDATION_ERROR',
+        message: error.errors.map(detail => detail.message).join(', ')
+      }
+    });
+  }
+
+  return res.status(500).json({
+    error: {
+      code: fallbackCode,
+      message: fallbackMessage
+    }
+  });
+};
+
+class TaxRateController {
+  /**
+   * List tax jurisdictions with their current rate (Finance or Admin)
+   * @route GET /api/admin/tax/jurisdictions
+   */
+  static async listJurisdictions(req, res) {
+    try {
+      const jurisdictions = await TaxRateService.listJurisdictions(req.query);
+
+      res.status(200).json({
+        data: jurisdictions
+      });
+    } catch (error) {
+      logger.error('Failed to list tax jurisdictions:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_JURISDICTIONS_FETCH_ERROR', 'Failed to fetch tax jurisdictions');
+    }
+  }
+
+  /**
+   * Get a tax jurisdiction with all its rates (Finance or Admin)
+   * @route GET /api/admin/tax/jurisdictions/:id
+   */
+  static async getJurisdiction(req, res) {
+    try {
+      const jurisdiction = await TaxRateService.getJurisdiction(req.params.id);
+
+      res.status(200).json({
+        data: jurisdiction
+      });
+    } catch (error) {
+      logger.error('Failed to fetch tax jurisdiction:', {
+        error: error.message,
+        jurisdictionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_JURISDICTION_FETCH_ERROR', 'Failed to fetch tax jurisdiction');
+    }
+  }
+
+  /**
+   * Create a tax jurisdiction (Finance or Admin)
+   * @route POST /api/admin/tax/jurisdictions
+   */
+  static async createJurisdiction(req, res) {
+    try {
+      const jurisdiction = await TaxRateService.createJurisdiction(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Tax jurisdiction created successfully',
+        data: jurisdiction
+      });
+    } catch (error) {
+      logger.error('Failed to create tax jurisdiction:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_JURISDICTION_CREATE_ERROR', 'Failed to create tax jurisdiction');
+    }
+  }
+
+  /**
+   * Rename a tax jurisdiction (Finance or Admin)
+   * @route PATCH /api/admin/tax/jurisdictions/:id
+   */
+  static async updateJurisdiction(req, res) {
+    try {
+      const jurisdiction = await TaxRateService.updateJurisdiction(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax jurisdiction updated successfully',
+        data: jurisdiction
+      });
+    } catch (error) {
+      logger.error('Failed to update tax jurisdiction:', {
+        error: error.message,
+        jurisdictionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_JURISDICTION_UPDATE_ERROR', 'Failed to update tax jurisdiction');
+    }
+  }
+
+  /**
+   * Delete a tax jurisdiction without rates (Finance or Admin)
+   * @route DELETE /api/admin/tax/jurisdictions/:id
+   */
+  static async deleteJurisdiction(req, res) {
+    try {
+      await TaxRateService.deleteJurisdiction(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax jurisdiction deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete tax jurisdiction:', {
+        error: error.message,
+        jurisdictionId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_JURISDICTION_DELETE_ERROR', 'Failed to delete tax jurisdiction');
+    }
+  }
+
+  /**
+   * Add a tax rate to a jurisdiction (Finance or Admin)
+   * @route POST /api/admin/tax/rates
+   */
+  static async createRate(req, res) {
+    try {
+      const rate = await TaxRateService.createRate(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Tax rate created successfully',
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Failed to create tax rate:', {
+        error: error.message,
+        jurisdictionId: req.body.jurisdiction_id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_RATE_CREATE_ERROR', 'Failed to create tax rate');
+    }
+  }
+
+  /**
+   * Change a tax rate (Finance or Admin)
+   * @route PATCH /api/admin/tax/rates/:id
+   */
+  static async updateRate(req, res) {
+    try {
+      const rate = await TaxRateService.updateRate(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax rate updated successfully',
+        data: rate
+      });
+    } catch (error) {
+      logger.error('Failed to update tax rate:', {
+        error: error.message,
+        taxRateId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_RATE_UPDATE_ERROR', 'Failed to update tax rate');
+    }
+  }
+
+  /**
+   * Delete a tax rate that has not started (Finance or Admin)
+   * @route DELETE /api/admin/tax/rates/:id
+   */
+  static async deleteRate(req, res) {
+    try {
+      await TaxRateService.deleteRate(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax rate deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete tax rate:', {
+        error: error.message,
+        taxRateId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_RATE_DELETE_ERROR', 'Failed to delete tax rate');
+    }
+  }
+
+  /**
+   * List tax classes (Finance or Admin)
+   * @route GET /api/admin/tax/classes
+   */
+  static async listTaxClasses(req, res) {
+    try {
+      const taxClasses = await TaxRateService.listTaxClasses();
+
+      res.status(200).json({
+        data: taxClasses
+      });
+    } catch (error) {
+      logger.error('Failed to list tax classes:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_CLASSES_FETCH_ERROR', 'Failed to fetch tax classes');
+    }
+  }
+
+  /**
+   * Create a tax class (Finance or Admin)
+   * @route POST /api/admin/tax/classes
+   */
+  static async createTaxClass(req, res) {
+    try {
+      const taxClass = await TaxRateService.createTaxClass(req.body, req.auth.userId);
+
+      res.status(201).json({
+        message: 'Tax class created successfully',
+        data: taxClass
+      });
+    } catch (error) {
+      logger.error('Failed to create tax class:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_CLASS_CREATE_ERROR', 'Failed to create tax class');
+    }
+  }
+
+  /**
+   * Rename or describe a tax class (Finance or Admin)
+   * @route PATCH /api/admin/tax/classes/:id
+   */
+  static async updateTaxClass(req, res) {
+    try {
+      const taxClass = await TaxRateService.updateTaxClass(req.params.id, req.body, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax class updated successfully',
+        data: taxClass
+      });
+    } catch (error) {
+      logger.error('Failed to update tax class:', {
+        error: error.message,
+        taxClassId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_CLASS_UPDATE_ERROR', 'Failed to update tax class');
+    }
+  }
+
+  /**
+   * Delete a tax class nothing uses (Finance or Admin)
+   * @route DELETE /api/admin/tax/classes/:id
+   */
+  static async deleteTaxClass(req, res) {
+    try {
+      await TaxRateService.deleteTaxClass(req.params.id, req.auth.userId);
+
+      res.status(200).json({
+        message: 'Tax class deleted successfully'
+      });
+    } catch (error) {
+      logger.error('Failed to delete tax class:', {
+        error: error.message,
+        taxClassId: req.params.id,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      sendTaxError(res, error, 'TAX_CLASS_DELETE_ERROR', 'Failed to delete tax class');
+    }
+  }
+
+  /**
+   * Import tax rates from a CSV body (Finance or Admin)
+   * @route POST /api/admin/tax/rates/import
+   */
+  static async importRates(req, res) {
+    try {
+      if (typeof req.body !== 'string' || req.body.trim() === '') {
+        return res.status(400).json({
+          error: {
+            code: 'CSV_REQUIRED',
+            message: 'Send the rates as a text/csv request body'
+          }
+        });
+      }
+
+      const result = await TaxRateService.importRates(req.body, req.auth.userId);
+
+      if (result.errors.length > 0) {
+        return res.status(422).json({
+          error: {
+            code: 'TAX_IMPORT_REJECTED',
+            message: 'No rates were imported; fix the rows listed and import the file again',
+            details: result.errors
+          }
+        });
+      }
+
+      res.status(201).json({
+        message: 'Tax rates imported successfully',
+        data: result
+      });
+    } catch (error) {
+      logger.error('Failed to import tax rates:', {
+        error: error.message,
+        requestId: req.requestId,
+        userId: req.auth?.userId
+      });
+
+      if (error.message.startsWith('CSV ')) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_CSV',
+            message: error.message
+          }
+        });
+      }
+
+      sendTaxError(res, error, 'TAX_IMPORT_ERROR', 'Failed to import tax rates');
+    }
+  }
+}
+
+module.exports = TaxRateController;
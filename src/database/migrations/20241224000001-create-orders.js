@@ -0,0 +1,126 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('orders', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      order_number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      checkout_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'checkouts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      cart_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'carts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('placed', 'cancelled'),
+        allowNull: false,
+        defaultValue: 'placed'
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false,
+        defaultValue: 'INR'
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      discount_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      tax_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      shipping_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      grand_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      shipping_method: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      shipping_address: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Snapshot of the shipping address at the time the order was placed'
+      },
+      billing_address: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Snapshot of the billing address at the time the order was placed'
+      },
+      tax_breakdown: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      placed_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('orders', ['user_id']);
+    await queryInterface.addIndex('orders', ['status']);
+    await queryInterface.addIndex('orders', ['placed_at']);
+    await queryInterface.addIndex('orders', ['user_id', 'placed_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('orders');
+  }
+};
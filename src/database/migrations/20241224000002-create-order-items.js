@@ -0,0 +1,92 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_items', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      product_id: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        references: {
+          model: 'products',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      sku: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      title: {
+        type: Sequelize.STRING(220),
+        allowNull: false
+      },
+      qty: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      unit_price: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      line_subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      line_discount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      tax_rate: {
+        type: Sequelize.DECIMAL(7, 5),
+        allowNull: false,
+        defaultValue: 0
+      },
+      line_tax: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      line_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('order_items', ['order_id']);
+    await queryInterface.addIndex('order_items', ['product_id']);
+    await queryInterface.addIndex('order_items', ['sku']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('order_items');
+  }
+};
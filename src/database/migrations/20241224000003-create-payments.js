@@ -0,0 +1,132 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('payments', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      checkout_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'checkouts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      provider: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      method: {
+        type: Sequelize.ENUM('card', 'upi', 'netbanking', 'wallet'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM(
+          'pending',
+          'authorized',
+          'captured',
+          'partially_refunded',
+          'refunded',
+          'voided',
+          'failed'
+        ),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      amount_captured: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      amount_refunded: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      provider_payment_id: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      failure_code: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      failure_message: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      meta: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      authorized_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      captured_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      voided_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      refunded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      failed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('payments', ['checkout_id']);
+    await queryInterface.addIndex('payments', ['order_id']);
+    await queryInterface.addIndex('payments', ['status']);
+    await queryInterface.addIndex('payments', ['provider', 'provider_payment_id'], {
+      unique: true,
+      name: 'payments_provider_payment_id_unique'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('payments');
+  }
+};
@@ -0,0 +1,89 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('payment_webhook_events', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      provider: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      event_id: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      event_type: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      provider_payment_id: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      payment_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      raw_body: {
+        type: Sequelize.TEXT('medium'),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('received', 'processed', 'ignored', 'deferred', 'failed'),
+        allowNull: false,
+        defaultValue: 'received'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      occurred_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      processed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('payment_webhook_events', ['provider', 'event_id'], {
+      unique: true,
+      name: 'payment_webhook_events_provider_event_id_unique'
+    });
+    await queryInterface.addIndex('payment_webhook_events', ['provider', 'provider_payment_id']);
+    await queryInterface.addIndex('payment_webhook_events', ['payment_id']);
+    await queryInterface.addIndex('payment_webhook_events', ['status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('payment_webhook_events');
+  }
+};
@@ -0,0 +1,68 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('idempotency_keys', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      idempotency_key: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      scope: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      fingerprint: {
+        type: Sequelize.CHAR(64),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('in_progress', 'completed'),
+        allowNull: false,
+        defaultValue: 'in_progress'
+      },
+      response_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      response_body: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      request_id: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('idempotency_keys', ['scope', 'idempotency_key'], {
+      unique: true,
+      name: 'idempotency_keys_scope_key_unique'
+    });
+    await queryInterface.addIndex('idempotency_keys', ['expires_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('idempotency_keys');
+  }
+};
@@ -0,0 +1,132 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('return_requests', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      rma_number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      status: {
+        type: Sequelize.ENUM('requested', 'approved', 'rejected', 'received'),
+        allowNull: false,
+        defaultValue: 'requested'
+      },
+      customer_note: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      decision_note: {
+        type: Sequelize.STRING(1000),
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      received_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      received_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      refund_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      refund_status: {
+        type: Sequelize.ENUM('none', 'pending', 'refunded', 'failed'),
+        allowNull: false,
+        defaultValue: 'none'
+      },
+      payment_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      refund_reference: {
+        type: Sequelize.STRING(128),
+        allowNull: true
+      },
+      refund_error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      refunded_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('return_requests', ['order_id']);
+    await queryInterface.addIndex('return_requests', ['user_id', 'created_at']);
+    await queryInterface.addIndex('return_requests', ['status']);
+    await queryInterface.addIndex('return_requests', ['refund_status']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('return_requests');
+  }
+};
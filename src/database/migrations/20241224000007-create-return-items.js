@@ -0,0 +1,81 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('return_items', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      return_request_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'return_requests',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      qty: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.ENUM(
+          'damaged',
+          'defective',
+          'wrong_item',
+          'not_as_described',
+          'no_longer_needed',
+          'other'
+        ),
+        allowNull: false
+      },
+      condition: {
+        type: Sequelize.ENUM('unopened', 'good', 'damaged', 'unusable'),
+        allowNull: true
+      },
+      restocked: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      refund_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('return_items', ['return_request_id']);
+    await queryInterface.addIndex('return_items', ['order_item_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('return_items');
+  }
+};
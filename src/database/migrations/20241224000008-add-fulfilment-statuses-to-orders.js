@@ -0,0 +1,34 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('orders', 'status', {
+      type: Sequelize.ENUM(
+        'placed',
+        'paid',
+        'picking',
+        'packed',
+        'shipped',
+        'delivered',
+        'cancelled',
+        'returned'
+      ),
+      allowNull: false,
+      defaultValue: 'placed'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    // Orders past placement collapse back to placed; cancelled orders keep their status
+    await queryInterface.sequelize.query(
+      'UPDATE orders SET status = \'placed\' WHERE status NOT IN (\'placed\', \'cancelled\')'
+    );
+
+    await queryInterface.changeColumn('orders', 'status', {
+      type: Sequelize.ENUM('placed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'placed'
+    });
+  }
+};
@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_status_history', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      from_status: {
+        type: Sequelize.STRING(32),
+        allowNull: true
+      },
+      to_status: {
+        type: Sequelize.STRING(32),
+        allowNull: false
+      },
+      actor_user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      note: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('order_status_history', ['order_id', 'created_at']);
+    await queryInterface.addIndex('order_status_history', ['actor_user_id']);
+
+    // Give orders placed before this table existed the start of their timeline
+    await queryInterface.sequelize.query(
+      'INSERT INTO order_status_history (order_id, from_status, to_status, actor_user_id, created_at) ' +
+      'SELECT id, NULL, \'placed\', user_id, placed_at FROM orders'
+    );
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('order_status_history');
+  }
+};
@@ -0,0 +1,121 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('shipments', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      carrier: {
+        type: Sequelize.STRING(64),
+        allowNull: false
+      },
+      tracking_number: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('shipped', 'delivered'),
+        allowNull: false,
+        defaultValue: 'shipped'
+      },
+      shipped_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('shipment_items', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      shipment_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'shipments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_item_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'order_items',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      qty: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('shipments', ['order_id']);
+    await queryInterface.addIndex('shipments', ['carrier', 'tracking_number'], {
+      unique: true,
+      name: 'shipments_carrier_tracking_unique'
+    });
+    await queryInterface.addIndex('shipment_items', ['shipment_id']);
+    await queryInterface.addIndex('shipment_items', ['order_item_id']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('shipment_items');
+    await queryInterface.dropTable('shipments');
+  }
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('order_items', 'cancelled_qty', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'qty'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('order_items', 'cancelled_qty');
+  }
+};
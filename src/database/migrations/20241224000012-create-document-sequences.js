@@ -0,0 +1,39 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // One counter per document series; numbers are taken under a row lock inside the
+    // transaction that creates the document, so a rollback also returns the number
+    await queryInterface.createTable('document_sequences', {
+      name: {
+        type: Sequelize.STRING(32),
+        primaryKey: true
+      },
+      last_value: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        defaultValue: 0
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.bulkInsert('document_sequences', [
+      { name: 'invoice', last_value: 0 },
+      { name: 'credit_note', last_value: 0 }
+    ]);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('document_sequences');
+  }
+};
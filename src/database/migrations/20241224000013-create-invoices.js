@@ -0,0 +1,97 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('invoices', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      invoice_number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        unique: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      seller: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      buyer: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      lines: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      discount_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      tax_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      shipping_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      grand_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      tax_breakdown: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      storage_key: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      issued_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('invoices', ['issued_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('invoices');
+  }
+};
@@ -0,0 +1,117 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('credit_notes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      credit_note_number: {
+        type: Sequelize.STRING(32),
+        allowNull: false,
+        unique: true
+      },
+      invoice_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'invoices',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      payment_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'payments',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      refund_reference: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      reason: {
+        type: Sequelize.STRING(64),
+        allowNull: true
+      },
+      currency: {
+        type: Sequelize.STRING(3),
+        allowNull: false
+      },
+      seller: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      buyer: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      lines: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      tax_total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      total: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      storage_key: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      issued_at: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('credit_notes', ['order_id']);
+    await queryInterface.addIndex('credit_notes', ['invoice_id']);
+
+    // One credit note per refund
+    await queryInterface.addIndex('credit_notes', ['payment_id', 'refund_reference'], {
+      unique: true,
+      name: 'credit_notes_payment_refund_unique'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('credit_notes');
+  }
+};
@@ -0,0 +1,84 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('order_emails', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('order_confirmation', 'order_shipped', 'order_cancelled', 'refund_issued'),
+        allowNull: false
+      },
+      reference: {
+        type: Sequelize.STRING(128),
+        allowNull: false
+      },
+      recipient: {
+        type: Sequelize.STRING(255),
+        allowNull: false
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'sent', 'failed'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      last_error: {
+        type: Sequelize.STRING(500),
+        allowNull: true
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      sent_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Add indexes
+    await queryInterface.addIndex('order_emails', ['order_id', 'type', 'reference'], {
+      unique: true,
+      name: 'order_emails_order_type_reference_unique'
+    });
+    await queryInterface.addIndex('order_emails', ['status', 'next_attempt_at']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('order_emails');
+  }
+};
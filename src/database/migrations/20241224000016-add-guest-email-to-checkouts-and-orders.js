@@ -0,0 +1,27 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('checkouts', 'guest_email', {
+      type: Sequelize.STRING(120),
+      allowNull: true,
+      after: 'billing_address_id'
+    });
+
+    await queryInterface.addColumn('orders', 'guest_email', {
+      type: Sequelize.STRING(120),
+      allowNull: true,
+      after: 'user_id'
+    });
+
+    // Guest orders are looked up, and attached to new accounts, by email
+    await queryInterface.addIndex('orders', ['guest_email']);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeIndex('orders', ['guest_email']);
+    await queryInterface.removeColumn('orders', 'guest_email');
+    await queryInterface.removeColumn('checkouts', 'guest_email');
+  }
+};
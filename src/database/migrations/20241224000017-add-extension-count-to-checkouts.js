@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('checkouts', 'extension_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      after: 'expires_at'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('checkouts', 'extension_count');
+  }
+};
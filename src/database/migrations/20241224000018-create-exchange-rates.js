@@ -0,0 +1,78 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('exchange_rates', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      base_currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      quote_currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(18, 8),
+        allowNull: false
+      },
+      updated_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('exchange_rates', ['base_currency', 'quote_currency'], {
+      unique: true,
+      name: 'exchange_rates_pair_unique'
+    });
+
+    // Cart lines remember the product price and the rate they were converted with
+    await queryInterface.addColumn('cart_items', 'source_currency', {
+      type: Sequelize.CHAR(3),
+      allowNull: true,
+      after: 'unit_price'
+    });
+
+    await queryInterface.addColumn('cart_items', 'source_unit_price', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true,
+      after: 'source_currency'
+    });
+
+    await queryInterface.addColumn('cart_items', 'exchange_rate', {
+      type: Sequelize.DECIMAL(18, 8),
+      allowNull: false,
+      defaultValue: 1,
+      after: 'source_unit_price'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('cart_items', 'exchange_rate');
+    await queryInterface.removeColumn('cart_items', 'source_unit_price');
+    await queryInterface.removeColumn('cart_items', 'source_currency');
+    await queryInterface.dropTable('exchange_rates');
+  }
+};
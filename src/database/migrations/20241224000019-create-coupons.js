@@ -0,0 +1,243 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('coupons', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      type: {
+        type: Sequelize.ENUM('percentage', 'fixed_amount', 'free_shipping'),
+        allowNull: false
+      },
+      value: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: true
+      },
+      min_subtotal: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true
+      },
+      applies_to: {
+        type: Sequelize.ENUM('all', 'categories', 'products'),
+        allowNull: false,
+        defaultValue: 'all'
+      },
+      category_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      product_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      usage_limit: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      usage_limit_per_customer: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      times_used: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.createTable('cart_coupons', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      cart_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'carts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      coupon_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      free_shipping: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      inapplicable_reason: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('cart_coupons', ['cart_id', 'coupon_id'], {
+      unique: true,
+      name: 'cart_coupons_cart_coupon_unique'
+    });
+
+    await queryInterface.createTable('coupon_redemptions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      coupon_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'coupons',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      guest_email: {
+        type: Sequelize.STRING(120),
+        allowNull: true
+      },
+      discount_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('coupon_redemptions', ['coupon_id', 'order_id'], {
+      unique: true,
+      name: 'coupon_redemptions_coupon_order_unique'
+    });
+    // Per-customer limits count redemptions by account or guest email
+    await queryInterface.addIndex('coupon_redemptions', ['coupon_id', 'user_id']);
+    await queryInterface.addIndex('coupon_redemptions', ['coupon_id', 'guest_email']);
+
+    await queryInterface.addColumn('checkouts', 'discount_total', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      after: 'shipping_method'
+    });
+
+    await queryInterface.addColumn('checkouts', 'shipping_discount', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      after: 'shipping_total'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('checkouts', 'shipping_discount');
+    await queryInterface.removeColumn('checkouts', 'discount_total');
+    await queryInterface.dropTable('coupon_redemptions');
+    await queryInterface.dropTable('cart_coupons');
+    await queryInterface.dropTable('coupons');
+  }
+};
@@ -0,0 +1,106 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('promotions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      type: {
+        type: Sequelize.ENUM('buy_x_get_y', 'tiered_spend', 'bundle_price'),
+        allowNull: false
+      },
+      rules: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: true
+      },
+      applies_to: {
+        type: Sequelize.ENUM('all', 'categories', 'products'),
+        allowNull: false,
+        defaultValue: 'all'
+      },
+      category_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      product_ids: {
+        type: Sequelize.JSON,
+        allowNull: true
+      },
+      priority: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 100
+      },
+      exclusive: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      starts_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      ends_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Active promotions are loaded in evaluation order on every reprice
+    await queryInterface.addIndex('promotions', ['is_active', 'priority', 'id'], {
+      name: 'promotions_active_priority'
+    });
+
+    await queryInterface.addColumn('cart_items', 'discount_details', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'line_discount'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('cart_items', 'discount_details');
+    await queryInterface.dropTable('promotions');
+  }
+};
@@ -0,0 +1,302 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('gift_cards', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(19),
+        allowNull: false,
+        unique: true
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      initial_balance: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      balance: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      status: {
+        type: Sequelize.ENUM('active', 'disabled'),
+        allowNull: false,
+        defaultValue: 'active'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      recipient_email: {
+        type: Sequelize.STRING(120),
+        allowNull: true
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      issued_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      purchase_order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('gift_cards', ['purchase_order_id']);
+
+    await queryInterface.createTable('store_credit_wallets', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      balance: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0.00
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('store_credit_wallets', ['user_id', 'currency'], {
+      unique: true,
+      name: 'store_credit_wallets_user_currency_unique'
+    });
+
+    await queryInterface.createTable('balance_ledger', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      gift_card_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'gift_cards',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      wallet_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'store_credit_wallets',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      entry_type: {
+        type: Sequelize.ENUM('issue', 'grant', 'redeem', 'restore', 'adjust'),
+        allowNull: false
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      balance_after: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      currency: {
+        type: Sequelize.CHAR(3),
+        allowNull: false
+      },
+      order_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'orders',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      actor_user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      note: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('balance_ledger', ['gift_card_id', 'created_at']);
+    await queryInterface.addIndex('balance_ledger', ['wallet_id', 'created_at']);
+    await queryInterface.addIndex('balance_ledger', ['order_id']);
+
+    await queryInterface.createTable('checkout_tenders', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      checkout_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'checkouts',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      type: {
+        type: Sequelize.ENUM('gift_card', 'store_credit'),
+        allowNull: false
+      },
+      gift_card_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'gift_cards',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      wallet_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'store_credit_wallets',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('checkout_tenders', ['checkout_id']);
+
+    await queryInterface.addColumn('checkouts', 'tender_total', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      after: 'grand_total'
+    });
+
+    await queryInterface.addColumn('orders', 'tender_total', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      after: 'grand_total'
+    });
+
+    await queryInterface.addColumn('products', 'is_gift_card', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'status'
+    });
+
+    await queryInterface.changeColumn('order_emails', 'type', {
+      type: Sequelize.ENUM('order_confirmation', 'order_shipped', 'order_cancelled', 'refund_issued', 'gift_cards_issued'),
+      allowNull: false
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.changeColumn('order_emails', 'type', {
+      type: Sequelize.ENUM('order_confirmation', 'order_shipped', 'order_cancelled', 'refund_issued'),
+      allowNull: false
+    });
+    await queryInterface.removeColumn('products', 'is_gift_card');
+    await queryInterface.removeColumn('orders', 'tender_total');
+    await queryInterface.removeColumn('checkouts', 'tender_total');
+    await queryInterface.dropTable('checkout_tenders');
+    await queryInterface.dropTable('balance_ledger');
+    await queryInterface.dropTable('store_credit_wallets');
+    await queryInterface.dropTable('gift_cards');
+  }
+};
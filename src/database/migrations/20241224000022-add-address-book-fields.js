@@ -0,0 +1,65 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Address book entries can be used for shipping and billing alike, so they have no type
+    await queryInterface.changeColumn('addresses', 'type', {
+      type: Sequelize.ENUM('shipping', 'billing'),
+      allowNull: true
+    });
+
+    await queryInterface.addColumn('addresses', 'label', {
+      type: Sequelize.STRING(60),
+      allowNull: true,
+      after: 'type'
+    });
+
+    await queryInterface.addColumn('addresses', 'in_address_book', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'country'
+    });
+
+    await queryInterface.addColumn('addresses', 'is_default_shipping', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'in_address_book'
+    });
+
+    await queryInterface.addColumn('addresses', 'is_default_billing', {
+      type: Sequelize.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      after: 'is_default_shipping'
+    });
+
+    // Set when a customer deletes an address that checkouts still point to
+    await queryInterface.addColumn('addresses', 'archived_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      after: 'is_default_billing'
+    });
+
+    await queryInterface.addIndex('addresses', ['user_id', 'in_address_book', 'archived_at'], {
+      name: 'addresses_user_address_book'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('addresses', 'addresses_user_address_book');
+    await queryInterface.removeColumn('addresses', 'archived_at');
+    await queryInterface.removeColumn('addresses', 'is_default_billing');
+    await queryInterface.removeColumn('addresses', 'is_default_shipping');
+    await queryInterface.removeColumn('addresses', 'in_address_book');
+    await queryInterface.removeColumn('addresses', 'label');
+    // Checkouts may still point to address book entries, so they are kept as shipping addresses
+    await queryInterface.bulkUpdate('addresses', { type: 'shipping' }, { type: null });
+    await queryInterface.changeColumn('addresses', 'type', {
+      type: Sequelize.ENUM('shipping', 'billing'),
+      allowNull: false
+    });
+  }
+};
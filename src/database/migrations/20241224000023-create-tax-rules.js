@@ -0,0 +1,183 @@
+'use strict';
+
+// Rates in effect when the tables were introduced, so tax stays the same after the switch
+const STARTING_RATES_FROM = new Date('2000-01-01T00:00:00.000Z');
+
+const COUNTRY_RATES = [
+  ['US', 'United States', 'Sales tax', 0.00],
+  ['CA', 'Canada', 'GST', 0.05],
+  ['GB', 'United Kingdom', 'VAT', 0.20],
+  ['IN', 'India', 'GST', 0.18],
+  ['AU', 'Australia', 'GST', 0.10],
+  ['DE', 'Germany', 'VAT', 0.19],
+  ['FR', 'France', 'VAT', 0.20],
+  ['IT', 'Italy', 'VAT', 0.22],
+  ['ES', 'Spain', 'VAT', 0.21],
+  ['NL', 'Netherlands', 'VAT', 0.21],
+  ['BR', 'Brazil', 'Sales tax', 0.00],
+  ['MX', 'Mexico', 'VAT', 0.16],
+  ['JP', 'Japan', 'Consumption tax', 0.10],
+  ['CN', 'China', 'VAT', 0.13],
+  ['KR', 'South Korea', 'VAT', 0.10],
+  ['SG', 'Singapore', 'GST', 0.07],
+  ['MY', 'Malaysia', 'SST', 0.06],
+  ['TH', 'Thailand', 'VAT', 0.07],
+  ['PH', 'Philippines', 'VAT', 0.12],
+  ['ID', 'Indonesia', 'VAT', 0.11],
+  ['VN', 'Vietnam', 'VAT', 0.10]
+];
+
+const STATE_RATES = [
+  ['US', 'AL', 'Alabama', 0.04], ['US', 'AK', 'Alaska', 0.00], ['US', 'AZ', 'Arizona', 0.056],
+  ['US', 'AR', 'Arkansas', 0.065], ['US', 'CA', 'California', 0.075], ['US', 'CO', 'Colorado', 0.029],
+  ['US', 'CT', 'Connecticut', 0.0635], ['US', 'DE', 'Delaware', 0.00], ['US', 'DC', 'District of Columbia', 0.06],
+  ['US', 'FL', 'Florida', 0.06], ['US', 'GA', 'Georgia', 0.04], ['US', 'HI', 'Hawaii', 0.04],
+  ['US', 'ID', 'Idaho', 0.06], ['US', 'IL', 'Illinois', 0.0625], ['US', 'IN', 'Indiana', 0.07],
+  ['US', 'IA', 'Iowa', 0.06], ['US', 'KS', 'Kansas', 0.065], ['US', 'KY', 'Kentucky', 0.06],
+  ['US', 'LA', 'Louisiana', 0.0445], ['US', 'ME', 'Maine', 0.055], ['US', 'MD', 'Maryland', 0.06],
+  ['US', 'MA', 'Massachusetts', 0.0625], ['US', 'MI', 'Michigan', 0.06], ['US', 'MN', 'Minnesota', 0.06875],
+  ['US', 'MS', 'Mississippi', 0.07], ['US', 'MO', 'Missouri', 0.04225], ['US', 'MT', 'Montana', 0.00],
+  ['US', 'NE', 'Nebraska', 0.055], ['US', 'NV', 'Nevada', 0.0685], ['US', 'NH', 'New Hampshire', 0.00],
+  ['US', 'NJ', 'New Jersey', 0.06625], ['US', 'NM', 'New Mexico', 0.05125], ['US', 'NY', 'New York', 0.08],
+  ['US', 'NC', 'North Carolina', 0.0475], ['US', 'ND', 'North Dakota', 0.05], ['US', 'OH', 'Ohio', 0.0575],
+  ['US', 'OK', 'Oklahoma', 0.045], ['US', 'OR', 'Oregon', 0.00], ['US', 'PA', 'Pennsylvania', 0.06],
+  ['US', 'RI', 'Rhode Island', 0.07], ['US', 'SC', 'South Carolina', 0.06], ['US', 'SD', 'South Dakota', 0.045],
+  ['US', 'TN', 'Tennessee', 0.07], ['US', 'TX', 'Texas', 0.0625], ['US', 'UT', 'Utah', 0.061],
+  ['US', 'VT', 'Vermont', 0.06], ['US', 'VA', 'Virginia', 0.053], ['US', 'WA', 'Washington', 0.065],
+  ['US', 'WV', 'West Virginia', 0.06], ['US', 'WI', 'Wisconsin', 0.05], ['US', 'WY', 'Wyoming', 0.04],
+  ['CA', 'AB', 'Alberta', 0.00], ['CA', 'BC', 'British Columbia', 0.07], ['CA', 'MB', 'Manitoba', 0.07],
+  ['CA', 'NB', 'New Brunswick', 0.10], ['CA', 'NL', 'Newfoundland and Labrador', 0.10], ['CA', 'NS', 'Nova Scotia', 0.10],
+  ['CA', 'ON', 'Ontario', 0.08], ['CA', 'PE', 'Prince Edward Island', 0.10], ['CA', 'QC', 'Quebec', 0.09975],
+  ['CA', 'SK', 'Saskatchewan', 0.06], ['CA', 'NT', 'Northwest Territories', 0.00], ['CA', 'NU', 'Nunavut', 0.00],
+  ['CA', 'YT', 'Yukon', 0.00]
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tax_jurisdictions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      country: {
+        type: Sequelize.CHAR(2),
+        allowNull: false
+      },
+      // Null for the country-wide jurisdiction
+      state: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('tax_jurisdictions', ['country', 'state'], {
+      unique: true,
+      name: 'tax_jurisdictions_country_state_unique'
+    });
+
+    await queryInterface.createTable('tax_rates', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      jurisdiction_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'tax_jurisdictions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      name: {
+        type: Sequelize.STRING(60),
+        allowNull: false
+      },
+      rate: {
+        type: Sequelize.DECIMAL(8, 6),
+        allowNull: false
+      },
+      effective_from: {
+        type: Sequelize.DATE,
+        allowNull: false
+      },
+      // Exclusive; null while the rate has no end date
+      effective_to: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      updated_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('tax_rates', ['jurisdiction_id', 'effective_from'], {
+      name: 'tax_rates_jurisdiction_effective'
+    });
+
+    // Move the rates that used to be hard-coded in TaxService into the tables
+    const now = new Date();
+    await queryInterface.bulkInsert('tax_jurisdictions', [
+      ...COUNTRY_RATES.map(([country, name]) => ({ country, state: null, name, created_at: now, updated_at: now })),
+      ...STATE_RATES.map(([country, state, name]) => ({ country, state, name, created_at: now, updated_at: now }))
+    ]);
+
+    const [jurisdictions] = await queryInterface.sequelize.query(
+      'SELECT id, country, state FROM tax_jurisdictions'
+    );
+    const jurisdictionIds = new Map(jurisdictions.map(row => [`${row.country}:${row.state || ''}`, row.id]));
+
+    await queryInterface.bulkInsert('tax_rates', [
+      ...COUNTRY_RATES.map(([country, , name, rate]) => ({ country, state: '', name, rate })),
+      ...STATE_RATES.map(([country, state, , rate]) => ({ country, state, name: country === 'CA' ? 'Provincial sales tax' : 'State sales tax', rate }))
+    ].map(row => ({
+      jurisdiction_id: jurisdictionIds.get(`${row.country}:${row.state}`),
+      name: row.name,
+      rate: row.rate,
+      effective_from: STARTING_RATES_FROM,
+      effective_to: null,
+      created_at: now,
+      updated_at: now
+    })));
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('tax_rates');
+    await queryInterface.dropTable('tax_jurisdictions');
+  }
+};
@@ -0,0 +1,146 @@
+'use strict';
+
+// Same start as the standard rates seeded with the tax tables
+const STARTING_RATES_FROM = new Date('2000-01-01T00:00:00.000Z');
+
+const TAX_CLASSES = [
+  ['reduced', 'Reduced rate', 'Goods taxed below the standard rate, e.g. children\'s car seats or some food'],
+  ['zero', 'Zero rate', 'Goods taxable at 0%, e.g. books, most food and children\'s clothing in the UK']
+];
+
+// Rates for the seeded classes; any other country keeps charging its standard rate for them
+const CLASS_RATES = [
+  ['GB', 'reduced', 'VAT (reduced)', 0.05],
+  ['GB', 'zero', 'VAT (zero)', 0.00],
+  ['IN', 'reduced', 'GST (5%)', 0.05],
+  ['IN', 'zero', 'GST (nil)', 0.00],
+  ['DE', 'reduced', 'VAT (reduced)', 0.07],
+  ['FR', 'reduced', 'VAT (reduced)', 0.055],
+  ['IT', 'reduced', 'VAT (reduced)', 0.10],
+  ['ES', 'reduced', 'VAT (reduced)', 0.10],
+  ['NL', 'reduced', 'VAT (reduced)', 0.09]
+];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tax_classes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Null is the standard rate, which also applies to classes without a rate of their own
+    await queryInterface.addColumn('tax_rates', 'tax_class_id', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT',
+      after: 'jurisdiction_id'
+    });
+
+    await queryInterface.addIndex('tax_rates', ['jurisdiction_id', 'tax_class_id', 'effective_from'], {
+      name: 'tax_rates_jurisdiction_class_effective'
+    });
+
+    // A product's class wins over its category's; neither set means the standard rate
+    for (const table of ['products', 'categories']) {
+      await queryInterface.addColumn(table, 'tax_class_id', {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'tax_classes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      });
+    }
+
+    // Class each order line was taxed under, so invoices show the rates that were charged
+    await queryInterface.addColumn('order_items', 'tax_class_id', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'RESTRICT',
+      after: 'line_discount'
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('tax_classes', TAX_CLASSES.map(([code, name, description]) => ({
+      code,
+      name,
+      description,
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [classes] = await queryInterface.sequelize.query('SELECT id, code FROM tax_classes');
+    const classIds = new Map(classes.map(row => [row.code, row.id]));
+
+    const [jurisdictions] = await queryInterface.sequelize.query(
+      'SELECT id, country FROM tax_jurisdictions WHERE state IS NULL'
+    );
+    const jurisdictionIds = new Map(jurisdictions.map(row => [row.country, row.id]));
+
+    const rates = CLASS_RATES
+      .filter(([country]) => jurisdictionIds.has(country))
+      .map(([country, code, name, rate]) => ({
+        jurisdiction_id: jurisdictionIds.get(country),
+        tax_class_id: classIds.get(code),
+        name,
+        rate,
+        effective_from: STARTING_RATES_FROM,
+        effective_to: null,
+        created_at: now,
+        updated_at: now
+      }));
+
+    if (rates.length > 0) {
+      await queryInterface.bulkInsert('tax_rates', rates);
+    }
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('order_items', 'tax_class_id');
+    await queryInterface.removeColumn('categories', 'tax_class_id');
+    await queryInterface.removeColumn('products', 'tax_class_id');
+    await queryInterface.bulkDelete('tax_rates', { tax_class_id: { [Sequelize.Op.ne]: null } });
+    await queryInterface.removeIndex('tax_rates', 'tax_rates_jurisdiction_class_effective');
+    await queryInterface.removeColumn('tax_rates', 'tax_class_id');
+    await queryInterface.dropTable('tax_classes');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+// Whether prices were gross (tax extracted) or net (tax added on top), recorded where amounts are kept
+const TABLES = ['carts', 'checkouts', 'orders', 'invoices'];
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Everything created before this was taxed on top of its prices
+    for (const table of TABLES) {
+      await queryInterface.addColumn(table, 'prices_include_tax', {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false,
+        after: 'currency'
+      });
+    }
+  },
+
+  async down(queryInterface) {
+    for (const table of TABLES) {
+      await queryInterface.removeColumn(table, 'prices_include_tax');
+    }
+  }
+};
@@ -0,0 +1,123 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('tax_exemptions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      user_id: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: false,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      // Where the customer claims the exemption; Finance confirms it with the jurisdiction
+      country: {
+        type: Sequelize.CHAR(2),
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      // GSTIN, VAT ID or other registration number
+      tax_id: {
+        type: Sequelize.STRING(40),
+        allowNull: true
+      },
+      certificate_number: {
+        type: Sequelize.STRING(60),
+        allowNull: true
+      },
+      // Uploaded certificate in the storage service; only served through the API
+      certificate_key: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      certificate_filename: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      certificate_content_type: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.ENUM('pending', 'approved', 'rejected', 'revoked'),
+        allowNull: false,
+        defaultValue: 'pending'
+      },
+      // Set on approval: the jurisdiction whose tax is waived and until when
+      jurisdiction_id: {
+        type: Sequelize.BIGINT,
+        allowNull: true,
+        references: {
+          model: 'tax_jurisdictions',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      expires_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      reviewed_by: {
+        type: Sequelize.BIGINT.UNSIGNED,
+        allowNull: true,
+        references: {
+          model: 'users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      reviewed_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      review_note: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('tax_exemptions', ['user_id', 'status'], {
+      name: 'tax_exemptions_user_status'
+    });
+
+    await queryInterface.addIndex('tax_exemptions', ['status', 'created_at'], {
+      name: 'tax_exemptions_status_created'
+    });
+
+    // Exemptions the checkout was priced with, so the order records the same ones
+    await queryInterface.addColumn('checkouts', 'tax_exemptions', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'prices_include_tax'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('checkouts', 'tax_exemptions');
+    await queryInterface.dropTable('tax_exemptions');
+  }
+};
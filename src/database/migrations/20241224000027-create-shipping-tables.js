@@ -0,0 +1,407 @@
+'use strict';
+
+// Zones and countries that were hard-coded in ShippingService; anything else falls into 'international'
+const ZONES = [
+  ['domestic', 'Domestic', ['US', 'CA']],
+  ['europe', 'Europe', ['GB', 'DE', 'FR', 'IT', 'ES', 'NL']],
+  ['asia', 'Asia', ['IN', 'JP', 'CN', 'KR', 'SG', 'MY', 'TH', 'PH', 'ID', 'VN']],
+  ['oceania', 'Oceania', ['AU']],
+  ['north_america', 'North America', ['MX']],
+  ['south_america', 'South America', ['BR']],
+  ['international', 'International', []]
+];
+
+// code, name, description, max weight (kg), max value, sort order
+const METHODS = [
+  ['standard', 'Standard Shipping', 'Delivered by post or courier', 30, 10000, 1],
+  ['express', 'Express Shipping', 'Faster courier delivery', 20, 5000, 2],
+  ['overnight', 'Overnight Shipping', 'Next available delivery', 10, 2000, 3],
+  ['pickup', 'Store Pickup', 'Available at select locations', 50, 50000, 4]
+];
+
+// Per zone and method: base rate, rate per kg, share of the value, estimated delivery
+const RATES = {
+  domestic: {
+    standard: [5.99, 1.5, 0.02, '5-7 business days'],
+    express: [12.99, 2.5, 0.03, '2-3 business days'],
+    overnight: [24.99, 4.0, 0.04, 'Next business day']
+  },
+  europe: {
+    standard: [8.99, 2.0, 0.025, '7-10 business days'],
+    express: [19.99, 3.5, 0.035, '3-5 business days'],
+    overnight: [39.99, 6.0, 0.045, '1-2 business days']
+  },
+  asia: {
+    standard: [6.99, 1.8, 0.02, '6-8 business days'],
+    express: [15.99, 3.0, 0.03, '3-4 business days'],
+    overnight: [29.99, 5.0, 0.04, '1-2 business days']
+  },
+  oceania: {
+    standard: [9.99, 2.5, 0.03, '8-12 business days'],
+    express: [22.99, 4.0, 0.04, '4-6 business days'],
+    overnight: [44.99, 7.0, 0.05, '2-3 business days']
+  },
+  north_america: {
+    standard: [7.99, 2.0, 0.025, '7-10 business days'],
+    express: [16.99, 3.5, 0.035, '3-5 business days'],
+    overnight: [32.99, 6.0, 0.045, '1-2 business days']
+  },
+  south_america: {
+    standard: [11.99, 3.0, 0.035, '10-14 business days'],
+    express: [24.99, 5.0, 0.045, '5-7 business days']
+  },
+  international: {
+    standard: [15.99, 4.0, 0.04, '12-18 business days'],
+    express: [34.99, 6.0, 0.05, '6-10 business days']
+  }
+};
+
+// Standard shipping is free from these order values
+const FREE_STANDARD_SHIPPING_FROM = {
+  domestic: 50,
+  europe: 75,
+  asia: 60,
+  oceania: 80,
+  north_america: 55,
+  south_america: 90,
+  international: 100
+};
+
+// Charged when the rates come to less, except for pickup
+const MIN_CHARGE = 2.99;
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+  }
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('shipping_zones', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      // Used for addresses no region matches; exactly one zone should be the default
+      is_default: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: false
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ...timestamps(Sequelize)
+    });
+
+    // A country, optionally narrowed to a state or a postal code range
+    await queryInterface.createTable('shipping_zone_regions', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      zone_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'shipping_zones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      country: {
+        type: Sequelize.CHAR(2),
+        allowNull: false
+      },
+      state: {
+        type: Sequelize.STRING(10),
+        allowNull: true
+      },
+      postal_code_from: {
+        type: Sequelize.STRING(12),
+        allowNull: true
+      },
+      postal_code_to: {
+        type: Sequelize.STRING(12),
+        allowNull: true
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('shipping_zone_regions', ['country'], {
+      name: 'shipping_zone_regions_country'
+    });
+
+    await queryInterface.createTable('shipping_methods', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      // Heaviest and most valuable carts the method takes; null for no limit
+      max_weight: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: true
+      },
+      max_value: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true
+      },
+      sort_order: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ...timestamps(Sequelize)
+    });
+
+    // A method is offered in a zone only when the zone has a rate for it
+    await queryInterface.createTable('shipping_rates', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      zone_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'shipping_zones',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      method_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'shipping_methods',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'RESTRICT'
+      },
+      base_rate: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      min_charge: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      free_shipping_threshold: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: true
+      },
+      estimated_delivery: {
+        type: Sequelize.STRING(60),
+        allowNull: true
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('shipping_rates', ['zone_id', 'method_id'], {
+      name: 'shipping_rates_zone_method_unique',
+      unique: true
+    });
+
+    // Weight (kg) or value bands; min_amount is inclusive and max_amount exclusive
+    await queryInterface.createTable('shipping_rate_bands', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      rate_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'shipping_rates',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      basis: {
+        type: Sequelize.ENUM('weight', 'value'),
+        allowNull: false
+      },
+      min_amount: {
+        type: Sequelize.DECIMAL(12, 3),
+        allowNull: false,
+        defaultValue: 0
+      },
+      max_amount: {
+        type: Sequelize.DECIMAL(12, 3),
+        allowNull: true
+      },
+      flat_amount: {
+        type: Sequelize.DECIMAL(12, 2),
+        allowNull: false,
+        defaultValue: 0
+      },
+      // Per kg for weight bands, a fraction of the cart value for value bands
+      unit_rate: {
+        type: Sequelize.DECIMAL(10, 4),
+        allowNull: false,
+        defaultValue: 0
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('shipping_rate_bands', ['rate_id', 'basis'], {
+      name: 'shipping_rate_bands_rate_basis'
+    });
+
+    const now = new Date();
+
+    await queryInterface.bulkInsert('shipping_zones', ZONES.map(([code, name]) => ({
+      code,
+      name,
+      is_default: code === 'international',
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    await queryInterface.bulkInsert('shipping_methods', METHODS.map(([code, name, description, maxWeight, maxValue, sortOrder]) => ({
+      code,
+      name,
+      description,
+      max_weight: maxWeight,
+      max_value: maxValue,
+      sort_order: sortOrder,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [zones] = await queryInterface.sequelize.query('SELECT id, code FROM shipping_zones');
+    const zoneIds = new Map(zones.map(row => [row.code, row.id]));
+    const [methods] = await queryInterface.sequelize.query('SELECT id, code FROM shipping_methods');
+    const methodIds = new Map(methods.map(row => [row.code, row.id]));
+
+    await queryInterface.bulkInsert('shipping_zone_regions', ZONES.flatMap(([code, , countries]) => (
+      countries.map(country => ({
+        zone_id: zoneIds.get(code),
+        country,
+        state: null,
+        postal_code_from: null,
+        postal_code_to: null,
+        created_at: now,
+        updated_at: now
+      }))
+    )));
+
+    const rates = [];
+    for (const [zoneCode] of ZONES) {
+      for (const [methodCode, [baseRate, , , delivery]] of Object.entries(RATES[zoneCode])) {
+        rates.push({
+          zone_id: zoneIds.get(zoneCode),
+          method_id: methodIds.get(methodCode),
+          base_rate: baseRate,
+          min_charge: MIN_CHARGE,
+          free_shipping_threshold: methodCode === 'standard' ? FREE_STANDARD_SHIPPING_FROM[zoneCode] : null,
+          estimated_delivery: delivery,
+          is_active: true,
+          created_at: now,
+          updated_at: now
+        });
+      }
+
+      // Pickup is free everywhere
+      rates.push({
+        zone_id: zoneIds.get(zoneCode),
+        method_id: methodIds.get('pickup'),
+        base_rate: 0,
+        min_charge: 0,
+        free_shipping_threshold: null,
+        estimated_delivery: 'Ready for pickup',
+        is_active: true,
+        created_at: now,
+        updated_at: now
+      });
+    }
+    await queryInterface.bulkInsert('shipping_rates', rates);
+
+    const [rateRows] = await queryInterface.sequelize.query('SELECT id, zone_id, method_id FROM shipping_rates');
+    const rateIds = new Map(rateRows.map(row => [`${row.zone_id}:${row.method_id}`, row.id]));
+
+    const bands = [];
+    for (const [zoneCode] of ZONES) {
+      for (const [methodCode, [, perKg, valueShare]] of Object.entries(RATES[zoneCode])) {
+        const rateId = rateIds.get(`${zoneIds.get(zoneCode)}:${methodIds.get(methodCode)}`);
+        for (const [basis, unitRate] of [['weight', perKg], ['value', valueShare]]) {
+          bands.push({
+            rate_id: rateId,
+            basis,
+            min_amount: 0,
+            max_amount: null,
+            flat_amount: 0,
+            unit_rate: unitRate,
+            created_at: now,
+            updated_at: now
+          });
+        }
+      }
+    }
+    await queryInterface.bulkInsert('shipping_rate_bands', bands);
+  },
+
+  async down(queryInterface) {
+    await queryInterface.dropTable('shipping_rate_bands');
+    await queryInterface.dropTable('shipping_rates');
+    await queryInterface.dropTable('shipping_methods');
+    await queryInterface.dropTable('shipping_zone_regions');
+    await queryInterface.dropTable('shipping_zones');
+  }
+};
@@ -0,0 +1,129 @@
+'use strict';
+
+// Boxes seeded for packing: code, name, inner length, width and height (cm), max load (kg), empty weight (kg)
+const BOXES = [
+  ['small', 'Small box', 30, 20, 15, 5, 0.2],
+  ['medium', 'Medium box', 40, 30, 30, 15, 0.4],
+  ['large', 'Large box', 60, 40, 40, 25, 0.7],
+  ['extra_large', 'Extra large box', 80, 60, 60, 30, 1.2]
+];
+
+// Common courier divisor (cm³ per kg); pickup is not charged by weight
+const VOLUMETRIC_DIVISOR = 5000;
+
+const dimension = (Sequelize) => ({
+  type: Sequelize.DECIMAL(8, 1),
+  allowNull: true
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Shipping weight (kg) and outer dimensions (cm) of one unit in its retail packaging
+    await queryInterface.addColumn('products', 'weight', {
+      type: Sequelize.DECIMAL(10, 3),
+      allowNull: true,
+      after: 'currency'
+    });
+    await queryInterface.addColumn('products', 'length', { ...dimension(Sequelize), after: 'weight' });
+    await queryInterface.addColumn('products', 'width', { ...dimension(Sequelize), after: 'length' });
+    await queryInterface.addColumn('products', 'height', { ...dimension(Sequelize), after: 'width' });
+
+    await queryInterface.createTable('shipping_boxes', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      code: {
+        type: Sequelize.STRING(40),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      // Inside dimensions in cm
+      inner_length: {
+        type: Sequelize.DECIMAL(8, 1),
+        allowNull: false
+      },
+      inner_width: {
+        type: Sequelize.DECIMAL(8, 1),
+        allowNull: false
+      },
+      inner_height: {
+        type: Sequelize.DECIMAL(8, 1),
+        allowNull: false
+      },
+      // Heaviest contents in kg
+      max_weight: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false
+      },
+      // Weight of the empty box in kg
+      tare_weight: {
+        type: Sequelize.DECIMAL(10, 3),
+        allowNull: false,
+        defaultValue: 0
+      },
+      is_active: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false,
+        defaultValue: true
+      },
+      created_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        type: Sequelize.DATE,
+        allowNull: false,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+      }
+    });
+
+    // Carrier's divisor for volumetric weight (length × width × height in cm ÷ divisor = kg); null to charge actual weight
+    await queryInterface.addColumn('shipping_methods', 'volumetric_divisor', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'max_value'
+    });
+
+    // Parcels the checkout's shipping was priced on
+    await queryInterface.addColumn('checkouts', 'shipping_parcels', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      after: 'shipping_method'
+    });
+
+    const now = new Date();
+    await queryInterface.bulkInsert('shipping_boxes', BOXES.map(([code, name, length, width, height, maxWeight, tareWeight]) => ({
+      code,
+      name,
+      inner_length: length,
+      inner_width: width,
+      inner_height: height,
+      max_weight: maxWeight,
+      tare_weight: tareWeight,
+      is_active: true,
+      created_at: now,
+      updated_at: now
+    })));
+
+    await queryInterface.bulkUpdate('shipping_methods', { volumetric_divisor: VOLUMETRIC_DIVISOR }, {
+      code: ['standard', 'express', 'overnight']
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('checkouts', 'shipping_parcels');
+    await queryInterface.removeColumn('shipping_methods', 'volumetric_divisor');
+    await queryInterface.dropTable('shipping_boxes');
+    for (const column of ['height', 'width', 'length', 'weight']) {
+      await queryInterface.removeColumn('products', column);
+    }
+  }
+};
@@ -0,0 +1,46 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Carrier whose quote priced the shipping; null for table rates
+    await queryInterface.addColumn('checkouts', 'shipping_carrier', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      after: 'shipping_method'
+    });
+
+    await queryInterface.addColumn('orders', 'shipping_carrier', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      after: 'shipping_method'
+    });
+
+    // Carrier service and label of shipments whose label was bought through a carrier adapter
+    await queryInterface.addColumn('shipments', 'service', {
+      type: Sequelize.STRING(64),
+      allowNull: true,
+      after: 'tracking_number'
+    });
+
+    await queryInterface.addColumn('shipments', 'label_format', {
+      type: Sequelize.STRING(16),
+      allowNull: true,
+      after: 'service'
+    });
+
+    await queryInterface.addColumn('shipments', 'label_data', {
+      type: Sequelize.TEXT('medium'),
+      allowNull: true,
+      after: 'label_format'
+    });
+  },
+
+  async down(queryInterface) {
+    for (const column of ['label_data', 'label_format', 'service']) {
+      await queryInterface.removeColumn('shipments', column);
+    }
+    await queryInterface.removeColumn('orders', 'shipping_carrier');
+    await queryInterface.removeColumn('checkouts', 'shipping_carrier');
+  }
+};
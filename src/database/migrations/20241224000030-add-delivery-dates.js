@@ -0,0 +1,238 @@
+'use strict';
+
+// Business calendars seeded for delivery dates: country, weekend days (ISO, 1 = Monday), public holidays.
+// US federal holidays as observed, bank holidays in England and Wales, and India's national holidays.
+const CALENDARS = [
+  ['US', 'United States', [6, 7], [
+    ['2026-01-01', 'New Year\'s Day'],
+    ['2026-01-19', 'Martin Luther King Jr. Day'],
+    ['2026-02-16', 'Washington\'s Birthday'],
+    ['2026-05-25', 'Memorial Day'],
+    ['2026-06-19', 'Juneteenth'],
+    ['2026-07-03', 'Independence Day (observed)'],
+    ['2026-09-07', 'Labor Day'],
+    ['2026-10-12', 'Columbus Day'],
+    ['2026-11-11', 'Veterans Day'],
+    ['2026-11-26', 'Thanksgiving Day'],
+    ['2026-12-25', 'Christmas Day'],
+    ['2027-01-01', 'New Year\'s Day'],
+    ['2027-01-18', 'Martin Luther King Jr. Day'],
+    ['2027-02-15', 'Washington\'s Birthday'],
+    ['2027-05-31', 'Memorial Day'],
+    ['2027-06-18', 'Juneteenth (observed)'],
+    ['2027-07-05', 'Independence Day (observed)'],
+    ['2027-09-06', 'Labor Day'],
+    ['2027-10-11', 'Columbus Day'],
+    ['2027-11-11', 'Veterans Day'],
+    ['2027-11-25', 'Thanksgiving Day'],
+    ['2027-12-24', 'Christmas Day (observed)'],
+    ['2027-12-31', 'New Year\'s Day (observed)']
+  ]],
+  ['GB', 'England and Wales', [6, 7], [
+    ['2026-01-01', 'New Year\'s Day'],
+    ['2026-04-03', 'Good Friday'],
+    ['2026-04-06', 'Easter Monday'],
+    ['2026-05-04', 'Early May bank holiday'],
+    ['2026-05-25', 'Spring bank holiday'],
+    ['2026-08-31', 'Summer bank holiday'],
+    ['2026-12-25', 'Christmas Day'],
+    ['2026-12-28', 'Boxing Day (substitute day)'],
+    ['2027-01-01', 'New Year\'s Day'],
+    ['2027-03-26', 'Good Friday'],
+    ['2027-03-29', 'Easter Monday'],
+    ['2027-05-03', 'Early May bank holiday'],
+    ['2027-05-31', 'Spring bank holiday'],
+    ['2027-08-30', 'Summer bank holiday'],
+    ['2027-12-27', 'Christmas Day (substitute day)'],
+    ['2027-12-28', 'Boxing Day (substitute day)']
+  ]],
+  ['IN', 'India', [7], [
+    ['2026-01-26', 'Republic Day'],
+    ['2026-08-15', 'Independence Day'],
+    ['2026-10-02', 'Gandhi Jayanti'],
+    ['2027-01-26', 'Republic Day'],
+    ['2027-08-15', 'Independence Day'],
+    ['2027-10-02', 'Gandhi Jayanti']
+  ]]
+];
+
+// Order cutoff (warehouse time) of methods that leave earlier than the warehouse default
+const METHOD_CUTOFFS = {
+  overnight: '12:00'
+};
+
+/**
+ * Read a transit time in business days from an estimate such as "5-7 business days"
+ * @returns {Array<number>|null} [min, max]
+ */
+const parseTransitDays = (estimate) => {
+  if (!estimate) {
+    return null;
+  }
+  if (/^next business day$/i.test(estimate)) {
+    return [1, 1];
+  }
+  if (/^ready for pickup$/i.test(estimate)) {
+    return [0, 0];
+  }
+
+  const range = estimate.match(/(\d+)\s*-\s*(\d+)/) || estimate.match(/(\d+)/);
+  return range ? [parseInt(range[1], 10), parseInt(range[2] || range[1], 10)] : null;
+};
+
+const timestamps = (Sequelize) => ({
+  created_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+  },
+  updated_at: {
+    type: Sequelize.DATE,
+    allowNull: false,
+    defaultValue: Sequelize.literal('CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP')
+  }
+});
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Transit time in business days after the parcel leaves the warehouse
+    await queryInterface.addColumn('shipping_rates', 'transit_days_min', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'estimated_delivery'
+    });
+    await queryInterface.addColumn('shipping_rates', 'transit_days_max', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'transit_days_min'
+    });
+
+    // Per-method order cutoff (HH:MM, warehouse time) and handling days; null for the warehouse defaults
+    await queryInterface.addColumn('shipping_methods', 'cutoff_time', {
+      type: Sequelize.STRING(5),
+      allowNull: true,
+      after: 'volumetric_divisor'
+    });
+    await queryInterface.addColumn('shipping_methods', 'handling_days', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      after: 'cutoff_time'
+    });
+
+    await queryInterface.createTable('business_calendars', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      country: {
+        type: Sequelize.STRING(2),
+        allowNull: false,
+        unique: true
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      // ISO weekdays without deliveries, 1 = Monday to 7 = Sunday
+      weekend_days: {
+        type: Sequelize.JSON,
+        allowNull: false
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.createTable('public_holidays', {
+      id: {
+        type: Sequelize.BIGINT,
+        primaryKey: true,
+        autoIncrement: true
+      },
+      calendar_id: {
+        type: Sequelize.BIGINT,
+        allowNull: false,
+        references: {
+          model: 'business_calendars',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      date: {
+        type: Sequelize.DATEONLY,
+        allowNull: false
+      },
+      name: {
+        type: Sequelize.STRING(120),
+        allowNull: false
+      },
+      ...timestamps(Sequelize)
+    });
+
+    await queryInterface.addIndex('public_holidays', ['calendar_id', 'date'], {
+      name: 'public_holidays_calendar_date_unique',
+      unique: true
+    });
+
+    // Delivery dates the checkout was quoted
+    await queryInterface.addColumn('checkouts', 'delivery_earliest', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'shipping_parcels'
+    });
+    await queryInterface.addColumn('checkouts', 'delivery_latest', {
+      type: Sequelize.DATEONLY,
+      allowNull: true,
+      after: 'delivery_earliest'
+    });
+
+    const [rates] = await queryInterface.sequelize.query('SELECT id, estimated_delivery FROM shipping_rates');
+    for (const rate of rates) {
+      const transitDays = parseTransitDays(rate.estimated_delivery);
+      if (transitDays) {
+        await queryInterface.bulkUpdate('shipping_rates', {
+          transit_days_min: transitDays[0],
+          transit_days_max: transitDays[1]
+        }, { id: rate.id });
+      }
+    }
+
+    for (const [code, cutoffTime] of Object.entries(METHOD_CUTOFFS)) {
+      await queryInterface.bulkUpdate('shipping_methods', { cutoff_time: cutoffTime }, { code });
+    }
+
+    const now = new Date();
+    await queryInterface.bulkInsert('business_calendars', CALENDARS.map(([country, name, weekendDays]) => ({
+      country,
+      name,
+      weekend_days: JSON.stringify(weekendDays),
+      created_at: now,
+      updated_at: now
+    })));
+
+    const [calendars] = await queryInterface.sequelize.query('SELECT id, country FROM business_calendars');
+    const calendarIds = new Map(calendars.map(calendar => [calendar.country, calendar.id]));
+
+    await queryInterface.bulkInsert('public_holidays', CALENDARS.flatMap(([country, , , holidays]) =>
+      holidays.map(([date, name]) => ({
+        calendar_id: calendarIds.get(country),
+        date,
+        name,
+        created_at: now,
+        updated_at: now
+      }))
+    ));
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('checkouts', 'delivery_latest');
+    await queryInterface.removeColumn('checkouts', 'delivery_earliest');
+    await queryInterface.dropTable('public_holidays');
+    await queryInterface.dropTable('business_calendars');
+    await queryInterface.removeColumn('shipping_methods', 'handling_days');
+    await queryInterface.removeColumn('shipping_methods', 'cutoff_time');
+    await queryInterface.removeColumn('shipping_rates', 'transit_days_max');
+    await queryInterface.removeColumn('shipping_rates', 'transit_days_min');
+  }
+};
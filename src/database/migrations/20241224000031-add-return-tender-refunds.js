@@ -0,0 +1,17 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Part of a return's refund given back to gift cards and store credit; null until that share is settled
+    await queryInterface.addColumn('return_requests', 'tender_refunded', {
+      type: Sequelize.DECIMAL(12, 2),
+      allowNull: true,
+      after: 'refund_status'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('return_requests', 'tender_refunded');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+/** @type {import('sequelize-cli').Migration} */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    // Currency of a rate's amounts and its bands'; the seeded rates are US dollar prices
+    await queryInterface.addColumn('shipping_rates', 'currency', {
+      type: Sequelize.CHAR(3),
+      allowNull: false,
+      defaultValue: 'USD',
+      after: 'method_id'
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('shipping_rates', 'currency');
+  }
+};
@@ -1,5 +1,6 @@
 'use strict';
 const { Model } = require('sequelize');
+const { ADDRESS_COUNTRIES, isValidPostalCode, normalizePostalCode } = require('../../config/addresses');
 
 module.exports = (sequelize, DataTypes) => {
   class Address extends Model {
@@ -60,17 +61,17 @@ module.exports = (sequelize, DataTypes) => {
     }
 
     /**
-     * Check if address is valid for shipping
+     * Check if address is valid for shipping; address book entries have no type and serve both
      */
     isValidForShipping() {
-      return this.isComplete() && this.type === 'shipping';
+      return this.isComplete() && this.type !== 'billing';
     }
 
     /**
      * Check if address is valid for billing
      */
     isValidForBilling() {
-      return this.isComplete() && this.type === 'billing';
+      return this.isComplete() && this.type !== 'shipping';
     }
 
     /**
@@ -89,28 +90,42 @@ module.exports = (sequelize, DataTypes) => {
     }
 
     /**
-     * Validate postal code format based on country
+     * Get an address book entry with all of its fields and default flags
      */
-    validatePostalCode() {
-      const postalCodePatterns = {
-        'US': /^\d{5}(-\d{4})?$/,
-        'CA': /^[A-Za-z]\d[A-Za-z] \d[A-Za-z]\d$/,
-        'GB': /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
-        'IN': /^\d{6}$/,
-        'AU': /^\d{4}$/,
-        'DE': /^\d{5}$/,
-        'FR': /^\d{5}$/,
-        'IT': /^\d{5}$/,
-        'ES': /^\d{5}$/,
-        'NL': /^\d{4} [A-Z]{2}$/
+    getBookEntry() {
+      return {
+        id: this.id,
+        label: this.label,
+        ...this.getSnapshot(),
+        is_default_shipping: this.is_default_shipping,
+        is_default_billing: this.is_default_billing,
+        created_at: this.created_at,
+        updated_at: this.updated_at
       };
+    }
 
-      const pattern = postalCodePatterns[this.country];
-      if (!pattern) {
-        return true; // No validation for unknown countries
-      }
+    /**
+     * Get a full copy of the address fields for order snapshots
+     */
+    getSnapshot() {
+      return {
+        name: this.name,
+        phone: this.phone,
+        email: this.email,
+        line1: this.line1,
+        line2: this.line2,
+        city: this.city,
+        state: this.state,
+        postal_code: this.postal_code,
+        country: this.country
+      };
+    }
 
-      return pattern.test(this.postal_code);
+    /**
+     * Validate postal code format based on country
+     */
+    validatePostalCode() {
+      return isValidPostalCode(this.postal_code, this.country);
     }
   }
 
@@ -128,13 +143,21 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    // Address book entries serve shipping and billing alike and have no type
     type: {
       type: DataTypes.ENUM('shipping', 'billing'),
-      allowNull: false,
+      allowNull: true,
       validate: {
         isIn: [['shipping', 'billing']]
       }
     },
+    label: {
+      type: DataTypes.STRING(60),
+      allowNull: true,
+      validate: {
+        len: [1, 60]
+      }
+    },
     name: {
       type: DataTypes.STRING(120),
       allowNull: true,
@@ -197,8 +220,28 @@ module.exports = (sequelize, DataTypes) => {
       allowNull: false,
       validate: {
         len: [2, 2],
-        isIn: [['US', 'CA', 'GB', 'IN', 'AU', 'DE', 'FR', 'IT', 'ES', 'NL', 'BR', 'MX', 'JP', 'CN', 'KR', 'SG', 'MY', 'TH', 'PH', 'ID', 'VN']]
+        isIn: [ADDRESS_COUNTRIES]
       }
+    },
+    in_address_book: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_default_shipping: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_default_billing: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Set when the customer deletes an address that checkouts still point to
+    archived_at: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     sequelize,
@@ -218,12 +261,17 @@ module.exports = (sequelize, DataTypes) => {
       },
       {
         fields: ['user_id', 'type']
+      },
+      {
+        name: 'addresses_user_address_book',
+        fields: ['user_id', 'in_address_book', 'archived_at']
       }
     ],
     hooks: {
       beforeValidate: async (address) => {
-        // Validate postal code format
+        // Validate postal code format, storing it in the country's canonical form
         if (address.postal_code && address.country) {
+          address.postal_code = normalizePostalCode(address.postal_code, address.country);
           if (!address.validatePostalCode()) {
             throw new Error(`Invalid postal code format for country ${address.country}`);
           }
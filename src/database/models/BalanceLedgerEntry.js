@@ -0,0 +1,157 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const ENTRY_TYPES = ['issue', 'grant', 'redeem', 'restore', 'adjust'];
+
+module.exports = (sequelize, DataTypes) => {
+  class BalanceLedgerEntry extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with gift card
+      BalanceLedgerEntry.belongsTo(models.GiftCard, {
+        as: 'giftCard',
+        foreignKey: 'gift_card_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with store credit wallet
+      BalanceLedgerEntry.belongsTo(models.StoreCreditWallet, {
+        as: 'wallet',
+        foreignKey: 'wallet_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with order
+      BalanceLedgerEntry.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the staff user or customer behind the entry
+      BalanceLedgerEntry.belongsTo(models.User, {
+        as: 'actor',
+        foreignKey: 'actor_user_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get ledger entry summary
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        entry_type: this.entry_type,
+        amount: parseFloat(this.amount),
+        balance_after: parseFloat(this.balance_after),
+        currency: this.currency,
+        order_id: this.order_id,
+        actor_user_id: this.actor_user_id,
+        note: this.note,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  BalanceLedgerEntry.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    gift_card_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      }
+    },
+    wallet_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'store_credit_wallets',
+        key: 'id'
+      }
+    },
+    entry_type: {
+      type: DataTypes.ENUM(...ENTRY_TYPES),
+      allowNull: false,
+      validate: {
+        isIn: [ENTRY_TYPES]
+      }
+    },
+    // Positive adds to the balance, negative spends it
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    balance_after: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    actor_user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'BalanceLedgerEntry',
+    tableName: 'balance_ledger',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['gift_card_id', 'created_at']
+      },
+      {
+        fields: ['wallet_id', 'created_at']
+      },
+      {
+        fields: ['order_id']
+      }
+    ],
+    validate: {
+      belongsToOneAccount() {
+        if (!this.gift_card_id === !this.wallet_id) {
+          throw new Error('Ledger entry must belong to a gift card or a wallet');
+        }
+      }
+    }
+  });
+
+  return BalanceLedgerEntry;
+};
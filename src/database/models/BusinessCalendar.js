@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+const { ADDRESS_COUNTRIES } = require('../../config/addresses');
+
+module.exports = (sequelize, DataTypes) => {
+  class BusinessCalendar extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the country's public holidays
+      BusinessCalendar.hasMany(models.PublicHoliday, {
+        as: 'holidays',
+        foreignKey: 'calendar_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check whether parcels move on a date: not a weekend day and not a public holiday
+     * Expects the calendar to be loaded with its holidays.
+     * @param {string} date - Date as YYYY-MM-DD
+     */
+    isBusinessDay(date) {
+      if (!this.holidayDates) {
+        this.holidayDates = new Set((this.holidays || []).map(holiday => holiday.date));
+      }
+
+      const weekday = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+      return !this.weekend_days.includes(weekday) && !this.holidayDates.has(date);
+    }
+
+    /**
+     * Get calendar summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        country: this.country,
+        name: this.name,
+        weekend_days: this.weekend_days,
+        holidays: this.holidays ? this.holidays.map(holiday => holiday.getSummary()) : undefined,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  BusinessCalendar.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    country: {
+      type: DataTypes.STRING(2),
+      allowNull: false,
+      unique: true,
+      validate: {
+        isIn: [ADDRESS_COUNTRIES]
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    },
+    // ISO weekdays without deliveries, 1 = Monday to 7 = Sunday
+    weekend_days: {
+      type: DataTypes.JSON,
+      allowNull: false,
+      defaultValue: [6, 7]
+    }
+  }, {
+    sequelize,
+    modelName: 'BusinessCalendar',
+    tableName: 'business_calendars',
+    timestamps: true,
+    underscored: true
+  });
+
+  return BusinessCalendar;
+};
@@ -1,5 +1,6 @@
 'use strict';
 const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
 
 module.exports = (sequelize, DataTypes) => {
   class Cart extends Model {
@@ -24,6 +25,14 @@ module.exports = (sequelize, DataTypes) => {
         onDelete: 'CASCADE',
         onUpdate: 'CASCADE'
       });
+
+      // Association with applied coupon codes
+      Cart.hasMany(models.CartCoupon, {
+        as: 'coupons',
+        foreignKey: 'cart_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
     }
 
     /**
@@ -55,6 +64,16 @@ module.exports = (sequelize, DataTypes) => {
       return this.status === 'active';
     }
 
+    /**
+     * Check if the caller may use the cart: its owner, or whoever holds the token of a guest cart
+     */
+    isAccessibleBy(userId, cartToken = null) {
+      if (this.user_id !== null) {
+        return !!userId && String(this.user_id) === String(userId);
+      }
+      return !!cartToken && this.cart_token === cartToken;
+    }
+
     /**
      * Check if cart is abandoned
      */
@@ -105,11 +124,12 @@ module.exports = (sequelize, DataTypes) => {
 
     /**
      * Update cart totals based on line items
+     * @param {Object} options - Sequelize options
      */
-    async updateCartTotals() {
-      const CartItem = require('./CartItem');
-      const items = await CartItem.findAll({
-        where: { cart_id: this.id }
+    async updateCartTotals(options = {}) {
+      const items = await sequelize.models.CartItem.findAll({
+        where: { cart_id: this.id },
+        transaction: options.transaction
       });
       
       let subtotal = 0;
@@ -122,14 +142,15 @@ module.exports = (sequelize, DataTypes) => {
         taxTotal += parseFloat(item.line_tax);
       });
 
-      const grandTotal = subtotal + taxTotal - discountTotal;
+      // Gross prices already carry their tax
+      const grandTotal = subtotal - discountTotal + (this.prices_include_tax ? 0 : taxTotal);
 
       await this.update({
         subtotal,
         discount_total: discountTotal,
         tax_total: taxTotal,
         grand_total: grandTotal
-      });
+      }, options);
     }
   }
 
@@ -161,9 +182,15 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'INR',
       validate: {
         len: [3, 3],
-        isIn: [['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']]
+        isIn: [SUPPORTED_CURRENCIES]
       }
     },
+    // Prices are gross and tax is extracted from them; set from the currency when the cart is priced
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     subtotal: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -0,0 +1,102 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CartCoupon extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with cart
+      CartCoupon.belongsTo(models.Cart, {
+        as: 'cart',
+        foreignKey: 'cart_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with coupon
+      CartCoupon.belongsTo(models.Coupon, {
+        as: 'coupon',
+        foreignKey: 'coupon_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get the applied coupon as shown on the cart
+     */
+    getSummary() {
+      return {
+        code: this.coupon ? this.coupon.code : null,
+        type: this.coupon ? this.coupon.type : null,
+        description: this.coupon ? this.coupon.description : null,
+        discount_amount: parseFloat(this.discount_amount),
+        free_shipping: this.free_shipping,
+        applicable: this.inapplicable_reason === null,
+        inapplicable_reason: this.inapplicable_reason
+      };
+    }
+  }
+
+  CartCoupon.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    cart_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'carts',
+        key: 'id'
+      }
+    },
+    coupon_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      }
+    },
+    // Recomputed whenever the cart is repriced
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    free_shipping: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Why the coupon currently gives no discount (the code stays on the cart)
+    inapplicable_reason: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'CartCoupon',
+    tableName: 'cart_coupons',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['cart_id', 'coupon_id'],
+        name: 'cart_coupons_cart_coupon_unique'
+      }
+    ]
+  });
+
+  return CartCoupon;
+};
@@ -146,6 +146,23 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    // Product price and currency the unit price was converted from
+    source_currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: true
+    },
+    source_unit_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    exchange_rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      defaultValue: 1
+    },
     line_subtotal: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -161,6 +178,11 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    // Which promotions and coupons make up line_discount: [{ source, id|code, name, amount }]
+    discount_details: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
     line_tax: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -221,28 +243,25 @@ module.exports = (sequelize, DataTypes) => {
           cartItem.line_total = total;
         }
       },
-      afterCreate: async (cartItem) => {
+      afterCreate: async (cartItem, options) => {
         // Update cart totals
-        const Cart = require('./Cart');
-        const cart = await Cart.findByPk(cartItem.cart_id);
+        const cart = await sequelize.models.Cart.findByPk(cartItem.cart_id, { transaction: options.transaction });
         if (cart) {
-          await cart.updateCartTotals();
+          await cart.updateCartTotals({ transaction: options.transaction });
         }
       },
-      afterUpdate: async (cartItem) => {
+      afterUpdate: async (cartItem, options) => {
         // Update cart totals
-        const Cart = require('./Cart');
-        const cart = await Cart.findByPk(cartItem.cart_id);
+        const cart = await sequelize.models.Cart.findByPk(cartItem.cart_id, { transaction: options.transaction });
         if (cart) {
-          await cart.updateCartTotals();
+          await cart.updateCartTotals({ transaction: options.transaction });
         }
       },
-      afterDestroy: async (cartItem) => {
+      afterDestroy: async (cartItem, options) => {
         // Update cart totals
-        const Cart = require('./Cart');
-        const cart = await Cart.findByPk(cartItem.cart_id);
+        const cart = await sequelize.models.Cart.findByPk(cartItem.cart_id, { transaction: options.transaction });
         if (cart) {
-          await cart.updateCartTotals();
+          await cart.updateCartTotals({ transaction: options.transaction });
         }
       }
     }
@@ -32,6 +32,14 @@ module.exports = (sequelize, DataTypes) => {
         onUpdate: 'CASCADE'
       });
 
+      // Association with the default tax class of its products
+      Category.belongsTo(models.TaxClass, {
+        as: 'taxClass',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
       // Association with users (created_by, updated_by)
       Category.belongsTo(models.User, {
         as: 'creator',
@@ -156,6 +164,15 @@ module.exports = (sequelize, DataTypes) => {
       },
       comment: 'Depth level in hierarchy (0 = root)'
     },
+    // Tax class for its products that have none of their own; null for the standard rate
+    tax_class_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      }
+    },
     is_active: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
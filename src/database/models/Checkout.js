@@ -1,5 +1,14 @@
 'use strict';
 const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES, roundAmount } = require('../../config/currencies');
+
+// Minutes a new session holds stock for
+const SESSION_MINUTES = 15;
+
+// Each extension holds stock this many minutes from now, up to the maximum hold counted from creation
+const EXTENSION_MINUTES = parseInt(process.env.CHECKOUT_EXTENSION_MINUTES, 10) || 10;
+const MAX_HOLD_MINUTES = parseInt(process.env.CHECKOUT_MAX_HOLD_MINUTES, 10) || 45;
+const MAX_EXTENSIONS = parseInt(process.env.CHECKOUT_MAX_EXTENSIONS, 10) || 3;
 
 module.exports = (sequelize, DataTypes) => {
   class Checkout extends Model {
@@ -40,6 +49,30 @@ module.exports = (sequelize, DataTypes) => {
         onDelete: 'CASCADE',
         onUpdate: 'CASCADE'
       });
+
+      // Association with gift cards and store credit put toward the total
+      Checkout.hasMany(models.CheckoutTender, {
+        as: 'tenders',
+        foreignKey: 'checkout_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the order placed from this checkout
+      Checkout.hasOne(models.Order, {
+        as: 'order',
+        foreignKey: 'checkout_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with payment attempts
+      Checkout.hasMany(models.Payment, {
+        as: 'payments',
+        foreignKey: 'checkout_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
     }
 
     /**
@@ -66,6 +99,31 @@ module.exports = (sequelize, DataTypes) => {
       return Math.max(0, Math.floor(diffMs / (1000 * 60)));
     }
 
+    /**
+     * Get the latest time the session can hold stock until, however often it is extended
+     */
+    getHoldDeadline() {
+      return new Date(new Date(this.created_at).getTime() + MAX_HOLD_MINUTES * 60 * 1000);
+    }
+
+    /**
+     * Get the expiry an extension made now would set, or null when the hold cannot be moved any further
+     */
+    getExtendedExpiry(now = new Date()) {
+      const extended = new Date(Math.min(
+        now.getTime() + EXTENSION_MINUTES * 60 * 1000,
+        this.getHoldDeadline().getTime()
+      ));
+      return extended > new Date(this.expires_at) ? extended : null;
+    }
+
+    /**
+     * Check if the session has extensions left
+     */
+    hasExtensionsLeft() {
+      return this.extension_count < MAX_EXTENSIONS;
+    }
+
     /**
      * Check if checkout has sufficient time remaining
      */
@@ -83,6 +141,7 @@ module.exports = (sequelize, DataTypes) => {
       });
 
       return {
+        discount_total: formatter.format(this.discount_total),
         tax_total: formatter.format(this.tax_total),
         shipping_total: formatter.format(this.shipping_total),
         grand_total: formatter.format(this.grand_total)
@@ -90,59 +149,56 @@ module.exports = (sequelize, DataTypes) => {
     }
 
     /**
-     * Get checkout summary for payment
+     * Get the goods total after discounts, without and with tax; shipping carries no tax
      */
-    getPaymentSummary() {
+    getGoodsTotals() {
+      const grossTotal = roundAmount(parseFloat(this.grand_total) - parseFloat(this.shipping_total), this.currency);
       return {
-        checkout_id: this.id,
-        amount: parseFloat(this.grand_total),
-        currency: this.currency,
-        shipping_method: this.shipping_method,
-        expires_at: this.expires_at,
-        time_remaining: this.getTimeRemaining()
+        net_total: roundAmount(grossTotal - parseFloat(this.tax_total), this.currency),
+        gross_total: grossTotal
       };
     }
 
     /**
-     * Check if shipping method is valid
+     * Get what is left for the payment provider after gift cards and store credit
      */
-    isValidShippingMethod() {
-      const validMethods = ['standard', 'express', 'overnight', 'pickup'];
-      return validMethods.includes(this.shipping_method);
+    getAmountDue() {
+      return Math.max(0, Math.round((parseFloat(this.grand_total) - parseFloat(this.tender_total || 0)) * 100) / 100);
     }
 
     /**
-     * Get shipping method display name
+     * Get checkout summary for payment
      */
-    getShippingMethodDisplayName() {
-      const displayNames = {
-        'standard': 'Standard Shipping',
-        'express': 'Express Shipping',
-        'overnight': 'Overnight Shipping',
-        'pickup': 'Store Pickup'
+    getPaymentSummary() {
+      return {
+        checkout_id: this.id,
+        amount: this.getAmountDue(),
+        currency: this.currency,
+        shipping_method: this.shipping_method,
+        expires_at: this.expires_at,
+        time_remaining: this.getTimeRemaining()
       };
-      return displayNames[this.shipping_method] || this.shipping_method;
     }
 
     /**
      * Mark checkout as completed (order placed)
      */
-    async markAsCompleted() {
+    async markAsCompleted(options = {}) {
       await this.update({ 
         status: 'completed',
         completed_at: new Date()
-      });
+      }, options);
     }
 
     /**
      * Mark checkout as failed
      */
-    async markAsFailed(reason = 'Payment failed') {
+    async markAsFailed(reason = 'Payment failed', options = {}) {
       await this.update({ 
         status: 'failed',
         failure_reason: reason,
         failed_at: new Date()
-      });
+      }, options);
     }
 
     /**
@@ -183,11 +239,46 @@ module.exports = (sequelize, DataTypes) => {
         key: 'id'
       }
     },
+    guest_email: {
+      type: DataTypes.STRING(120),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
     shipping_method: {
       type: DataTypes.STRING(64),
       allowNull: false,
+      // Code of a shipping method; the methods are managed by admins
       validate: {
-        isIn: [['standard', 'express', 'overnight', 'pickup']]
+        is: /^[a-z0-9_]+$/
+      }
+    },
+    // Carrier whose quote priced the shipping; null for table rates
+    shipping_carrier: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    // Parcels the shipping cost was priced on, with their box and chargeable weight
+    shipping_parcels: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    // Delivery dates quoted for the shipping method; null when its transit time is unknown
+    delivery_earliest: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    delivery_latest: {
+      type: DataTypes.DATEONLY,
+      allowNull: true
+    },
+    discount_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
       }
     },
     tax_total: {
@@ -206,6 +297,15 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    // Shipping waived by a free-shipping coupon; shipping_total is what is charged
+    shipping_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
     grand_total: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -213,15 +313,35 @@ module.exports = (sequelize, DataTypes) => {
         min: 0
       }
     },
+    // Gift card and store credit put toward grand_total; the payment provider is charged the rest
+    tender_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
     currency: {
       type: DataTypes.CHAR(3),
       allowNull: false,
       defaultValue: 'INR',
       validate: {
         len: [3, 3],
-        isIn: [['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']]
+        isIn: [SUPPORTED_CURRENCIES]
       }
     },
+    // Prices were gross when the checkout was priced, so tax_total is included in grand_total rather than added
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    // Snapshots of the customer's tax exemptions the checkout was priced with
+    tax_exemptions: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
     stock_reserved: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -239,6 +359,14 @@ module.exports = (sequelize, DataTypes) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    extension_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
     completed_at: {
       type: DataTypes.DATE,
       allowNull: true
@@ -285,7 +413,7 @@ module.exports = (sequelize, DataTypes) => {
         // Set expiry time (15 minutes from now)
         if (!checkout.expires_at) {
           const expiryTime = new Date();
-          expiryTime.setMinutes(expiryTime.getMinutes() + 15);
+          expiryTime.setMinutes(expiryTime.getMinutes() + SESSION_MINUTES);
           checkout.expires_at = expiryTime;
         }
       },
@@ -298,5 +426,9 @@ module.exports = (sequelize, DataTypes) => {
     }
   });
 
+  Checkout.EXTENSION_MINUTES = EXTENSION_MINUTES;
+  Checkout.MAX_HOLD_MINUTES = MAX_HOLD_MINUTES;
+  Checkout.MAX_EXTENSIONS = MAX_EXTENSIONS;
+
   return Checkout;
 };
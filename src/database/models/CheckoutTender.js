@@ -0,0 +1,109 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CheckoutTender extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with checkout
+      CheckoutTender.belongsTo(models.Checkout, {
+        as: 'checkout',
+        foreignKey: 'checkout_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with gift card
+      CheckoutTender.belongsTo(models.GiftCard, {
+        as: 'giftCard',
+        foreignKey: 'gift_card_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with store credit wallet
+      CheckoutTender.belongsTo(models.StoreCreditWallet, {
+        as: 'wallet',
+        foreignKey: 'wallet_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get the tender as shown on the checkout
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        type: this.type,
+        gift_card: this.giftCard ? this.giftCard.getMaskedCode() : null,
+        amount: parseFloat(this.amount)
+      };
+    }
+  }
+
+  CheckoutTender.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    checkout_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'checkouts',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('gift_card', 'store_credit'),
+      allowNull: false,
+      validate: {
+        isIn: [['gift_card', 'store_credit']]
+      }
+    },
+    gift_card_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'gift_cards',
+        key: 'id'
+      }
+    },
+    wallet_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'store_credit_wallets',
+        key: 'id'
+      }
+    },
+    // Reserved toward the checkout; the balance itself only moves when the order is placed
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'CheckoutTender',
+    tableName: 'checkout_tenders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['checkout_id']
+      }
+    ]
+  });
+
+  return CheckoutTender;
+};
@@ -0,0 +1,273 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+/**
+ * Validate that a JSON column holds a list of positive integer IDs
+ */
+const isIdList = (label) => (value) => {
+  if (value === null || value === undefined) {
+    return;
+  }
+  if (!Array.isArray(value) || value.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new Error(`${label} must be an array of IDs`);
+  }
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class Coupon extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with carts the coupon is applied to
+      Coupon.hasMany(models.CartCoupon, {
+        as: 'cartCoupons',
+        foreignKey: 'coupon_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with redemptions on placed orders
+      Coupon.hasMany(models.CouponRedemption, {
+        as: 'redemptions',
+        foreignKey: 'coupon_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with creator
+      Coupon.belongsTo(models.User, {
+        as: 'creator',
+        foreignKey: 'created_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the coupon discounts cart lines (rather than shipping)
+     */
+    isLineDiscount() {
+      return this.type === 'percentage' || this.type === 'fixed_amount';
+    }
+
+    /**
+     * Check if the coupon can be used at a point in time
+     * @param {Date} now - Point in time
+     * @returns {string|null} Why it cannot be used, or null
+     */
+    getAvailabilityError(now = new Date()) {
+      if (!this.is_active) {
+        return 'Coupon is not active';
+      }
+      if (this.starts_at && now < new Date(this.starts_at)) {
+        return 'Coupon is not valid yet';
+      }
+      if (this.ends_at && now > new Date(this.ends_at)) {
+        return 'Coupon has expired';
+      }
+      if (this.usage_limit && this.times_used >= this.usage_limit) {
+        return 'Coupon usage limit has been reached';
+      }
+      return null;
+    }
+
+    /**
+     * Check if a cart line falls within the coupon's product or category scope
+     * @param {CartItem} item - Cart item with its product loaded
+     */
+    appliesToItem(item) {
+      if (this.applies_to === 'products') {
+        return (this.product_ids || []).includes(Number(item.product_id));
+      }
+      if (this.applies_to === 'categories') {
+        return !!item.product && (this.category_ids || []).includes(Number(item.product.category_id));
+      }
+      return true;
+    }
+
+    /**
+     * Get coupon summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        description: this.description,
+        type: this.type,
+        value: parseFloat(this.value),
+        currency: this.currency,
+        min_subtotal: this.min_subtotal ? parseFloat(this.min_subtotal) : null,
+        applies_to: this.applies_to,
+        category_ids: this.category_ids,
+        product_ids: this.product_ids,
+        starts_at: this.starts_at,
+        ends_at: this.ends_at,
+        usage_limit: this.usage_limit,
+        usage_limit_per_customer: this.usage_limit_per_customer,
+        times_used: this.times_used,
+        is_active: this.is_active,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  Coupon.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[A-Z0-9_-]{3,40}$/
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('percentage', 'fixed_amount', 'free_shipping'),
+      allowNull: false,
+      validate: {
+        isIn: [['percentage', 'fixed_amount', 'free_shipping']]
+      }
+    },
+    // Percent off for percentage coupons, amount off (in `currency`) for fixed-amount coupons
+    value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    // Currency of `value` and `min_subtotal`; converted to the cart currency when they are applied
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: true,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    min_subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    applies_to: {
+      type: DataTypes.ENUM('all', 'categories', 'products'),
+      allowNull: false,
+      defaultValue: 'all',
+      validate: {
+        isIn: [['all', 'categories', 'products']]
+      }
+    },
+    category_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isIdList: isIdList('Category IDs')
+      }
+    },
+    product_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isIdList: isIdList('Product IDs')
+      }
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    usage_limit: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    usage_limit_per_customer: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    times_used: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Coupon',
+    tableName: 'coupons',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['code']
+      }
+    ],
+    validate: {
+      amountsHaveCurrency() {
+        const hasMinimum = this.min_subtotal !== null && this.min_subtotal !== undefined;
+        if ((this.type === 'fixed_amount' || hasMinimum) && !this.currency) {
+          throw new Error('Fixed amounts and minimum spend need a currency');
+        }
+      },
+      percentageInRange() {
+        if (this.type === 'percentage' && (parseFloat(this.value) <= 0 || parseFloat(this.value) > 100)) {
+          throw new Error('Percentage must be between 0 and 100');
+        }
+      },
+      windowInOrder() {
+        if (this.starts_at && this.ends_at && new Date(this.ends_at) <= new Date(this.starts_at)) {
+          throw new Error('Coupon must end after it starts');
+        }
+      }
+    },
+    hooks: {
+      beforeValidate: (coupon) => {
+        // Codes are matched case-insensitively
+        if (coupon.code) {
+          coupon.code = coupon.code.trim().toUpperCase();
+        }
+      }
+    }
+  });
+
+  return Coupon;
+};
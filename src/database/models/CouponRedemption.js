@@ -0,0 +1,103 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class CouponRedemption extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with coupon
+      CouponRedemption.belongsTo(models.Coupon, {
+        as: 'coupon',
+        foreignKey: 'coupon_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with order
+      CouponRedemption.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with user
+      CouponRedemption.belongsTo(models.User, {
+        as: 'user',
+        foreignKey: 'user_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+  }
+
+  CouponRedemption.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    coupon_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'coupons',
+        key: 'id'
+      }
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    guest_email: {
+      type: DataTypes.STRING(120),
+      allowNull: true
+    },
+    // Line discount, or shipping waived for free-shipping coupons
+    discount_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'CouponRedemption',
+    tableName: 'coupon_redemptions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['coupon_id', 'order_id'],
+        name: 'coupon_redemptions_coupon_order_unique'
+      },
+      {
+        fields: ['coupon_id', 'user_id']
+      },
+      {
+        fields: ['coupon_id', 'guest_email']
+      }
+    ]
+  });
+
+  return CouponRedemption;
+};
@@ -0,0 +1,203 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Everything except the stored PDF location is fixed once the credit note is issued
+const MUTABLE_FIELDS = ['storage_key', 'updated_at'];
+
+module.exports = (sequelize, DataTypes) => {
+  class CreditNote extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the invoice being credited
+      CreditNote.belongsTo(models.Invoice, {
+        as: 'invoice',
+        foreignKey: 'invoice_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with order
+      CreditNote.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the refunded payment
+      CreditNote.belongsTo(models.Payment, {
+        as: 'payment',
+        foreignKey: 'payment_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Format a sequence value as a credit note number, e.g. CN-00000007
+     */
+    static formatNumber(value) {
+      return `CN-${String(value).padStart(8, '0')}`;
+    }
+
+    /**
+     * Get credit note summary for listings
+     */
+    getSummary() {
+      return {
+        credit_note_number: this.credit_note_number,
+        invoice_number: this.invoice ? this.invoice.invoice_number : undefined,
+        currency: this.currency,
+        total: parseFloat(this.total),
+        reason: this.reason,
+        issued_at: this.issued_at
+      };
+    }
+
+    /**
+     * Get full credit note details
+     */
+    getDetails() {
+      return {
+        ...this.getSummary(),
+        seller: this.seller,
+        buyer: this.buyer,
+        lines: this.lines,
+        totals: {
+          subtotal: parseFloat(this.subtotal),
+          tax_total: parseFloat(this.tax_total),
+          total: parseFloat(this.total)
+        }
+      };
+    }
+  }
+
+  CreditNote.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    credit_note_number: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true
+    },
+    invoice_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'invoices',
+        key: 'id'
+      }
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    payment_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    refund_reference: {
+      type: DataTypes.STRING(128),
+      allowNull: false
+    },
+    reason: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        len: [3, 3]
+      }
+    },
+    seller: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    buyer: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    lines: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    storage_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'CreditNote',
+    tableName: 'credit_notes',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['credit_note_number']
+      },
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['invoice_id']
+      },
+      {
+        unique: true,
+        fields: ['payment_id', 'refund_reference'],
+        name: 'credit_notes_payment_refund_unique'
+      }
+    ],
+    hooks: {
+      beforeUpdate: async (creditNote) => {
+        // Issued credit notes are legal records
+        const changedFields = (creditNote.changed() || []).filter(field => !MUTABLE_FIELDS.includes(field));
+        if (changedFields.length > 0) {
+          throw new Error(`Credit note fields are immutable: ${changedFields.join(', ')}`);
+        }
+      },
+      beforeDestroy: async () => {
+        throw new Error('Credit notes cannot be deleted');
+      }
+    }
+  });
+
+  return CreditNote;
+};
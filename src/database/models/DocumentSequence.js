@@ -0,0 +1,54 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class DocumentSequence extends Model {
+    /**
+     * Take the next number in a series
+     * Must run inside the transaction that creates the document: the row stays locked until it
+     * commits, and a rollback hands the number back, so issued numbers never have gaps.
+     */
+    static async next(name, transaction) {
+      if (!transaction) {
+        throw new Error('Document numbers must be taken inside a transaction');
+      }
+
+      const sequence = await DocumentSequence.findByPk(name, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!sequence) {
+        throw new Error(`Unknown document sequence: ${name}`);
+      }
+
+      const value = Number(sequence.last_value) + 1;
+      await sequence.update({ last_value: value }, { transaction });
+
+      return value;
+    }
+  }
+
+  DocumentSequence.init({
+    name: {
+      type: DataTypes.STRING(32),
+      primaryKey: true
+    },
+    last_value: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'DocumentSequence',
+    tableName: 'document_sequences',
+    timestamps: true,
+    underscored: true
+  });
+
+  return DocumentSequence;
+};
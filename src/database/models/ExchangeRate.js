@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+module.exports = (sequelize, DataTypes) => {
+  class ExchangeRate extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the staff member who last set the rate
+      ExchangeRate.belongsTo(models.User, {
+        as: 'updater',
+        foreignKey: 'updated_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get rate summary for admin listings
+     */
+    getSummary() {
+      return {
+        base_currency: this.base_currency,
+        quote_currency: this.quote_currency,
+        rate: parseFloat(this.rate),
+        updated_by: this.updated_by,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  ExchangeRate.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    base_currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    quote_currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    // Units of quote_currency one unit of base_currency buys
+    rate: {
+      type: DataTypes.DECIMAL(18, 8),
+      allowNull: false,
+      validate: {
+        min: 0.00000001
+      }
+    },
+    updated_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ExchangeRate',
+    tableName: 'exchange_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['base_currency', 'quote_currency'],
+        name: 'exchange_rates_pair_unique'
+      }
+    ]
+  });
+
+  return ExchangeRate;
+};
@@ -0,0 +1,199 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+module.exports = (sequelize, DataTypes) => {
+  class GiftCard extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with balance movements
+      GiftCard.hasMany(models.BalanceLedgerEntry, {
+        as: 'ledger',
+        foreignKey: 'gift_card_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the staff user who issued it
+      GiftCard.belongsTo(models.User, {
+        as: 'issuer',
+        foreignKey: 'issued_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the order that bought it
+      GiftCard.belongsTo(models.Order, {
+        as: 'purchaseOrder',
+        foreignKey: 'purchase_order_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the card has passed its expiry date
+     */
+    isExpired(now = new Date()) {
+      return !!this.expires_at && now > new Date(this.expires_at);
+    }
+
+    /**
+     * Check if the card can pay for an order in a currency
+     * @param {string} currency - Order currency
+     * @returns {string|null} Why it cannot be used, or null
+     */
+    getRedemptionError(currency) {
+      if (this.status !== 'active') {
+        return 'Gift card is disabled';
+      }
+      if (this.isExpired()) {
+        return 'Gift card has expired';
+      }
+      if (this.currency !== currency) {
+        return `Gift card is in ${this.currency} and cannot pay for a ${currency} order`;
+      }
+      if (parseFloat(this.balance) <= 0) {
+        return 'Gift card has no balance left';
+      }
+      return null;
+    }
+
+    /**
+     * Get the code with all but the last group hidden
+     */
+    getMaskedCode() {
+      return `****-****-****-${this.code.slice(-4)}`;
+    }
+
+    /**
+     * Get the balance shown to whoever holds the code
+     */
+    getBalanceSummary() {
+      return {
+        code: this.getMaskedCode(),
+        currency: this.currency,
+        balance: parseFloat(this.balance),
+        status: this.isExpired() ? 'expired' : this.status,
+        expires_at: this.expires_at
+      };
+    }
+
+    /**
+     * Get gift card summary for staff
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        currency: this.currency,
+        initial_balance: parseFloat(this.initial_balance),
+        balance: parseFloat(this.balance),
+        status: this.status,
+        expired: this.isExpired(),
+        expires_at: this.expires_at,
+        recipient_email: this.recipient_email,
+        note: this.note,
+        issued_by: this.issued_by,
+        purchase_order_id: this.purchase_order_id,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  GiftCard.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // XXXX-XXXX-XXXX-XXXX
+    code: {
+      type: DataTypes.STRING(19),
+      allowNull: false,
+      unique: true
+    },
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    initial_balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0.01
+      }
+    },
+    // Only changed together with a ledger entry
+    balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('active', 'disabled'),
+      allowNull: false,
+      defaultValue: 'active',
+      validate: {
+        isIn: [['active', 'disabled']]
+      }
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    recipient_email: {
+      type: DataTypes.STRING(120),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    issued_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    purchase_order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'GiftCard',
+    tableName: 'gift_cards',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['code']
+      },
+      {
+        fields: ['purchase_order_id']
+      }
+    ]
+  });
+
+  return GiftCard;
+};
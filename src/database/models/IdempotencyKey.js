@@ -0,0 +1,95 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class IdempotencyKey extends Model {
+    /**
+     * Check if the stored entry has passed its TTL
+     */
+    isExpired() {
+      return new Date() > this.expires_at;
+    }
+
+    /**
+     * Check if the original request finished and its response can be replayed
+     */
+    isCompleted() {
+      return this.status === 'completed';
+    }
+
+    /**
+     * Check if an in-progress entry has been held longer than the lock timeout
+     * (the original request most likely crashed before storing a response)
+     */
+    isStale(lockTimeoutMs) {
+      return this.status === 'in_progress' &&
+        Date.now() - new Date(this.updated_at).getTime() > lockTimeoutMs;
+    }
+  }
+
+  IdempotencyKey.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    idempotency_key: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 255]
+      }
+    },
+    scope: {
+      type: DataTypes.STRING(255),
+      allowNull: false
+    },
+    fingerprint: {
+      type: DataTypes.CHAR(64),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('in_progress', 'completed'),
+      allowNull: false,
+      defaultValue: 'in_progress',
+      validate: {
+        isIn: [['in_progress', 'completed']]
+      }
+    },
+    response_status: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    response_body: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    request_id: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'IdempotencyKey',
+    tableName: 'idempotency_keys',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['scope', 'idempotency_key'],
+        name: 'idempotency_keys_scope_key_unique'
+      },
+      {
+        fields: ['expires_at']
+      }
+    ]
+  });
+
+  return IdempotencyKey;
+};
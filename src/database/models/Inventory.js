@@ -80,7 +80,7 @@ module.exports = (sequelize, DataTypes) => {
     /**
      * Update stock quantity and log the change
      */
-    async updateStock(delta, reason = 'manual_adjust', note = null, userId = null) {
+    async updateStock(delta, reason = 'manual_adjust', note = null, userId = null, options = {}) {
       const oldQuantity = this.quantity;
       const newQuantity = oldQuantity + delta;
 
@@ -92,7 +92,7 @@ module.exports = (sequelize, DataTypes) => {
       await this.update({
         quantity: newQuantity,
         in_stock: newQuantity > 0
-      });
+      }, options);
 
       // Log the change in stock ledger
       await sequelize.models.StockLedger.create({
@@ -101,7 +101,7 @@ module.exports = (sequelize, DataTypes) => {
         reason,
         note,
         created_by: userId
-      });
+      }, options);
 
       return this;
     }
@@ -127,12 +127,13 @@ module.exports = (sequelize, DataTypes) => {
     /**
      * Release reserved stock
      */
-    async releaseStock(quantity, orderId, userId = null) {
+    async releaseStock(quantity, orderId, userId = null, options = {}) {
       await this.updateStock(
         quantity,
         'order_release',
         `Released from order ${orderId}`,
-        userId
+        userId,
+        options
       );
 
       return this;
@@ -141,12 +142,12 @@ module.exports = (sequelize, DataTypes) => {
     /**
      * Add stock (restock)
      */
-    async addStock(quantity, reason = 'manual_adjust', note = null, userId = null) {
+    async addStock(quantity, reason = 'manual_adjust', note = null, userId = null, options = {}) {
       if (quantity <= 0) {
         throw new Error('Stock quantity must be positive');
       }
 
-      await this.updateStock(quantity, reason, note, userId);
+      await this.updateStock(quantity, reason, note, userId, options);
       return this;
     }
 
@@ -69,22 +69,22 @@ module.exports = (sequelize, DataTypes) => {
     /**
      * Mark reservation as released
      */
-    async markAsReleased(reason = 'expired') {
+    async markAsReleased(reason = 'expired', options = {}) {
       await this.update({
         status: 'released',
         released_at: new Date(),
         release_reason: reason
-      });
+      }, options);
     }
 
     /**
      * Mark reservation as confirmed (order placed)
      */
-    async markAsConfirmed() {
+    async markAsConfirmed(options = {}) {
       await this.update({
         status: 'confirmed',
         confirmed_at: new Date()
-      });
+      }, options);
     }
 
     /**
@@ -0,0 +1,202 @@
+'use strict';
+const { Model } = require('sequelize');
+const { roundAmount } = require('../../config/currencies');
+
+// Everything except the stored PDF location is fixed once the invoice is issued
+const MUTABLE_FIELDS = ['storage_key', 'updated_at'];
+
+module.exports = (sequelize, DataTypes) => {
+  class Invoice extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      Invoice.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with credit notes raised against the invoice
+      Invoice.hasMany(models.CreditNote, {
+        as: 'creditNotes',
+        foreignKey: 'invoice_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Format a sequence value as an invoice number, e.g. INV-00000042
+     */
+    static formatNumber(value) {
+      return `INV-${String(value).padStart(8, '0')}`;
+    }
+
+    /**
+     * Get invoice summary for listings
+     */
+    getSummary() {
+      return {
+        invoice_number: this.invoice_number,
+        order_number: this.order ? this.order.order_number : undefined,
+        currency: this.currency,
+        grand_total: parseFloat(this.grand_total),
+        issued_at: this.issued_at
+      };
+    }
+
+    /**
+     * Get the goods total after discounts, without and with tax; shipping carries no tax
+     */
+    getGoodsTotals() {
+      const grossTotal = roundAmount(parseFloat(this.grand_total) - parseFloat(this.shipping_total), this.currency);
+      return {
+        net_total: roundAmount(grossTotal - parseFloat(this.tax_total), this.currency),
+        gross_total: grossTotal
+      };
+    }
+
+    /**
+     * Get full invoice details
+     */
+    getDetails() {
+      return {
+        ...this.getSummary(),
+        seller: this.seller,
+        buyer: this.buyer,
+        lines: this.lines,
+        totals: {
+          prices_include_tax: this.prices_include_tax,
+          subtotal: parseFloat(this.subtotal),
+          discount_total: parseFloat(this.discount_total),
+          ...this.getGoodsTotals(),
+          tax_total: parseFloat(this.tax_total),
+          shipping_total: parseFloat(this.shipping_total),
+          grand_total: parseFloat(this.grand_total)
+        },
+        tax_breakdown: this.tax_breakdown,
+        credit_notes: (this.creditNotes || []).map(creditNote => creditNote.getSummary())
+      };
+    }
+  }
+
+  Invoice.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    invoice_number: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    currency: {
+      type: DataTypes.STRING(3),
+      allowNull: false,
+      validate: {
+        len: [3, 3]
+      }
+    },
+    // Prices were gross, so tax_total is included in subtotal rather than added on top
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    seller: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    buyer: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    lines: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    discount_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    shipping_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00
+    },
+    grand_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false
+    },
+    tax_breakdown: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    storage_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    issued_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Invoice',
+    tableName: 'invoices',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['invoice_number']
+      },
+      {
+        unique: true,
+        fields: ['order_id']
+      },
+      {
+        fields: ['issued_at']
+      }
+    ],
+    hooks: {
+      beforeUpdate: async (invoice) => {
+        // Issued invoices are legal records
+        const changedFields = (invoice.changed() || []).filter(field => !MUTABLE_FIELDS.includes(field));
+        if (changedFields.length > 0) {
+          throw new Error(`Invoice fields are immutable: ${changedFields.join(', ')}`);
+        }
+      },
+      beforeDestroy: async () => {
+        throw new Error('Invoices cannot be deleted');
+      }
+    }
+  });
+
+  return Invoice;
+};
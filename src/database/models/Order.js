@@ -0,0 +1,482 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES, roundAmount } = require('../../config/currencies');
+const crypto = require('crypto');
+
+// Fields captured when the order is placed; they must never change afterwards
+const SNAPSHOT_FIELDS = [
+  'order_number',
+  'user_id',
+  'guest_email',
+  'checkout_id',
+  'currency',
+  'prices_include_tax',
+  'subtotal',
+  'discount_total',
+  'tax_total',
+  'shipping_total',
+  'grand_total',
+  'tender_total',
+  'shipping_method',
+  'shipping_carrier',
+  'shipping_address',
+  'billing_address',
+  'tax_breakdown',
+  'placed_at'
+];
+
+// Unambiguous characters for order numbers (no 0/O, 1/I/L)
+const ORDER_NUMBER_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+const ORDER_STATUSES = ['placed', 'paid', 'picking', 'packed', 'shipped', 'delivered', 'cancelled', 'returned'];
+
+// Allowed lifecycle moves; cancelled and returned are final
+const ORDER_TRANSITIONS = {
+  placed: ['paid', 'cancelled'],
+  paid: ['picking', 'cancelled'],
+  picking: ['packed', 'cancelled'],
+  packed: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+module.exports = (sequelize, DataTypes) => {
+  class Order extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with user
+      Order.belongsTo(models.User, {
+        as: 'user',
+        foreignKey: 'user_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with checkout
+      Order.belongsTo(models.Checkout, {
+        as: 'checkout',
+        foreignKey: 'checkout_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with cart
+      Order.belongsTo(models.Cart, {
+        as: 'cart',
+        foreignKey: 'cart_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with order items
+      Order.hasMany(models.OrderItem, {
+        as: 'items',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with payments
+      Order.hasMany(models.Payment, {
+        as: 'payments',
+        foreignKey: 'order_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with status history
+      Order.hasMany(models.OrderStatusHistory, {
+        as: 'history',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with shipments
+      Order.hasMany(models.Shipment, {
+        as: 'shipments',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with return requests
+      Order.hasMany(models.ReturnRequest, {
+        as: 'returns',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the invoice issued once the order is paid
+      Order.hasOne(models.Invoice, {
+        as: 'invoice',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with credit notes issued for refunds
+      Order.hasMany(models.CreditNote, {
+        as: 'creditNotes',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with customer emails queued for the order
+      Order.hasMany(models.OrderEmail, {
+        as: 'emails',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Generate a human-readable order number, e.g. GM-241224-7K3QX9
+     */
+    static generateOrderNumber(date = new Date()) {
+      const datePart = date.toISOString().slice(2, 10).replace(/-/g, '');
+      const bytes = crypto.randomBytes(6);
+      let randomPart = '';
+      for (const byte of bytes) {
+        randomPart += ORDER_NUMBER_ALPHABET[byte % ORDER_NUMBER_ALPHABET.length];
+      }
+      return `GM-${datePart}-${randomPart}`;
+    }
+
+    /**
+     * Get the statuses the order can move to next
+     */
+    getAllowedTransitions() {
+      return ORDER_TRANSITIONS[this.status] || [];
+    }
+
+    /**
+     * Check if the order can move to the given status
+     */
+    canTransitionTo(status) {
+      return this.getAllowedTransitions().includes(status);
+    }
+
+    /**
+     * Move the order to a new status and record the change in its history
+     */
+    async transitionTo(status, actorUserId = null, note = null, options = {}) {
+      if (!this.canTransitionTo(status)) {
+        throw new Error(`Order cannot move from ${this.status} to ${status}`);
+      }
+
+      const fromStatus = this.status;
+      await this.update({ status }, options);
+
+      await sequelize.models.OrderStatusHistory.create({
+        order_id: this.id,
+        from_status: fromStatus,
+        to_status: status,
+        actor_user_id: actorUserId,
+        note
+      }, options);
+
+      return this;
+    }
+
+    /**
+     * Record an event that does not change the status (e.g. a partial cancellation) in the history
+     */
+    async addHistoryNote(note, actorUserId = null, options = {}) {
+      return sequelize.models.OrderStatusHistory.create({
+        order_id: this.id,
+        from_status: this.status,
+        to_status: this.status,
+        actor_user_id: actorUserId,
+        note
+      }, options);
+    }
+
+    /**
+     * Check if order belongs to the given user
+     */
+    isOwnedBy(userId) {
+      return this.user_id !== null && String(this.user_id) === String(userId);
+    }
+
+    /**
+     * Check if the order was placed without an account
+     */
+    isGuestOrder() {
+      return this.user_id === null;
+    }
+
+    /**
+     * Get total number of units in the order
+     */
+    getTotalItems() {
+      if (!this.items) {
+        return 0;
+      }
+      return this.items.reduce((total, item) => total + item.qty, 0);
+    }
+
+    /**
+     * Get order summary for listings
+     */
+    getSummary() {
+      return {
+        order_number: this.order_number,
+        status: this.status,
+        currency: this.currency,
+        grand_total: parseFloat(this.grand_total),
+        item_count: this.getTotalItems(),
+        placed_at: this.placed_at
+      };
+    }
+
+    /**
+     * Get the goods total after discounts, without and with tax; shipping carries no tax
+     */
+    getGoodsTotals() {
+      const grossTotal = roundAmount(parseFloat(this.grand_total) - parseFloat(this.shipping_total), this.currency);
+      return {
+        net_total: roundAmount(grossTotal - parseFloat(this.tax_total), this.currency),
+        gross_total: grossTotal
+      };
+    }
+
+    /**
+     * Get full order details for the owning customer
+     */
+    getDetails() {
+      return {
+        order_number: this.order_number,
+        status: this.status,
+        currency: this.currency,
+        placed_at: this.placed_at,
+        shipping_method: this.shipping_method,
+        shipping_carrier: this.shipping_carrier,
+        totals: {
+          prices_include_tax: this.prices_include_tax,
+          subtotal: parseFloat(this.subtotal),
+          discount_total: parseFloat(this.discount_total),
+          ...this.getGoodsTotals(),
+          tax_total: parseFloat(this.tax_total),
+          shipping_total: parseFloat(this.shipping_total),
+          grand_total: parseFloat(this.grand_total),
+          tender_total: parseFloat(this.tender_total)
+        },
+        addresses: {
+          shipping: this.shipping_address,
+          billing: this.billing_address
+        },
+        tax_breakdown: this.tax_breakdown,
+        items: (this.items || []).map(item => item.getSummary()),
+        timeline: (this.history || []).map(entry => entry.getTimelineEntry(this.user_id)),
+        shipments: (this.shipments || []).map(shipment => shipment.getSummary())
+      };
+    }
+  }
+
+  Order.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_number: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    guest_email: {
+      type: DataTypes.STRING(120),
+      allowNull: true,
+      validate: {
+        isEmail: true
+      }
+    },
+    checkout_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      unique: true,
+      references: {
+        model: 'checkouts',
+        key: 'id'
+      }
+    },
+    cart_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'carts',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(...ORDER_STATUSES),
+      allowNull: false,
+      defaultValue: 'placed',
+      validate: {
+        isIn: [ORDER_STATUSES]
+      }
+    },
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      defaultValue: 'INR',
+      validate: {
+        len: [3, 3],
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    // Prices were gross, so tax_total is included in subtotal rather than added on top
+    prices_include_tax: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    discount_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    tax_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    shipping_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    grand_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    // Paid with gift cards and store credit rather than through the payment provider
+    tender_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    shipping_method: {
+      type: DataTypes.STRING(64),
+      allowNull: false
+    },
+    // Carrier whose quote priced the shipping at checkout; null for table rates
+    shipping_carrier: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    shipping_address: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    billing_address: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    tax_breakdown: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    placed_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    }
+  }, {
+    sequelize,
+    modelName: 'Order',
+    tableName: 'orders',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['order_number']
+      },
+      {
+        unique: true,
+        fields: ['checkout_id']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        fields: ['guest_email']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['placed_at']
+      },
+      {
+        fields: ['user_id', 'placed_at']
+      }
+    ],
+    hooks: {
+      beforeValidate: async (order) => {
+        // Generate order number if not provided
+        if (!order.order_number) {
+          order.order_number = Order.generateOrderNumber();
+        }
+
+        if (!order.placed_at) {
+          order.placed_at = new Date();
+        }
+      },
+      beforeUpdate: async (order) => {
+        // Orders are immutable snapshots once placed; the only exception is attaching a guest order to an account
+        const changedSnapshotFields = SNAPSHOT_FIELDS.filter(field => order.changed(field))
+          .filter(field => !(field === 'user_id' && order.previous('user_id') === null));
+        if (changedSnapshotFields.length > 0) {
+          throw new Error(`Order fields are immutable: ${changedSnapshotFields.join(', ')}`);
+        }
+      }
+    }
+  });
+
+  return Order;
+};
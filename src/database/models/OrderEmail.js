@@ -0,0 +1,161 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Give up on an email after this many failed sends
+const MAX_ATTEMPTS = 8;
+
+module.exports = (sequelize, DataTypes) => {
+  class OrderEmail extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      OrderEmail.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Record a successful send
+     * @param {Object} options - Sequelize options
+     */
+    async markAsSent(options = {}) {
+      return this.update({
+        status: 'sent',
+        last_error: null,
+        sent_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Record a failed send (attempts already counts it); retried with exponential backoff
+     * (1, 2, 4 ... minutes, at most an hour apart) until MAX_ATTEMPTS is reached
+     * @param {string} errorMessage - Why the send failed
+     * @param {Object} options - Sequelize options
+     */
+    async markAsFailed(errorMessage, options = {}) {
+      const delayMinutes = Math.min(2 ** (this.attempts - 1), 60);
+
+      return this.update({
+        status: this.attempts >= MAX_ATTEMPTS ? 'failed' : 'pending',
+        last_error: String(errorMessage).substring(0, 500),
+        next_attempt_at: new Date(Date.now() + delayMinutes * 60 * 1000)
+      }, options);
+    }
+
+    /**
+     * Get email summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        order_id: this.order_id,
+        type: this.type,
+        reference: this.reference,
+        recipient: this.recipient,
+        status: this.status,
+        attempts: this.attempts,
+        last_error: this.last_error,
+        next_attempt_at: this.next_attempt_at,
+        sent_at: this.sent_at,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  OrderEmail.MAX_ATTEMPTS = MAX_ATTEMPTS;
+
+  OrderEmail.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    type: {
+      type: DataTypes.ENUM('order_confirmation', 'order_shipped', 'order_cancelled', 'refund_issued', 'gift_cards_issued'),
+      allowNull: false,
+      validate: {
+        isIn: [['order_confirmation', 'order_shipped', 'order_cancelled', 'refund_issued', 'gift_cards_issued']]
+      }
+    },
+    reference: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    recipient: {
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      validate: {
+        isEmail: true
+      }
+    },
+    payload: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'sent', 'failed'),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [['pending', 'sent', 'failed']]
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    next_attempt_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    sent_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderEmail',
+    tableName: 'order_emails',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['order_id', 'type', 'reference'],
+        name: 'order_emails_order_type_reference_unique'
+      },
+      {
+        fields: ['status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  return OrderEmail;
+};
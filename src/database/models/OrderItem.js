@@ -0,0 +1,234 @@
+'use strict';
+const { Model } = require('sequelize');
+
+// Fields captured when the order is placed; they must never change afterwards
+const SNAPSHOT_FIELDS = [
+  'order_id',
+  'sku',
+  'title',
+  'qty',
+  'unit_price',
+  'line_subtotal',
+  'line_discount',
+  'tax_class_id',
+  'tax_rate',
+  'line_tax',
+  'line_total'
+];
+
+module.exports = (sequelize, DataTypes) => {
+  class OrderItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      OrderItem.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with product
+      OrderItem.belongsTo(models.Product, {
+        as: 'product',
+        foreignKey: 'product_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with shipped quantities
+      OrderItem.hasMany(models.ShipmentItem, {
+        as: 'shipmentItems',
+        foreignKey: 'order_item_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with returned quantities
+      OrderItem.hasMany(models.ReturnItem, {
+        as: 'returnItems',
+        foreignKey: 'order_item_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get the units still to be fulfilled (ordered minus cancelled)
+     */
+    getActiveQuantity() {
+      return this.qty - (this.cancelled_qty || 0);
+    }
+
+    /**
+     * Get order line summary for display
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        product_id: this.product_id,
+        sku: this.sku,
+        title: this.title,
+        quantity: this.qty,
+        cancelled_quantity: this.cancelled_qty || 0,
+        unit_price: parseFloat(this.unit_price),
+        line_subtotal: parseFloat(this.line_subtotal),
+        line_discount: parseFloat(this.line_discount),
+        tax_class_id: this.tax_class_id,
+        tax_rate: parseFloat(this.tax_rate),
+        line_tax: parseFloat(this.line_tax),
+        line_net_total: Math.round((parseFloat(this.line_total) - parseFloat(this.line_tax)) * 100) / 100,
+        line_total: parseFloat(this.line_total)
+      };
+    }
+  }
+
+  OrderItem.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    product_id: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      references: {
+        model: 'products',
+        key: 'id'
+      }
+    },
+    sku: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 64]
+      }
+    },
+    title: {
+      type: DataTypes.STRING(220),
+      allowNull: false,
+      validate: {
+        notEmpty: true,
+        len: [1, 220]
+      }
+    },
+    qty: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    cancelled_qty: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0,
+        notAboveOrdered(value) {
+          if (value > this.qty) {
+            throw new Error('Cannot cancel more units than were ordered');
+          }
+        }
+      }
+    },
+    unit_price: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    line_subtotal: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    line_discount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    // Class the line was taxed under; null for the standard rate
+    tax_class_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      }
+    },
+    tax_rate: {
+      type: DataTypes.DECIMAL(7, 5),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    line_tax: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    line_total: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderItem',
+    tableName: 'order_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['product_id']
+      },
+      {
+        fields: ['sku']
+      }
+    ],
+    hooks: {
+      beforeUpdate: async (orderItem) => {
+        // Order lines are immutable snapshots once placed
+        const changedSnapshotFields = SNAPSHOT_FIELDS.filter(field => orderItem.changed(field));
+        if (changedSnapshotFields.length > 0) {
+          throw new Error(`Order item fields are immutable: ${changedSnapshotFields.join(', ')}`);
+        }
+      },
+      beforeDestroy: async () => {
+        throw new Error('Order items are immutable');
+      }
+    }
+  });
+
+  return OrderItem;
+};
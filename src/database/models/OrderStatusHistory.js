@@ -0,0 +1,130 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class OrderStatusHistory extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      OrderStatusHistory.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the user who made the change (null for system changes)
+      OrderStatusHistory.belongsTo(models.User, {
+        as: 'actor',
+        foreignKey: 'actor_user_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Describe who made the change relative to the order's customer
+     */
+    getActorType(customerUserId) {
+      if (this.actor_user_id === null) {
+        return 'system';
+      }
+      return String(this.actor_user_id) === String(customerUserId) ? 'customer' : 'staff';
+    }
+
+    /**
+     * Get timeline entry for the customer (staff identities are not exposed)
+     */
+    getTimelineEntry(customerUserId) {
+      return {
+        status: this.to_status,
+        from_status: this.from_status,
+        actor: this.getActorType(customerUserId),
+        note: this.note,
+        at: this.created_at
+      };
+    }
+
+    /**
+     * Get full history entry for staff
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        from_status: this.from_status,
+        to_status: this.to_status,
+        actor_user_id: this.actor_user_id,
+        note: this.note,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  OrderStatusHistory.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    from_status: {
+      type: DataTypes.STRING(32),
+      allowNull: true
+    },
+    to_status: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    actor_user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    note: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'OrderStatusHistory',
+    tableName: 'order_status_history',
+    timestamps: true,
+    underscored: true,
+    updatedAt: false, // History entries are append-only
+    indexes: [
+      {
+        fields: ['order_id', 'created_at']
+      },
+      {
+        fields: ['actor_user_id']
+      }
+    ],
+    hooks: {
+      beforeUpdate: async () => {
+        throw new Error('Order history entries are immutable');
+      },
+      beforeDestroy: async () => {
+        throw new Error('Order history entries cannot be deleted');
+      }
+    }
+  });
+
+  return OrderStatusHistory;
+};
@@ -0,0 +1,321 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+module.exports = (sequelize, DataTypes) => {
+  class Payment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with checkout
+      Payment.belongsTo(models.Checkout, {
+        as: 'checkout',
+        foreignKey: 'checkout_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with order (set once the order is placed)
+      Payment.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with provider webhook events
+      Payment.hasMany(models.PaymentWebhookEvent, {
+        as: 'webhookEvents',
+        foreignKey: 'payment_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if payment is still being processed or has succeeded
+     */
+    isInFlight() {
+      return ['pending', 'authorized', 'captured'].includes(this.status);
+    }
+
+    /**
+     * Check if the authorization can be captured
+     */
+    canCapture() {
+      return this.status === 'authorized';
+    }
+
+    /**
+     * Check if the authorization can be voided
+     */
+    canVoid() {
+      return this.status === 'authorized';
+    }
+
+    /**
+     * Get amount that can still be refunded
+     */
+    getRefundableAmount() {
+      const refundable = parseFloat(this.amount_captured) - parseFloat(this.amount_refunded);
+      return Math.max(0, Math.round(refundable * 100) / 100);
+    }
+
+    /**
+     * Check if the payment can be refunded
+     */
+    canRefund() {
+      return ['captured', 'partially_refunded'].includes(this.status) && this.getRefundableAmount() > 0;
+    }
+
+    /**
+     * Mark payment as authorized by the provider
+     */
+    async markAsAuthorized(providerPaymentId, meta = null, options = {}) {
+      await this.update({
+        status: 'authorized',
+        provider_payment_id: providerPaymentId,
+        meta: meta || this.meta,
+        authorized_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Mark payment as captured
+     */
+    async markAsCaptured(amount, options = {}) {
+      await this.update({
+        status: 'captured',
+        amount_captured: amount,
+        captured_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Mark payment authorization as voided
+     */
+    async markAsVoided(options = {}) {
+      await this.update({
+        status: 'voided',
+        voided_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Check if a provider refund has already been recorded
+     */
+    hasRefund(providerReference) {
+      const refunds = (this.meta && this.meta.refunds) || [];
+      return refunds.some(refund => refund.provider_reference === providerReference);
+    }
+
+    /**
+     * Record a refund against the captured amount
+     */
+    async recordRefund(amount, providerReference = null, options = {}) {
+      const amountRefunded = Math.round((parseFloat(this.amount_refunded) + amount) * 100) / 100;
+      const fullyRefunded = amountRefunded >= parseFloat(this.amount_captured);
+      const refunds = ((this.meta && this.meta.refunds) || []).concat({
+        provider_reference: providerReference,
+        amount,
+        refunded_at: new Date().toISOString()
+      });
+
+      await this.update({
+        status: fullyRefunded ? 'refunded' : 'partially_refunded',
+        amount_refunded: amountRefunded,
+        meta: { ...this.meta, refunds },
+        refunded_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Mark payment as failed
+     */
+    async markAsFailed(failureCode, failureMessage, options = {}) {
+      await this.update({
+        status: 'failed',
+        failure_code: failureCode,
+        failure_message: failureMessage,
+        failed_at: new Date()
+      }, options);
+    }
+
+    /**
+     * Get payment summary for display
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        provider: this.provider,
+        method: this.method,
+        status: this.status,
+        amount: parseFloat(this.amount),
+        currency: this.currency,
+        amount_captured: parseFloat(this.amount_captured),
+        amount_refunded: parseFloat(this.amount_refunded),
+        failure_code: this.failure_code,
+        failure_message: this.failure_message,
+        instrument: this.meta ? this.meta.instrument : null,
+        authorized_at: this.authorized_at,
+        captured_at: this.captured_at
+      };
+    }
+  }
+
+  Payment.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    checkout_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'checkouts',
+        key: 'id'
+      }
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    method: {
+      type: DataTypes.ENUM('card', 'upi', 'netbanking', 'wallet'),
+      allowNull: false,
+      validate: {
+        isIn: [['card', 'upi', 'netbanking', 'wallet']]
+      }
+    },
+    status: {
+      type: DataTypes.ENUM(
+        'pending',
+        'authorized',
+        'captured',
+        'partially_refunded',
+        'refunded',
+        'voided',
+        'failed'
+      ),
+      allowNull: false,
+      defaultValue: 'pending',
+      validate: {
+        isIn: [[
+          'pending',
+          'authorized',
+          'captured',
+          'partially_refunded',
+          'refunded',
+          'voided',
+          'failed'
+        ]]
+      }
+    },
+    amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      validate: {
+        len: [3, 3],
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    amount_captured: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    amount_refunded: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    provider_payment_id: {
+      type: DataTypes.STRING(128),
+      allowNull: true
+    },
+    failure_code: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    failure_message: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    meta: {
+      type: DataTypes.JSON,
+      allowNull: true
+    },
+    authorized_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    captured_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    voided_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refunded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    failed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'Payment',
+    tableName: 'payments',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['checkout_id']
+      },
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        unique: true,
+        fields: ['provider', 'provider_payment_id'],
+        name: 'payments_provider_payment_id_unique'
+      }
+    ]
+  });
+
+  return Payment;
+};
@@ -0,0 +1,156 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PaymentWebhookEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with payment (resolved when the event is processed)
+      PaymentWebhookEvent.belongsTo(models.Payment, {
+        as: 'payment',
+        foreignKey: 'payment_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the event has been fully handled and must not be applied again
+     */
+    isSettled() {
+      return ['processed', 'ignored'].includes(this.status);
+    }
+
+    /**
+     * Get parsed event payload
+     */
+    getPayload() {
+      try {
+        return JSON.parse(this.raw_body);
+      } catch (error) {
+        return null;
+      }
+    }
+
+    /**
+     * Get event summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        provider: this.provider,
+        event_id: this.event_id,
+        event_type: this.event_type,
+        provider_payment_id: this.provider_payment_id,
+        payment_id: this.payment_id,
+        status: this.status,
+        attempts: this.attempts,
+        last_error: this.last_error,
+        occurred_at: this.occurred_at,
+        processed_at: this.processed_at,
+        received_at: this.created_at
+      };
+    }
+  }
+
+  PaymentWebhookEvent.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    provider: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    event_id: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    event_type: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    provider_payment_id: {
+      type: DataTypes.STRING(128),
+      allowNull: true
+    },
+    payment_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    raw_body: {
+      type: DataTypes.TEXT('medium'),
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.ENUM('received', 'processed', 'ignored', 'deferred', 'failed'),
+      allowNull: false,
+      defaultValue: 'received',
+      validate: {
+        isIn: [['received', 'processed', 'ignored', 'deferred', 'failed']]
+      }
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    last_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    occurred_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    processed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'PaymentWebhookEvent',
+    tableName: 'payment_webhook_events',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['provider', 'event_id'],
+        name: 'payment_webhook_events_provider_event_id_unique'
+      },
+      {
+        fields: ['provider', 'provider_payment_id']
+      },
+      {
+        fields: ['payment_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return PaymentWebhookEvent;
+};
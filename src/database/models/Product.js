@@ -1,5 +1,6 @@
 'use strict';
 const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
 
 module.exports = (sequelize, DataTypes) => {
   class Product extends Model {
@@ -17,6 +18,14 @@ module.exports = (sequelize, DataTypes) => {
         onUpdate: 'CASCADE'
       });
 
+      // Association with the tax class; when unset the category's applies
+      Product.belongsTo(models.TaxClass, {
+        as: 'taxClass',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
       // Association with product images
       Product.hasMany(models.ProductImage, {
         as: 'images',
@@ -191,6 +200,15 @@ module.exports = (sequelize, DataTypes) => {
         notNull: true
       }
     },
+    // Overrides the category's tax class; null to use the category's
+    tax_class_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      }
+    },
     price: {
       type: DataTypes.DECIMAL(12, 2),
       allowNull: false,
@@ -205,7 +223,37 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 'USD',
       validate: {
         len: [3, 3],
-        isIn: [['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD']]
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    // Shipping weight of one unit in kg; unknown weights count as 0.1 kg
+    weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    // Outer dimensions of one unit in its retail packaging, in cm; null when unknown
+    length: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    width: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    height: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: true,
+      validate: {
+        min: 0
       }
     },
     status: {
@@ -216,6 +264,12 @@ module.exports = (sequelize, DataTypes) => {
         isIn: [['draft', 'published', 'archived']]
       }
     },
+    // Paying for one issues a gift card worth its unit price
+    is_gift_card: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
     sustainability_badges: {
       type: DataTypes.JSON,
       allowNull: true,
@@ -0,0 +1,238 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+/**
+ * Validate that a JSON column holds a list of positive integer IDs
+ */
+const isIdList = (label) => (value) => {
+  if (value === null || value === undefined) {
+    return;
+  }
+  if (!Array.isArray(value) || value.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new Error(`${label} must be an array of IDs`);
+  }
+};
+
+const isPercent = (value) => typeof value === 'number' && value > 0 && value <= 100;
+
+module.exports = (sequelize, DataTypes) => {
+  class Promotion extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with creator
+      Promotion.belongsTo(models.User, {
+        as: 'creator',
+        foreignKey: 'created_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the promotion is running at a point in time
+     * @param {Date} now - Point in time
+     */
+    isRunning(now = new Date()) {
+      if (!this.is_active) {
+        return false;
+      }
+      if (this.starts_at && now < new Date(this.starts_at)) {
+        return false;
+      }
+      return !(this.ends_at && now > new Date(this.ends_at));
+    }
+
+    /**
+     * Check if a cart line falls within the promotion's product or category scope
+     * Bundles name their SKUs in the rules instead.
+     * @param {CartItem} item - Cart item with its product loaded
+     */
+    appliesToItem(item) {
+      if (this.type === 'bundle_price') {
+        return this.rules.items.some(component => component.sku === item.sku);
+      }
+      if (this.applies_to === 'products') {
+        return (this.product_ids || []).includes(Number(item.product_id));
+      }
+      if (this.applies_to === 'categories') {
+        return !!item.product && (this.category_ids || []).includes(Number(item.product.category_id));
+      }
+      return true;
+    }
+
+    /**
+     * Get promotion summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        name: this.name,
+        description: this.description,
+        type: this.type,
+        rules: this.rules,
+        currency: this.currency,
+        applies_to: this.applies_to,
+        category_ids: this.category_ids,
+        product_ids: this.product_ids,
+        priority: this.priority,
+        exclusive: this.exclusive,
+        starts_at: this.starts_at,
+        ends_at: this.ends_at,
+        is_active: this.is_active,
+        created_at: this.created_at
+      };
+    }
+  }
+
+  Promotion.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [2, 120]
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    type: {
+      type: DataTypes.ENUM('buy_x_get_y', 'tiered_spend', 'bundle_price'),
+      allowNull: false,
+      validate: {
+        isIn: [['buy_x_get_y', 'tiered_spend', 'bundle_price']]
+      }
+    },
+    // buy_x_get_y: { buy_qty, get_qty, percent_off }
+    // tiered_spend: { tiers: [{ min_subtotal, percent_off }] }
+    // bundle_price: { items: [{ sku, qty }], price }
+    rules: {
+      type: DataTypes.JSON,
+      allowNull: false
+    },
+    // Currency of tier thresholds and bundle prices; converted to the cart currency when they are applied
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: true,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    applies_to: {
+      type: DataTypes.ENUM('all', 'categories', 'products'),
+      allowNull: false,
+      defaultValue: 'all',
+      validate: {
+        isIn: [['all', 'categories', 'products']]
+      }
+    },
+    category_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isIdList: isIdList('Category IDs')
+      }
+    },
+    product_ids: {
+      type: DataTypes.JSON,
+      allowNull: true,
+      validate: {
+        isIdList: isIdList('Product IDs')
+      }
+    },
+    // Lower numbers are evaluated first; ties go to the older promotion
+    priority: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 100
+    },
+    // Lines discounted by an exclusive promotion get no further promotion or coupon discount
+    exclusive: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Promotion',
+    tableName: 'promotions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['is_active', 'priority', 'id']
+      }
+    ],
+    validate: {
+      rulesMatchType() {
+        const rules = this.rules || {};
+
+        if (this.type === 'buy_x_get_y') {
+          if (!Number.isInteger(rules.buy_qty) || rules.buy_qty < 1 ||
+              !Number.isInteger(rules.get_qty) || rules.get_qty < 1 ||
+              !isPercent(rules.percent_off)) {
+            throw new Error('Buy X get Y rules need buy_qty, get_qty and percent_off');
+          }
+        }
+
+        if (this.type === 'tiered_spend') {
+          if (!Array.isArray(rules.tiers) || rules.tiers.length === 0 ||
+              rules.tiers.some(tier => typeof tier.min_subtotal !== 'number' || tier.min_subtotal < 0 || !isPercent(tier.percent_off))) {
+            throw new Error('Tiered spend rules need tiers with min_subtotal and percent_off');
+          }
+        }
+
+        if (this.type === 'bundle_price') {
+          if (!Array.isArray(rules.items) || rules.items.length === 0 ||
+              rules.items.some(component => !component.sku || !Number.isInteger(component.qty) || component.qty < 1) ||
+              typeof rules.price !== 'number' || rules.price <= 0) {
+            throw new Error('Bundle rules need items with sku and qty, and a price');
+          }
+        }
+      },
+      amountsHaveCurrency() {
+        if ((this.type === 'tiered_spend' || this.type === 'bundle_price') && !this.currency) {
+          throw new Error('Tier thresholds and bundle prices need a currency');
+        }
+      },
+      windowInOrder() {
+        if (this.starts_at && this.ends_at && new Date(this.ends_at) <= new Date(this.starts_at)) {
+          throw new Error('Promotion must end after it starts');
+        }
+      }
+    }
+  });
+
+  return Promotion;
+};
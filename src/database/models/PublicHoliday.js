@@ -0,0 +1,70 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class PublicHoliday extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the calendar the holiday belongs to
+      PublicHoliday.belongsTo(models.BusinessCalendar, {
+        as: 'calendar',
+        foreignKey: 'calendar_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get holiday summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        date: this.date,
+        name: this.name
+      };
+    }
+  }
+
+  PublicHoliday.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    calendar_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    date: {
+      type: DataTypes.DATEONLY,
+      allowNull: false
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'PublicHoliday',
+    tableName: 'public_holidays',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['calendar_id', 'date'],
+        name: 'public_holidays_calendar_date_unique'
+      }
+    ]
+  });
+
+  return PublicHoliday;
+};
@@ -0,0 +1,133 @@
+'use strict';
+const { Model } = require('sequelize');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+const ITEM_CONDITIONS = ['unopened', 'good', 'damaged', 'unusable'];
+
+// Conditions in which a returned item can be sold again
+const RESTOCKABLE_CONDITIONS = ['unopened', 'good'];
+
+module.exports = (sequelize, DataTypes) => {
+  class ReturnItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with return request
+      ReturnItem.belongsTo(models.ReturnRequest, {
+        as: 'returnRequest',
+        foreignKey: 'return_request_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the order line being returned
+      ReturnItem.belongsTo(models.OrderItem, {
+        as: 'orderItem',
+        foreignKey: 'order_item_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the received item can go back into stock
+     */
+    isRestockable() {
+      return RESTOCKABLE_CONDITIONS.includes(this.condition);
+    }
+
+    /**
+     * Get returned line summary for display
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        order_item_id: this.order_item_id,
+        sku: this.orderItem ? this.orderItem.sku : undefined,
+        title: this.orderItem ? this.orderItem.title : undefined,
+        quantity: this.qty,
+        reason: this.reason,
+        condition: this.condition,
+        restocked: this.restocked,
+        refund_amount: parseFloat(this.refund_amount)
+      };
+    }
+  }
+
+  ReturnItem.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    return_request_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'return_requests',
+        key: 'id'
+      }
+    },
+    order_item_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    qty: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    reason: {
+      type: DataTypes.ENUM(...RETURN_REASONS),
+      allowNull: false,
+      validate: {
+        isIn: [RETURN_REASONS]
+      }
+    },
+    condition: {
+      type: DataTypes.ENUM(...ITEM_CONDITIONS),
+      allowNull: true,
+      validate: {
+        isIn: [ITEM_CONDITIONS]
+      }
+    },
+    restocked: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    refund_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ReturnItem',
+    tableName: 'return_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['return_request_id']
+      },
+      {
+        fields: ['order_item_id']
+      }
+    ]
+  });
+
+  return ReturnItem;
+};
@@ -0,0 +1,269 @@
+'use strict';
+const { Model } = require('sequelize');
+const crypto = require('crypto');
+
+// Unambiguous characters for RMA numbers (no 0/O, 1/I/L)
+const RMA_NUMBER_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+module.exports = (sequelize, DataTypes) => {
+  class ReturnRequest extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      ReturnRequest.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with customer
+      ReturnRequest.belongsTo(models.User, {
+        as: 'user',
+        foreignKey: 'user_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the payment that was refunded
+      ReturnRequest.belongsTo(models.Payment, {
+        as: 'payment',
+        foreignKey: 'payment_id',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with returned lines
+      ReturnRequest.hasMany(models.ReturnItem, {
+        as: 'items',
+        foreignKey: 'return_request_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Generate a human-readable RMA number, e.g. RMA-241224-7K3QX9
+     */
+    static generateRmaNumber(date = new Date()) {
+      const datePart = date.toISOString().slice(2, 10).replace(/-/g, '');
+      const bytes = crypto.randomBytes(6);
+      let randomPart = '';
+      for (const byte of bytes) {
+        randomPart += RMA_NUMBER_ALPHABET[byte % RMA_NUMBER_ALPHABET.length];
+      }
+      return `RMA-${datePart}-${randomPart}`;
+    }
+
+    /**
+     * Check if return belongs to the given user
+     */
+    isOwnedBy(userId) {
+      return this.user_id !== null && String(this.user_id) === String(userId);
+    }
+
+    /**
+     * Check if support can still approve or reject the return
+     */
+    canReview() {
+      return this.status === 'requested';
+    }
+
+    /**
+     * Check if the warehouse can record receipt of the items
+     */
+    canReceive() {
+      return this.status === 'approved';
+    }
+
+    /**
+     * Check if a failed refund can be retried
+     */
+    canRetryRefund() {
+      return ['approved', 'received'].includes(this.status) && this.refund_status === 'failed';
+    }
+
+    /**
+     * Get return summary for listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        rma_number: this.rma_number,
+        order_number: this.order ? this.order.order_number : undefined,
+        status: this.status,
+        refund_amount: parseFloat(this.refund_amount),
+        refund_status: this.refund_status,
+        created_at: this.created_at
+      };
+    }
+
+    /**
+     * Get full return details with lines
+     */
+    getDetails() {
+      return {
+        ...this.getSummary(),
+        customer_note: this.customer_note,
+        decision_note: this.decision_note,
+        reviewed_at: this.reviewed_at,
+        received_at: this.received_at,
+        tender_refunded: this.tender_refunded === null ? null : parseFloat(this.tender_refunded),
+        refund_reference: this.refund_reference,
+        refund_error: this.refund_error,
+        refunded_at: this.refunded_at,
+        items: (this.items || []).map(item => item.getSummary())
+      };
+    }
+  }
+
+  ReturnRequest.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    rma_number: {
+      type: DataTypes.STRING(32),
+      allowNull: false,
+      unique: true,
+      validate: {
+        notEmpty: true
+      }
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    status: {
+      type: DataTypes.ENUM('requested', 'approved', 'rejected', 'received'),
+      allowNull: false,
+      defaultValue: 'requested',
+      validate: {
+        isIn: [['requested', 'approved', 'rejected', 'received']]
+      }
+    },
+    customer_note: {
+      type: DataTypes.STRING(1000),
+      allowNull: true
+    },
+    decision_note: {
+      type: DataTypes.STRING(1000),
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    received_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    received_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    refund_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    refund_status: {
+      type: DataTypes.ENUM('none', 'pending', 'refunded', 'failed'),
+      allowNull: false,
+      defaultValue: 'none',
+      validate: {
+        isIn: [['none', 'pending', 'refunded', 'failed']]
+      }
+    },
+    tender_refunded: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true
+    },
+    payment_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'payments',
+        key: 'id'
+      }
+    },
+    refund_reference: {
+      type: DataTypes.STRING(128),
+      allowNull: true
+    },
+    refund_error: {
+      type: DataTypes.STRING(500),
+      allowNull: true
+    },
+    refunded_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ReturnRequest',
+    tableName: 'return_requests',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['rma_number']
+      },
+      {
+        fields: ['order_id']
+      },
+      {
+        fields: ['user_id', 'created_at']
+      },
+      {
+        fields: ['status']
+      },
+      {
+        fields: ['refund_status']
+      }
+    ],
+    hooks: {
+      beforeValidate: async (returnRequest) => {
+        // Generate RMA number if not provided
+        if (!returnRequest.rma_number) {
+          returnRequest.rma_number = ReturnRequest.generateRmaNumber();
+        }
+      }
+    }
+  });
+
+  return ReturnRequest;
+};
@@ -0,0 +1,163 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class Shipment extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with order
+      Shipment.belongsTo(models.Order, {
+        as: 'order',
+        foreignKey: 'order_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the parcel contents
+      Shipment.hasMany(models.ShipmentItem, {
+        as: 'items',
+        foreignKey: 'shipment_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the warehouse user who shipped it
+      Shipment.belongsTo(models.User, {
+        as: 'creator',
+        foreignKey: 'created_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the parcel has been delivered
+     */
+    isDelivered() {
+      return this.status === 'delivered';
+    }
+
+    /**
+     * Mark the parcel as delivered
+     */
+    async markAsDelivered(deliveredAt = new Date(), options = {}) {
+      await this.update({
+        status: 'delivered',
+        delivered_at: deliveredAt
+      }, options);
+    }
+
+    /**
+     * Get shipment summary for display
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        carrier: this.carrier,
+        tracking_number: this.tracking_number,
+        service: this.service,
+        has_label: !!this.label_format,
+        status: this.status,
+        shipped_at: this.shipped_at,
+        delivered_at: this.delivered_at,
+        items: (this.items || []).map(item => item.getSummary())
+      };
+    }
+  }
+
+  Shipment.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    order_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'orders',
+        key: 'id'
+      }
+    },
+    carrier: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    tracking_number: {
+      type: DataTypes.STRING(128),
+      allowNull: false,
+      validate: {
+        notEmpty: true
+      }
+    },
+    // Carrier service and label, for labels bought through a carrier adapter
+    service: {
+      type: DataTypes.STRING(64),
+      allowNull: true
+    },
+    label_format: {
+      type: DataTypes.STRING(16),
+      allowNull: true
+    },
+    label_data: {
+      type: DataTypes.TEXT('medium'),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('shipped', 'delivered'),
+      allowNull: false,
+      defaultValue: 'shipped',
+      validate: {
+        isIn: [['shipped', 'delivered']]
+      }
+    },
+    shipped_at: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    delivered_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    created_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'Shipment',
+    tableName: 'shipments',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['order_id']
+      },
+      {
+        unique: true,
+        fields: ['carrier', 'tracking_number'],
+        name: 'shipments_carrier_tracking_unique'
+      }
+    ],
+    hooks: {
+      beforeValidate: async (shipment) => {
+        if (!shipment.shipped_at) {
+          shipment.shipped_at = new Date();
+        }
+      }
+    }
+  });
+
+  return Shipment;
+};
@@ -0,0 +1,87 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShipmentItem extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with shipment
+      ShipmentItem.belongsTo(models.Shipment, {
+        as: 'shipment',
+        foreignKey: 'shipment_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the order line shipped
+      ShipmentItem.belongsTo(models.OrderItem, {
+        as: 'orderItem',
+        foreignKey: 'order_item_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get shipped line summary for display
+     */
+    getSummary() {
+      return {
+        order_item_id: this.order_item_id,
+        sku: this.orderItem ? this.orderItem.sku : undefined,
+        quantity: this.qty
+      };
+    }
+  }
+
+  ShipmentItem.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    shipment_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'shipments',
+        key: 'id'
+      }
+    },
+    order_item_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'order_items',
+        key: 'id'
+      }
+    },
+    qty: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ShipmentItem',
+    tableName: 'shipment_items',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['shipment_id']
+      },
+      {
+        fields: ['order_item_id']
+      }
+    ]
+  });
+
+  return ShipmentItem;
+};
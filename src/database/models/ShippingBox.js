@@ -0,0 +1,118 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingBox extends Model {
+    /**
+     * Get the box's inside dimensions in cm, longest first
+     * @returns {Array<number>} [length, width, height] sorted descending
+     */
+    getDimensions() {
+      return [this.inner_length, this.inner_width, this.inner_height]
+        .map(value => parseFloat(value))
+        .sort((a, b) => b - a);
+    }
+
+    /**
+     * Get the box's inside volume in cm³
+     */
+    getVolume() {
+      const [length, width, height] = this.getDimensions();
+      return length * width * height;
+    }
+
+    /**
+     * Get box summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        name: this.name,
+        inner_length: parseFloat(this.inner_length),
+        inner_width: parseFloat(this.inner_width),
+        inner_height: parseFloat(this.inner_height),
+        max_weight: parseFloat(this.max_weight),
+        tare_weight: parseFloat(this.tare_weight),
+        is_active: this.is_active,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  ShippingBox.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9_]+$/
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    },
+    // Inside dimensions in cm
+    inner_length: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: false,
+      validate: {
+        min: 0.1
+      }
+    },
+    inner_width: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: false,
+      validate: {
+        min: 0.1
+      }
+    },
+    inner_height: {
+      type: DataTypes.DECIMAL(8, 1),
+      allowNull: false,
+      validate: {
+        min: 0.1
+      }
+    },
+    // Heaviest contents in kg
+    max_weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false,
+      validate: {
+        min: 0
+      }
+    },
+    // Weight of the empty box in kg, added to the parcel's actual weight
+    tare_weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingBox',
+    tableName: 'shipping_boxes',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingBox;
+};
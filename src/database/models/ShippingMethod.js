@@ -0,0 +1,138 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingMethod extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the rate charged for the method in each zone
+      ShippingMethod.hasMany(models.ShippingRate, {
+        as: 'rates',
+        foreignKey: 'method_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check whether the method takes a cart of this weight and value
+     * @param {number} weight - Chargeable weight of the cart's heaviest parcel in kg
+     * @param {number} value - Total value
+     */
+    accepts(weight, value) {
+      if (this.max_weight && weight > parseFloat(this.max_weight)) {
+        return false;
+      }
+      return !this.max_value || value <= parseFloat(this.max_value);
+    }
+
+    /**
+     * Get method summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        name: this.name,
+        description: this.description,
+        max_weight: this.max_weight === null ? null : parseFloat(this.max_weight),
+        max_value: this.max_value === null ? null : parseFloat(this.max_value),
+        volumetric_divisor: this.volumetric_divisor,
+        cutoff_time: this.cutoff_time,
+        handling_days: this.handling_days,
+        sort_order: this.sort_order,
+        is_active: this.is_active,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  ShippingMethod.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Code customers choose at checkout, e.g. 'express'
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9_]+$/
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    // Heaviest parcel (chargeable weight in kg) and most valuable cart the method takes; null for no limit
+    max_weight: {
+      type: DataTypes.DECIMAL(10, 3),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    max_value: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    // Carrier's volumetric divisor in cm³ per kg (5000 for most couriers); null to charge the actual weight
+    volumetric_divisor: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 1
+      }
+    },
+    // Order cutoff (HH:MM, warehouse time) and handling days; null for the warehouse defaults
+    cutoff_time: {
+      type: DataTypes.STRING(5),
+      allowNull: true,
+      validate: {
+        is: /^([01]\d|2[0-3]):[0-5]\d$/
+      }
+    },
+    handling_days: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    sort_order: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingMethod',
+    tableName: 'shipping_methods',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingMethod;
+};
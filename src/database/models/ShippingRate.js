@@ -0,0 +1,178 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingRate extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the zone the rate applies in
+      ShippingRate.belongsTo(models.ShippingZone, {
+        as: 'zone',
+        foreignKey: 'zone_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the method the rate prices
+      ShippingRate.belongsTo(models.ShippingMethod, {
+        as: 'method',
+        foreignKey: 'method_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the weight and value bands of the rate
+      ShippingRate.hasMany(models.ShippingRateBand, {
+        as: 'bands',
+        foreignKey: 'rate_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get the charge of the band of a basis that covers an amount
+     * @param {string} basis - 'weight' or 'value'
+     * @param {number} amount - Cart weight in kg or cart value
+     * @returns {number} Charge; 0 when no band covers the amount
+     */
+    getBandCharge(basis, amount) {
+      const band = (this.bands || []).find(candidate => candidate.basis === basis && candidate.covers(amount));
+      return band ? band.getCharge(amount) : 0;
+    }
+
+    /**
+     * Get the transit time in business days after the parcel leaves the warehouse
+     * @returns {Object|null} { min, max }; null when the rate has none
+     */
+    getTransitDays() {
+      if (this.transit_days_min === null || this.transit_days_min === undefined) {
+        return null;
+      }
+
+      return {
+        min: this.transit_days_min,
+        max: this.transit_days_max === null || this.transit_days_max === undefined
+          ? this.transit_days_min
+          : this.transit_days_max
+      };
+    }
+
+    /**
+     * Get rate summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        zone_id: this.zone_id,
+        method_id: this.method_id,
+        method: this.method ? { id: this.method.id, code: this.method.code, name: this.method.name } : undefined,
+        currency: this.currency,
+        base_rate: parseFloat(this.base_rate),
+        min_charge: parseFloat(this.min_charge),
+        free_shipping_threshold: this.free_shipping_threshold === null ? null : parseFloat(this.free_shipping_threshold),
+        estimated_delivery: this.estimated_delivery,
+        transit_days_min: this.transit_days_min,
+        transit_days_max: this.transit_days_max,
+        is_active: this.is_active,
+        bands: this.bands ? this.bands.map(band => band.getSummary()) : undefined,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  ShippingRate.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    zone_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    method_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // Currency of the rate's amounts and its bands'; converted to the cart currency when a cart is priced
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      defaultValue: 'USD',
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    // Least the method costs before the minimum charge and free shipping
+    base_rate: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    min_charge: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    // Cart value from which the method is free; null when it never is
+    free_shipping_threshold: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    estimated_delivery: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+    // Business days in transit after the parcel leaves the warehouse; null leaves delivery dates out
+    transit_days_min: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    transit_days_max: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      validate: {
+        min: 0
+      }
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingRate',
+    tableName: 'shipping_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['zone_id', 'method_id'],
+        name: 'shipping_rates_zone_method_unique'
+      }
+    ]
+  });
+
+  return ShippingRate;
+};
@@ -0,0 +1,109 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingRateBand extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the rate the band belongs to
+      ShippingRateBand.belongsTo(models.ShippingRate, {
+        as: 'rate',
+        foreignKey: 'rate_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check whether the band covers a weight or value; min_amount is inclusive and max_amount exclusive
+     * @param {number} amount - Cart weight in kg or cart value
+     */
+    covers(amount) {
+      if (amount < parseFloat(this.min_amount)) {
+        return false;
+      }
+      return this.max_amount === null || amount < parseFloat(this.max_amount);
+    }
+
+    /**
+     * Get the band's charge for a weight or value: the flat amount plus the unit rate times the whole amount
+     * @param {number} amount - Cart weight in kg or cart value
+     */
+    getCharge(amount) {
+      return parseFloat(this.flat_amount) + parseFloat(this.unit_rate) * amount;
+    }
+
+    /**
+     * Get band summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        basis: this.basis,
+        min_amount: parseFloat(this.min_amount),
+        max_amount: this.max_amount === null ? null : parseFloat(this.max_amount),
+        flat_amount: parseFloat(this.flat_amount),
+        unit_rate: parseFloat(this.unit_rate)
+      };
+    }
+  }
+
+  ShippingRateBand.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    rate_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    // Whether the band is priced on the cart's weight in kg or its value
+    basis: {
+      type: DataTypes.ENUM('weight', 'value'),
+      allowNull: false
+    },
+    min_amount: {
+      type: DataTypes.DECIMAL(12, 3),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    },
+    // Exclusive upper bound; null for no upper bound
+    max_amount: {
+      type: DataTypes.DECIMAL(12, 3),
+      allowNull: true
+    },
+    flat_amount: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    },
+    // Per kg for weight bands; a fraction of the cart value (0.02 for 2%) for value bands
+    unit_rate: {
+      type: DataTypes.DECIMAL(10, 4),
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingRateBand',
+    tableName: 'shipping_rate_bands',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingRateBand;
+};
@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingZone extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the countries, states and postal code ranges the zone covers
+      ShippingZone.hasMany(models.ShippingZoneRegion, {
+        as: 'regions',
+        foreignKey: 'zone_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the rate of each method offered in the zone
+      ShippingZone.hasMany(models.ShippingRate, {
+        as: 'rates',
+        foreignKey: 'zone_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get zone summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        name: this.name,
+        is_default: this.is_default,
+        is_active: this.is_active,
+        regions: this.regions ? this.regions.map(region => region.getSummary()) : undefined,
+        rates: this.rates ? this.rates.map(rate => rate.getSummary()) : undefined,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  ShippingZone.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9_]+$/
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    },
+    // Zone of addresses that no region matches
+    is_default: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    is_active: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingZone',
+    tableName: 'shipping_zones',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingZone;
+};
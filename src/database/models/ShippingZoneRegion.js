@@ -0,0 +1,126 @@
+'use strict';
+const { Model } = require('sequelize');
+const { ADDRESS_COUNTRIES } = require('../../config/addresses');
+
+/**
+ * Normalise a postal code for range comparison: upper case without spaces or dashes
+ * @param {string|null} postalCode - Postal code
+ * @returns {string|null} Normalised postal code
+ */
+const normalisePostalCode = (postalCode) => (
+  postalCode ? String(postalCode).toUpperCase().replace(/[\s-]/g, '') : null
+);
+
+module.exports = (sequelize, DataTypes) => {
+  class ShippingZoneRegion extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the zone the region belongs to
+      ShippingZoneRegion.belongsTo(models.ShippingZone, {
+        as: 'zone',
+        foreignKey: 'zone_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check whether the region covers an address
+     * Range bounds are prefixes, so 'SW1' to 'SW9' covers 'SW1A 1AA' and 'SW9 8AB'.
+     * @param {Object} address - Address with country, state and postal_code
+     */
+    covers(address) {
+      if (this.country !== address.country) {
+        return false;
+      }
+
+      if (this.state && this.state !== address.state) {
+        return false;
+      }
+
+      if (this.postal_code_from) {
+        const postalCode = normalisePostalCode(address.postal_code);
+        if (!postalCode) {
+          return false;
+        }
+
+        const from = normalisePostalCode(this.postal_code_from);
+        const to = normalisePostalCode(this.postal_code_to) || from;
+        if (postalCode.slice(0, from.length) < from || postalCode.slice(0, to.length) > to) {
+          return false;
+        }
+      }
+
+      return true;
+    }
+
+    /**
+     * How narrowly the region is drawn; the narrowest region covering an address wins
+     * @returns {number} 2 for a postal code range, 1 for a state, 0 for a whole country
+     */
+    getSpecificity() {
+      if (this.postal_code_from) {
+        return 2;
+      }
+      return this.state ? 1 : 0;
+    }
+
+    /**
+     * Get region summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        country: this.country,
+        state: this.state,
+        postal_code_from: this.postal_code_from,
+        postal_code_to: this.postal_code_to
+      };
+    }
+  }
+
+  ShippingZoneRegion.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    zone_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.CHAR(2),
+      allowNull: false,
+      validate: {
+        isIn: [ADDRESS_COUNTRIES]
+      }
+    },
+    // State or province code; null for the whole country
+    state: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    // First and last postal code prefix of the range, inclusive; null for every postal code
+    postal_code_from: {
+      type: DataTypes.STRING(12),
+      allowNull: true
+    },
+    postal_code_to: {
+      type: DataTypes.STRING(12),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'ShippingZoneRegion',
+    tableName: 'shipping_zone_regions',
+    timestamps: true,
+    underscored: true
+  });
+
+  return ShippingZoneRegion;
+};
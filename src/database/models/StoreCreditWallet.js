@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+const { SUPPORTED_CURRENCIES } = require('../../config/currencies');
+
+module.exports = (sequelize, DataTypes) => {
+  class StoreCreditWallet extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with owner
+      StoreCreditWallet.belongsTo(models.User, {
+        as: 'user',
+        foreignKey: 'user_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with balance movements
+      StoreCreditWallet.hasMany(models.BalanceLedgerEntry, {
+        as: 'ledger',
+        foreignKey: 'wallet_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get wallet summary
+     */
+    getSummary() {
+      return {
+        currency: this.currency,
+        balance: parseFloat(this.balance),
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  StoreCreditWallet.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    },
+    currency: {
+      type: DataTypes.CHAR(3),
+      allowNull: false,
+      validate: {
+        isIn: [SUPPORTED_CURRENCIES]
+      }
+    },
+    // Only changed together with a ledger entry
+    balance: {
+      type: DataTypes.DECIMAL(12, 2),
+      allowNull: false,
+      defaultValue: 0.00,
+      validate: {
+        min: 0
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'StoreCreditWallet',
+    tableName: 'store_credit_wallets',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['user_id', 'currency'],
+        name: 'store_credit_wallets_user_currency_unique'
+      }
+    ]
+  });
+
+  return StoreCreditWallet;
+};
@@ -0,0 +1,88 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TaxClass extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the rates charged for the class in each jurisdiction
+      TaxClass.hasMany(models.TaxRate, {
+        as: 'rates',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with products assigned to the class
+      TaxClass.hasMany(models.Product, {
+        as: 'products',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with categories whose products default to the class
+      TaxClass.hasMany(models.Category, {
+        as: 'categories',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Get tax class summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        code: this.code,
+        name: this.name,
+        description: this.description,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  TaxClass.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    // Stable identifier used in CSV imports and tax breakdowns; 'standard' is reserved for the standard rate
+    code: {
+      type: DataTypes.STRING(40),
+      allowNull: false,
+      unique: true,
+      validate: {
+        is: /^[a-z0-9_]+$/,
+        notIn: [['standard']]
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    },
+    description: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TaxClass',
+    tableName: 'tax_classes',
+    timestamps: true,
+    underscored: true
+  });
+
+  return TaxClass;
+};
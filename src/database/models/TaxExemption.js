@@ -0,0 +1,167 @@
+'use strict';
+const { Model } = require('sequelize');
+const { ADDRESS_COUNTRIES } = require('../../config/addresses');
+
+module.exports = (sequelize, DataTypes) => {
+  class TaxExemption extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the business customer claiming the exemption
+      TaxExemption.belongsTo(models.User, {
+        as: 'user',
+        foreignKey: 'user_id',
+        onDelete: 'CASCADE',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the jurisdiction whose tax is waived, set on approval
+      TaxExemption.belongsTo(models.TaxJurisdiction, {
+        as: 'jurisdiction',
+        foreignKey: 'jurisdiction_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the Finance staff member who reviewed it
+      TaxExemption.belongsTo(models.User, {
+        as: 'reviewer',
+        foreignKey: 'reviewed_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the exemption waives tax at a moment
+     * @param {Date} at - Moment to check
+     */
+    isInEffect(at = new Date()) {
+      return this.status === 'approved' && !!this.expires_at && new Date(this.expires_at) > new Date(at);
+    }
+
+    /**
+     * Get the exemption as recorded on checkouts and in order tax breakdowns
+     */
+    getSnapshot() {
+      return {
+        tax_exemption_id: this.id,
+        jurisdiction_id: this.jurisdiction_id,
+        country: this.jurisdiction ? this.jurisdiction.country : this.country,
+        state: this.jurisdiction ? this.jurisdiction.state : this.state,
+        tax_id: this.tax_id,
+        certificate_number: this.certificate_number,
+        expires_at: this.expires_at,
+        reviewed_by: this.reviewed_by,
+        reviewed_at: this.reviewed_at
+      };
+    }
+
+    /**
+     * Get exemption summary for display
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        user_id: this.user_id,
+        country: this.country,
+        state: this.state,
+        tax_id: this.tax_id,
+        certificate_number: this.certificate_number,
+        has_certificate: !!this.certificate_key,
+        certificate_filename: this.certificate_filename,
+        status: this.status,
+        in_effect: this.isInEffect(),
+        jurisdiction: this.jurisdiction ? this.jurisdiction.getSummary() : null,
+        expires_at: this.expires_at,
+        reviewed_at: this.reviewed_at,
+        review_note: this.review_note,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  TaxExemption.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    user_id: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: false
+    },
+    country: {
+      type: DataTypes.CHAR(2),
+      allowNull: false,
+      validate: {
+        isIn: [ADDRESS_COUNTRIES]
+      }
+    },
+    // State or province the customer claims for; null for the whole country
+    state: {
+      type: DataTypes.STRING(10),
+      allowNull: true
+    },
+    // GSTIN, VAT ID or other registration number
+    tax_id: {
+      type: DataTypes.STRING(40),
+      allowNull: true
+    },
+    certificate_number: {
+      type: DataTypes.STRING(60),
+      allowNull: true
+    },
+    // Storage key of the uploaded certificate; it is only served through the API
+    certificate_key: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    certificate_filename: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    certificate_content_type: {
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'approved', 'rejected', 'revoked'),
+      allowNull: false,
+      defaultValue: 'pending'
+    },
+    // Jurisdiction whose tax is waived; set by Finance on approval
+    jurisdiction_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    reviewed_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true
+    },
+    reviewed_at: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    review_note: {
+      type: DataTypes.STRING(255),
+      allowNull: true
+    }
+  }, {
+    sequelize,
+    modelName: 'TaxExemption',
+    tableName: 'tax_exemptions',
+    timestamps: true,
+    underscored: true
+  });
+
+  return TaxExemption;
+};
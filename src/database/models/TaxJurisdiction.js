@@ -0,0 +1,96 @@
+'use strict';
+const { Model } = require('sequelize');
+const { ADDRESS_COUNTRIES } = require('../../config/addresses');
+
+module.exports = (sequelize, DataTypes) => {
+  class TaxJurisdiction extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the rates charged in this jurisdiction over time
+      TaxJurisdiction.hasMany(models.TaxRate, {
+        as: 'rates',
+        foreignKey: 'jurisdiction_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the customer exemptions approved for this jurisdiction
+      TaxJurisdiction.hasMany(models.TaxExemption, {
+        as: 'exemptions',
+        foreignKey: 'jurisdiction_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check whether the jurisdiction covers a whole country rather than one state or province
+     */
+    isCountryWide() {
+      return this.state === null || this.state === undefined;
+    }
+
+    /**
+     * Get jurisdiction summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        country: this.country,
+        state: this.state,
+        name: this.name,
+        created_at: this.created_at,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  TaxJurisdiction.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    country: {
+      type: DataTypes.CHAR(2),
+      allowNull: false,
+      validate: {
+        isIn: [ADDRESS_COUNTRIES]
+      }
+    },
+    // State or province code; null for the country-wide jurisdiction
+    state: {
+      type: DataTypes.STRING(10),
+      allowNull: true,
+      validate: {
+        len: [1, 10]
+      }
+    },
+    name: {
+      type: DataTypes.STRING(120),
+      allowNull: false,
+      validate: {
+        len: [1, 120]
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'TaxJurisdiction',
+    tableName: 'tax_jurisdictions',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        unique: true,
+        fields: ['country', 'state'],
+        name: 'tax_jurisdictions_country_state_unique'
+      }
+    ]
+  });
+
+  return TaxJurisdiction;
+};
@@ -0,0 +1,155 @@
+'use strict';
+const { Model } = require('sequelize');
+
+module.exports = (sequelize, DataTypes) => {
+  class TaxRate extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      // Association with the jurisdiction charging the rate
+      TaxRate.belongsTo(models.TaxJurisdiction, {
+        as: 'jurisdiction',
+        foreignKey: 'jurisdiction_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the class of goods the rate is for; none for the standard rate
+      TaxRate.belongsTo(models.TaxClass, {
+        as: 'taxClass',
+        foreignKey: 'tax_class_id',
+        onDelete: 'RESTRICT',
+        onUpdate: 'CASCADE'
+      });
+
+      // Association with the staff member who last changed the rate
+      TaxRate.belongsTo(models.User, {
+        as: 'updater',
+        foreignKey: 'updated_by',
+        onDelete: 'SET NULL',
+        onUpdate: 'CASCADE'
+      });
+    }
+
+    /**
+     * Check if the rate applies at a moment; effective_to is exclusive
+     * @param {Date} at - Moment to check
+     */
+    isInEffect(at = new Date()) {
+      return new Date(this.effective_from) <= at &&
+        (!this.effective_to || new Date(this.effective_to) > at);
+    }
+
+    /**
+     * Check if the rate has been charged, or could have been; such rates can only be ended, not changed
+     */
+    hasStarted() {
+      return new Date(this.effective_from) <= new Date();
+    }
+
+    /**
+     * Get rate summary for admin listings
+     */
+    getSummary() {
+      return {
+        id: this.id,
+        jurisdiction_id: this.jurisdiction_id,
+        tax_class_id: this.tax_class_id,
+        name: this.name,
+        rate: parseFloat(this.rate),
+        effective_from: this.effective_from,
+        effective_to: this.effective_to,
+        in_effect: this.isInEffect(),
+        updated_by: this.updated_by,
+        updated_at: this.updated_at
+      };
+    }
+  }
+
+  TaxRate.init({
+    id: {
+      type: DataTypes.BIGINT,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    jurisdiction_id: {
+      type: DataTypes.BIGINT,
+      allowNull: false,
+      references: {
+        model: 'tax_jurisdictions',
+        key: 'id'
+      }
+    },
+    // Null for the standard rate, which also applies to classes without a rate of their own
+    tax_class_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      references: {
+        model: 'tax_classes',
+        key: 'id'
+      }
+    },
+    // Name shown in tax breakdowns, e.g. VAT, GST or State sales tax
+    name: {
+      type: DataTypes.STRING(60),
+      allowNull: false,
+      validate: {
+        len: [1, 60]
+      }
+    },
+    // Fraction of the taxable amount, e.g. 0.2 for 20%
+    rate: {
+      type: DataTypes.DECIMAL(8, 6),
+      allowNull: false,
+      validate: {
+        min: 0,
+        max: 1
+      }
+    },
+    effective_from: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    // Exclusive; null while the rate has no end date
+    effective_to: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      validate: {
+        isAfterStart(value) {
+          if (value && new Date(value) <= new Date(this.effective_from)) {
+            throw new Error('effective_to must be after effective_from');
+          }
+        }
+      }
+    },
+    updated_by: {
+      type: DataTypes.BIGINT.UNSIGNED,
+      allowNull: true,
+      references: {
+        model: 'users',
+        key: 'id'
+      }
+    }
+  }, {
+    sequelize,
+    modelName: 'TaxRate',
+    tableName: 'tax_rates',
+    timestamps: true,
+    underscored: true,
+    indexes: [
+      {
+        fields: ['jurisdiction_id', 'effective_from'],
+        name: 'tax_rates_jurisdiction_effective'
+      },
+      {
+        fields: ['jurisdiction_id', 'tax_class_id', 'effective_from'],
+        name: 'tax_rates_jurisdiction_class_effective'
+      }
+    ]
+  });
+
+  return TaxRate;
+};
@@ -64,6 +64,18 @@ module.exports = (sequelize, DataTypes) => {
         foreignKey: 'user_id',
         as: 'userRoles'
       });
+
+      // User has many orders
+      User.hasMany(models.Order, {
+        foreignKey: 'user_id',
+        as: 'orders'
+      });
+
+      // User has many tax exemption certificates
+      User.hasMany(models.TaxExemption, {
+        foreignKey: 'user_id',
+        as: 'taxExemptions'
+      });
     }
   }
 
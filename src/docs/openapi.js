@@ -3,6 +3,8 @@
  * This file generates the OpenAPI JSON for frontend integration
  */
 
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
 const openApiSpec = {
   openapi: '3.0.0',
   info: {
@@ -85,6 +87,11 @@ const openApiSpec = {
             nullable: true,
             description: 'Parent category ID'
           },
+          tax_class_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Tax class of its products that have none of their own; null for the standard rate'
+          },
           path: {
             type: 'string',
             description: 'Category path'
@@ -152,7 +159,7 @@ const openApiSpec = {
           },
           currency: {
             type: 'string',
-            enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'],
+            enum: SUPPORTED_CURRENCIES,
             description: 'Currency code'
           },
           status: {
@@ -160,6 +167,16 @@ const openApiSpec = {
             enum: ['draft', 'published', 'archived'],
             description: 'Product status'
           },
+          is_gift_card: {
+            type: 'boolean',
+            default: false,
+            description: 'Paying for the product issues a gift card worth its price'
+          },
+          tax_class_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Tax class; null to use the category\'s'
+          },
           sustainability_badges: {
             type: 'array',
             items: {
@@ -250,6 +267,12 @@ const openApiSpec = {
             minimum: 1,
             description: 'Parent category ID'
           },
+          tax_class_id: {
+            type: 'integer',
+            minimum: 1,
+            nullable: true,
+            description: 'Tax class of its products that have none of their own; null for the standard rate'
+          },
           is_active: {
             type: 'boolean',
             default: true,
@@ -272,6 +295,12 @@ const openApiSpec = {
             nullable: true,
             description: 'Parent category ID'
           },
+          tax_class_id: {
+            type: 'integer',
+            minimum: 1,
+            nullable: true,
+            description: 'Tax class of its products that have none of their own; null for the standard rate'
+          },
           is_active: {
             type: 'boolean',
             description: 'Category active status'
@@ -316,7 +345,7 @@ const openApiSpec = {
           },
           currency: {
             type: 'string',
-            enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'],
+            enum: SUPPORTED_CURRENCIES,
             default: 'USD',
             description: 'Currency code'
           },
@@ -326,6 +355,16 @@ const openApiSpec = {
             default: 'draft',
             description: 'Product status'
           },
+          is_gift_card: {
+            type: 'boolean',
+            default: false,
+            description: 'Paying for the product issues a gift card worth its price'
+          },
+          tax_class_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Tax class; null to use the category\'s'
+          },
           sustainability_badges: {
             type: 'array',
             items: {
@@ -378,7 +417,7 @@ const openApiSpec = {
           },
           currency: {
             type: 'string',
-            enum: ['USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD'],
+            enum: SUPPORTED_CURRENCIES,
             description: 'Currency code'
           },
           status: {
@@ -386,6 +425,16 @@ const openApiSpec = {
             enum: ['draft', 'published', 'archived'],
             description: 'Product status'
           },
+          is_gift_card: {
+            type: 'boolean',
+            default: false,
+            description: 'Paying for the product issues a gift card worth its price'
+          },
+          tax_class_id: {
+            type: 'integer',
+            nullable: true,
+            description: 'Tax class; null to use the category\'s'
+          },
           sustainability_badges: {
             type: 'array',
             items: {
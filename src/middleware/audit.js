@@ -179,7 +179,7 @@ const auditAdminAction = (action, resourceType = null) => {
           if (res.statusCode >= 200 && res.statusCode < 300) {
             auditAction(req, action, {
               resource_type: resourceType,
-              resource_id: req.params.id || null,
+              resource_id: req.params.id || req.params.number || null,
               meta: {
                 method: req.method,
                 url: req.originalUrl,
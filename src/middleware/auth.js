@@ -179,6 +179,21 @@ const authenticateAccessToken = async (req, res, next) => {
   }
 };
 
+/**
+ * Optional access token middleware
+ * Authenticates like authenticateAccessToken when a token is sent, and lets guests through without one
+ */
+const optionalAccessToken = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const hasToken = (authHeader && authHeader.startsWith('Bearer ')) || (req.cookies && req.cookies.access_token);
+
+  if (!hasToken) {
+    return next();
+  }
+
+  return authenticateAccessToken(req, res, next);
+};
+
 /**
  * Role-based authorization middleware
  * @param {string|Array} requiredRoles - Required role(s)
@@ -397,6 +412,7 @@ module.exports = {
 
   // New RBAC middleware
   authenticateAccessToken,
+  optionalAccessToken,
   requireRoles,
   requirePermissions,
   auditAccessDenial
@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { IdempotencyKey } = require('../database/models');
+const { logger } = require('./errorHandler');
+
+/**
+ * Idempotency-Key middleware
+ * Lets clients safely retry mutating requests. The first request with a key
+ * runs normally and its response is stored; retries with the same key and
+ * body get the stored response back instead of running the handler again.
+ */
+
+const IDEMPOTENCY_HEADER = 'idempotency-key';
+const KEY_PATTERN = /^[\x21-\x7E]{1,255}$/;
+
+const DEFAULT_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS, 10) || 24;
+
+// How long an unfinished request holds its key before a retry may take it over
+const DEFAULT_LOCK_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Serialize a value with sorted object keys so equivalent bodies fingerprint the same
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Fingerprint the parts of the request that define what it does
+ * @param {Object} req - Express request object
+ * @returns {string} SHA-256 hex digest
+ */
+const fingerprintRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method}\n${req.originalUrl.split('?')[0]}\n${canonicalJson(req.query)}\n${canonicalJson(req.body)}`)
+    .digest('hex');
+};
+
+/**
+ * Scope keys to the route and caller so one client's key never replays another's response
+ * @param {Object} req - Express request object
+ * @returns {string|null} Scope, or null when the caller has neither a login nor a cart token
+ */
+const getScope = (req) => {
+  const route = `${req.method} ${req.baseUrl}${req.route ? req.route.path : req.path}`;
+  const cartToken = req.query?.cart_token || req.body?.cart_token;
+  let caller;
+  if (req.auth?.userId) {
+    caller = `user:${req.auth.userId}`;
+  } else if (cartToken) {
+    // Guests are told apart by their cart token
+    caller = `cart:${cartToken}`;
+  } else {
+    return null;
+  }
+  return `${route}|${caller}`.substring(0, 255);
+};
+
+/**
+ * Send a stored response again
+ * @param {Object} res - Express response object
+ * @param {IdempotencyKey} record - Stored key
+ */
+const replayResponse = (res, record) => {
+  res.set('Idempotent-Replayed', 'true');
+  if (record.request_id) {
+    res.set('X-Original-Request-ID', record.request_id);
+  }
+  return res.status(record.response_status).json(record.response_body);
+};
+
+/**
+ * Create idempotency middleware
+ * @param {Object} options - Configuration options
+ * @param {number} options.ttlHours - How long responses are kept for replay
+ * @param {number} options.lockTimeoutMs - How long an unfinished request holds its key
+ * @returns {Function} Express middleware function
+ */
+const idempotency = (options = {}) => {
+  const {
+    ttlHours = DEFAULT_TTL_HOURS,
+    lockTimeoutMs = DEFAULT_LOCK_TIMEOUT_MS
+  } = options;
+
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    // The header is optional; requests without it behave as before
+    if (key === undefined) {
+      return next();
+    }
+
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({
+        error: {
+          code: 'INVALID_IDEMPOTENCY_KEY',
+          message: 'Idempotency-Key must be 1-255 printable ASCII characters'
+        }
+      });
+    }
+
+    const scope = getScope(req);
+
+    // Anonymous callers cannot be told apart, so a stored response could reach another client
+    if (!scope) {
+      return next();
+    }
+
+    const fingerprint = fingerprintRequest(req);
+    let record;
+
+    try {
+      record = await IdempotencyKey.findOne({
+        where: { scope, idempotency_key: key }
+      });
+
+      if (record && record.isExpired()) {
+        await record.destroy();
+        record = null;
+      }
+
+      if (record) {
+        if (record.fingerprint !== fingerprint) {
+          return res.status(422).json({
+            error: {
+              code: 'IDEMPOTENCY_KEY_REUSED',
+              message: 'Idempotency-Key was already used with a different request body'
+            }
+          });
+        }
+
+        if (record.isCompleted()) {
+          logger.info('Replaying idempotent response', {
+            requestId: req.requestId,
+            originalRequestId: record.request_id,
+            scope
+          });
+          return replayResponse(res, record);
+        }
+
+        if (!record.isStale(lockTimeoutMs)) {
+          return res.status(409).json({
+            error: {
+              code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+              message: 'A request with this Idempotency-Key is still being processed'
+            }
+          });
+        }
+
+        // The original request never finished; this retry takes over the key
+        await record.update({ request_id: req.requestId });
+      } else {
+        record = await IdempotencyKey.create({
+          idempotency_key: key,
+          scope,
+          fingerprint,
+          status: 'in_progress',
+          request_id: req.requestId,
+          expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+        });
+      }
+    } catch (error) {
+      // Two first attempts raced; the loser behaves like a retry during processing
+      if (error instanceof UniqueConstraintError) {
+        return res.status(409).json({
+          error: {
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+            message: 'A request with this Idempotency-Key is still being processed'
+          }
+        });
+      }
+
+      logger.error('Idempotency key lookup failed:', {
+        error: error.message,
+        requestId: req.requestId,
+        scope
+      });
+
+      return res.status(500).json({
+        error: {
+          code: 'IDEMPOTENCY_ERROR',
+          message: 'Failed to process Idempotency-Key'
+        }
+      });
+    }
+
+    // Store the response before sending it, so a retry racing the reply already sees it
+    const originalJson = res.json;
+    res.json = function(body) {
+      const statusCode = res.statusCode;
+      const storeResponse = statusCode < 500
+        ? record.update({
+          status: 'completed',
+          response_status: statusCode,
+          response_body: body
+        })
+        // Server errors are not final; release the key so the client can retry
+        : record.destroy();
+
+      storeResponse
+        .catch(error => {
+          logger.error('Failed to store idempotent response:', {
+            error: error.message,
+            requestId: req.requestId,
+            scope
+          });
+        })
+        .finally(() => originalJson.call(this, body));
+
+      return this;
+    };
+
+    next();
+  };
+};
+
+module.exports = {
+  idempotency,
+  fingerprintRequest,
+  canonicalJson
+};
@@ -217,6 +217,13 @@ const rateLimiters = {
     message: 'Too many requests, please try again later'
   }),
 
+  // Payment provider webhooks (providers deliver in bursts after an outage)
+  webhook: createRateLimit({
+    limit: 600,
+    windowMs: 60 * 1000, // 1 minute
+    message: 'Too many webhook requests'
+  }),
+
   // Health check endpoints (very lenient)
   health: createRateLimit({
     limit: 1000,
@@ -55,6 +55,30 @@ const upload = multer({
   },
 });
 
+// Documents such as tax-exemption certificates; kept as uploaded, not processed like images
+const DOCUMENT_MIME_TYPES = ['application/pdf', 'image/jpeg', 'image/png'];
+
+const documentUpload = multer({
+  storage,
+  fileFilter: (req, file, cb) => {
+    if (!DOCUMENT_MIME_TYPES.includes(file.mimetype)) {
+      logger.warn('Document upload rejected:', {
+        filename: file.originalname,
+        mimetype: file.mimetype,
+        requestId: req.requestId,
+      });
+
+      return cb(new Error('File validation failed: only PDF, JPEG and PNG documents are accepted'), false);
+    }
+
+    cb(null, true);
+  },
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+    files: 1,
+  },
+});
+
 // Middleware for single file upload
 const uploadSingle = (fieldName = 'image') => {
   return (req, res, next) => {
@@ -113,6 +137,51 @@ const uploadSingle = (fieldName = 'image') => {
   };
 };
 
+// Middleware for an optional single document upload (multipart/form-data)
+const uploadDocument = (fieldName = 'document') => {
+  return (req, res, next) => {
+    documentUpload.single(fieldName)(req, res, (error) => {
+      if (error) {
+        logger.error('Document upload error:', {
+          error: error.message,
+          requestId: req.requestId,
+          userId: req.auth?.userId,
+        });
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return res.status(413).json({
+            error: {
+              code: 'FILE_TOO_LARGE',
+              message: 'File size exceeds 5MB limit',
+              requestId: req.requestId,
+            },
+          });
+        }
+
+        if (error.message.includes('File validation failed')) {
+          return res.status(415).json({
+            error: {
+              code: 'INVALID_FILE_TYPE',
+              message: error.message,
+              requestId: req.requestId,
+            },
+          });
+        }
+
+        return res.status(400).json({
+          error: {
+            code: 'UPLOAD_ERROR',
+            message: 'File upload failed',
+            requestId: req.requestId,
+          },
+        });
+      }
+
+      next();
+    });
+  };
+};
+
 // Middleware for multiple file upload
 const uploadMultiple = (fieldName = 'images', maxCount = 10) => {
   return (req, res, next) => {
@@ -260,6 +329,7 @@ const getUploadInfo = (req, res) => {
 
 module.exports = {
   uploadSingle,
+  uploadDocument,
   uploadMultiple,
   validateUploadedFiles,
   getUploadInfo,
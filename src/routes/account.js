@@ -0,0 +1,137 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const {
+  validate,
+  validateParams,
+  addressIdParamSchema,
+  createAddressSchema,
+  updateAddressSchema
+} = require('../validation/addressSchemas');
+const { taxIdParamSchema, submitTaxExemptionSchema } = require('../validation/taxSchemas');
+const { uploadDocument } = require('../middleware/upload');
+
+// Import controllers
+const AddressController = require('../controllers/AddressController');
+const TaxExemptionController = require('../controllers/TaxExemptionController');
+
+/**
+ * @route   GET /api/account/addresses
+ * @desc    List the authenticated user's saved addresses, defaults first
+ * @access  Private (authentication required)
+ */
+router.get('/addresses',
+  rateLimiters.public,
+  authenticateAccessToken,
+  AddressController.listAddresses
+);
+
+/**
+ * @route   POST /api/account/addresses
+ * @desc    Save an address; the first one becomes the default for shipping and billing
+ * @access  Private (authentication required)
+ * @body    { label?, name, phone, email?, line1, line2?, city, state, postal_code, country, is_default_shipping?, is_default_billing? }
+ */
+router.post('/addresses',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validate(createAddressSchema),
+  AddressController.createAddress
+);
+
+/**
+ * @route   GET /api/account/addresses/:id
+ * @desc    Get a saved address
+ * @access  Private (authentication required)
+ * @params  { id }
+ */
+router.get('/addresses/:id',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(addressIdParamSchema),
+  AddressController.getAddress
+);
+
+/**
+ * @route   PATCH /api/account/addresses/:id
+ * @desc    Update a saved address or make it a default; one used by a checkout is saved as a new address
+ * @access  Private (authentication required)
+ * @params  { id }
+ * @body    Any of the address fields, is_default_shipping, is_default_billing
+ */
+router.patch('/addresses/:id',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(addressIdParamSchema),
+  validate(updateAddressSchema),
+  AddressController.updateAddress
+);
+
+/**
+ * @route   DELETE /api/account/addresses/:id
+ * @desc    Remove a saved address; one used by a checkout is archived so past orders keep it
+ * @access  Private (authentication required)
+ * @params  { id }
+ */
+router.delete('/addresses/:id',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(addressIdParamSchema),
+  AddressController.deleteAddress
+);
+
+/**
+ * @route   GET /api/account/tax-exemptions
+ * @desc    List the authenticated user's tax exemptions and their review status
+ * @access  Private (authentication required)
+ */
+router.get('/tax-exemptions',
+  rateLimiters.public,
+  authenticateAccessToken,
+  TaxExemptionController.listMyExemptions
+);
+
+/**
+ * @route   POST /api/account/tax-exemptions
+ * @desc    Submit a tax ID or exemption certificate for Finance to review
+ * @access  Private (authentication required)
+ * @body    multipart/form-data { country, state?, tax_id?, certificate_number?, certificate? (PDF, JPEG or PNG) }
+ */
+router.post('/tax-exemptions',
+  rateLimiters.public,
+  authenticateAccessToken,
+  uploadDocument('certificate'),
+  validate(submitTaxExemptionSchema),
+  TaxExemptionController.submitExemption
+);
+
+/**
+ * @route   GET /api/account/tax-exemptions/:id
+ * @desc    Get one of the authenticated user's tax exemptions
+ * @access  Private (authentication required)
+ * @params  { id }
+ */
+router.get('/tax-exemptions/:id',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(taxIdParamSchema),
+  TaxExemptionController.getMyExemption
+);
+
+/**
+ * @route   GET /api/account/tax-exemptions/:id/certificate
+ * @desc    Download the certificate submitted with a tax exemption
+ * @access  Private (authentication required)
+ * @params  { id }
+ */
+router.get('/tax-exemptions/:id/certificate',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(taxIdParamSchema),
+  TaxExemptionController.downloadMyCertificate
+);
+
+module.exports = router;
@@ -14,7 +14,7 @@ const CategoryController = require('../controllers/CategoryController');
  * @route   POST /api/admin/categories
  * @desc    Create a new category (Admin only)
  * @access  Private (Admin role required)
- * @body    { name, parent_id?, is_active? }
+ * @body    { name, parent_id?, tax_class_id?, is_active? }
  */
 router.post('/',
   authenticateAccessToken,
@@ -28,7 +28,7 @@ router.post('/',
  * @route   PUT /api/admin/categories/:id
  * @desc    Update a category (Admin only)
  * @access  Private (Admin role required)
- * @body    { name?, parent_id?, is_active? }
+ * @body    { name?, parent_id?, tax_class_id?, is_active? }
  */
 router.put('/:id',
   authenticateAccessToken,
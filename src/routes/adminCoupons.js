@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  couponIdParamSchema,
+  createCouponSchema,
+  updateCouponSchema,
+  couponListQuerySchema
+} = require('../validation/couponSchemas');
+
+// Import controllers
+const CouponController = require('../controllers/CouponController');
+
+/**
+ * @route   GET /api/admin/coupons
+ * @desc    List coupons
+ * @access  Private (Admin role required)
+ * @query   { page?, limit?, is_active? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  validateQuery(couponListQuerySchema),
+  CouponController.listCoupons
+);
+
+/**
+ * @route   POST /api/admin/coupons
+ * @desc    Create a coupon
+ * @access  Private (Admin role required)
+ * @body    { code, type, value?, currency?, min_subtotal?, applies_to?, category_ids?, product_ids?, starts_at?, ends_at?, usage_limit?, usage_limit_per_customer?, description?, is_active? }
+ */
+router.post('/',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('COUPON_CREATE', 'COUPON'),
+  validate(createCouponSchema),
+  CouponController.createCoupon
+);
+
+/**
+ * @route   PATCH /api/admin/coupons/:id
+ * @desc    Update a coupon (set is_active to false to retire it)
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    Any coupon field
+ */
+router.patch('/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('COUPON_UPDATE', 'COUPON'),
+  validateParams(couponIdParamSchema),
+  validate(updateCouponSchema),
+  CouponController.updateCoupon
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  currencyPairParamSchema,
+  setExchangeRateSchema
+} = require('../validation/exchangeRateSchemas');
+
+// Import controllers
+const ExchangeRateController = require('../controllers/ExchangeRateController');
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    List exchange rates
+ * @access  Private (Finance or Admin role required)
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  ExchangeRateController.listRates
+);
+
+/**
+ * @route   PUT /api/admin/exchange-rates/:base/:quote
+ * @desc    Create or replace the rate for a currency pair (replaces the opposite direction too)
+ * @access  Private (Finance or Admin role required)
+ * @params  { base: currency, quote: currency }
+ * @body    { rate }
+ */
+router.put('/:base/:quote',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('EXCHANGE_RATE_SET', 'EXCHANGE_RATE'),
+  validateParams(currencyPairParamSchema),
+  validate(setExchangeRateSchema),
+  ExchangeRateController.setRate
+);
+
+/**
+ * @route   DELETE /api/admin/exchange-rates/:base/:quote
+ * @desc    Delete the rate for a currency pair
+ * @access  Private (Finance or Admin role required)
+ * @params  { base: currency, quote: currency }
+ */
+router.delete('/:base/:quote',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('EXCHANGE_RATE_DELETE', 'EXCHANGE_RATE'),
+  validateParams(currencyPairParamSchema),
+  ExchangeRateController.deleteRate
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  giftCardIdParamSchema,
+  issueGiftCardSchema,
+  updateGiftCardSchema,
+  giftCardListQuerySchema
+} = require('../validation/giftCardSchemas');
+
+// Import controllers
+const GiftCardController = require('../controllers/GiftCardController');
+
+/**
+ * @route   GET /api/admin/gift-cards
+ * @desc    List gift cards
+ * @access  Private (Finance, Support or Admin role required)
+ * @query   { page?, limit?, status?, currency? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  validateQuery(giftCardListQuerySchema),
+  GiftCardController.listGiftCards
+);
+
+/**
+ * @route   POST /api/admin/gift-cards
+ * @desc    Issue a gift card; the response carries the full code
+ * @access  Private (Finance or Admin role required)
+ * @body    { amount, currency, expires_at?, recipient_email?, note? }
+ */
+router.post('/',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('GIFT_CARD_ISSUE', 'GIFT_CARD'),
+  validate(issueGiftCardSchema),
+  GiftCardController.issueGiftCard
+);
+
+/**
+ * @route   GET /api/admin/gift-cards/:id
+ * @desc    Get a gift card with every balance movement
+ * @access  Private (Finance, Support or Admin role required)
+ * @params  { id }
+ */
+router.get('/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  validateParams(giftCardIdParamSchema),
+  GiftCardController.getGiftCard
+);
+
+/**
+ * @route   PATCH /api/admin/gift-cards/:id
+ * @desc    Disable, re-enable or change the expiry of a gift card
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { status?, expires_at?, note? }
+ */
+router.patch('/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('GIFT_CARD_UPDATE', 'GIFT_CARD'),
+  validateParams(giftCardIdParamSchema),
+  validate(updateGiftCardSchema),
+  GiftCardController.updateGiftCard
+);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  invoiceNumberParamSchema,
+  creditNoteNumberParamSchema,
+  invoiceListQuerySchema,
+  syncDocumentsSchema
+} = require('../validation/invoiceSchemas');
+
+// Import controllers
+const InvoiceController = require('../controllers/InvoiceController');
+
+/**
+ * @route   GET /api/admin/invoices
+ * @desc    List invoices in number order
+ * @access  Private (Finance, Support or Admin role required)
+ * @query   { page?, limit?, from?, to? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  auditAdminAction('INVOICES_VIEW', 'INVOICE'),
+  validateQuery(invoiceListQuerySchema),
+  InvoiceController.listInvoices
+);
+
+/**
+ * @route   POST /api/admin/invoices/sync
+ * @desc    Issue any missing invoice, credit notes or stored PDFs for a paid order
+ * @access  Private (Finance or Admin role required)
+ * @body    { order_number }
+ */
+router.post('/sync',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('INVOICE_SYNC', 'INVOICE'),
+  validate(syncDocumentsSchema),
+  InvoiceController.syncOrderDocuments
+);
+
+/**
+ * @route   GET /api/admin/invoices/credit-notes/:number/pdf
+ * @desc    Download a credit note as PDF
+ * @access  Private (Finance, Support or Admin role required)
+ * @params  { number: credit_note_number }
+ */
+router.get('/credit-notes/:number/pdf',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  validateParams(creditNoteNumberParamSchema),
+  InvoiceController.downloadCreditNote
+);
+
+/**
+ * @route   GET /api/admin/invoices/:number
+ * @desc    Get an invoice with its lines and credit notes
+ * @access  Private (Finance, Support or Admin role required)
+ * @params  { number: invoice_number }
+ */
+router.get('/:number',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  auditAdminAction('INVOICE_VIEW', 'INVOICE'),
+  validateParams(invoiceNumberParamSchema),
+  InvoiceController.getInvoice
+);
+
+/**
+ * @route   GET /api/admin/invoices/:number/pdf
+ * @desc    Download an invoice as PDF
+ * @access  Private (Finance, Support or Admin role required)
+ * @params  { number: invoice_number }
+ */
+router.get('/:number/pdf',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'SUPPORT', 'ADMIN'),
+  validateParams(invoiceNumberParamSchema),
+  InvoiceController.downloadInvoice
+);
+
+module.exports = router;
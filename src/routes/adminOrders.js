@@ -0,0 +1,123 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  orderNumberParamSchema,
+  shipmentParamSchema,
+  adminOrderListQuerySchema,
+  orderTransitionSchema,
+  createShipmentSchema
+} = require('../validation/orderSchemas');
+
+// Import controllers
+const OrderController = require('../controllers/OrderController');
+
+/**
+ * @route   GET /api/admin/orders
+ * @desc    List all orders, e.g. the warehouse queue of paid orders
+ * @access  Private (Support, Warehouse or Admin role required)
+ * @query   { page?, limit?, status? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'WAREHOUSE', 'ADMIN'),
+  auditAdminAction('ORDERS_VIEW', 'ORDER'),
+  validateQuery(adminOrderListQuerySchema),
+  OrderController.listAllOrders
+);
+
+/**
+ * @route   GET /api/admin/orders/:number
+ * @desc    Get an order with its full status history and shipments
+ * @access  Private (Support, Warehouse or Admin role required)
+ * @params  { number: order_number }
+ */
+router.get('/:number',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'WAREHOUSE', 'ADMIN'),
+  auditAdminAction('ORDER_VIEW', 'ORDER'),
+  validateParams(orderNumberParamSchema),
+  OrderController.getAnyOrder
+);
+
+/**
+ * @route   POST /api/admin/orders/:number/transition
+ * @desc    Move an order to the next fulfilment status
+ * @access  Private (Warehouse or Admin role required)
+ * @params  { number: order_number }
+ * @body    { status, note? }
+ */
+router.post('/:number/transition',
+  authenticateAccessToken,
+  requireRoles('WAREHOUSE', 'ADMIN'),
+  auditAdminAction('ORDER_STATUS_CHANGE', 'ORDER'),
+  validateParams(orderNumberParamSchema),
+  validate(orderTransitionSchema),
+  OrderController.transitionOrder
+);
+
+/**
+ * @route   POST /api/admin/orders/:number/shipments
+ * @desc    Record a parcel with its carrier, tracking number and items, or buy its label from the carrier
+ * @access  Private (Warehouse or Admin role required)
+ * @params  { number: order_number }
+ * @body    { carrier, tracking_number?, purchase_label?, service?, items: [{ order_item_id, qty }] }
+ */
+router.post('/:number/shipments',
+  authenticateAccessToken,
+  requireRoles('WAREHOUSE', 'ADMIN'),
+  auditAdminAction('SHIPMENT_CREATE', 'ORDER'),
+  validateParams(orderNumberParamSchema),
+  validate(createShipmentSchema),
+  OrderController.createShipment
+);
+
+/**
+ * @route   GET /api/admin/orders/:number/shipments/:shipmentId/label
+ * @desc    Download the carrier label bought for a parcel
+ * @access  Private (Warehouse or Admin role required)
+ * @params  { number: order_number, shipmentId }
+ */
+router.get('/:number/shipments/:shipmentId/label',
+  authenticateAccessToken,
+  requireRoles('WAREHOUSE', 'ADMIN'),
+  auditAdminAction('SHIPMENT_LABEL_VIEW', 'ORDER'),
+  validateParams(shipmentParamSchema),
+  OrderController.getShipmentLabel
+);
+
+/**
+ * @route   GET /api/admin/orders/:number/shipments/:shipmentId/tracking
+ * @desc    Get a parcel's tracking history from its carrier
+ * @access  Private (Support, Warehouse or Admin role required)
+ * @params  { number: order_number, shipmentId }
+ */
+router.get('/:number/shipments/:shipmentId/tracking',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'WAREHOUSE', 'ADMIN'),
+  auditAdminAction('SHIPMENT_TRACKING_VIEW', 'ORDER'),
+  validateParams(shipmentParamSchema),
+  OrderController.trackShipment
+);
+
+/**
+ * @route   POST /api/admin/orders/:number/shipments/:shipmentId/deliver
+ * @desc    Mark a parcel as delivered
+ * @access  Private (Warehouse or Admin role required)
+ * @params  { number: order_number, shipmentId }
+ */
+router.post('/:number/shipments/:shipmentId/deliver',
+  authenticateAccessToken,
+  requireRoles('WAREHOUSE', 'ADMIN'),
+  auditAdminAction('SHIPMENT_DELIVER', 'ORDER'),
+  validateParams(shipmentParamSchema),
+  OrderController.markShipmentDelivered
+);
+
+module.exports = router;
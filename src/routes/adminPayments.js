@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validateParams,
+  validateQuery,
+  webhookEventParamSchema,
+  webhookEventQuerySchema
+} = require('../validation/paymentSchemas');
+
+// Import controllers
+const PaymentWebhookController = require('../controllers/PaymentWebhookController');
+
+/**
+ * @route   GET /api/admin/payments/webhooks
+ * @desc    List stored payment webhook events (Admin only)
+ * @access  Private (Admin role required)
+ * @query   { page?, limit?, provider?, status?, event_type?, provider_payment_id? }
+ */
+router.get('/webhooks',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PAYMENT_WEBHOOKS_VIEW', 'PAYMENT_WEBHOOK_EVENT'),
+  validateQuery(webhookEventQuerySchema),
+  PaymentWebhookController.listEvents
+);
+
+/**
+ * @route   GET /api/admin/payments/webhooks/:id
+ * @desc    Get a stored payment webhook event with its raw payload (Admin only)
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.get('/webhooks/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PAYMENT_WEBHOOK_VIEW', 'PAYMENT_WEBHOOK_EVENT'),
+  validateParams(webhookEventParamSchema),
+  PaymentWebhookController.getEvent
+);
+
+/**
+ * @route   POST /api/admin/payments/webhooks/:id/replay
+ * @desc    Re-apply a stored payment webhook event (Admin only)
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.post('/webhooks/:id/replay',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PAYMENT_WEBHOOK_REPLAY', 'PAYMENT_WEBHOOK_EVENT'),
+  validateParams(webhookEventParamSchema),
+  PaymentWebhookController.replayEvent
+);
+
+module.exports = router;
@@ -20,7 +20,7 @@ const { uploadMultiple, validateUploadedFiles, getUploadInfo } = require('../mid
  * @route   POST /api/admin/products
  * @desc    Create a new product (Admin only)
  * @access  Private (Admin role required)
- * @body    { title, category_id, short_desc?, long_desc?, brand?, price, currency?, status?, sustainability_badges?, meta? }
+ * @body    { title, category_id, short_desc?, long_desc?, brand?, price, currency?, status?, tax_class_id?, sustainability_badges?, meta? }
  */
 router.post('/',
   authenticateAccessToken,
@@ -35,7 +35,7 @@ router.post('/',
  * @route   PUT /api/admin/products/:id
  * @desc    Update a product (Admin only)
  * @access  Private (Admin role required)
- * @body    { title?, category_id?, short_desc?, long_desc?, brand?, price?, currency?, status?, sustainability_badges?, meta? }
+ * @body    { title?, category_id?, short_desc?, long_desc?, brand?, price?, currency?, status?, tax_class_id?, sustainability_badges?, meta? }
  */
 router.put('/:id',
   authenticateAccessToken,
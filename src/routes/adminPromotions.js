@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  promotionIdParamSchema,
+  createPromotionSchema,
+  updatePromotionSchema,
+  promotionListQuerySchema
+} = require('../validation/promotionSchemas');
+
+// Import controllers
+const PromotionController = require('../controllers/PromotionController');
+
+/**
+ * @route   GET /api/admin/promotions
+ * @desc    List automatic promotions in evaluation order
+ * @access  Private (Admin role required)
+ * @query   { page?, limit?, is_active? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  validateQuery(promotionListQuerySchema),
+  PromotionController.listPromotions
+);
+
+/**
+ * @route   POST /api/admin/promotions
+ * @desc    Create an automatic promotion
+ * @access  Private (Admin role required)
+ * @body    { name, type, rules, currency?, applies_to?, category_ids?, product_ids?, priority?, exclusive?, starts_at?, ends_at?, description?, is_active? }
+ */
+router.post('/',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PROMOTION_CREATE', 'PROMOTION'),
+  validate(createPromotionSchema),
+  PromotionController.createPromotion
+);
+
+/**
+ * @route   PATCH /api/admin/promotions/:id
+ * @desc    Update an automatic promotion (set is_active to false to stop it)
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    Any promotion field
+ */
+router.patch('/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PROMOTION_UPDATE', 'PROMOTION'),
+  validateParams(promotionIdParamSchema),
+  validate(updatePromotionSchema),
+  PromotionController.updatePromotion
+);
+
+module.exports = router;
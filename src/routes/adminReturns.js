@@ -0,0 +1,107 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  approveReturnSchema,
+  rejectReturnSchema,
+  receiveReturnSchema,
+  returnIdParamSchema,
+  adminReturnListQuerySchema
+} = require('../validation/returnSchemas');
+
+// Import controllers
+const ReturnController = require('../controllers/ReturnController');
+
+/**
+ * @route   GET /api/admin/returns
+ * @desc    List return requests
+ * @access  Private (Support, Warehouse or Admin role required)
+ * @query   { page?, limit?, status?, refund_status? }
+ */
+router.get('/',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'WAREHOUSE', 'ADMIN'),
+  auditAdminAction('RETURNS_VIEW', 'RETURN_REQUEST'),
+  validateQuery(adminReturnListQuerySchema),
+  ReturnController.listAllReturns
+);
+
+/**
+ * @route   GET /api/admin/returns/:id
+ * @desc    Get a return request with its lines
+ * @access  Private (Support, Warehouse or Admin role required)
+ * @params  { id }
+ */
+router.get('/:id',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'WAREHOUSE', 'ADMIN'),
+  auditAdminAction('RETURN_VIEW', 'RETURN_REQUEST'),
+  validateParams(returnIdParamSchema),
+  ReturnController.getAnyReturn
+);
+
+/**
+ * @route   POST /api/admin/returns/:id/approve
+ * @desc    Approve a requested return and refund it
+ * @access  Private (Support or Admin role required)
+ * @params  { id }
+ * @body    { note? }
+ */
+router.post('/:id/approve',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'ADMIN'),
+  validateParams(returnIdParamSchema),
+  validate(approveReturnSchema),
+  ReturnController.approveReturn
+);
+
+/**
+ * @route   POST /api/admin/returns/:id/reject
+ * @desc    Reject a requested return
+ * @access  Private (Support or Admin role required)
+ * @params  { id }
+ * @body    { note }
+ */
+router.post('/:id/reject',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'ADMIN'),
+  validateParams(returnIdParamSchema),
+  validate(rejectReturnSchema),
+  ReturnController.rejectReturn
+);
+
+/**
+ * @route   POST /api/admin/returns/:id/receive
+ * @desc    Record receipt and condition of returned items; restockable items go back into inventory
+ * @access  Private (Warehouse or Admin role required)
+ * @params  { id }
+ * @body    { items: [{ return_item_id, condition }], note? }
+ */
+router.post('/:id/receive',
+  authenticateAccessToken,
+  requireRoles('WAREHOUSE', 'ADMIN'),
+  validateParams(returnIdParamSchema),
+  validate(receiveReturnSchema),
+  ReturnController.receiveReturn
+);
+
+/**
+ * @route   POST /api/admin/returns/:id/refund
+ * @desc    Retry a refund that failed when the return was approved
+ * @access  Private (Support or Admin role required)
+ * @params  { id }
+ */
+router.post('/:id/refund',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'ADMIN'),
+  validateParams(returnIdParamSchema),
+  ReturnController.retryRefund
+);
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  shippingIdParamSchema,
+  createShippingZoneSchema,
+  updateShippingZoneSchema,
+  createShippingMethodSchema,
+  updateShippingMethodSchema,
+  createShippingRateSchema,
+  updateShippingRateSchema,
+  createShippingBoxSchema,
+  updateShippingBoxSchema,
+  holidayIdParamSchema,
+  createBusinessCalendarSchema,
+  updateBusinessCalendarSchema,
+  addPublicHolidaysSchema
+} = require('../validation/shippingSchemas');
+
+// Import controllers
+const ShippingZoneController = require('../controllers/ShippingZoneController');
+
+/**
+ * @route   GET /api/admin/shipping/zones
+ * @desc    List shipping zones, active or not, with their regions
+ * @access  Private (Admin role required)
+ */
+router.get('/zones',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  ShippingZoneController.listZones
+);
+
+/**
+ * @route   POST /api/admin/shipping/zones
+ * @desc    Create a shipping zone with its regions; a new default zone takes over from the current one
+ * @access  Private (Admin role required)
+ * @body    { code, name, is_default?, is_active?, regions?: [{ country, state?, postal_code_from?, postal_code_to? }] }
+ */
+router.post('/zones',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_ZONE_CREATE', 'SHIPPING_ZONE'),
+  validate(createShippingZoneSchema),
+  ShippingZoneController.createZone
+);
+
+/**
+ * @route   GET /api/admin/shipping/zones/:id
+ * @desc    Get a shipping zone with its regions and its rates per method
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.get('/zones/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.getZone
+);
+
+/**
+ * @route   PATCH /api/admin/shipping/zones/:id
+ * @desc    Update a shipping zone; regions, when given, replace its regions
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { name?, is_default?: true, is_active?, regions? }
+ */
+router.patch('/zones/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_ZONE_UPDATE', 'SHIPPING_ZONE'),
+  validateParams(shippingIdParamSchema),
+  validate(updateShippingZoneSchema),
+  ShippingZoneController.updateZone
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/zones/:id
+ * @desc    Delete a shipping zone with its regions and rates; not the default zone
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.delete('/zones/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_ZONE_DELETE', 'SHIPPING_ZONE'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.deleteZone
+);
+
+/**
+ * @route   GET /api/admin/shipping/methods
+ * @desc    List shipping methods, active or not, in display order
+ * @access  Private (Admin role required)
+ */
+router.get('/methods',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  ShippingZoneController.listMethods
+);
+
+/**
+ * @route   POST /api/admin/shipping/methods
+ * @desc    Create a shipping method; it is offered in the zones given a rate for it
+ * @access  Private (Admin role required)
+ * @body    { code, name, description?, max_weight?, max_value?, volumetric_divisor?, cutoff_time?, handling_days?, sort_order?, is_active? }
+ */
+router.post('/methods',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_METHOD_CREATE', 'SHIPPING_METHOD'),
+  validate(createShippingMethodSchema),
+  ShippingZoneController.createMethod
+);
+
+/**
+ * @route   PATCH /api/admin/shipping/methods/:id
+ * @desc    Update a shipping method; the code cannot change
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { name?, description?, max_weight?, max_value?, volumetric_divisor?, cutoff_time?, handling_days?, sort_order?, is_active? }
+ */
+router.patch('/methods/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_METHOD_UPDATE', 'SHIPPING_METHOD'),
+  validateParams(shippingIdParamSchema),
+  validate(updateShippingMethodSchema),
+  ShippingZoneController.updateMethod
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/methods/:id
+ * @desc    Delete a shipping method that no zone has a rate for
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.delete('/methods/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_METHOD_DELETE', 'SHIPPING_METHOD'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.deleteMethod
+);
+
+/**
+ * @route   POST /api/admin/shipping/rates
+ * @desc    Offer a shipping method in a zone at a rate with weight and value bands
+ * @access  Private (Admin role required)
+ * @body    { zone_id, method_id, currency?, base_rate, min_charge?, free_shipping_threshold?, estimated_delivery?, transit_days_min?, transit_days_max?, is_active?, bands?: [{ basis, min_amount, max_amount?, flat_amount?, unit_rate? }] }
+ */
+router.post('/rates',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_RATE_CREATE', 'SHIPPING_RATE'),
+  validate(createShippingRateSchema),
+  ShippingZoneController.createRate
+);
+
+/**
+ * @route   PATCH /api/admin/shipping/rates/:id
+ * @desc    Update a shipping rate; bands, when given, replace its bands
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { currency?, base_rate?, min_charge?, free_shipping_threshold?, estimated_delivery?, transit_days_min?, transit_days_max?, is_active?, bands? }
+ */
+router.patch('/rates/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_RATE_UPDATE', 'SHIPPING_RATE'),
+  validateParams(shippingIdParamSchema),
+  validate(updateShippingRateSchema),
+  ShippingZoneController.updateRate
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/rates/:id
+ * @desc    Stop offering a shipping method in a zone
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.delete('/rates/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_RATE_DELETE', 'SHIPPING_RATE'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.deleteRate
+);
+
+/**
+ * @route   GET /api/admin/shipping/boxes
+ * @desc    List packing boxes, active or not
+ * @access  Private (Admin role required)
+ */
+router.get('/boxes',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  ShippingZoneController.listBoxes
+);
+
+/**
+ * @route   POST /api/admin/shipping/boxes
+ * @desc    Create a packing box that carts are packed into for shipping quotes
+ * @access  Private (Admin role required)
+ * @body    { code, name, inner_length, inner_width, inner_height, max_weight, tare_weight?, is_active? }
+ */
+router.post('/boxes',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_BOX_CREATE', 'SHIPPING_BOX'),
+  validate(createShippingBoxSchema),
+  ShippingZoneController.createBox
+);
+
+/**
+ * @route   PATCH /api/admin/shipping/boxes/:id
+ * @desc    Update a packing box; the code cannot change
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { name?, inner_length?, inner_width?, inner_height?, max_weight?, tare_weight?, is_active? }
+ */
+router.patch('/boxes/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_BOX_UPDATE', 'SHIPPING_BOX'),
+  validateParams(shippingIdParamSchema),
+  validate(updateShippingBoxSchema),
+  ShippingZoneController.updateBox
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/boxes/:id
+ * @desc    Delete a packing box
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.delete('/boxes/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('SHIPPING_BOX_DELETE', 'SHIPPING_BOX'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.deleteBox
+);
+
+/**
+ * @route   GET /api/admin/shipping/calendars
+ * @desc    List business calendars used for delivery dates
+ * @access  Private (Admin role required)
+ */
+router.get('/calendars',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  ShippingZoneController.listCalendars
+);
+
+/**
+ * @route   GET /api/admin/shipping/calendars/:id
+ * @desc    Get a business calendar with its public holidays
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.get('/calendars/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.getCalendar
+);
+
+/**
+ * @route   POST /api/admin/shipping/calendars
+ * @desc    Create a country's business calendar; countries without one have a Saturday and Sunday weekend
+ * @access  Private (Admin role required)
+ * @body    { country, name, weekend_days?, holidays?: [{ date, name }] }
+ */
+router.post('/calendars',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('BUSINESS_CALENDAR_CREATE', 'BUSINESS_CALENDAR'),
+  validate(createBusinessCalendarSchema),
+  ShippingZoneController.createCalendar
+);
+
+/**
+ * @route   PATCH /api/admin/shipping/calendars/:id
+ * @desc    Update a business calendar; the country cannot change
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { name?, weekend_days? }
+ */
+router.patch('/calendars/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('BUSINESS_CALENDAR_UPDATE', 'BUSINESS_CALENDAR'),
+  validateParams(shippingIdParamSchema),
+  validate(updateBusinessCalendarSchema),
+  ShippingZoneController.updateCalendar
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/calendars/:id
+ * @desc    Delete a business calendar with its public holidays
+ * @access  Private (Admin role required)
+ * @params  { id }
+ */
+router.delete('/calendars/:id',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('BUSINESS_CALENDAR_DELETE', 'BUSINESS_CALENDAR'),
+  validateParams(shippingIdParamSchema),
+  ShippingZoneController.deleteCalendar
+);
+
+/**
+ * @route   POST /api/admin/shipping/calendars/:id/holidays
+ * @desc    Add public holidays to a business calendar; a date it already has is renamed
+ * @access  Private (Admin role required)
+ * @params  { id }
+ * @body    { holidays: [{ date, name }] }
+ */
+router.post('/calendars/:id/holidays',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PUBLIC_HOLIDAY_CREATE', 'BUSINESS_CALENDAR'),
+  validateParams(shippingIdParamSchema),
+  validate(addPublicHolidaysSchema),
+  ShippingZoneController.addHolidays
+);
+
+/**
+ * @route   DELETE /api/admin/shipping/calendars/:id/holidays/:holidayId
+ * @desc    Remove a public holiday from a business calendar
+ * @access  Private (Admin role required)
+ * @params  { id, holidayId }
+ */
+router.delete('/calendars/:id/holidays/:holidayId',
+  authenticateAccessToken,
+  requireRoles('ADMIN'),
+  auditAdminAction('PUBLIC_HOLIDAY_DELETE', 'BUSINESS_CALENDAR'),
+  validateParams(holidayIdParamSchema),
+  ShippingZoneController.deleteHoliday
+);
+
+module.exports = router;
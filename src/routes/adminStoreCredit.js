@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  storeCreditUserParamSchema,
+  grantStoreCreditSchema
+} = require('../validation/storeCreditSchemas');
+
+// Import controllers
+const StoreCreditController = require('../controllers/StoreCreditController');
+
+/**
+ * @route   GET /api/admin/store-credit/:userId
+ * @desc    Get a customer's store credit with recent activity
+ * @access  Private (Support, Finance or Admin role required)
+ * @params  { userId }
+ */
+router.get('/:userId',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'FINANCE', 'ADMIN'),
+  validateParams(storeCreditUserParamSchema),
+  StoreCreditController.getUserWallets
+);
+
+/**
+ * @route   POST /api/admin/store-credit/:userId
+ * @desc    Grant store credit to a customer, e.g. goodwill on a return
+ * @access  Private (Support or Admin role required)
+ * @params  { userId }
+ * @body    { amount, currency, note, order_number? }
+ */
+router.post('/:userId',
+  authenticateAccessToken,
+  requireRoles('SUPPORT', 'ADMIN'),
+  auditAdminAction('STORE_CREDIT_GRANT', 'STORE_CREDIT'),
+  validateParams(storeCreditUserParamSchema),
+  validate(grantStoreCreditSchema),
+  StoreCreditController.grantCredit
+);
+
+module.exports = router;
@@ -0,0 +1,301 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken, requireRoles } = require('../middleware/auth');
+const { auditAdminAction } = require('../middleware/audit');
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  taxIdParamSchema,
+  taxJurisdictionQuerySchema,
+  createTaxJurisdictionSchema,
+  updateTaxJurisdictionSchema,
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  createTaxClassSchema,
+  updateTaxClassSchema,
+  taxExemptionQuerySchema,
+  approveTaxExemptionSchema,
+  reviewTaxExemptionSchema
+} = require('../validation/taxSchemas');
+
+// Import controllers
+const TaxRateController = require('../controllers/TaxRateController');
+const TaxExemptionController = require('../controllers/TaxExemptionController');
+
+// CSV imports are sent as the raw request body
+const parseCsvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' });
+
+/**
+ * @route   GET /api/admin/tax/jurisdictions
+ * @desc    List tax jurisdictions with the rate in effect now
+ * @access  Private (Finance or Admin role required)
+ * @query   { country? }
+ */
+router.get('/jurisdictions',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  validateQuery(taxJurisdictionQuerySchema),
+  TaxRateController.listJurisdictions
+);
+
+/**
+ * @route   POST /api/admin/tax/jurisdictions
+ * @desc    Create a tax jurisdiction for a country, or a state or province of it
+ * @access  Private (Finance or Admin role required)
+ * @body    { country, state?, name }
+ */
+router.post('/jurisdictions',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_JURISDICTION_CREATE', 'TAX_JURISDICTION'),
+  validate(createTaxJurisdictionSchema),
+  TaxRateController.createJurisdiction
+);
+
+/**
+ * @route   GET /api/admin/tax/jurisdictions/:id
+ * @desc    Get a tax jurisdiction with all its rates, newest first
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.get('/jurisdictions/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  validateParams(taxIdParamSchema),
+  TaxRateController.getJurisdiction
+);
+
+/**
+ * @route   PATCH /api/admin/tax/jurisdictions/:id
+ * @desc    Rename a tax jurisdiction
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { name }
+ */
+router.patch('/jurisdictions/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_JURISDICTION_UPDATE', 'TAX_JURISDICTION'),
+  validateParams(taxIdParamSchema),
+  validate(updateTaxJurisdictionSchema),
+  TaxRateController.updateJurisdiction
+);
+
+/**
+ * @route   DELETE /api/admin/tax/jurisdictions/:id
+ * @desc    Delete a tax jurisdiction that has no rates or exemptions
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.delete('/jurisdictions/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_JURISDICTION_DELETE', 'TAX_JURISDICTION'),
+  validateParams(taxIdParamSchema),
+  TaxRateController.deleteJurisdiction
+);
+
+/**
+ * @route   POST /api/admin/tax/rates/import
+ * @desc    Import tax rates from CSV (country,state,jurisdiction_name,tax_class,name,rate,effective_from,effective_to); all or nothing
+ * @access  Private (Finance or Admin role required)
+ * @headers { Content-Type: text/csv }
+ */
+router.post('/rates/import',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_RATE_IMPORT', 'TAX_RATE'),
+  parseCsvBody,
+  TaxRateController.importRates
+);
+
+/**
+ * @route   POST /api/admin/tax/rates
+ * @desc    Add a tax rate; an open-ended rate of the same jurisdiction and class ends where the new one starts
+ * @access  Private (Finance or Admin role required)
+ * @body    { jurisdiction_id, tax_class_id?, name, rate, effective_from, effective_to? }
+ */
+router.post('/rates',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_RATE_CREATE', 'TAX_RATE'),
+  validate(createTaxRateSchema),
+  TaxRateController.createRate
+);
+
+/**
+ * @route   PATCH /api/admin/tax/rates/:id
+ * @desc    Change a tax rate; once in effect only its name and end date can change
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { name?, rate?, effective_from?, effective_to? }
+ */
+router.patch('/rates/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_RATE_UPDATE', 'TAX_RATE'),
+  validateParams(taxIdParamSchema),
+  validate(updateTaxRateSchema),
+  TaxRateController.updateRate
+);
+
+/**
+ * @route   DELETE /api/admin/tax/rates/:id
+ * @desc    Delete a tax rate that has not started yet
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.delete('/rates/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_RATE_DELETE', 'TAX_RATE'),
+  validateParams(taxIdParamSchema),
+  TaxRateController.deleteRate
+);
+
+/**
+ * @route   GET /api/admin/tax/classes
+ * @desc    List tax classes
+ * @access  Private (Finance or Admin role required)
+ */
+router.get('/classes',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  TaxRateController.listTaxClasses
+);
+
+/**
+ * @route   POST /api/admin/tax/classes
+ * @desc    Create a tax class for reduced or zero-rated goods
+ * @access  Private (Finance or Admin role required)
+ * @body    { code, name, description? }
+ */
+router.post('/classes',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_CLASS_CREATE', 'TAX_CLASS'),
+  validate(createTaxClassSchema),
+  TaxRateController.createTaxClass
+);
+
+/**
+ * @route   PATCH /api/admin/tax/classes/:id
+ * @desc    Rename or describe a tax class
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { name?, description? }
+ */
+router.patch('/classes/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_CLASS_UPDATE', 'TAX_CLASS'),
+  validateParams(taxIdParamSchema),
+  validate(updateTaxClassSchema),
+  TaxRateController.updateTaxClass
+);
+
+/**
+ * @route   DELETE /api/admin/tax/classes/:id
+ * @desc    Delete a tax class no rate, product, category or order line uses
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.delete('/classes/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_CLASS_DELETE', 'TAX_CLASS'),
+  validateParams(taxIdParamSchema),
+  TaxRateController.deleteTaxClass
+);
+
+/**
+ * @route   GET /api/admin/tax/exemptions
+ * @desc    List customer tax exemptions, oldest first, to work through the review queue
+ * @access  Private (Finance or Admin role required)
+ * @query   { status?, user_id?, page?, limit? }
+ */
+router.get('/exemptions',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  validateQuery(taxExemptionQuerySchema),
+  TaxExemptionController.listExemptions
+);
+
+/**
+ * @route   GET /api/admin/tax/exemptions/:id
+ * @desc    Get a customer tax exemption
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.get('/exemptions/:id',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  validateParams(taxIdParamSchema),
+  TaxExemptionController.getExemption
+);
+
+/**
+ * @route   GET /api/admin/tax/exemptions/:id/certificate
+ * @desc    Download the certificate the customer submitted
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ */
+router.get('/exemptions/:id/certificate',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  validateParams(taxIdParamSchema),
+  TaxExemptionController.downloadCertificate
+);
+
+/**
+ * @route   POST /api/admin/tax/exemptions/:id/approve
+ * @desc    Approve a pending exemption; the jurisdiction's tax is waived at checkout until it expires
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { jurisdiction_id, expires_at, note? }
+ */
+router.post('/exemptions/:id/approve',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_EXEMPTION_APPROVE', 'TAX_EXEMPTION'),
+  validateParams(taxIdParamSchema),
+  validate(approveTaxExemptionSchema),
+  TaxExemptionController.approveExemption
+);
+
+/**
+ * @route   POST /api/admin/tax/exemptions/:id/reject
+ * @desc    Reject a pending exemption
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { note }
+ */
+router.post('/exemptions/:id/reject',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_EXEMPTION_REJECT', 'TAX_EXEMPTION'),
+  validateParams(taxIdParamSchema),
+  validate(reviewTaxExemptionSchema),
+  TaxExemptionController.rejectExemption
+);
+
+/**
+ * @route   POST /api/admin/tax/exemptions/:id/revoke
+ * @desc    Revoke an approved exemption; checkouts already priced with it keep it
+ * @access  Private (Finance or Admin role required)
+ * @params  { id }
+ * @body    { note }
+ */
+router.post('/exemptions/:id/revoke',
+  authenticateAccessToken,
+  requireRoles('FINANCE', 'ADMIN'),
+  auditAdminAction('TAX_EXEMPTION_REVOKE', 'TAX_EXEMPTION'),
+  validateParams(taxIdParamSchema),
+  validate(reviewTaxExemptionSchema),
+  TaxExemptionController.revokeExemption
+);
+
+module.exports = router;
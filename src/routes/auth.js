@@ -10,6 +10,7 @@ const {
   refreshSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  verifyEmailSchema,
   enable2FASchema,
   disable2FASchema
 } = require('../validation/authSchemas');
@@ -107,11 +108,12 @@ router.post('/reset-password',
 
 /**
  * @route   POST /auth/verify-email
- * @desc    Verify email address (stub for future implementation)
+ * @desc    Verify email address through the emailed link and attach guest orders placed with it
  * @access  Public
  * @body    { token }
  */
 router.post('/verify-email',
+  validate(verifyEmailSchema),
   async (req, res) => {
     await AuthController.verifyEmail(req, res);
   }
@@ -8,10 +8,12 @@ const {
   addItemSchema, 
   updateItemSchema, 
   mergeCartSchema, 
+  couponSchema,
   cartQuerySchema 
 } = require('../validation/cartSchemas');
 const { authenticateAccessToken } = require('../middleware/auth');
 const { rateLimiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 
 // Import controllers
 const CartController = require('../controllers/CartController');
@@ -46,9 +48,11 @@ router.get('/',
  * @access  Public (with optional authentication)
  * @body    { sku, qty }
  * @query   { cart_token? }
+ * @headers { Idempotency-Key? }
  */
 router.post('/items',
   rateLimiters.public,
+  idempotency(),
   validate(addItemSchema),
   CartController.addItem
 );
@@ -108,6 +112,34 @@ router.post('/reprice',
   CartController.repriceCart
 );
 
+/**
+ * @route   POST /api/cart/coupons
+ * @desc    Apply a coupon code to the cart
+ * @access  Public (with optional authentication)
+ * @body    { code }
+ * @query   { cart_token? }
+ */
+router.post('/coupons',
+  rateLimiters.public,
+  validateQuery(cartQuerySchema),
+  validate(couponSchema),
+  CartController.applyCoupon
+);
+
+/**
+ * @route   DELETE /api/cart/coupons
+ * @desc    Remove a coupon code from the cart
+ * @access  Public (with optional authentication)
+ * @body    { code }
+ * @query   { cart_token? }
+ */
+router.delete('/coupons',
+  rateLimiters.public,
+  validateQuery(cartQuerySchema),
+  validate(couponSchema),
+  CartController.removeCoupon
+);
+
 /**
  * @route   DELETE /api/cart
  * @desc    Clear cart (remove all items)
@@ -5,14 +5,21 @@ const router = express.Router();
 const { 
   validate, 
   validateParams, 
+  validateQuery,
   createCheckoutSessionSchema, 
   getCheckoutSessionSchema,
+  checkoutSessionQuerySchema,
+  extendCheckoutSessionSchema,
+  payCheckoutSchema,
+  applyTenderSchema,
+  checkoutTenderParamSchema,
   shippingMethodsSchema,
   shippingCostSchema,
   taxCalculationSchema
 } = require('../validation/checkoutSchemas');
-const { authenticateAccessToken } = require('../middleware/auth');
+const { authenticateAccessToken, optionalAccessToken } = require('../middleware/auth');
 const { rateLimiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
 
 // Import controllers
 const CheckoutController = require('../controllers/CheckoutController');
@@ -21,10 +28,13 @@ const CheckoutController = require('../controllers/CheckoutController');
  * @route   POST /api/checkout/session
  * @desc    Create checkout session with address capture, pricing, and stock reservation
  * @access  Public (with optional authentication)
- * @body    { cart_id, shipping_address, billing_address, shipping_method }
+ * @body    { cart_id, cart_token? (guests), guest_info?: { email }, shipping_address, billing_address, shipping_method }
+ * @headers { Idempotency-Key? }
  */
 router.post('/session',
   rateLimiters.public,
+  optionalAccessToken,
+  idempotency(),
   validate(createCheckoutSessionSchema),
   CheckoutController.createSession
 );
@@ -34,13 +44,31 @@ router.post('/session',
  * @desc    Get checkout session details
  * @access  Public (with optional authentication)
  * @params  { id: checkout_id }
+ * @query   { cart_token? (guests) }
  */
 router.get('/session/:id',
   rateLimiters.public,
+  optionalAccessToken,
   validateParams(getCheckoutSessionSchema),
+  validateQuery(checkoutSessionQuerySchema),
   CheckoutController.getSession
 );
 
+/**
+ * @route   POST /api/checkout/session/:id/extend
+ * @desc    Heartbeat: hold the session and its stock reservations a few more minutes while the shopper pays
+ * @access  Public (with optional authentication; guests send their cart token)
+ * @params  { id: checkout_id }
+ * @body    { cart_token? }
+ */
+router.post('/session/:id/extend',
+  rateLimiters.public,
+  optionalAccessToken,
+  validateParams(getCheckoutSessionSchema),
+  validate(extendCheckoutSessionSchema),
+  CheckoutController.extendSession
+);
+
 /**
  * @route   POST /api/checkout/session/:id/release
  * @desc    Release stock reservations for expired checkout session
@@ -55,7 +83,7 @@ router.post('/session/:id/release',
 
 /**
  * @route   POST /api/checkout/session/:id/confirm
- * @desc    Confirm stock reservations when order is placed
+ * @desc    Confirm stock reservations and place the order
  * @access  Private (authentication required)
  * @params  { id: checkout_id }
  */
@@ -66,11 +94,58 @@ router.post('/session/:id/confirm',
   CheckoutController.confirmReservations
 );
 
+/**
+ * @route   POST /api/checkout/session/:id/tenders
+ * @desc    Put a gift card or store credit toward the grand total (applying the same one again replaces its amount)
+ * @access  Public (with optional authentication; store credit needs a signed-in customer)
+ * @params  { id: checkout_id }
+ * @body    { cart_token?, type: gift_card|store_credit, code? (gift cards), amount? }
+ */
+router.post('/session/:id/tenders',
+  rateLimiters.public,
+  optionalAccessToken,
+  validateParams(getCheckoutSessionSchema),
+  validate(applyTenderSchema),
+  CheckoutController.addTender
+);
+
+/**
+ * @route   DELETE /api/checkout/session/:id/tenders/:tenderId
+ * @desc    Take a gift card or store credit off the checkout
+ * @access  Public (with optional authentication; guests send their cart token)
+ * @params  { id: checkout_id, tenderId }
+ * @query   { cart_token? (guests) }
+ */
+router.delete('/session/:id/tenders/:tenderId',
+  rateLimiters.public,
+  optionalAccessToken,
+  validateParams(checkoutTenderParamSchema),
+  validateQuery(checkoutSessionQuerySchema),
+  CheckoutController.removeTender
+);
+
+/**
+ * @route   POST /api/checkout/session/:id/pay
+ * @desc    Pay for checkout session; completes the checkout and places the order, or marks it failed
+ * @access  Public (with optional authentication; guests send their cart token)
+ * @params  { id: checkout_id }
+ * @body    { cart_token?, provider?, method (unless gift cards and store credit cover the total), card? | upi? }
+ * @headers { Idempotency-Key? }
+ */
+router.post('/session/:id/pay',
+  rateLimiters.public,
+  optionalAccessToken,
+  idempotency(),
+  validateParams(getCheckoutSessionSchema),
+  validate(payCheckoutSchema),
+  CheckoutController.pay
+);
+
 /**
  * @route   POST /api/checkout/shipping-methods
- * @desc    Get available shipping methods for an address
+ * @desc    Get available shipping methods for an address, with delivery dates
  * @access  Public
- * @body    { shipping_address, cart_items }
+ * @body    { shipping_address, cart_items, currency? }
  */
 router.post('/shipping-methods',
   rateLimiters.public,
@@ -92,12 +167,13 @@ router.post('/shipping-cost',
 
 /**
  * @route   POST /api/checkout/tax
- * @desc    Calculate tax for address and items
- * @access  Public
- * @body    { shipping_address, cart_items, currency?, customer_info? }
+ * @desc    Calculate tax for address and items, with the signed-in customer's approved tax exemptions
+ * @access  Public (authentication optional)
+ * @body    { shipping_address, cart_items, currency? }
  */
 router.post('/tax',
   rateLimiters.public,
+  optionalAccessToken,
   validate(taxCalculationSchema),
   CheckoutController.calculateTax
 );
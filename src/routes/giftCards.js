@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  validateParams,
+  giftCardCodeParamSchema
+} = require('../validation/giftCardSchemas');
+const { rateLimiters } = require('../middleware/rateLimiter');
+
+// Import controllers
+const GiftCardController = require('../controllers/GiftCardController');
+
+/**
+ * @route   GET /api/gift-cards/:code
+ * @desc    Check the balance and expiry of a gift card
+ * @access  Public (strictly rate limited so codes cannot be guessed)
+ * @params  { code }
+ */
+router.get('/:code',
+  rateLimiters.auth,
+  validateParams(giftCardCodeParamSchema),
+  GiftCardController.getBalance
+);
+
+module.exports = router;
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  orderNumberParamSchema,
+  orderListQuerySchema,
+  cancelOrderSchema,
+  guestOrderLinkSchema,
+  guestOrderQuerySchema,
+  claimGuestOrdersSchema
+} = require('../validation/orderSchemas');
+const {
+  validateParams: validateInvoiceParams,
+  orderCreditNoteParamSchema
+} = require('../validation/invoiceSchemas');
+const { authenticateAccessToken } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+const { idempotency } = require('../middleware/idempotency');
+
+// Import controllers
+const OrderController = require('../controllers/OrderController');
+const InvoiceController = require('../controllers/InvoiceController');
+
+/**
+ * @route   GET /api/orders
+ * @desc    List orders placed by the authenticated user
+ * @access  Private (authentication required)
+ * @query   { page?, limit? }
+ */
+router.get('/',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateQuery(orderListQuerySchema),
+  OrderController.listOrders
+);
+
+/**
+ * @route   POST /api/orders/guest/link
+ * @desc    Email a guest a signed, expiring link to their order; always answers the same way
+ * @access  Public
+ * @body    { order_number, email }
+ */
+router.post('/guest/link',
+  rateLimiters.auth,
+  validate(guestOrderLinkSchema),
+  OrderController.requestGuestOrderLink
+);
+
+/**
+ * @route   GET /api/orders/guest/:number
+ * @desc    Get a guest order through the token from its emailed link
+ * @access  Public (link token required)
+ * @params  { number: order_number }
+ * @query   { token }
+ */
+router.get('/guest/:number',
+  rateLimiters.public,
+  validateParams(orderNumberParamSchema),
+  validateQuery(guestOrderQuerySchema),
+  OrderController.getGuestOrder
+);
+
+/**
+ * @route   POST /api/orders/guest/:number/claim
+ * @desc    Attach the guest orders placed with the customer's email, proven by an emailed order link
+ * @access  Private (authentication required; link token required)
+ * @params  { number: order_number }
+ * @body    { token }
+ */
+router.post('/guest/:number/claim',
+  rateLimiters.auth,
+  authenticateAccessToken,
+  validateParams(orderNumberParamSchema),
+  validate(claimGuestOrdersSchema),
+  OrderController.claimGuestOrders
+);
+
+/**
+ * @route   GET /api/orders/:number
+ * @desc    Get order details with line items
+ * @access  Private (authentication required)
+ * @params  { number: order_number }
+ */
+router.get('/:number',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(orderNumberParamSchema),
+  OrderController.getOrder
+);
+
+/**
+ * @route   POST /api/orders/:number/cancel
+ * @desc    Cancel all or part of an order before fulfilment starts; restocks and voids or refunds the payment
+ * @access  Private (authentication required)
+ * @params  { number: order_number }
+ * @body    { items?: [{ order_item_id, qty }], reason? }
+ * @headers { Idempotency-Key? }
+ */
+router.post('/:number/cancel',
+  rateLimiters.public,
+  authenticateAccessToken,
+  idempotency(),
+  validateParams(orderNumberParamSchema),
+  validate(cancelOrderSchema),
+  OrderController.cancelOrder
+);
+
+/**
+ * @route   GET /api/orders/:number/documents
+ * @desc    List the order's invoice and credit notes
+ * @access  Private (authentication required)
+ * @params  { number: order_number }
+ */
+router.get('/:number/documents',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(orderNumberParamSchema),
+  InvoiceController.listOrderDocuments
+);
+
+/**
+ * @route   GET /api/orders/:number/invoice
+ * @desc    Download the order's invoice as PDF
+ * @access  Private (authentication required)
+ * @params  { number: order_number }
+ */
+router.get('/:number/invoice',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(orderNumberParamSchema),
+  InvoiceController.downloadOrderInvoice
+);
+
+/**
+ * @route   GET /api/orders/:number/credit-notes/:creditNoteNumber
+ * @desc    Download one of the order's credit notes as PDF
+ * @access  Private (authentication required)
+ * @params  { number: order_number, creditNoteNumber }
+ */
+router.get('/:number/credit-notes/:creditNoteNumber',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateInvoiceParams(orderCreditNoteParamSchema),
+  InvoiceController.downloadOrderCreditNote
+);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const {
+  validate,
+  validateParams,
+  validateQuery,
+  createReturnSchema,
+  rmaNumberParamSchema,
+  returnListQuerySchema
+} = require('../validation/returnSchemas');
+const { authenticateAccessToken } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+
+// Import controllers
+const ReturnController = require('../controllers/ReturnController');
+
+/**
+ * @route   POST /api/returns
+ * @desc    Open a return request against lines of an order
+ * @access  Private (authentication required)
+ * @body    { order_number, items: [{ order_item_id, qty, reason }], note? }
+ */
+router.post('/',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validate(createReturnSchema),
+  ReturnController.createReturn
+);
+
+/**
+ * @route   GET /api/returns
+ * @desc    List returns opened by the authenticated user
+ * @access  Private (authentication required)
+ * @query   { page?, limit? }
+ */
+router.get('/',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateQuery(returnListQuerySchema),
+  ReturnController.listReturns
+);
+
+/**
+ * @route   GET /api/returns/:rma_number
+ * @desc    Get return details with lines and refund status
+ * @access  Private (authentication required)
+ * @params  { rma_number }
+ */
+router.get('/:rma_number',
+  rateLimiters.public,
+  authenticateAccessToken,
+  validateParams(rmaNumberParamSchema),
+  ReturnController.getReturn
+);
+
+module.exports = router;
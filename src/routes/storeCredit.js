@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { authenticateAccessToken } = require('../middleware/auth');
+const { rateLimiters } = require('../middleware/rateLimiter');
+
+// Import controllers
+const StoreCreditController = require('../controllers/StoreCreditController');
+
+/**
+ * @route   GET /api/store-credit
+ * @desc    Get the authenticated user's store credit, one wallet per currency, with recent activity
+ * @access  Private (authentication required)
+ */
+router.get('/',
+  rateLimiters.public,
+  authenticateAccessToken,
+  StoreCreditController.getMyWallets
+);
+
+module.exports = router;
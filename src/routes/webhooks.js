@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+
+// Import middleware
+const { validateParams, webhookProviderParamSchema } = require('../validation/paymentSchemas');
+
+// Import controllers
+const PaymentWebhookController = require('../controllers/PaymentWebhookController');
+
+/**
+ * @route   POST /api/webhooks/payments/:provider
+ * @desc    Receive a signed payment provider webhook; events are stored and applied exactly once
+ * @access  Public (authenticated by the provider's HMAC signature)
+ * @params  { provider }
+ */
+router.post('/payments/:provider',
+  validateParams(webhookProviderParamSchema),
+  PaymentWebhookController.receive
+);
+
+module.exports = router;
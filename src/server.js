@@ -19,12 +19,30 @@ const productsRoutes = require('./routes/products');
 const searchRoutes = require('./routes/search');
 const cartRoutes = require('./routes/cart');
 const checkoutRoutes = require('./routes/checkout');
+const orderRoutes = require('./routes/orders');
+const webhookRoutes = require('./routes/webhooks');
+const adminPaymentsRoutes = require('./routes/adminPayments');
+const returnRoutes = require('./routes/returns');
+const adminReturnsRoutes = require('./routes/adminReturns');
+const adminOrdersRoutes = require('./routes/adminOrders');
+const adminInvoicesRoutes = require('./routes/adminInvoices');
+const adminExchangeRatesRoutes = require('./routes/adminExchangeRates');
+const adminCouponsRoutes = require('./routes/adminCoupons');
+const adminPromotionsRoutes = require('./routes/adminPromotions');
+const adminGiftCardsRoutes = require('./routes/adminGiftCards');
+const adminStoreCreditRoutes = require('./routes/adminStoreCredit');
+const adminTaxRoutes = require('./routes/adminTax');
+const adminShippingRoutes = require('./routes/adminShipping');
+const giftCardRoutes = require('./routes/giftCards');
+const storeCreditRoutes = require('./routes/storeCredit');
+const accountRoutes = require('./routes/account');
 const docsRoutes = require('./routes/docs');
 const openapiRoutes = require('./routes/openapi');
 const bunnyTestRoutes = require('./routes/bunnyTest');
 const db = require('./database/models');
 const { getCheckoutCleanupService } = require('./services/CheckoutCleanupService');
 const { getCheckoutCleanupFallback } = require('./services/CheckoutCleanupFallback');
+const { getOrderEmailWorker } = require('./services/OrderEmailWorker');
 
 const app = express();
 
@@ -40,12 +58,20 @@ app.use(cors({
   origin: corsOrigins,
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-  exposedHeaders: ['Set-Cookie']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Set-Cookie', 'Idempotent-Replayed', 'X-Original-Request-ID']
 }));
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the unparsed body for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Cookie parser
@@ -71,11 +97,28 @@ app.use('/admin', rateLimiters.admin, adminRoutes);
 app.use('/api/admin/categories', rateLimiters.admin, adminCategoriesRoutes);
 app.use('/api/admin/products', rateLimiters.admin, adminProductsRoutes);
 app.use('/api/admin/search', rateLimiters.admin, adminSearchRoutes);
+app.use('/api/admin/payments', rateLimiters.admin, adminPaymentsRoutes);
+app.use('/api/admin/returns', rateLimiters.admin, adminReturnsRoutes);
+app.use('/api/admin/orders', rateLimiters.admin, adminOrdersRoutes);
+app.use('/api/admin/invoices', rateLimiters.admin, adminInvoicesRoutes);
+app.use('/api/admin/exchange-rates', rateLimiters.admin, adminExchangeRatesRoutes);
+app.use('/api/admin/coupons', rateLimiters.admin, adminCouponsRoutes);
+app.use('/api/admin/promotions', rateLimiters.admin, adminPromotionsRoutes);
+app.use('/api/admin/gift-cards', rateLimiters.admin, adminGiftCardsRoutes);
+app.use('/api/admin/store-credit', rateLimiters.admin, adminStoreCreditRoutes);
+app.use('/api/admin/tax', rateLimiters.admin, adminTaxRoutes);
+app.use('/api/admin/shipping', rateLimiters.admin, adminShippingRoutes);
 app.use('/api/categories', rateLimiters.public, categoriesRoutes);
 app.use('/api/products', rateLimiters.public, productsRoutes);
 app.use('/api/search', rateLimiters.search, searchRoutes);
 app.use('/api/cart', rateLimiters.public, cartRoutes);
 app.use('/api/checkout', rateLimiters.public, checkoutRoutes);
+app.use('/api/orders', rateLimiters.public, orderRoutes);
+app.use('/api/returns', rateLimiters.public, returnRoutes);
+app.use('/api/gift-cards', rateLimiters.public, giftCardRoutes);
+app.use('/api/store-credit', rateLimiters.public, storeCreditRoutes);
+app.use('/api/account', rateLimiters.public, accountRoutes);
+app.use('/api/webhooks', rateLimiters.webhook, webhookRoutes);
 app.use('/api', rateLimiters.general, docsRoutes);
 app.use('/api', rateLimiters.general, openapiRoutes);
 app.use('/api/test', rateLimiters.general, bunnyTestRoutes);
@@ -110,6 +153,7 @@ app.use((req, res) => {
 // Initialize cleanup service
 let cleanupService = null;
 let fallbackService = null;
+let orderEmailWorker = null;
 
 if (process.env.NODE_ENV !== 'test') {
   try {
@@ -136,6 +180,10 @@ if (process.env.NODE_ENV !== 'test') {
     fallbackService = getCheckoutCleanupFallback();
     fallbackService.start();
   }
+
+  // Order emails are queued in the database and sent in the background
+  orderEmailWorker = getOrderEmailWorker();
+  orderEmailWorker.start();
 }
 
 // Graceful shutdown handler
@@ -157,6 +205,10 @@ process.on('SIGTERM', async () => {
       logger.error('Error stopping fallback service:', error.message);
     }
   }
+
+  if (orderEmailWorker) {
+    orderEmailWorker.stop();
+  }
   
   process.exit(0);
 });
@@ -179,6 +231,10 @@ process.on('SIGINT', async () => {
       logger.error('Error stopping fallback service:', error.message);
     }
   }
+
+  if (orderEmailWorker) {
+    orderEmailWorker.stop();
+  }
   
   process.exit(0);
 });
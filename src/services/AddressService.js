@@ -0,0 +1,303 @@
+const { Op } = require('sequelize');
+const { Address, Checkout } = require('../database/models');
+const { logger } = require('../middleware/errorHandler');
+
+// Fields a customer can set on an address book entry
+const ADDRESS_FIELDS = ['label', 'name', 'phone', 'email', 'line1', 'line2', 'city', 'state', 'postal_code', 'country'];
+
+// Default flags; each one is held by at most one address per customer
+const DEFAULT_FLAGS = ['is_default_shipping', 'is_default_billing'];
+
+class AddressService {
+  /**
+   * List a customer's address book, defaults first
+   * @param {number} userId - User ID
+   * @returns {Promise<Object>} { addresses }
+   */
+  static async listAddresses(userId) {
+    const addresses = await Address.findAll({
+      where: {
+        user_id: userId,
+        in_address_book: true,
+        archived_at: null
+      },
+      order: [
+        ['is_default_shipping', 'DESC'],
+        ['is_default_billing', 'DESC'],
+        ['created_at', 'DESC']
+      ]
+    });
+
+    return {
+      addresses: addresses.map(address => address.getBookEntry())
+    };
+  }
+
+  /**
+   * Get an address book entry
+   * @param {number} userId - User ID
+   * @param {number} addressId - Address ID
+   * @returns {Promise<Object>} Address book entry
+   */
+  static async getAddress(userId, addressId) {
+    const address = await this.findBookAddress(userId, addressId);
+    return address.getBookEntry();
+  }
+
+  /**
+   * Add an address to a customer's address book
+   * The first address becomes the default for shipping and billing unless the customer says otherwise.
+   * @param {number} userId - User ID
+   * @param {Object} data - Address fields plus is_default_shipping? and is_default_billing?
+   * @returns {Promise<Object>} Address book entry
+   */
+  static async createAddress(userId, data) {
+    const transaction = await Address.sequelize.transaction();
+
+    try {
+      const existingCount = await Address.count({
+        where: {
+          user_id: userId,
+          in_address_book: true,
+          archived_at: null
+        },
+        transaction
+      });
+
+      const values = this.pickFields(data);
+      for (const flag of DEFAULT_FLAGS) {
+        values[flag] = data[flag] !== undefined ? data[flag] : existingCount === 0;
+      }
+
+      await this.clearDefaults(userId, values, null, transaction);
+
+      const address = await Address.create({
+        ...values,
+        user_id: userId,
+        type: null,
+        in_address_book: true
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info('Address added to address book', {
+        addressId: address.id,
+        userId
+      });
+
+      return address.getBookEntry();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Update an address book entry
+   * Checkouts keep pointing to the address as it was: when one uses it, the old row is archived
+   * and the changes are saved as a new entry, so the response may carry a new ID.
+   * @param {number} userId - User ID
+   * @param {number} addressId - Address ID
+   * @param {Object} data - Address fields and default flags to change
+   * @returns {Promise<Object>} Address book entry
+   */
+  static async updateAddress(userId, addressId, data) {
+    const transaction = await Address.sequelize.transaction();
+
+    try {
+      let address = await this.findBookAddress(userId, addressId, transaction);
+
+      const values = this.pickFields(data);
+      for (const flag of DEFAULT_FLAGS) {
+        if (data[flag] !== undefined) {
+          values[flag] = data[flag];
+        }
+      }
+
+      const changesAddress = Object.keys(values).some(field => !DEFAULT_FLAGS.includes(field) && field !== 'label');
+
+      if (changesAddress && await this.isReferenced(address.id, transaction)) {
+        const replacement = {
+          ...address.getSnapshot(),
+          label: address.label,
+          is_default_shipping: address.is_default_shipping,
+          is_default_billing: address.is_default_billing,
+          ...values
+        };
+
+        await address.update({
+          archived_at: new Date(),
+          is_default_shipping: false,
+          is_default_billing: false
+        }, { transaction });
+
+        await this.clearDefaults(userId, replacement, null, transaction);
+
+        address = await Address.create({
+          ...replacement,
+          user_id: userId,
+          type: null,
+          in_address_book: true
+        }, { transaction });
+      } else {
+        await this.clearDefaults(userId, values, address.id, transaction);
+        await address.update(values, { transaction });
+      }
+
+      await transaction.commit();
+
+      logger.info('Address book entry updated', {
+        addressId: address.id,
+        previousAddressId: addressId,
+        fields: Object.keys(values),
+        userId
+      });
+
+      return address.getBookEntry();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an address from a customer's address book
+   * Addresses that checkouts point to are archived instead of deleted, so past orders keep them.
+   * @param {number} userId - User ID
+   * @param {number} addressId - Address ID
+   * @returns {Promise<Object>} { archived }
+   */
+  static async deleteAddress(userId, addressId) {
+    const transaction = await Address.sequelize.transaction();
+
+    try {
+      const address = await this.findBookAddress(userId, addressId, transaction);
+      const archived = await this.isReferenced(address.id, transaction);
+
+      if (archived) {
+        await address.update({
+          archived_at: new Date(),
+          is_default_shipping: false,
+          is_default_billing: false
+        }, { transaction });
+      } else {
+        await address.destroy({ transaction });
+      }
+
+      await transaction.commit();
+
+      logger.info('Address removed from address book', {
+        addressId: address.id,
+        archived,
+        userId
+      });
+
+      return { archived };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve an address book entry referenced by a checkout
+   * @param {number|null} userId - User ID (null for guest)
+   * @param {number} addressId - Address ID
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Address>} Address instance
+   */
+  static async findForCheckout(userId, addressId, transaction) {
+    if (!userId) {
+      throw new Error('Sign in to use a saved address');
+    }
+
+    return await this.findBookAddress(userId, addressId, transaction);
+  }
+
+  /**
+   * Find a live address book entry owned by the customer, locked when in a transaction
+   * @param {number} userId - User ID
+   * @param {number} addressId - Address ID
+   * @param {Object} [transaction] - Database transaction
+   * @returns {Promise<Address>} Address instance
+   */
+  static async findBookAddress(userId, addressId, transaction = null) {
+    const address = await Address.findOne({
+      where: {
+        id: addressId,
+        user_id: userId,
+        in_address_book: true,
+        archived_at: null
+      },
+      ...(transaction && { lock: transaction.LOCK.UPDATE, transaction })
+    });
+
+    if (!address) {
+      throw new Error('Address not found');
+    }
+
+    return address;
+  }
+
+  /**
+   * Check whether any checkout, and so possibly an order, points to an address
+   * @param {number} addressId - Address ID
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<boolean>} True when the address must be kept
+   */
+  static async isReferenced(addressId, transaction) {
+    const count = await Checkout.count({
+      where: {
+        [Op.or]: [
+          { shipping_address_id: addressId },
+          { billing_address_id: addressId }
+        ]
+      },
+      transaction
+    });
+
+    return count > 0;
+  }
+
+  /**
+   * Take the default flags being set away from the customer's other addresses
+   * @param {number} userId - User ID
+   * @param {Object} values - Values being saved
+   * @param {number|null} exceptId - Address keeping its flags
+   * @param {Object} transaction - Database transaction
+   */
+  static async clearDefaults(userId, values, exceptId, transaction) {
+    for (const flag of DEFAULT_FLAGS) {
+      if (values[flag] !== true) {
+        continue;
+      }
+
+      const where = {
+        user_id: userId,
+        [flag]: true
+      };
+      if (exceptId) {
+        where.id = { [Op.ne]: exceptId };
+      }
+
+      await Address.update({ [flag]: false }, { where, transaction });
+    }
+  }
+
+  /**
+   * Copy the address fields present in a request
+   * @param {Object} data - Request data
+   * @returns {Object} Address fields
+   */
+  static pickFields(data) {
+    const values = {};
+    for (const field of ADDRESS_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+    return values;
+  }
+}
+
+module.exports = AddressService;
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../middleware/errorHandler');
 const db = require('../database/models');
@@ -6,6 +7,10 @@ const PasswordService = require('./PasswordService');
 const TwoFAService = require('./TwoFAService');
 const AuditService = require('./AuditService');
 const EmailService = require('./EmailService');
+const GuestOrderService = require('./GuestOrderService');
+
+// How long an emailed verification link stays valid
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48;
 
 class AuthService {
   constructor() {
@@ -91,6 +96,9 @@ class AuthService {
         });
       }
 
+      // Guest orders placed with this email are attached once the customer proves they own it
+      await this.sendEmailVerification(user);
+
       logger.info(`User registered successfully: ${email} with role: ${role}`, {
         userId: user.id,
         uuid: user.uuid,
@@ -309,6 +317,91 @@ class AuthService {
     }
   }
 
+  /**
+   * Email a signed link that verifies the user's email address
+   * Never fails the caller; the customer can still claim guest orders through an order link.
+   * @param {User} user - User
+   * @returns {Promise<boolean>} Whether the email was sent
+   */
+  async sendEmailVerification(user) {
+    try {
+      const expires = Math.floor(Date.now() / 1000) + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60;
+      const token = `${user.id}.${expires}.${this.signEmailVerification(user.id, user.email, expires)}`;
+
+      return await EmailService.sendEmailVerificationEmail(user.email, token, user.full_name);
+    } catch (error) {
+      logger.error('Failed to send email verification:', {
+        error: error.message,
+        userId: user.id
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Verify a user's email address through the token from an emailed link and attach their guest orders
+   * @param {string} token - Link token (userId.expiry.signature)
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} { message, guest_orders_attached }
+   */
+  async verifyEmail(token, context = {}) {
+    const [userId, expires, signature] = String(token).split('.');
+    const user = userId && expires && signature ? await db.User.findByPk(userId) : null;
+
+    if (!user) {
+      throw new Error('Invalid verification link');
+    }
+
+    // The signature covers the email, so a link stops working once the address changes
+    const expected = this.signEmailVerification(user.id, user.email, expires);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Invalid verification link');
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new Error('Verification link has expired');
+    }
+
+    if (!user.is_email_verified) {
+      await user.update({ is_email_verified: true });
+
+      await AuditService.logAuthEvent('EMAIL_VERIFIED', {
+        user_id: user.id,
+        email: user.email,
+        ip_address: context.ip,
+        user_agent: context.userAgent,
+        request_id: context.requestId
+      });
+    }
+
+    const attached = await GuestOrderService.attachGuestOrders(user);
+
+    return {
+      message: 'Email verified successfully',
+      guest_orders_attached: attached
+    };
+  }
+
+  /**
+   * Sign an email verification link; the signature covers the user, their email and the expiry
+   * @param {number} userId - User ID
+   * @param {string} email - Email being verified
+   * @param {number|string} expires - Expiry as a Unix timestamp
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  signEmailVerification(userId, email, expires) {
+    const secret = process.env.EMAIL_VERIFICATION_SECRET;
+    if (!secret) {
+      throw new Error('Email verification is not configured');
+    }
+
+    return crypto
+      .createHmac('sha256', secret)
+      .update(`${userId}:${email.trim().toLowerCase()}:${expires}`)
+      .digest('hex');
+  }
+
   /**
    * Initiate password reset process
    * @param {string} email - User email
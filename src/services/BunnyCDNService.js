@@ -71,6 +71,38 @@ class BunnyCDNService {
     }
   }
 
+  /**
+   * Download a file from Bunny CDN Storage (authenticated, bypasses the public CDN)
+   * @param {string} key - File path/key
+   * @returns {Promise<Buffer>} File contents
+   */
+  async downloadFile(key) {
+    if (!this.isConfigured()) {
+      throw new Error('Bunny CDN is not properly configured. Please check your environment variables.');
+    }
+
+    try {
+      const response = await axios.get(`${this.storageUrl}/${key}`, {
+        headers: {
+          'AccessKey': this.accessKey,
+        },
+        responseType: 'arraybuffer',
+        maxContentLength: Infinity,
+      });
+
+      return Buffer.from(response.data);
+    } catch (error) {
+      logger.error('Failed to download file from Bunny CDN:', {
+        error: error.message,
+        key,
+        storageUrl: this.storageUrl,
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+      });
+      throw new Error(`Bunny CDN download failed: ${error.message}`);
+    }
+  }
+
   /**
    * Delete a file from Bunny CDN Storage
    * @param {string} key - File path/key
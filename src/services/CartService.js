@@ -1,6 +1,9 @@
-const { Cart, CartItem, Product, Inventory, User } = require('../database/models');
+const { Cart, CartItem, CartCoupon, Coupon, Product, Inventory, User } = require('../database/models');
 const { Op } = require('sequelize');
 const { v4: uuidv4 } = require('uuid');
+const ExchangeRateService = require('./ExchangeRateService');
+const { pricesIncludeTax } = require('../config/currencies');
+const PromotionService = require('./PromotionService');
 
 class CartService {
   /**
@@ -80,6 +83,7 @@ class CartService {
           user_id: userId,
           cart_token: cartToken || uuidv4(),
           currency,
+          prices_include_tax: pricesIncludeTax(currency),
           status: 'active'
         }, { transaction });
       }
@@ -144,6 +148,9 @@ class CartService {
         transaction
       });
 
+      // Price the line in the cart's currency
+      const pricing = await this.priceLine(product.price, product.currency, cart.currency, transaction);
+
       if (cartItem) {
         // Update existing item
         const newQty = cartItem.qty + qty;
@@ -153,7 +160,7 @@ class CartService {
         
         await cartItem.update({
           qty: newQty,
-          unit_price: product.price // Update price to current price
+          ...pricing // Update price to current price
         }, { transaction });
       } else {
         // Create new cart item
@@ -162,12 +169,12 @@ class CartService {
           product_id: product.id,
           sku,
           qty,
-          unit_price: product.price
+          ...pricing
         }, { transaction });
       }
 
-      // Update cart totals
-      await cart.updateCartTotals();
+      // Update discounts and cart totals
+      await this.refreshTotals(cart, transaction);
 
       await transaction.commit();
       return cartItem;
@@ -227,13 +234,15 @@ class CartService {
       }
 
       // Update quantity and price
+      const pricing = await this.priceLine(cartItem.product.price, cartItem.product.currency, cart.currency, transaction);
+
       await cartItem.update({
         qty,
-        unit_price: cartItem.product.price // Update to current price
+        ...pricing // Update to current price
       }, { transaction });
 
-      // Update cart totals
-      await cart.updateCartTotals();
+      // Update discounts and cart totals
+      await this.refreshTotals(cart, transaction);
 
       await transaction.commit();
       return cartItem;
@@ -275,8 +284,8 @@ class CartService {
 
       await cartItem.destroy({ transaction });
 
-      // Update cart totals
-      await cart.updateCartTotals();
+      // Update discounts and cart totals
+      await this.refreshTotals(cart, transaction);
 
       await transaction.commit();
       return true;
@@ -290,11 +299,12 @@ class CartService {
    * Get cart with items
    * @param {number} cartId - Cart ID
    * @param {number|null} userId - User ID for authorization
+   * @param {string|null} cartToken - Cart token for guest users
    * @returns {Promise<Cart>}
    */
-  static async getCart(cartId, userId = null) {
+  static async getCart(cartId, userId = null, cartToken = null) {
     // Verify cart ownership
-    const cart = await this.verifyCartOwnership(cartId, userId);
+    const cart = await this.verifyCartOwnership(cartId, userId, cartToken);
     if (!cart) {
       throw new Error('Cart not found or access denied');
     }
@@ -317,6 +327,17 @@ class CartService {
               ]
             }
           ]
+        },
+        {
+          model: CartCoupon,
+          as: 'coupons',
+          include: [
+            {
+              model: Coupon,
+              as: 'coupon',
+              attributes: ['code', 'type', 'description']
+            }
+          ]
         }
       ]
     });
@@ -376,12 +397,28 @@ class CartService {
           user_id: userId,
           cart_token: uuidv4(),
           currency: guestCart.currency,
+          prices_include_tax: pricesIncludeTax(guestCart.currency),
           status: 'active'
         }, { transaction });
       }
 
       // Merge items from guest cart to user cart
       for (const guestItem of guestCart.items) {
+        // Keep the guest cart price, converted again if the user cart is in another currency
+        const pricing = guestCart.currency === userCart.currency
+          ? {
+            unit_price: guestItem.unit_price,
+            source_currency: guestItem.source_currency,
+            source_unit_price: guestItem.source_unit_price,
+            exchange_rate: guestItem.exchange_rate
+          }
+          : await this.priceLine(
+            guestItem.source_unit_price ?? guestItem.unit_price,
+            guestItem.source_currency || guestCart.currency,
+            userCart.currency,
+            transaction
+          );
+
         const existingItem = await CartItem.findOne({
           where: {
             cart_id: userCart.id,
@@ -394,7 +431,7 @@ class CartService {
           // Update quantity
           await existingItem.update({
             qty: existingItem.qty + guestItem.qty,
-            unit_price: guestItem.unit_price // Use guest cart price
+            ...pricing // Use guest cart price
           }, { transaction });
         } else {
           // Create new item
@@ -403,7 +440,7 @@ class CartService {
             product_id: guestItem.product_id,
             sku: guestItem.sku,
             qty: guestItem.qty,
-            unit_price: guestItem.unit_price
+            ...pricing
           }, { transaction });
         }
       }
@@ -411,8 +448,8 @@ class CartService {
       // Mark guest cart as converted
       await guestCart.update({ status: 'converted' }, { transaction });
 
-      // Update user cart totals
-      await userCart.updateCartTotals();
+      // Update user cart discounts and totals
+      await this.refreshTotals(userCart, transaction);
 
       await transaction.commit();
       return userCart;
@@ -423,7 +460,8 @@ class CartService {
   }
 
   /**
-   * Reprice cart items with current product prices
+   * Reprice cart items with current product prices and exchange rates
+   * The cart also takes up the current tax-inclusive setting of its currency; gross prices are not marked up with tax.
    * @param {number} cartId - Cart ID
    * @param {number|null} userId - User ID for authorization
    * @returns {Promise<Cart>}
@@ -452,15 +490,27 @@ class CartService {
 
       // Update prices for each item
       for (const item of cartItems) {
-        if (item.product && item.product.price !== item.unit_price) {
-          await item.update({
-            unit_price: item.product.price
-          }, { transaction });
+        if (!item.product) {
+          continue;
+        }
+
+        const pricing = await this.priceLine(item.product.price, item.product.currency, cart.currency, transaction);
+
+        if (parseFloat(item.unit_price) !== pricing.unit_price ||
+            parseFloat(item.exchange_rate) !== pricing.exchange_rate ||
+            parseFloat(item.source_unit_price) !== parseFloat(pricing.source_unit_price) ||
+            item.source_currency !== pricing.source_currency) {
+          await item.update(pricing, { transaction });
         }
       }
 
-      // Update cart totals
-      await cart.updateCartTotals();
+      const includesTax = pricesIncludeTax(cart.currency);
+      if (cart.prices_include_tax !== includesTax) {
+        await cart.update({ prices_include_tax: includesTax }, { transaction });
+      }
+
+      // Update discounts and cart totals
+      await this.refreshTotals(cart, transaction, cartItems);
 
       await transaction.commit();
       return cart;
@@ -492,8 +542,8 @@ class CartService {
         transaction
       });
 
-      // Update cart totals
-      await cart.updateCartTotals();
+      // Update discounts and cart totals
+      await this.refreshTotals(cart, transaction);
 
       await transaction.commit();
       return true;
@@ -542,6 +592,119 @@ class CartService {
     return result[0]; // Number of affected rows
   }
 
+  /**
+   * Apply a coupon code to the cart
+   * @param {number} cartId - Cart ID
+   * @param {string} code - Coupon code
+   * @param {number|null} userId - User ID for authorization
+   * @param {string|null} cartToken - Cart token for guest users
+   * @returns {Promise<Cart>} Cart with items and coupons
+   */
+  static async applyCoupon(cartId, code, userId = null, cartToken = null) {
+    const transaction = await Cart.sequelize.transaction();
+
+    try {
+      // Verify cart ownership
+      const cart = await this.verifyCartOwnership(cartId, userId, cartToken);
+      if (!cart) {
+        throw new Error('Cart not found or access denied');
+      }
+
+      const items = await this.getItemsWithProducts(cartId, transaction);
+
+      await PromotionService.addCoupon(cart, code, items, transaction);
+      await this.refreshTotals(cart, transaction, items);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getCart(cartId, userId, cartToken);
+  }
+
+  /**
+   * Remove a coupon code from the cart
+   * @param {number} cartId - Cart ID
+   * @param {string} code - Coupon code
+   * @param {number|null} userId - User ID for authorization
+   * @param {string|null} cartToken - Cart token for guest users
+   * @returns {Promise<Cart>} Cart with items and coupons
+   */
+  static async removeCoupon(cartId, code, userId = null, cartToken = null) {
+    const transaction = await Cart.sequelize.transaction();
+
+    try {
+      // Verify cart ownership
+      const cart = await this.verifyCartOwnership(cartId, userId, cartToken);
+      if (!cart) {
+        throw new Error('Cart not found or access denied');
+      }
+
+      await PromotionService.removeCoupon(cart, code, transaction);
+      await this.refreshTotals(cart, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.getCart(cartId, userId, cartToken);
+  }
+
+  /**
+   * Recompute coupon discounts and cart totals after the cart changed
+   * @param {Cart} cart - Cart
+   * @param {Object} transaction - Database transaction
+   * @param {Array<CartItem>|null} items - Cart items with products, loaded if not given
+   */
+  static async refreshTotals(cart, transaction, items = null) {
+    const cartItems = items || await this.getItemsWithProducts(cart.id, transaction);
+
+    await PromotionService.applyToCart(cart, cartItems, { transaction });
+    await cart.updateCartTotals({ transaction });
+  }
+
+  /**
+   * Load cart items with their products
+   * @param {number} cartId - Cart ID
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Array<CartItem>>}
+   */
+  static async getItemsWithProducts(cartId, transaction = null) {
+    return CartItem.findAll({
+      where: { cart_id: cartId },
+      include: [
+        {
+          model: Product,
+          as: 'product'
+        }
+      ],
+      transaction
+    });
+  }
+
+  /**
+   * Price a cart line in the cart's currency
+   * @param {number|string} price - Product price
+   * @param {string} priceCurrency - Currency the product is priced in
+   * @param {string} cartCurrency - Currency of the cart
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} Converted unit price, plus the source price, currency and rate it was converted with
+   */
+  static async priceLine(price, priceCurrency, cartCurrency, transaction = null) {
+    const { amount, rate } = await ExchangeRateService.convert(price, priceCurrency, cartCurrency, transaction);
+
+    return {
+      unit_price: amount,
+      source_currency: priceCurrency,
+      source_unit_price: price,
+      exchange_rate: rate
+    };
+  }
+
   /**
    * Verify cart ownership
    * @param {number} cartId - Cart ID
@@ -595,6 +758,17 @@ class CartService {
               ]
             }
           ]
+        },
+        {
+          model: CartCoupon,
+          as: 'coupons',
+          include: [
+            {
+              model: Coupon,
+              as: 'coupon',
+              attributes: ['code', 'type', 'description']
+            }
+          ]
         }
       ]
     });
@@ -627,6 +801,17 @@ class CartService {
               ]
             }
           ]
+        },
+        {
+          model: CartCoupon,
+          as: 'coupons',
+          include: [
+            {
+              model: Coupon,
+              as: 'coupon',
+              attributes: ['code', 'type', 'description']
+            }
+          ]
         }
       ]
     });
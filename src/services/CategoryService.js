@@ -1,4 +1,4 @@
-const { Category, Product } = require('../database/models');
+const { Category, Product, TaxClass } = require('../database/models');
 const { Op } = require('sequelize');
 
 class CategoryService {
@@ -38,7 +38,7 @@ class CategoryService {
    * Create a new category
    */
   static async createCategory(categoryData, userId = null) {
-    const { name, parent_id, is_active = true } = categoryData;
+    const { name, parent_id, tax_class_id = null, is_active = true } = categoryData;
 
     // Validate parent category exists if provided
     if (parent_id) {
@@ -48,6 +48,14 @@ class CategoryService {
       }
     }
 
+    // Validate tax class exists if provided
+    if (tax_class_id) {
+      const taxClass = await TaxClass.findByPk(tax_class_id);
+      if (!taxClass) {
+        throw new Error('Tax class not found');
+      }
+    }
+
     // Generate unique slug
     const slug = await this.generateSlug(name);
 
@@ -56,6 +64,7 @@ class CategoryService {
       name,
       slug,
       parent_id,
+      tax_class_id,
       is_active,
       created_by: userId,
       updated_by: userId
@@ -76,7 +85,7 @@ class CategoryService {
       throw new Error('Category not found');
     }
 
-    const { name, parent_id, is_active } = updateData;
+    const { name, parent_id, tax_class_id, is_active } = updateData;
 
     // Validate parent category exists if provided
     if (parent_id && parent_id !== category.parent_id) {
@@ -96,6 +105,14 @@ class CategoryService {
       }
     }
 
+    // Validate tax class if provided
+    if (tax_class_id && tax_class_id !== category.tax_class_id) {
+      const taxClass = await TaxClass.findByPk(tax_class_id);
+      if (!taxClass) {
+        throw new Error('Tax class not found');
+      }
+    }
+
     // Generate new slug if name changed
     let slug = category.slug;
     if (name && name !== category.name) {
@@ -107,6 +124,7 @@ class CategoryService {
       name: name || category.name,
       slug,
       parent_id: parent_id !== undefined ? parent_id : category.parent_id,
+      tax_class_id: tax_class_id !== undefined ? tax_class_id : category.tax_class_id,
       is_active: is_active !== undefined ? is_active : category.is_active,
       updated_by: userId
     });
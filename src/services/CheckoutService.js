@@ -6,29 +6,39 @@ const {
   Address, 
   Checkout, 
   InventoryReservation,
+  CheckoutTender,
+  GiftCard,
   User 
 } = require('../database/models');
 const { Op } = require('sequelize');
+const { getAddressErrors } = require('../config/addresses');
+const { pricesIncludeTax, roundAmount } = require('../config/currencies');
 const TaxService = require('./TaxService');
+const CartService = require('./CartService');
+const PromotionService = require('./PromotionService');
 const ShippingService = require('./ShippingService');
+const OrderService = require('./OrderService');
+const AddressService = require('./AddressService');
+const TaxExemptionService = require('./TaxExemptionService');
 const { logger } = require('../middleware/errorHandler');
 
 class CheckoutService {
   /**
    * Create checkout session with address capture, pricing, and stock reservation
    * @param {number} cartId - Cart ID
-   * @param {Object} shippingAddress - Shipping address data
-   * @param {Object} billingAddress - Billing address data
+   * @param {Object} shippingAddress - Shipping address data, or { address_id } of a saved address
+   * @param {Object} billingAddress - Billing address data, or { address_id } of a saved address
    * @param {string} shippingMethod - Shipping method
    * @param {number|null} userId - User ID (null for guest)
+   * @param {Object} guest - Guest details { cart_token, email }; email defaults to the billing email
    * @returns {Promise<Object>} Checkout session result
    */
-  static async createSession(cartId, shippingAddress, billingAddress, shippingMethod, userId = null) {
+  static async createSession(cartId, shippingAddress, billingAddress, shippingMethod, userId = null, guest = {}) {
     const transaction = await Cart.sequelize.transaction();
     
     try {
       // Verify cart ownership and get cart with items
-      const cart = await this.verifyCartOwnership(cartId, userId, transaction);
+      const cart = await this.verifyCartOwnership(cartId, userId, transaction, guest.cart_token);
       if (!cart) {
         throw new Error('Cart not found or access denied');
       }
@@ -60,26 +70,59 @@ class CheckoutService {
         throw new Error('Cart is empty');
       }
 
+      // Saved addresses come from the customer's address book and are used as they are
+      const savedShipping = shippingAddress?.address_id
+        ? await AddressService.findForCheckout(userId, shippingAddress.address_id, transaction)
+        : null;
+      const savedBilling = billingAddress?.address_id
+        ? await AddressService.findForCheckout(userId, billingAddress.address_id, transaction)
+        : null;
+
       // Validate addresses
-      await this.validateAddresses(shippingAddress, billingAddress);
+      await this.validateAddresses(savedShipping || shippingAddress, savedBilling || billingAddress);
+
+      // Guests are contacted, and find their order again, through this email
+      const guestEmail = userId ? null : (guest.email || billingAddress.email || '').trim().toLowerCase();
+      if (guestEmail === '') {
+        throw new Error('Guest email is required');
+      }
 
       // Create or get addresses
-      const shippingAddr = await this.createOrGetAddress(shippingAddress, userId, 'shipping', transaction);
-      const billingAddr = await this.createOrGetAddress(billingAddress, userId, 'billing', transaction);
+      const shippingAddr = savedShipping || await this.createOrGetAddress(shippingAddress, userId, 'shipping', transaction);
+      const billingAddr = savedBilling || await this.createOrGetAddress(billingAddress, userId, 'billing', transaction);
 
       // Reprice cart items with current prices
-      await this.repriceCartItems(fullCart.items, transaction);
+      await this.repriceCartItems(fullCart.items, fullCart.currency, transaction);
+
+      // Recheck coupons; one that no longer applies stops the checkout rather than silently costing more
+      const discounts = await PromotionService.applyToCart(fullCart, fullCart.items, {
+        transaction,
+        enforce: true,
+        guestEmail
+      });
 
-      // Calculate tax
-      const taxResult = await TaxService.calculateTax(shippingAddr, fullCart.items, fullCart.currency);
+      // Calculate tax; in tax-inclusive currencies it is taken out of the prices rather than added.
+      // Exemptions Finance approved for the customer and the shipping address waive their jurisdiction's rates
+      const pricedAt = new Date();
+      const includesTax = pricesIncludeTax(fullCart.currency);
+      const exemptions = (await TaxExemptionService.findForAddress(userId, shippingAddr, pricedAt, transaction))
+        .map(exemption => exemption.getSnapshot());
+      const taxResult = await TaxService.calculateTax(shippingAddr, fullCart.items, fullCart.currency, {
+        effectiveAt: pricedAt,
+        transaction,
+        pricesIncludeTax: includesTax,
+        exemptions
+      });
 
-      // Calculate shipping
+      // Calculate shipping; delivery dates count from the moment the checkout is priced
       const shippingResult = await ShippingService.calculateShipping(
         shippingAddr, 
         fullCart.items, 
         shippingMethod, 
-        fullCart.currency
+        fullCart.currency,
+        pricedAt
       );
+      const deliveryEstimate = shippingResult.delivery_estimate;
 
       if (!shippingResult.is_available) {
         throw new Error(`Shipping method ${shippingMethod} is not available for this destination`);
@@ -90,20 +133,37 @@ class CheckoutService {
 
       // Calculate totals
       const subtotal = fullCart.items.reduce((sum, item) => sum + parseFloat(item.line_subtotal), 0);
-      const grandTotal = subtotal + taxResult.total_tax + shippingResult.shipping_cost;
+      const shippingDiscount = discounts.free_shipping ? shippingResult.shipping_cost : 0;
+      const shippingTotal = shippingResult.shipping_cost - shippingDiscount;
+      // Tax-inclusive prices already contain their tax, less any an exemption waived
+      const goodsTotal = includesTax
+        ? subtotal - discounts.discount_total - taxResult.exempt_total
+        : subtotal - discounts.discount_total + taxResult.total_tax;
+      const grandTotal = roundAmount(goodsTotal + shippingTotal, fullCart.currency);
 
       // Create checkout session
       const checkout = await Checkout.create({
         cart_id: cartId,
         shipping_address_id: shippingAddr.id,
         billing_address_id: billingAddr.id,
+        guest_email: guestEmail,
         shipping_method: shippingMethod,
+        shipping_carrier: shippingResult.carrier,
+        shipping_parcels: shippingResult.parcels,
+        delivery_earliest: deliveryEstimate ? deliveryEstimate.earliest : null,
+        delivery_latest: deliveryEstimate ? deliveryEstimate.latest : null,
+        discount_total: discounts.discount_total,
         tax_total: taxResult.total_tax,
-        shipping_total: shippingResult.shipping_cost,
+        shipping_total: shippingTotal,
+        shipping_discount: shippingDiscount,
         grand_total: grandTotal,
         currency: fullCart.currency,
+        prices_include_tax: includesTax,
+        tax_exemptions: exemptions.length > 0 ? exemptions : null,
         stock_reserved: true,
-        status: 'active'
+        status: 'active',
+        // The order is taxed at the rates in effect at this moment
+        created_at: pricedAt
       }, { transaction });
 
       // Create inventory reservations
@@ -124,19 +184,32 @@ class CheckoutService {
         checkout_id: checkout.id,
         amount: parseFloat(grandTotal),
         currency: fullCart.currency,
+        guest_email: guestEmail,
         payment_provider_hints: this.getPaymentProviderHints(fullCart.currency),
         expires_at: checkout.expires_at,
         time_remaining: checkout.getTimeRemaining(),
         breakdown: {
+          prices_include_tax: includesTax,
           subtotal: subtotal,
+          discount_total: discounts.discount_total,
+          net_total: taxResult.net_total,
           tax_total: taxResult.total_tax,
-          shipping_total: shippingResult.shipping_cost,
+          tax_exempt_total: taxResult.exempt_total,
+          gross_total: taxResult.gross_total,
+          shipping_total: shippingTotal,
+          shipping_discount: shippingDiscount,
           grand_total: grandTotal
         },
+        tax_exemptions: exemptions,
+        promotions: discounts.promotions,
+        coupons: discounts.coupons,
         shipping: {
           method: shippingMethod,
-          cost: shippingResult.shipping_cost,
-          estimated_delivery: shippingResult.estimated_delivery
+          carrier: shippingResult.carrier,
+          cost: shippingTotal,
+          estimated_delivery: shippingResult.estimated_delivery,
+          delivery_estimate: deliveryEstimate,
+          parcels: shippingResult.parcels
         },
         addresses: {
           shipping: shippingAddr.getSummary(),
@@ -168,9 +241,10 @@ class CheckoutService {
    * Get checkout session by ID
    * @param {number} checkoutId - Checkout ID
    * @param {number|null} userId - User ID for authorization
+   * @param {string|null} cartToken - Cart token for guest checkouts
    * @returns {Promise<Object>} Checkout session
    */
-  static async getSession(checkoutId, userId = null) {
+  static async getSession(checkoutId, userId = null, cartToken = null) {
     const checkout = await Checkout.findByPk(checkoutId, {
       include: [
         {
@@ -200,6 +274,17 @@ class CheckoutService {
         {
           model: InventoryReservation,
           as: 'reservations'
+        },
+        {
+          model: CheckoutTender,
+          as: 'tenders',
+          include: [
+            {
+              model: GiftCard,
+              as: 'giftCard',
+              attributes: ['id', 'code']
+            }
+          ]
         }
       ]
     });
@@ -209,7 +294,7 @@ class CheckoutService {
     }
 
     // Verify ownership
-    if (userId && checkout.cart.user_id !== userId) {
+    if (!checkout.cart.isAccessibleBy(userId, cartToken)) {
       throw new Error('Access denied');
     }
 
@@ -219,20 +304,33 @@ class CheckoutService {
 
     return {
       checkout_id: checkout.id,
-      amount: parseFloat(checkout.grand_total),
+      amount: checkout.getAmountDue(),
       currency: checkout.currency,
       expires_at: checkout.expires_at,
       time_remaining: checkout.getTimeRemaining(),
       status: checkout.status,
+      guest_email: checkout.guest_email,
       breakdown: {
+        prices_include_tax: checkout.prices_include_tax,
         subtotal: parseFloat(checkout.cart.subtotal),
+        discount_total: parseFloat(checkout.discount_total),
+        ...checkout.getGoodsTotals(),
         tax_total: parseFloat(checkout.tax_total),
         shipping_total: parseFloat(checkout.shipping_total),
-        grand_total: parseFloat(checkout.grand_total)
+        shipping_discount: parseFloat(checkout.shipping_discount),
+        grand_total: parseFloat(checkout.grand_total),
+        tender_total: parseFloat(checkout.tender_total)
       },
+      tax_exemptions: checkout.tax_exemptions || [],
+      tenders: checkout.tenders.map(tender => tender.getSummary()),
       shipping: {
         method: checkout.shipping_method,
-        cost: parseFloat(checkout.shipping_total)
+        carrier: checkout.shipping_carrier,
+        cost: parseFloat(checkout.shipping_total),
+        delivery_estimate: checkout.delivery_earliest
+          ? { earliest: checkout.delivery_earliest, latest: checkout.delivery_latest }
+          : null,
+        parcels: checkout.shipping_parcels || []
       },
       addresses: {
         shipping: checkout.shippingAddress.getSummary(),
@@ -249,6 +347,93 @@ class CheckoutService {
     };
   }
 
+  /**
+   * Keep a checkout session and its stock reservations alive while the shopper is still paying
+   * Each call holds the stock for a few more minutes, within the maximum hold time and extension count.
+   * @param {number} checkoutId - Checkout ID
+   * @param {number|null} userId - User ID for authorization
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @returns {Promise<Object>} { checkout_id, expires_at, time_remaining, extended, extensions_remaining, hold_deadline }
+   */
+  static async extendSession(checkoutId, userId = null, cartToken = null) {
+    const transaction = await Cart.sequelize.transaction();
+
+    try {
+      // Lock the checkout so an extension cannot race payment or cleanup
+      const checkout = await Checkout.findByPk(checkoutId, {
+        include: [
+          {
+            model: Cart,
+            as: 'cart'
+          }
+        ],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!checkout) {
+        throw new Error('Checkout session not found');
+      }
+
+      if (!checkout.cart.isAccessibleBy(userId, cartToken)) {
+        throw new Error('Access denied');
+      }
+
+      if (checkout.isExpired()) {
+        throw new Error('Checkout session has expired');
+      }
+
+      if (checkout.status !== 'active') {
+        throw new Error('Checkout session is not active');
+      }
+
+      const expiresAt = checkout.getExtendedExpiry();
+      let extended = false;
+
+      if (expiresAt) {
+        if (!checkout.hasExtensionsLeft()) {
+          throw new Error('Checkout session cannot be extended again');
+        }
+
+        await checkout.update({
+          expires_at: expiresAt,
+          extension_count: checkout.extension_count + 1
+        }, { transaction });
+
+        await InventoryReservation.update(
+          { expires_at: expiresAt },
+          { where: { checkout_id: checkout.id, status: 'active' }, transaction }
+        );
+
+        extended = true;
+      } else if (new Date(checkout.expires_at) >= checkout.getHoldDeadline()) {
+        throw new Error('Checkout session has reached its maximum hold time');
+      }
+
+      await transaction.commit();
+
+      if (extended) {
+        logger.info('Checkout session extended', {
+          checkoutId,
+          expiresAt,
+          extensionCount: checkout.extension_count
+        });
+      }
+
+      return {
+        checkout_id: checkout.id,
+        expires_at: checkout.expires_at,
+        time_remaining: checkout.getTimeRemaining(),
+        extended,
+        extensions_remaining: Math.max(0, Checkout.MAX_EXTENSIONS - checkout.extension_count),
+        hold_deadline: checkout.getHoldDeadline()
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
   /**
    * Release stock reservations for expired checkout
    * @param {number} checkoutId - Checkout ID
@@ -314,20 +499,55 @@ class CheckoutService {
   }
 
   /**
-   * Confirm reservations (when order is placed)
+   * Confirm reservations and place the order
    * @param {number} checkoutId - Checkout ID
-   * @returns {Promise<boolean>} Success status
+   * @param {Payment|null} payment - Authorized payment to link to the order
+   * @returns {Promise<Order>} Placed order
    */
-  static async confirmReservations(checkoutId) {
+  static async confirmReservations(checkoutId, payment = null) {
     const transaction = await Cart.sequelize.transaction();
     
     try {
+      // Lock the checkout so it can only be turned into an order once
+      const lockedCheckout = await Checkout.findByPk(checkoutId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (lockedCheckout && lockedCheckout.status !== 'active') {
+        throw new Error('Checkout session is not active');
+      }
+
       const checkout = await Checkout.findByPk(checkoutId, {
         include: [
           {
             model: InventoryReservation,
             as: 'reservations',
             where: { status: 'active' }
+          },
+          {
+            model: Cart,
+            as: 'cart',
+            include: [
+              {
+                model: CartItem,
+                as: 'items',
+                include: [
+                  {
+                    model: Product,
+                    as: 'product'
+                  }
+                ]
+              }
+            ]
+          },
+          {
+            model: Address,
+            as: 'shippingAddress'
+          },
+          {
+            model: Address,
+            as: 'billingAddress'
           }
         ],
         transaction
@@ -343,20 +563,29 @@ class CheckoutService {
 
       // Confirm each reservation
       for (const reservation of checkout.reservations) {
-        await reservation.markAsConfirmed();
+        await reservation.markAsConfirmed({ transaction });
       }
 
       // Mark checkout as completed
-      await checkout.markAsCompleted();
+      await checkout.markAsCompleted({ transaction });
+
+      // Snapshot the checkout into an order and close the cart
+      const order = await OrderService.createFromCheckout(checkout, transaction);
+      await checkout.cart.update({ status: 'converted' }, { transaction });
+
+      if (payment) {
+        await payment.update({ order_id: order.id }, { transaction });
+      }
 
       await transaction.commit();
 
       logger.info('Stock reservations confirmed successfully', {
         checkoutId,
+        orderNumber: order.order_number,
         reservationsCount: checkout.reservations.length
       });
 
-      return true;
+      return order;
     } catch (error) {
       await transaction.rollback();
       logger.error('Failed to confirm reservations:', {
@@ -367,6 +596,86 @@ class CheckoutService {
     }
   }
 
+  /**
+   * Mark checkout session as failed and return its reserved stock
+   * @param {number} checkoutId - Checkout ID
+   * @param {string} reason - Failure reason stored on the checkout
+   * @returns {Promise<boolean>} True when the checkout was failed, false when it was no longer active
+   */
+  static async failSession(checkoutId, reason) {
+    const transaction = await Cart.sequelize.transaction();
+
+    try {
+      // Lock the checkout so a payment that is placing the order cannot race the failure
+      const lockedCheckout = await Checkout.findByPk(checkoutId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!lockedCheckout) {
+        throw new Error('Checkout session not found');
+      }
+
+      // A completed, cancelled or already failed checkout no longer holds stock
+      if (lockedCheckout.status !== 'active') {
+        await transaction.rollback();
+
+        logger.info('Checkout session is not active; not marking it as failed', {
+          checkoutId,
+          status: lockedCheckout.status,
+          reason
+        });
+
+        return false;
+      }
+
+      const checkout = await Checkout.findByPk(checkoutId, {
+        include: [
+          {
+            model: InventoryReservation,
+            as: 'reservations',
+            where: { status: 'active' },
+            required: false
+          }
+        ],
+        transaction
+      });
+
+      for (const reservation of checkout.reservations) {
+        await reservation.markAsReleased('checkout_failed', { transaction });
+
+        const inventory = await Inventory.findOne({
+          where: { product_id: reservation.product_id },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (inventory) {
+          await inventory.releaseStock(reservation.quantity, `checkout ${checkoutId}`, null, { transaction });
+        }
+      }
+
+      await checkout.markAsFailed(reason, { transaction });
+
+      await transaction.commit();
+
+      logger.info('Checkout session marked as failed', {
+        checkoutId,
+        reason,
+        reservationsCount: checkout.reservations.length
+      });
+
+      return true;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error('Failed to mark checkout session as failed:', {
+        error: error.message,
+        checkoutId
+      });
+      throw error;
+    }
+  }
+
   /**
    * Clean up expired checkout sessions
    * @returns {Promise<number>} Number of sessions cleaned up
@@ -415,9 +724,10 @@ class CheckoutService {
    * @param {number} cartId - Cart ID
    * @param {number|null} userId - User ID
    * @param {Object} transaction - Database transaction
+   * @param {string|null} cartToken - Cart token proving a guest owns the cart
    * @returns {Promise<Cart|null>} Cart if authorized
    */
-  static async verifyCartOwnership(cartId, userId, transaction) {
+  static async verifyCartOwnership(cartId, userId, transaction, cartToken = null) {
     const whereClause = {
       id: cartId,
       status: 'active'
@@ -425,13 +735,19 @@ class CheckoutService {
 
     if (userId) {
       whereClause.user_id = userId;
+    } else if (cartToken) {
+      // Guests can only check out guest carts, and only with the cart's token
+      whereClause.user_id = null;
+      whereClause.cart_token = cartToken;
+    } else {
+      return null;
     }
 
     return await Cart.findOne({ where: whereClause, transaction });
   }
 
   /**
-   * Validate addresses
+   * Validate addresses: presence, serviceability and the rules of each address's country
    * @param {Object} shippingAddress - Shipping address
    * @param {Object} billingAddress - Billing address
    */
@@ -444,11 +760,19 @@ class CheckoutService {
       throw new Error('Billing address is required');
     }
 
-    // Check if postal code is serviceable
-    const shippingZone = ShippingService.getShippingZone(shippingAddress.country);
-    if (shippingZone === 'international' && !shippingAddress.postal_code) {
+    // Addresses that fall through to the default zone need a postal code to be serviceable
+    const shippingZone = await ShippingService.getShippingZone(shippingAddress);
+    if ((!shippingZone || shippingZone.is_default) && !shippingAddress.postal_code) {
       throw new Error('Postal code is required for international shipping');
     }
+
+    // Apply the country rules again; saved addresses may predate them
+    for (const [kind, address] of [['Shipping', shippingAddress], ['Billing', billingAddress]]) {
+      const [problem] = getAddressErrors(address);
+      if (problem) {
+        throw new Error(`${kind} address ${problem.field}: ${problem.message}`);
+      }
+    }
   }
 
   /**
@@ -494,16 +818,24 @@ class CheckoutService {
   }
 
   /**
-   * Reprice cart items with current product prices
+   * Reprice cart items with current product prices and exchange rates
    * @param {Array} cartItems - Cart items
+   * @param {string} currency - Cart currency
    * @param {Object} transaction - Database transaction
    */
-  static async repriceCartItems(cartItems, transaction) {
+  static async repriceCartItems(cartItems, currency, transaction) {
     for (const item of cartItems) {
-      if (item.product && item.product.price !== item.unit_price) {
-        await item.update({
-          unit_price: item.product.price
-        }, { transaction });
+      if (!item.product) {
+        continue;
+      }
+
+      const pricing = await CartService.priceLine(item.product.price, item.product.currency, currency, transaction);
+
+      if (parseFloat(item.unit_price) !== pricing.unit_price ||
+          parseFloat(item.exchange_rate) !== pricing.exchange_rate ||
+          parseFloat(item.source_unit_price) !== parseFloat(pricing.source_unit_price) ||
+          item.source_currency !== pricing.source_currency) {
+        await item.update(pricing, { transaction });
       }
     }
   }
@@ -61,7 +61,8 @@ class CleanupService {
         this.cleanupExpiredPasswordResets(),
         this.cleanupUsedPasswordResets(),
         this.cleanupOldLoginAttempts(),
-        this.cleanupOldAuditLogs()
+        this.cleanupOldAuditLogs(),
+        this.cleanupExpiredIdempotencyKeys()
       ]);
 
       const totalCleaned = results.reduce((sum, count) => sum + count, 0);
@@ -179,6 +180,31 @@ class CleanupService {
     }
   }
 
+  /**
+   * Clean up idempotency keys past their TTL
+   * @returns {Promise<number>} Number of keys cleaned up
+   */
+  async cleanupExpiredIdempotencyKeys() {
+    try {
+      const result = await db.IdempotencyKey.destroy({
+        where: {
+          expires_at: {
+            [db.Sequelize.Op.lt]: new Date()
+          }
+        }
+      });
+
+      if (result > 0) {
+        logger.info(`Cleaned up ${result} expired idempotency keys`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Failed to cleanup expired idempotency keys:', error);
+      return 0;
+    }
+  }
+
   /**
    * Clean up revoked refresh tokens (older than 7 days)
    * @returns {number} Number of tokens cleaned up
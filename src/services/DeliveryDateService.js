@@ -0,0 +1,132 @@
+const { getFulfilmentSettings } = require('../config/fulfilment');
+
+// Weekend (ISO weekdays) of countries without a business calendar
+const DEFAULT_WEEKEND_DAYS = [6, 7];
+
+class DeliveryDateService {
+  /**
+   * Work out when an order placed now ships and arrives
+   * The order is processed today when it is a warehouse business day and the method's cutoff has not
+   * passed, otherwise on the next business day. It ships after the method's handling days, counted on the
+   * warehouse calendar, and arrives after the transit days, counted on the destination's calendar.
+   * @param {Object} options
+   * @param {ShippingMethod} options.method - Method, for its cutoff time and handling days
+   * @param {Object} options.transitDays - { min, max } business days in transit
+   * @param {string} options.country - Destination country
+   * @param {Array<BusinessCalendar>} options.calendars - Business calendars with their holidays
+   * @param {Date} options.now - Time the order is placed
+   * @returns {Object} { ships_on, earliest, latest } as YYYY-MM-DD
+   */
+  static estimate({ method, transitDays, country, calendars, now = new Date() }) {
+    const settings = getFulfilmentSettings();
+    const warehouseCalendar = this.findCalendar(calendars, settings.country);
+    const destinationCalendar = this.findCalendar(calendars, country);
+    const cutoffTime = method.cutoff_time || settings.cutoff_time;
+    const handlingDays = method.handling_days === null || method.handling_days === undefined
+      ? settings.handling_days
+      : method.handling_days;
+
+    const local = this.getLocalDateTime(now, settings.timezone);
+    const processingDay = this.isBusinessDay(warehouseCalendar, local.date) && local.time < cutoffTime
+      ? local.date
+      : this.nextBusinessDay(warehouseCalendar, local.date);
+    const shipsOn = this.addBusinessDays(warehouseCalendar, processingDay, handlingDays);
+
+    return {
+      ships_on: shipsOn,
+      earliest: this.addBusinessDays(destinationCalendar, shipsOn, transitDays.min),
+      latest: this.addBusinessDays(destinationCalendar, shipsOn, transitDays.max)
+    };
+  }
+
+  /**
+   * Find a country's business calendar
+   * @param {Array<BusinessCalendar>} calendars - Business calendars
+   * @param {string} country - Country code
+   * @returns {BusinessCalendar|null} Calendar, or null to use a Saturday and Sunday weekend without holidays
+   */
+  static findCalendar(calendars, country) {
+    return (calendars || []).find(calendar => calendar.country === country) || null;
+  }
+
+  /**
+   * Check whether a date is a business day on a calendar
+   * @param {BusinessCalendar|null} calendar - Calendar; null for a Saturday and Sunday weekend
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {boolean}
+   */
+  static isBusinessDay(calendar, date) {
+    if (calendar) {
+      return calendar.isBusinessDay(date);
+    }
+
+    const weekday = new Date(`${date}T00:00:00Z`).getUTCDay() || 7;
+    return !DEFAULT_WEEKEND_DAYS.includes(weekday);
+  }
+
+  /**
+   * Get the first business day after a date
+   * @param {BusinessCalendar|null} calendar - Calendar
+   * @param {string} date - Date as YYYY-MM-DD
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  static nextBusinessDay(calendar, date) {
+    let next = this.addDays(date, 1);
+    while (!this.isBusinessDay(calendar, next)) {
+      next = this.addDays(next, 1);
+    }
+    return next;
+  }
+
+  /**
+   * Count business days forward from a date; zero days keeps the date
+   * @param {BusinessCalendar|null} calendar - Calendar
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {number} days - Business days
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  static addBusinessDays(calendar, date, days) {
+    let result = date;
+    for (let i = 0; i < days; i++) {
+      result = this.nextBusinessDay(calendar, result);
+    }
+    return result;
+  }
+
+  /**
+   * Add calendar days to a date
+   * @param {string} date - Date as YYYY-MM-DD
+   * @param {number} days - Days
+   * @returns {string} Date as YYYY-MM-DD
+   */
+  static addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Get the local date and time of an instant in a time zone
+   * @param {Date} now - Instant
+   * @param {string} timezone - IANA time zone
+   * @returns {Object} { date: 'YYYY-MM-DD', time: 'HH:MM' }
+   */
+  static getLocalDateTime(now, timezone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(now).map(part => [part.type, part.value]));
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+}
+
+module.exports = DeliveryDateService;
@@ -1,6 +1,49 @@
 const nodemailer = require('nodemailer');
 const { logger } = require('../middleware/errorHandler');
 
+/**
+ * Escape text for interpolation into HTML email templates
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Format an amount with its currency, e.g. "114.87 USD"
+ * @param {number} amount - Amount
+ * @param {string} currency - Currency code
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount, currency) => `${(Math.round(parseFloat(amount) * 100) / 100).toFixed(2)} ${currency}`;
+
+/**
+ * Render order lines as HTML table rows
+ * @param {Array} items - [{ title, sku, quantity, line_total? }]
+ * @param {string} currency - Currency code
+ * @returns {string} Table rows
+ */
+const renderItemRows = (items, currency) => items.map(item => `
+            <tr>
+              <td style="padding: 6px 0;">${escapeHtml(item.title)}<br><span style="color: #64748b; font-size: 12px;">${escapeHtml(item.sku)}</span></td>
+              <td style="padding: 6px 0; text-align: right;">${item.quantity}</td>
+              ${item.line_total === undefined ? '' : `<td style="padding: 6px 0; text-align: right;">${formatMoney(item.line_total, currency)}</td>`}
+            </tr>`).join('');
+
+/**
+ * Render order lines as plain text
+ * @param {Array} items - [{ title, sku, quantity, line_total? }]
+ * @param {string} currency - Currency code
+ * @returns {string} One line per item
+ */
+const renderItemText = (items, currency) => items
+  .map(item => `- ${item.quantity} x ${item.title} (${item.sku})${item.line_total === undefined ? '' : `: ${formatMoney(item.line_total, currency)}`}`)
+  .join('\n');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -172,6 +215,137 @@ class EmailService {
     }
   }
 
+  /**
+   * Check whether emails can be sent right now
+   * @returns {boolean} Whether the service is enabled and has a transporter
+   */
+  isAvailable() {
+    return this.isEnabled && !!this.transporter;
+  }
+
+  /**
+   * Send a transactional order email
+   * Unlike the account emails, a failed send throws so the order email queue can retry it.
+   * @param {string} email - Recipient email
+   * @param {string} subject - Subject line
+   * @param {string} html - HTML body
+   * @param {string} text - Text body
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendOrderMail(email, subject, html, text) {
+    if (!this.isAvailable()) {
+      throw new Error('Email service is not available');
+    }
+
+    const result = await this.transporter.sendMail({
+      from: `"${this.fromName}" <${this.fromAddress}>`,
+      to: email,
+      subject,
+      html,
+      text
+    });
+
+    logger.info('Order email sent successfully', {
+      email,
+      subject,
+      messageId: result.messageId
+    });
+
+    return result;
+  }
+
+  /**
+   * Send order confirmation email
+   * @param {string} email - Recipient email
+   * @param {Object} order - Order snapshot { order_number, customer_name, currency, items, totals, shipping_address }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendOrderConfirmationEmail(email, order) {
+    return this.sendOrderMail(
+      email,
+      `Your GlobeMart order ${order.order_number} is confirmed`,
+      this.getOrderConfirmationEmailTemplate(order),
+      this.getOrderConfirmationEmailText(order)
+    );
+  }
+
+  /**
+   * Send shipment dispatched email
+   * @param {string} email - Recipient email
+   * @param {Object} shipment - Shipment snapshot { order_number, customer_name, carrier, tracking_number, items }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendOrderShippedEmail(email, shipment) {
+    return this.sendOrderMail(
+      email,
+      `Your GlobeMart order ${shipment.order_number} is on its way`,
+      this.getOrderShippedEmailTemplate(shipment),
+      this.getOrderShippedEmailText(shipment)
+    );
+  }
+
+  /**
+   * Send order cancellation email
+   * @param {string} email - Recipient email
+   * @param {Object} cancellation - Cancellation snapshot { order_number, customer_name, currency, fully_cancelled, items, amount, reason }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendOrderCancelledEmail(email, cancellation) {
+    return this.sendOrderMail(
+      email,
+      cancellation.fully_cancelled
+        ? `Your GlobeMart order ${cancellation.order_number} has been cancelled`
+        : `Items cancelled from your GlobeMart order ${cancellation.order_number}`,
+      this.getOrderCancelledEmailTemplate(cancellation),
+      this.getOrderCancelledEmailText(cancellation)
+    );
+  }
+
+  /**
+   * Send refund issued email
+   * @param {string} email - Recipient email
+   * @param {Object} refund - Refund snapshot { order_number, customer_name, currency, amount, reason, refund_reference }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendRefundIssuedEmail(email, refund) {
+    return this.sendOrderMail(
+      email,
+      `Your refund for GlobeMart order ${refund.order_number}`,
+      this.getRefundIssuedEmailTemplate(refund),
+      this.getRefundIssuedEmailText(refund)
+    );
+  }
+
+  /**
+   * Send the codes of gift cards bought with an order
+   * @param {string} email - Recipient email
+   * @param {Object} purchase - Purchase snapshot { order_number, customer_name, currency, cards: [{ code, amount, expires_at }] }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendGiftCardsIssuedEmail(email, purchase) {
+    return this.sendOrderMail(
+      email,
+      `Your GlobeMart gift cards from order ${purchase.order_number}`,
+      this.getGiftCardsIssuedEmailTemplate(purchase),
+      this.getGiftCardsIssuedEmailText(purchase)
+    );
+  }
+
+  /**
+   * Send a guest the link that opens their order
+   * @param {string} email - Guest's contact email
+   * @param {Object} access - { order_number, customer_name, link, expires_in_hours }
+   * @returns {Promise<Object>} Nodemailer result
+   */
+  async sendGuestOrderLinkEmail(email, access) {
+    return this.sendOrderMail(
+      email,
+      `View your GlobeMart order ${access.order_number}`,
+      this.getGuestOrderLinkEmailTemplate(access),
+      this.getGuestOrderLinkEmailText(access)
+    );
+  }
+
   /**
    * Get HTML template for password reset email
    * @param {string} userName - User's name
@@ -409,6 +583,499 @@ Once verified, you'll have full access to all GlobeMart features!
 
 This email was sent from GlobeMart. If you have any questions, please contact our support team.
 
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for order confirmation email
+   * @param {Object} order - Order snapshot
+   * @returns {string} HTML email template
+   */
+  getOrderConfirmationEmailTemplate(order) {
+    const orderUrl = `${this.frontendUrl}/orders/${order.order_number}`;
+    const address = order.shipping_address || {};
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Order Confirmed - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          .items th { text-align: left; border-bottom: 1px solid #cbd5e1; padding: 6px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>Thank You for Your Order</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(order.customer_name)},</p>
+          <p>We have received your order <strong>${escapeHtml(order.order_number)}</strong> and will let you know as soon as it ships.</p>
+
+          <table class="items">
+            <tr><th>Item</th><th style="text-align: right;">Qty</th><th style="text-align: right;">Total</th></tr>${renderItemRows(order.items, order.currency)}
+          </table>
+
+          <p>
+            Subtotal: ${formatMoney(order.totals.subtotal, order.currency)}<br>
+            Discount: ${formatMoney(order.totals.discount_total, order.currency)}<br>
+            Tax: ${formatMoney(order.totals.tax_total, order.currency)}<br>
+            Shipping: ${formatMoney(order.totals.shipping_total, order.currency)}<br>
+            <strong>Total: ${formatMoney(order.totals.grand_total, order.currency)}</strong>
+          </p>
+
+          <p><strong>Shipping to:</strong><br>
+            ${[address.name, address.line1, address.line2, [address.city, address.state, address.postal_code].filter(Boolean).join(', '), address.country].filter(Boolean).map(escapeHtml).join('<br>')}
+          </p>
+
+          <div style="text-align: center;">
+            <a href="${orderUrl}" class="button">View My Order</a>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of order confirmation email
+   * @param {Object} order - Order snapshot
+   * @returns {string} Text email content
+   */
+  getOrderConfirmationEmailText(order) {
+    const address = order.shipping_address || {};
+
+    return `
+GlobeMart - Thank You for Your Order
+
+Hello ${order.customer_name},
+
+We have received your order ${order.order_number} and will let you know as soon as it ships.
+
+${renderItemText(order.items, order.currency)}
+
+Subtotal: ${formatMoney(order.totals.subtotal, order.currency)}
+Discount: ${formatMoney(order.totals.discount_total, order.currency)}
+Tax: ${formatMoney(order.totals.tax_total, order.currency)}
+Shipping: ${formatMoney(order.totals.shipping_total, order.currency)}
+Total: ${formatMoney(order.totals.grand_total, order.currency)}
+
+Shipping to:
+${[address.name, address.line1, address.line2, [address.city, address.state, address.postal_code].filter(Boolean).join(', '), address.country].filter(Boolean).join('\n')}
+
+View your order: ${this.frontendUrl}/orders/${order.order_number}
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for shipment dispatched email
+   * @param {Object} shipment - Shipment snapshot
+   * @returns {string} HTML email template
+   */
+  getOrderShippedEmailTemplate(shipment) {
+    const orderUrl = `${this.frontendUrl}/orders/${shipment.order_number}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Order Has Shipped - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          .items th { text-align: left; border-bottom: 1px solid #cbd5e1; padding: 6px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>Your Order Is on Its Way</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(shipment.customer_name)},</p>
+          <p>${shipment.fully_shipped ? 'Your order' : 'Part of your order'} <strong>${escapeHtml(shipment.order_number)}</strong> has left our warehouse.</p>
+
+          <p>
+            <strong>Carrier:</strong> ${escapeHtml(shipment.carrier)}<br>
+            <strong>Tracking number:</strong> ${escapeHtml(shipment.tracking_number)}
+          </p>
+
+          <table class="items">
+            <tr><th>Item</th><th style="text-align: right;">Qty</th></tr>${renderItemRows(shipment.items)}
+          </table>
+
+          <div style="text-align: center;">
+            <a href="${orderUrl}" class="button">Track My Order</a>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of shipment dispatched email
+   * @param {Object} shipment - Shipment snapshot
+   * @returns {string} Text email content
+   */
+  getOrderShippedEmailText(shipment) {
+    return `
+GlobeMart - Your Order Is on Its Way
+
+Hello ${shipment.customer_name},
+
+${shipment.fully_shipped ? 'Your order' : 'Part of your order'} ${shipment.order_number} has left our warehouse.
+
+Carrier: ${shipment.carrier}
+Tracking number: ${shipment.tracking_number}
+
+${renderItemText(shipment.items)}
+
+Track your order: ${this.frontendUrl}/orders/${shipment.order_number}
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for order cancellation email
+   * @param {Object} cancellation - Cancellation snapshot
+   * @returns {string} HTML email template
+   */
+  getOrderCancelledEmailTemplate(cancellation) {
+    const orderNumber = escapeHtml(cancellation.order_number);
+    const intro = cancellation.fully_cancelled
+      ? `Your order <strong>${orderNumber}</strong> has been cancelled.`
+      : `The items below have been cancelled from your order <strong>${orderNumber}</strong>. The rest of your order is unaffected.`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Order Cancelled - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          .items th { text-align: left; border-bottom: 1px solid #cbd5e1; padding: 6px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>${cancellation.fully_cancelled ? 'Your Order Has Been Cancelled' : 'Items Cancelled from Your Order'}</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(cancellation.customer_name)},</p>
+          <p>${intro}</p>
+
+          <table class="items">
+            <tr><th>Item</th><th style="text-align: right;">Qty</th></tr>${renderItemRows(cancellation.items)}
+          </table>
+
+          ${cancellation.reason ? `<p><strong>Reason:</strong> ${escapeHtml(cancellation.reason)}</p>` : ''}
+          <p>Any payment for these items (${formatMoney(cancellation.amount, cancellation.currency)}) will be released or refunded to your original payment method. We will email you when a refund is issued.</p>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of order cancellation email
+   * @param {Object} cancellation - Cancellation snapshot
+   * @returns {string} Text email content
+   */
+  getOrderCancelledEmailText(cancellation) {
+    return `
+GlobeMart - ${cancellation.fully_cancelled ? 'Your Order Has Been Cancelled' : 'Items Cancelled from Your Order'}
+
+Hello ${cancellation.customer_name},
+
+${cancellation.fully_cancelled
+    ? `Your order ${cancellation.order_number} has been cancelled.`
+    : `The items below have been cancelled from your order ${cancellation.order_number}. The rest of your order is unaffected.`}
+
+${renderItemText(cancellation.items)}
+${cancellation.reason ? `\nReason: ${cancellation.reason}\n` : ''}
+Any payment for these items (${formatMoney(cancellation.amount, cancellation.currency)}) will be released or refunded to your original payment method. We will email you when a refund is issued.
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for refund issued email
+   * @param {Object} refund - Refund snapshot
+   * @returns {string} HTML email template
+   */
+  getRefundIssuedEmailTemplate(refund) {
+    const orderUrl = `${this.frontendUrl}/orders/${refund.order_number}`;
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Refund Issued - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          .items th { text-align: left; border-bottom: 1px solid #cbd5e1; padding: 6px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>Your Refund Is on Its Way</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(refund.customer_name)},</p>
+          <p>We have refunded <strong>${formatMoney(refund.amount, refund.currency)}</strong> for your order <strong>${escapeHtml(refund.order_number)}</strong> to your original payment method.</p>
+          <p>Refund reference: ${escapeHtml(refund.refund_reference)}</p>
+          <p>Depending on your bank, it can take 5-10 business days for the money to appear on your statement. The credit note is available with your order.</p>
+
+          <div style="text-align: center;">
+            <a href="${orderUrl}" class="button">View My Order</a>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of refund issued email
+   * @param {Object} refund - Refund snapshot
+   * @returns {string} Text email content
+   */
+  getRefundIssuedEmailText(refund) {
+    return `
+GlobeMart - Your Refund Is on Its Way
+
+Hello ${refund.customer_name},
+
+We have refunded ${formatMoney(refund.amount, refund.currency)} for your order ${refund.order_number} to your original payment method.
+
+Refund reference: ${refund.refund_reference}
+
+Depending on your bank, it can take 5-10 business days for the money to appear on your statement. The credit note is available with your order: ${this.frontendUrl}/orders/${refund.order_number}
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for gift cards issued email
+   * @param {Object} purchase - Purchase snapshot
+   * @returns {string} HTML email template
+   */
+  getGiftCardsIssuedEmailTemplate(purchase) {
+    const cardRows = purchase.cards.map(card => `
+            <tr>
+              <td style="padding: 6px 0; font-family: monospace;">${escapeHtml(card.code)}</td>
+              <td style="padding: 6px 0;">${formatMoney(card.amount, purchase.currency)}</td>
+              <td style="padding: 6px 0; text-align: right;">${card.expires_at ? escapeHtml(new Date(card.expires_at).toDateString()) : 'Never'}</td>
+            </tr>`).join('');
+
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Your Gift Cards - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .items { width: 100%; border-collapse: collapse; margin: 20px 0; }
+          .items th { text-align: left; border-bottom: 1px solid #cbd5e1; padding: 6px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>Your Gift Cards Are Ready</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(purchase.customer_name)},</p>
+          <p>Thank you for paying for order <strong>${escapeHtml(purchase.order_number)}</strong>. Here are the gift cards you bought:</p>
+
+          <table class="items">
+            <tr><th>Code</th><th>Value</th><th style="text-align: right;">Expires</th></tr>
+            ${cardRows}
+          </table>
+
+          <p>Enter a code at checkout to pay with it. Anyone who has the code can spend the balance, so share it only with the person it is for.</p>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of gift cards issued email
+   * @param {Object} purchase - Purchase snapshot
+   * @returns {string} Text email content
+   */
+  getGiftCardsIssuedEmailText(purchase) {
+    const cardLines = purchase.cards
+      .map(card => `- ${card.code}: ${formatMoney(card.amount, purchase.currency)}, expires ${card.expires_at ? new Date(card.expires_at).toDateString() : 'never'}`)
+      .join('\n');
+
+    return `
+GlobeMart - Your Gift Cards Are Ready
+
+Hello ${purchase.customer_name},
+
+Thank you for paying for order ${purchase.order_number}. Here are the gift cards you bought:
+
+${cardLines}
+
+Enter a code at checkout to pay with it. Anyone who has the code can spend the balance, so share it only with the person it is for.
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
+© ${new Date().getFullYear()} GlobeMart. All rights reserved.
+    `.trim();
+  }
+
+  /**
+   * Get HTML template for guest order link email
+   * @param {Object} access - Link details
+   * @returns {string} HTML email template
+   */
+  getGuestOrderLinkEmailTemplate(access) {
+    return `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>View Your Order - GlobeMart</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background-color: #2563eb; color: white; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+          .content { background-color: #f8fafc; padding: 30px; border-radius: 0 0 8px 8px; }
+          .button { display: inline-block; background-color: #2563eb; color: white; padding: 12px 24px; text-decoration: none; border-radius: 6px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #64748b; font-size: 14px; }
+          .warning { background-color: #fef3c7; border: 1px solid #f59e0b; padding: 15px; border-radius: 6px; margin: 20px 0; }
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>GlobeMart</h1>
+          <h2>View Your Order</h2>
+        </div>
+        <div class="content">
+          <p>Hello ${escapeHtml(access.customer_name)},</p>
+          <p>Use the button below to view your order <strong>${escapeHtml(access.order_number)}</strong>:</p>
+
+          <div style="text-align: center;">
+            <a href="${escapeHtml(access.link)}" class="button">View My Order</a>
+          </div>
+
+          <p>Or copy and paste this link into your browser:</p>
+          <p style="word-break: break-all; background-color: #e2e8f0; padding: 10px; border-radius: 4px;">${escapeHtml(access.link)}</p>
+
+          <div class="warning">
+            <strong>Important:</strong>
+            <ul>
+              <li>This link will expire in ${access.expires_in_hours} hours</li>
+              <li>Anyone with this link can see your order, so please don't forward it</li>
+              <li>If you didn't ask for this link, you can ignore this email</li>
+            </ul>
+          </div>
+        </div>
+        <div class="footer">
+          <p>This email was sent from GlobeMart. If you have any questions, please contact our support team.</p>
+          <p>&copy; ${new Date().getFullYear()} GlobeMart. All rights reserved.</p>
+        </div>
+      </body>
+      </html>
+    `;
+  }
+
+  /**
+   * Get text version of guest order link email
+   * @param {Object} access - Link details
+   * @returns {string} Text email content
+   */
+  getGuestOrderLinkEmailText(access) {
+    return `
+GlobeMart - View Your Order
+
+Hello ${access.customer_name},
+
+Use this link to view your order ${access.order_number}:
+
+${access.link}
+
+Important:
+- This link will expire in ${access.expires_in_hours} hours
+- Anyone with this link can see your order, so please don't forward it
+- If you didn't ask for this link, you can ignore this email
+
+This email was sent from GlobeMart. If you have any questions, please contact our support team.
+
 © ${new Date().getFullYear()} GlobeMart. All rights reserved.
     `.trim();
   }
@@ -0,0 +1,149 @@
+const { ExchangeRate } = require('../database/models');
+const { roundAmount } = require('../config/currencies');
+const { logger } = require('../middleware/errorHandler');
+
+// Precision rates are stored and recorded with
+const RATE_DECIMALS = 8;
+
+class ExchangeRateService {
+  /**
+   * Get the rate for converting one currency into another
+   * A pair is stored once; the opposite direction uses the inverse of the stored rate.
+   * @param {string} from - Currency the amount is in
+   * @param {string} to - Currency to convert into
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<number>} Units of `to` per unit of `from`
+   */
+  static async getRate(from, to, transaction = null) {
+    if (from === to) {
+      return 1;
+    }
+
+    const direct = await ExchangeRate.findOne({
+      where: { base_currency: from, quote_currency: to },
+      transaction
+    });
+
+    if (direct) {
+      return parseFloat(direct.rate);
+    }
+
+    const inverse = await ExchangeRate.findOne({
+      where: { base_currency: to, quote_currency: from },
+      transaction
+    });
+
+    if (inverse) {
+      return this.roundRate(1 / parseFloat(inverse.rate));
+    }
+
+    throw new Error(`No exchange rate from ${from} to ${to}`);
+  }
+
+  /**
+   * Convert an amount and round it to the target currency
+   * @param {number|string} amount - Amount to convert
+   * @param {string} from - Currency the amount is in
+   * @param {string} to - Currency to convert into
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} Converted amount and the rate used
+   */
+  static async convert(amount, from, to, transaction = null) {
+    const rate = await this.getRate(from, to, transaction);
+
+    return {
+      amount: roundAmount(parseFloat(amount) * rate, to),
+      rate
+    };
+  }
+
+  /**
+   * List all stored rates
+   * @returns {Promise<Array>} Rate summaries ordered by pair
+   */
+  static async listRates() {
+    const rates = await ExchangeRate.findAll({
+      order: [['base_currency', 'ASC'], ['quote_currency', 'ASC']]
+    });
+
+    return rates.map(rate => rate.getSummary());
+  }
+
+  /**
+   * Create or replace the rate for a currency pair
+   * Storing a pair replaces any rate stored for the opposite direction, so the two can never disagree.
+   * @param {string} base - Base currency
+   * @param {string} quote - Quote currency
+   * @param {number} rate - Units of quote per unit of base
+   * @param {number} userId - Staff member setting the rate
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async setRate(base, quote, rate, userId) {
+    if (base === quote) {
+      throw new Error('Base and quote currency must differ');
+    }
+
+    const transaction = await ExchangeRate.sequelize.transaction();
+
+    try {
+      await ExchangeRate.destroy({
+        where: { base_currency: quote, quote_currency: base },
+        transaction
+      });
+
+      const [exchangeRate, created] = await ExchangeRate.findOrCreate({
+        where: { base_currency: base, quote_currency: quote },
+        defaults: { rate, updated_by: userId },
+        transaction
+      });
+
+      if (!created) {
+        await exchangeRate.update({ rate, updated_by: userId }, { transaction });
+      }
+
+      await transaction.commit();
+
+      logger.info('Exchange rate set', {
+        base,
+        quote,
+        rate,
+        userId
+      });
+
+      return exchangeRate.getSummary();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the rate for a currency pair
+   * @param {string} base - Base currency
+   * @param {string} quote - Quote currency
+   * @returns {Promise<boolean>}
+   */
+  static async deleteRate(base, quote) {
+    const deleted = await ExchangeRate.destroy({
+      where: { base_currency: base, quote_currency: quote }
+    });
+
+    if (deleted === 0) {
+      throw new Error('Exchange rate not found');
+    }
+
+    return true;
+  }
+
+  /**
+   * Round a derived rate to the stored precision
+   * @param {number} rate - Rate
+   * @returns {number} Rounded rate
+   */
+  static roundRate(rate) {
+    const factor = Math.pow(10, RATE_DECIMALS);
+    return Math.round(rate * factor) / factor;
+  }
+}
+
+module.exports = ExchangeRateService;
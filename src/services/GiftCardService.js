@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const { UniqueConstraintError } = require('sequelize');
+const { GiftCard, BalanceLedgerEntry, OrderItem, Product } = require('../database/models');
+const OrderEmailService = require('./OrderEmailService');
+const { roundAmount } = require('../config/currencies');
+const { logger } = require('../middleware/errorHandler');
+
+// Code characters; 0/O and 1/I/L are left out so codes survive being read aloud or retyped
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+// How long a gift card bought in the store stays valid
+const PURCHASED_CARD_VALIDITY_DAYS = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS, 10) || 365;
+
+class GiftCardService {
+  /**
+   * Generate a random gift card code in the form XXXX-XXXX-XXXX-XXXX
+   * @returns {string} Gift card code
+   */
+  static generateCode() {
+    const groups = [];
+    for (let group = 0; group < 4; group++) {
+      let chars = '';
+      for (let i = 0; i < 4; i++) {
+        chars += CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)];
+      }
+      groups.push(chars);
+    }
+    return groups.join('-');
+  }
+
+  /**
+   * Normalize a code typed by a customer: case, spaces and dashes do not matter
+   * @param {string} code - Code as entered
+   * @returns {string} Code in the stored form
+   */
+  static normalizeCode(code) {
+    const chars = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+    return chars.match(/.{1,4}/g)?.join('-') || '';
+  }
+
+  /**
+   * Create a card with a fresh code and record its opening balance in the ledger
+   * @param {Object} values - { currency, amount, expires_at, recipient_email, note, issued_by, purchase_order_id }
+   * @param {Object} ledger - { order_id, actor_user_id, note } for the issue entry
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<GiftCard>} Created card
+   */
+  static async createCard(values, ledger, transaction) {
+    const maxAttempts = 5;
+    const amount = roundAmount(values.amount, values.currency);
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const code = this.generateCode();
+
+      const existing = await GiftCard.findOne({
+        where: { code },
+        attributes: ['id'],
+        transaction
+      });
+
+      if (existing) {
+        continue;
+      }
+
+      const card = await GiftCard.create({
+        code,
+        currency: values.currency,
+        initial_balance: amount,
+        balance: amount,
+        expires_at: values.expires_at || null,
+        recipient_email: values.recipient_email || null,
+        note: values.note || null,
+        issued_by: values.issued_by || null,
+        purchase_order_id: values.purchase_order_id || null
+      }, { transaction });
+
+      await BalanceLedgerEntry.create({
+        gift_card_id: card.id,
+        entry_type: 'issue',
+        amount,
+        balance_after: amount,
+        currency: card.currency,
+        order_id: ledger.order_id || null,
+        actor_user_id: ledger.actor_user_id || null,
+        note: ledger.note || null
+      }, { transaction });
+
+      return card;
+    }
+
+    throw new Error('Failed to generate unique gift card code');
+  }
+
+  /**
+   * Issue a gift card by hand (promotions, compensation, corporate orders)
+   * @param {Object} data - { amount, currency, expires_at?, recipient_email?, note? }
+   * @param {number} userId - Staff member issuing it
+   * @returns {Promise<Object>} Gift card summary, including the full code
+   */
+  static async issueGiftCard(data, userId) {
+    const transaction = await GiftCard.sequelize.transaction();
+
+    try {
+      const card = await this.createCard({
+        ...data,
+        issued_by: userId
+      }, {
+        actor_user_id: userId,
+        note: data.note
+      }, transaction);
+
+      await transaction.commit();
+
+      logger.info('Gift card issued', {
+        giftCardId: card.id,
+        currency: card.currency,
+        amount: parseFloat(card.initial_balance),
+        userId
+      });
+
+      return card.getSummary();
+    } catch (error) {
+      await transaction.rollback();
+      if (error instanceof UniqueConstraintError) {
+        throw new Error('Failed to generate unique gift card code');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Issue the gift cards bought with an order, one card per unit, and queue their codes to the customer
+   * Runs in the transaction that marks the order paid, so a card is issued exactly once per paid unit.
+   * @param {Order} order - Order being marked as paid
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Array<GiftCard>>} Issued cards
+   */
+  static async issueForOrder(order, transaction) {
+    const items = await OrderItem.findAll({
+      where: { order_id: order.id },
+      include: [
+        {
+          model: Product,
+          as: 'product',
+          where: { is_gift_card: true },
+          attributes: ['id', 'is_gift_card']
+        }
+      ],
+      transaction
+    });
+
+    if (items.length === 0) {
+      return [];
+    }
+
+    const expiresAt = new Date(Date.now() + PURCHASED_CARD_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+    const cards = [];
+
+    for (const item of items) {
+      // The face value is the list price; a discount on the line does not shrink the card
+      for (let unit = 0; unit < item.getActiveQuantity(); unit++) {
+        cards.push(await this.createCard({
+          amount: item.unit_price,
+          currency: order.currency,
+          expires_at: expiresAt,
+          purchase_order_id: order.id
+        }, {
+          order_id: order.id,
+          actor_user_id: order.user_id,
+          note: `Bought with order ${order.order_number}`
+        }, transaction));
+      }
+    }
+
+    if (cards.length > 0) {
+      await OrderEmailService.queueGiftCardsIssued(order, cards, transaction);
+
+      logger.info('Gift cards issued for order', {
+        orderNumber: order.order_number,
+        count: cards.length
+      });
+    }
+
+    return cards;
+  }
+
+  /**
+   * Look up a card's balance by its code
+   * @param {string} code - Gift card code
+   * @returns {Promise<Object>} Balance summary
+   */
+  static async getBalance(code) {
+    const card = await GiftCard.findOne({
+      where: { code: this.normalizeCode(code) }
+    });
+
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+
+    return card.getBalanceSummary();
+  }
+
+  /**
+   * List gift cards for staff
+   * @param {Object} options - { page, limit, status, currency }
+   * @returns {Promise<Object>} Gift cards and pagination
+   */
+  static async getGiftCards(options = {}) {
+    const { page = 1, limit = 20, status, currency } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (currency) {
+      where.currency = currency;
+    }
+
+    const { count, rows } = await GiftCard.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      gift_cards: rows.map(card => card.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a gift card with its ledger
+   * @param {number} id - Gift card ID
+   * @returns {Promise<Object>} Gift card summary with ledger entries, newest first
+   */
+  static async getGiftCard(id) {
+    const card = await GiftCard.findByPk(id, {
+      include: [
+        {
+          model: BalanceLedgerEntry,
+          as: 'ledger'
+        }
+      ],
+      order: [[{ model: BalanceLedgerEntry, as: 'ledger' }, 'id', 'DESC']]
+    });
+
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+
+    return {
+      ...card.getSummary(),
+      ledger: card.ledger.map(entry => entry.getSummary())
+    };
+  }
+
+  /**
+   * Disable, re-enable or change the expiry of a gift card; the balance only moves through the ledger
+   * @param {number} id - Gift card ID
+   * @param {Object} data - { status?, expires_at?, note? }
+   * @param {number} userId - Staff member making the change
+   * @returns {Promise<Object>} Gift card summary
+   */
+  static async updateGiftCard(id, data, userId) {
+    const card = await GiftCard.findByPk(id);
+
+    if (!card) {
+      throw new Error('Gift card not found');
+    }
+
+    const values = {};
+    for (const field of ['status', 'expires_at', 'note']) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    await card.update(values);
+
+    logger.info('Gift card updated', {
+      giftCardId: card.id,
+      fields: Object.keys(values),
+      userId
+    });
+
+    return card.getSummary();
+  }
+}
+
+module.exports = GiftCardService;
@@ -0,0 +1,197 @@
+const crypto = require('crypto');
+const { Order, User } = require('../database/models');
+const OrderService = require('./OrderService');
+const EmailService = require('./EmailService');
+const { logger } = require('../middleware/errorHandler');
+
+// How long an emailed order link stays valid
+const LINK_TTL_HOURS = parseInt(process.env.GUEST_ORDER_LINK_TTL_HOURS, 10) || 24;
+
+class GuestOrderService {
+  /**
+   * Email a guest a signed link to their order
+   * Nothing tells the caller whether the order and email matched, so order numbers cannot be probed.
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Contact email given at checkout
+   * @returns {Promise<boolean>} Whether a link was sent
+   */
+  static async requestOrderLink(orderNumber, email) {
+    // Fail the same way for every request when links cannot be signed
+    this.getSecret();
+
+    const order = await Order.findOne({
+      where: {
+        order_number: orderNumber,
+        user_id: null,
+        guest_email: email.trim().toLowerCase()
+      }
+    });
+
+    if (!order) {
+      return false;
+    }
+
+    const expires = Math.floor(Date.now() / 1000) + LINK_TTL_HOURS * 60 * 60;
+    const token = `${expires}.${this.sign(order.order_number, order.guest_email, expires)}`;
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+    try {
+      await EmailService.sendGuestOrderLinkEmail(order.guest_email, {
+        order_number: order.order_number,
+        customer_name: (order.billing_address && order.billing_address.name) || 'Customer',
+        link: `${frontendUrl}/orders/guest/${order.order_number}?token=${token}`,
+        expires_in_hours: LINK_TTL_HOURS
+      });
+    } catch (error) {
+      logger.error('Failed to send guest order link:', {
+        error: error.message,
+        orderNumber: order.order_number
+      });
+      return false;
+    }
+
+    logger.info('Guest order link sent', {
+      orderNumber: order.order_number
+    });
+
+    return true;
+  }
+
+  /**
+   * Get a guest order through the token from an emailed link
+   * @param {string} orderNumber - Order number
+   * @param {string} token - Link token (expiry.signature)
+   * @returns {Promise<Order>} Order with items, history and shipments
+   */
+  static async getOrderWithToken(orderNumber, token) {
+    const [expires, signature] = String(token).split('.');
+    const order = await OrderService.loadOrder(orderNumber);
+
+    // Orders attached to an account are only visible there
+    if (!order || !order.isGuestOrder() || !order.guest_email || !expires || !signature) {
+      throw new Error('Order not found');
+    }
+
+    const expected = this.sign(order.order_number, order.guest_email, expires);
+    if (signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+      throw new Error('Order not found');
+    }
+
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new Error('Order link has expired');
+    }
+
+    return order;
+  }
+
+  /**
+   * Attach the guest orders placed with an account's email once the customer has verified that email
+   * Never fails the caller; anything left behind can be attached by staff.
+   * @param {User} user - User whose email was verified
+   * @returns {Promise<number>} Number of orders attached
+   */
+  static async attachGuestOrders(user) {
+    // Anyone can register with someone else's email; only a verified address proves the orders are theirs
+    if (!user.is_email_verified) {
+      return 0;
+    }
+
+    try {
+      return await this.moveGuestOrders(user);
+    } catch (error) {
+      logger.error('Failed to attach guest orders:', {
+        error: error.message,
+        userId: user.id
+      });
+      return 0;
+    }
+  }
+
+  /**
+   * Attach a customer's guest orders through the token from an emailed order link
+   * The link was sent to the guest email, so presenting it proves the customer owns that address.
+   * @param {string} orderNumber - Order number of the link
+   * @param {string} token - Link token (expiry.signature)
+   * @param {number} userId - Signed-in customer
+   * @returns {Promise<number>} Number of orders attached
+   */
+  static async claimGuestOrders(orderNumber, token, userId) {
+    const order = await this.getOrderWithToken(orderNumber, token);
+    const user = await User.findByPk(userId);
+
+    // The link only vouches for its own email address
+    if (!user || user.email.trim().toLowerCase() !== order.guest_email) {
+      throw new Error('Order not found');
+    }
+
+    return this.moveGuestOrders(user);
+  }
+
+  /**
+   * Move the guest orders placed with a user's email to the user
+   * @param {User} user - User
+   * @returns {Promise<number>} Number of orders moved
+   */
+  static async moveGuestOrders(user) {
+    const orders = await Order.findAll({
+      where: {
+        user_id: null,
+        guest_email: user.email.trim().toLowerCase()
+      }
+    });
+
+    if (orders.length === 0) {
+      return 0;
+    }
+
+    const transaction = await Order.sequelize.transaction();
+
+    try {
+      for (const order of orders) {
+        await order.update({ user_id: user.id }, { transaction });
+        await order.addHistoryNote('Guest order attached to the customer\'s account', user.id, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    logger.info('Guest orders attached to account', {
+      userId: user.id,
+      orderNumbers: orders.map(order => order.order_number)
+    });
+
+    return orders.length;
+  }
+
+  /**
+   * Sign an order link; the signature covers the order, the guest email and the expiry
+   * @param {string} orderNumber - Order number
+   * @param {string} email - Guest email on the order
+   * @param {number|string} expires - Expiry as a Unix timestamp
+   * @returns {string} Hex HMAC-SHA256 signature
+   */
+  static sign(orderNumber, email, expires) {
+    return crypto
+      .createHmac('sha256', this.getSecret())
+      .update(`${orderNumber}:${email}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Get the key order links are signed with
+   * @returns {string} Secret
+   */
+  static getSecret() {
+    const secret = process.env.GUEST_ORDER_LINK_SECRET;
+    if (!secret) {
+      throw new Error('Guest order links are not configured');
+    }
+    return secret;
+  }
+}
+
+module.exports = GuestOrderService;
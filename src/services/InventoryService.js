@@ -9,10 +9,13 @@ class InventoryService {
    * @param {string} reason - Reason for adjustment
    * @param {string} note - Additional note
    * @param {number} userId - User ID performing the action
+   * @param {Object} options - { transaction? } to run inside the caller's transaction
    * @returns {Promise<Inventory>} Updated inventory record
    */
-  static async adjustStock(productId, quantity, reason = 'manual_adjust', note = null, userId = null) {
-    const transaction = await sequelize.transaction();
+  static async adjustStock(productId, quantity, reason = 'manual_adjust', note = null, userId = null, options = {}) {
+    // Join the caller's transaction when given; the caller then commits or rolls back
+    const ownsTransaction = !options.transaction;
+    const transaction = options.transaction || await sequelize.transaction();
 
     try {
       // Check if product exists and is not soft-deleted
@@ -62,7 +65,9 @@ class InventoryService {
           in_stock: quantity > 0
         }, { transaction });
 
-        await transaction.commit();
+        if (ownsTransaction) {
+          await transaction.commit();
+        }
         return newInventory;
       }
 
@@ -90,11 +95,15 @@ class InventoryService {
         created_by: userId
       }, { transaction });
 
-      await transaction.commit();
+      if (ownsTransaction) {
+        await transaction.commit();
+      }
       return inventory;
 
     } catch (error) {
-      await transaction.rollback();
+      if (ownsTransaction) {
+        await transaction.rollback();
+      }
       throw error;
     }
   }
@@ -233,9 +242,25 @@ class InventoryService {
    * @param {string} reason - Reason for addition
    * @param {string} note - Additional note
    * @param {number} userId - User ID performing the action
+   * @param {Object} options - { transaction? } to run inside the caller's transaction
    * @returns {Promise<Inventory>} Updated inventory record
    */
-  static async addStock(productId, quantity, reason = 'manual_adjust', note = null, userId = null) {
+  static async addStock(productId, quantity, reason = 'manual_adjust', note = null, userId = null, options = {}) {
+    if (options.transaction) {
+      // Read the current level under the row lock so concurrent additions are not lost
+      const inventory = await Inventory.findOne({
+        where: { product_id: productId },
+        transaction: options.transaction,
+        lock: true
+      });
+
+      if (!inventory) {
+        throw new Error('Inventory not found');
+      }
+
+      return this.adjustStock(productId, inventory.quantity + quantity, reason, note, userId, options);
+    }
+
     const inventory = await this.getInventoryByProductId(productId);
     const newQuantity = inventory.quantity + quantity;
     return this.adjustStock(productId, newQuantity, reason, note, userId);
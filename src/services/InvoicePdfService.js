@@ -0,0 +1,234 @@
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const FOOTER_SPACE = 40;
+
+// Line table columns; widths add up to the A4 width inside the margins
+const COLUMNS = [
+  { label: 'Description', width: 155, align: 'left' },
+  { label: 'Qty', width: 30, align: 'right' },
+  { label: 'Unit price', width: 55, align: 'right' },
+  { label: 'Taxable', width: 60, align: 'right' },
+  { label: 'Federal tax', width: 60, align: 'right' },
+  { label: 'State tax', width: 60, align: 'right' },
+  { label: 'Line total', width: 95, align: 'right' }
+];
+
+/**
+ * Format an amount with two decimals
+ * @param {number} amount - Amount
+ * @returns {string} Formatted amount
+ */
+const formatMoney = (amount) => (Math.round(amount * 100) / 100).toFixed(2);
+
+/**
+ * Format a rate (0.08875) as a percentage (8.875%)
+ * @param {number} rate - Tax rate
+ * @returns {string} Formatted percentage
+ */
+const formatRate = (rate) => `${parseFloat((rate * 100).toFixed(3))}%`;
+
+/**
+ * Turn an address snapshot into printable lines
+ * @param {Object|null} address - Address snapshot
+ * @returns {string[]} Lines
+ */
+const formatAddress = (address) => {
+  if (!address) {
+    return [];
+  }
+
+  const locality = [address.city, address.state, address.postal_code].filter(Boolean).join(', ');
+
+  return [
+    address.name,
+    address.line1,
+    address.line2,
+    locality,
+    address.country,
+    address.tax_id ? `Tax ID: ${address.tax_id}` : null,
+    address.email
+  ].filter(Boolean);
+};
+
+class InvoicePdfService {
+  /**
+   * Render an invoice or credit note to PDF
+   * @param {Object} document - { title, number, issued_at, currency, references, seller, billing, shipping, lines, totals, note? }
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static render(document) {
+    return new Promise((resolve, reject) => {
+      const pdf = new PDFDocument({
+        size: 'A4',
+        margin: PAGE_MARGIN,
+        info: {
+          Title: `${document.title} ${document.number}`,
+          Author: document.seller.name,
+          // Pin the creation date so re-rendering an issued document gives the same file
+          CreationDate: new Date(document.issued_at)
+        }
+      });
+
+      const chunks = [];
+      pdf.on('data', chunk => chunks.push(chunk));
+      pdf.on('end', () => resolve(Buffer.concat(chunks)));
+      pdf.on('error', reject);
+
+      this.drawHeader(pdf, document);
+      this.drawParties(pdf, document);
+      this.drawLines(pdf, document);
+      this.drawTotals(pdf, document);
+
+      if (document.note) {
+        pdf.moveDown(2).font('Helvetica').fontSize(8).fillColor('#555555')
+          .text(document.note, PAGE_MARGIN, pdf.y, { width: pdf.page.width - PAGE_MARGIN * 2 });
+      }
+
+      pdf.end();
+    });
+  }
+
+  /**
+   * Draw the title and document references
+   * @param {PDFDocument} pdf - PDF being written
+   * @param {Object} document - Document to render
+   */
+  static drawHeader(pdf, document) {
+    const top = PAGE_MARGIN;
+
+    pdf.font('Helvetica-Bold').fontSize(20).fillColor('#000000')
+      .text(document.title, PAGE_MARGIN, top);
+
+    const references = [
+      ['Number', document.number],
+      ['Issued', new Date(document.issued_at).toISOString().slice(0, 10)],
+      ...document.references.map(reference => [reference.label, reference.value]),
+      ['Currency', document.currency]
+    ];
+
+    let y = top;
+    for (const [label, value] of references) {
+      pdf.font('Helvetica-Bold').fontSize(9).text(`${label}:`, 330, y, { width: 80, align: 'right' });
+      pdf.font('Helvetica').text(value, 415, y, { width: 140 });
+      y += 13;
+    }
+
+    pdf.y = Math.max(y, top + 30) + 15;
+  }
+
+  /**
+   * Draw the seller, billing and shipping blocks side by side
+   * @param {PDFDocument} pdf - PDF being written
+   * @param {Object} document - Document to render
+   */
+  static drawParties(pdf, document) {
+    const top = pdf.y;
+    const blocks = [
+      ['Seller', formatAddress(document.seller)],
+      ['Bill to', formatAddress(document.billing)],
+      ['Ship to', formatAddress(document.shipping)]
+    ];
+
+    let bottom = top;
+    blocks.forEach(([heading, lines], index) => {
+      const x = PAGE_MARGIN + index * 175;
+      pdf.font('Helvetica-Bold').fontSize(9).text(heading, x, top, { width: 165 });
+      pdf.font('Helvetica').fontSize(9);
+      for (const line of lines) {
+        pdf.text(line, x, pdf.y, { width: 165 });
+      }
+      bottom = Math.max(bottom, pdf.y);
+    });
+
+    pdf.y = bottom + 20;
+  }
+
+  /**
+   * Draw a row of the line table
+   * @param {PDFDocument} pdf - PDF being written
+   * @param {string[]} cells - Cell text in column order
+   * @param {number} y - Top of the row
+   * @param {string} font - Font name
+   * @returns {number} Row height
+   */
+  static drawRow(pdf, cells, y, font = 'Helvetica') {
+    pdf.font(font).fontSize(8);
+
+    let x = PAGE_MARGIN;
+    let height = 0;
+    COLUMNS.forEach((column, index) => {
+      const options = { width: column.width - 4, align: column.align };
+      pdf.text(cells[index], x + 2, y, options);
+      height = Math.max(height, pdf.heightOfString(cells[index], options));
+      x += column.width;
+    });
+
+    return height + 6;
+  }
+
+  /**
+   * Draw the line table with the per-line tax breakdown
+   * @param {PDFDocument} pdf - PDF being written
+   * @param {Object} document - Document to render
+   */
+  static drawLines(pdf, document) {
+    const tableWidth = pdf.page.width - PAGE_MARGIN * 2;
+    const header = COLUMNS.map(column => column.label);
+
+    const drawHeaderRow = (top) => {
+      const height = this.drawRow(pdf, header, top, 'Helvetica-Bold');
+      pdf.moveTo(PAGE_MARGIN, top + height - 3).lineTo(PAGE_MARGIN + tableWidth, top + height - 3).stroke();
+      return top + height;
+    };
+
+    let y = drawHeaderRow(pdf.y);
+
+    for (const line of document.lines) {
+      const cells = [
+        line.sku ? `${line.description}\n${line.sku}` : line.description,
+        line.quantity === null ? '-' : String(line.quantity),
+        line.unit_price === null ? '-' : formatMoney(line.unit_price),
+        formatMoney(line.taxable_amount),
+        `${formatMoney(line.federal_tax)}\n${formatRate(line.federal_tax_rate)}`,
+        `${formatMoney(line.state_tax)}\n${formatRate(line.state_tax_rate)}`,
+        formatMoney(line.line_total)
+      ];
+
+      // Start a new page (with the header repeated) when the row would run into the footer
+      if (y + 30 > pdf.page.height - PAGE_MARGIN - FOOTER_SPACE) {
+        pdf.addPage();
+        y = drawHeaderRow(PAGE_MARGIN);
+      }
+
+      y += this.drawRow(pdf, cells, y);
+    }
+
+    pdf.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + tableWidth, y).stroke();
+    pdf.y = y + 10;
+  }
+
+  /**
+   * Draw the totals block
+   * @param {PDFDocument} pdf - PDF being written
+   * @param {Object} document - Document to render
+   */
+  static drawTotals(pdf, document) {
+    if (pdf.y + document.totals.length * 14 > pdf.page.height - PAGE_MARGIN - FOOTER_SPACE) {
+      pdf.addPage();
+      pdf.y = PAGE_MARGIN;
+    }
+
+    let y = pdf.y;
+    for (const total of document.totals) {
+      pdf.font(total.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+      pdf.text(total.label, 300, y, { width: 160, align: 'right' });
+      pdf.text(`${formatMoney(total.amount)} ${document.currency}`, 465, y, { width: 90, align: 'right' });
+      y += 14;
+    }
+
+    pdf.y = y;
+  }
+}
+
+module.exports = InvoicePdfService;
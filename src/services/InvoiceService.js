@@ -0,0 +1,732 @@
+const crypto = require('crypto');
+const { UniqueConstraintError, Op } = require('sequelize');
+const {
+  Invoice,
+  CreditNote,
+  DocumentSequence,
+  Order,
+  OrderItem,
+  Payment
+} = require('../database/models');
+const TaxService = require('./TaxService');
+const InvoicePdfService = require('./InvoicePdfService');
+const BunnyCDNService = require('./BunnyCDNService');
+const AuditService = require('./AuditService');
+const { getSellerDetails } = require('../config/seller');
+const { logger } = require('../middleware/errorHandler');
+
+// Orders in these statuses have been paid and must carry an invoice
+const INVOICED_ORDER_STATUSES = ['paid', 'picking', 'packed', 'shipped', 'delivered', 'returned'];
+
+// Storage folder, number field and printed title of each document type
+const DOCUMENT_TYPES = {
+  invoice: { folder: 'invoices', numberField: 'invoice_number', title: 'TAX INVOICE' },
+  credit_note: { folder: 'credit-notes', numberField: 'credit_note_number', title: 'CREDIT NOTE' }
+};
+
+/**
+ * Round an amount to cents
+ * @param {number} amount - Amount
+ * @returns {number} Rounded amount
+ */
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Sum a numeric field across document lines
+ * @param {Array} lines - Document lines
+ * @param {string} field - Field to sum
+ * @returns {number} Rounded sum
+ */
+const sumLines = (lines, field) => roundMoney(lines.reduce((sum, line) => sum + line[field], 0));
+
+class InvoiceService {
+  /**
+   * Issue the invoice for a paid order; returns the existing invoice if there is one
+   * Runs inside the caller's transaction so the number is only used if the caller commits.
+   * @param {Order} order - Paid order (items are loaded if missing)
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Invoice>} Invoice
+   */
+  static async issueInvoice(order, transaction) {
+    const existing = await Invoice.findOne({
+      where: { order_id: order.id },
+      transaction
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const items = order.items || await OrderItem.findAll({
+      where: { order_id: order.id },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    const lines = this.buildInvoiceLines(order, items);
+    const subtotal = sumLines(lines, 'line_subtotal');
+    const discountTotal = sumLines(lines, 'line_discount');
+    const taxTotal = sumLines(lines, 'line_tax');
+    const shippingTotal = parseFloat(order.shipping_total) || 0;
+
+    const sequence = await DocumentSequence.next('invoice', transaction);
+
+    const invoice = await Invoice.create({
+      invoice_number: Invoice.formatNumber(sequence),
+      order_id: order.id,
+      currency: order.currency,
+      prices_include_tax: order.prices_include_tax,
+      seller: getSellerDetails(),
+      buyer: {
+        billing: order.billing_address,
+        shipping: order.shipping_address
+      },
+      lines,
+      subtotal,
+      discount_total: discountTotal,
+      tax_total: taxTotal,
+      shipping_total: shippingTotal,
+      // Line totals carry their tax, or already contain it when prices include tax
+      grand_total: roundMoney(sumLines(lines, 'line_total') + shippingTotal),
+      tax_breakdown: order.tax_breakdown,
+      issued_at: new Date()
+    }, { transaction });
+
+    logger.info('Invoice issued', {
+      invoiceNumber: invoice.invoice_number,
+      orderId: order.id,
+      grandTotal: invoice.grand_total
+    });
+
+    return invoice;
+  }
+
+  /**
+   * Build invoice lines from the order snapshot, with each line's tax split into its federal and state parts
+   * at the rates of the line's tax class
+   * Units cancelled before payment are left out.
+   * @param {Order} order - Order
+   * @param {OrderItem[]} items - Order lines
+   * @returns {Array} Invoice lines
+   */
+  static buildInvoiceLines(order, items) {
+    const breakdown = order.tax_breakdown || {};
+
+    return items
+      .map(item => ({ item, quantity: item.qty - (item.cancelled_qty || 0) }))
+      .filter(({ quantity }) => quantity > 0)
+      .map(({ item, quantity }) => {
+        const ratio = quantity / item.qty;
+        // Lines are taxed at their class's rates; orders from before tax classes only have the address's rates
+        const rates = (breakdown.classes || [])
+          .find(entry => String(entry.tax_class_id || '') === String(item.tax_class_id || '')) || breakdown;
+        const federalRate = rates.federal_tax_rate !== undefined
+          ? parseFloat(rates.federal_tax_rate)
+          : parseFloat(item.tax_rate);
+        const stateRate = rates.state_tax_rate !== undefined ? parseFloat(rates.state_tax_rate) : 0;
+
+        const lineSubtotal = roundMoney(parseFloat(item.line_subtotal) * ratio);
+        const lineDiscount = roundMoney(parseFloat(item.line_discount) * ratio);
+        const lineTax = roundMoney(parseFloat(item.line_tax) * ratio);
+        const lineTotal = roundMoney(parseFloat(item.line_total) * ratio);
+        // Tax-inclusive prices are taxed on what is left once their tax is taken out
+        const taxableAmount = order.prices_include_tax ? roundMoney(lineTotal - lineTax) : lineSubtotal;
+        const tax = TaxService.getItemTaxBreakdown(taxableAmount, federalRate, stateRate);
+        const federalTax = Math.min(tax.federal_tax, lineTax);
+
+        return {
+          order_item_id: item.id,
+          sku: item.sku,
+          description: item.title,
+          quantity,
+          unit_price: parseFloat(item.unit_price),
+          line_subtotal: lineSubtotal,
+          line_discount: lineDiscount,
+          taxable_amount: tax.taxable_amount,
+          federal_tax_rate: federalRate,
+          federal_tax: federalTax,
+          state_tax_rate: stateRate,
+          // The line tax is what the customer was charged; the state part absorbs rounding
+          state_tax: roundMoney(lineTax - federalTax),
+          line_tax: lineTax,
+          line_total: lineTotal
+        };
+      });
+  }
+
+  /**
+   * Issue the credit note for a refund recorded on a payment; returns the existing one if already issued
+   * @param {Payment} payment - Refunded payment linked to an order
+   * @param {string} refundReference - Provider reference of the refund (from payment.meta.refunds)
+   * @param {Object} options - { reason?, items?: [{ order_item_id, qty }] } units the refund is for
+   * @returns {Promise<CreditNote>} Credit note
+   */
+  static async issueCreditNote(payment, refundReference, options = {}) {
+    const { reason = null, items = null } = options;
+
+    const existing = await CreditNote.findOne({
+      where: { payment_id: payment.id, refund_reference: refundReference }
+    });
+
+    if (existing) {
+      return existing;
+    }
+
+    const refund = ((payment.meta && payment.meta.refunds) || [])
+      .find(entry => entry.provider_reference === refundReference);
+
+    if (!refund) {
+      throw new Error('Refund not found on payment');
+    }
+
+    const transaction = await CreditNote.sequelize.transaction();
+    let creditNote;
+
+    try {
+      const invoice = await Invoice.findOne({
+        where: { order_id: payment.order_id },
+        transaction
+      });
+
+      if (!invoice) {
+        throw new Error('Order has no invoice');
+      }
+
+      const amount = roundMoney(parseFloat(refund.amount));
+      const lines = this.buildCreditLines(invoice, amount, items);
+      const taxTotal = sumLines(lines, 'line_tax');
+
+      const sequence = await DocumentSequence.next('credit_note', transaction);
+
+      creditNote = await CreditNote.create({
+        credit_note_number: CreditNote.formatNumber(sequence),
+        invoice_id: invoice.id,
+        order_id: payment.order_id,
+        payment_id: payment.id,
+        refund_reference: refundReference,
+        reason,
+        currency: invoice.currency,
+        seller: invoice.seller,
+        buyer: invoice.buyer,
+        lines,
+        subtotal: roundMoney(amount - taxTotal),
+        tax_total: taxTotal,
+        total: amount,
+        issued_at: new Date()
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+
+      // Another request issued it first; its number stands and ours was handed back
+      if (error instanceof UniqueConstraintError) {
+        return CreditNote.findOne({
+          where: { payment_id: payment.id, refund_reference: refundReference }
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Credit note issued', {
+      creditNoteNumber: creditNote.credit_note_number,
+      paymentId: payment.id,
+      refundReference,
+      total: creditNote.total
+    });
+
+    await this.publish(creditNote, 'credit_note');
+
+    return creditNote;
+  }
+
+  /**
+   * Work out which invoice lines a refund credits
+   * Refunds for known units credit those units (plus shipping or an adjustment for anything beyond them);
+   * refunds without unit detail, or capped below the units' value, are spread over the whole invoice.
+   * @param {Invoice} invoice - Invoice being credited
+   * @param {number} amount - Refunded amount
+   * @param {Array|null} items - [{ order_item_id, qty }]
+   * @returns {Array} Credit note lines
+   */
+  static buildCreditLines(invoice, amount, items) {
+    const invoiceLines = new Map(invoice.lines.map(line => [String(line.order_item_id), line]));
+
+    const lines = (items || [])
+      .map(item => {
+        const line = invoiceLines.get(String(item.order_item_id));
+        return line ? this.scaleLine(line, item.qty / line.quantity, item.qty) : null;
+      })
+      .filter(Boolean);
+
+    const remainder = roundMoney(amount - sumLines(lines, 'line_total'));
+    const roundingTolerance = 0.01 * lines.length;
+
+    if (lines.length === 0 || remainder < -roundingTolerance) {
+      return this.buildProportionalCreditLines(invoice, amount);
+    }
+
+    if (Math.abs(remainder) <= roundingTolerance) {
+      this.absorbRounding(lines, remainder);
+      return lines;
+    }
+
+    const shippingTotal = parseFloat(invoice.shipping_total) || 0;
+    lines.push(this.buildUntaxedLine(remainder <= shippingTotal ? 'Shipping' : 'Adjustment', remainder));
+    return lines;
+  }
+
+  /**
+   * Spread a refund over every invoice line and shipping in proportion to the invoice total
+   * @param {Invoice} invoice - Invoice being credited
+   * @param {number} amount - Refunded amount
+   * @returns {Array} Credit note lines
+   */
+  static buildProportionalCreditLines(invoice, amount) {
+    const grandTotal = parseFloat(invoice.grand_total);
+    const ratio = grandTotal > 0 ? Math.min(amount / grandTotal, 1) : 0;
+
+    const lines = invoice.lines.map(line => this.scaleLine(line, ratio, null));
+
+    const shippingTotal = parseFloat(invoice.shipping_total) || 0;
+    if (shippingTotal > 0) {
+      lines.push(this.buildUntaxedLine('Shipping', roundMoney(shippingTotal * ratio)));
+    }
+
+    this.absorbRounding(lines, roundMoney(amount - sumLines(lines, 'line_total')));
+    return lines;
+  }
+
+  /**
+   * Scale an invoice line to the credited share
+   * @param {Object} line - Invoice line
+   * @param {number} ratio - Share being credited
+   * @param {number|null} quantity - Credited units, or null when the credit is not per unit
+   * @returns {Object} Credit note line
+   */
+  static scaleLine(line, ratio, quantity) {
+    const lineTax = roundMoney(line.line_tax * ratio);
+    const federalTax = Math.min(roundMoney(line.federal_tax * ratio), lineTax);
+
+    return {
+      order_item_id: line.order_item_id,
+      sku: line.sku,
+      description: line.description,
+      quantity,
+      unit_price: quantity === null ? null : line.unit_price,
+      line_subtotal: roundMoney(line.line_subtotal * ratio),
+      line_discount: roundMoney(line.line_discount * ratio),
+      taxable_amount: roundMoney(line.taxable_amount * ratio),
+      federal_tax_rate: line.federal_tax_rate,
+      federal_tax: federalTax,
+      state_tax_rate: line.state_tax_rate,
+      state_tax: roundMoney(lineTax - federalTax),
+      line_tax: lineTax,
+      line_total: roundMoney(line.line_total * ratio)
+    };
+  }
+
+  /**
+   * Build a credit line that carries no tax (shipping, goodwill adjustments)
+   * @param {string} description - Line description
+   * @param {number} amount - Amount
+   * @returns {Object} Credit note line
+   */
+  static buildUntaxedLine(description, amount) {
+    return {
+      order_item_id: null,
+      sku: null,
+      description,
+      quantity: null,
+      unit_price: null,
+      line_subtotal: amount,
+      line_discount: 0,
+      taxable_amount: 0,
+      federal_tax_rate: 0,
+      federal_tax: 0,
+      state_tax_rate: 0,
+      state_tax: 0,
+      line_tax: 0,
+      line_total: amount
+    };
+  }
+
+  /**
+   * Put a rounding difference on the last line so the lines add up to the refund exactly
+   * @param {Array} lines - Credit note lines
+   * @param {number} difference - Refund minus the sum of line totals
+   */
+  static absorbRounding(lines, difference) {
+    if (difference === 0 || lines.length === 0) {
+      return;
+    }
+
+    const last = lines[lines.length - 1];
+    last.line_total = roundMoney(last.line_total + difference);
+    last.line_subtotal = roundMoney(last.line_subtotal + difference);
+  }
+
+  /**
+   * Render a document to PDF from its issued snapshot
+   * @param {Invoice|CreditNote} document - Document
+   * @param {string} type - 'invoice' or 'credit_note'
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async renderPdf(document, type) {
+    const order = document.order || await Order.findByPk(document.order_id, { attributes: ['id', 'order_number'] });
+    const lines = document.lines;
+
+    const references = [{ label: 'Order', value: order ? order.order_number : String(document.order_id) }];
+    const totals = [];
+    let note = null;
+
+    if (type === 'invoice') {
+      totals.push(
+        { label: 'Subtotal', amount: parseFloat(document.subtotal) },
+        { label: 'Discount', amount: -parseFloat(document.discount_total) },
+        { label: document.prices_include_tax ? 'Federal tax (included)' : 'Federal tax', amount: sumLines(lines, 'federal_tax') },
+        { label: document.prices_include_tax ? 'State tax (included)' : 'State tax', amount: sumLines(lines, 'state_tax') },
+        { label: 'Shipping', amount: parseFloat(document.shipping_total) },
+        { label: 'Total', amount: parseFloat(document.grand_total), bold: true }
+      );
+    } else {
+      const invoice = document.invoice || await Invoice.findByPk(document.invoice_id, { attributes: ['id', 'invoice_number'] });
+      references.push({ label: 'Invoice', value: invoice ? invoice.invoice_number : String(document.invoice_id) });
+      totals.push(
+        { label: 'Net credit', amount: parseFloat(document.subtotal) },
+        { label: 'Federal tax', amount: sumLines(lines, 'federal_tax') },
+        { label: 'State tax', amount: sumLines(lines, 'state_tax') },
+        { label: 'Total credit', amount: parseFloat(document.total), bold: true }
+      );
+      note = `Credit for refund ${document.refund_reference}${document.reason ? ` (${document.reason})` : ''}.`;
+    }
+
+    return InvoicePdfService.render({
+      title: DOCUMENT_TYPES[type].title,
+      number: document[DOCUMENT_TYPES[type].numberField],
+      issued_at: document.issued_at,
+      currency: document.currency,
+      references,
+      seller: document.seller,
+      billing: document.buyer.billing,
+      shipping: document.buyer.shipping,
+      lines,
+      totals,
+      note
+    });
+  }
+
+  /**
+   * Render a document and keep a copy in storage; a storage failure is logged, not thrown
+   * @param {Invoice|CreditNote} document - Document
+   * @param {string} type - 'invoice' or 'credit_note'
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async storePdf(document, type) {
+    const buffer = await this.renderPdf(document, type);
+    const number = document[DOCUMENT_TYPES[type].numberField];
+
+    // A random path segment keeps documents out of reach of anyone guessing numbers on the CDN
+    const key = `documents/${DOCUMENT_TYPES[type].folder}/${crypto.randomBytes(16).toString('hex')}/${number}.pdf`;
+
+    try {
+      await BunnyCDNService.uploadFile(buffer, key, 'application/pdf');
+      await document.update({ storage_key: key });
+    } catch (error) {
+      logger.error('Failed to store document PDF:', {
+        error: error.message,
+        number
+      });
+    }
+
+    return buffer;
+  }
+
+  /**
+   * Store a newly issued document's PDF without failing the step that issued it
+   * @param {Invoice|CreditNote} document - Document
+   * @param {string} type - 'invoice' or 'credit_note'
+   * @returns {Promise<void>}
+   */
+  static async publish(document, type) {
+    try {
+      await this.storePdf(document, type);
+    } catch (error) {
+      logger.error('Failed to render document PDF:', {
+        error: error.message,
+        number: document[DOCUMENT_TYPES[type].numberField]
+      });
+    }
+  }
+
+  /**
+   * Get a document's PDF, from storage when it is there
+   * Documents are fixed snapshots, so rendering again gives the same content.
+   * @param {Invoice|CreditNote} document - Document
+   * @param {string} type - 'invoice' or 'credit_note'
+   * @returns {Promise<Buffer>} PDF bytes
+   */
+  static async getPdf(document, type) {
+    if (!document.storage_key) {
+      return this.storePdf(document, type);
+    }
+
+    try {
+      return await BunnyCDNService.downloadFile(document.storage_key);
+    } catch (error) {
+      logger.warn('Stored document PDF unavailable, rendering it again', {
+        error: error.message,
+        storageKey: document.storage_key
+      });
+      return this.renderPdf(document, type);
+    }
+  }
+
+  /**
+   * Get an order's invoice and credit notes for the owning user
+   * @param {string} orderNumber - Order number
+   * @param {number} userId - User ID for authorization
+   * @returns {Promise<Object>} { invoice, credit_notes }
+   */
+  static async getDocumentsForUser(orderNumber, userId) {
+    const order = await this.loadOrderWithDocuments(orderNumber);
+
+    // Respond the same way for missing and foreign orders so numbers cannot be probed
+    if (!order || !order.isOwnedBy(userId)) {
+      throw new Error('Order not found');
+    }
+
+    return {
+      invoice: order.invoice ? order.invoice.getSummary() : null,
+      credit_notes: (order.creditNotes || []).map(creditNote => creditNote.getSummary())
+    };
+  }
+
+  /**
+   * Get an order's invoice for the owning user
+   * @param {string} orderNumber - Order number
+   * @param {number} userId - User ID for authorization
+   * @returns {Promise<Invoice>} Invoice
+   */
+  static async getInvoiceForUser(orderNumber, userId) {
+    const order = await this.loadOrderWithDocuments(orderNumber);
+
+    if (!order || !order.isOwnedBy(userId)) {
+      throw new Error('Order not found');
+    }
+
+    if (!order.invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    order.invoice.order = order;
+    return order.invoice;
+  }
+
+  /**
+   * Get one of an order's credit notes for the owning user
+   * @param {string} orderNumber - Order number
+   * @param {string} creditNoteNumber - Credit note number
+   * @param {number} userId - User ID for authorization
+   * @returns {Promise<CreditNote>} Credit note
+   */
+  static async getCreditNoteForUser(orderNumber, creditNoteNumber, userId) {
+    const order = await this.loadOrderWithDocuments(orderNumber);
+
+    if (!order || !order.isOwnedBy(userId)) {
+      throw new Error('Order not found');
+    }
+
+    const creditNote = (order.creditNotes || []).find(candidate => candidate.credit_note_number === creditNoteNumber);
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    creditNote.order = order;
+    creditNote.invoice = order.invoice;
+    return creditNote;
+  }
+
+  /**
+   * Load an order with its invoice and credit notes
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Order|null>} Order
+   */
+  static async loadOrderWithDocuments(orderNumber) {
+    return Order.findOne({
+      where: { order_number: orderNumber },
+      include: [
+        { model: Invoice, as: 'invoice' },
+        { model: CreditNote, as: 'creditNotes' }
+      ],
+      order: [[{ model: CreditNote, as: 'creditNotes' }, 'issued_at', 'ASC']]
+    });
+  }
+
+  /**
+   * Get invoices with pagination (staff)
+   * @param {Object} options - { page, limit, from?, to? }
+   * @returns {Promise<Object>} Invoices with pagination
+   */
+  static async getInvoices(options = {}) {
+    const { page = 1, limit = 20, from, to } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (from || to) {
+      where.issued_at = {};
+      if (from) {
+        where.issued_at[Op.gte] = from;
+      }
+      if (to) {
+        where.issued_at[Op.lte] = to;
+      }
+    }
+
+    const { count, rows } = await Invoice.findAndCountAll({
+      where,
+      include: [{ model: Order, as: 'order', attributes: ['id', 'order_number'] }],
+      order: [['invoice_number', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      invoices: rows.map(invoice => invoice.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get an invoice by number with its credit notes (staff)
+   * @param {string} invoiceNumber - Invoice number
+   * @returns {Promise<Invoice>} Invoice
+   */
+  static async getInvoiceByNumber(invoiceNumber) {
+    const invoice = await Invoice.findOne({
+      where: { invoice_number: invoiceNumber },
+      include: [
+        { model: Order, as: 'order', attributes: ['id', 'order_number'] },
+        { model: CreditNote, as: 'creditNotes' }
+      ],
+      order: [[{ model: CreditNote, as: 'creditNotes' }, 'issued_at', 'ASC']]
+    });
+
+    if (!invoice) {
+      throw new Error('Invoice not found');
+    }
+
+    return invoice;
+  }
+
+  /**
+   * Get a credit note by number (staff)
+   * @param {string} creditNoteNumber - Credit note number
+   * @returns {Promise<CreditNote>} Credit note
+   */
+  static async getCreditNoteByNumber(creditNoteNumber) {
+    const creditNote = await CreditNote.findOne({
+      where: { credit_note_number: creditNoteNumber },
+      include: [
+        { model: Order, as: 'order', attributes: ['id', 'order_number'] },
+        { model: Invoice, as: 'invoice', attributes: ['id', 'invoice_number'] }
+      ]
+    });
+
+    if (!creditNote) {
+      throw new Error('Credit note not found');
+    }
+
+    return creditNote;
+  }
+
+  /**
+   * Issue whatever is missing for an order: its invoice, a credit note per recorded refund, and stored PDFs
+   * For orders paid before invoicing existed, and for documents whose automatic issue failed.
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Invoice>} Invoice with credit notes
+   */
+  static async syncOrderDocuments(orderNumber) {
+    const order = await Order.findOne({ where: { order_number: orderNumber } });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    const payments = await Payment.findAll({
+      where: {
+        order_id: order.id,
+        amount_captured: { [Op.gt]: 0 }
+      },
+      order: [['id', 'ASC']]
+    });
+
+    if (!INVOICED_ORDER_STATUSES.includes(order.status) && payments.length === 0) {
+      throw new Error('Order has not been paid');
+    }
+
+    const transaction = await Invoice.sequelize.transaction();
+    let invoice;
+
+    try {
+      // Serialize with payment capture so the order cannot get two invoices
+      await Order.findByPk(order.id, { lock: transaction.LOCK.UPDATE, transaction });
+      invoice = await this.issueInvoice(order, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (!invoice.storage_key) {
+      await this.publish(invoice, 'invoice');
+    }
+
+    for (const payment of payments) {
+      for (const refund of (payment.meta && payment.meta.refunds) || []) {
+        const creditNote = await this.issueCreditNote(payment, refund.provider_reference);
+        if (!creditNote.storage_key) {
+          await this.publish(creditNote, 'credit_note');
+        }
+      }
+    }
+
+    return this.getInvoiceByNumber(invoice.invoice_number);
+  }
+
+  /**
+   * Record a staff download of a document
+   * @param {string} action - Audit action
+   * @param {string} number - Document number
+   * @param {number} actorUserId - Staff user
+   * @param {Object} context - Request context for the audit log
+   * @returns {Promise<void>}
+   */
+  static async audit(action, number, actorUserId, context = {}) {
+    try {
+      await AuditService.log(action, {
+        actor_user_id: actorUserId,
+        resource_type: 'INVOICE',
+        resource_id: number,
+        request_id: context.request_id || null,
+        ip_address: context.ip_address || null,
+        user_agent: context.user_agent || null
+      });
+    } catch (error) {
+      logger.error('Failed to audit document download:', {
+        error: error.message,
+        action,
+        number
+      });
+    }
+  }
+}
+
+module.exports = InvoiceService;
@@ -0,0 +1,305 @@
+const { Order, OrderItem, Payment } = require('../database/models');
+const { Op } = require('sequelize');
+const InventoryService = require('./InventoryService');
+const OrderService = require('./OrderService');
+const PaymentService = require('./PaymentService');
+const TenderService = require('./TenderService');
+const AuditService = require('./AuditService');
+const OrderEmailService = require('./OrderEmailService');
+const { logger } = require('../middleware/errorHandler');
+
+// Customers can cancel until the warehouse starts picking
+const CANCELLABLE_ORDER_STATUSES = ['placed', 'paid'];
+
+// Inventory problems that should not block a cancellation; the units are left for staff to recount
+const SKIPPABLE_RESTOCK_ERRORS = ['Product not found', 'Product is soft-deleted', 'Inventory not found'];
+
+class OrderCancellationService {
+  /**
+   * Cancel all or part of a customer's order, put the stock back and release or refund the money
+   * @param {string} orderNumber - Order number
+   * @param {number} userId - User ID for authorization
+   * @param {Object} data - { items?: [{ order_item_id, qty }], reason? }; no items cancels everything left
+   * @param {Object} context - Audit context { request_id, ip_address, user_agent }
+   * @returns {Promise<Object>} { order, cancellation }
+   */
+  static async cancelOrder(orderNumber, userId, data = {}, context = {}) {
+    const transaction = await Order.sequelize.transaction();
+    let order;
+    let lines;
+    let fullyCancelled;
+    let amount;
+    let tenderRestored;
+    const restocked = [];
+
+    try {
+      // Lock the order so a cancellation cannot race picking or another cancellation
+      order = await Order.findOne({
+        where: { order_number: orderNumber },
+        include: [{ model: OrderItem, as: 'items' }],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      // Respond the same way for missing and foreign orders so numbers cannot be probed
+      if (!order || !order.isOwnedBy(userId)) {
+        throw new Error('Order not found');
+      }
+
+      if (order.status === 'cancelled') {
+        throw new Error('Order is already cancelled');
+      }
+
+      if (!CANCELLABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new Error(`Order is ${order.status} and can no longer be cancelled`);
+      }
+
+      lines = this.buildLines(order, data.items);
+
+      for (const line of lines) {
+        await line.orderItem.update({
+          cancelled_qty: (line.orderItem.cancelled_qty || 0) + line.qty
+        }, { transaction });
+
+        if (await this.restock(line, orderNumber, userId, transaction)) {
+          restocked.push({ sku: line.orderItem.sku, qty: line.qty });
+        }
+      }
+
+      fullyCancelled = order.items.every(item => item.getActiveQuantity() === 0);
+
+      if (fullyCancelled) {
+        await order.transitionTo('cancelled', userId, data.reason || null, { transaction });
+      } else {
+        const summary = lines.map(line => `${line.qty} x ${line.orderItem.sku}`).join(', ');
+        const note = data.reason ? `Cancelled ${summary}: ${data.reason}` : `Cancelled ${summary}`;
+        await order.addHistoryNote(note, userId, { transaction });
+      }
+
+      amount = Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+
+      // Gift cards and store credit get their share back with the order change; the payment covers the rest
+      tenderRestored = await TenderService.restoreForCancellation(order, amount, fullyCancelled, userId, transaction);
+
+      await OrderEmailService.queueCancellation(order, lines, {
+        fully_cancelled: fullyCancelled,
+        amount,
+        reason: data.reason
+      }, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    const payment = await this.settlePayment(order, Math.round((amount - tenderRestored) * 100) / 100, fullyCancelled, lines);
+
+    const cancellation = {
+      fully_cancelled: fullyCancelled,
+      items: lines.map(line => ({
+        order_item_id: line.orderItem.id,
+        sku: line.orderItem.sku,
+        quantity: line.qty
+      })),
+      amount,
+      tender_restored: tenderRestored,
+      payment
+    };
+
+    await this.audit(fullyCancelled ? 'ORDER_CANCELLED' : 'ORDER_PARTIALLY_CANCELLED', orderNumber, userId, context, {
+      ...cancellation,
+      reason: data.reason || null,
+      restocked
+    });
+
+    logger.info('Order cancelled by customer', {
+      orderNumber,
+      userId,
+      fullyCancelled,
+      paymentAction: payment.action,
+      paymentStatus: payment.status
+    });
+
+    return {
+      order: await OrderService.loadOrder(orderNumber),
+      cancellation
+    };
+  }
+
+  /**
+   * Resolve the requested lines against the order; no items means every unit still active
+   * @param {Order} order - Order loaded with items
+   * @param {Array|undefined} items - [{ order_item_id, qty }]
+   * @returns {Array} [{ orderItem, qty, amount }]
+   */
+  static buildLines(order, items) {
+    const requested = items || order.items
+      .filter(item => item.getActiveQuantity() > 0)
+      .map(item => ({ order_item_id: item.id, qty: item.getActiveQuantity() }));
+
+    const orderItemsById = new Map(order.items.map(item => [String(item.id), item]));
+
+    return requested.map(line => {
+      const orderItem = orderItemsById.get(String(line.order_item_id));
+      if (!orderItem) {
+        throw new Error(`Order item ${line.order_item_id} not found in order`);
+      }
+
+      const cancellable = orderItem.getActiveQuantity();
+      if (line.qty > cancellable) {
+        throw new Error(`Only ${cancellable} unit(s) of ${orderItem.sku} can be cancelled`);
+      }
+
+      return {
+        orderItem,
+        qty: line.qty,
+        // Same proration as returns: the line total (after discount, with tax) per unit
+        amount: Math.round(parseFloat(orderItem.line_total) * line.qty / orderItem.qty * 100) / 100
+      };
+    });
+  }
+
+  /**
+   * Put cancelled units back into stock
+   * @param {Object} line - { orderItem, qty }
+   * @param {string} orderNumber - Order number for the ledger note
+   * @param {number} userId - Customer cancelling the order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<boolean>} Whether the units were restocked
+   */
+  static async restock(line, orderNumber, userId, transaction) {
+    const productId = line.orderItem.product_id;
+    if (!productId) {
+      return false;
+    }
+
+    try {
+      await InventoryService.addStock(
+        productId,
+        line.qty,
+        'order_release',
+        `Cancelled from order ${orderNumber}`,
+        userId,
+        { transaction }
+      );
+      return true;
+    } catch (error) {
+      if (!SKIPPABLE_RESTOCK_ERRORS.includes(error.message)) {
+        throw error;
+      }
+
+      logger.warn('Cancelled units were not restocked:', {
+        error: error.message,
+        orderNumber,
+        sku: line.orderItem.sku
+      });
+      return false;
+    }
+  }
+
+  /**
+   * Release or refund the money for cancelled units
+   * An authorization is voided (or captured for what is still owed); a captured payment is refunded.
+   * Failures are reported rather than thrown: the order is already cancelled and support takes it from there.
+   * @param {Order} order - Cancelled order
+   * @param {number} amount - Value of the cancelled units, less what went back to gift cards and store credit
+   * @param {boolean} fullyCancelled - Whether nothing is left to fulfil
+   * @param {Array} lines - Cancelled lines, itemised on the credit note of a refund
+   * @returns {Promise<Object>} { action, status, payment_id?, amount?, provider_reference?, error? }
+   */
+  static async settlePayment(order, amount, fullyCancelled, lines) {
+    // Gift cards and store credit already took back the whole cancelled value
+    if (!fullyCancelled && amount <= 0) {
+      return { action: 'none', status: 'skipped' };
+    }
+
+    const payment = await Payment.findOne({
+      where: {
+        order_id: order.id,
+        status: { [Op.in]: ['authorized', 'captured', 'partially_refunded'] }
+      },
+      order: [['created_at', 'DESC']]
+    });
+
+    if (!payment) {
+      return { action: 'none', status: 'skipped' };
+    }
+
+    let action = 'refund';
+
+    try {
+      if (payment.canVoid()) {
+        const remaining = Math.round((parseFloat(payment.amount) - amount) * 100) / 100;
+
+        if (fullyCancelled || remaining <= 0) {
+          action = 'void';
+          await PaymentService.voidPayment(payment);
+          return { action, status: 'succeeded', payment_id: payment.id, amount: parseFloat(payment.amount) };
+        }
+
+        // Capture only what is still owed; the provider releases the rest of the hold
+        action = 'partial_capture';
+        if (!await PaymentService.capturePayment(payment, remaining)) {
+          throw new Error('Payment capture failed');
+        }
+        return { action, status: 'succeeded', payment_id: payment.id, amount: remaining };
+      }
+
+      // A full cancellation also returns shipping, so refund whatever is left on the payment
+      const result = await PaymentService.refundPayment(
+        payment,
+        fullyCancelled ? null : Math.min(amount, payment.getRefundableAmount()),
+        'order_cancelled',
+        { items: lines.map(line => ({ order_item_id: line.orderItem.id, qty: line.qty })) }
+      );
+
+      return {
+        action,
+        status: 'succeeded',
+        payment_id: payment.id,
+        amount: result.amount,
+        provider_reference: result.provider_reference
+      };
+    } catch (error) {
+      logger.error('Cancellation payment step failed:', {
+        error: error.message,
+        orderNumber: order.order_number,
+        paymentId: payment.id,
+        action
+      });
+
+      return { action, status: 'failed', payment_id: payment.id, error: error.message };
+    }
+  }
+
+  /**
+   * Write a cancellation to the audit log without failing the cancellation itself
+   * @param {string} action - Audit action
+   * @param {string} orderNumber - Order number
+   * @param {number} actorUserId - Customer cancelling the order
+   * @param {Object} context - Audit context { request_id, ip_address, user_agent }
+   * @param {Object} meta - Cancellation details
+   */
+  static async audit(action, orderNumber, actorUserId, context, meta = {}) {
+    try {
+      await AuditService.log(action, {
+        actor_user_id: actorUserId,
+        resource_type: 'ORDER',
+        resource_id: orderNumber,
+        request_id: context.request_id || null,
+        ip_address: context.ip_address || null,
+        user_agent: context.user_agent || null,
+        meta
+      });
+    } catch (error) {
+      logger.error('Failed to audit order cancellation:', {
+        error: error.message,
+        action,
+        orderNumber
+      });
+    }
+  }
+}
+
+module.exports = OrderCancellationService;
@@ -0,0 +1,269 @@
+const { Op } = require('sequelize');
+const { OrderEmail, Order, User } = require('../database/models');
+const EmailService = require('./EmailService');
+const { logger } = require('../middleware/errorHandler');
+
+// How long a worker holds a claimed email before another may pick it up again
+const SEND_LEASE_MS = 5 * 60 * 1000;
+
+// EmailService method that sends each type of order email
+const SENDERS = {
+  order_confirmation: 'sendOrderConfirmationEmail',
+  order_shipped: 'sendOrderShippedEmail',
+  order_cancelled: 'sendOrderCancelledEmail',
+  refund_issued: 'sendRefundIssuedEmail',
+  gift_cards_issued: 'sendGiftCardsIssuedEmail'
+};
+
+class OrderEmailService {
+  /**
+   * Queue an order email; queuing the same email twice (same type and reference) is a no-op
+   * Pass the transaction that changes the order so the email is only queued if the change commits.
+   * @param {Order} order - Order
+   * @param {string} type - Email type (see SENDERS)
+   * @param {string} reference - What the email is about, unique per order and type
+   * @param {Object} payload - Snapshot the templates render
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<OrderEmail|null>} Queued email, or null when the order has no recipient
+   */
+  static async enqueue(order, type, reference, payload, transaction = null) {
+    const recipient = await this.getRecipient(order, transaction);
+
+    if (!recipient) {
+      logger.warn('Order email skipped, no recipient', {
+        orderNumber: order.order_number,
+        type
+      });
+      return null;
+    }
+
+    const [email] = await OrderEmail.findOrCreate({
+      where: { order_id: order.id, type, reference: String(reference) },
+      defaults: {
+        recipient: recipient.email,
+        payload: {
+          order_number: order.order_number,
+          customer_name: recipient.name,
+          currency: order.currency,
+          ...payload
+        }
+      },
+      transaction
+    });
+
+    return email;
+  }
+
+  /**
+   * Work out who receives an order's emails: the account holder, else the guest's contact email
+   * @param {Order} order - Order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Object|null>} { email, name }
+   */
+  static async getRecipient(order, transaction = null) {
+    const billing = order.billing_address || {};
+
+    if (order.user_id) {
+      const user = await User.findByPk(order.user_id, {
+        attributes: ['id', 'email', 'full_name'],
+        transaction
+      });
+
+      if (user && user.email) {
+        return { email: user.email, name: user.full_name || billing.name || 'Customer' };
+      }
+    }
+
+    const email = order.guest_email || billing.email;
+    return email ? { email, name: billing.name || 'Customer' } : null;
+  }
+
+  /**
+   * Queue the confirmation for a newly placed order
+   * @param {Order} order - Order with items
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<OrderEmail|null>} Queued email
+   */
+  static async queueOrderConfirmation(order, transaction) {
+    return this.enqueue(order, 'order_confirmation', order.order_number, {
+      items: order.items.map(item => ({
+        title: item.title,
+        sku: item.sku,
+        quantity: item.qty,
+        line_total: parseFloat(item.line_total)
+      })),
+      totals: {
+        subtotal: parseFloat(order.subtotal),
+        discount_total: parseFloat(order.discount_total),
+        tax_total: parseFloat(order.tax_total),
+        shipping_total: parseFloat(order.shipping_total),
+        grand_total: parseFloat(order.grand_total)
+      },
+      shipping_address: order.shipping_address
+    }, transaction);
+  }
+
+  /**
+   * Queue the dispatch notice for a parcel
+   * @param {Order} order - Order with items
+   * @param {Shipment} shipment - Created shipment
+   * @param {Array} lines - Shipped lines [{ order_item_id, qty }]
+   * @param {boolean} fullyShipped - Whether this parcel completes the order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<OrderEmail|null>} Queued email
+   */
+  static async queueShipmentDispatched(order, shipment, lines, fullyShipped, transaction) {
+    const orderItemsById = new Map(order.items.map(item => [String(item.id), item]));
+
+    return this.enqueue(order, 'order_shipped', `shipment-${shipment.id}`, {
+      carrier: shipment.carrier,
+      tracking_number: shipment.tracking_number,
+      fully_shipped: fullyShipped,
+      items: lines.map(line => {
+        const orderItem = orderItemsById.get(String(line.order_item_id));
+        return { title: orderItem.title, sku: orderItem.sku, quantity: line.qty };
+      })
+    }, transaction);
+  }
+
+  /**
+   * Queue the notice for a full or partial cancellation
+   * @param {Order} order - Order with items (cancelled quantities already updated)
+   * @param {Array} lines - Cancelled lines [{ orderItem, qty }]
+   * @param {Object} details - { fully_cancelled, amount, reason }
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<OrderEmail|null>} Queued email
+   */
+  static async queueCancellation(order, lines, details, transaction) {
+    // Cancelled units only ever grow, so the running total identifies each cancellation
+    const cancelledUnits = order.items.reduce((sum, item) => sum + (item.cancelled_qty || 0), 0);
+
+    return this.enqueue(order, 'order_cancelled', `cancelled-${cancelledUnits}`, {
+      fully_cancelled: details.fully_cancelled,
+      amount: details.amount,
+      reason: details.reason || null,
+      items: lines.map(line => ({
+        title: line.orderItem.title,
+        sku: line.orderItem.sku,
+        quantity: line.qty
+      }))
+    }, transaction);
+  }
+
+  /**
+   * Queue the notice for a refund recorded on an order's payment
+   * @param {Payment} payment - Refunded payment linked to an order
+   * @param {string} refundReference - Provider refund reference
+   * @param {number} amount - Refunded amount
+   * @param {string|null} reason - Refund reason
+   * @returns {Promise<OrderEmail|null>} Queued email
+   */
+  static async queueRefundIssued(payment, refundReference, amount, reason = null) {
+    const order = await Order.findByPk(payment.order_id);
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return this.enqueue(order, 'refund_issued', refundReference, {
+      amount,
+      reason,
+      refund_reference: refundReference
+    });
+  }
+
+  /**
+   * Queue the codes of gift cards bought with an order
+   * @param {Order} order - Paid order
+   * @param {Array<GiftCard>} cards - Cards issued for the order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<OrderEmail|null>} Queued email
+   */
+  static async queueGiftCardsIssued(order, cards, transaction) {
+    return this.enqueue(order, 'gift_cards_issued', order.order_number, {
+      cards: cards.map(card => ({
+        code: card.code,
+        amount: parseFloat(card.initial_balance),
+        expires_at: card.expires_at
+      }))
+    }, transaction);
+  }
+
+  /**
+   * Send queued emails that are due
+   * Emails stay queued while email is disabled or SMTP is down, so nothing is lost in an outage.
+   * @param {number} limit - Most emails to send in one run
+   * @returns {Promise<Object>} { sent, failed }
+   */
+  static async processPending(limit = 50) {
+    const result = { sent: 0, failed: 0 };
+
+    if (!EmailService.isAvailable()) {
+      return result;
+    }
+
+    const emails = await OrderEmail.findAll({
+      where: {
+        status: 'pending',
+        next_attempt_at: { [Op.lte]: new Date() }
+      },
+      order: [['next_attempt_at', 'ASC'], ['id', 'ASC']],
+      limit
+    });
+
+    for (const email of emails) {
+      // Claim the email and lease it out of the due window, so a second worker (another instance) polling while
+      // this one sends does not pick it up too; a worker that dies mid-send leaves it due again once the lease ends
+      const now = new Date();
+      const [claimed] = await OrderEmail.update(
+        { attempts: email.attempts + 1, next_attempt_at: new Date(now.getTime() + SEND_LEASE_MS) },
+        {
+          where: {
+            id: email.id,
+            status: 'pending',
+            attempts: email.attempts,
+            next_attempt_at: { [Op.lte]: now }
+          }
+        }
+      );
+
+      if (claimed === 0) {
+        continue;
+      }
+      email.attempts += 1;
+
+      try {
+        await EmailService[SENDERS[email.type]](email.recipient, email.payload);
+        await email.markAsSent();
+        result.sent++;
+      } catch (error) {
+        await email.markAsFailed(error.message);
+        result.failed++;
+
+        logger.error('Failed to send order email:', {
+          error: error.message,
+          emailId: email.id,
+          orderId: email.order_id,
+          type: email.type,
+          attempts: email.attempts
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get an order's queued and sent emails (staff)
+   * @param {number} orderId - Order ID
+   * @returns {Promise<OrderEmail[]>} Emails, oldest first
+   */
+  static async getEmailsForOrder(orderId) {
+    return OrderEmail.findAll({
+      where: { order_id: orderId },
+      order: [['created_at', 'ASC'], ['id', 'ASC']]
+    });
+  }
+}
+
+module.exports = OrderEmailService;
@@ -0,0 +1,93 @@
+const OrderEmailService = require('./OrderEmailService');
+const { logger } = require('../middleware/errorHandler');
+
+class OrderEmailWorker {
+  constructor() {
+    this.intervalId = null;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.pollInterval = parseInt(process.env.ORDER_EMAIL_POLL_INTERVAL_MS, 10) || 30 * 1000; // 30 seconds
+  }
+
+  /**
+   * Start sending queued order emails in the background
+   */
+  start() {
+    if (this.isRunning) {
+      logger.warn('Order email worker is already running');
+      return;
+    }
+
+    this.isRunning = true;
+    this.intervalId = setInterval(() => this.runOnce(), this.pollInterval);
+
+    logger.info('Order email worker started', {
+      interval: `${this.pollInterval / 1000} seconds`
+    });
+  }
+
+  /**
+   * Stop the worker
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+    this.isRunning = false;
+    logger.info('Order email worker stopped');
+  }
+
+  /**
+   * Send whatever is due; skipped while a previous run is still going
+   */
+  async runOnce() {
+    if (this.isProcessing) {
+      return;
+    }
+
+    this.isProcessing = true;
+    try {
+      const result = await OrderEmailService.processPending();
+
+      if (result.sent > 0 || result.failed > 0) {
+        logger.info('Order email run completed', result);
+      }
+    } catch (error) {
+      logger.error('Order email run failed:', {
+        error: error.message
+      });
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * Get worker status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      interval: this.pollInterval
+    };
+  }
+}
+
+// Create singleton instance
+let worker = null;
+
+/**
+ * Get or create the order email worker
+ * @returns {OrderEmailWorker} Worker instance
+ */
+function getOrderEmailWorker() {
+  if (!worker) {
+    worker = new OrderEmailWorker();
+  }
+  return worker;
+}
+
+module.exports = {
+  OrderEmailWorker,
+  getOrderEmailWorker
+};
@@ -0,0 +1,731 @@
+const {
+  Order,
+  OrderItem,
+  OrderStatusHistory,
+  Product,
+  Shipment,
+  ShipmentItem
+} = require('../database/models');
+const TaxService = require('./TaxService');
+const InvoiceService = require('./InvoiceService');
+const OrderEmailService = require('./OrderEmailService');
+const PromotionService = require('./PromotionService');
+const TenderService = require('./TenderService');
+const GiftCardService = require('./GiftCardService');
+const ShippingZoneService = require('./ShippingZoneService');
+const PackingService = require('./PackingService');
+const { getCarrier, withTimeout, CARRIER_TIMEOUT_MS } = require('./carriers');
+const { logger } = require('../middleware/errorHandler');
+
+// Statuses staff can set by hand; shipped follows shipments, and cancelling also has to release stock and money
+const MANUAL_STATUSES = ['paid', 'picking', 'packed', 'delivered', 'returned'];
+
+class OrderService {
+  /**
+   * Create an immutable order snapshot from a checkout session
+   * Expects the checkout to be loaded with cart items (and products) and both addresses
+   * @param {Checkout} checkout - Checkout instance
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Order>} Created order with items
+   */
+  static async createFromCheckout(checkout, transaction) {
+    const existingOrder = await Order.findOne({
+      where: { checkout_id: checkout.id },
+      include: [{ model: OrderItem, as: 'items' }],
+      transaction
+    });
+
+    if (existingOrder) {
+      return existingOrder;
+    }
+
+    const cart = checkout.cart;
+    if (!cart || !cart.items || cart.items.length === 0) {
+      throw new Error('Cart is empty');
+    }
+
+    // Recompute the per-line tax so each order line carries its own breakdown, at the rates in effect
+    // when the checkout was created and priced and with the exemptions it was priced with
+    const taxResult = await TaxService.calculateTax(
+      checkout.shippingAddress,
+      cart.items,
+      checkout.currency,
+      {
+        effectiveAt: checkout.created_at,
+        pricesIncludeTax: checkout.prices_include_tax,
+        exemptions: checkout.tax_exemptions || [],
+        transaction
+      }
+    );
+    const itemTaxes = new Map(taxResult.item_taxes.map(itemTax => [itemTax.cart_item_id, itemTax]));
+
+    const subtotal = cart.items.reduce((sum, item) => sum + parseFloat(item.line_subtotal), 0);
+    const discountTotal = cart.items.reduce((sum, item) => sum + (parseFloat(item.line_discount) || 0), 0);
+
+    const orderNumber = await this.generateUniqueOrderNumber(transaction);
+
+    const order = await Order.create({
+      order_number: orderNumber,
+      user_id: cart.user_id,
+      guest_email: cart.user_id ? null : checkout.guest_email,
+      checkout_id: checkout.id,
+      cart_id: cart.id,
+      status: 'placed',
+      currency: checkout.currency,
+      prices_include_tax: checkout.prices_include_tax,
+      subtotal,
+      discount_total: discountTotal,
+      tax_total: checkout.tax_total,
+      shipping_total: checkout.shipping_total,
+      grand_total: checkout.grand_total,
+      tender_total: checkout.tender_total || 0,
+      shipping_method: checkout.shipping_method,
+      shipping_carrier: checkout.shipping_carrier,
+      shipping_address: checkout.shippingAddress.getSnapshot(),
+      billing_address: checkout.billingAddress.getSnapshot(),
+      tax_breakdown: taxResult.tax_breakdown,
+      placed_at: new Date()
+    }, { transaction });
+
+    const orderItems = cart.items.map(item => {
+      const itemTax = itemTaxes.get(item.id);
+      const lineSubtotal = parseFloat(item.line_subtotal);
+      const lineDiscount = parseFloat(item.line_discount) || 0;
+      const lineTax = itemTax ? itemTax.tax_amount : 0;
+
+      return {
+        order_id: order.id,
+        product_id: item.product_id,
+        sku: item.sku,
+        title: item.product ? item.product.title : item.sku,
+        qty: item.qty,
+        unit_price: item.unit_price,
+        line_subtotal: lineSubtotal,
+        line_discount: lineDiscount,
+        tax_class_id: itemTax ? itemTax.tax_class_id : null,
+        tax_rate: itemTax ? itemTax.tax_rate + itemTax.state_tax_rate : 0,
+        line_tax: lineTax,
+        // Tax-inclusive prices already contain the line tax, less any an exemption waived
+        line_total: itemTax ? itemTax.gross_amount : lineSubtotal - lineDiscount
+      };
+    });
+
+    await OrderItem.bulkCreate(orderItems, { transaction });
+
+    // Start the timeline with the placement itself
+    await OrderStatusHistory.create({
+      order_id: order.id,
+      from_status: null,
+      to_status: 'placed',
+      actor_user_id: cart.user_id,
+      note: null
+    }, { transaction });
+
+    // Count the coupons against their usage limits
+    await PromotionService.recordRedemptions(checkout, order, transaction);
+
+    // Spend the gift cards and store credit put toward the order
+    await TenderService.redeemForOrder(checkout, order, transaction);
+
+    await order.reload({
+      include: [{ model: OrderItem, as: 'items' }],
+      transaction
+    });
+
+    await OrderEmailService.queueOrderConfirmation(order, transaction);
+
+    logger.info('Order created from checkout', {
+      orderId: order.id,
+      orderNumber: order.order_number,
+      checkoutId: checkout.id,
+      userId: order.user_id,
+      grandTotal: order.grand_total,
+      currency: order.currency
+    });
+
+    return order;
+  }
+
+  /**
+   * Generate an order number that is not already in use
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<string>} Unique order number
+   */
+  static async generateUniqueOrderNumber(transaction = null) {
+    const maxAttempts = 5;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+      const orderNumber = Order.generateOrderNumber();
+      const existing = await Order.findOne({
+        where: { order_number: orderNumber },
+        attributes: ['id'],
+        transaction
+      });
+
+      if (!existing) {
+        return orderNumber;
+      }
+    }
+
+    throw new Error('Failed to generate a unique order number');
+  }
+
+  /**
+   * Get orders for a user with pagination
+   * @param {number} userId - User ID
+   * @param {Object} options - Pagination options
+   * @returns {Promise<Object>} Orders with pagination
+   */
+  static async getOrdersForUser(userId, options = {}) {
+    const { page = 1, limit = 20 } = options;
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Order.findAndCountAll({
+      where: { user_id: userId },
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [['placed_at', 'DESC']],
+      distinct: true,
+      limit,
+      offset
+    });
+
+    return {
+      orders: rows.map(order => order.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get order by its order number for the owning user
+   * @param {string} orderNumber - Order number
+   * @param {number} userId - User ID for authorization
+   * @returns {Promise<Order>} Order with items
+   */
+  static async getOrderByNumber(orderNumber, userId) {
+    const order = await this.loadOrder(orderNumber);
+
+    // Respond the same way for missing and foreign orders so numbers cannot be probed
+    if (!order || !order.isOwnedBy(userId)) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Get any order by its order number (staff)
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Order>} Order with items, history and shipments
+   */
+  static async getOrderForStaff(orderNumber) {
+    const order = await this.loadOrder(orderNumber);
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    return order;
+  }
+
+  /**
+   * Load an order with its items, status history and shipments
+   * @param {string} orderNumber - Order number
+   * @returns {Promise<Order|null>} Order
+   */
+  static async loadOrder(orderNumber) {
+    return Order.findOne({
+      where: { order_number: orderNumber },
+      include: [
+        { model: OrderItem, as: 'items' },
+        { model: OrderStatusHistory, as: 'history' },
+        {
+          model: Shipment,
+          as: 'shipments',
+          // Labels are only read when downloaded
+          attributes: { exclude: ['label_data'] },
+          include: [
+            {
+              model: ShipmentItem,
+              as: 'items',
+              include: [{ model: OrderItem, as: 'orderItem', attributes: ['id', 'sku'] }]
+            }
+          ]
+        }
+      ],
+      order: [
+        [{ model: OrderItem, as: 'items' }, 'id', 'ASC'],
+        [{ model: OrderStatusHistory, as: 'history' }, 'created_at', 'ASC'],
+        [{ model: OrderStatusHistory, as: 'history' }, 'id', 'ASC'],
+        [{ model: Shipment, as: 'shipments' }, 'shipped_at', 'ASC']
+      ]
+    });
+  }
+
+  /**
+   * Get all orders with pagination (staff)
+   * @param {Object} options - { page, limit, status? }
+   * @returns {Promise<Object>} Orders with pagination
+   */
+  static async getOrders(options = {}) {
+    const { page = 1, limit = 20, status } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+
+    const { count, rows } = await Order.findAndCountAll({
+      where,
+      include: [{ model: OrderItem, as: 'items' }],
+      order: [['placed_at', 'DESC']],
+      distinct: true,
+      limit,
+      offset
+    });
+
+    return {
+      orders: rows.map(order => order.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Move an order through a fulfilment step by hand (staff)
+   * Shipping goes through shipments so the parcels are recorded.
+   * @param {string} orderNumber - Order number
+   * @param {string} status - Target status
+   * @param {number} actorUserId - Staff user making the change
+   * @param {string|null} note - Note for the history entry
+   * @returns {Promise<Order>} Updated order
+   */
+  static async transitionOrder(orderNumber, status, actorUserId, note = null) {
+    if (!MANUAL_STATUSES.includes(status)) {
+      throw new Error(`Orders cannot be moved to ${status} directly`);
+    }
+
+    const transaction = await Order.sequelize.transaction();
+    let invoice = null;
+
+    try {
+      const order = await Order.findOne({
+        where: { order_number: orderNumber },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      await order.transitionTo(status, actorUserId, note, { transaction });
+
+      if (status === 'paid') {
+        invoice = await InvoiceService.issueInvoice(order, transaction);
+        await GiftCardService.issueForOrder(order, transaction);
+      }
+
+      await transaction.commit();
+
+      logger.info('Order status changed', {
+        orderNumber,
+        status,
+        actorUserId
+      });
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    if (invoice && !invoice.storage_key) {
+      await InvoiceService.publish(invoice, 'invoice');
+    }
+
+    return this.loadOrder(orderNumber);
+  }
+
+  /**
+   * Move a placed order to paid once its payment is captured
+   * Safe to call repeatedly; orders past placement are left alone. Issues the order's invoice and any gift cards it bought.
+   * @param {number} orderId - Order ID
+   * @param {Payment|null} payment - Captured payment (null when gift cards and store credit paid for everything)
+   * @returns {Promise<boolean>} Whether the order moved to paid
+   */
+  static async markAsPaid(orderId, payment) {
+    const transaction = await Order.sequelize.transaction();
+    let invoice;
+
+    try {
+      const order = await Order.findByPk(orderId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!order || order.status !== 'placed') {
+        await transaction.commit();
+        return false;
+      }
+
+      const note = payment ? `Payment ${payment.id} captured` : 'Paid with gift cards and store credit';
+      await order.transitionTo('paid', null, note, { transaction });
+      invoice = await InvoiceService.issueInvoice(order, transaction);
+      await GiftCardService.issueForOrder(order, transaction);
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await InvoiceService.publish(invoice, 'invoice');
+
+    return true;
+  }
+
+  /**
+   * Record a parcel for an order; the order moves to shipped once every unit has left
+   * With purchase_label the carrier adapter buys the label and assigns the tracking number. The label is
+   * bought before the order is locked, so a slow carrier does not hold the lock, and the shipment is checked
+   * again once it is. A label bought for a shipment that then fails to save is left unused at the carrier.
+   * @param {string} orderNumber - Order number
+   * @param {number} actorUserId - Warehouse user
+   * @param {Object} data - { carrier, tracking_number?, purchase_label?, service?, items: [{ order_item_id, qty }] }
+   * @returns {Promise<Order>} Updated order
+   */
+  static async createShipment(orderNumber, actorUserId, data) {
+    const label = data.purchase_label
+      ? await this.purchaseLabel(orderNumber, data)
+      : null;
+    const trackingNumber = label ? label.tracking_number : data.tracking_number;
+
+    const transaction = await Order.sequelize.transaction();
+
+    try {
+      const order = await Order.findOne({
+        where: { order_number: orderNumber },
+        include: [{ model: OrderItem, as: 'items' }],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const shippedQuantities = await this.checkShipmentItems(order, data.items, transaction);
+
+      const existing = await Shipment.findOne({
+        where: { carrier: data.carrier, tracking_number: trackingNumber },
+        attributes: ['id'],
+        transaction
+      });
+
+      if (existing) {
+        throw new Error('Tracking number is already in use');
+      }
+
+      const shipment = await Shipment.create({
+        order_id: order.id,
+        carrier: data.carrier,
+        tracking_number: trackingNumber,
+        service: label ? label.service : null,
+        label_format: label ? label.label_format : null,
+        label_data: label ? label.label_data : null,
+        status: 'shipped',
+        created_by: actorUserId
+      }, { transaction });
+
+      await ShipmentItem.bulkCreate(
+        data.items.map(line => ({
+          shipment_id: shipment.id,
+          order_item_id: line.order_item_id,
+          qty: line.qty
+        })),
+        { transaction }
+      );
+
+      // Cancelled units never ship
+      const fullyShipped = order.items.every(item => (shippedQuantities.get(String(item.id)) || 0) === item.getActiveQuantity());
+      if (fullyShipped) {
+        await order.transitionTo('shipped', actorUserId, `Shipped via ${data.carrier}`, { transaction });
+      }
+
+      await OrderEmailService.queueShipmentDispatched(order, shipment, data.items, fullyShipped, transaction);
+
+      await transaction.commit();
+
+      logger.info('Shipment created', {
+        orderNumber,
+        shipmentId: shipment.id,
+        carrier: data.carrier,
+        labelPurchased: !!label,
+        fullyShipped,
+        actorUserId
+      });
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.loadOrder(orderNumber);
+  }
+
+  /**
+   * Check that an order can ship the given items
+   * @param {Order} order - Order with its items
+   * @param {Array} items - Shipment lines [{ order_item_id, qty }]
+   * @param {Object} transaction - Database transaction, if any
+   * @returns {Promise<Map>} Order item ID -> quantity shipped, including these items
+   */
+  static async checkShipmentItems(order, items, transaction = null) {
+    if (order.status !== 'packed') {
+      throw new Error(`Order is ${order.status} and cannot be shipped`);
+    }
+
+    const orderItemsById = new Map(order.items.map(item => [String(item.id), item]));
+    const shippedQuantities = await this.getShippedQuantities(order.id, transaction);
+
+    for (const line of items) {
+      const orderItem = orderItemsById.get(String(line.order_item_id));
+      if (!orderItem) {
+        throw new Error(`Order item ${line.order_item_id} not found in order`);
+      }
+
+      const unshipped = orderItem.getActiveQuantity() - (shippedQuantities.get(String(orderItem.id)) || 0);
+      if (line.qty > unshipped) {
+        throw new Error(`Only ${unshipped} unit(s) of ${orderItem.sku} are left to ship`);
+      }
+
+      shippedQuantities.set(String(orderItem.id), (shippedQuantities.get(String(orderItem.id)) || 0) + line.qty);
+    }
+
+    return shippedQuantities;
+  }
+
+  /**
+   * Buy a carrier label for the items of a new shipment
+   * The items are packed into the store's boxes and the carrier picks its service for the order's shipping
+   * method unless one is given. A carrier that does not answer within SHIPPING_CARRIER_TIMEOUT_MS fails the
+   * purchase.
+   * @param {string} orderNumber - Order number
+   * @param {Object} data - { carrier, service?, items }
+   * @returns {Promise<Object>} Carrier result with tracking_number, service, label_format and label_data
+   */
+  static async purchaseLabel(orderNumber, data) {
+    const carrier = getCarrier(data.carrier);
+
+    const order = await Order.findOne({
+      where: { order_number: orderNumber },
+      include: [{ model: OrderItem, as: 'items' }]
+    });
+
+    if (!order) {
+      throw new Error('Order not found');
+    }
+
+    // Do not pay for a label the shipment could not be saved with
+    await this.checkShipmentItems(order, data.items);
+
+    const orderItemsById = new Map(order.items.map(item => [String(item.id), item]));
+    const orderItems = data.items.map(line => ({ orderItem: orderItemsById.get(String(line.order_item_id)), qty: line.qty }));
+    const products = await Product.findAll({
+      where: { id: orderItems.map(({ orderItem }) => orderItem.product_id) },
+      attributes: ['id', 'weight', 'length', 'width', 'height']
+    });
+    const productsById = new Map(products.map(product => [String(product.id), product]));
+
+    const { boxes } = await ShippingZoneService.getShippingConfig();
+    const parcels = PackingService.weighParcels(PackingService.pack(
+      orderItems.map(({ orderItem, qty }) => ({
+        qty,
+        sku: orderItem.sku,
+        product_id: orderItem.product_id,
+        product: productsById.get(String(orderItem.product_id))
+      })),
+      boxes
+    ));
+
+    const shipmentCount = await Shipment.count({ where: { order_id: order.id } });
+
+    const result = await withTimeout(
+      carrier.createLabel({
+        reference: `${order.order_number}-${shipmentCount + 1}`,
+        method: order.shipping_method,
+        service: data.service,
+        ship_to: order.shipping_address,
+        parcels
+      }),
+      CARRIER_TIMEOUT_MS,
+      `Label purchase failed: carrier ${carrier.name} did not answer within ${CARRIER_TIMEOUT_MS} ms`
+    );
+
+    if (!result.success) {
+      throw new Error(`Label purchase failed: ${result.failure_message}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the label bought for a shipment
+   * @param {string} orderNumber - Order number
+   * @param {number} shipmentId - Shipment ID
+   * @returns {Promise<Object>} { tracking_number, label_format, label: Buffer }
+   */
+  static async getShipmentLabel(orderNumber, shipmentId) {
+    const shipment = await this.findShipment(orderNumber, shipmentId);
+
+    if (!shipment.label_data) {
+      throw new Error('Shipment label not found');
+    }
+
+    return {
+      tracking_number: shipment.tracking_number,
+      label_format: shipment.label_format,
+      label: Buffer.from(shipment.label_data, 'base64')
+    };
+  }
+
+  /**
+   * Get a shipment's tracking history from its carrier
+   * A carrier that does not answer within SHIPPING_CARRIER_TIMEOUT_MS fails the request.
+   * @param {string} orderNumber - Order number
+   * @param {number} shipmentId - Shipment ID
+   * @returns {Promise<Object>} { carrier, tracking_number, status, events }
+   */
+  static async trackShipment(orderNumber, shipmentId) {
+    const shipment = await this.findShipment(orderNumber, shipmentId);
+    const carrier = getCarrier(shipment.carrier);
+
+    const result = await withTimeout(
+      carrier.track({
+        tracking_number: shipment.tracking_number,
+        shipped_at: shipment.shipped_at
+      }),
+      CARRIER_TIMEOUT_MS,
+      `Tracking failed: carrier ${carrier.name} did not answer within ${CARRIER_TIMEOUT_MS} ms`
+    );
+
+    if (!result.success) {
+      throw new Error(`Tracking failed: ${result.failure_message}`);
+    }
+
+    return {
+      carrier: shipment.carrier,
+      tracking_number: shipment.tracking_number,
+      status: result.status,
+      events: result.events
+    };
+  }
+
+  /**
+   * Find a shipment of an order
+   * @param {string} orderNumber - Order number
+   * @param {number} shipmentId - Shipment ID
+   * @returns {Promise<Shipment>} Shipment
+   */
+  static async findShipment(orderNumber, shipmentId) {
+    const shipment = await Shipment.findOne({
+      where: { id: shipmentId },
+      include: [{ model: Order, as: 'order', attributes: ['id', 'order_number'], where: { order_number: orderNumber } }]
+    });
+
+    if (!shipment) {
+      throw new Error('Shipment not found');
+    }
+
+    return shipment;
+  }
+
+  /**
+   * Mark a parcel as delivered; the order moves to delivered once every parcel has arrived
+   * @param {string} orderNumber - Order number
+   * @param {number} shipmentId - Shipment ID
+   * @param {number} actorUserId - Warehouse user
+   * @returns {Promise<Order>} Updated order
+   */
+  static async markShipmentDelivered(orderNumber, shipmentId, actorUserId) {
+    const transaction = await Order.sequelize.transaction();
+
+    try {
+      const order = await Order.findOne({
+        where: { order_number: orderNumber },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!order) {
+        throw new Error('Order not found');
+      }
+
+      const shipments = await Shipment.findAll({
+        where: { order_id: order.id },
+        transaction
+      });
+
+      const shipment = shipments.find(candidate => String(candidate.id) === String(shipmentId));
+      if (!shipment) {
+        throw new Error('Shipment not found');
+      }
+
+      if (shipment.isDelivered()) {
+        throw new Error('Shipment is already delivered');
+      }
+
+      await shipment.markAsDelivered(new Date(), { transaction });
+
+      if (order.status === 'shipped' && shipments.every(candidate => candidate.isDelivered())) {
+        await order.transitionTo('delivered', actorUserId, null, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    return this.loadOrder(orderNumber);
+  }
+
+  /**
+   * Sum the units of each order line already in a shipment
+   * @param {number} orderId - Order ID
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Map>} Order item ID -> shipped units
+   */
+  static async getShippedQuantities(orderId, transaction) {
+    const shipmentItems = await ShipmentItem.findAll({
+      include: [
+        {
+          model: Shipment,
+          as: 'shipment',
+          attributes: ['id'],
+          where: { order_id: orderId }
+        }
+      ],
+      transaction
+    });
+
+    const quantities = new Map();
+    for (const item of shipmentItems) {
+      const key = String(item.order_item_id);
+      quantities.set(key, (quantities.get(key) || 0) + item.qty);
+    }
+    return quantities;
+  }
+}
+
+module.exports = OrderService;
@@ -0,0 +1,207 @@
+// Weight in kg of a unit whose product has no weight
+const DEFAULT_UNIT_WEIGHT = 0.1;
+
+/**
+ * Round a weight to grams
+ */
+const roundWeight = (weight) => Math.round(weight * 1000) / 1000;
+
+// Slack for floating point sums when comparing a load with a box's limits
+const EPSILON = 1e-9;
+
+class PackingService {
+  /**
+   * Describe cart items as units of one kind each, with their weight and dimensions
+   * @param {Array} cartItems - Cart items with their product
+   * @returns {Array<Object>} { product_id, sku, qty, weight, dimensions, volume } per unit, largest first
+   */
+  static getUnits(cartItems) {
+    return cartItems
+      .filter(item => item.qty > 0)
+      .map(item => {
+        const product = item.product || {};
+        const weight = parseFloat(product.weight) || DEFAULT_UNIT_WEIGHT;
+        const dimensions = [product.length, product.width, product.height].map(value => parseFloat(value));
+        const hasDimensions = dimensions.every(value => value > 0);
+
+        return {
+          product_id: product.id || item.product_id || null,
+          sku: item.sku,
+          qty: item.qty,
+          weight,
+          dimensions: hasDimensions ? [...dimensions].sort((a, b) => b - a) : null,
+          volume: hasDimensions ? dimensions[0] * dimensions[1] * dimensions[2] : 0
+        };
+      })
+      .sort((a, b) => b.volume - a.volume || b.weight - a.weight);
+  }
+
+  /**
+   * Check whether a unit fits a box in some orientation
+   * @param {Array<number>|null} dimensions - Unit dimensions, longest first; null when unknown
+   * @param {Array<number>} boxDimensions - Box inside dimensions, longest first
+   */
+  static fits(dimensions, boxDimensions) {
+    return !dimensions || dimensions.every((value, index) => value <= boxDimensions[index]);
+  }
+
+  /**
+   * Count how many more units of a kind a box can take on top of its load
+   * The check is by dimension of the unit and by total volume and weight, not a full 3D arrangement.
+   * @param {ShippingBox} box - Box
+   * @param {Object} unit - Unit from getUnits
+   * @param {Object} load - { volume, weight } already in the box
+   * @returns {number} Units that fit
+   */
+  static roomFor(box, unit, load = { volume: 0, weight: 0 }) {
+    if (!this.fits(unit.dimensions, box.getDimensions())) {
+      return 0;
+    }
+
+    const byWeight = Math.floor((parseFloat(box.max_weight) - load.weight + EPSILON) / unit.weight);
+    const byVolume = unit.volume > 0
+      ? Math.floor((box.getVolume() - load.volume + EPSILON) / unit.volume)
+      : Infinity;
+
+    return Math.max(0, Math.min(byWeight, byVolume));
+  }
+
+  /**
+   * Check whether a box can hold a parcel's contents
+   * @param {ShippingBox} box - Box
+   * @param {Object} parcel - Parcel from pack
+   */
+  static canHold(box, parcel) {
+    const boxDimensions = box.getDimensions();
+
+    return parcel.units.every(unit => this.fits(unit.dimensions, boxDimensions)) &&
+      parcel.volume <= box.getVolume() + EPSILON &&
+      parcel.weight <= parseFloat(box.max_weight) + EPSILON;
+  }
+
+  /**
+   * Put units of one kind in a parcel and keep its running volume and weight
+   * @param {Object} parcel - Parcel
+   * @param {Object} unit - Unit from getUnits
+   * @param {number} qty - Units to add
+   */
+  static addUnits(parcel, unit, qty) {
+    parcel.units.push({ ...unit, qty });
+    parcel.volume += unit.volume * qty;
+    parcel.weight += unit.weight * qty;
+  }
+
+  /**
+   * Pack cart items into parcels
+   * Units go largest first into the first open box with room, else into a new box of the largest size that
+   * takes them; each box is then swapped for the smallest that still holds its contents. A unit no box takes
+   * ships in its own packaging, and units without dimensions that no box takes share one parcel.
+   * Identical units are placed together, so the work grows with cart lines and parcels, not units.
+   * @param {Array} cartItems - Cart items with their product
+   * @param {Array<ShippingBox>} boxes - Active boxes
+   * @returns {Array<Object>} Parcels: { box, dimensions, units, volume, weight }
+   */
+  static pack(cartItems, boxes) {
+    const bySize = [...boxes].sort((a, b) => a.getVolume() - b.getVolume());
+    const parcels = [];
+    const newParcel = (box, dimensions) => {
+      const parcel = { box, dimensions, units: [], volume: 0, weight: 0 };
+      parcels.push(parcel);
+      return parcel;
+    };
+
+    for (const unit of this.getUnits(cartItems)) {
+      let remaining = unit.qty;
+
+      for (const parcel of parcels) {
+        if (remaining === 0) {
+          break;
+        }
+        if (!parcel.box) {
+          continue;
+        }
+
+        const qty = Math.min(remaining, this.roomFor(parcel.box, unit, parcel));
+        if (qty > 0) {
+          this.addUnits(parcel, unit, qty);
+          remaining -= qty;
+        }
+      }
+
+      const box = [...bySize].reverse().find(candidate => this.roomFor(candidate, unit) > 0);
+      if (box) {
+        const perBox = this.roomFor(box, unit);
+        while (remaining > 0) {
+          const qty = Math.min(remaining, perBox);
+          this.addUnits(newParcel(box, box.getDimensions()), unit, qty);
+          remaining -= qty;
+        }
+      }
+
+      if (remaining === 0) {
+        continue;
+      }
+
+      if (unit.dimensions) {
+        for (let i = 0; i < remaining; i++) {
+          this.addUnits(newParcel(null, unit.dimensions), unit, 1);
+        }
+        continue;
+      }
+
+      const loose = parcels.find(parcel => !parcel.box && !parcel.dimensions) || newParcel(null, null);
+      this.addUnits(loose, unit, remaining);
+    }
+
+    for (const parcel of parcels) {
+      if (parcel.box) {
+        parcel.box = bySize.find(candidate => this.canHold(candidate, parcel));
+        parcel.dimensions = parcel.box.getDimensions();
+      }
+    }
+
+    return parcels;
+  }
+
+  /**
+   * Weigh packed parcels for a carrier
+   * Volumetric weight is length × width × height in cm divided by the carrier's divisor; the parcel is
+   * charged on the larger of it and the actual weight, box included.
+   * @param {Array<Object>} parcels - Parcels from pack
+   * @param {number|null} divisor - Carrier's volumetric divisor in cm³ per kg; null to charge actual weight
+   * @returns {Array<Object>} { box, length, width, height, items, actual_weight, volumetric_weight, chargeable_weight }
+   */
+  static weighParcels(parcels, divisor = null) {
+    return parcels.map(parcel => {
+      const contents = parcel.units.reduce((sum, unit) => sum + unit.weight * unit.qty, 0);
+      const actualWeight = roundWeight(contents + (parcel.box ? parseFloat(parcel.box.tare_weight) : 0));
+      const [length, width, height] = parcel.dimensions || [null, null, null];
+      const volumetricWeight = divisor && parcel.dimensions
+        ? roundWeight((length * width * height) / divisor)
+        : 0;
+
+      const items = [];
+      for (const unit of parcel.units) {
+        const line = items.find(candidate => candidate.sku === unit.sku);
+        if (line) {
+          line.qty += unit.qty;
+        } else {
+          items.push({ product_id: unit.product_id, sku: unit.sku, qty: unit.qty });
+        }
+      }
+
+      return {
+        box: parcel.box ? parcel.box.code : null,
+        length,
+        width,
+        height,
+        items,
+        actual_weight: actualWeight,
+        volumetric_weight: volumetricWeight,
+        chargeable_weight: Math.max(actualWeight, volumetricWeight)
+      };
+    });
+  }
+}
+
+module.exports = PackingService;
@@ -0,0 +1,471 @@
+const { Checkout, Cart, Payment, Order, OrderItem } = require('../database/models');
+const { Op } = require('sequelize');
+const CheckoutService = require('./CheckoutService');
+const OrderService = require('./OrderService');
+const PaymentWebhookService = require('./PaymentWebhookService');
+const InvoiceService = require('./InvoiceService');
+const OrderEmailService = require('./OrderEmailService');
+const { getPaymentProvider, getDefaultPaymentProvider } = require('./payments');
+const { logger } = require('../middleware/errorHandler');
+
+class PaymentService {
+  /**
+   * Pay for a checkout session: authorize, place the order, then capture
+   * The provider is only charged what gift cards and store credit leave due; when they cover
+   * everything the order is placed without a payment.
+   * @param {number} checkoutId - Checkout ID
+   * @param {Object} paymentMethod - { type?, provider?, details } (details hold card or UPI fields)
+   * @param {number|null} userId - User ID for authorization (null for guest)
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @returns {Promise<Object>} Payment result
+   */
+  static async payForCheckout(checkoutId, paymentMethod, userId, cartToken = null) {
+    const providerName = paymentMethod.provider || getDefaultPaymentProvider();
+    const provider = getPaymentProvider(providerName);
+
+    const { checkout, payment } = await this.startPayment(checkoutId, providerName, paymentMethod.type, userId, cartToken);
+
+    if (!payment) {
+      return this.placeTenderOnlyOrder(checkout);
+    }
+
+    let authResult;
+    try {
+      authResult = await provider.authorize({
+        amount: parseFloat(payment.amount),
+        currency: payment.currency,
+        reference: payment.id,
+        method: payment.method,
+        details: paymentMethod.details || {}
+      });
+    } catch (error) {
+      // The provider could not be reached; do not leave the payment pending and the checkout blocked
+      await payment.markAsFailed('provider_error', error.message);
+      await CheckoutService.failSession(checkout.id, 'Payment could not be authorized');
+
+      logger.error('Payment authorization failed', {
+        error: error.message,
+        checkoutId: checkout.id,
+        paymentId: payment.id,
+        provider: providerName
+      });
+      throw error;
+    }
+
+    if (!authResult.success) {
+      await payment.markAsFailed(authResult.failure_code, authResult.failure_message);
+      await CheckoutService.failSession(checkout.id, authResult.failure_message);
+
+      logger.info('Payment authorization declined', {
+        checkoutId: checkout.id,
+        paymentId: payment.id,
+        provider: providerName,
+        failureCode: authResult.failure_code
+      });
+
+      return {
+        success: false,
+        checkout_id: checkout.id,
+        checkout_status: 'failed',
+        failure_reason: authResult.failure_message,
+        payment: payment.getSummary()
+      };
+    }
+
+    await payment.markAsAuthorized(authResult.provider_payment_id, authResult.meta);
+
+    let order;
+    try {
+      order = await CheckoutService.confirmReservations(checkout.id, payment);
+    } catch (error) {
+      // The provider's webhook may have placed the order for this payment in the meantime
+      order = await this.findPlacedOrder(payment);
+
+      if (!order) {
+        // Never leave money on hold for an order that does not exist; a failed void is logged so the
+        // session is still failed and the caller sees why the order was not placed
+        try {
+          await this.voidPayment(payment);
+        } catch (voidError) {
+          logger.error('Failed to void payment for unplaced order:', {
+            error: voidError.message,
+            checkoutId: checkout.id,
+            paymentId: payment.id
+          });
+        }
+
+        // A checkout that is no longer active was completed or closed elsewhere; leave it alone
+        if (error.message !== 'Checkout session is not active') {
+          await CheckoutService.failSession(checkout.id, 'Order could not be placed');
+        }
+        throw error;
+      }
+
+      logger.info('Order was already placed for the payment', {
+        checkoutId: checkout.id,
+        paymentId: payment.id,
+        orderNumber: order.order_number
+      });
+    }
+
+    // A failed capture leaves the payment authorized; the order stays placed and capture can be retried.
+    // The webhook that placed the order may already have reported the capture, so check the stored status.
+    await payment.reload();
+    if (payment.canCapture()) {
+      await this.capturePayment(payment);
+    }
+
+    // Apply provider events that arrived before we knew the provider payment id
+    await PaymentWebhookService.processDeferredEvents(payment.provider, payment.provider_payment_id);
+
+    logger.info('Checkout paid successfully', {
+      checkoutId: checkout.id,
+      paymentId: payment.id,
+      orderNumber: order.order_number,
+      provider: providerName,
+      paymentStatus: payment.status
+    });
+
+    return {
+      success: true,
+      checkout_id: checkout.id,
+      checkout_status: 'completed',
+      payment: payment.getSummary(),
+      order
+    };
+  }
+
+  /**
+   * Find the order a payment was linked to by another request, such as the provider's webhook
+   * @param {Payment} payment - Payment, reloaded here
+   * @returns {Promise<Order|null>} Order with its items, or null when no order was placed for the payment
+   */
+  static async findPlacedOrder(payment) {
+    await payment.reload();
+
+    if (!payment.order_id) {
+      return null;
+    }
+
+    return Order.findByPk(payment.order_id, {
+      include: [{ model: OrderItem, as: 'items' }]
+    });
+  }
+
+  /**
+   * Place the order for a checkout that gift cards and store credit pay for in full
+   * @param {Checkout} checkout - Checkout with nothing left due
+   * @returns {Promise<Object>} Payment result without a payment
+   */
+  static async placeTenderOnlyOrder(checkout) {
+    let order;
+    try {
+      order = await CheckoutService.confirmReservations(checkout.id);
+    } catch (error) {
+      // A concurrent request already placed the order; leave its checkout alone
+      if (error.message !== 'Checkout session is not active') {
+        await CheckoutService.failSession(checkout.id, 'Order could not be placed');
+      }
+      throw error;
+    }
+
+    try {
+      await OrderService.markAsPaid(order.id, null);
+    } catch (error) {
+      logger.error('Failed to mark order as paid:', {
+        error: error.message,
+        checkoutId: checkout.id,
+        orderId: order.id
+      });
+    }
+
+    logger.info('Checkout paid with gift cards and store credit', {
+      checkoutId: checkout.id,
+      orderNumber: order.order_number
+    });
+
+    return {
+      success: true,
+      checkout_id: checkout.id,
+      checkout_status: 'completed',
+      payment: null,
+      order
+    };
+  }
+
+  /**
+   * Validate the checkout and record a pending payment for it
+   * @param {number} checkoutId - Checkout ID
+   * @param {string} providerName - Provider name
+   * @param {string} method - Payment method type
+   * @param {number|null} userId - User ID for authorization (null for guest)
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @returns {Promise<Object>} Checkout and pending payment (null when nothing is left to pay)
+   */
+  static async startPayment(checkoutId, providerName, method, userId, cartToken = null) {
+    const transaction = await Checkout.sequelize.transaction();
+
+    try {
+      // Lock the checkout so concurrent pay requests cannot both start a payment
+      const checkout = await Checkout.findByPk(checkoutId, {
+        include: [
+          {
+            model: Cart,
+            as: 'cart'
+          }
+        ],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!checkout) {
+        throw new Error('Checkout session not found');
+      }
+
+      if (!checkout.cart.isAccessibleBy(userId, cartToken)) {
+        throw new Error('Access denied');
+      }
+
+      if (checkout.status !== 'active') {
+        throw new Error('Checkout session is not active');
+      }
+
+      if (checkout.isExpired()) {
+        throw new Error('Checkout session has expired');
+      }
+
+      if (!checkout.canProcessPayment()) {
+        throw new Error('Checkout session cannot accept payment');
+      }
+
+      const inFlightPayment = await Payment.findOne({
+        where: {
+          checkout_id: checkout.id,
+          status: { [Op.in]: ['pending', 'authorized', 'captured'] }
+        },
+        transaction
+      });
+
+      if (inFlightPayment) {
+        throw new Error('Payment already in progress for this checkout');
+      }
+
+      const amountDue = checkout.getAmountDue();
+
+      if (amountDue === 0) {
+        await transaction.commit();
+        return { checkout, payment: null };
+      }
+
+      if (!method) {
+        throw new Error('Payment method is required');
+      }
+
+      const payment = await Payment.create({
+        checkout_id: checkout.id,
+        provider: providerName,
+        method,
+        status: 'pending',
+        amount: amountDue,
+        currency: checkout.currency
+      }, { transaction });
+
+      await transaction.commit();
+
+      return { checkout, payment };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Capture an authorized payment; a partial capture releases the rest of the authorization
+   * @param {Payment} payment - Payment instance
+   * @param {number|null} amount - Amount to capture (defaults to the authorized amount)
+   * @returns {Promise<boolean>} Whether the capture succeeded
+   */
+  static async capturePayment(payment, amount = null) {
+    if (!payment.canCapture()) {
+      throw new Error('Payment cannot be captured');
+    }
+
+    const authorized = parseFloat(payment.amount);
+    const captureAmount = amount === null ? authorized : Math.round(amount * 100) / 100;
+
+    if (captureAmount <= 0 || captureAmount > authorized) {
+      throw new Error(`Capture amount must be between 0 and ${authorized}`);
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+
+    const result = await provider.capture({
+      provider_payment_id: payment.provider_payment_id,
+      amount: captureAmount,
+      currency: payment.currency,
+      reference: payment.id
+    });
+
+    if (!result.success) {
+      logger.error('Payment capture failed', {
+        paymentId: payment.id,
+        provider: payment.provider,
+        failureCode: result.failure_code,
+        failureMessage: result.failure_message
+      });
+      return false;
+    }
+
+    await payment.markAsCaptured(captureAmount);
+
+    logger.info('Payment captured', {
+      paymentId: payment.id,
+      provider: payment.provider,
+      amount: captureAmount
+    });
+
+    if (payment.order_id) {
+      await this.markOrderAsPaid(payment);
+    }
+
+    return true;
+  }
+
+  /**
+   * Move the payment's order to paid; a failure here never undoes the capture
+   * @param {Payment} payment - Captured payment linked to an order
+   * @returns {Promise<void>}
+   */
+  static async markOrderAsPaid(payment) {
+    try {
+      await OrderService.markAsPaid(payment.order_id, payment);
+    } catch (error) {
+      logger.error('Failed to mark order as paid:', {
+        error: error.message,
+        paymentId: payment.id,
+        orderId: payment.order_id
+      });
+    }
+  }
+
+  /**
+   * Issue the credit note for a refund and queue the customer's email; a failure here never undoes the refund
+   * @param {Payment} payment - Refunded payment linked to an order
+   * @param {string} refundReference - Provider reference of the refund
+   * @param {number} amount - Refunded amount
+   * @param {Object} options - { reason, items }
+   * @returns {Promise<void>}
+   */
+  static async applyRefundEffects(payment, refundReference, amount, options) {
+    try {
+      await InvoiceService.issueCreditNote(payment, refundReference, options);
+    } catch (error) {
+      logger.error('Failed to issue credit note:', {
+        error: error.message,
+        paymentId: payment.id,
+        refundReference
+      });
+    }
+
+    try {
+      await OrderEmailService.queueRefundIssued(payment, refundReference, amount, options.reason);
+    } catch (error) {
+      logger.error('Failed to queue refund email:', {
+        error: error.message,
+        paymentId: payment.id,
+        refundReference
+      });
+    }
+  }
+
+  /**
+   * Void an authorized payment
+   * @param {Payment} payment - Payment instance
+   * @returns {Promise<Payment>} Updated payment
+   */
+  static async voidPayment(payment) {
+    if (!payment.canVoid()) {
+      throw new Error('Payment cannot be voided');
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+
+    const result = await provider.void({
+      provider_payment_id: payment.provider_payment_id,
+      reference: payment.id
+    });
+
+    if (!result.success) {
+      throw new Error(`Payment void failed: ${result.failure_message}`);
+    }
+
+    await payment.markAsVoided();
+
+    logger.info('Payment voided', {
+      paymentId: payment.id,
+      provider: payment.provider
+    });
+
+    return payment;
+  }
+
+  /**
+   * Refund all or part of a captured payment
+   * @param {Payment} payment - Payment instance
+   * @param {number|null} amount - Amount to refund (defaults to the refundable balance)
+   * @param {string} reason - Refund reason
+   * @param {Object} options - { items?: [{ order_item_id, qty }] } units refunded, itemised on the credit note
+   * @returns {Promise<Object>} Refund result with provider reference
+   */
+  static async refundPayment(payment, amount = null, reason = 'requested_by_customer', options = {}) {
+    if (!payment.canRefund()) {
+      throw new Error('Payment cannot be refunded');
+    }
+
+    const refundable = payment.getRefundableAmount();
+    const refundAmount = amount === null ? refundable : Math.round(amount * 100) / 100;
+
+    if (refundAmount <= 0 || refundAmount > refundable) {
+      throw new Error(`Refund amount must be between 0 and ${refundable}`);
+    }
+
+    const provider = getPaymentProvider(payment.provider);
+
+    const result = await provider.refund({
+      provider_payment_id: payment.provider_payment_id,
+      amount: refundAmount,
+      currency: payment.currency,
+      // Refunded-so-far keeps the reference unique per refund and stable across retries
+      reference: `${payment.id}_${Math.round(parseFloat(payment.amount_refunded) * 100)}`,
+      reason
+    });
+
+    if (!result.success) {
+      throw new Error(`Payment refund failed: ${result.failure_message}`);
+    }
+
+    await payment.recordRefund(refundAmount, result.provider_reference);
+
+    logger.info('Payment refunded', {
+      paymentId: payment.id,
+      provider: payment.provider,
+      amount: refundAmount,
+      reason
+    });
+
+    if (payment.order_id) {
+      await this.applyRefundEffects(payment, result.provider_reference, refundAmount, {
+        reason,
+        items: options.items
+      });
+    }
+
+    return {
+      amount: refundAmount,
+      provider_reference: result.provider_reference,
+      payment
+    };
+  }
+}
+
+module.exports = PaymentService;
@@ -0,0 +1,425 @@
+const { Payment, PaymentWebhookEvent, Checkout } = require('../database/models');
+const CheckoutService = require('./CheckoutService');
+const OrderService = require('./OrderService');
+const InvoiceService = require('./InvoiceService');
+const OrderEmailService = require('./OrderEmailService');
+const { getPaymentProvider } = require('./payments');
+const { logger } = require('../middleware/errorHandler');
+
+class PaymentWebhookService {
+  /**
+   * Verify, store and apply a webhook delivery
+   * @param {string} providerName - Provider from the route
+   * @param {Buffer} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers
+   * @returns {Promise<Object>} Stored event and whether it was a duplicate delivery
+   */
+  static async ingest(providerName, rawBody, headers) {
+    const provider = getPaymentProvider(providerName);
+
+    if (!provider.verifyWebhookSignature(rawBody, headers)) {
+      throw new Error('Invalid webhook signature');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+    } catch (error) {
+      throw new Error('Malformed webhook payload');
+    }
+
+    const normalized = provider.parseWebhookEvent(payload);
+
+    // The unique (provider, event_id) index makes redeliveries resolve to the stored event
+    const [event, created] = await PaymentWebhookEvent.findOrCreate({
+      where: {
+        provider: provider.name,
+        event_id: normalized.event_id
+      },
+      defaults: {
+        event_type: normalized.event_type,
+        provider_payment_id: normalized.provider_payment_id,
+        raw_body: rawBody.toString('utf8'),
+        status: 'received',
+        occurred_at: normalized.occurred_at
+      }
+    });
+
+    if (!created && event.isSettled()) {
+      logger.info('Duplicate webhook delivery ignored', {
+        provider: provider.name,
+        eventId: event.event_id,
+        status: event.status
+      });
+
+      return { event, duplicate: true };
+    }
+
+    await this.processEvent(event);
+
+    return { event, duplicate: !created };
+  }
+
+  /**
+   * Apply a stored event to its payment, then to the checkout
+   * @param {PaymentWebhookEvent} event - Stored event
+   * @param {Object} options - { processDeferred: whether to retry events waiting on this payment }
+   * @returns {Promise<Object>} Outcome { status, reason? }
+   */
+  static async processEvent(event, options = {}) {
+    const { processDeferred = true } = options;
+    const provider = getPaymentProvider(event.provider);
+    const normalized = provider.parseWebhookEvent(event.getPayload());
+    const attempts = event.attempts + 1;
+
+    const transaction = await PaymentWebhookEvent.sequelize.transaction();
+    let payment = null;
+    let outcome;
+
+    try {
+      if (normalized.provider_payment_id) {
+        // Lock the payment so concurrent events for it are applied one at a time
+        payment = await Payment.findOne({
+          where: {
+            provider: event.provider,
+            provider_payment_id: normalized.provider_payment_id
+          },
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+      }
+
+      if (!normalized.provider_payment_id) {
+        outcome = { status: 'ignored', reason: 'Event does not reference a payment' };
+      } else if (!payment) {
+        outcome = { status: 'deferred', reason: 'Payment not known yet' };
+      } else {
+        outcome = await this.applyTransition(payment, normalized, transaction);
+      }
+
+      await event.update({
+        status: outcome.status,
+        payment_id: payment ? payment.id : null,
+        attempts,
+        last_error: outcome.reason || null,
+        processed_at: ['processed', 'ignored'].includes(outcome.status) ? new Date() : null
+      }, { transaction });
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      await event.update({
+        status: 'failed',
+        attempts,
+        last_error: error.message.substring(0, 500)
+      });
+
+      logger.error('Failed to process payment webhook event:', {
+        error: error.message,
+        provider: event.provider,
+        eventId: event.event_id
+      });
+      throw error;
+    }
+
+    logger.info('Payment webhook event processed', {
+      provider: event.provider,
+      eventId: event.event_id,
+      eventType: event.event_type,
+      paymentId: payment ? payment.id : null,
+      status: outcome.status,
+      reason: outcome.reason
+    });
+
+    if (payment) {
+      await this.applyCheckoutEffects(payment);
+
+      await this.applyOrderEffects(payment);
+
+      if (outcome.status === 'processed' && normalized.event_type === 'payment.refunded') {
+        await this.applyRefundEffects(payment, normalized.refund_id);
+      }
+
+      if (processDeferred && outcome.status === 'processed') {
+        await this.processDeferredEvents(event.provider, payment.provider_payment_id);
+      }
+    }
+
+    return outcome;
+  }
+
+  /**
+   * Move the payment forward according to the event; stale or repeated events are ignored
+   * @param {Payment} payment - Locked payment
+   * @param {Object} event - Normalized event
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Object>} Outcome { status, reason? }
+   */
+  static async applyTransition(payment, event, transaction) {
+    const ignored = reason => ({ status: 'ignored', reason });
+
+    switch (event.event_type) {
+    case 'payment.authorized':
+      if (payment.status !== 'pending') {
+        return ignored(`Payment is already ${payment.status}`);
+      }
+      await payment.markAsAuthorized(payment.provider_payment_id, null, { transaction });
+      return { status: 'processed' };
+
+    case 'payment.captured':
+      if (!['pending', 'authorized'].includes(payment.status)) {
+        return ignored(`Payment is already ${payment.status}`);
+      }
+      await payment.markAsCaptured(event.amount || parseFloat(payment.amount), { transaction });
+      return { status: 'processed' };
+
+    case 'payment.failed':
+      if (payment.status !== 'pending') {
+        return ignored(`Payment is already ${payment.status}`);
+      }
+      await payment.markAsFailed(
+        event.failure_code || 'provider_failure',
+        event.failure_message || 'Payment failed',
+        { transaction }
+      );
+      return { status: 'processed' };
+
+    case 'payment.voided':
+      if (!['pending', 'authorized'].includes(payment.status)) {
+        return ignored(`Payment is already ${payment.status}`);
+      }
+      await payment.markAsVoided({ transaction });
+      return { status: 'processed' };
+
+    case 'payment.refunded':
+      if (!event.refund_id || !(event.amount > 0)) {
+        return ignored('Refund event is missing the refund id or amount');
+      }
+      if (payment.hasRefund(event.refund_id)) {
+        return ignored('Refund is already recorded');
+      }
+      if (['pending', 'authorized'].includes(payment.status)) {
+        // The capture has not reached us yet; apply the refund once it does
+        return { status: 'deferred', reason: 'Refund received before capture' };
+      }
+      if (!payment.canRefund()) {
+        return ignored(`Payment is ${payment.status} and cannot be refunded`);
+      }
+      await payment.recordRefund(Math.min(event.amount, payment.getRefundableAmount()), event.refund_id, { transaction });
+      return { status: 'processed' };
+
+    default:
+      return ignored(`Unhandled event type ${event.event_type}`);
+    }
+  }
+
+  /**
+   * Bring the checkout in line with the payment: place the order or fail the session
+   * Safe to call repeatedly; it only acts while the checkout is still active.
+   * @param {Payment} payment - Payment instance
+   * @returns {Promise<void>}
+   */
+  static async applyCheckoutEffects(payment) {
+    try {
+      await payment.reload();
+      const checkout = await Checkout.findByPk(payment.checkout_id);
+
+      if (!checkout || checkout.status !== 'active') {
+        return;
+      }
+
+      if (['authorized', 'captured'].includes(payment.status) && !payment.order_id) {
+        if (checkout.isExpired()) {
+          logger.warn('Payment succeeded for an expired checkout; manual review required', {
+            paymentId: payment.id,
+            checkoutId: checkout.id
+          });
+          return;
+        }
+
+        await CheckoutService.confirmReservations(checkout.id, payment);
+      } else if (payment.status === 'failed') {
+        await CheckoutService.failSession(checkout.id, payment.failure_message || 'Payment failed');
+      }
+    } catch (error) {
+      logger.error('Failed to apply payment webhook to checkout:', {
+        error: error.message,
+        paymentId: payment.id,
+        checkoutId: payment.checkout_id
+      });
+    }
+  }
+
+  /**
+   * Move the payment's order to paid once the capture is known
+   * @param {Payment} payment - Payment instance (reloaded by applyCheckoutEffects)
+   * @returns {Promise<void>}
+   */
+  static async applyOrderEffects(payment) {
+    if (payment.status !== 'captured' || !payment.order_id) {
+      return;
+    }
+
+    try {
+      await OrderService.markAsPaid(payment.order_id, payment);
+    } catch (error) {
+      logger.error('Failed to apply payment webhook to order:', {
+        error: error.message,
+        paymentId: payment.id,
+        orderId: payment.order_id
+      });
+    }
+  }
+
+  /**
+   * Issue the credit note and queue the customer's email for a refund made at the provider
+   * @param {Payment} payment - Payment instance (reloaded by applyCheckoutEffects)
+   * @param {string} refundReference - Provider refund reference
+   * @returns {Promise<void>}
+   */
+  static async applyRefundEffects(payment, refundReference) {
+    if (!payment.order_id) {
+      return;
+    }
+
+    try {
+      await InvoiceService.issueCreditNote(payment, refundReference, { reason: 'refunded_at_provider' });
+    } catch (error) {
+      logger.error('Failed to issue credit note for payment webhook:', {
+        error: error.message,
+        paymentId: payment.id,
+        refundReference
+      });
+    }
+
+    const refund = ((payment.meta && payment.meta.refunds) || [])
+      .find(entry => entry.provider_reference === refundReference);
+
+    try {
+      if (refund) {
+        await OrderEmailService.queueRefundIssued(payment, refundReference, parseFloat(refund.amount), 'refunded_at_provider');
+      }
+    } catch (error) {
+      logger.error('Failed to queue refund email for payment webhook:', {
+        error: error.message,
+        paymentId: payment.id,
+        refundReference
+      });
+    }
+  }
+
+  /**
+   * Retry events that arrived before the payment (or its capture) was known
+   * @param {string} providerName - Provider name
+   * @param {string} providerPaymentId - Provider payment ID
+   * @returns {Promise<number>} Number of events applied
+   */
+  static async processDeferredEvents(providerName, providerPaymentId) {
+    let applied = 0;
+    let progressed = true;
+
+    // Keep going while events unlock each other (e.g. a capture unblocks a refund)
+    while (progressed) {
+      progressed = false;
+
+      const events = await PaymentWebhookEvent.findAll({
+        where: {
+          provider: providerName,
+          provider_payment_id: providerPaymentId,
+          status: 'deferred'
+        },
+        order: [['occurred_at', 'ASC'], ['id', 'ASC']]
+      });
+
+      for (const event of events) {
+        const outcome = await this.processEvent(event, { processDeferred: false });
+        if (outcome.status !== 'deferred') {
+          applied++;
+          progressed = true;
+        }
+      }
+    }
+
+    return applied;
+  }
+
+  /**
+   * Re-run a stored event (admin replay). Signatures are not re-checked; only verified events are stored.
+   * @param {number} eventId - Stored event ID
+   * @returns {Promise<Object>} Event and outcome
+   */
+  static async replayEvent(eventId) {
+    const event = await PaymentWebhookEvent.findByPk(eventId);
+
+    if (!event) {
+      throw new Error('Webhook event not found');
+    }
+
+    const outcome = await this.processEvent(event);
+
+    return { event, outcome };
+  }
+
+  /**
+   * Get stored webhook events with pagination
+   * @param {Object} options - Filters and pagination
+   * @returns {Promise<Object>} Events with pagination
+   */
+  static async getEvents(options = {}) {
+    const { page = 1, limit = 20, provider, status, event_type, provider_payment_id } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (provider) {
+      where.provider = provider;
+    }
+    if (status) {
+      where.status = status;
+    }
+    if (event_type) {
+      where.event_type = event_type;
+    }
+    if (provider_payment_id) {
+      where.provider_payment_id = provider_payment_id;
+    }
+
+    const { count, rows } = await PaymentWebhookEvent.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      events: rows.map(event => event.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a stored webhook event with its payload
+   * @param {number} eventId - Stored event ID
+   * @returns {Promise<Object>} Event details
+   */
+  static async getEvent(eventId) {
+    const event = await PaymentWebhookEvent.findByPk(eventId);
+
+    if (!event) {
+      throw new Error('Webhook event not found');
+    }
+
+    return {
+      ...event.getSummary(),
+      payload: event.getPayload()
+    };
+  }
+}
+
+module.exports = PaymentWebhookService;
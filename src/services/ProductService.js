@@ -1,4 +1,4 @@
-const { Product, Category, ProductImage, Inventory, StockLedger, User } = require('../database/models');
+const { Product, Category, ProductImage, Inventory, StockLedger, User, TaxClass } = require('../database/models');
 const { Op } = require('sequelize');
 const IndexerService = require('./IndexerService');
 
@@ -80,6 +80,12 @@ class ProductService {
       price,
       currency = 'USD',
       status = 'draft',
+      is_gift_card = false,
+      tax_class_id = null,
+      weight = null,
+      length = null,
+      width = null,
+      height = null,
       sustainability_badges,
       meta
     } = productData;
@@ -90,6 +96,14 @@ class ProductService {
       throw new Error('Category not found');
     }
 
+    // Validate tax class exists if provided
+    if (tax_class_id) {
+      const taxClass = await TaxClass.findByPk(tax_class_id);
+      if (!taxClass) {
+        throw new Error('Tax class not found');
+      }
+    }
+
     // Generate unique slug and SKU
     const slug = await this.generateSlug(title);
     const sku = await this.generateSKU(title);
@@ -106,6 +120,12 @@ class ProductService {
       price,
       currency,
       status,
+      is_gift_card,
+      tax_class_id,
+      weight,
+      length,
+      width,
+      height,
       sustainability_badges,
       meta,
       created_by: userId,
@@ -145,6 +165,12 @@ class ProductService {
       price,
       currency,
       status,
+      is_gift_card,
+      tax_class_id,
+      weight,
+      length,
+      width,
+      height,
       sustainability_badges,
       meta
     } = updateData;
@@ -157,6 +183,14 @@ class ProductService {
       }
     }
 
+    // Validate tax class if provided
+    if (tax_class_id && tax_class_id !== product.tax_class_id) {
+      const taxClass = await TaxClass.findByPk(tax_class_id);
+      if (!taxClass) {
+        throw new Error('Tax class not found');
+      }
+    }
+
     // Generate new slug if title changed
     let slug = product.slug;
     if (title && title !== product.title) {
@@ -174,6 +208,12 @@ class ProductService {
       price: price !== undefined ? price : product.price,
       currency: currency || product.currency,
       status: status || product.status,
+      is_gift_card: is_gift_card !== undefined ? is_gift_card : product.is_gift_card,
+      tax_class_id: tax_class_id !== undefined ? tax_class_id : product.tax_class_id,
+      weight: weight !== undefined ? weight : product.weight,
+      length: length !== undefined ? length : product.length,
+      width: width !== undefined ? width : product.width,
+      height: height !== undefined ? height : product.height,
       sustainability_badges: sustainability_badges !== undefined ? sustainability_badges : product.sustainability_badges,
       meta: meta !== undefined ? meta : product.meta,
       updated_by: userId
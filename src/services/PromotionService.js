@@ -0,0 +1,783 @@
+const { UniqueConstraintError } = require('sequelize');
+const { Coupon, CartCoupon, CouponRedemption, Promotion } = require('../database/models');
+const ExchangeRateService = require('./ExchangeRateService');
+const { roundAmount } = require('../config/currencies');
+const { logger } = require('../middleware/errorHandler');
+
+// Fields staff can set on a coupon; times_used only moves when orders are placed
+const COUPON_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'currency',
+  'min_subtotal',
+  'applies_to',
+  'category_ids',
+  'product_ids',
+  'starts_at',
+  'ends_at',
+  'usage_limit',
+  'usage_limit_per_customer',
+  'is_active'
+];
+
+// Fields staff can set on an automatic promotion
+const PROMOTION_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'rules',
+  'currency',
+  'applies_to',
+  'category_ids',
+  'product_ids',
+  'priority',
+  'exclusive',
+  'starts_at',
+  'ends_at',
+  'is_active'
+];
+
+class PromotionService {
+  /**
+   * Recompute a cart's discounts from automatic promotions and coupons and write them to the cart lines
+   * Promotions run first, in priority order, then coupons discount what is left of each line.
+   * Every line's line_discount and discount_details are replaced, so this is safe to run after any
+   * cart change. A coupon that no longer applies stays on the cart with the reason and no discount,
+   * unless `enforce` is set (checkout), in which case it is an error.
+   * @param {Cart} cart - Cart
+   * @param {Array<CartItem>} items - Cart items with products loaded
+   * @param {Object} options - { transaction, enforce, guestEmail }
+   * @returns {Promise<Object>} Discount total, whether shipping is free, and the applied promotions and coupons
+   */
+  static async applyToCart(cart, items, options = {}) {
+    const { transaction = null, enforce = false, guestEmail = null } = options;
+
+    const promotions = await this.getRunningPromotions(transaction);
+    const cartCoupons = await CartCoupon.findAll({
+      where: { cart_id: cart.id },
+      include: [{ model: Coupon, as: 'coupon' }],
+      order: [['created_at', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    const state = {
+      lineDiscounts: new Map(items.map(item => [item.id, 0])),
+      lineDetails: new Map(items.map(item => [item.id, []])),
+      lockedLines: new Set()
+    };
+    const customer = { userId: cart.user_id, guestEmail };
+    const appliedPromotions = [];
+    let freeShipping = false;
+
+    for (const promotion of promotions) {
+      const available = items.filter(item => !state.lockedLines.has(item.id) && promotion.appliesToItem(item));
+      const allocations = await this.evaluatePromotion(promotion, cart, available, state.lineDiscounts, transaction);
+      const discountAmount = this.recordAllocations(
+        state,
+        allocations,
+        { source: 'promotion', id: promotion.id, name: promotion.name },
+        promotion.exclusive
+      );
+
+      if (discountAmount > 0) {
+        appliedPromotions.push({
+          id: promotion.id,
+          name: promotion.name,
+          description: promotion.description,
+          type: promotion.type,
+          discount_amount: roundAmount(discountAmount, cart.currency)
+        });
+      }
+    }
+
+    for (const cartCoupon of cartCoupons) {
+      const { coupon } = cartCoupon;
+      const { reason, allocations } = await this.evaluateCoupon(coupon, cart, items, state, customer, transaction);
+
+      if (reason && enforce) {
+        throw new Error(`Coupon not applicable (${coupon.code}): ${reason}`);
+      }
+
+      const discountAmount = this.recordAllocations(
+        state,
+        allocations,
+        { source: 'coupon', code: coupon.code, name: coupon.description || coupon.code },
+        false
+      );
+
+      const isFreeShipping = !reason && coupon.type === 'free_shipping';
+      freeShipping = freeShipping || isFreeShipping;
+
+      await cartCoupon.update({
+        discount_amount: roundAmount(discountAmount, cart.currency),
+        free_shipping: isFreeShipping,
+        inapplicable_reason: reason
+      }, { transaction });
+    }
+
+    let discountTotal = 0;
+    for (const item of items) {
+      const lineDiscount = roundAmount(state.lineDiscounts.get(item.id), cart.currency);
+      const details = state.lineDetails.get(item.id).map(detail => ({
+        ...detail,
+        amount: roundAmount(detail.amount, cart.currency)
+      }));
+      discountTotal += lineDiscount;
+
+      if (parseFloat(item.line_discount) !== lineDiscount ||
+          JSON.stringify(item.discount_details || []) !== JSON.stringify(details)) {
+        await item.update({ line_discount: lineDiscount, discount_details: details }, { transaction });
+      }
+    }
+
+    return {
+      discount_total: roundAmount(discountTotal, cart.currency),
+      free_shipping: freeShipping,
+      promotions: appliedPromotions,
+      coupons: cartCoupons.map(cartCoupon => cartCoupon.getSummary())
+    };
+  }
+
+  /**
+   * Add a promotion's or coupon's line discounts to the running totals and explanations
+   * @param {Object} state - { lineDiscounts, lineDetails, lockedLines }
+   * @param {Map} allocations - Discount per line ID
+   * @param {Object} detail - How the discount is explained on each line
+   * @param {boolean} lock - Keep further discounts off the discounted lines
+   * @returns {number} Total discount given
+   */
+  static recordAllocations(state, allocations, detail, lock) {
+    let total = 0;
+
+    for (const [itemId, amount] of allocations) {
+      if (amount <= 0) {
+        continue;
+      }
+      state.lineDiscounts.set(itemId, state.lineDiscounts.get(itemId) + amount);
+      state.lineDetails.get(itemId).push({ ...detail, amount });
+      if (lock) {
+        state.lockedLines.add(itemId);
+      }
+      total += amount;
+    }
+
+    return total;
+  }
+
+  /**
+   * Load the promotions running now, in evaluation order
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Array<Promotion>>}
+   */
+  static async getRunningPromotions(transaction = null) {
+    const promotions = await Promotion.findAll({
+      where: { is_active: true },
+      order: [['priority', 'ASC'], ['id', 'ASC']],
+      transaction
+    });
+
+    return promotions.filter(promotion => promotion.isRunning());
+  }
+
+  /**
+   * Work out a promotion's line discounts
+   * A promotion whose amounts cannot be converted into the cart currency is skipped.
+   * @param {Promotion} promotion - Promotion
+   * @param {Cart} cart - Cart
+   * @param {Array<CartItem>} items - Lines the promotion may discount
+   * @param {Map} lineDiscounts - Discount already given on each line
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Map>} Discount per line ID
+   */
+  static async evaluatePromotion(promotion, cart, items, lineDiscounts, transaction = null) {
+    const lines = items.map(item => ({
+      item,
+      amount: parseFloat(item.line_subtotal) - lineDiscounts.get(item.id)
+    }));
+
+    if (lines.length === 0) {
+      return new Map();
+    }
+
+    try {
+      if (promotion.type === 'buy_x_get_y') {
+        return this.evaluateBuyXGetY(promotion.rules, lines, cart.currency);
+      }
+      if (promotion.type === 'tiered_spend') {
+        return await this.evaluateTieredSpend(promotion, lines, cart.currency, transaction);
+      }
+      return await this.evaluateBundlePrice(promotion, lines, cart.currency, transaction);
+    } catch (error) {
+      if (error.message.startsWith('No exchange rate')) {
+        logger.warn('Promotion skipped: no exchange rate', {
+          promotionId: promotion.id,
+          currency: cart.currency
+        });
+        return new Map();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Buy X get Y: in every group of buy_qty + get_qty units, the get_qty cheapest are discounted
+   * Units are grouped dearest first, so customers get the cheapest units of each group.
+   * @param {Object} rules - { buy_qty, get_qty, percent_off }
+   * @param {Array<Object>} lines - { item, amount } for each eligible line
+   * @param {string} currency - Cart currency
+   * @returns {Map} Discount per line ID
+   */
+  static evaluateBuyXGetY(rules, lines, currency) {
+    const units = [];
+    for (const { item, amount } of lines) {
+      for (let i = 0; i < item.qty; i++) {
+        units.push({ itemId: item.id, price: amount / item.qty });
+      }
+    }
+    units.sort((a, b) => b.price - a.price || a.itemId - b.itemId);
+
+    const groupSize = rules.buy_qty + rules.get_qty;
+    const totals = new Map();
+    for (let start = 0; start + groupSize <= units.length; start += groupSize) {
+      for (const unit of units.slice(start + rules.buy_qty, start + groupSize)) {
+        totals.set(unit.itemId, (totals.get(unit.itemId) || 0) + unit.price * rules.percent_off / 100);
+      }
+    }
+
+    const allocations = new Map();
+    for (const [itemId, total] of totals) {
+      allocations.set(itemId, roundAmount(total, currency));
+    }
+    return allocations;
+  }
+
+  /**
+   * Tiered spend: the highest tier reached by the eligible lines sets the percentage off them
+   * @param {Promotion} promotion - Promotion with tiers in its currency
+   * @param {Array<Object>} lines - { item, amount } for each eligible line
+   * @param {string} currency - Cart currency
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Map>} Discount per line ID
+   */
+  static async evaluateTieredSpend(promotion, lines, currency, transaction = null) {
+    const spend = lines.reduce((sum, line) => sum + line.amount, 0);
+
+    let percentOff = 0;
+    let reached = -1;
+    for (const tier of promotion.rules.tiers) {
+      const { amount: threshold } = await ExchangeRateService.convert(tier.min_subtotal, promotion.currency, currency, transaction);
+      if (spend >= threshold && threshold > reached) {
+        reached = threshold;
+        percentOff = tier.percent_off;
+      }
+    }
+
+    const allocations = new Map();
+    if (percentOff > 0) {
+      for (const line of lines) {
+        allocations.set(line.item.id, roundAmount(line.amount * percentOff / 100, currency));
+      }
+    }
+    return allocations;
+  }
+
+  /**
+   * Bundle price: each complete set of the listed SKUs costs the bundle price
+   * The saving is spread over the bundle lines by their share of the set's regular price.
+   * @param {Promotion} promotion - Promotion with the bundle price in its currency
+   * @param {Array<Object>} lines - { item, amount } for each line holding a bundle SKU
+   * @param {string} currency - Cart currency
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Map>} Discount per line ID
+   */
+  static async evaluateBundlePrice(promotion, lines, currency, transaction = null) {
+    const components = promotion.rules.items.map(component => ({
+      qty: component.qty,
+      line: lines.find(line => line.item.sku === component.sku)
+    }));
+
+    if (components.some(component => !component.line)) {
+      return new Map();
+    }
+
+    const sets = Math.min(...components.map(component => Math.floor(component.line.item.qty / component.qty)));
+    if (sets === 0) {
+      return new Map();
+    }
+
+    const { amount: bundlePrice } = await ExchangeRateService.convert(promotion.rules.price, promotion.currency, currency, transaction);
+    const shares = components.map(component => ({
+      id: component.line.item.id,
+      amount: component.line.amount / component.line.item.qty * component.qty * sets
+    }));
+    const regularPrice = shares.reduce((sum, share) => sum + share.amount, 0);
+
+    if (regularPrice <= bundlePrice * sets) {
+      return new Map();
+    }
+
+    return this.spreadAmount(regularPrice - bundlePrice * sets, shares, currency);
+  }
+
+  /**
+   * Spread an amount over lines in proportion to their value; the last line takes the rounding difference
+   * @param {number} amount - Amount to spread, at most the lines' total
+   * @param {Array<Object>} lines - { id, amount }
+   * @param {string} currency - Currency to round to
+   * @returns {Map} Amount per line ID
+   */
+  static spreadAmount(amount, lines, currency) {
+    const base = lines.reduce((sum, line) => sum + line.amount, 0);
+    const total = Math.min(amount, base);
+    const allocations = new Map();
+
+    let allocated = 0;
+    lines.forEach((line, index) => {
+      const share = index === lines.length - 1
+        ? roundAmount(total - allocated, currency)
+        : roundAmount(total * line.amount / base, currency);
+      allocations.set(line.id, Math.min(share, line.amount));
+      allocated += share;
+    });
+
+    return allocations;
+  }
+
+  /**
+   * Check a coupon against a cart and work out its line discounts
+   * @param {Coupon} coupon - Coupon
+   * @param {Cart} cart - Cart
+   * @param {Array<CartItem>} items - Cart items with products loaded
+   * @param {Object} state - Discount already given on each line and the lines exclusive promotions hold
+   * @param {Object} customer - { userId, guestEmail }
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} Why the coupon does not apply (or null) and the discount per line ID
+   */
+  static async evaluateCoupon(coupon, cart, items, state, customer, transaction = null) {
+    const allocations = new Map();
+
+    const availabilityError = coupon.getAvailabilityError();
+    if (availabilityError) {
+      return { reason: availabilityError, allocations };
+    }
+
+    if (await this.hasReachedCustomerLimit(coupon, customer, transaction)) {
+      return { reason: 'Coupon has already been used the maximum number of times', allocations };
+    }
+
+    const eligibleItems = items.filter(item => coupon.appliesToItem(item));
+    if (eligibleItems.length === 0) {
+      return { reason: 'Coupon does not apply to any item in the cart', allocations };
+    }
+
+    let amounts;
+    try {
+      amounts = await this.convertCouponAmounts(coupon, cart.currency, transaction);
+    } catch (error) {
+      if (error.message.startsWith('No exchange rate')) {
+        return { reason: `Coupon cannot be used in ${cart.currency}`, allocations };
+      }
+      throw error;
+    }
+
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => sum + parseFloat(item.line_subtotal), 0);
+    if (amounts.minSubtotal !== null && eligibleSubtotal < amounts.minSubtotal) {
+      return {
+        reason: `Spend at least ${amounts.minSubtotal} ${cart.currency} on eligible items to use this coupon`,
+        allocations
+      };
+    }
+
+    if (!coupon.isLineDiscount()) {
+      return { reason: null, allocations };
+    }
+
+    const openItems = eligibleItems.filter(item => !state.lockedLines.has(item.id));
+    if (openItems.length === 0) {
+      return { reason: 'Coupon cannot be combined with the promotions on these items', allocations };
+    }
+
+    // Discount what is left of each eligible line after promotions and earlier coupons
+    const lines = openItems
+      .map(item => ({ id: item.id, amount: parseFloat(item.line_subtotal) - state.lineDiscounts.get(item.id) }))
+      .filter(line => line.amount > 0);
+
+    if (coupon.type === 'percentage') {
+      for (const line of lines) {
+        allocations.set(line.id, roundAmount(line.amount * parseFloat(coupon.value) / 100, cart.currency));
+      }
+      return { reason: null, allocations };
+    }
+
+    return { reason: null, allocations: this.spreadAmount(amounts.value, lines, cart.currency) };
+  }
+
+  /**
+   * Convert a coupon's fixed amount and minimum spend into the cart currency
+   * @param {Coupon} coupon - Coupon
+   * @param {string} currency - Cart currency
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} { value, minSubtotal }
+   */
+  static async convertCouponAmounts(coupon, currency, transaction = null) {
+    const convert = async (amount) => {
+      const { amount: converted } = await ExchangeRateService.convert(amount, coupon.currency, currency, transaction);
+      return converted;
+    };
+
+    return {
+      value: coupon.type === 'fixed_amount' ? await convert(coupon.value) : parseFloat(coupon.value),
+      minSubtotal: coupon.min_subtotal ? await convert(coupon.min_subtotal) : null
+    };
+  }
+
+  /**
+   * Check if a customer has used up their redemptions of a coupon
+   * Guests are only known by email once they reach checkout.
+   * @param {Coupon} coupon - Coupon
+   * @param {Object} customer - { userId, guestEmail }
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<boolean>}
+   */
+  static async hasReachedCustomerLimit(coupon, customer, transaction = null) {
+    if (!coupon.usage_limit_per_customer) {
+      return false;
+    }
+
+    let where = null;
+    if (customer.userId) {
+      where = { coupon_id: coupon.id, user_id: customer.userId };
+    } else if (customer.guestEmail) {
+      where = { coupon_id: coupon.id, guest_email: customer.guestEmail };
+    }
+
+    if (!where) {
+      return false;
+    }
+
+    const used = await CouponRedemption.count({ where, transaction });
+    return used >= coupon.usage_limit_per_customer;
+  }
+
+  /**
+   * Apply a coupon code to a cart
+   * A cart takes one discount coupon (percentage or fixed amount) and one free-shipping coupon.
+   * @param {Cart} cart - Cart
+   * @param {string} code - Coupon code
+   * @param {Array<CartItem>} items - Cart items with products loaded
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Coupon>} Applied coupon
+   */
+  static async addCoupon(cart, code, items, transaction) {
+    const coupon = await Coupon.findOne({
+      where: { code: code.trim().toUpperCase() },
+      transaction
+    });
+
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    const applied = await CartCoupon.findAll({
+      where: { cart_id: cart.id },
+      include: [{ model: Coupon, as: 'coupon' }],
+      transaction
+    });
+
+    if (applied.some(cartCoupon => cartCoupon.coupon_id === coupon.id)) {
+      throw new Error('Coupon is already applied');
+    }
+
+    if (applied.some(cartCoupon => cartCoupon.coupon.isLineDiscount() === coupon.isLineDiscount())) {
+      throw new Error(coupon.isLineDiscount()
+        ? 'Only one discount coupon can be used per cart'
+        : 'Only one free shipping coupon can be used per cart');
+    }
+
+    const { reason } = await this.evaluateCoupon(
+      coupon,
+      cart,
+      items,
+      { lineDiscounts: new Map(items.map(item => [item.id, 0])), lockedLines: new Set() },
+      { userId: cart.user_id },
+      transaction
+    );
+
+    if (reason) {
+      throw new Error(`Coupon not applicable (${coupon.code}): ${reason}`);
+    }
+
+    await CartCoupon.create({
+      cart_id: cart.id,
+      coupon_id: coupon.id
+    }, { transaction });
+
+    return coupon;
+  }
+
+  /**
+   * Remove a coupon code from a cart
+   * @param {Cart} cart - Cart
+   * @param {string} code - Coupon code
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<boolean>}
+   */
+  static async removeCoupon(cart, code, transaction) {
+    const coupon = await Coupon.findOne({
+      where: { code: code.trim().toUpperCase() },
+      transaction
+    });
+
+    const removed = coupon
+      ? await CartCoupon.destroy({ where: { cart_id: cart.id, coupon_id: coupon.id }, transaction })
+      : 0;
+
+    if (removed === 0) {
+      throw new Error('Coupon is not applied to this cart');
+    }
+
+    return true;
+  }
+
+  /**
+   * Record the coupons used on a newly placed order and count them against their limits
+   * Each coupon is locked and its limits checked again, so checkouts opened while a coupon had uses
+   * left cannot all place orders with it.
+   * @param {Checkout} checkout - Checkout the order was placed from
+   * @param {Order} order - New order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number>} Number of coupons redeemed
+   */
+  static async recordRedemptions(checkout, order, transaction) {
+    const cartCoupons = await CartCoupon.findAll({
+      where: { cart_id: checkout.cart_id, inapplicable_reason: null },
+      include: [{ model: Coupon, as: 'coupon' }],
+      transaction
+    });
+
+    for (const cartCoupon of cartCoupons) {
+      const coupon = await Coupon.findByPk(cartCoupon.coupon_id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (coupon.usage_limit && coupon.times_used >= coupon.usage_limit) {
+        throw new Error(`Coupon not applicable (${coupon.code}): Coupon usage limit has been reached`);
+      }
+
+      const customer = { userId: order.user_id, guestEmail: order.guest_email };
+      if (await this.hasReachedCustomerLimit(coupon, customer, transaction)) {
+        throw new Error(`Coupon not applicable (${coupon.code}): Coupon has already been used the maximum number of times`);
+      }
+
+      await CouponRedemption.create({
+        coupon_id: cartCoupon.coupon_id,
+        order_id: order.id,
+        user_id: order.user_id,
+        guest_email: order.guest_email,
+        discount_amount: cartCoupon.free_shipping ? checkout.shipping_discount : cartCoupon.discount_amount
+      }, { transaction });
+
+      await Coupon.increment('times_used', {
+        by: 1,
+        where: { id: cartCoupon.coupon_id },
+        transaction
+      });
+    }
+
+    if (cartCoupons.length > 0) {
+      logger.info('Coupons redeemed', {
+        orderNumber: order.order_number,
+        codes: cartCoupons.map(cartCoupon => cartCoupon.coupon.code)
+      });
+    }
+
+    return cartCoupons.length;
+  }
+
+  /**
+   * List coupons for staff
+   * @param {Object} options - { page, limit, is_active }
+   * @returns {Promise<Object>} Coupons and pagination
+   */
+  static async getCoupons(options = {}) {
+    const { page = 1, limit = 20, is_active: isActive } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (isActive !== undefined) {
+      where.is_active = isActive;
+    }
+
+    const { count, rows } = await Coupon.findAndCountAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      coupons: rows.map(coupon => coupon.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Create a coupon
+   * @param {Object} data - Coupon fields
+   * @param {number} userId - Staff member creating it
+   * @returns {Promise<Object>} Coupon summary
+   */
+  static async createCoupon(data, userId) {
+    const values = {};
+    for (const field of COUPON_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    try {
+      const coupon = await Coupon.create({ ...values, created_by: userId });
+
+      logger.info('Coupon created', {
+        couponId: coupon.id,
+        code: coupon.code,
+        userId
+      });
+
+      return coupon.getSummary();
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new Error('Coupon code already exists');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Update a coupon
+   * Carts holding the code pick the change up the next time they are repriced.
+   * @param {number} couponId - Coupon ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Coupon summary
+   */
+  static async updateCoupon(couponId, data) {
+    const coupon = await Coupon.findByPk(couponId);
+    if (!coupon) {
+      throw new Error('Coupon not found');
+    }
+
+    const values = {};
+    for (const field of COUPON_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    try {
+      await coupon.update(values);
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) {
+        throw new Error('Coupon code already exists');
+      }
+      throw error;
+    }
+
+    return coupon.getSummary();
+  }
+
+  /**
+   * List automatic promotions for staff, in evaluation order
+   * @param {Object} options - { page, limit, is_active }
+   * @returns {Promise<Object>} Promotions and pagination
+   */
+  static async getPromotions(options = {}) {
+    const { page = 1, limit = 20, is_active: isActive } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (isActive !== undefined) {
+      where.is_active = isActive;
+    }
+
+    const { count, rows } = await Promotion.findAndCountAll({
+      where,
+      order: [['priority', 'ASC'], ['id', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      promotions: rows.map(promotion => promotion.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Create an automatic promotion
+   * @param {Object} data - Promotion fields
+   * @param {number} userId - Staff user creating it
+   * @returns {Promise<Object>} Promotion summary
+   */
+  static async createPromotion(data, userId) {
+    const values = {};
+    for (const field of PROMOTION_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    const promotion = await Promotion.create({ ...values, created_by: userId });
+
+    logger.info('Promotion created', {
+      promotionId: promotion.id,
+      type: promotion.type,
+      userId
+    });
+
+    return promotion.getSummary();
+  }
+
+  /**
+   * Update an automatic promotion
+   * Carts pick up the change the next time they are repriced.
+   * @param {number} promotionId - Promotion ID
+   * @param {Object} data - Fields to change
+   * @returns {Promise<Object>} Promotion summary
+   */
+  static async updatePromotion(promotionId, data) {
+    const promotion = await Promotion.findByPk(promotionId);
+    if (!promotion) {
+      throw new Error('Promotion not found');
+    }
+
+    const values = {};
+    for (const field of PROMOTION_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    await promotion.update(values);
+
+    return promotion.getSummary();
+  }
+}
+
+module.exports = PromotionService;
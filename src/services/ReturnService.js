@@ -0,0 +1,653 @@
+const {
+  ReturnRequest,
+  ReturnItem,
+  Order,
+  OrderItem,
+  Payment,
+  Inventory
+} = require('../database/models');
+const { Op } = require('sequelize');
+const PaymentService = require('./PaymentService');
+const TenderService = require('./TenderService');
+const AuditService = require('./AuditService');
+const { logger } = require('../middleware/errorHandler');
+
+const RETURN_WINDOW_DAYS = parseInt(process.env.RETURN_WINDOW_DAYS, 10) || 30;
+
+// Only orders that have left the warehouse can be returned
+const RETURNABLE_ORDER_STATUSES = ['shipped', 'delivered'];
+
+class ReturnService {
+  /**
+   * Open a return request against lines of a customer's order
+   * @param {string} orderNumber - Order number
+   * @param {number} userId - User ID for authorization
+   * @param {Object} data - { items: [{ order_item_id, qty, reason }], note? }
+   * @param {Object} context - Audit context { request_id, ip_address, user_agent }
+   * @returns {Promise<ReturnRequest>} Created return with items
+   */
+  static async createReturn(orderNumber, userId, data, context = {}) {
+    const transaction = await ReturnRequest.sequelize.transaction();
+    let returnRequest;
+
+    try {
+      // Lock the order so concurrent requests cannot return the same units twice
+      const order = await Order.findOne({
+        where: { order_number: orderNumber },
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      // Respond the same way for missing and foreign orders so numbers cannot be probed
+      if (!order || !order.isOwnedBy(userId)) {
+        throw new Error('Order not found');
+      }
+
+      if (!RETURNABLE_ORDER_STATUSES.includes(order.status)) {
+        throw new Error('Order cannot be returned');
+      }
+
+      const windowEnd = new Date(order.placed_at.getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+      if (new Date() > windowEnd) {
+        throw new Error('Return window has closed');
+      }
+
+      const orderItems = await OrderItem.findAll({
+        where: { order_id: order.id },
+        transaction
+      });
+      const orderItemsById = new Map(orderItems.map(item => [String(item.id), item]));
+      const returnedQuantities = await this.getReturnedQuantities(order.id, transaction);
+
+      const lines = data.items.map(line => {
+        const orderItem = orderItemsById.get(String(line.order_item_id));
+        if (!orderItem) {
+          throw new Error(`Order item ${line.order_item_id} not found in order`);
+        }
+
+        const returnable = orderItem.getActiveQuantity() - (returnedQuantities.get(String(orderItem.id)) || 0);
+        if (line.qty > returnable) {
+          throw new Error(`Only ${returnable} unit(s) of ${orderItem.sku} can be returned`);
+        }
+
+        // Refund what the customer paid for the units: the line total (after discount, with tax) pro rata
+        const refundAmount = Math.round(parseFloat(orderItem.line_total) * line.qty / orderItem.qty * 100) / 100;
+
+        return {
+          order_item_id: orderItem.id,
+          qty: line.qty,
+          reason: line.reason,
+          refund_amount: refundAmount
+        };
+      });
+
+      const refundTotal = lines.reduce((sum, line) => sum + line.refund_amount, 0);
+
+      returnRequest = await ReturnRequest.create({
+        order_id: order.id,
+        user_id: order.user_id,
+        status: 'requested',
+        customer_note: data.note || null,
+        refund_amount: Math.round(refundTotal * 100) / 100
+      }, { transaction });
+
+      await ReturnItem.bulkCreate(
+        lines.map(line => ({ ...line, return_request_id: returnRequest.id })),
+        { transaction }
+      );
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await this.audit('RETURN_REQUESTED', returnRequest, userId, context, {
+      order_number: orderNumber,
+      refund_amount: parseFloat(returnRequest.refund_amount),
+      items: data.items
+    });
+
+    logger.info('Return requested', {
+      rmaNumber: returnRequest.rma_number,
+      orderNumber,
+      userId
+    });
+
+    return this.loadReturn({ id: returnRequest.id });
+  }
+
+  /**
+   * Sum the units of each order line covered by returns (by default every return that was not rejected)
+   * @param {number} orderId - Order ID
+   * @param {Object} transaction - Database transaction
+   * @param {string[]} statuses - Return statuses to count
+   * @returns {Promise<Map>} Order item ID -> returned units
+   */
+  static async getReturnedQuantities(orderId, transaction, statuses = ['requested', 'approved', 'received']) {
+    const returnItems = await ReturnItem.findAll({
+      include: [
+        {
+          model: ReturnRequest,
+          as: 'returnRequest',
+          where: {
+            order_id: orderId,
+            status: { [Op.in]: statuses }
+          }
+        }
+      ],
+      transaction
+    });
+
+    const quantities = new Map();
+    for (const item of returnItems) {
+      const key = String(item.order_item_id);
+      quantities.set(key, (quantities.get(key) || 0) + item.qty);
+    }
+    return quantities;
+  }
+
+  /**
+   * Approve a requested return and refund it through the payment layer
+   * @param {number} returnId - Return request ID
+   * @param {number} staffUserId - Support user approving the return
+   * @param {string|null} note - Decision note
+   * @param {Object} context - Audit context
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async approveReturn(returnId, staffUserId, note = null, context = {}) {
+    const returnRequest = await this.review(returnId, staffUserId, 'approved', note);
+
+    await this.audit('RETURN_APPROVED', returnRequest, staffUserId, context, {
+      note,
+      refund_amount: parseFloat(returnRequest.refund_amount)
+    });
+
+    if (returnRequest.refund_status === 'pending') {
+      await this.issueRefund(returnRequest, staffUserId, context);
+    }
+
+    return this.loadReturn({ id: returnRequest.id });
+  }
+
+  /**
+   * Reject a requested return
+   * @param {number} returnId - Return request ID
+   * @param {number} staffUserId - Support user rejecting the return
+   * @param {string} note - Reason shown to the customer
+   * @param {Object} context - Audit context
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async rejectReturn(returnId, staffUserId, note, context = {}) {
+    const returnRequest = await this.review(returnId, staffUserId, 'rejected', note);
+
+    await this.audit('RETURN_REJECTED', returnRequest, staffUserId, context, { note });
+
+    return this.loadReturn({ id: returnRequest.id });
+  }
+
+  /**
+   * Record the support decision on a requested return
+   * @param {number} returnId - Return request ID
+   * @param {number} staffUserId - Support user
+   * @param {string} status - 'approved' or 'rejected'
+   * @param {string|null} note - Decision note
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async review(returnId, staffUserId, status, note) {
+    const transaction = await ReturnRequest.sequelize.transaction();
+
+    try {
+      const returnRequest = await ReturnRequest.findByPk(returnId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+
+      if (!returnRequest.canReview()) {
+        throw new Error(`Return is already ${returnRequest.status}`);
+      }
+
+      const approved = status === 'approved';
+      await returnRequest.update({
+        status,
+        decision_note: note || null,
+        reviewed_by: staffUserId,
+        reviewed_at: new Date(),
+        // Claim the refund under the lock so it is issued exactly once
+        refund_status: approved && parseFloat(returnRequest.refund_amount) > 0 ? 'pending' : 'none'
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info(`Return ${status}`, {
+        rmaNumber: returnRequest.rma_number,
+        staffUserId
+      });
+
+      return returnRequest;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Retry a refund that failed when the return was approved
+   * @param {number} returnId - Return request ID
+   * @param {number} staffUserId - Support user
+   * @param {Object} context - Audit context
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async retryRefund(returnId, staffUserId, context = {}) {
+    const transaction = await ReturnRequest.sequelize.transaction();
+    let returnRequest;
+
+    try {
+      returnRequest = await ReturnRequest.findByPk(returnId, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+
+      if (!returnRequest.canRetryRefund()) {
+        throw new Error('Return has no failed refund to retry');
+      }
+
+      await returnRequest.update({ refund_status: 'pending', refund_error: null }, { transaction });
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await this.issueRefund(returnRequest, staffUserId, context);
+
+    return this.loadReturn({ id: returnRequest.id });
+  }
+
+  /**
+   * Refund an approved return
+   * Gift cards and store credit the order was paid with get their share back first, once; the order's captured
+   * payment covers the rest. Failures are recorded on the return rather than thrown, so they can be retried.
+   * @param {ReturnRequest} returnRequest - Return with refund_status 'pending'
+   * @param {number} staffUserId - Support user
+   * @param {Object} context - Audit context
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async issueRefund(returnRequest, staffUserId, context = {}) {
+    const amount = parseFloat(returnRequest.refund_amount);
+
+    try {
+      const tenderRefunded = await this.restoreTenders(returnRequest, staffUserId);
+      const paymentAmount = Math.round((amount - tenderRefunded) * 100) / 100;
+      let payment = null;
+      let result = null;
+
+      if (paymentAmount > 0) {
+        payment = await Payment.findOne({
+          where: {
+            order_id: returnRequest.order_id,
+            status: { [Op.in]: ['captured', 'partially_refunded'] }
+          },
+          order: [['captured_at', 'DESC']]
+        });
+
+        if (!payment) {
+          throw new Error('No captured payment found for this order');
+        }
+
+        const returnItems = await ReturnItem.findAll({
+          where: { return_request_id: returnRequest.id }
+        });
+
+        result = await PaymentService.refundPayment(
+          payment,
+          Math.min(paymentAmount, payment.getRefundableAmount()),
+          'return',
+          { items: returnItems.map(item => ({ order_item_id: item.order_item_id, qty: item.qty })) }
+        );
+      }
+
+      await returnRequest.update({
+        refund_status: 'refunded',
+        payment_id: payment ? payment.id : null,
+        refund_reference: result ? result.provider_reference : null,
+        refund_error: null,
+        refunded_at: new Date()
+      });
+
+      await this.audit('RETURN_REFUNDED', returnRequest, staffUserId, context, {
+        payment_id: payment ? payment.id : null,
+        amount: result ? result.amount : 0,
+        tender_refunded: tenderRefunded,
+        provider_reference: result ? result.provider_reference : null
+      });
+    } catch (error) {
+      logger.error('Return refund failed:', {
+        error: error.message,
+        rmaNumber: returnRequest.rma_number
+      });
+
+      await returnRequest.update({
+        refund_status: 'failed',
+        refund_error: error.message.substring(0, 500)
+      });
+
+      await this.audit('RETURN_REFUND_FAILED', returnRequest, staffUserId, context, {
+        amount,
+        error: error.message
+      });
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Give the tendered share of a return's refund back to the order's gift cards and store credit
+   * Done once per return under its row lock; a retried refund reuses the recorded amount.
+   * @param {ReturnRequest} returnRequest - Return being refunded
+   * @param {number} staffUserId - Support user
+   * @returns {Promise<number>} Amount given back to gift cards and store credit
+   */
+  static async restoreTenders(returnRequest, staffUserId) {
+    const transaction = await ReturnRequest.sequelize.transaction();
+    let tenderRefunded;
+
+    try {
+      const locked = await ReturnRequest.findByPk(returnRequest.id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (locked.tender_refunded !== null && locked.tender_refunded !== undefined) {
+        tenderRefunded = parseFloat(locked.tender_refunded);
+      } else {
+        const order = await Order.findByPk(returnRequest.order_id, { transaction });
+        tenderRefunded = await TenderService.restoreForReturn(
+          order,
+          parseFloat(returnRequest.refund_amount),
+          returnRequest.rma_number,
+          staffUserId,
+          transaction
+        );
+        await locked.update({ tender_refunded: tenderRefunded }, { transaction });
+      }
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    returnRequest.tender_refunded = tenderRefunded;
+    return tenderRefunded;
+  }
+
+  /**
+   * Record that the warehouse received the returned items and restock what can be sold again
+   * @param {number} returnId - Return request ID
+   * @param {number} staffUserId - Warehouse user
+   * @param {Object} data - { items: [{ return_item_id, condition }], note? }
+   * @param {Object} context - Audit context
+   * @returns {Promise<ReturnRequest>} Updated return
+   */
+  static async receiveReturn(returnId, staffUserId, data, context = {}) {
+    const transaction = await ReturnRequest.sequelize.transaction();
+    let returnRequest;
+    const restocked = [];
+
+    try {
+      returnRequest = await ReturnRequest.findByPk(returnId, {
+        include: [
+          {
+            model: ReturnItem,
+            as: 'items',
+            include: [{ model: OrderItem, as: 'orderItem' }]
+          }
+        ],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!returnRequest) {
+        throw new Error('Return not found');
+      }
+
+      if (!returnRequest.canReceive()) {
+        throw new Error(`Return is ${returnRequest.status} and cannot be received`);
+      }
+
+      const conditions = new Map(data.items.map(line => [String(line.return_item_id), line.condition]));
+      const missing = returnRequest.items.filter(item => !conditions.has(String(item.id)));
+      if (missing.length > 0 || conditions.size !== returnRequest.items.length) {
+        throw new Error('A condition must be recorded for every returned item');
+      }
+
+      for (const item of returnRequest.items) {
+        item.condition = conditions.get(String(item.id));
+
+        const productId = item.orderItem ? item.orderItem.product_id : null;
+        if (item.isRestockable() && productId) {
+          const inventory = await Inventory.findOne({
+            where: { product_id: productId },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+          });
+
+          if (inventory) {
+            await inventory.addStock(
+              item.qty,
+              'return',
+              `Returned via ${returnRequest.rma_number}`,
+              staffUserId,
+              { transaction }
+            );
+            item.restocked = true;
+            restocked.push({ sku: item.orderItem.sku, qty: item.qty });
+          }
+        }
+
+        await item.save({ transaction });
+      }
+
+      await returnRequest.update({
+        status: 'received',
+        received_by: staffUserId,
+        received_at: new Date(),
+        decision_note: data.note || returnRequest.decision_note
+      }, { transaction });
+
+      await this.markOrderReturnedIfComplete(returnRequest, staffUserId, transaction);
+
+      await transaction.commit();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+
+    await this.audit('RETURN_RECEIVED', returnRequest, staffUserId, context, {
+      items: data.items,
+      restocked
+    });
+
+    logger.info('Return received', {
+      rmaNumber: returnRequest.rma_number,
+      staffUserId,
+      restockedLines: restocked.length
+    });
+
+    return this.loadReturn({ id: returnRequest.id });
+  }
+
+  /**
+   * Move the order to returned once every unit has come back
+   * @param {ReturnRequest} returnRequest - Return just received
+   * @param {number} staffUserId - Warehouse user
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<boolean>} Whether the order moved to returned
+   */
+  static async markOrderReturnedIfComplete(returnRequest, staffUserId, transaction) {
+    const order = await Order.findByPk(returnRequest.order_id, {
+      include: [{ model: OrderItem, as: 'items' }],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!order || !order.canTransitionTo('returned')) {
+      return false;
+    }
+
+    const received = await this.getReturnedQuantities(order.id, transaction, ['received']);
+    const fullyReturned = order.items.every(item => (received.get(String(item.id)) || 0) >= item.getActiveQuantity());
+
+    if (!fullyReturned) {
+      return false;
+    }
+
+    await order.transitionTo('returned', staffUserId, `Returned via ${returnRequest.rma_number}`, { transaction });
+    return true;
+  }
+
+  /**
+   * Get returns opened by a user with pagination
+   * @param {number} userId - User ID
+   * @param {Object} options - { page, limit }
+   * @returns {Promise<Object>} Returns with pagination
+   */
+  static async getReturnsForUser(userId, options = {}) {
+    return this.getReturns({ ...options, user_id: userId });
+  }
+
+  /**
+   * Get a return by RMA number for the owning user
+   * @param {string} rmaNumber - RMA number
+   * @param {number} userId - User ID for authorization
+   * @returns {Promise<ReturnRequest>} Return with items
+   */
+  static async getReturnForUser(rmaNumber, userId) {
+    const returnRequest = await this.loadReturn({ rma_number: rmaNumber });
+
+    if (!returnRequest || !returnRequest.isOwnedBy(userId)) {
+      throw new Error('Return not found');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Get a return by ID (staff)
+   * @param {number} returnId - Return request ID
+   * @returns {Promise<ReturnRequest>} Return with items
+   */
+  static async getReturnById(returnId) {
+    const returnRequest = await this.loadReturn({ id: returnId });
+
+    if (!returnRequest) {
+      throw new Error('Return not found');
+    }
+
+    return returnRequest;
+  }
+
+  /**
+   * Get returns with pagination
+   * @param {Object} options - { page, limit, status?, refund_status?, user_id? }
+   * @returns {Promise<Object>} Returns with pagination
+   */
+  static async getReturns(options = {}) {
+    const { page = 1, limit = 20, status, refund_status, user_id } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (refund_status) {
+      where.refund_status = refund_status;
+    }
+    if (user_id) {
+      where.user_id = user_id;
+    }
+
+    const { count, rows } = await ReturnRequest.findAndCountAll({
+      where,
+      include: [{ model: Order, as: 'order', attributes: ['id', 'order_number'] }],
+      order: [['created_at', 'DESC']],
+      limit,
+      offset
+    });
+
+    return {
+      returns: rows.map(returnRequest => returnRequest.getSummary()),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Load a return with its order number and lines
+   * @param {Object} where - Lookup condition
+   * @returns {Promise<ReturnRequest|null>} Return with items
+   */
+  static async loadReturn(where) {
+    return ReturnRequest.findOne({
+      where,
+      include: [
+        { model: Order, as: 'order', attributes: ['id', 'order_number'] },
+        {
+          model: ReturnItem,
+          as: 'items',
+          include: [{ model: OrderItem, as: 'orderItem' }]
+        }
+      ],
+      order: [[{ model: ReturnItem, as: 'items' }, 'id', 'ASC']]
+    });
+  }
+
+  /**
+   * Write a return workflow step to the audit log without failing the step itself
+   * @param {string} action - Audit action
+   * @param {ReturnRequest} returnRequest - Return request
+   * @param {number} actorUserId - User performing the step
+   * @param {Object} context - Audit context { request_id, ip_address, user_agent }
+   * @param {Object} meta - Step details
+   */
+  static async audit(action, returnRequest, actorUserId, context, meta = {}) {
+    try {
+      await AuditService.log(action, {
+        actor_user_id: actorUserId,
+        resource_type: 'RETURN_REQUEST',
+        resource_id: returnRequest.rma_number,
+        request_id: context.request_id || null,
+        ip_address: context.ip_address || null,
+        user_agent: context.user_agent || null,
+        meta: {
+          status: returnRequest.status,
+          refund_status: returnRequest.refund_status,
+          ...meta
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to audit return step:', {
+        error: error.message,
+        action,
+        rmaNumber: returnRequest.rma_number
+      });
+    }
+  }
+}
+
+module.exports = ReturnService;
@@ -1,44 +1,80 @@
 const { logger } = require('../middleware/errorHandler');
+const { roundAmount } = require('../config/currencies');
+const ShippingZoneService = require('./ShippingZoneService');
+const PackingService = require('./PackingService');
+const ExchangeRateService = require('./ExchangeRateService');
+const DeliveryDateService = require('./DeliveryDateService');
+const { getQuotingCarriers, withTimeout, CARRIER_TIMEOUT_MS } = require('./carriers');
 
 class ShippingService {
   /**
    * Calculate shipping cost for a given address and cart
+   * The cart is packed into parcels and each parcel is charged on its chargeable weight for the method's carrier.
+   * When carriers are configured, the cheapest carrier quote for the method replaces the table price; the
+   * table rate is used when none quotes in time. The rate's free shipping threshold and minimum charge apply
+   * either way. The rate's amounts are converted from its currency into the cart's. A method the address's zone
+   * has no active rate for, whose rate has no exchange rate into the cart's currency, or that cannot take the
+   * cart, comes back unavailable.
+   * Delivery dates count the carrier's transit days, or the rate's when the table price is used.
    * @param {Object} shippingAddress - Shipping address object
    * @param {Array} cartItems - Array of cart items
-   * @param {string} shippingMethod - Shipping method
+   * @param {string} shippingMethod - Shipping method code
    * @param {string} currency - Currency code
+   * @param {Date} now - Time the order would be placed, for delivery dates
    * @returns {Promise<Object>} Shipping calculation result
    */
-  static async calculateShipping(shippingAddress, cartItems, shippingMethod = 'standard', currency = 'INR') {
+  static async calculateShipping(shippingAddress, cartItems, shippingMethod = 'standard', currency = 'INR', now = new Date()) {
     try {
       this.validateShippingInputs(shippingAddress, cartItems, shippingMethod);
 
-      const totalWeight = this.calculateTotalWeight(cartItems);
+      const { zones, methods, boxes, calendars } = await ShippingZoneService.getShippingConfig();
+      const shippingZone = ShippingZoneService.resolveZone(zones, shippingAddress);
+      const method = methods.find(candidate => candidate.code === shippingMethod);
+      const rate = this.findRate(shippingZone, method);
+      const exchangeRate = await this.getRateConversion(rate, currency);
+      const parcels = PackingService.weighParcels(
+        PackingService.pack(cartItems, boxes),
+        method ? method.volumetric_divisor : null
+      );
       const totalValue = this.calculateTotalValue(cartItems);
-      const shippingZone = this.getShippingZone(shippingAddress.country);
-      
-      const baseRate = this.getBaseShippingRate(shippingZone, shippingMethod);
-      const weightRate = this.getWeightBasedRate(totalWeight, shippingZone, shippingMethod);
-      const valueRate = this.getValueBasedRate(totalValue, shippingZone, shippingMethod);
-      
-      const shippingCost = Math.max(baseRate, weightRate, valueRate);
-      const finalCost = this.applyShippingRules(shippingCost, totalValue, shippingZone, shippingMethod);
+      const isAvailable = exchangeRate !== null && method.accepts(this.getHeaviestParcelWeight(parcels), totalValue);
+
+      const quote = isAvailable
+        ? await this.getCarrierQuote(shippingMethod, shippingAddress, parcels, totalValue, currency)
+        : null;
+      const pricing = exchangeRate !== null
+        ? this.priceRate(rate, parcels, totalValue, quote, currency, exchangeRate)
+        : null;
+      const transitDays = quote ? quote.transit_days : (rate ? rate.getTransitDays() : null);
 
       const result = {
-        shipping_cost: Math.round(finalCost * 100) / 100,
+        shipping_cost: pricing ? roundAmount(pricing.final_cost, currency) : null,
         currency,
         shipping_method: shippingMethod,
-        shipping_zone: shippingZone,
-        weight: totalWeight,
+        shipping_zone: shippingZone ? shippingZone.code : null,
+        weight: this.sumWeights(parcels, 'actual_weight'),
+        chargeable_weight: this.sumWeights(parcels, 'chargeable_weight'),
         value: totalValue,
-        breakdown: {
-          base_rate: baseRate,
-          weight_rate: weightRate,
-          value_rate: valueRate,
-          final_cost: finalCost
-        },
-        estimated_delivery: this.getEstimatedDelivery(shippingZone, shippingMethod),
-        is_available: this.isShippingAvailable(shippingZone, shippingMethod)
+        parcels: parcels.map((parcel, index) => ({
+          ...parcel,
+          cost: pricing ? pricing.parcel_costs[index] : null
+        })),
+        breakdown: pricing ? {
+          base_rate: pricing.base_rate,
+          weight_rate: pricing.weight_rate,
+          value_rate: pricing.value_rate,
+          carrier_rate: pricing.carrier_rate,
+          final_cost: pricing.final_cost
+        } : null,
+        rate_source: quote ? 'carrier' : 'table',
+        carrier: quote ? quote.carrier : null,
+        carrier_service: quote ? quote.service : null,
+        transit_days: transitDays,
+        estimated_delivery: quote ? this.formatTransitDays(quote.transit_days) : (rate ? rate.estimated_delivery : null),
+        delivery_estimate: isAvailable
+          ? this.getEstimatedDelivery(method, transitDays, shippingAddress.country, calendars, now)
+          : null,
+        is_available: isAvailable
       };
 
       logger.info('Shipping calculated successfully', {
@@ -46,7 +82,9 @@ class ShippingService {
         shippingMethod,
         shippingCost: result.shipping_cost,
         currency,
-        weight: totalWeight
+        parcels: parcels.length,
+        chargeableWeight: result.chargeable_weight,
+        carrier: result.carrier
       });
 
       return result;
@@ -61,321 +99,300 @@ class ShippingService {
   }
 
   /**
-   * Get available shipping methods for an address
+   * Get available shipping methods for an address, with their delivery dates
+   * Carriers are asked to quote once for all methods; a method's dates use the transit days of the carrier
+   * quote checkout would pick, or the rate's.
    * @param {Object} shippingAddress - Shipping address
    * @param {Array} cartItems - Cart items
-   * @returns {Promise<Array>} Available shipping methods
+   * @param {string} currency - Currency code, for picking the cheapest carrier
+   * @param {Date} now - Time the order would be placed
+   * @returns {Promise<Array>} Available shipping methods, in display order
    */
-  static async getAvailableShippingMethods(shippingAddress, cartItems) {
-    const shippingZone = this.getShippingZone(shippingAddress.country);
-    const totalWeight = this.calculateTotalWeight(cartItems);
+  static async getAvailableShippingMethods(shippingAddress, cartItems, currency = 'INR', now = new Date()) {
+    const { zones, methods, boxes, calendars } = await ShippingZoneService.getShippingConfig();
+    const shippingZone = ShippingZoneService.resolveZone(zones, shippingAddress);
+    const packed = PackingService.pack(cartItems, boxes);
     const totalValue = this.calculateTotalValue(cartItems);
 
-    const methods = [
-      { code: 'standard', name: 'Standard Shipping', description: '5-7 business days' },
-      { code: 'express', name: 'Express Shipping', description: '2-3 business days' },
-      { code: 'overnight', name: 'Overnight Shipping', description: 'Next business day' },
-      { code: 'pickup', name: 'Store Pickup', description: 'Available at select locations' }
-    ];
-
-    return methods.filter(method => 
-      this.isShippingAvailable(shippingZone, method.code) &&
-      this.isMethodAvailableForWeight(method.code, totalWeight) &&
-      this.isMethodAvailableForValue(method.code, totalValue)
-    );
+    const candidates = await Promise.all(methods.map(async (method) => {
+      const rate = this.findRate(shippingZone, method);
+      return { method, rate, exchangeRate: await this.getRateConversion(rate, currency) };
+    }));
+
+    const available = candidates
+      .filter(({ method, exchangeRate }) => {
+        if (exchangeRate === null) {
+          return false;
+        }
+        const parcels = PackingService.weighParcels(packed, method.volumetric_divisor);
+        return method.accepts(this.getHeaviestParcelWeight(parcels), totalValue);
+      });
+
+    const quotes = available.length > 0
+      ? await this.getCarrierQuotes(shippingAddress, PackingService.weighParcels(packed, null), totalValue, currency)
+      : [];
+
+    return available.map(({ method, rate }) => {
+      const quote = this.pickCheapestQuote(quotes, method.code);
+      const transitDays = quote ? quote.transit_days : rate.getTransitDays();
+
+      return {
+        code: method.code,
+        name: method.name,
+        description: method.description,
+        estimated_delivery: quote ? this.formatTransitDays(quote.transit_days) : rate.estimated_delivery,
+        transit_days: transitDays,
+        delivery_estimate: this.getEstimatedDelivery(method, transitDays, shippingAddress.country, calendars, now)
+      };
+    });
   }
 
   /**
-   * Calculate total weight of cart items
-   * @param {Array} cartItems - Cart items
-   * @returns {number} Total weight in kg
+   * Get the dates an order ships and arrives by a method
+   * @param {ShippingMethod} method - Method, for its cutoff time and handling days
+   * @param {Object|null} transitDays - { min, max } business days in transit
+   * @param {string} country - Destination country
+   * @param {Array<BusinessCalendar>} calendars - Business calendars with their holidays
+   * @param {Date} now - Time the order is placed
+   * @returns {Object|null} { ships_on, earliest, latest } as YYYY-MM-DD; null when the transit time is unknown
    */
-  static calculateTotalWeight(cartItems) {
-    return cartItems.reduce((total, item) => {
-      const itemWeight = parseFloat(item.product?.weight) || 0.1; // Default 100g if no weight
-      return total + (itemWeight * item.qty);
-    }, 0);
+  static getEstimatedDelivery(method, transitDays, country, calendars, now = new Date()) {
+    if (!transitDays) {
+      return null;
+    }
+
+    return DeliveryDateService.estimate({ method, transitDays, country, calendars, now });
   }
 
   /**
-   * Calculate total value of cart items
-   * @param {Array} cartItems - Cart items
-   * @returns {number} Total value
+   * Get the shipping zone of an address
+   * @param {Object} shippingAddress - Address with country, state and postal_code
+   * @returns {Promise<ShippingZone|null>} Zone; null when no zone covers the address
    */
-  static calculateTotalValue(cartItems) {
-    return cartItems.reduce((total, item) => {
-      return total + (parseFloat(item.line_subtotal) || 0);
-    }, 0);
+  static async getShippingZone(shippingAddress) {
+    return ShippingZoneService.findZone(shippingAddress);
   }
 
   /**
-   * Get shipping zone based on country
-   * @param {string} country - Country code
-   * @returns {string} Shipping zone
+   * Find a zone's active rate for a method
+   * @param {ShippingZone|null} zone - Zone with its active rates
+   * @param {ShippingMethod|undefined} method - Active method
+   * @returns {ShippingRate|null} Rate, or null when the method is not offered in the zone
    */
-  static getShippingZone(country) {
-    const zones = {
-      'US': 'domestic',
-      'CA': 'domestic',
-      'GB': 'europe',
-      'DE': 'europe',
-      'FR': 'europe',
-      'IT': 'europe',
-      'ES': 'europe',
-      'NL': 'europe',
-      'IN': 'asia',
-      'AU': 'oceania',
-      'JP': 'asia',
-      'CN': 'asia',
-      'KR': 'asia',
-      'SG': 'asia',
-      'MY': 'asia',
-      'TH': 'asia',
-      'PH': 'asia',
-      'ID': 'asia',
-      'VN': 'asia',
-      'BR': 'south_america',
-      'MX': 'north_america'
-    };
+  static findRate(zone, method) {
+    if (!zone || !method) {
+      return null;
+    }
 
-    return zones[country] || 'international';
+    return (zone.rates || []).find(rate => String(rate.method_id) === String(method.id)) || null;
   }
 
   /**
-   * Get base shipping rate for zone and method
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {number} Base rate
+   * Get the exchange rate for pricing a rate in the cart's currency
+   * @param {ShippingRate|null} rate - Rate
+   * @param {string} currency - Cart currency
+   * @returns {Promise<number|null>} Units of the cart currency per unit of the rate's; null when there is no rate,
+   *   or no exchange rate from its currency
    */
-  static getBaseShippingRate(zone, method) {
-    const rates = {
-      domestic: {
-        standard: 5.99,
-        express: 12.99,
-        overnight: 24.99,
-        pickup: 0.00
-      },
-      europe: {
-        standard: 8.99,
-        express: 19.99,
-        overnight: 39.99,
-        pickup: 0.00
-      },
-      asia: {
-        standard: 6.99,
-        express: 15.99,
-        overnight: 29.99,
-        pickup: 0.00
-      },
-      oceania: {
-        standard: 9.99,
-        express: 22.99,
-        overnight: 44.99,
-        pickup: 0.00
-      },
-      north_america: {
-        standard: 7.99,
-        express: 16.99,
-        overnight: 32.99,
-        pickup: 0.00
-      },
-      south_america: {
-        standard: 11.99,
-        express: 24.99,
-        overnight: 49.99,
-        pickup: 0.00
-      },
-      international: {
-        standard: 15.99,
-        express: 34.99,
-        overnight: 69.99,
-        pickup: 0.00
-      }
-    };
+  static async getRateConversion(rate, currency) {
+    if (!rate) {
+      return null;
+    }
 
-    return rates[zone]?.[method] || 15.99;
+    try {
+      return await ExchangeRateService.getRate(rate.currency, currency);
+    } catch (error) {
+      logger.warn('Shipping rate skipped', { rateId: rate.id, currency: rate.currency, error: error.message });
+      return null;
+    }
   }
 
   /**
-   * Get weight-based shipping rate
-   * @param {number} weight - Total weight in kg
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {number} Weight-based rate
+   * Ask the configured carriers to quote a method and keep the cheapest quote
+   * @param {string} methodCode - Shipping method code
+   * @param {Object} shippingAddress - Shipping address
+   * @param {Array<Object>} parcels - Weighed parcels
+   * @param {number} value - Total value
+   * @param {string} currency - Currency to quote in
+   * @returns {Promise<Object|null>} { carrier, service, method, amount, parcel_amounts, transit_days } in the
+   *   cart's currency; null when no carrier quotes the method
    */
-  static getWeightBasedRate(weight, zone, method) {
-    const weightRates = {
-      domestic: { standard: 1.5, express: 2.5, overnight: 4.0, pickup: 0 },
-      europe: { standard: 2.0, express: 3.5, overnight: 6.0, pickup: 0 },
-      asia: { standard: 1.8, express: 3.0, overnight: 5.0, pickup: 0 },
-      oceania: { standard: 2.5, express: 4.0, overnight: 7.0, pickup: 0 },
-      north_america: { standard: 2.0, express: 3.5, overnight: 6.0, pickup: 0 },
-      south_america: { standard: 3.0, express: 5.0, overnight: 8.0, pickup: 0 },
-      international: { standard: 4.0, express: 6.0, overnight: 10.0, pickup: 0 }
-    };
-
-    const ratePerKg = weightRates[zone]?.[method] || 4.0;
-    return weight * ratePerKg;
+  static async getCarrierQuote(methodCode, shippingAddress, parcels, value, currency) {
+    const quotes = await this.getCarrierQuotes(shippingAddress, parcels, value, currency, methodCode);
+    return this.pickCheapestQuote(quotes, methodCode);
   }
 
   /**
-   * Get value-based shipping rate
+   * Ask the configured carriers to quote their services to an address
+   * Carriers that fail, answer after SHIPPING_CARRIER_TIMEOUT_MS, or quote in a currency with no exchange
+   * rate are left out.
+   * @param {Object} shippingAddress - Shipping address
+   * @param {Array<Object>} parcels - Weighed parcels
    * @param {number} value - Total value
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {number} Value-based rate
+   * @param {string} currency - Currency to quote in
+   * @param {string|null} methodCode - Method to quote; null for every method
+   * @returns {Promise<Array<Object>>} { carrier, service, method, amount, parcel_amounts, transit_days } in
+   *   the cart's currency
    */
-  static getValueBasedRate(value, zone, method) {
-    // Insurance and handling fees based on value
-    const valueRates = {
-      domestic: { standard: 0.02, express: 0.03, overnight: 0.04, pickup: 0 },
-      europe: { standard: 0.025, express: 0.035, overnight: 0.045, pickup: 0 },
-      asia: { standard: 0.02, express: 0.03, overnight: 0.04, pickup: 0 },
-      oceania: { standard: 0.03, express: 0.04, overnight: 0.05, pickup: 0 },
-      north_america: { standard: 0.025, express: 0.035, overnight: 0.045, pickup: 0 },
-      south_america: { standard: 0.035, express: 0.045, overnight: 0.055, pickup: 0 },
-      international: { standard: 0.04, express: 0.05, overnight: 0.06, pickup: 0 }
+  static async getCarrierQuotes(shippingAddress, parcels, value, currency, methodCode = null) {
+    const carriers = getQuotingCarriers();
+    if (carriers.length === 0) {
+      return [];
+    }
+
+    const request = {
+      method: methodCode,
+      ship_to: {
+        country: shippingAddress.country,
+        state: shippingAddress.state || null,
+        postal_code: shippingAddress.postal_code || null
+      },
+      parcels: parcels.map(({ length, width, height, actual_weight: actualWeight }) => ({
+        length,
+        width,
+        height,
+        actual_weight: actualWeight
+      })),
+      value,
+      currency
     };
 
-    const ratePercentage = valueRates[zone]?.[method] || 0.04;
-    return value * ratePercentage;
-  }
+    const results = await Promise.allSettled(carriers.map(carrier => withTimeout(
+      carrier.quote(request),
+      CARRIER_TIMEOUT_MS,
+      `Carrier ${carrier.name} did not quote within ${CARRIER_TIMEOUT_MS} ms`
+    )));
 
-  /**
-   * Apply shipping rules (free shipping thresholds, etc.)
-   * @param {number} cost - Calculated shipping cost
-   * @param {number} value - Total order value
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {number} Final shipping cost
-   */
-  static applyShippingRules(cost, value, zone, method) {
-    // Free shipping thresholds
-    const freeShippingThresholds = {
-      domestic: 50,
-      europe: 75,
-      asia: 60,
-      oceania: 80,
-      north_america: 55,
-      south_america: 90,
-      international: 100
-    };
+    const quotes = [];
+    for (const [index, result] of results.entries()) {
+      const carrier = carriers[index];
+
+      if (result.status === 'rejected') {
+        logger.warn('Carrier quote failed', { carrier: carrier.name, error: result.reason.message });
+        continue;
+      }
+
+      if (!result.value.success) {
+        continue;
+      }
 
-    const threshold = freeShippingThresholds[zone] || 100;
-    
-    // Free shipping for standard method if order value exceeds threshold
-    if (method === 'standard' && value >= threshold) {
-      return 0;
+      const offered = result.value.quotes.filter(candidate => !methodCode || candidate.method === methodCode);
+      for (const quote of offered) {
+        try {
+          const { rate } = await ExchangeRateService.convert(quote.amount, quote.currency, currency);
+          quotes.push({
+            carrier: carrier.name,
+            service: quote.service,
+            method: quote.method,
+            amount: roundAmount(quote.amount * rate, currency),
+            parcel_amounts: (quote.parcel_amounts || []).map(amount => roundAmount(amount * rate, currency)),
+            transit_days: quote.transit_days
+          });
+        } catch (error) {
+          logger.warn('Carrier quote skipped', { carrier: carrier.name, error: error.message });
+        }
+      }
     }
 
-    // Minimum shipping cost
-    const minShippingCost = method === 'pickup' ? 0 : 2.99;
-    return Math.max(cost, minShippingCost);
+    return quotes;
   }
 
   /**
-   * Get estimated delivery time
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {string} Estimated delivery
+   * Pick the cheapest carrier quote for a method
+   * @param {Array<Object>} quotes - Quotes from getCarrierQuotes
+   * @param {string} methodCode - Shipping method code
+   * @returns {Object|null} Quote, or null when no carrier quotes the method
    */
-  static getEstimatedDelivery(zone, method) {
-    const deliveryTimes = {
-      domestic: {
-        standard: '5-7 business days',
-        express: '2-3 business days',
-        overnight: 'Next business day',
-        pickup: 'Ready for pickup'
-      },
-      europe: {
-        standard: '7-10 business days',
-        express: '3-5 business days',
-        overnight: '1-2 business days',
-        pickup: 'Ready for pickup'
-      },
-      asia: {
-        standard: '6-8 business days',
-        express: '3-4 business days',
-        overnight: '1-2 business days',
-        pickup: 'Ready for pickup'
-      },
-      oceania: {
-        standard: '8-12 business days',
-        express: '4-6 business days',
-        overnight: '2-3 business days',
-        pickup: 'Ready for pickup'
-      },
-      north_america: {
-        standard: '7-10 business days',
-        express: '3-5 business days',
-        overnight: '1-2 business days',
-        pickup: 'Ready for pickup'
-      },
-      south_america: {
-        standard: '10-14 business days',
-        express: '5-7 business days',
-        overnight: '2-3 business days',
-        pickup: 'Ready for pickup'
-      },
-      international: {
-        standard: '12-18 business days',
-        express: '6-10 business days',
-        overnight: '3-5 business days',
-        pickup: 'Ready for pickup'
-      }
-    };
-
-    return deliveryTimes[zone]?.[method] || '12-18 business days';
+  static pickCheapestQuote(quotes, methodCode) {
+    return quotes
+      .filter(quote => quote.method === methodCode)
+      .reduce((cheapest, quote) => (!cheapest || quote.amount < cheapest.amount ? quote : cheapest), null);
   }
 
   /**
-   * Check if shipping is available for zone and method
-   * @param {string} zone - Shipping zone
-   * @param {string} method - Shipping method
-   * @returns {boolean} Is available
+   * Describe a transit time, e.g. "2-3 business days"
+   * @param {Object} transitDays - { min, max }
+   * @returns {string} Description
    */
-  static isShippingAvailable(zone, method) {
-    // Some methods may not be available in certain zones
-    const unavailableMethods = {
-      international: ['overnight'], // No overnight to international
-      south_america: ['overnight'] // Limited overnight to South America
-    };
+  static formatTransitDays({ min, max }) {
+    if (min === 1 && max === 1) {
+      return 'Next business day';
+    }
 
-    return !unavailableMethods[zone]?.includes(method);
+    return min === max ? `${min} business days` : `${min}-${max} business days`;
   }
 
   /**
-   * Check if method is available for weight
-   * @param {string} method - Shipping method
-   * @param {number} weight - Weight in kg
-   * @returns {boolean} Is available
+   * Price a cart's parcels at a rate
+   * Each parcel costs the larger of the base rate and the weight band charge for its chargeable weight.
+   * The shipment costs the larger of its parcels' total and the value band charge, or the carrier's quote
+   * when there is one; it is free from the rate's free shipping threshold, and otherwise at least the
+   * minimum charge. The rate's amounts are converted into the cart's currency before they are compared.
+   * @param {ShippingRate} rate - Rate with its bands
+   * @param {Array<Object>} parcels - Weighed parcels from PackingService.weighParcels
+   * @param {number} value - Total value, in the cart's currency
+   * @param {Object|null} quote - Carrier quote from getCarrierQuote, in the cart's currency
+   * @param {string} currency - Cart currency
+   * @param {number} exchangeRate - Units of the cart currency per unit of the rate's
+   * @returns {Object} { base_rate, weight_rate, value_rate, carrier_rate, parcel_costs, final_cost } in the
+   *   cart's currency
    */
-  static isMethodAvailableForWeight(method, weight) {
-    const weightLimits = {
-      standard: 30, // 30kg
-      express: 20,  // 20kg
-      overnight: 10, // 10kg
-      pickup: 50    // 50kg
+  static priceRate(rate, parcels, value, quote = null, currency = rate.currency, exchangeRate = 1) {
+    const convert = amount => roundAmount(amount * exchangeRate, currency);
+    const baseRate = convert(parseFloat(rate.base_rate));
+    const weightCharges = parcels.map(parcel => convert(rate.getBandCharge('weight', parcel.chargeable_weight)));
+    // Value bands are bounded in the rate's currency
+    const valueRate = convert(rate.getBandCharge('value', value / exchangeRate));
+    const parcelCosts = quote
+      ? parcels.map((parcel, index) => (quote.parcel_amounts[index] === undefined ? null : quote.parcel_amounts[index]))
+      : weightCharges.map(charge => Math.max(baseRate, charge));
+    const cost = quote
+      ? quote.amount
+      : Math.max(parcelCosts.reduce((sum, parcelCost) => sum + parcelCost, 0), valueRate);
+
+    const threshold = rate.free_shipping_threshold === null ? null : convert(parseFloat(rate.free_shipping_threshold));
+    const finalCost = threshold !== null && value >= threshold
+      ? 0
+      : Math.max(cost, convert(parseFloat(rate.min_charge)));
+
+    return {
+      base_rate: baseRate,
+      weight_rate: weightCharges.reduce((sum, charge) => sum + charge, 0),
+      value_rate: valueRate,
+      carrier_rate: quote ? quote.amount : null,
+      parcel_costs: parcelCosts,
+      final_cost: finalCost
     };
+  }
 
-    return weight <= (weightLimits[method] || 30);
+  /**
+   * Get the chargeable weight of the heaviest parcel
+   * @param {Array<Object>} parcels - Weighed parcels
+   * @returns {number} Weight in kg
+   */
+  static getHeaviestParcelWeight(parcels) {
+    return parcels.reduce((heaviest, parcel) => Math.max(heaviest, parcel.chargeable_weight), 0);
   }
 
   /**
-   * Check if method is available for value
-   * @param {string} method - Shipping method
-   * @param {number} value - Order value
-   * @returns {boolean} Is available
+   * Add up a weight of parcels
+   * @param {Array<Object>} parcels - Weighed parcels
+   * @param {string} field - 'actual_weight' or 'chargeable_weight'
+   * @returns {number} Weight in kg, rounded to grams
    */
-  static isMethodAvailableForValue(method, value) {
-    const valueLimits = {
-      standard: 10000, // $10,000
-      express: 5000,   // $5,000
-      overnight: 2000, // $2,000
-      pickup: 50000    // $50,000
-    };
+  static sumWeights(parcels, field) {
+    return Math.round(parcels.reduce((sum, parcel) => sum + parcel[field], 0) * 1000) / 1000;
+  }
 
-    return value <= (valueLimits[method] || 10000);
+  /**
+   * Calculate total value of cart items
+   * @param {Array} cartItems - Cart items
+   * @returns {number} Total value
+   */
+  static calculateTotalValue(cartItems) {
+    return cartItems.reduce((total, item) => {
+      return total + (parseFloat(item.line_subtotal) || 0);
+    }, 0);
   }
 
   /**
@@ -396,11 +413,6 @@ class ShippingService {
     if (!shippingMethod) {
       throw new Error('Shipping method is required');
     }
-
-    const validMethods = ['standard', 'express', 'overnight', 'pickup'];
-    if (!validMethods.includes(shippingMethod)) {
-      throw new Error('Invalid shipping method');
-    }
   }
 }
 
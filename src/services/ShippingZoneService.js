@@ -0,0 +1,919 @@
+const {
+  ShippingZone,
+  ShippingZoneRegion,
+  ShippingMethod,
+  ShippingRate,
+  ShippingRateBand,
+  ShippingBox,
+  BusinessCalendar,
+  PublicHoliday
+} = require('../database/models');
+const { logger } = require('../middleware/errorHandler');
+
+// How long each process keeps the zones, methods, rates, boxes and calendars before reading them again
+const CACHE_TTL_MS = (parseInt(process.env.SHIPPING_CACHE_TTL_SECONDS, 10) || 60) * 1000;
+
+// Active zones, methods, rates and boxes, and the business calendars; { loadedAt, promise } so concurrent
+// requests share one load
+let cache = null;
+
+// Rate fields an admin can set besides its bands
+const RATE_FIELDS = [
+  'currency', 'base_rate', 'min_charge', 'free_shipping_threshold', 'estimated_delivery', 'transit_days_min', 'transit_days_max',
+  'is_active'
+];
+
+// Method fields an admin can set
+const METHOD_FIELDS = [
+  'name', 'description', 'max_weight', 'max_value', 'volumetric_divisor', 'cutoff_time', 'handling_days', 'sort_order',
+  'is_active'
+];
+
+// Box fields an admin can set
+const BOX_FIELDS = ['name', 'inner_length', 'inner_width', 'inner_height', 'max_weight', 'tare_weight', 'is_active'];
+
+// Calendar fields an admin can set besides its holidays
+const CALENDAR_FIELDS = ['name', 'weekend_days'];
+
+class ShippingZoneService {
+  /**
+   * Get the active zones with their regions and rates, the active methods, the active boxes and the business
+   * calendars with their holidays
+   * Read from the cache; admin changes clear it in this process, other processes see them within the TTL.
+   * @returns {Promise<Object>} { zones, methods, boxes, calendars }
+   */
+  static async getShippingConfig() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+      return cache.promise;
+    }
+
+    const promise = this.loadShippingConfig();
+    cache = { loadedAt: Date.now(), promise };
+
+    try {
+      return await promise;
+    } catch (error) {
+      // Do not keep serving a failed load
+      if (cache && cache.promise === promise) {
+        cache = null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the active zones, methods, rates and boxes, and the business calendars, from the database
+   * @returns {Promise<Object>} { zones, methods, boxes, calendars }
+   */
+  static async loadShippingConfig() {
+    const [zones, methods, boxes, calendars] = await Promise.all([
+      ShippingZone.findAll({
+        where: { is_active: true },
+        include: [
+          { model: ShippingZoneRegion, as: 'regions' },
+          {
+            model: ShippingRate,
+            as: 'rates',
+            required: false,
+            where: { is_active: true },
+            include: [{ model: ShippingRateBand, as: 'bands' }]
+          }
+        ],
+        order: [['id', 'ASC']]
+      }),
+      ShippingMethod.findAll({
+        where: { is_active: true },
+        order: [['sort_order', 'ASC'], ['id', 'ASC']]
+      }),
+      ShippingBox.findAll({
+        where: { is_active: true }
+      }),
+      BusinessCalendar.findAll({
+        include: [{ model: PublicHoliday, as: 'holidays' }]
+      })
+    ]);
+
+    return { zones, methods, boxes, calendars };
+  }
+
+  /**
+   * Forget the cached zones, methods, rates, boxes and calendars
+   */
+  static invalidateCache() {
+    cache = null;
+  }
+
+  /**
+   * Find the zone of an address: the active zone with the narrowest region covering it, else the default zone
+   * A postal code range is narrower than a state, and a state narrower than a whole country.
+   * @param {Array<ShippingZone>} zones - Active zones with their regions
+   * @param {Object} address - Address with country, state and postal_code
+   * @returns {ShippingZone|null} Zone, or null when nothing covers the address and there is no default zone
+   */
+  static resolveZone(zones, address) {
+    let match = null;
+    let matchSpecificity = -1;
+
+    for (const zone of zones) {
+      for (const region of zone.regions || []) {
+        if (region.covers(address) && region.getSpecificity() > matchSpecificity) {
+          match = zone;
+          matchSpecificity = region.getSpecificity();
+        }
+      }
+    }
+
+    return match || zones.find(zone => zone.is_default) || null;
+  }
+
+  /**
+   * Find the zone of an address from the cached shipping data
+   * @param {Object} address - Address with country, state and postal_code
+   * @returns {Promise<ShippingZone|null>} Zone with its rates
+   */
+  static async findZone(address) {
+    const { zones } = await this.getShippingConfig();
+    return this.resolveZone(zones, address);
+  }
+
+  /**
+   * List shipping zones, active or not, with their regions
+   * @returns {Promise<Array>} Zone summaries
+   */
+  static async listZones() {
+    const zones = await ShippingZone.findAll({
+      include: [{ model: ShippingZoneRegion, as: 'regions' }],
+      order: [['code', 'ASC']]
+    });
+
+    return zones.map(zone => zone.getSummary());
+  }
+
+  /**
+   * Get a shipping zone with its regions and rates
+   * @param {number} id - Zone ID
+   * @returns {Promise<Object>} Zone summary
+   */
+  static async getZone(id) {
+    const zone = await ShippingZone.findByPk(id, {
+      include: [
+        { model: ShippingZoneRegion, as: 'regions' },
+        {
+          model: ShippingRate,
+          as: 'rates',
+          include: [
+            { model: ShippingMethod, as: 'method' },
+            { model: ShippingRateBand, as: 'bands' }
+          ]
+        }
+      ],
+      order: [
+        [{ model: ShippingRate, as: 'rates' }, 'id', 'ASC'],
+        [{ model: ShippingRate, as: 'rates' }, { model: ShippingRateBand, as: 'bands' }, 'min_amount', 'ASC']
+      ]
+    });
+
+    if (!zone) {
+      throw new Error('Shipping zone not found');
+    }
+
+    return zone.getSummary();
+  }
+
+  /**
+   * Create a shipping zone with its regions
+   * @param {Object} data - { code, name, is_default?, is_active?, regions? }
+   * @param {number} userId - Admin creating the zone
+   * @returns {Promise<Object>} Zone summary
+   */
+  static async createZone(data, userId) {
+    const transaction = await ShippingZone.sequelize.transaction();
+
+    try {
+      const existing = await ShippingZone.findOne({ where: { code: data.code }, transaction });
+      if (existing) {
+        throw new Error('Shipping zone already exists');
+      }
+
+      if (data.is_default) {
+        await ShippingZone.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      const zone = await ShippingZone.create({
+        code: data.code,
+        name: data.name,
+        is_default: !!data.is_default,
+        is_active: data.is_active !== undefined ? data.is_active : true
+      }, { transaction });
+
+      await this.replaceRegions(zone, data.regions || [], transaction);
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Shipping zone created', {
+        zoneId: zone.id,
+        code: zone.code,
+        userId
+      });
+
+      return this.getZone(zone.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a shipping zone; regions, when given, replace the zone's regions
+   * @param {number} id - Zone ID
+   * @param {Object} data - { name?, is_default?, is_active?, regions? }
+   * @param {number} userId - Admin updating the zone
+   * @returns {Promise<Object>} Zone summary
+   */
+  static async updateZone(id, data, userId) {
+    const transaction = await ShippingZone.sequelize.transaction();
+
+    try {
+      const zone = await ShippingZone.findByPk(id, { transaction });
+      if (!zone) {
+        throw new Error('Shipping zone not found');
+      }
+
+      // Another zone only stops being the default when this one takes over
+      if (data.is_default && !zone.is_default) {
+        await ShippingZone.update({ is_default: false }, { where: { is_default: true }, transaction });
+      }
+
+      const updates = {};
+      for (const field of ['name', 'is_default', 'is_active']) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+      await zone.update(updates, { transaction });
+
+      if (data.regions) {
+        await this.replaceRegions(zone, data.regions, transaction);
+      }
+
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Shipping zone updated', {
+        zoneId: zone.id,
+        userId
+      });
+
+      return this.getZone(zone.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a shipping zone with its regions and rates; the default zone cannot be deleted
+   * @param {number} id - Zone ID
+   * @param {number} userId - Admin deleting the zone
+   */
+  static async deleteZone(id, userId) {
+    const zone = await ShippingZone.findByPk(id);
+
+    if (!zone) {
+      throw new Error('Shipping zone not found');
+    }
+
+    if (zone.is_default) {
+      throw new Error('Default shipping zone cannot be deleted');
+    }
+
+    await zone.destroy();
+    this.invalidateCache();
+
+    logger.info('Shipping zone deleted', {
+      zoneId: zone.id,
+      code: zone.code,
+      userId
+    });
+  }
+
+  /**
+   * Replace the regions of a zone
+   * @param {ShippingZone} zone - Zone
+   * @param {Array<Object>} regions - { country, state?, postal_code_from?, postal_code_to? }
+   * @param {Object} transaction - Sequelize transaction
+   */
+  static async replaceRegions(zone, regions, transaction) {
+    await ShippingZoneRegion.destroy({ where: { zone_id: zone.id }, transaction });
+
+    for (const region of regions) {
+      await ShippingZoneRegion.create({
+        zone_id: zone.id,
+        country: region.country,
+        state: region.state || null,
+        postal_code_from: region.postal_code_from || null,
+        postal_code_to: region.postal_code_to || null
+      }, { transaction });
+    }
+  }
+
+  /**
+   * List shipping methods, active or not, in display order
+   * @returns {Promise<Array>} Method summaries
+   */
+  static async listMethods() {
+    const methods = await ShippingMethod.findAll({
+      order: [['sort_order', 'ASC'], ['id', 'ASC']]
+    });
+
+    return methods.map(method => method.getSummary());
+  }
+
+  /**
+   * Create a shipping method; it is offered in the zones that get a rate for it
+   * @param {Object} data - { code, name, description?, max_weight?, max_value?, volumetric_divisor?, cutoff_time?,
+   *   handling_days?, sort_order?, is_active? }
+   * @param {number} userId - Admin creating the method
+   * @returns {Promise<Object>} Method summary
+   */
+  static async createMethod(data, userId) {
+    const existing = await ShippingMethod.findOne({ where: { code: data.code } });
+    if (existing) {
+      throw new Error('Shipping method already exists');
+    }
+
+    const values = { code: data.code };
+    for (const field of METHOD_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    const method = await ShippingMethod.create(values);
+    this.invalidateCache();
+
+    logger.info('Shipping method created', {
+      methodId: method.id,
+      code: method.code,
+      userId
+    });
+
+    return method.getSummary();
+  }
+
+  /**
+   * Update a shipping method; the code cannot change
+   * @param {number} id - Method ID
+   * @param {Object} data - { name?, description?, max_weight?, max_value?, volumetric_divisor?, cutoff_time?,
+   *   handling_days?, sort_order?, is_active? }
+   * @param {number} userId - Admin updating the method
+   * @returns {Promise<Object>} Method summary
+   */
+  static async updateMethod(id, data, userId) {
+    const method = await ShippingMethod.findByPk(id);
+
+    if (!method) {
+      throw new Error('Shipping method not found');
+    }
+
+    const updates = {};
+    for (const field of METHOD_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    await method.update(updates);
+    this.invalidateCache();
+
+    logger.info('Shipping method updated', {
+      methodId: method.id,
+      userId
+    });
+
+    return method.getSummary();
+  }
+
+  /**
+   * Delete a shipping method that no zone has a rate for
+   * @param {number} id - Method ID
+   * @param {number} userId - Admin deleting the method
+   */
+  static async deleteMethod(id, userId) {
+    const method = await ShippingMethod.findByPk(id);
+
+    if (!method) {
+      throw new Error('Shipping method not found');
+    }
+
+    const rateCount = await ShippingRate.count({ where: { method_id: method.id } });
+    if (rateCount > 0) {
+      throw new Error('Shipping method has rates');
+    }
+
+    await method.destroy();
+    this.invalidateCache();
+
+    logger.info('Shipping method deleted', {
+      methodId: method.id,
+      code: method.code,
+      userId
+    });
+  }
+
+  /**
+   * List packing boxes, active or not, smallest first
+   * @returns {Promise<Array>} Box summaries
+   */
+  static async listBoxes() {
+    const boxes = await ShippingBox.findAll({
+      order: [['inner_length', 'ASC'], ['inner_width', 'ASC'], ['inner_height', 'ASC']]
+    });
+
+    return boxes.map(box => box.getSummary());
+  }
+
+  /**
+   * Create a packing box
+   * @param {Object} data - { code, name, inner_length, inner_width, inner_height, max_weight, tare_weight?, is_active? }
+   * @param {number} userId - Admin creating the box
+   * @returns {Promise<Object>} Box summary
+   */
+  static async createBox(data, userId) {
+    const existing = await ShippingBox.findOne({ where: { code: data.code } });
+    if (existing) {
+      throw new Error('Shipping box already exists');
+    }
+
+    const values = { code: data.code };
+    for (const field of BOX_FIELDS) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    const box = await ShippingBox.create(values);
+    this.invalidateCache();
+
+    logger.info('Shipping box created', {
+      boxId: box.id,
+      code: box.code,
+      userId
+    });
+
+    return box.getSummary();
+  }
+
+  /**
+   * Update a packing box; the code cannot change
+   * @param {number} id - Box ID
+   * @param {Object} data - { name?, inner_length?, inner_width?, inner_height?, max_weight?, tare_weight?, is_active? }
+   * @param {number} userId - Admin updating the box
+   * @returns {Promise<Object>} Box summary
+   */
+  static async updateBox(id, data, userId) {
+    const box = await ShippingBox.findByPk(id);
+
+    if (!box) {
+      throw new Error('Shipping box not found');
+    }
+
+    const updates = {};
+    for (const field of BOX_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    await box.update(updates);
+    this.invalidateCache();
+
+    logger.info('Shipping box updated', {
+      boxId: box.id,
+      userId
+    });
+
+    return box.getSummary();
+  }
+
+  /**
+   * Delete a packing box; checkouts keep the parcels they were priced on
+   * @param {number} id - Box ID
+   * @param {number} userId - Admin deleting the box
+   */
+  static async deleteBox(id, userId) {
+    const box = await ShippingBox.findByPk(id);
+
+    if (!box) {
+      throw new Error('Shipping box not found');
+    }
+
+    await box.destroy();
+    this.invalidateCache();
+
+    logger.info('Shipping box deleted', {
+      boxId: box.id,
+      code: box.code,
+      userId
+    });
+  }
+
+  /**
+   * List business calendars without their holidays
+   * @returns {Promise<Array>} Calendar summaries
+   */
+  static async listCalendars() {
+    const calendars = await BusinessCalendar.findAll({
+      order: [['country', 'ASC']]
+    });
+
+    return calendars.map(calendar => calendar.getSummary());
+  }
+
+  /**
+   * Get a business calendar with its holidays
+   * @param {number} id - Calendar ID
+   * @returns {Promise<Object>} Calendar summary
+   */
+  static async getCalendar(id) {
+    const calendar = await BusinessCalendar.findByPk(id, {
+      include: [{ model: PublicHoliday, as: 'holidays' }],
+      order: [[{ model: PublicHoliday, as: 'holidays' }, 'date', 'ASC']]
+    });
+
+    if (!calendar) {
+      throw new Error('Business calendar not found');
+    }
+
+    return calendar.getSummary();
+  }
+
+  /**
+   * Create a country's business calendar with its holidays
+   * @param {Object} data - { country, name, weekend_days?, holidays? }
+   * @param {number} userId - Admin creating the calendar
+   * @returns {Promise<Object>} Calendar summary
+   */
+  static async createCalendar(data, userId) {
+    const transaction = await BusinessCalendar.sequelize.transaction();
+
+    try {
+      const existing = await BusinessCalendar.findOne({ where: { country: data.country }, transaction });
+      if (existing) {
+        throw new Error('Business calendar already exists');
+      }
+
+      const values = { country: data.country };
+      for (const field of CALENDAR_FIELDS) {
+        if (data[field] !== undefined) {
+          values[field] = data[field];
+        }
+      }
+
+      const calendar = await BusinessCalendar.create(values, { transaction });
+      await this.upsertHolidays(calendar, data.holidays || [], transaction);
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Business calendar created', {
+        calendarId: calendar.id,
+        country: calendar.country,
+        userId
+      });
+
+      return this.getCalendar(calendar.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a business calendar; the country cannot change
+   * @param {number} id - Calendar ID
+   * @param {Object} data - { name?, weekend_days? }
+   * @param {number} userId - Admin updating the calendar
+   * @returns {Promise<Object>} Calendar summary
+   */
+  static async updateCalendar(id, data, userId) {
+    const calendar = await BusinessCalendar.findByPk(id);
+
+    if (!calendar) {
+      throw new Error('Business calendar not found');
+    }
+
+    const updates = {};
+    for (const field of CALENDAR_FIELDS) {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    }
+
+    await calendar.update(updates);
+    this.invalidateCache();
+
+    logger.info('Business calendar updated', {
+      calendarId: calendar.id,
+      userId
+    });
+
+    return this.getCalendar(calendar.id);
+  }
+
+  /**
+   * Delete a business calendar with its holidays; the country falls back to a Saturday and Sunday weekend
+   * @param {number} id - Calendar ID
+   * @param {number} userId - Admin deleting the calendar
+   */
+  static async deleteCalendar(id, userId) {
+    const calendar = await BusinessCalendar.findByPk(id);
+
+    if (!calendar) {
+      throw new Error('Business calendar not found');
+    }
+
+    await calendar.destroy();
+    this.invalidateCache();
+
+    logger.info('Business calendar deleted', {
+      calendarId: calendar.id,
+      country: calendar.country,
+      userId
+    });
+  }
+
+  /**
+   * Add public holidays to a calendar; a holiday on a date the calendar already has renames it
+   * @param {number} id - Calendar ID
+   * @param {Array<Object>} holidays - { date, name }
+   * @param {number} userId - Admin adding the holidays
+   * @returns {Promise<Object>} Calendar summary
+   */
+  static async addHolidays(id, holidays, userId) {
+    const transaction = await BusinessCalendar.sequelize.transaction();
+
+    try {
+      const calendar = await BusinessCalendar.findByPk(id, { transaction });
+      if (!calendar) {
+        throw new Error('Business calendar not found');
+      }
+
+      await this.upsertHolidays(calendar, holidays, transaction);
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Public holidays added', {
+        calendarId: calendar.id,
+        count: holidays.length,
+        userId
+      });
+
+      return this.getCalendar(calendar.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a public holiday from a calendar
+   * @param {number} calendarId - Calendar ID
+   * @param {number} holidayId - Holiday ID
+   * @param {number} userId - Admin removing the holiday
+   */
+  static async deleteHoliday(calendarId, holidayId, userId) {
+    const holiday = await PublicHoliday.findOne({
+      where: { id: holidayId, calendar_id: calendarId }
+    });
+
+    if (!holiday) {
+      throw new Error('Public holiday not found');
+    }
+
+    await holiday.destroy();
+    this.invalidateCache();
+
+    logger.info('Public holiday deleted', {
+      calendarId: holiday.calendar_id,
+      holidayId: holiday.id,
+      date: holiday.date,
+      userId
+    });
+  }
+
+  /**
+   * Add holidays to a calendar, renaming those on dates it already has
+   * @param {BusinessCalendar} calendar - Calendar
+   * @param {Array<Object>} holidays - { date, name }
+   * @param {Object} transaction - Sequelize transaction
+   */
+  static async upsertHolidays(calendar, holidays, transaction) {
+    for (const holiday of holidays) {
+      const existing = await PublicHoliday.findOne({
+        where: { calendar_id: calendar.id, date: holiday.date },
+        transaction
+      });
+
+      if (existing) {
+        await existing.update({ name: holiday.name }, { transaction });
+      } else {
+        await PublicHoliday.create({
+          calendar_id: calendar.id,
+          date: holiday.date,
+          name: holiday.name
+        }, { transaction });
+      }
+    }
+  }
+
+  /**
+   * Offer a method in a zone at a rate
+   * @param {Object} data - { zone_id, method_id, currency?, base_rate, min_charge?, free_shipping_threshold?, estimated_delivery?,
+   *   transit_days_min?, transit_days_max?, is_active?, bands? }
+   * @param {number} userId - Admin creating the rate
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async createRate(data, userId) {
+    this.assertBandsDoNotOverlap(data.bands || []);
+
+    const transaction = await ShippingRate.sequelize.transaction();
+
+    try {
+      const zone = await ShippingZone.findByPk(data.zone_id, { transaction });
+      if (!zone) {
+        throw new Error('Shipping zone not found');
+      }
+
+      const method = await ShippingMethod.findByPk(data.method_id, { transaction });
+      if (!method) {
+        throw new Error('Shipping method not found');
+      }
+
+      const existing = await ShippingRate.findOne({
+        where: { zone_id: zone.id, method_id: method.id },
+        transaction
+      });
+      if (existing) {
+        throw new Error('Shipping rate already exists');
+      }
+
+      const values = { zone_id: zone.id, method_id: method.id };
+      for (const field of RATE_FIELDS) {
+        if (data[field] !== undefined) {
+          values[field] = data[field];
+        }
+      }
+
+      const rate = await ShippingRate.create(values, { transaction });
+      await this.replaceBands(rate, data.bands || [], transaction);
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Shipping rate created', {
+        rateId: rate.id,
+        zoneId: zone.id,
+        methodId: method.id,
+        userId
+      });
+
+      return this.getRate(rate.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Update a rate; bands, when given, replace the rate's bands
+   * @param {number} id - Rate ID
+   * @param {Object} data - { currency?, base_rate?, min_charge?, free_shipping_threshold?, estimated_delivery?, transit_days_min?,
+   *   transit_days_max?, is_active?, bands? }
+   * @param {number} userId - Admin updating the rate
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async updateRate(id, data, userId) {
+    if (data.bands) {
+      this.assertBandsDoNotOverlap(data.bands);
+    }
+
+    const transaction = await ShippingRate.sequelize.transaction();
+
+    try {
+      const rate = await ShippingRate.findByPk(id, { transaction });
+      if (!rate) {
+        throw new Error('Shipping rate not found');
+      }
+
+      const updates = {};
+      for (const field of RATE_FIELDS) {
+        if (data[field] !== undefined) {
+          updates[field] = data[field];
+        }
+      }
+      await rate.update(updates, { transaction });
+
+      if (data.bands) {
+        await this.replaceBands(rate, data.bands, transaction);
+      }
+
+      await transaction.commit();
+      this.invalidateCache();
+
+      logger.info('Shipping rate updated', {
+        rateId: rate.id,
+        userId
+      });
+
+      return this.getRate(rate.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop offering a method in a zone
+   * @param {number} id - Rate ID
+   * @param {number} userId - Admin deleting the rate
+   */
+  static async deleteRate(id, userId) {
+    const rate = await ShippingRate.findByPk(id);
+
+    if (!rate) {
+      throw new Error('Shipping rate not found');
+    }
+
+    await rate.destroy();
+    this.invalidateCache();
+
+    logger.info('Shipping rate deleted', {
+      rateId: rate.id,
+      zoneId: rate.zone_id,
+      methodId: rate.method_id,
+      userId
+    });
+  }
+
+  /**
+   * Get a rate with its method and bands
+   * @param {number} id - Rate ID
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async getRate(id) {
+    const rate = await ShippingRate.findByPk(id, {
+      include: [
+        { model: ShippingMethod, as: 'method' },
+        { model: ShippingRateBand, as: 'bands' }
+      ],
+      order: [[{ model: ShippingRateBand, as: 'bands' }, 'min_amount', 'ASC']]
+    });
+
+    if (!rate) {
+      throw new Error('Shipping rate not found');
+    }
+
+    return rate.getSummary();
+  }
+
+  /**
+   * Replace the bands of a rate
+   * @param {ShippingRate} rate - Rate
+   * @param {Array<Object>} bands - { basis, min_amount, max_amount?, flat_amount?, unit_rate? }
+   * @param {Object} transaction - Sequelize transaction
+   */
+  static async replaceBands(rate, bands, transaction) {
+    await ShippingRateBand.destroy({ where: { rate_id: rate.id }, transaction });
+
+    for (const band of bands) {
+      await ShippingRateBand.create({
+        rate_id: rate.id,
+        basis: band.basis,
+        min_amount: band.min_amount,
+        max_amount: band.max_amount === undefined ? null : band.max_amount,
+        flat_amount: band.flat_amount || 0,
+        unit_rate: band.unit_rate || 0
+      }, { transaction });
+    }
+  }
+
+  /**
+   * Check that no two bands of the same basis cover the same weight or value
+   * @param {Array<Object>} bands - { basis, min_amount, max_amount? }
+   */
+  static assertBandsDoNotOverlap(bands) {
+    for (const basis of ['weight', 'value']) {
+      const sorted = bands
+        .filter(band => band.basis === basis)
+        .sort((a, b) => a.min_amount - b.min_amount);
+
+      for (let i = 1; i < sorted.length; i++) {
+        const previousMax = sorted[i - 1].max_amount;
+        if (previousMax === null || previousMax === undefined || previousMax > sorted[i].min_amount) {
+          throw new Error('Shipping rate bands overlap');
+        }
+      }
+    }
+  }
+}
+
+module.exports = ShippingZoneService;
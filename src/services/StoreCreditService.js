@@ -0,0 +1,134 @@
+const { StoreCreditWallet, BalanceLedgerEntry, Order, User } = require('../database/models');
+const { roundAmount } = require('../config/currencies');
+const { logger } = require('../middleware/errorHandler');
+
+// Ledger entries shown with each wallet
+const RECENT_ENTRIES_LIMIT = 20;
+
+class StoreCreditService {
+  /**
+   * Grant store credit to a customer, e.g. goodwill on a return
+   * @param {number} userId - Customer receiving the credit
+   * @param {Object} data - { amount, currency, note, order_number? }
+   * @param {number} actorUserId - Staff member granting it
+   * @returns {Promise<Object>} { wallet, entry }
+   */
+  static async grantCredit(userId, data, actorUserId) {
+    const transaction = await StoreCreditWallet.sequelize.transaction();
+
+    try {
+      const user = await User.findByPk(userId, {
+        attributes: ['id'],
+        transaction
+      });
+
+      if (!user) {
+        throw new Error('User not found');
+      }
+
+      let orderId = null;
+      if (data.order_number) {
+        const order = await Order.findOne({
+          where: { order_number: data.order_number },
+          attributes: ['id', 'user_id'],
+          transaction
+        });
+
+        if (!order || String(order.user_id) !== String(userId)) {
+          throw new Error('Order not found');
+        }
+        orderId = order.id;
+      }
+
+      const amount = roundAmount(data.amount, data.currency);
+      const wallet = await this.findOrCreateWallet(userId, data.currency, transaction);
+      const balanceAfter = roundAmount(parseFloat(wallet.balance) + amount, data.currency);
+
+      await wallet.update({ balance: balanceAfter }, { transaction });
+
+      const entry = await BalanceLedgerEntry.create({
+        wallet_id: wallet.id,
+        entry_type: 'grant',
+        amount,
+        balance_after: balanceAfter,
+        currency: wallet.currency,
+        order_id: orderId,
+        actor_user_id: actorUserId,
+        note: data.note
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info('Store credit granted', {
+        userId,
+        walletId: wallet.id,
+        currency: wallet.currency,
+        amount,
+        actorUserId
+      });
+
+      return {
+        wallet: wallet.getSummary(),
+        entry: entry.getSummary()
+      };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Find a customer's wallet in a currency, locked for a balance change, creating it if needed
+   * @param {number} userId - Customer
+   * @param {string} currency - Wallet currency
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<StoreCreditWallet>} Locked wallet
+   */
+  static async findOrCreateWallet(userId, currency, transaction) {
+    const wallet = await StoreCreditWallet.findOne({
+      where: { user_id: userId, currency },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (wallet) {
+      return wallet;
+    }
+
+    return StoreCreditWallet.create({
+      user_id: userId,
+      currency,
+      balance: 0
+    }, { transaction });
+  }
+
+  /**
+   * Get a customer's wallets, one per currency, with their recent ledger entries
+   * @param {number} userId - Customer
+   * @returns {Promise<Object>} { wallets }
+   */
+  static async getWallets(userId) {
+    const wallets = await StoreCreditWallet.findAll({
+      where: { user_id: userId },
+      order: [['currency', 'ASC']]
+    });
+
+    const result = [];
+    for (const wallet of wallets) {
+      const entries = await BalanceLedgerEntry.findAll({
+        where: { wallet_id: wallet.id },
+        order: [['id', 'DESC']],
+        limit: RECENT_ENTRIES_LIMIT
+      });
+
+      result.push({
+        ...wallet.getSummary(),
+        recent_entries: entries.map(entry => entry.getSummary())
+      });
+    }
+
+    return { wallets: result };
+  }
+}
+
+module.exports = StoreCreditService;
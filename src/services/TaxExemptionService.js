@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const path = require('path');
+const { Op } = require('sequelize');
+const { TaxExemption, TaxJurisdiction, User } = require('../database/models');
+const BunnyCDNService = require('./BunnyCDNService');
+const { logger } = require('../middleware/errorHandler');
+
+// Storage folder of uploaded certificates
+const CERTIFICATE_FOLDER = 'tax-exemptions';
+
+class TaxExemptionService {
+  /**
+   * List a customer's tax exemptions, newest first
+   * @param {number} userId - Customer
+   * @returns {Promise<Array>} Exemption summaries
+   */
+  static async listForUser(userId) {
+    const exemptions = await TaxExemption.findAll({
+      where: { user_id: userId },
+      include: [{ model: TaxJurisdiction, as: 'jurisdiction' }],
+      order: [['created_at', 'DESC']]
+    });
+
+    return exemptions.map(exemption => exemption.getSummary());
+  }
+
+  /**
+   * Submit a tax ID or exemption certificate for Finance to review
+   * @param {number} userId - Customer
+   * @param {Object} data - { country, state?, tax_id?, certificate_number? }
+   * @param {Object|null} file - Uploaded certificate from multer ({ buffer, originalname, mimetype })
+   * @returns {Promise<Object>} Exemption summary
+   */
+  static async submit(userId, data, file = null) {
+    if (!file && !data.tax_id) {
+      throw new Error('A tax ID or certificate is required');
+    }
+
+    let certificateKey = null;
+    if (file) {
+      const extension = path.extname(file.originalname || '').toLowerCase() || '.pdf';
+      certificateKey = `${CERTIFICATE_FOLDER}/${userId}/${crypto.randomUUID()}${extension}`;
+      await BunnyCDNService.uploadFile(file.buffer, certificateKey, file.mimetype);
+    }
+
+    const exemption = await TaxExemption.create({
+      user_id: userId,
+      country: data.country,
+      state: data.state || null,
+      tax_id: data.tax_id || null,
+      certificate_number: data.certificate_number || null,
+      certificate_key: certificateKey,
+      certificate_filename: file ? file.originalname : null,
+      certificate_content_type: file ? file.mimetype : null,
+      status: 'pending'
+    });
+
+    logger.info('Tax exemption submitted', {
+      exemptionId: exemption.id,
+      userId,
+      country: exemption.country,
+      state: exemption.state
+    });
+
+    return exemption.getSummary();
+  }
+
+  /**
+   * Get one of a customer's tax exemptions
+   * @param {number} userId - Customer
+   * @param {number} id - Exemption ID
+   * @returns {Promise<TaxExemption>} Exemption
+   */
+  static async getForUser(userId, id) {
+    const exemption = await TaxExemption.findOne({
+      where: { id, user_id: userId },
+      include: [{ model: TaxJurisdiction, as: 'jurisdiction' }]
+    });
+
+    if (!exemption) {
+      throw new Error('Tax exemption not found');
+    }
+
+    return exemption;
+  }
+
+  /**
+   * Get the certificate file of an exemption
+   * @param {TaxExemption} exemption - Exemption
+   * @returns {Promise<Object>} { buffer, filename, content_type }
+   */
+  static async getCertificate(exemption) {
+    if (!exemption.certificate_key) {
+      throw new Error('Tax exemption has no certificate');
+    }
+
+    const buffer = await BunnyCDNService.downloadFile(exemption.certificate_key);
+
+    return {
+      buffer,
+      filename: exemption.certificate_filename || path.basename(exemption.certificate_key),
+      content_type: exemption.certificate_content_type || 'application/octet-stream'
+    };
+  }
+
+  /**
+   * Get the exemptions that waive tax for a customer's address at a moment
+   * An exemption covers an address in its jurisdiction: a country-wide one covers every state of the country.
+   * @param {number|null} userId - Customer; guests have no exemptions
+   * @param {Object} address - Shipping address with country and state
+   * @param {Date} at - Moment the exemption must be in effect
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Array<TaxExemption>>} Exemptions in effect, with their jurisdiction
+   */
+  static async findForAddress(userId, address, at = new Date(), transaction = null) {
+    if (!userId || !address || !address.country) {
+      return [];
+    }
+
+    return TaxExemption.findAll({
+      where: {
+        user_id: userId,
+        status: 'approved',
+        expires_at: { [Op.gt]: at }
+      },
+      include: [
+        {
+          model: TaxJurisdiction,
+          as: 'jurisdiction',
+          required: true,
+          where: {
+            country: address.country,
+            state: address.state ? { [Op.or]: [null, address.state] } : null
+          }
+        }
+      ],
+      order: [['id', 'ASC']],
+      transaction
+    });
+  }
+
+  /**
+   * Get tax exemptions with pagination (Finance)
+   * @param {Object} options - { page, limit, status?, user_id? }
+   * @returns {Promise<Object>} Exemptions with pagination
+   */
+  static async getExemptions(options = {}) {
+    const { page = 1, limit = 20, status, user_id: userId } = options;
+    const offset = (page - 1) * limit;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (userId) {
+      where.user_id = userId;
+    }
+
+    const { count, rows } = await TaxExemption.findAndCountAll({
+      where,
+      include: [
+        { model: TaxJurisdiction, as: 'jurisdiction' },
+        { model: User, as: 'user', attributes: ['id', 'email', 'full_name'] }
+      ],
+      // Oldest waiting first, so the review queue is worked in order
+      order: [['created_at', 'ASC']],
+      limit,
+      offset
+    });
+
+    return {
+      exemptions: rows.map(exemption => this.getStaffSummary(exemption)),
+      pagination: {
+        total: count,
+        page,
+        limit,
+        totalPages: Math.ceil(count / limit),
+        hasNextPage: page < Math.ceil(count / limit),
+        hasPrevPage: page > 1
+      }
+    };
+  }
+
+  /**
+   * Get a tax exemption (Finance)
+   * @param {number} id - Exemption ID
+   * @returns {Promise<TaxExemption>} Exemption with its customer and jurisdiction
+   */
+  static async getExemption(id) {
+    const exemption = await TaxExemption.findByPk(id, {
+      include: [
+        { model: TaxJurisdiction, as: 'jurisdiction' },
+        { model: User, as: 'user', attributes: ['id', 'email', 'full_name'] }
+      ]
+    });
+
+    if (!exemption) {
+      throw new Error('Tax exemption not found');
+    }
+
+    return exemption;
+  }
+
+  /**
+   * Approve a pending exemption for a jurisdiction until an expiry date
+   * @param {number} id - Exemption ID
+   * @param {Object} data - { jurisdiction_id, expires_at, note? }
+   * @param {number} reviewerId - Finance staff member
+   * @returns {Promise<Object>} Exemption summary
+   */
+  static async approve(id, data, reviewerId) {
+    const exemption = await this.getExemption(id);
+
+    if (exemption.status !== 'pending') {
+      throw new Error('Tax exemption has already been reviewed');
+    }
+
+    const jurisdiction = await TaxJurisdiction.findByPk(data.jurisdiction_id);
+    if (!jurisdiction) {
+      throw new Error('Tax jurisdiction not found');
+    }
+
+    if (jurisdiction.country !== exemption.country) {
+      throw new Error('Tax jurisdiction is not in the exemption country');
+    }
+
+    await exemption.update({
+      status: 'approved',
+      jurisdiction_id: jurisdiction.id,
+      expires_at: data.expires_at,
+      reviewed_by: reviewerId,
+      reviewed_at: new Date(),
+      review_note: data.note || null
+    });
+    exemption.jurisdiction = jurisdiction;
+
+    logger.info('Tax exemption approved', {
+      exemptionId: exemption.id,
+      userId: exemption.user_id,
+      jurisdictionId: jurisdiction.id,
+      expiresAt: exemption.expires_at,
+      reviewerId
+    });
+
+    return this.getStaffSummary(exemption);
+  }
+
+  /**
+   * Reject a pending exemption
+   * @param {number} id - Exemption ID
+   * @param {Object} data - { note }
+   * @param {number} reviewerId - Finance staff member
+   * @returns {Promise<Object>} Exemption summary
+   */
+  static async reject(id, data, reviewerId) {
+    const exemption = await this.getExemption(id);
+
+    if (exemption.status !== 'pending') {
+      throw new Error('Tax exemption has already been reviewed');
+    }
+
+    await exemption.update({
+      status: 'rejected',
+      reviewed_by: reviewerId,
+      reviewed_at: new Date(),
+      review_note: data.note
+    });
+
+    logger.info('Tax exemption rejected', {
+      exemptionId: exemption.id,
+      userId: exemption.user_id,
+      reviewerId
+    });
+
+    return this.getStaffSummary(exemption);
+  }
+
+  /**
+   * Revoke an approved exemption; checkouts already priced with it keep it
+   * @param {number} id - Exemption ID
+   * @param {Object} data - { note }
+   * @param {number} reviewerId - Finance staff member
+   * @returns {Promise<Object>} Exemption summary
+   */
+  static async revoke(id, data, reviewerId) {
+    const exemption = await this.getExemption(id);
+
+    if (exemption.status !== 'approved') {
+      throw new Error('Tax exemption is not approved');
+    }
+
+    await exemption.update({
+      status: 'revoked',
+      reviewed_by: reviewerId,
+      reviewed_at: new Date(),
+      review_note: data.note
+    });
+
+    logger.info('Tax exemption revoked', {
+      exemptionId: exemption.id,
+      userId: exemption.user_id,
+      reviewerId
+    });
+
+    return this.getStaffSummary(exemption);
+  }
+
+  /**
+   * Get exemption summary for Finance, with the customer it belongs to
+   * @param {TaxExemption} exemption - Exemption with its user loaded
+   * @returns {Object} Exemption summary
+   */
+  static getStaffSummary(exemption) {
+    return {
+      ...exemption.getSummary(),
+      customer: exemption.user
+        ? { id: exemption.user.id, email: exemption.user.email, full_name: exemption.user.full_name }
+        : null,
+      reviewed_by: exemption.reviewed_by
+    };
+  }
+}
+
+module.exports = TaxExemptionService;
@@ -0,0 +1,790 @@
+const Joi = require('joi');
+const { Op } = require('sequelize');
+const { TaxJurisdiction, TaxRate, TaxClass, TaxExemption, Product, Category, OrderItem } = require('../database/models');
+const { ADDRESS_COUNTRIES } = require('../config/addresses');
+const { logger } = require('../middleware/errorHandler');
+
+// Columns of a tax rate import, in order; jurisdiction_name is only used for new jurisdictions
+const IMPORT_COLUMNS = ['country', 'state', 'jurisdiction_name', 'tax_class', 'name', 'rate', 'effective_from', 'effective_to'];
+
+// Columns an import may leave out
+const OPTIONAL_IMPORT_COLUMNS = ['jurisdiction_name', 'tax_class', 'effective_to'];
+
+// Code of the standard rate in imports and breakdowns; it has no tax class row
+const STANDARD_TAX_CLASS = 'standard';
+
+// Largest import accepted in one request
+const MAX_IMPORT_ROWS = 5000;
+
+// One row of a tax rate import
+const importRowSchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).required(),
+  state: Joi.string().trim().uppercase().max(10).allow('').optional(),
+  jurisdiction_name: Joi.string().trim().max(120).allow('').optional(),
+  tax_class: Joi.string().trim().lowercase().max(40).allow('').optional(),
+  name: Joi.string().trim().min(1).max(60).required(),
+  rate: Joi.number().min(0).max(1).required(),
+  effective_from: Joi.date().iso().required(),
+  effective_to: Joi.date().iso().greater(Joi.ref('effective_from')).allow('').optional()
+});
+
+class TaxRateService {
+  /**
+   * Get the country-wide and state rates, of every tax class, that applied to an address at a moment
+   * Pick the rate for a line with pickRate.
+   * @param {string} country - Country code
+   * @param {string|null} state - State or province code
+   * @param {Date} at - Moment the rates must have been in effect
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Object>} { federal, state } each an array of TaxRate
+   */
+  static async getRatesInEffect(country, state, at = new Date(), transaction = null) {
+    const jurisdictions = await TaxJurisdiction.findAll({
+      where: {
+        country,
+        state: state ? { [Op.or]: [null, state] } : null
+      },
+      include: [
+        {
+          model: TaxRate,
+          as: 'rates',
+          required: false,
+          where: {
+            effective_from: { [Op.lte]: at },
+            [Op.or]: [
+              { effective_to: null },
+              { effective_to: { [Op.gt]: at } }
+            ]
+          }
+        }
+      ],
+      transaction
+    });
+
+    const ratesOf = (jurisdiction) => (jurisdiction ? jurisdiction.rates : []);
+
+    return {
+      federal: ratesOf(jurisdictions.find(jurisdiction => jurisdiction.isCountryWide())),
+      state: ratesOf(jurisdictions.find(jurisdiction => !jurisdiction.isCountryWide()))
+    };
+  }
+
+  /**
+   * Pick the rate for a tax class from a jurisdiction's rates in effect
+   * A class without a rate of its own in the jurisdiction pays the standard rate.
+   * @param {Array<TaxRate>} rates - Rates in effect, from getRatesInEffect
+   * @param {number|null} taxClassId - Tax class of the line; null for the standard rate
+   * @returns {TaxRate|null} Rate to charge, or null when the jurisdiction has none
+   */
+  static pickRate(rates, taxClassId = null) {
+    // Periods cannot overlap, but if they ever do the most recent start wins
+    const latest = (matching) => matching
+      .sort((a, b) => new Date(b.effective_from) - new Date(a.effective_from))[0] || null;
+
+    if (taxClassId) {
+      const classRate = latest(rates.filter(rate => String(rate.tax_class_id) === String(taxClassId)));
+      if (classRate) {
+        return classRate;
+      }
+    }
+
+    return latest(rates.filter(rate => !rate.tax_class_id));
+  }
+
+  /**
+   * Get the tax class of each product: its own, else its category's
+   * @param {Array<number>} productIds - Product IDs
+   * @param {Object} transaction - Optional Sequelize transaction
+   * @returns {Promise<Map>} Product ID to TaxClass; products on the standard rate are left out
+   */
+  static async getProductTaxClasses(productIds, transaction = null) {
+    const ids = [...new Set(productIds.filter(Boolean))];
+    if (ids.length === 0) {
+      return new Map();
+    }
+
+    const products = await Product.findAll({
+      where: { id: ids },
+      attributes: ['id', 'tax_class_id', 'category_id'],
+      include: [
+        { model: TaxClass, as: 'taxClass' },
+        {
+          model: Category,
+          as: 'category',
+          attributes: ['id', 'tax_class_id'],
+          include: [{ model: TaxClass, as: 'taxClass' }]
+        }
+      ],
+      // Products deleted since they were added to a cart are still taxed by their class
+      paranoid: false,
+      transaction
+    });
+
+    const taxClasses = new Map();
+    for (const product of products) {
+      const taxClass = product.taxClass || (product.category && product.category.taxClass);
+      if (taxClass) {
+        taxClasses.set(product.id, taxClass);
+      }
+    }
+
+    return taxClasses;
+  }
+
+  /**
+   * List tax classes
+   * @returns {Promise<Array>} Tax class summaries
+   */
+  static async listTaxClasses() {
+    const taxClasses = await TaxClass.findAll({
+      order: [['code', 'ASC']]
+    });
+
+    return taxClasses.map(taxClass => taxClass.getSummary());
+  }
+
+  /**
+   * Create a tax class
+   * @param {Object} data - { code, name, description? }
+   * @param {number} userId - Staff member creating it
+   * @returns {Promise<Object>} Tax class summary
+   */
+  static async createTaxClass(data, userId) {
+    const existing = await TaxClass.findOne({
+      where: { code: data.code },
+      attributes: ['id']
+    });
+
+    if (existing) {
+      throw new Error('Tax class already exists');
+    }
+
+    const taxClass = await TaxClass.create({
+      code: data.code,
+      name: data.name,
+      description: data.description || null
+    });
+
+    logger.info('Tax class created', {
+      taxClassId: taxClass.id,
+      code: taxClass.code,
+      userId
+    });
+
+    return taxClass.getSummary();
+  }
+
+  /**
+   * Rename or describe a tax class; its code is fixed as imports and breakdowns refer to it
+   * @param {number} id - Tax class ID
+   * @param {Object} data - { name?, description? }
+   * @param {number} userId - Staff member making the change
+   * @returns {Promise<Object>} Tax class summary
+   */
+  static async updateTaxClass(id, data, userId) {
+    const taxClass = await TaxClass.findByPk(id);
+
+    if (!taxClass) {
+      throw new Error('Tax class not found');
+    }
+
+    const values = {};
+    for (const field of ['name', 'description']) {
+      if (data[field] !== undefined) {
+        values[field] = data[field];
+      }
+    }
+
+    await taxClass.update(values);
+
+    logger.info('Tax class updated', {
+      taxClassId: taxClass.id,
+      fields: Object.keys(values),
+      userId
+    });
+
+    return taxClass.getSummary();
+  }
+
+  /**
+   * Delete a tax class that no rate, product, category or order line uses
+   * @param {number} id - Tax class ID
+   * @param {number} userId - Staff member deleting it
+   */
+  static async deleteTaxClass(id, userId) {
+    const taxClass = await TaxClass.findByPk(id);
+
+    if (!taxClass) {
+      throw new Error('Tax class not found');
+    }
+
+    const where = { tax_class_id: taxClass.id };
+    const uses = await Promise.all([
+      TaxRate.count({ where }),
+      Product.count({ where, paranoid: false }),
+      Category.count({ where }),
+      OrderItem.count({ where })
+    ]);
+    if (uses.some(count => count > 0)) {
+      throw new Error('Tax class is in use');
+    }
+
+    await taxClass.destroy();
+
+    logger.info('Tax class deleted', {
+      taxClassId: taxClass.id,
+      code: taxClass.code,
+      userId
+    });
+  }
+
+  /**
+   * Check a tax class exists
+   * @param {number|null} id - Tax class ID; null for the standard rate
+   * @param {Object} transaction - Optional Sequelize transaction
+   */
+  static async assertTaxClassExists(id, transaction = null) {
+    if (!id) {
+      return;
+    }
+
+    const taxClass = await TaxClass.findByPk(id, { attributes: ['id'], transaction });
+    if (!taxClass) {
+      throw new Error('Tax class not found');
+    }
+  }
+
+  /**
+   * List tax jurisdictions with the rates in effect now, one per tax class
+   * @param {Object} options - { country? }
+   * @returns {Promise<Array>} Jurisdiction summaries
+   */
+  static async listJurisdictions(options = {}) {
+    const where = {};
+    if (options.country) {
+      where.country = options.country;
+    }
+
+    const jurisdictions = await TaxJurisdiction.findAll({
+      where,
+      include: [
+        {
+          model: TaxRate,
+          as: 'rates'
+        }
+      ],
+      order: [['country', 'ASC'], ['state', 'ASC']]
+    });
+
+    return jurisdictions.map(jurisdiction => ({
+      ...jurisdiction.getSummary(),
+      current_rates: jurisdiction.rates
+        .filter(rate => rate.isInEffect())
+        .map(rate => rate.getSummary())
+    }));
+  }
+
+  /**
+   * Get a jurisdiction with all its rates, newest first
+   * @param {number} id - Jurisdiction ID
+   * @returns {Promise<Object>} Jurisdiction summary with rates
+   */
+  static async getJurisdiction(id) {
+    const jurisdiction = await TaxJurisdiction.findByPk(id, {
+      include: [
+        {
+          model: TaxRate,
+          as: 'rates'
+        }
+      ],
+      order: [[{ model: TaxRate, as: 'rates' }, 'effective_from', 'DESC']]
+    });
+
+    if (!jurisdiction) {
+      throw new Error('Tax jurisdiction not found');
+    }
+
+    return {
+      ...jurisdiction.getSummary(),
+      rates: jurisdiction.rates.map(rate => rate.getSummary())
+    };
+  }
+
+  /**
+   * Create a tax jurisdiction
+   * @param {Object} data - { country, state?, name }
+   * @param {number} userId - Staff member creating it
+   * @returns {Promise<Object>} Jurisdiction summary
+   */
+  static async createJurisdiction(data, userId) {
+    const transaction = await TaxJurisdiction.sequelize.transaction();
+
+    try {
+      const jurisdiction = await this.insertJurisdiction(data, transaction);
+      await transaction.commit();
+
+      logger.info('Tax jurisdiction created', {
+        jurisdictionId: jurisdiction.id,
+        country: jurisdiction.country,
+        state: jurisdiction.state,
+        userId
+      });
+
+      return jurisdiction.getSummary();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a tax jurisdiction; its country and state are fixed once rates hang off it
+   * @param {number} id - Jurisdiction ID
+   * @param {Object} data - { name }
+   * @param {number} userId - Staff member making the change
+   * @returns {Promise<Object>} Jurisdiction summary
+   */
+  static async updateJurisdiction(id, data, userId) {
+    const jurisdiction = await TaxJurisdiction.findByPk(id);
+
+    if (!jurisdiction) {
+      throw new Error('Tax jurisdiction not found');
+    }
+
+    await jurisdiction.update({ name: data.name });
+
+    logger.info('Tax jurisdiction updated', {
+      jurisdictionId: jurisdiction.id,
+      userId
+    });
+
+    return jurisdiction.getSummary();
+  }
+
+  /**
+   * Delete a tax jurisdiction that has no rates or exemptions
+   * @param {number} id - Jurisdiction ID
+   * @param {number} userId - Staff member deleting it
+   */
+  static async deleteJurisdiction(id, userId) {
+    const jurisdiction = await TaxJurisdiction.findByPk(id);
+
+    if (!jurisdiction) {
+      throw new Error('Tax jurisdiction not found');
+    }
+
+    const rateCount = await TaxRate.count({ where: { jurisdiction_id: jurisdiction.id } });
+    if (rateCount > 0) {
+      throw new Error('Tax jurisdiction has tax rates');
+    }
+
+    const exemptionCount = await TaxExemption.count({ where: { jurisdiction_id: jurisdiction.id } });
+    if (exemptionCount > 0) {
+      throw new Error('Tax jurisdiction has tax exemptions');
+    }
+
+    await jurisdiction.destroy();
+
+    logger.info('Tax jurisdiction deleted', {
+      jurisdictionId: jurisdiction.id,
+      userId
+    });
+  }
+
+  /**
+   * Add a rate to a jurisdiction
+   * @param {Object} data - { jurisdiction_id, tax_class_id?, name, rate, effective_from, effective_to? }
+   * @param {number} userId - Staff member adding it
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async createRate(data, userId) {
+    const transaction = await TaxRate.sequelize.transaction();
+
+    try {
+      const jurisdiction = await TaxJurisdiction.findByPk(data.jurisdiction_id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!jurisdiction) {
+        throw new Error('Tax jurisdiction not found');
+      }
+
+      await this.assertTaxClassExists(data.tax_class_id, transaction);
+
+      const rate = await this.insertRate(jurisdiction, data, userId, transaction);
+      await transaction.commit();
+
+      logger.info('Tax rate created', {
+        taxRateId: rate.id,
+        jurisdictionId: jurisdiction.id,
+        taxClassId: rate.tax_class_id,
+        rate: parseFloat(rate.rate),
+        effectiveFrom: rate.effective_from,
+        userId
+      });
+
+      return rate.getSummary();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Change a rate
+   * Checkouts are taxed at the rate in effect when they were created, so once a rate has started
+   * only its end date can change, and not into the past.
+   * @param {number} id - Rate ID
+   * @param {Object} data - { name?, rate?, effective_from?, effective_to? }
+   * @param {number} userId - Staff member making the change
+   * @returns {Promise<Object>} Rate summary
+   */
+  static async updateRate(id, data, userId) {
+    const transaction = await TaxRate.sequelize.transaction();
+
+    try {
+      const rate = await TaxRate.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!rate) {
+        throw new Error('Tax rate not found');
+      }
+
+      const values = {};
+      for (const field of ['name', 'rate', 'effective_from', 'effective_to']) {
+        if (data[field] !== undefined) {
+          values[field] = data[field];
+        }
+      }
+
+      if (rate.hasStarted()) {
+        if (values.rate !== undefined || values.effective_from !== undefined) {
+          throw new Error('Tax rate is already in effect');
+        }
+        if (values.effective_to && new Date(values.effective_to) < new Date()) {
+          throw new Error('Tax rate cannot end in the past');
+        }
+      }
+
+      const effectiveFrom = values.effective_from !== undefined ? values.effective_from : rate.effective_from;
+      const effectiveTo = values.effective_to !== undefined ? values.effective_to : rate.effective_to;
+      await this.assertNoOverlap(rate.jurisdiction_id, rate.tax_class_id, effectiveFrom, effectiveTo, rate.id, transaction);
+
+      await rate.update({ ...values, updated_by: userId }, { transaction });
+      await transaction.commit();
+
+      logger.info('Tax rate updated', {
+        taxRateId: rate.id,
+        fields: Object.keys(values),
+        userId
+      });
+
+      return rate.getSummary();
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a rate that has not started yet; rates already charged are ended instead
+   * @param {number} id - Rate ID
+   * @param {number} userId - Staff member deleting it
+   */
+  static async deleteRate(id, userId) {
+    const rate = await TaxRate.findByPk(id);
+
+    if (!rate) {
+      throw new Error('Tax rate not found');
+    }
+
+    if (rate.hasStarted()) {
+      throw new Error('Tax rate is already in effect');
+    }
+
+    await rate.destroy();
+
+    logger.info('Tax rate deleted', {
+      taxRateId: rate.id,
+      jurisdictionId: rate.jurisdiction_id,
+      userId
+    });
+  }
+
+  /**
+   * Import tax rates from CSV, creating jurisdictions as needed
+   * The import is all or nothing: when any row is rejected nothing is saved and every problem is returned.
+   * @param {string} csv - CSV text with a header row of IMPORT_COLUMNS (OPTIONAL_IMPORT_COLUMNS may be left out)
+   * @param {number} userId - Staff member importing
+   * @returns {Promise<Object>} { imported, jurisdictions_created, errors }
+   */
+  static async importRates(csv, userId) {
+    const rows = this.parseCsv(csv);
+    if (rows.length < 2) {
+      throw new Error('CSV has no rows');
+    }
+
+    const header = rows[0].map(column => column.trim().toLowerCase());
+    const missing = IMPORT_COLUMNS.filter(column => !OPTIONAL_IMPORT_COLUMNS.includes(column) && !header.includes(column));
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing columns: ${missing.join(', ')}`);
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+      throw new Error(`CSV has more than ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const errors = [];
+    let imported = 0;
+    let jurisdictionsCreated = 0;
+    const taxClassIds = new Map();
+
+    const transaction = await TaxRate.sequelize.transaction();
+
+    try {
+      for (let index = 1; index < rows.length; index++) {
+        // Row numbers count the header, as spreadsheets show them
+        const rowNumber = index + 1;
+        const record = {};
+        header.forEach((column, position) => {
+          if (IMPORT_COLUMNS.includes(column)) {
+            record[column] = (rows[index][position] || '').trim();
+          }
+        });
+
+        const { error, value } = importRowSchema.validate(record, { abortEarly: false });
+        if (error) {
+          for (const detail of error.details) {
+            errors.push({ row: rowNumber, field: detail.path.join('.'), message: detail.message });
+          }
+          continue;
+        }
+
+        try {
+          const taxClassId = await this.findImportTaxClassId(value.tax_class, taxClassIds, transaction);
+          const state = value.state || null;
+          let jurisdiction = await TaxJurisdiction.findOne({
+            where: { country: value.country, state },
+            lock: transaction.LOCK.UPDATE,
+            transaction
+          });
+
+          if (!jurisdiction) {
+            jurisdiction = await this.insertJurisdiction({
+              country: value.country,
+              state,
+              name: value.jurisdiction_name || (state ? `${value.country}-${state}` : value.country)
+            }, transaction);
+            jurisdictionsCreated++;
+          }
+
+          await this.insertRate(jurisdiction, {
+            tax_class_id: taxClassId,
+            name: value.name,
+            rate: value.rate,
+            effective_from: value.effective_from,
+            effective_to: value.effective_to || null
+          }, userId, transaction);
+          imported++;
+        } catch (rowError) {
+          errors.push({ row: rowNumber, message: rowError.message });
+        }
+      }
+
+      if (errors.length > 0) {
+        await transaction.rollback();
+        return { imported: 0, jurisdictions_created: 0, errors };
+      }
+
+      await transaction.commit();
+
+      logger.info('Tax rates imported', {
+        imported,
+        jurisdictionsCreated,
+        userId
+      });
+
+      return { imported, jurisdictions_created: jurisdictionsCreated, errors };
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve the tax class code of an import row
+   * @param {string} code - Code from the row; empty or 'standard' for the standard rate
+   * @param {Map} cache - Codes already resolved in this import
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number|null>} Tax class ID, null for the standard rate
+   */
+  static async findImportTaxClassId(code, cache, transaction) {
+    if (!code || code === STANDARD_TAX_CLASS) {
+      return null;
+    }
+
+    if (!cache.has(code)) {
+      const taxClass = await TaxClass.findOne({ where: { code }, attributes: ['id'], transaction });
+      cache.set(code, taxClass ? taxClass.id : null);
+    }
+
+    if (!cache.get(code)) {
+      throw new Error('Tax class not found');
+    }
+
+    return cache.get(code);
+  }
+
+  /**
+   * Create a jurisdiction after checking it does not exist yet
+   * The unique index does not catch two country-wide rows, as their state is null.
+   * @param {Object} data - { country, state?, name }
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<TaxJurisdiction>} Created jurisdiction
+   */
+  static async insertJurisdiction(data, transaction) {
+    const state = data.state || null;
+    const existing = await TaxJurisdiction.findOne({
+      where: { country: data.country, state },
+      attributes: ['id'],
+      transaction
+    });
+
+    if (existing) {
+      throw new Error('Tax jurisdiction already exists');
+    }
+
+    return await TaxJurisdiction.create({
+      country: data.country,
+      state,
+      name: data.name
+    }, { transaction });
+  }
+
+  /**
+   * Create a rate, ending the open-ended rate of the same jurisdiction and class where the new one starts
+   * @param {TaxJurisdiction} jurisdiction - Jurisdiction, locked by the caller
+   * @param {Object} data - { tax_class_id?, name, rate, effective_from, effective_to? }
+   * @param {number} userId - Staff member adding it
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<TaxRate>} Created rate
+   */
+  static async insertRate(jurisdiction, data, userId, transaction) {
+    const effectiveFrom = new Date(data.effective_from);
+    const effectiveTo = data.effective_to ? new Date(data.effective_to) : null;
+    const taxClassId = data.tax_class_id || null;
+
+    // A new rate replaces the current open-ended one from its start date, e.g. a VAT change
+    const openEnded = await TaxRate.findOne({
+      where: {
+        jurisdiction_id: jurisdiction.id,
+        tax_class_id: taxClassId,
+        effective_to: null,
+        effective_from: { [Op.lt]: effectiveFrom }
+      },
+      transaction
+    });
+
+    if (openEnded) {
+      if (openEnded.hasStarted() && effectiveFrom < new Date()) {
+        throw new Error('Tax rate cannot start in the past while another rate is in effect');
+      }
+      await openEnded.update({ effective_to: effectiveFrom, updated_by: userId }, { transaction });
+    }
+
+    await this.assertNoOverlap(jurisdiction.id, taxClassId, effectiveFrom, effectiveTo, null, transaction);
+
+    return await TaxRate.create({
+      jurisdiction_id: jurisdiction.id,
+      tax_class_id: taxClassId,
+      name: data.name,
+      rate: data.rate,
+      effective_from: effectiveFrom,
+      effective_to: effectiveTo,
+      updated_by: userId
+    }, { transaction });
+  }
+
+  /**
+   * Refuse a period that overlaps another rate of the same jurisdiction and tax class
+   * @param {number} jurisdictionId - Jurisdiction ID
+   * @param {number|null} taxClassId - Tax class ID; null for the standard rate
+   * @param {Date} effectiveFrom - Start of the period
+   * @param {Date|null} effectiveTo - End of the period (exclusive), null for open-ended
+   * @param {number|null} exceptId - Rate being changed
+   * @param {Object} transaction - Database transaction
+   */
+  static async assertNoOverlap(jurisdictionId, taxClassId, effectiveFrom, effectiveTo, exceptId, transaction) {
+    const where = {
+      jurisdiction_id: jurisdictionId,
+      tax_class_id: taxClassId || null,
+      [Op.or]: [
+        { effective_to: null },
+        { effective_to: { [Op.gt]: effectiveFrom } }
+      ]
+    };
+    if (effectiveTo) {
+      where.effective_from = { [Op.lt]: effectiveTo };
+    }
+    if (exceptId) {
+      where.id = { [Op.ne]: exceptId };
+    }
+
+    const overlapping = await TaxRate.findOne({ where, attributes: ['id'], transaction });
+    if (overlapping) {
+      throw new Error('Tax rate overlaps an existing rate');
+    }
+  }
+
+  /**
+   * Split CSV text into rows of fields; handles quoted fields with commas, quotes and line breaks
+   * @param {string} csv - CSV text
+   * @returns {Array<Array<string>>} Rows, blank lines left out
+   */
+  static parseCsv(csv) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = String(csv).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(fields => fields.some(value => value.trim() !== ''));
+  }
+}
+
+module.exports = TaxRateService;
@@ -1,43 +1,144 @@
 const { logger } = require('../middleware/errorHandler');
+const { roundAmount, pricesIncludeTax } = require('../config/currencies');
+const TaxRateService = require('./TaxRateService');
+const TaxExemptionService = require('./TaxExemptionService');
 
 class TaxService {
   /**
    * Calculate tax for a given address and cart items
+   * Each line is taxed at the rates of its product's tax class (see TaxRateService.getProductTaxClasses).
+   * Line taxes are rounded to the currency's smallest unit and total_tax is their sum, so order lines add up to it.
    * @param {Object} shippingAddress - Shipping address object
    * @param {Array} cartItems - Array of cart items with prices
    * @param {string} currency - Currency code
+   * @param {Object} options - { effectiveAt, transaction, pricesIncludeTax, exemptions }; rates are those in effect at
+   *   effectiveAt (default now), and with pricesIncludeTax the tax is extracted from the line amounts instead of added.
+   *   exemptions are TaxExemption snapshots; the rates of their jurisdictions are not charged, and tax-inclusive
+   *   prices drop the tax they contain at those rates
    * @returns {Promise<Object>} Tax calculation result
    */
-  static async calculateTax(shippingAddress, cartItems, currency = 'INR') {
+  static async calculateTax(shippingAddress, cartItems, currency = 'INR', options = {}) {
     try {
-      const taxRates = this.getTaxRatesByCountry(shippingAddress.country);
-      const stateTaxRate = this.getStateTaxRate(shippingAddress.country, shippingAddress.state);
+      const effectiveAt = options.effectiveAt ? new Date(options.effectiveAt) : new Date();
+      const rates = await TaxRateService.getRatesInEffect(
+        shippingAddress.country,
+        shippingAddress.state,
+        effectiveAt,
+        options.transaction
+      );
+      const productTaxClasses = await TaxRateService.getProductTaxClasses(
+        cartItems.map(item => item.product_id),
+        options.transaction
+      );
+
+      // Standard rates of the address, reported at the top of the breakdown
+      const standardFederal = TaxRateService.pickRate(rates.federal);
+      const standardState = TaxRateService.pickRate(rates.state);
+      const exemptions = options.exemptions || [];
+      const exemptJurisdictions = new Set(exemptions.map(exemption => String(exemption.jurisdiction_id)));
+      const isCharged = (rate) => !!rate && !exemptJurisdictions.has(String(rate.jurisdiction_id));
+      const chargedFederal = isCharged(standardFederal) ? standardFederal : null;
+      const chargedState = isCharged(standardState) ? standardState : null;
+      const taxRates = this.getTaxRatesByCountry(chargedFederal);
+      const stateTaxRate = this.getStateTaxRate(chargedState);
       
       let totalTax = 0;
+      let exemptTotal = 0;
+      let netTotal = 0;
       const itemTaxes = [];
+      const classTotals = new Map();
 
       for (const item of cartItems) {
-        const itemSubtotal = parseFloat(item.line_subtotal) || 0;
-        const itemTax = this.calculateItemTax(itemSubtotal, taxRates, stateTaxRate);
+        const taxClass = productTaxClasses.get(item.product_id) || null;
+        const classCode = taxClass ? taxClass.code : 'standard';
+        const applicableFederal = TaxRateService.pickRate(rates.federal, taxClass ? taxClass.id : null);
+        const applicableState = TaxRateService.pickRate(rates.state, taxClass ? taxClass.id : null);
+        const federalRate = isCharged(applicableFederal) ? applicableFederal : null;
+        const stateRate = isCharged(applicableState) ? applicableState : null;
+        const itemTaxRates = this.getTaxRatesByCountry(federalRate);
+        const itemStateTaxRate = this.getStateTaxRate(stateRate);
+
+        // Discounts reduce the taxable amount; gross amounts already contain their tax at the applicable rates
+        const itemSubtotal = (parseFloat(item.line_subtotal) || 0) - (parseFloat(item.line_discount) || 0);
+        const applicableRates = this.getTaxRatesByCountry(applicableFederal);
+        const applicableStateRate = this.getStateTaxRate(applicableState);
+        const applicableTax = roundAmount(options.pricesIncludeTax
+          ? this.extractItemTax(itemSubtotal, applicableRates, applicableStateRate)
+          : this.calculateItemTax(itemSubtotal, applicableRates, applicableStateRate), currency);
+        const netAmount = options.pricesIncludeTax ? roundAmount(itemSubtotal - applicableTax, currency) : itemSubtotal;
+        const isExempt = federalRate !== applicableFederal || stateRate !== applicableState;
+        const itemTax = isExempt
+          ? roundAmount(this.calculateItemTax(netAmount, itemTaxRates, itemStateTaxRate), currency)
+          : applicableTax;
         
         totalTax += itemTax;
+        exemptTotal += applicableTax - itemTax;
+        netTotal += netAmount;
         itemTaxes.push({
           cart_item_id: item.id,
           sku: item.sku,
+          tax_class_id: taxClass ? taxClass.id : null,
+          tax_class_code: classCode,
           subtotal: itemSubtotal,
-          tax_rate: taxRates.total,
-          state_tax_rate: stateTaxRate,
-          tax_amount: itemTax
+          net_amount: netAmount,
+          gross_amount: roundAmount(netAmount + itemTax, currency),
+          tax_rate: itemTaxRates.total,
+          state_tax_rate: itemStateTaxRate,
+          tax_amount: itemTax,
+          exempt_amount: roundAmount(applicableTax - itemTax, currency)
         });
+
+        if (!classTotals.has(classCode)) {
+          classTotals.set(classCode, {
+            tax_class_id: taxClass ? taxClass.id : null,
+            tax_class_code: classCode,
+            tax_class_name: taxClass ? taxClass.name : 'Standard rate',
+            federal_tax_rate: itemTaxRates.federal,
+            federal_tax_rate_id: federalRate ? federalRate.id : null,
+            federal_tax_name: federalRate ? federalRate.name : null,
+            state_tax_rate: itemStateTaxRate,
+            state_tax_rate_id: stateRate ? stateRate.id : null,
+            state_tax_name: stateRate ? stateRate.name : null,
+            total_tax_rate: itemTaxRates.total + itemStateTaxRate,
+            taxable_amount: 0,
+            tax_amount: 0,
+            gross_amount: 0
+          });
+        }
+        const classTotal = classTotals.get(classCode);
+        classTotal.taxable_amount += netAmount;
+        classTotal.tax_amount += itemTax;
+        classTotal.gross_amount += netAmount + itemTax;
       }
 
       const result = {
-        total_tax: Math.round(totalTax * 100) / 100, // Round to 2 decimal places
+        total_tax: roundAmount(totalTax, currency), // Round to the currency's smallest unit
         currency,
+        prices_include_tax: !!options.pricesIncludeTax,
+        // Lines after discounts, without and with their tax
+        net_total: roundAmount(netTotal, currency),
+        gross_total: roundAmount(netTotal + totalTax, currency),
+        // Tax the customer's exemptions waived
+        exempt_total: roundAmount(exemptTotal, currency),
         tax_breakdown: {
           federal_tax_rate: taxRates.federal,
           state_tax_rate: stateTaxRate,
-          total_tax_rate: taxRates.total + stateTaxRate
+          total_tax_rate: taxRates.total + stateTaxRate,
+          // Which rates were used, so a later rate change never alters how an order was taxed
+          effective_at: effectiveAt.toISOString(),
+          federal_tax_rate_id: chargedFederal ? chargedFederal.id : null,
+          federal_tax_name: chargedFederal ? chargedFederal.name : null,
+          state_tax_rate_id: chargedState ? chargedState.id : null,
+          state_tax_name: chargedState ? chargedState.name : null,
+          // Exemptions that waived a jurisdiction's rates, kept so they can be audited
+          exemptions,
+          // One entry per tax class in the cart, with the rates its lines paid
+          classes: [...classTotals.values()].map(classTotal => ({
+            ...classTotal,
+            taxable_amount: roundAmount(classTotal.taxable_amount, currency),
+            tax_amount: roundAmount(classTotal.tax_amount, currency),
+            gross_amount: roundAmount(classTotal.gross_amount, currency)
+          }))
         },
         item_taxes: itemTaxes
       };
@@ -46,6 +147,10 @@ class TaxService {
         country: shippingAddress.country,
         state: shippingAddress.state,
         totalTax: result.total_tax,
+        pricesIncludeTax: result.prices_include_tax,
+        exemptTotal: result.exempt_total,
+        taxClasses: [...classTotals.keys()],
+        effectiveAt,
         currency
       });
 
@@ -61,78 +166,22 @@ class TaxService {
   }
 
   /**
-   * Get tax rates by country
-   * @param {string} country - Country code
+   * Get the country-wide tax rates from the rate in effect
+   * @param {TaxRate|null} countryRate - Country-wide rate in effect, from TaxRateService.pickRate
    * @returns {Object} Tax rates object
    */
-  static getTaxRatesByCountry(country) {
-    const taxRates = {
-      'US': { federal: 0.00, state: 0.00, total: 0.00 }, // Varies by state
-      'CA': { federal: 0.05, state: 0.00, total: 0.05 }, // GST
-      'GB': { federal: 0.20, state: 0.00, total: 0.20 }, // VAT
-      'IN': { federal: 0.18, state: 0.00, total: 0.18 }, // GST
-      'AU': { federal: 0.10, state: 0.00, total: 0.10 }, // GST
-      'DE': { federal: 0.19, state: 0.00, total: 0.19 }, // VAT
-      'FR': { federal: 0.20, state: 0.00, total: 0.20 }, // VAT
-      'IT': { federal: 0.22, state: 0.00, total: 0.22 }, // VAT
-      'ES': { federal: 0.21, state: 0.00, total: 0.21 }, // VAT
-      'NL': { federal: 0.21, state: 0.00, total: 0.21 }, // VAT
-      'BR': { federal: 0.00, state: 0.00, total: 0.00 }, // Varies by state
-      'MX': { federal: 0.16, state: 0.00, total: 0.16 }, // VAT
-      'JP': { federal: 0.10, state: 0.00, total: 0.10 }, // Consumption Tax
-      'CN': { federal: 0.13, state: 0.00, total: 0.13 }, // VAT
-      'KR': { federal: 0.10, state: 0.00, total: 0.10 }, // VAT
-      'SG': { federal: 0.07, state: 0.00, total: 0.07 }, // GST
-      'MY': { federal: 0.06, state: 0.00, total: 0.06 }, // SST
-      'TH': { federal: 0.07, state: 0.00, total: 0.07 }, // VAT
-      'PH': { federal: 0.12, state: 0.00, total: 0.12 }, // VAT
-      'ID': { federal: 0.11, state: 0.00, total: 0.11 }, // VAT
-      'VN': { federal: 0.10, state: 0.00, total: 0.10 }  // VAT
-    };
-
-    return taxRates[country] || { federal: 0.00, state: 0.00, total: 0.00 };
+  static getTaxRatesByCountry(countryRate) {
+    const federal = countryRate ? parseFloat(countryRate.rate) : 0.00;
+    return { federal, state: 0.00, total: federal };
   }
 
   /**
-   * Get state/province tax rate
-   * @param {string} country - Country code
-   * @param {string} state - State/province name
+   * Get state/province tax rate from the rate in effect
+   * @param {TaxRate|null} stateRate - State or province rate in effect, from TaxRateService.pickRate
    * @returns {number} State tax rate
    */
-  static getStateTaxRate(country, state) {
-    // US state tax rates (simplified)
-    if (country === 'US') {
-      const stateTaxRates = {
-        'CA': 0.075, 'NY': 0.08, 'TX': 0.0625, 'FL': 0.06,
-        'IL': 0.0625, 'PA': 0.06, 'OH': 0.0575, 'GA': 0.04,
-        'NC': 0.0475, 'MI': 0.06, 'NJ': 0.06625, 'VA': 0.053,
-        'WA': 0.065, 'AZ': 0.056, 'MA': 0.0625, 'TN': 0.07,
-        'IN': 0.07, 'MO': 0.04225, 'MD': 0.06, 'WI': 0.05,
-        'CO': 0.029, 'MN': 0.06875, 'SC': 0.06, 'AL': 0.04,
-        'LA': 0.0445, 'KY': 0.06, 'OR': 0.00, 'OK': 0.045,
-        'CT': 0.0635, 'UT': 0.061, 'IA': 0.06, 'NV': 0.0685,
-        'AR': 0.065, 'MS': 0.07, 'KS': 0.065, 'NM': 0.05125,
-        'NE': 0.055, 'WV': 0.06, 'ID': 0.06, 'HI': 0.04,
-        'NH': 0.00, 'ME': 0.055, 'RI': 0.07, 'MT': 0.00,
-        'DE': 0.00, 'SD': 0.045, 'ND': 0.05, 'AK': 0.00,
-        'VT': 0.06, 'WY': 0.04, 'DC': 0.06
-      };
-      return stateTaxRates[state] || 0.00;
-    }
-
-    // Canadian provincial tax rates
-    if (country === 'CA') {
-      const provincialTaxRates = {
-        'AB': 0.00, 'BC': 0.07, 'MB': 0.07, 'NB': 0.10,
-        'NL': 0.10, 'NS': 0.10, 'ON': 0.08, 'PE': 0.10,
-        'QC': 0.09975, 'SK': 0.06, 'NT': 0.00, 'NU': 0.00,
-        'YT': 0.00
-      };
-      return provincialTaxRates[state] || 0.00;
-    }
-
-    // For other countries, return 0 as they typically use federal tax only
-    return 0.00;
+  static getStateTaxRate(stateRate) {
+    return stateRate ? parseFloat(stateRate.rate) : 0.00;
   }
 
   /**
@@ -148,6 +197,38 @@ class TaxService {
     return federalTax + stateTax;
   }
 
+  /**
+   * Calculate the tax contained in a gross (tax-inclusive) amount
+   * @param {number} grossAmount - Item amount including tax
+   * @param {Object} taxRates - Tax rates object
+   * @param {number} stateTaxRate - State tax rate
+   * @returns {number} Tax amount, unrounded
+   */
+  static extractItemTax(grossAmount, taxRates, stateTaxRate) {
+    const netAmount = grossAmount / (1 + taxRates.federal + stateTaxRate);
+    return grossAmount - netAmount;
+  }
+
+  /**
+   * Split a line's tax into its federal and state parts, as calculateItemTax applies them
+   * @param {number} subtotal - Item subtotal
+   * @param {number} federalRate - Federal (country) tax rate
+   * @param {number} stateTaxRate - State tax rate
+   * @returns {Object} Rates and rounded amounts for each part
+   */
+  static getItemTaxBreakdown(subtotal, federalRate, stateTaxRate) {
+    const federalTax = this.calculateItemTax(subtotal, { federal: federalRate }, 0);
+    const stateTax = this.calculateItemTax(subtotal, { federal: 0 }, stateTaxRate);
+
+    return {
+      taxable_amount: Math.round(subtotal * 100) / 100,
+      federal_tax_rate: federalRate,
+      federal_tax: Math.round(federalTax * 100) / 100,
+      state_tax_rate: stateTaxRate,
+      state_tax: Math.round(stateTax * 100) / 100
+    };
+  }
+
   /**
    * Validate tax calculation inputs
    * @param {Object} shippingAddress - Shipping address
@@ -173,53 +254,20 @@ class TaxService {
   }
 
   /**
-   * Get tax exemption status for a customer
-   * @param {string} customerType - Customer type (individual, business)
-   * @param {string} taxId - Tax ID number
-   * @returns {boolean} Is tax exempt
-   */
-  static isTaxExempt(customerType, taxId) {
-    // Business customers with valid tax ID are typically tax exempt
-    if (customerType === 'business' && taxId) {
-      return true;
-    }
-    return false;
-  }
-
-  /**
-   * Calculate tax with exemptions
+   * Calculate tax with the customer's approved exemptions for the address
    * @param {Object} shippingAddress - Shipping address
    * @param {Array} cartItems - Cart items
    * @param {string} currency - Currency code
-   * @param {Object} customerInfo - Customer information
+   * @param {number|null} userId - Signed-in customer; guests have no exemptions
    * @returns {Promise<Object>} Tax calculation result
    */
-  static async calculateTaxWithExemptions(shippingAddress, cartItems, currency = 'INR', customerInfo = {}) {
-    // Check if customer is tax exempt
-    const isExempt = this.isTaxExempt(customerInfo.type, customerInfo.taxId);
-    
-    if (isExempt) {
-      return {
-        total_tax: 0,
-        currency,
-        tax_breakdown: {
-          federal_tax_rate: 0,
-          state_tax_rate: 0,
-          total_tax_rate: 0,
-          exemption_reason: 'Tax exempt customer'
-        },
-        item_taxes: cartItems.map(item => ({
-          cart_item_id: item.id,
-          sku: item.sku,
-          subtotal: parseFloat(item.line_subtotal) || 0,
-          tax_rate: 0,
-          state_tax_rate: 0,
-          tax_amount: 0
-        }))
-      };
-    }
+  static async calculateTaxWithExemptions(shippingAddress, cartItems, currency = 'INR', userId = null) {
+    const exemptions = await TaxExemptionService.findForAddress(userId, shippingAddress);
 
-    return await this.calculateTax(shippingAddress, cartItems, currency);
+    return await this.calculateTax(shippingAddress, cartItems, currency, {
+      pricesIncludeTax: pricesIncludeTax(currency),
+      exemptions: exemptions.map(exemption => exemption.getSnapshot())
+    });
   }
 }
 
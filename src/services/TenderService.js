@@ -0,0 +1,439 @@
+const { Op } = require('sequelize');
+const {
+  Checkout,
+  Cart,
+  CheckoutTender,
+  GiftCard,
+  StoreCreditWallet,
+  BalanceLedgerEntry,
+  Payment
+} = require('../database/models');
+const GiftCardService = require('./GiftCardService');
+const { roundAmount } = require('../config/currencies');
+const { logger } = require('../middleware/errorHandler');
+
+class TenderService {
+  /**
+   * Put a gift card or store credit toward a checkout's grand total
+   * Balances are only checked here; they are spent when the order is placed.
+   * Applying the same card (or store credit) again replaces its amount.
+   * @param {number} checkoutId - Checkout ID
+   * @param {Object} data - { type: 'gift_card'|'store_credit', code?, amount? }; no amount uses as much as is due
+   * @param {number|null} userId - User ID for authorization (null for guest)
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @returns {Promise<Object>} { tenders, tender_total, amount_due }
+   */
+  static async applyTender(checkoutId, data, userId, cartToken = null) {
+    const transaction = await Checkout.sequelize.transaction();
+
+    try {
+      const checkout = await this.findOpenCheckout(checkoutId, userId, cartToken, transaction);
+
+      let account;
+      let match;
+      if (data.type === 'gift_card') {
+        account = await GiftCard.findOne({
+          where: { code: GiftCardService.normalizeCode(data.code) },
+          transaction
+        });
+
+        if (!account) {
+          throw new Error('Gift card not found');
+        }
+
+        const redemptionError = account.getRedemptionError(checkout.currency);
+        if (redemptionError) {
+          throw new Error(redemptionError);
+        }
+        match = { gift_card_id: account.id };
+      } else {
+        if (!userId) {
+          throw new Error('Sign in to pay with store credit');
+        }
+
+        account = await StoreCreditWallet.findOne({
+          where: { user_id: userId, currency: checkout.currency },
+          transaction
+        });
+
+        if (!account || parseFloat(account.balance) <= 0) {
+          throw new Error(`No store credit available in ${checkout.currency}`);
+        }
+        match = { wallet_id: account.id };
+      }
+
+      const existing = checkout.tenders.find(tender => (
+        match.gift_card_id ? String(tender.gift_card_id) === String(match.gift_card_id) : String(tender.wallet_id) === String(match.wallet_id)
+      ));
+      const otherTotal = checkout.tenders
+        .filter(tender => tender !== existing)
+        .reduce((sum, tender) => sum + parseFloat(tender.amount), 0);
+      const remainingDue = roundAmount(parseFloat(checkout.grand_total) - otherTotal, checkout.currency);
+
+      if (remainingDue <= 0) {
+        throw new Error('Checkout total is already covered');
+      }
+
+      const balance = parseFloat(account.balance);
+      if (data.amount !== undefined && data.amount > balance) {
+        throw new Error('Amount exceeds the available balance');
+      }
+
+      // Never take more than is still due
+      const amount = roundAmount(Math.min(data.amount === undefined ? balance : data.amount, remainingDue), checkout.currency);
+
+      if (existing) {
+        await existing.update({ amount }, { transaction });
+      } else {
+        await CheckoutTender.create({
+          checkout_id: checkout.id,
+          type: data.type,
+          ...match,
+          amount
+        }, { transaction });
+      }
+
+      await checkout.update({
+        tender_total: roundAmount(otherTotal + amount, checkout.currency)
+      }, { transaction });
+
+      await transaction.commit();
+
+      logger.info('Tender applied to checkout', {
+        checkoutId: checkout.id,
+        type: data.type,
+        amount
+      });
+
+      return this.getTenders(checkout.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Take a gift card or store credit off a checkout
+   * @param {number} checkoutId - Checkout ID
+   * @param {number} tenderId - Checkout tender ID
+   * @param {number|null} userId - User ID for authorization (null for guest)
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @returns {Promise<Object>} { tenders, tender_total, amount_due }
+   */
+  static async removeTender(checkoutId, tenderId, userId, cartToken = null) {
+    const transaction = await Checkout.sequelize.transaction();
+
+    try {
+      const checkout = await this.findOpenCheckout(checkoutId, userId, cartToken, transaction);
+
+      const tender = checkout.tenders.find(candidate => String(candidate.id) === String(tenderId));
+      if (!tender) {
+        throw new Error('Tender not found');
+      }
+
+      await tender.destroy({ transaction });
+
+      const tenderTotal = checkout.tenders
+        .filter(candidate => candidate !== tender)
+        .reduce((sum, candidate) => sum + parseFloat(candidate.amount), 0);
+
+      await checkout.update({
+        tender_total: roundAmount(tenderTotal, checkout.currency)
+      }, { transaction });
+
+      await transaction.commit();
+
+      return this.getTenders(checkout.id);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Load and lock a checkout that can still take tenders
+   * @param {number} checkoutId - Checkout ID
+   * @param {number|null} userId - User ID for authorization (null for guest)
+   * @param {string|null} cartToken - Cart token for guest checkouts
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<Checkout>} Checkout with cart and tenders
+   */
+  static async findOpenCheckout(checkoutId, userId, cartToken, transaction) {
+    // Lock the checkout so tenders cannot change while a payment starts
+    const checkout = await Checkout.findByPk(checkoutId, {
+      include: [
+        {
+          model: Cart,
+          as: 'cart'
+        }
+      ],
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!checkout) {
+      throw new Error('Checkout session not found');
+    }
+
+    if (!checkout.cart.isAccessibleBy(userId, cartToken)) {
+      throw new Error('Access denied');
+    }
+
+    if (checkout.status !== 'active') {
+      throw new Error('Checkout session is not active');
+    }
+
+    if (checkout.isExpired()) {
+      throw new Error('Checkout session has expired');
+    }
+
+    const inFlightPayment = await Payment.findOne({
+      where: {
+        checkout_id: checkout.id,
+        status: { [Op.in]: ['pending', 'authorized', 'captured'] }
+      },
+      transaction
+    });
+
+    if (inFlightPayment) {
+      throw new Error('Payment already in progress for this checkout');
+    }
+
+    checkout.tenders = await CheckoutTender.findAll({
+      where: { checkout_id: checkout.id },
+      transaction
+    });
+
+    return checkout;
+  }
+
+  /**
+   * Get the tenders on a checkout and what is left to pay
+   * @param {number} checkoutId - Checkout ID
+   * @returns {Promise<Object>} { tenders, tender_total, amount_due }
+   */
+  static async getTenders(checkoutId) {
+    const checkout = await Checkout.findByPk(checkoutId, {
+      include: [
+        {
+          model: CheckoutTender,
+          as: 'tenders',
+          include: [
+            {
+              model: GiftCard,
+              as: 'giftCard',
+              attributes: ['id', 'code']
+            }
+          ]
+        }
+      ]
+    });
+
+    return {
+      tenders: checkout.tenders.map(tender => tender.getSummary()),
+      tender_total: parseFloat(checkout.tender_total),
+      amount_due: checkout.getAmountDue()
+    };
+  }
+
+  /**
+   * Spend the checkout's gift cards and store credit on the order being placed
+   * Runs in the order's transaction with every card and wallet locked, so a balance
+   * spent by another checkout in the meantime fails this order instead of going negative.
+   * @param {Checkout} checkout - Checkout being turned into an order
+   * @param {Order} order - Order just created
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number>} Total spent
+   */
+  static async redeemForOrder(checkout, order, transaction) {
+    if (!(parseFloat(checkout.tender_total) > 0)) {
+      return 0;
+    }
+
+    const tenders = await CheckoutTender.findAll({
+      where: { checkout_id: checkout.id },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    let spent = 0;
+    for (const tender of tenders) {
+      const amount = parseFloat(tender.amount);
+      let account;
+
+      if (tender.type === 'gift_card') {
+        account = await GiftCard.findByPk(tender.gift_card_id, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        const redemptionError = account ? account.getRedemptionError(order.currency) : 'Gift card not found';
+        if (redemptionError) {
+          throw new Error(redemptionError);
+        }
+        if (parseFloat(account.balance) < amount) {
+          throw new Error('Gift card balance is no longer sufficient');
+        }
+      } else {
+        account = await StoreCreditWallet.findByPk(tender.wallet_id, {
+          lock: transaction.LOCK.UPDATE,
+          transaction
+        });
+
+        if (!account || parseFloat(account.balance) < amount) {
+          throw new Error('Store credit balance is no longer sufficient');
+        }
+      }
+
+      await this.moveBalance(account, tender.type, -amount, 'redeem', {
+        order_id: order.id,
+        actor_user_id: order.user_id,
+        note: `Spent on order ${order.order_number}`
+      }, transaction);
+
+      spent += amount;
+    }
+
+    if (roundAmount(spent, order.currency) !== roundAmount(checkout.tender_total, order.currency)) {
+      throw new Error('Checkout tenders do not match the tender total');
+    }
+
+    logger.info('Tenders redeemed for order', {
+      orderNumber: order.order_number,
+      tenders: tenders.length,
+      amount: spent
+    });
+
+    return spent;
+  }
+
+  /**
+   * Give back gift card and store credit balances spent on cancelled units
+   * A partial cancellation gives back the tendered share of the cancelled value; a full
+   * cancellation gives back whatever is still outstanding.
+   * @param {Order} order - Order being cancelled
+   * @param {number} amount - Value of the cancelled units
+   * @param {boolean} fullyCancelled - Whether nothing is left to fulfil
+   * @param {number} actorUserId - Who cancelled the order
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number>} Total given back
+   */
+  static async restoreForCancellation(order, amount, fullyCancelled, actorUserId, transaction) {
+    return this.restoreBalances(order, amount, fullyCancelled, actorUserId, `Cancelled from order ${order.order_number}`,
+      transaction);
+  }
+
+  /**
+   * Give back gift card and store credit balances spent on returned units
+   * The tendered share of the refund goes back to the cards and wallets the order was paid with.
+   * @param {Order} order - Order the return was opened against
+   * @param {number} amount - Refund for the returned units
+   * @param {string} rmaNumber - Return's RMA number
+   * @param {number} actorUserId - Support user refunding the return
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number>} Total given back
+   */
+  static async restoreForReturn(order, amount, rmaNumber, actorUserId, transaction) {
+    return this.restoreBalances(order, amount, false, actorUserId, `Refunded for return ${rmaNumber}`, transaction);
+  }
+
+  /**
+   * Give back the tendered share of an amount, or everything still outstanding, to the order's cards and wallets
+   * @param {Order} order - Order
+   * @param {number} amount - Value being given back
+   * @param {boolean} everything - Give back all that is still outstanding instead of a share of amount
+   * @param {number} actorUserId - Who gives it back
+   * @param {string} note - Ledger note
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<number>} Total given back
+   */
+  static async restoreBalances(order, amount, everything, actorUserId, note, transaction) {
+    if (!(parseFloat(order.tender_total) > 0)) {
+      return 0;
+    }
+
+    const entries = await BalanceLedgerEntry.findAll({
+      where: {
+        order_id: order.id,
+        entry_type: { [Op.in]: ['redeem', 'restore'] }
+      },
+      order: [['id', 'ASC']],
+      transaction
+    });
+
+    // What each card or wallet still has tied up in the order
+    const outstanding = new Map();
+    for (const entry of entries) {
+      const key = entry.gift_card_id ? `gift_card:${entry.gift_card_id}` : `store_credit:${entry.wallet_id}`;
+      outstanding.set(key, (outstanding.get(key) || 0) - parseFloat(entry.amount));
+    }
+
+    const totalOutstanding = roundAmount([...outstanding.values()].reduce((sum, value) => sum + value, 0), order.currency);
+    const share = parseFloat(order.tender_total) / parseFloat(order.grand_total);
+    let remaining = everything
+      ? totalOutstanding
+      : Math.min(totalOutstanding, roundAmount(amount * share, order.currency));
+
+    let restored = 0;
+    for (const [key, tiedUp] of outstanding) {
+      if (remaining <= 0) {
+        break;
+      }
+
+      const restoreAmount = roundAmount(Math.min(tiedUp, remaining), order.currency);
+      if (restoreAmount <= 0) {
+        continue;
+      }
+
+      const [type, id] = key.split(':');
+      const model = type === 'gift_card' ? GiftCard : StoreCreditWallet;
+      const account = await model.findByPk(id, {
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (!account) {
+        continue;
+      }
+
+      await this.moveBalance(account, type, restoreAmount, 'restore', {
+        order_id: order.id,
+        actor_user_id: actorUserId,
+        note
+      }, transaction);
+
+      restored = roundAmount(restored + restoreAmount, order.currency);
+      remaining = roundAmount(remaining - restoreAmount, order.currency);
+    }
+
+    return restored;
+  }
+
+  /**
+   * Change a card or wallet balance and record the change in the ledger
+   * @param {GiftCard|StoreCreditWallet} account - Locked card or wallet
+   * @param {string} type - 'gift_card' or 'store_credit'
+   * @param {number} amount - Signed change
+   * @param {string} entryType - Ledger entry type
+   * @param {Object} details - { order_id, actor_user_id, note }
+   * @param {Object} transaction - Database transaction
+   * @returns {Promise<BalanceLedgerEntry>} Ledger entry
+   */
+  static async moveBalance(account, type, amount, entryType, details, transaction) {
+    const balanceAfter = roundAmount(parseFloat(account.balance) + amount, account.currency);
+
+    await account.update({ balance: balanceAfter }, { transaction });
+
+    return BalanceLedgerEntry.create({
+      gift_card_id: type === 'gift_card' ? account.id : null,
+      wallet_id: type === 'gift_card' ? null : account.id,
+      entry_type: entryType,
+      amount,
+      balance_after: balanceAfter,
+      currency: account.currency,
+      ...details
+    }, { transaction });
+  }
+}
+
+module.exports = TenderService;
@@ -0,0 +1,72 @@
+/**
+ * Carrier adapter interface
+ *
+ * Every carrier implements the same three operations. Each operation resolves
+ * with a result object instead of throwing for business failures (no service
+ * to the destination, unknown tracking number, ...); it only throws for
+ * programming or transport errors.
+ *
+ * Result shape:
+ * {
+ *   success: boolean,
+ *   failure_code?: string,
+ *   failure_message?: string,
+ *   ...operation fields
+ * }
+ *
+ * Parcels are sent as packed by the store: { length, width, height, actual_weight }
+ * in cm and kg, dimensions null when unknown. Carriers apply their own volumetric
+ * divisor and weight rounding.
+ *
+ * Tracking events use the statuses label_created, in_transit, out_for_delivery,
+ * delivered and exception.
+ */
+class CarrierAdapter {
+  /**
+   * @param {string} name - Carrier name used in the registry and stored on shipments
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Quote a shipment for each service the carrier offers to the destination
+   * @param {Object} request - { method, ship_to: { country, state, postal_code }, parcels, value, currency };
+   *   method is null when the store is quoting all its methods at once
+   * @returns {Promise<Object>} Result with quotes: [{ service, method, amount, currency, parcel_amounts, transit_days: { min, max } }]
+   */
+  async quote(_request) {
+    throw new Error(`Carrier ${this.name} does not implement quote`);
+  }
+
+  /**
+   * Buy a label for a shipment
+   * @param {Object} request - { reference, method, service?, ship_to, parcels }
+   * @returns {Promise<Object>} Result with tracking_number, service, label_format and label_data (base64)
+   */
+  async createLabel(_request) {
+    throw new Error(`Carrier ${this.name} does not implement createLabel`);
+  }
+
+  /**
+   * Get the tracking history of a shipment
+   * @param {Object} request - { tracking_number, shipped_at }
+   * @returns {Promise<Object>} Result with tracking_number, status and events: [{ status, description, location, occurred_at }], oldest first
+   */
+  async track(_request) {
+    throw new Error(`Carrier ${this.name} does not implement track`);
+  }
+
+  /**
+   * Build a failure result
+   */
+  failure(failureCode, failureMessage) {
+    return {
+      success: false,
+      failure_code: failureCode,
+      failure_message: failureMessage
+    };
+  }
+}
+
+module.exports = CarrierAdapter;
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const CarrierAdapter = require('./CarrierAdapter');
+
+/**
+ * File-backed carrier for development and tests.
+ * Rates, services and the tracking timeline come from a JSON file; outcomes depend
+ * only on the request and the file, never on randomness. `latency_ms` in the file
+ * delays every call, to exercise the quote timeout.
+ *
+ * File: {
+ *   name, currency, volumetric_divisor, weight_step, max_parcel_weight, tracking_prefix, latency_ms,
+ *   services: [{ code, method, countries, exclude_countries, base, per_kg, transit_days: [min, max] }],
+ *   tracking_events: [{ status, description, location, after_hours }]
+ * }
+ */
+class StubCarrier extends CarrierAdapter {
+  /**
+   * @param {string} filePath - Path of the carrier's JSON file
+   */
+  constructor(filePath) {
+    const config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    super(config.name);
+    this.config = config;
+  }
+
+  /**
+   * Quote each service that takes the parcels to the destination
+   */
+  async quote({ ship_to: shipTo, parcels, currency }) {
+    await this.delay();
+
+    const weights = parcels.map(parcel => this.getChargeableWeight(parcel));
+    if (weights.some(weight => weight > this.config.max_parcel_weight)) {
+      return this.failure('parcel_too_heavy', `Parcels over ${this.config.max_parcel_weight} kg are not accepted`);
+    }
+
+    const quotes = this.getServices(shipTo.country).map(service => {
+      const parcelAmounts = weights.map(weight => this.roundMoney(service.base + service.per_kg * weight));
+
+      return {
+        service: service.code,
+        method: service.method,
+        amount: this.roundMoney(parcelAmounts.reduce((sum, amount) => sum + amount, 0)),
+        currency: this.config.currency || currency,
+        parcel_amounts: parcelAmounts,
+        transit_days: { min: service.transit_days[0], max: service.transit_days[1] }
+      };
+    });
+
+    return { success: true, quotes };
+  }
+
+  /**
+   * Create a ZPL label with a tracking number derived from the reference
+   */
+  async createLabel({ reference, method, service: serviceCode, ship_to: shipTo, parcels }) {
+    await this.delay();
+
+    const service = this.getServices(shipTo.country)
+      .find(candidate => (serviceCode ? candidate.code === serviceCode : candidate.method === method));
+
+    if (!service) {
+      return this.failure('service_unavailable', `No ${serviceCode || method} service to ${shipTo.country}`);
+    }
+
+    const digits = crypto.createHash('sha256')
+      .update(`${this.name}:${reference}`)
+      .digest()
+      .subarray(0, 12)
+      .reduce((number, byte) => number + (byte % 10), '');
+    const trackingNumber = `${this.config.tracking_prefix}${digits}`;
+
+    const label = [
+      '^XA',
+      `^FO40,40^A0N,40,40^FD${this.name.toUpperCase()} ${service.code.toUpperCase()}^FS`,
+      `^FO40,100^A0N,30,30^FD${shipTo.name || ''}^FS`,
+      `^FO40,140^A0N,30,30^FD${[shipTo.line1, shipTo.city, shipTo.postal_code, shipTo.country].filter(Boolean).join(', ')}^FS`,
+      `^FO40,200^A0N,30,30^FD${parcels.length} parcel(s) - ref ${reference}^FS`,
+      `^FO40,260^BCN,120,Y,N,N^FD${trackingNumber}^FS`,
+      '^XZ'
+    ].join('\n');
+
+    return {
+      success: true,
+      tracking_number: trackingNumber,
+      service: service.code,
+      label_format: 'zpl',
+      label_data: Buffer.from(label).toString('base64')
+    };
+  }
+
+  /**
+   * Replay the file's tracking timeline from the ship date, up to now
+   */
+  async track({ tracking_number: trackingNumber, shipped_at: shippedAt }) {
+    await this.delay();
+
+    if (!trackingNumber || !trackingNumber.startsWith(this.config.tracking_prefix)) {
+      return this.failure('tracking_not_found', `No shipment with tracking number ${trackingNumber}`);
+    }
+
+    const start = new Date(shippedAt || Date.now()).getTime();
+    const events = this.config.tracking_events
+      .map(event => ({
+        status: event.status,
+        description: event.description,
+        location: event.location,
+        occurred_at: new Date(start + event.after_hours * 3600 * 1000)
+      }))
+      .filter(event => event.occurred_at.getTime() <= Date.now());
+
+    return {
+      success: true,
+      tracking_number: trackingNumber,
+      status: events.length > 0 ? events[events.length - 1].status : 'label_created',
+      events
+    };
+  }
+
+  /**
+   * Get the services offered to a country; a service without countries goes everywhere it does not exclude
+   */
+  getServices(country) {
+    return this.config.services.filter(service =>
+      (!service.countries || service.countries.includes(country)) &&
+      !(service.exclude_countries || []).includes(country)
+    );
+  }
+
+  /**
+   * Charge a parcel on the larger of its actual and volumetric weight, rounded up to the weight step
+   */
+  getChargeableWeight(parcel) {
+    const volumetric = parcel.length && parcel.width && parcel.height
+      ? (parcel.length * parcel.width * parcel.height) / this.config.volumetric_divisor
+      : 0;
+    const step = this.config.weight_step || 0.5;
+
+    return Math.ceil(Math.max(parcel.actual_weight, volumetric) / step) * step;
+  }
+
+  /**
+   * Round an amount to cents
+   */
+  roundMoney(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+
+  /**
+   * Wait for the file's simulated latency
+   */
+  delay() {
+    const latency = this.config.latency_ms || 0;
+    return latency > 0 ? new Promise(resolve => setTimeout(resolve, latency)) : Promise.resolve();
+  }
+}
+
+module.exports = StubCarrier;
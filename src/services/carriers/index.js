@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const StubCarrier = require('./StubCarrier');
+
+const carriers = new Map();
+
+// Milliseconds to wait for a carrier to answer a quote or label request
+const CARRIER_TIMEOUT_MS = parseInt(process.env.SHIPPING_CARRIER_TIMEOUT_MS, 10) || 2000;
+
+/**
+ * Settle a carrier call, or reject once a time limit passes
+ * @param {Promise} promise - Carrier call
+ * @param {number} ms - Time limit in milliseconds
+ * @param {string} message - Error message on timeout
+ * @returns {Promise} The call's result
+ */
+const withTimeout = (promise, ms, message) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Register a carrier adapter
+ * @param {CarrierAdapter} carrier - Carrier instance
+ */
+const registerCarrier = (carrier) => {
+  carriers.set(carrier.name, carrier);
+};
+
+/**
+ * Get a registered carrier
+ * @param {string} name - Carrier name
+ * @returns {CarrierAdapter} Carrier instance
+ */
+const getCarrier = (name) => {
+  const carrier = carriers.get(name);
+  if (!carrier) {
+    throw new Error(`Carrier ${name} is not available`);
+  }
+  return carrier;
+};
+
+/**
+ * List registered carrier names
+ * @returns {Array<string>} Carrier names
+ */
+const getAvailableCarriers = () => {
+  return Array.from(carriers.keys());
+};
+
+/**
+ * Get the carriers asked for quotes at checkout
+ * SHIPPING_CARRIERS lists them by name; names that are not registered are skipped, and none means
+ * table rates only.
+ * @returns {Array<CarrierAdapter>} Carrier instances
+ */
+const getQuotingCarriers = () => {
+  return (process.env.SHIPPING_CARRIERS || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => carriers.has(name))
+    .map(name => carriers.get(name));
+};
+
+/**
+ * Register a stub carrier for each JSON file in a directory
+ * @param {string} directory - Directory of stub carrier files
+ */
+const registerStubCarriers = (directory) => {
+  for (const file of fs.readdirSync(directory).filter(name => name.endsWith('.json')).sort()) {
+    registerCarrier(new StubCarrier(path.join(directory, file)));
+  }
+};
+
+// Stub carriers are only available in production when explicitly enabled
+if (process.env.NODE_ENV !== 'production' || process.env.CARRIER_STUBS_ENABLED === 'true') {
+  registerStubCarriers(process.env.CARRIER_STUB_DIR || path.join(__dirname, 'stubs'));
+}
+
+module.exports = {
+  CARRIER_TIMEOUT_MS,
+  withTimeout,
+  registerCarrier,
+  getCarrier,
+  getAvailableCarriers,
+  getQuotingCarriers,
+  registerStubCarriers
+};
@@ -0,0 +1,300 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./PaymentProvider');
+
+/**
+ * Test card numbers and their deterministic outcomes.
+ * Any other Luhn-valid number is authorized and captured normally.
+ */
+const TEST_CARDS = {
+  '4000000000000002': { failure_code: 'card_declined', failure_message: 'Your card was declined' },
+  '4000000000009995': { failure_code: 'insufficient_funds', failure_message: 'Your card has insufficient funds' },
+  '4000000000000069': { failure_code: 'expired_card', failure_message: 'Your card has expired' },
+  '4000000000000127': { failure_code: 'incorrect_cvc', failure_message: 'Your card\'s security code is incorrect' },
+  '4000000000000341': { capture_fails: true }
+};
+
+/**
+ * Test UPI handles and their deterministic outcomes.
+ * Any other well-formed VPA is authorized and captured normally.
+ */
+const TEST_VPAS = {
+  'failure@mock': { failure_code: 'upi_declined', failure_message: 'UPI collect request was declined by the payer' },
+  'timeout@mock': { failure_code: 'upi_timeout', failure_message: 'UPI collect request expired before approval' }
+};
+
+// Marker carried in the provider payment id so capture stays deterministic without in-memory state
+const CAPTURE_FAILS_SUFFIX = '_nocapture';
+
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z]{2,64}$/;
+
+const WEBHOOK_SIGNATURE_HEADER = 'x-mock-signature';
+
+// Deliveries signed longer ago than this are rejected to stop captured requests being replayed
+const WEBHOOK_TOLERANCE_SECONDS = parseInt(process.env.PAYMENT_WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+/**
+ * Deterministic in-process payment provider for development and tests.
+ * Outcomes depend only on the request, never on timing or randomness.
+ */
+class MockPaymentProvider extends PaymentProvider {
+  constructor() {
+    super('mock');
+  }
+
+  /**
+   * Authorize a card or UPI payment
+   */
+  async authorize({ amount, currency, reference, method, details = {} }) {
+    if (!(amount > 0)) {
+      return this.failure('invalid_amount', 'Payment amount must be greater than zero');
+    }
+
+    if (method === 'card') {
+      return this.authorizeCard(reference, currency, details);
+    }
+
+    if (method === 'upi') {
+      return this.authorizeUpi(reference, currency, details);
+    }
+
+    return this.failure('method_not_supported', `Payment method ${method} is not supported by the mock provider`);
+  }
+
+  /**
+   * Authorize a card payment
+   */
+  authorizeCard(reference, currency, details) {
+    const cardNumber = String(details.number || '').replace(/\s+/g, '');
+
+    if (!/^\d{12,19}$/.test(cardNumber) || !this.passesLuhn(cardNumber)) {
+      return this.failure('invalid_card_number', 'Card number is invalid');
+    }
+
+    const scenario = TEST_CARDS[cardNumber] || {};
+    if (scenario.failure_code) {
+      return this.failure(scenario.failure_code, scenario.failure_message);
+    }
+
+    return {
+      success: true,
+      provider_payment_id: `mock_pay_${reference}${scenario.capture_fails ? CAPTURE_FAILS_SUFFIX : ''}`,
+      meta: {
+        instrument: {
+          type: 'card',
+          brand: this.getCardBrand(cardNumber),
+          last4: cardNumber.slice(-4)
+        },
+        currency
+      }
+    };
+  }
+
+  /**
+   * Authorize a UPI collect payment
+   */
+  authorizeUpi(reference, currency, details) {
+    const vpa = String(details.vpa || '').trim().toLowerCase();
+
+    if (!VPA_PATTERN.test(vpa)) {
+      return this.failure('invalid_vpa', 'UPI ID is invalid');
+    }
+
+    const scenario = TEST_VPAS[vpa];
+    if (scenario) {
+      return this.failure(scenario.failure_code, scenario.failure_message);
+    }
+
+    const [handle, bank] = vpa.split('@');
+
+    return {
+      success: true,
+      provider_payment_id: `mock_pay_${reference}`,
+      meta: {
+        instrument: {
+          type: 'upi',
+          vpa: `${handle.slice(0, 2)}***@${bank}`
+        },
+        currency
+      }
+    };
+  }
+
+  /**
+   * Capture an authorized payment
+   */
+  async capture({ provider_payment_id, amount, reference }) {
+    if (!provider_payment_id) {
+      return this.failure('payment_not_found', 'No such payment');
+    }
+
+    if (provider_payment_id.endsWith(CAPTURE_FAILS_SUFFIX)) {
+      return this.failure('capture_failed', 'The issuer rejected the capture');
+    }
+
+    if (!(amount > 0)) {
+      return this.failure('invalid_amount', 'Capture amount must be greater than zero');
+    }
+
+    return {
+      success: true,
+      provider_reference: `mock_cap_${reference}`
+    };
+  }
+
+  /**
+   * Void an authorized payment
+   */
+  async void({ provider_payment_id, reference }) {
+    if (!provider_payment_id) {
+      return this.failure('payment_not_found', 'No such payment');
+    }
+
+    return {
+      success: true,
+      provider_reference: `mock_void_${reference}`
+    };
+  }
+
+  /**
+   * Refund a captured payment
+   */
+  async refund({ provider_payment_id, amount, reference }) {
+    if (!provider_payment_id) {
+      return this.failure('payment_not_found', 'No such payment');
+    }
+
+    if (!(amount > 0)) {
+      return this.failure('invalid_amount', 'Refund amount must be greater than zero');
+    }
+
+    return {
+      success: true,
+      provider_reference: `mock_rfnd_${reference}`
+    };
+  }
+
+  /**
+   * Get the shared secret used to sign webhooks
+   */
+  getWebhookSecret() {
+    return process.env.PAYMENT_MOCK_WEBHOOK_SECRET || 'mock_webhook_secret';
+  }
+
+  /**
+   * Build the signature header for a webhook body, e.g. t=1703412345,v1=5f2b...
+   * Used by tests and local tooling to simulate deliveries.
+   */
+  signWebhookPayload(rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+    const signature = crypto
+      .createHmac('sha256', this.getWebhookSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return `t=${timestamp},v1=${signature}`;
+  }
+
+  /**
+   * Verify the x-mock-signature header
+   */
+  verifyWebhookSignature(rawBody, headers) {
+    const header = headers[WEBHOOK_SIGNATURE_HEADER];
+    if (!header || !rawBody) {
+      return false;
+    }
+
+    const parts = Object.fromEntries(
+      header.split(',').map(part => part.trim().split('='))
+    );
+    const timestamp = parseInt(parts.t, 10);
+
+    if (!timestamp || Math.abs(Date.now() / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', this.getWebhookSecret())
+      .update(`${timestamp}.${rawBody}`)
+      .digest('hex');
+
+    return this.signaturesMatch(expected, parts.v1);
+  }
+
+  /**
+   * Normalize a mock webhook payload
+   * Payload: { id, type, created, data: { payment_id, amount, refund_id?, failure_code?, failure_message? } }
+   */
+  parseWebhookEvent(payload) {
+    if (!payload || !payload.id || !payload.type || !payload.data) {
+      throw new Error('Malformed webhook payload');
+    }
+
+    const data = payload.data;
+
+    return {
+      event_id: String(payload.id),
+      event_type: payload.type,
+      provider_payment_id: data.payment_id || null,
+      amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+      refund_id: data.refund_id || null,
+      failure_code: data.failure_code || null,
+      failure_message: data.failure_message || null,
+      occurred_at: payload.created ? new Date(payload.created * 1000) : null
+    };
+  }
+
+  /**
+   * Build a failure result
+   */
+  failure(failureCode, failureMessage) {
+    return {
+      success: false,
+      failure_code: failureCode,
+      failure_message: failureMessage
+    };
+  }
+
+  /**
+   * Validate card number checksum
+   */
+  passesLuhn(cardNumber) {
+    let sum = 0;
+    let double = false;
+
+    for (let i = cardNumber.length - 1; i >= 0; i--) {
+      let digit = parseInt(cardNumber[i], 10);
+      if (double) {
+        digit *= 2;
+        if (digit > 9) {
+          digit -= 9;
+        }
+      }
+      sum += digit;
+      double = !double;
+    }
+
+    return sum % 10 === 0;
+  }
+
+  /**
+   * Detect card brand from the number prefix
+   */
+  getCardBrand(cardNumber) {
+    if (/^4/.test(cardNumber)) {
+      return 'visa';
+    }
+    if (/^(5[1-5]|2[2-7])/.test(cardNumber)) {
+      return 'mastercard';
+    }
+    if (/^3[47]/.test(cardNumber)) {
+      return 'amex';
+    }
+    if (/^(60|65|81|82|508)/.test(cardNumber)) {
+      return 'rupay';
+    }
+    return 'unknown';
+  }
+}
+
+module.exports = MockPaymentProvider;
+module.exports.TEST_CARDS = TEST_CARDS;
+module.exports.TEST_VPAS = TEST_VPAS;
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+
+/**
+ * Payment provider adapter interface
+ *
+ * Every provider implements the same four operations. Each operation resolves
+ * with a result object instead of throwing for business failures (declines,
+ * expired cards, ...); it only throws for programming or transport errors.
+ *
+ * Result shape:
+ * {
+ *   success: boolean,
+ *   provider_payment_id?: string,  // authorize only
+ *   provider_reference?: string,   // capture/void/refund id at the provider
+ *   failure_code?: string,
+ *   failure_message?: string,
+ *   meta?: Object                  // non-sensitive instrument details (brand, last4, masked VPA)
+ * }
+ *
+ * Providers also verify and normalize their webhooks. Normalized events use
+ * the types payment.authorized, payment.captured, payment.failed,
+ * payment.voided and payment.refunded.
+ */
+class PaymentProvider {
+  /**
+   * @param {string} name - Provider name used in the registry and stored on payments
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Authorize an amount against a payment instrument
+   * @param {Object} request - { amount, currency, reference, method, details }
+   * @returns {Promise<Object>} Provider result
+   */
+  async authorize(_request) {
+    throw new Error(`Payment provider ${this.name} does not implement authorize`);
+  }
+
+  /**
+   * Capture a previously authorized amount
+   * @param {Object} request - { provider_payment_id, amount, currency, reference }
+   * @returns {Promise<Object>} Provider result
+   */
+  async capture(_request) {
+    throw new Error(`Payment provider ${this.name} does not implement capture`);
+  }
+
+  /**
+   * Void an authorization that has not been captured
+   * @param {Object} request - { provider_payment_id, reference }
+   * @returns {Promise<Object>} Provider result
+   */
+  async void(_request) {
+    throw new Error(`Payment provider ${this.name} does not implement void`);
+  }
+
+  /**
+   * Refund all or part of a captured amount
+   * @param {Object} request - { provider_payment_id, amount, currency, reference, reason }
+   * @returns {Promise<Object>} Provider result
+   */
+  async refund(_request) {
+    throw new Error(`Payment provider ${this.name} does not implement refund`);
+  }
+
+  /**
+   * Verify that a webhook delivery was signed by the provider
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @param {Object} headers - Request headers (lower-cased names)
+   * @returns {boolean} Whether the signature is valid
+   */
+  verifyWebhookSignature(_rawBody, _headers) {
+    throw new Error(`Payment provider ${this.name} does not implement webhooks`);
+  }
+
+  /**
+   * Normalize a verified webhook payload
+   * @param {Object} payload - Parsed webhook body
+   * @returns {Object} { event_id, event_type, provider_payment_id, amount, refund_id, failure_code, failure_message, occurred_at }
+   */
+  parseWebhookEvent(_payload) {
+    throw new Error(`Payment provider ${this.name} does not implement webhooks`);
+  }
+
+  /**
+   * Compare two hex signatures in constant time
+   * @param {string} expected - Signature computed locally
+   * @param {string} received - Signature sent by the provider
+   * @returns {boolean} Whether they match
+   */
+  signaturesMatch(expected, received) {
+    if (typeof received !== 'string' || !/^[0-9a-f]+$/i.test(received)) {
+      return false;
+    }
+
+    const expectedBuffer = Buffer.from(expected, 'hex');
+    const receivedBuffer = Buffer.from(received, 'hex');
+
+    return expectedBuffer.length === receivedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+  }
+}
+
+module.exports = PaymentProvider;
@@ -0,0 +1,52 @@
+const MockPaymentProvider = require('./MockPaymentProvider');
+
+const providers = new Map();
+
+/**
+ * Register a payment provider adapter
+ * @param {PaymentProvider} provider - Provider instance
+ */
+const registerPaymentProvider = (provider) => {
+  providers.set(provider.name, provider);
+};
+
+/**
+ * Get a registered payment provider
+ * @param {string} name - Provider name
+ * @returns {PaymentProvider} Provider instance
+ */
+const getPaymentProvider = (name) => {
+  const provider = providers.get(name);
+  if (!provider) {
+    throw new Error(`Payment provider ${name} is not available`);
+  }
+  return provider;
+};
+
+/**
+ * Get the provider used when the client does not ask for one
+ * @returns {string} Provider name
+ */
+const getDefaultPaymentProvider = () => {
+  return process.env.PAYMENT_PROVIDER || 'mock';
+};
+
+/**
+ * List registered provider names
+ * @returns {Array<string>} Provider names
+ */
+const getAvailablePaymentProviders = () => {
+  return Array.from(providers.keys());
+};
+
+// The mock provider is only available in production when explicitly enabled
+if (process.env.NODE_ENV !== 'production' || process.env.PAYMENT_MOCK_ENABLED === 'true') {
+  registerPaymentProvider(new MockPaymentProvider());
+}
+
+module.exports = {
+  registerPaymentProvider,
+  getPaymentProvider,
+  getDefaultPaymentProvider,
+  getAvailablePaymentProviders
+};
@@ -0,0 +1,98 @@
+const Joi = require('joi');
+const { addressSchema } = require('./checkoutSchemas');
+
+// Address ID param schema
+const addressIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Address book entry schema: the checkout address rules, with the email optional as orders use the account email
+const createAddressSchema = addressSchema.keys({
+  label: Joi.string().trim().min(1).max(60).optional(),
+  email: Joi.string().email().max(120).optional(),
+  is_default_shipping: Joi.boolean().optional(),
+  is_default_billing: Joi.boolean().optional()
+});
+
+// Address book update schema; any subset of the fields, with the country sent along with the
+// fields checked against it, and the postal code and state along with a new country
+const updateAddressSchema = createAddressSchema
+  .fork(['name', 'phone', 'line1', 'city', 'state', 'postal_code', 'country'], field => field.optional())
+  .keys({
+    label: Joi.string().trim().min(1).max(60).allow(null),
+    email: Joi.string().email().max(120).allow(null),
+    line2: Joi.string().max(255).allow('', null)
+  })
+  .with('postal_code', 'country')
+  .with('state', 'country')
+  .with('phone', 'country')
+  .with('country', ['postal_code', 'state'])
+  .min(1);
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  addressIdParamSchema,
+  createAddressSchema,
+  updateAddressSchema,
+
+  // Validation middleware
+  validate,
+  validateParams
+};
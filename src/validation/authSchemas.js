@@ -117,6 +117,17 @@ const resetPasswordSchema = Joi.object({
     })
 });
 
+// Email verification validation schema
+const verifyEmailSchema = Joi.object({
+  token: Joi.string()
+    .pattern(/^\d+\.\d{1,12}\.[0-9a-f]{64}$/)
+    .required()
+    .messages({
+      'string.pattern.base': 'Verification token is invalid',
+      'any.required': 'Verification token is required'
+    })
+});
+
 // 2FA enable validation schema
 const enable2FASchema = Joi.object({
   code: Joi.string()
@@ -179,6 +190,7 @@ module.exports = {
   refreshSchema,
   forgotPasswordSchema,
   resetPasswordSchema,
+  verifyEmailSchema,
   enable2FASchema,
   disable2FASchema,
   validate
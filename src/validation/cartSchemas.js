@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 
 /**
  * Validation schemas for cart operations
@@ -7,7 +8,7 @@ const Joi = require('joi');
 // Schema for creating/retrieving cart
 const createCartSchema = Joi.object({
   cart_token: Joi.string().uuid().optional(),
-  currency: Joi.string().length(3).valid('USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD').optional()
+  currency: Joi.string().length(3).valid(...SUPPORTED_CURRENCIES).optional()
 });
 
 // Schema for adding item to cart
@@ -26,6 +27,11 @@ const mergeCartSchema = Joi.object({
   guest_cart_token: Joi.string().uuid().required()
 });
 
+// Schema for applying or removing a coupon
+const couponSchema = Joi.object({
+  code: Joi.string().trim().min(3).max(40).required()
+});
+
 // Schema for cart query parameters
 const cartQuerySchema = Joi.object({
   cart_token: Joi.string().uuid().optional(),
@@ -130,6 +136,7 @@ module.exports = {
   addItemSchema,
   updateItemSchema,
   mergeCartSchema,
+  couponSchema,
   cartQuerySchema,
   validate,
   validateQuery,
@@ -1,19 +1,79 @@
 const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+const {
+  ADDRESS_FORMATS,
+  ADDRESS_COUNTRIES,
+  normalizePostalCode,
+  isValidPostalCode,
+  normalizeSubdivision,
+  normalizePhone
+} = require('../config/addresses');
+
+/**
+ * Get the country of the address a field belongs to, when it is one we have rules for
+ */
+const getAddressCountry = (helpers) => {
+  const country = helpers.state.ancestors[0]?.country;
+  return ADDRESS_FORMATS[country] ? country : null;
+};
+
+// Postal code in the country's format, stored in its canonical form (e.g. 94105-1234, SW1A 1AA, K1A 0B1)
+const postalCodeField = Joi.string().trim().min(1).max(20).custom((value, helpers) => {
+  const country = getAddressCountry(helpers);
+  if (!country) {
+    return value;
+  }
+
+  const postalCode = normalizePostalCode(value, country);
+  if (!isValidPostalCode(postalCode, country)) {
+    return helpers.error('postalCode.invalid', {
+      country,
+      example: ADDRESS_FORMATS[country].postalCode.example
+    });
+  }
+  return postalCode;
+}).messages({
+  'postalCode.invalid': '{{#label}} is not a valid postal code for {{#country}} (e.g. {{#example}})'
+});
+
+// State or province; countries with a bundled list take a code or name and store the code
+const stateField = Joi.string().trim().min(1).max(120).custom((value, helpers) => {
+  const country = getAddressCountry(helpers);
+  if (!country) {
+    return value;
+  }
+
+  const state = normalizeSubdivision(value, country);
+  if (!state) {
+    return helpers.error('state.invalid', { country });
+  }
+  return state;
+}).messages({
+  'state.invalid': '{{#label}} is not a state or province of {{#country}}'
+});
+
+// Phone number, stored in E.164; national numbers are read in the address country
+const phoneField = Joi.string().trim().min(1).max(32).custom((value, helpers) => {
+  const phone = normalizePhone(value, getAddressCountry(helpers));
+  if (!phone) {
+    return helpers.error('phone.invalid');
+  }
+  return phone;
+}).messages({
+  'phone.invalid': '{{#label}} must be a valid phone number, e.g. +14155550123'
+});
 
 // Address validation schema
 const addressSchema = Joi.object({
   name: Joi.string().min(1).max(120).required(),
-  phone: Joi.string().min(1).max(20).required(),
+  phone: phoneField.required(),
   email: Joi.string().email().max(120).required(),
   line1: Joi.string().min(1).max(255).required(),
   line2: Joi.string().max(255).allow('').optional(),
   city: Joi.string().min(1).max(120).required(),
-  state: Joi.string().min(1).max(120).required(),
-  postal_code: Joi.string().min(1).max(20).required(),
-  country: Joi.string().length(2).valid(
-    'US', 'CA', 'GB', 'IN', 'AU', 'DE', 'FR', 'IT', 'ES', 'NL', 
-    'BR', 'MX', 'JP', 'CN', 'KR', 'SG', 'MY', 'TH', 'PH', 'ID', 'VN'
-  ).required()
+  state: stateField.required(),
+  postal_code: postalCodeField.required(),
+  country: Joi.string().length(2).valid(...ADDRESS_COUNTRIES).required()
 });
 
 // Cart item validation schema
@@ -25,46 +85,114 @@ const cartItemSchema = Joi.object({
   product: Joi.object({
     id: Joi.number().integer().positive().required(),
     name: Joi.string().required(),
-    weight: Joi.number().min(0).optional()
+    // Weight in kg and dimensions in cm of one unit
+    weight: Joi.number().min(0).optional(),
+    length: Joi.number().min(0).optional(),
+    width: Joi.number().min(0).optional(),
+    height: Joi.number().min(0).optional()
   }).optional()
 });
 
-// Create checkout session schema
+// Guest contact details; the email receives order emails and order lookup links
+const guestInfoSchema = Joi.object({
+  email: Joi.string().trim().lowercase().email().max(120).required()
+});
+
+// Shipping method code; the methods are managed by admins, so whether it is offered is checked when pricing
+const shippingMethodCodeSchema = Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(40);
+
+// Create checkout session schema; signed-in customers can pick saved addresses by ID instead
 const createCheckoutSessionSchema = Joi.object({
   cart_id: Joi.number().integer().positive().required(),
-  shipping_address: addressSchema.required(),
-  billing_address: addressSchema.required(),
-  shipping_method: Joi.string().valid('standard', 'express', 'overnight', 'pickup').required()
-});
+  cart_token: Joi.string().uuid().optional(),
+  guest_info: guestInfoSchema.optional(),
+  shipping_address: addressSchema,
+  shipping_address_id: Joi.number().integer().positive(),
+  billing_address: addressSchema,
+  billing_address_id: Joi.number().integer().positive(),
+  shipping_method: shippingMethodCodeSchema.required()
+})
+  .xor('shipping_address', 'shipping_address_id')
+  .xor('billing_address', 'billing_address_id');
 
 // Get checkout session schema (for params)
 const getCheckoutSessionSchema = Joi.object({
   id: Joi.number().integer().positive().required()
 });
 
+// Checkout session query schema; guests prove they own the cart with its token
+const checkoutSessionQuerySchema = Joi.object({
+  cart_token: Joi.string().uuid().optional()
+});
+
+// Extend checkout session schema
+const extendCheckoutSessionSchema = Joi.object({
+  cart_token: Joi.string().uuid().optional()
+});
+
+// Pay checkout session schema
+const payCheckoutSchema = Joi.object({
+  cart_token: Joi.string().uuid().optional(),
+  provider: Joi.string().max(32).optional(),
+  // Not needed when gift cards and store credit cover the whole total
+  method: Joi.string().valid('card', 'upi', 'netbanking', 'wallet').optional(),
+  card: Joi.when('method', {
+    is: 'card',
+    then: Joi.object({
+      number: Joi.string().pattern(/^[\d ]{12,23}$/).required(),
+      exp_month: Joi.number().integer().min(1).max(12).required(),
+      exp_year: Joi.number().integer().min(2000).max(2100).required(),
+      cvc: Joi.string().pattern(/^\d{3,4}$/).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  }),
+  upi: Joi.when('method', {
+    is: 'upi',
+    then: Joi.object({
+      vpa: Joi.string().max(256).required()
+    }).required(),
+    otherwise: Joi.forbidden()
+  })
+});
+
+// Apply gift card or store credit schema; no amount uses as much as is due
+const applyTenderSchema = Joi.object({
+  cart_token: Joi.string().uuid().optional(),
+  type: Joi.string().valid('gift_card', 'store_credit').required(),
+  code: Joi.when('type', {
+    is: 'gift_card',
+    then: Joi.string().trim().min(16).max(24).required(),
+    otherwise: Joi.forbidden()
+  }),
+  amount: Joi.number().positive().precision(2).optional()
+});
+
+// Checkout tender params schema
+const checkoutTenderParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  tenderId: Joi.number().integer().positive().required()
+});
+
 // Shipping methods request schema
 const shippingMethodsSchema = Joi.object({
   shipping_address: addressSchema.required(),
-  cart_items: Joi.array().items(cartItemSchema).min(1).required()
+  cart_items: Joi.array().items(cartItemSchema).min(1).required(),
+  currency: Joi.string().length(3).valid(...SUPPORTED_CURRENCIES).default('INR')
 });
 
 // Shipping cost calculation schema
 const shippingCostSchema = Joi.object({
   shipping_address: addressSchema.required(),
   cart_items: Joi.array().items(cartItemSchema).min(1).required(),
-  shipping_method: Joi.string().valid('standard', 'express', 'overnight', 'pickup').default('standard'),
-  currency: Joi.string().length(3).valid('USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD').default('INR')
+  shipping_method: shippingMethodCodeSchema.default('standard'),
+  currency: Joi.string().length(3).valid(...SUPPORTED_CURRENCIES).default('INR')
 });
 
 // Tax calculation schema
 const taxCalculationSchema = Joi.object({
   shipping_address: addressSchema.required(),
   cart_items: Joi.array().items(cartItemSchema).min(1).required(),
-  currency: Joi.string().length(3).valid('USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD').default('INR'),
-  customer_info: Joi.object({
-    type: Joi.string().valid('individual', 'business').default('individual'),
-    tax_id: Joi.string().optional()
-  }).optional()
+  currency: Joi.string().length(3).valid(...SUPPORTED_CURRENCIES).default('INR')
 });
 
 // Customer info schema
@@ -80,46 +208,15 @@ const guestCheckoutSchema = Joi.object({
   cart_id: Joi.number().integer().positive().required(),
   shipping_address: addressSchema.required(),
   billing_address: addressSchema.required(),
-  shipping_method: Joi.string().valid('standard', 'express', 'overnight', 'pickup').required(),
+  shipping_method: shippingMethodCodeSchema.required(),
   guest_info: Joi.object({
     email: Joi.string().email().required(),
     phone: Joi.string().min(1).max(20).optional()
   }).optional()
 });
 
-// Address validation for different countries
-const countrySpecificAddressSchema = Joi.object({
-  name: Joi.string().min(1).max(120).required(),
-  phone: Joi.string().min(1).max(20).required(),
-  email: Joi.string().email().max(120).required(),
-  line1: Joi.string().min(1).max(255).required(),
-  line2: Joi.string().max(255).allow('').optional(),
-  city: Joi.string().min(1).max(120).required(),
-  state: Joi.string().min(1).max(120).required(),
-  postal_code: Joi.string().min(1).max(20).required(),
-  country: Joi.string().length(2).required()
-}).custom((value, helpers) => {
-  // Custom validation for postal codes based on country
-  const postalCodePatterns = {
-    'US': /^\d{5}(-\d{4})?$/,
-    'CA': /^[A-Za-z]\d[A-Za-z] \d[A-Za-z]\d$/,
-    'GB': /^[A-Z]{1,2}\d[A-Z\d]? \d[A-Z]{2}$/,
-    'IN': /^\d{6}$/,
-    'AU': /^\d{4}$/,
-    'DE': /^\d{5}$/,
-    'FR': /^\d{5}$/,
-    'IT': /^\d{5}$/,
-    'ES': /^\d{5}$/,
-    'NL': /^\d{4} [A-Z]{2}$/
-  };
-
-  const pattern = postalCodePatterns[value.country];
-  if (pattern && !pattern.test(value.postal_code)) {
-    return helpers.error('postalCode.invalid', { country: value.country });
-  }
-
-  return value;
-});
+// Address validation for different countries; the address schema applies the country rules itself
+const countrySpecificAddressSchema = addressSchema;
 
 // Validation middleware functions
 const validate = (schema) => {
@@ -210,6 +307,11 @@ module.exports = {
   // Schemas
   createCheckoutSessionSchema,
   getCheckoutSessionSchema,
+  checkoutSessionQuerySchema,
+  extendCheckoutSessionSchema,
+  payCheckoutSchema,
+  applyTenderSchema,
+  checkoutTenderParamSchema,
   shippingMethodsSchema,
   shippingCostSchema,
   taxCalculationSchema,
@@ -218,6 +320,7 @@ module.exports = {
   addressSchema,
   cartItemSchema,
   customerInfoSchema,
+  guestInfoSchema,
   
   // Validation middleware
   validate,
@@ -0,0 +1,166 @@
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+const idList = Joi.array().items(Joi.number().integer().positive()).min(1).unique();
+
+// Coupon ID param schema
+const couponIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Fields shared by create and update
+const couponFields = {
+  code: Joi.string().trim().uppercase().pattern(/^[A-Z0-9_-]{3,40}$/)
+    .messages({
+      'string.pattern.base': 'Code must be 3-40 letters, digits, hyphens or underscores'
+    }),
+  description: Joi.string().trim().max(255).allow(null, ''),
+  type: Joi.string().valid('percentage', 'fixed_amount', 'free_shipping'),
+  value: Joi.number().min(0).precision(2),
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).allow(null),
+  min_subtotal: Joi.number().min(0).precision(2).allow(null),
+  applies_to: Joi.string().valid('all', 'categories', 'products'),
+  category_ids: idList.allow(null),
+  product_ids: idList.allow(null),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null),
+  usage_limit: Joi.number().integer().min(1).allow(null),
+  usage_limit_per_customer: Joi.number().integer().min(1).allow(null),
+  is_active: Joi.boolean()
+};
+
+// Coupon creation schema
+const createCouponSchema = Joi.object({
+  ...couponFields,
+  code: couponFields.code.required(),
+  type: couponFields.type.required(),
+  value: couponFields.value.when('type', {
+    is: 'free_shipping',
+    then: Joi.optional(),
+    otherwise: Joi.required()
+  }),
+  currency: couponFields.currency.when('type', {
+    is: 'fixed_amount',
+    then: Joi.required().invalid(null)
+  }),
+  category_ids: couponFields.category_ids.when('applies_to', {
+    is: 'categories',
+    then: Joi.required().invalid(null)
+  }),
+  product_ids: couponFields.product_ids.when('applies_to', {
+    is: 'products',
+    then: Joi.required().invalid(null)
+  }),
+  ends_at: couponFields.ends_at.when('starts_at', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('starts_at'))
+  })
+});
+
+// Coupon update schema
+const updateCouponSchema = Joi.object(couponFields).min(1);
+
+// Coupon list query schema
+const couponListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  is_active: Joi.boolean().optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  couponIdParamSchema,
+  createCouponSchema,
+  updateCouponSchema,
+  couponListQuerySchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
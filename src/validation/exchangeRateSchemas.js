@@ -0,0 +1,93 @@
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+const currencyCode = Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES)
+  .messages({
+    'any.only': `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
+  });
+
+// Currency pair param schema
+const currencyPairParamSchema = Joi.object({
+  base: currencyCode.required(),
+  quote: currencyCode.required()
+}).custom((value, helpers) => {
+  if (value.base === value.quote) {
+    return helpers.message('Quote currency must differ from base currency');
+  }
+  return value;
+});
+
+// Exchange rate schema
+const setExchangeRateSchema = Joi.object({
+  rate: Joi.number().positive().precision(8).max(1000000).required()
+    .messages({
+      'number.positive': 'Rate must be greater than 0'
+    })
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  currencyPairParamSchema,
+  setExchangeRateSchema,
+
+  // Validation middleware
+  validate,
+  validateParams
+};
@@ -0,0 +1,138 @@
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+// Gift card ID param schema
+const giftCardIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Gift card code param schema; dashes and case are optional
+const giftCardCodeParamSchema = Joi.object({
+  code: Joi.string().trim().pattern(/^[A-Za-z0-9-]{16,24}$/).required()
+    .messages({
+      'string.pattern.base': 'Code must look like XXXX-XXXX-XXXX-XXXX'
+    })
+});
+
+// Gift card issue schema
+const issueGiftCardSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).required(),
+  expires_at: Joi.date().iso().greater('now').allow(null).optional(),
+  recipient_email: Joi.string().trim().lowercase().email().max(120).optional(),
+  note: Joi.string().trim().max(255).optional()
+});
+
+// Gift card update schema; the balance only moves through the ledger
+const updateGiftCardSchema = Joi.object({
+  status: Joi.string().valid('active', 'disabled'),
+  expires_at: Joi.date().iso().allow(null),
+  note: Joi.string().trim().max(255).allow(null, '')
+}).min(1);
+
+// Gift card list query schema
+const giftCardListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('active', 'disabled').optional(),
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  giftCardIdParamSchema,
+  giftCardCodeParamSchema,
+  issueGiftCardSchema,
+  updateGiftCardSchema,
+  giftCardListQuerySchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
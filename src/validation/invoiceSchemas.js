@@ -0,0 +1,148 @@
+const Joi = require('joi');
+
+const ORDER_NUMBER_PATTERN = /^GM-\d{6}-[0-9A-Z]{6}$/;
+const INVOICE_NUMBER_PATTERN = /^INV-\d{8}$/;
+const CREDIT_NOTE_NUMBER_PATTERN = /^CN-\d{8}$/;
+
+// Order credit note param schema
+const orderCreditNoteParamSchema = Joi.object({
+  number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    }),
+  creditNoteNumber: Joi.string().trim().uppercase().pattern(CREDIT_NOTE_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Credit note number must look like CN-00000000'
+    })
+});
+
+// Invoice number param schema
+const invoiceNumberParamSchema = Joi.object({
+  number: Joi.string().trim().uppercase().pattern(INVOICE_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Invoice number must look like INV-00000000'
+    })
+});
+
+// Credit note number param schema
+const creditNoteNumberParamSchema = Joi.object({
+  number: Joi.string().trim().uppercase().pattern(CREDIT_NOTE_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Credit note number must look like CN-00000000'
+    })
+});
+
+// Staff invoice list query schema
+const invoiceListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  from: Joi.date().iso().optional(),
+  to: Joi.date().iso().min(Joi.ref('from')).optional()
+});
+
+// Document sync schema
+const syncDocumentsSchema = Joi.object({
+  order_number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    })
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  orderCreditNoteParamSchema,
+  invoiceNumberParamSchema,
+  creditNoteNumberParamSchema,
+  invoiceListQuerySchema,
+  syncDocumentsSchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
@@ -0,0 +1,213 @@
+const Joi = require('joi');
+
+const ORDER_NUMBER_PATTERN = /^GM-\d{6}-[0-9A-Z]{6}$/;
+
+// Order number parameter schema
+const orderNumberParamSchema = Joi.object({
+  number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    })
+});
+
+// Order list query schema
+const orderListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Shipment parameter schema
+const shipmentParamSchema = Joi.object({
+  number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    }),
+  shipmentId: Joi.number().integer().positive().required()
+});
+
+// Staff order list query schema
+const adminOrderListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string()
+    .valid('placed', 'paid', 'picking', 'packed', 'shipped', 'delivered', 'cancelled', 'returned')
+    .optional()
+});
+
+// Order status transition schema
+const orderTransitionSchema = Joi.object({
+  status: Joi.string().valid('paid', 'picking', 'packed', 'delivered', 'returned').required()
+    .messages({
+      'any.only': 'Status must be one of paid, picking, packed, delivered, returned (ship orders by creating shipments)'
+    }),
+  note: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Create shipment schema; with purchase_label the carrier assigns the tracking number
+const createShipmentSchema = Joi.object({
+  carrier: Joi.string().trim().min(2).max(64).required(),
+  purchase_label: Joi.boolean().default(false),
+  tracking_number: Joi.string().trim().min(3).max(128).pattern(/^[A-Za-z0-9-]+$/)
+    .when('purchase_label', { is: true, then: Joi.forbidden(), otherwise: Joi.required() })
+    .messages({
+      'string.pattern.base': 'Tracking number can only contain letters, digits and dashes',
+      'any.unknown': 'Tracking number is assigned by the carrier when buying a label'
+    }),
+  service: Joi.string().trim().max(64).pattern(/^[a-z0-9_]+$/)
+    .when('purchase_label', { is: true, then: Joi.optional(), otherwise: Joi.forbidden() })
+    .messages({
+      'any.unknown': 'Service can only be chosen when buying a label'
+    }),
+  items: Joi.array().items(
+    Joi.object({
+      order_item_id: Joi.number().integer().positive().required(),
+      qty: Joi.number().integer().min(1).max(999).required()
+    })
+  ).min(1).max(100).unique('order_item_id').required()
+    .messages({
+      'array.unique': 'Each order item can only be listed once per shipment'
+    })
+});
+
+// Cancel order schema (no items cancels everything not yet cancelled)
+const cancelOrderSchema = Joi.object({
+  items: Joi.array().items(
+    Joi.object({
+      order_item_id: Joi.number().integer().positive().required(),
+      qty: Joi.number().integer().min(1).max(999).required()
+    })
+  ).min(1).max(100).unique('order_item_id').optional()
+    .messages({
+      'array.unique': 'Each order item can only be listed once'
+    }),
+  reason: Joi.string().trim().max(500).allow('').optional()
+});
+
+// Guest order link request schema
+const guestOrderLinkSchema = Joi.object({
+  order_number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    }),
+  email: Joi.string().trim().lowercase().email().max(120).required()
+});
+
+// Guest order query schema (token from the emailed link)
+const guestOrderQuerySchema = Joi.object({
+  token: Joi.string().pattern(/^\d{1,12}\.[0-9a-f]{64}$/).required()
+    .messages({
+      'string.pattern.base': 'Order link is invalid'
+    })
+});
+
+// Guest order claim schema (token from the emailed link)
+const claimGuestOrdersSchema = Joi.object({
+  token: Joi.string().pattern(/^\d{1,12}\.[0-9a-f]{64}$/).required()
+    .messages({
+      'string.pattern.base': 'Order link is invalid'
+    })
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  orderNumberParamSchema,
+  orderListQuerySchema,
+  shipmentParamSchema,
+  adminOrderListQuerySchema,
+  orderTransitionSchema,
+  createShipmentSchema,
+  cancelOrderSchema,
+  guestOrderLinkSchema,
+  guestOrderQuerySchema,
+  claimGuestOrdersSchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
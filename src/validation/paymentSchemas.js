@@ -0,0 +1,118 @@
+const Joi = require('joi');
+
+// Webhook provider parameter schema
+const webhookProviderParamSchema = Joi.object({
+  provider: Joi.string().lowercase().pattern(/^[a-z0-9_-]{2,32}$/).required()
+});
+
+// Webhook event ID parameter schema
+const webhookEventParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Webhook event list query schema
+const webhookEventQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  provider: Joi.string().max(32).optional(),
+  status: Joi.string().valid('received', 'processed', 'ignored', 'deferred', 'failed').optional(),
+  event_type: Joi.string().max(64).optional(),
+  provider_payment_id: Joi.string().max(128).optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  webhookProviderParamSchema,
+  webhookEventParamSchema,
+  webhookEventQuerySchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
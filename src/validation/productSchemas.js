@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
 const { getAllowedBadges, validateBadges } = require('../config/sustainability');
 
 // Category validation schemas
@@ -21,6 +22,16 @@ const createCategorySchema = Joi.object({
       'number.integer': 'Parent ID must be an integer',
       'number.positive': 'Parent ID must be positive'
     }),
+  tax_class_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Tax class ID must be a number',
+      'number.integer': 'Tax class ID must be an integer',
+      'number.positive': 'Tax class ID must be positive'
+    }),
   is_active: Joi.boolean()
     .default(true)
     .optional()
@@ -48,6 +59,16 @@ const updateCategorySchema = Joi.object({
       'number.integer': 'Parent ID must be an integer',
       'number.positive': 'Parent ID must be positive'
     }),
+  tax_class_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Tax class ID must be a number',
+      'number.integer': 'Tax class ID must be an integer',
+      'number.positive': 'Tax class ID must be positive'
+    }),
   is_active: Joi.boolean()
     .optional()
     .messages({
@@ -108,12 +129,12 @@ const createProductSchema = Joi.object({
     }),
   currency: Joi.string()
     .length(3)
-    .valid('USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD')
+    .valid(...SUPPORTED_CURRENCIES)
     .default('USD')
     .optional()
     .messages({
       'string.length': 'Currency must be exactly 3 characters',
-      'any.only': 'Currency must be one of: USD, EUR, GBP, INR, CAD, AUD'
+      'any.only': `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
     }),
   status: Joi.string()
     .valid('draft', 'published', 'archived')
@@ -122,6 +143,56 @@ const createProductSchema = Joi.object({
     .messages({
       'any.only': 'Status must be one of: draft, published, archived'
     }),
+  // Shipping weight (kg) and outer dimensions (cm) of one unit, used to pack and price shipping
+  weight: Joi.number()
+    .precision(3)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Weight must be a number',
+      'number.positive': 'Weight must be positive'
+    }),
+  length: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Length must be a number',
+      'number.positive': 'Length must be positive'
+    }),
+  width: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Width must be a number',
+      'number.positive': 'Width must be positive'
+    }),
+  height: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Height must be a number',
+      'number.positive': 'Height must be positive'
+    }),
+  is_gift_card: Joi.boolean()
+    .optional(),
+  // Leave unset to use the category's tax class
+  tax_class_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Tax class ID must be a number',
+      'number.integer': 'Tax class ID must be an integer',
+      'number.positive': 'Tax class ID must be positive'
+    }),
   sustainability_badges: Joi.array()
     .items(Joi.string().valid(...getAllowedBadges()))
     .max(10)
@@ -186,11 +257,11 @@ const updateProductSchema = Joi.object({
     }),
   currency: Joi.string()
     .length(3)
-    .valid('USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD')
+    .valid(...SUPPORTED_CURRENCIES)
     .optional()
     .messages({
       'string.length': 'Currency must be exactly 3 characters',
-      'any.only': 'Currency must be one of: USD, EUR, GBP, INR, CAD, AUD'
+      'any.only': `Currency must be one of: ${SUPPORTED_CURRENCIES.join(', ')}`
     }),
   status: Joi.string()
     .valid('draft', 'published', 'archived')
@@ -198,6 +269,56 @@ const updateProductSchema = Joi.object({
     .messages({
       'any.only': 'Status must be one of: draft, published, archived'
     }),
+  // Shipping weight (kg) and outer dimensions (cm) of one unit, used to pack and price shipping
+  weight: Joi.number()
+    .precision(3)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Weight must be a number',
+      'number.positive': 'Weight must be positive'
+    }),
+  length: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Length must be a number',
+      'number.positive': 'Length must be positive'
+    }),
+  width: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Width must be a number',
+      'number.positive': 'Width must be positive'
+    }),
+  height: Joi.number()
+    .precision(1)
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Height must be a number',
+      'number.positive': 'Height must be positive'
+    }),
+  is_gift_card: Joi.boolean()
+    .optional(),
+  // Leave unset to use the category's tax class
+  tax_class_id: Joi.number()
+    .integer()
+    .positive()
+    .allow(null)
+    .optional()
+    .messages({
+      'number.base': 'Tax class ID must be a number',
+      'number.integer': 'Tax class ID must be an integer',
+      'number.positive': 'Tax class ID must be positive'
+    }),
   sustainability_badges: Joi.array()
     .items(Joi.string().valid(...getAllowedBadges()))
     .max(10)
@@ -0,0 +1,196 @@
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+const PROMOTION_TYPES = ['buy_x_get_y', 'tiered_spend', 'bundle_price'];
+
+const idList = Joi.array().items(Joi.number().integer().positive()).min(1).unique();
+const percentOff = Joi.number().greater(0).max(100).precision(2);
+
+// Type-specific rules
+const buyXGetYRules = Joi.object({
+  buy_qty: Joi.number().integer().min(1).max(100).required(),
+  get_qty: Joi.number().integer().min(1).max(100).required(),
+  percent_off: percentOff.default(100)
+});
+
+const tieredSpendRules = Joi.object({
+  tiers: Joi.array().items(Joi.object({
+    min_subtotal: Joi.number().min(0).precision(2).required(),
+    percent_off: percentOff.required()
+  })).min(1).max(10).unique('min_subtotal').required()
+});
+
+const bundlePriceRules = Joi.object({
+  items: Joi.array().items(Joi.object({
+    sku: Joi.string().min(1).max(64).required(),
+    qty: Joi.number().integer().min(1).max(100).required()
+  })).min(1).max(20).unique('sku').required(),
+  price: Joi.number().positive().precision(2).required()
+});
+
+const rulesForType = Joi.when('type', {
+  switch: [
+    { is: 'buy_x_get_y', then: buyXGetYRules },
+    { is: 'tiered_spend', then: tieredSpendRules },
+    { is: 'bundle_price', then: bundlePriceRules }
+  ]
+});
+
+// Promotion ID param schema
+const promotionIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Fields shared by create and update
+const promotionFields = {
+  name: Joi.string().trim().min(2).max(120),
+  description: Joi.string().trim().max(255).allow(null, ''),
+  type: Joi.string().valid(...PROMOTION_TYPES),
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).allow(null),
+  applies_to: Joi.string().valid('all', 'categories', 'products'),
+  category_ids: idList.allow(null),
+  product_ids: idList.allow(null),
+  priority: Joi.number().integer().min(0).max(10000),
+  exclusive: Joi.boolean(),
+  starts_at: Joi.date().iso().allow(null),
+  ends_at: Joi.date().iso().allow(null),
+  is_active: Joi.boolean()
+};
+
+// Promotion creation schema
+const createPromotionSchema = Joi.object({
+  ...promotionFields,
+  name: promotionFields.name.required(),
+  type: promotionFields.type.required(),
+  rules: rulesForType.required(),
+  currency: promotionFields.currency.when('type', {
+    is: Joi.valid('tiered_spend', 'bundle_price'),
+    then: Joi.required().invalid(null)
+  }),
+  category_ids: promotionFields.category_ids.when('applies_to', {
+    is: 'categories',
+    then: Joi.required().invalid(null)
+  }),
+  product_ids: promotionFields.product_ids.when('applies_to', {
+    is: 'products',
+    then: Joi.required().invalid(null)
+  }),
+  ends_at: promotionFields.ends_at.when('starts_at', {
+    is: Joi.date().required(),
+    then: Joi.date().greater(Joi.ref('starts_at'))
+  })
+});
+
+// Promotion update schema; rules are checked against the type when both are sent, and by the model otherwise
+const updatePromotionSchema = Joi.object({
+  ...promotionFields,
+  rules: Joi.object().when('type', {
+    is: Joi.exist(),
+    then: rulesForType
+  })
+}).min(1);
+
+// Promotion list query schema
+const promotionListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  is_active: Joi.boolean().optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  promotionIdParamSchema,
+  createPromotionSchema,
+  updatePromotionSchema,
+  promotionListQuerySchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
@@ -0,0 +1,178 @@
+const Joi = require('joi');
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'no_longer_needed', 'other'];
+const ITEM_CONDITIONS = ['unopened', 'good', 'damaged', 'unusable'];
+
+// Create return request schema
+const createReturnSchema = Joi.object({
+  order_number: Joi.string().trim().uppercase().pattern(/^GM-\d{6}-[0-9A-Z]{6}$/).required()
+    .messages({
+      'string.pattern.base': 'Order number must look like GM-YYMMDD-XXXXXX'
+    }),
+  items: Joi.array().items(
+    Joi.object({
+      order_item_id: Joi.number().integer().positive().required(),
+      qty: Joi.number().integer().min(1).max(999).required(),
+      reason: Joi.string().valid(...RETURN_REASONS).required()
+    })
+  ).min(1).max(100).unique('order_item_id').required()
+    .messages({
+      'array.unique': 'Each order item can only be listed once'
+    }),
+  note: Joi.string().trim().max(1000).allow('').optional()
+});
+
+// Return decision schemas
+const approveReturnSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow('').optional()
+});
+
+const rejectReturnSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(1000).required()
+    .messages({
+      'any.required': 'A note explaining the rejection is required'
+    })
+});
+
+// Receive return schema
+const receiveReturnSchema = Joi.object({
+  items: Joi.array().items(
+    Joi.object({
+      return_item_id: Joi.number().integer().positive().required(),
+      condition: Joi.string().valid(...ITEM_CONDITIONS).required()
+    })
+  ).min(1).max(100).unique('return_item_id').required()
+    .messages({
+      'array.unique': 'Each return item can only be listed once'
+    }),
+  note: Joi.string().trim().max(1000).allow('').optional()
+});
+
+// RMA number parameter schema
+const rmaNumberParamSchema = Joi.object({
+  rma_number: Joi.string().trim().uppercase().pattern(/^RMA-\d{6}-[0-9A-Z]{6}$/).required()
+    .messages({
+      'string.pattern.base': 'RMA number must look like RMA-YYMMDD-XXXXXX'
+    })
+});
+
+// Return ID parameter schema
+const returnIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Customer return list query schema
+const returnListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Staff return list query schema
+const adminReturnListQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  status: Joi.string().valid('requested', 'approved', 'rejected', 'received').optional(),
+  refund_status: Joi.string().valid('none', 'pending', 'refunded', 'failed').optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  createReturnSchema,
+  approveReturnSchema,
+  rejectReturnSchema,
+  receiveReturnSchema,
+  rmaNumberParamSchema,
+  returnIdParamSchema,
+  returnListQuerySchema,
+  adminReturnListQuerySchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
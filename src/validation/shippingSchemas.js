@@ -0,0 +1,282 @@
+const Joi = require('joi');
+const { ADDRESS_COUNTRIES } = require('../config/addresses');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+// Shipping zone, method, rate, box or calendar ID param schema
+const shippingIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Calendar and holiday ID params schema
+const holidayIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required(),
+  holidayId: Joi.number().integer().positive().required()
+});
+
+// Zone and method codes
+const codeSchema = Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(40);
+
+// Zone region: a country, optionally narrowed to a state or a range of postal code prefixes
+const regionSchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).required(),
+  state: Joi.string().trim().uppercase().min(1).max(10).allow(null).optional(),
+  postal_code_from: Joi.string().trim().uppercase().min(1).max(12).allow(null).optional(),
+  // Leave out to match the postal_code_from prefix only
+  postal_code_to: Joi.string().trim().uppercase().min(1).max(12).allow(null).optional()
+}).with('postal_code_to', 'postal_code_from');
+
+// Shipping zone schema; a new default zone takes over from the current one
+const createShippingZoneSchema = Joi.object({
+  code: codeSchema.required(),
+  name: Joi.string().trim().min(1).max(120).required(),
+  is_default: Joi.boolean().optional(),
+  is_active: Joi.boolean().optional(),
+  regions: Joi.array().items(regionSchema).max(500).optional()
+});
+
+// Shipping zone update schema; the code cannot change, regions replace the zone's regions, and
+// a zone stops being the default only when another zone is made the default
+const updateShippingZoneSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  is_default: Joi.boolean().valid(true),
+  is_active: Joi.boolean(),
+  regions: Joi.array().items(regionSchema).max(500)
+}).min(1);
+
+// Time of day as HH:MM
+const cutoffTimeSchema = Joi.string().trim().pattern(/^([01]\d|2[0-3]):[0-5]\d$/);
+
+// Business days in transit; the two are set together and max is at least min
+const transitDaysMinSchema = Joi.number().integer().min(0).max(60).allow(null);
+const transitDaysMaxSchema = Joi.number().integer().min(0).max(60).allow(null)
+  .when('transit_days_min', {
+    is: Joi.number().required(),
+    then: Joi.number().min(Joi.ref('transit_days_min'))
+  });
+
+// Shipping method schema; limits are the heaviest parcel's chargeable weight in kg and the most valuable cart, null for none
+const createShippingMethodSchema = Joi.object({
+  code: codeSchema.required(),
+  name: Joi.string().trim().min(1).max(120).required(),
+  description: Joi.string().trim().max(255).allow('', null).optional(),
+  max_weight: Joi.number().positive().precision(3).allow(null).optional(),
+  max_value: Joi.number().positive().precision(2).allow(null).optional(),
+  // Carrier's cm³ per kg for volumetric weight (5000 for most couriers); null to charge actual weight
+  volumetric_divisor: Joi.number().integer().positive().allow(null).optional(),
+  // Order cutoff (HH:MM, warehouse time) and business days to pick and pack; null for the warehouse defaults
+  cutoff_time: cutoffTimeSchema.allow(null).optional(),
+  handling_days: Joi.number().integer().min(0).max(30).allow(null).optional(),
+  sort_order: Joi.number().integer().min(0).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+// Shipping method update schema; the code cannot change
+const updateShippingMethodSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  description: Joi.string().trim().max(255).allow('', null),
+  max_weight: Joi.number().positive().precision(3).allow(null),
+  max_value: Joi.number().positive().precision(2).allow(null),
+  volumetric_divisor: Joi.number().integer().positive().allow(null),
+  cutoff_time: cutoffTimeSchema.allow(null),
+  handling_days: Joi.number().integer().min(0).max(30).allow(null),
+  sort_order: Joi.number().integer().min(0),
+  is_active: Joi.boolean()
+}).min(1);
+
+// Rate band; min_amount is inclusive and max_amount exclusive, in kg for weight bands.
+// The charge is flat_amount plus unit_rate times the whole weight or value (0.02 for 2% of the value)
+const rateBandSchema = Joi.object({
+  basis: Joi.string().valid('weight', 'value').required(),
+  min_amount: Joi.number().min(0).precision(3).required(),
+  max_amount: Joi.number().greater(Joi.ref('min_amount')).precision(3).allow(null).optional(),
+  flat_amount: Joi.number().min(0).precision(2).default(0),
+  unit_rate: Joi.number().min(0).precision(4).default(0)
+});
+
+// Shipping rate schema; a zone has at most one rate per method
+const createShippingRateSchema = Joi.object({
+  zone_id: Joi.number().integer().positive().required(),
+  method_id: Joi.number().integer().positive().required(),
+  // Currency of the rate's amounts and its bands'
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).optional(),
+  base_rate: Joi.number().min(0).precision(2).required(),
+  min_charge: Joi.number().min(0).precision(2).optional(),
+  free_shipping_threshold: Joi.number().min(0).precision(2).allow(null).optional(),
+  estimated_delivery: Joi.string().trim().max(60).allow('', null).optional(),
+  // Business days in transit after the parcel ships, for delivery dates
+  transit_days_min: transitDaysMinSchema.optional(),
+  transit_days_max: transitDaysMaxSchema.optional(),
+  is_active: Joi.boolean().optional(),
+  bands: Joi.array().items(rateBandSchema).max(100).optional()
+}).and('transit_days_min', 'transit_days_max');
+
+// Shipping rate update schema; bands replace the rate's bands
+const updateShippingRateSchema = Joi.object({
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES),
+  base_rate: Joi.number().min(0).precision(2),
+  min_charge: Joi.number().min(0).precision(2),
+  free_shipping_threshold: Joi.number().min(0).precision(2).allow(null),
+  estimated_delivery: Joi.string().trim().max(60).allow('', null),
+  transit_days_min: transitDaysMinSchema,
+  transit_days_max: transitDaysMaxSchema,
+  is_active: Joi.boolean(),
+  bands: Joi.array().items(rateBandSchema).max(100)
+}).min(1).and('transit_days_min', 'transit_days_max');
+
+// Packing box schema; inside dimensions in cm, weights in kg
+const createShippingBoxSchema = Joi.object({
+  code: codeSchema.required(),
+  name: Joi.string().trim().min(1).max(120).required(),
+  inner_length: Joi.number().positive().precision(1).required(),
+  inner_width: Joi.number().positive().precision(1).required(),
+  inner_height: Joi.number().positive().precision(1).required(),
+  max_weight: Joi.number().positive().precision(3).required(),
+  tare_weight: Joi.number().min(0).precision(3).optional(),
+  is_active: Joi.boolean().optional()
+});
+
+// Packing box update schema; the code cannot change
+const updateShippingBoxSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  inner_length: Joi.number().positive().precision(1),
+  inner_width: Joi.number().positive().precision(1),
+  inner_height: Joi.number().positive().precision(1),
+  max_weight: Joi.number().positive().precision(3),
+  tare_weight: Joi.number().min(0).precision(3),
+  is_active: Joi.boolean()
+}).min(1);
+
+// Public holiday; a holiday on a date the calendar already has renames it
+const holidaySchema = Joi.object({
+  date: Joi.string().isoDate().pattern(/^\d{4}-\d{2}-\d{2}$/).required(),
+  name: Joi.string().trim().min(1).max(120).required()
+});
+
+// ISO weekdays without deliveries, 1 = Monday to 7 = Sunday
+const weekendDaysSchema = Joi.array().items(Joi.number().integer().min(1).max(7)).unique().max(6);
+
+// Business calendar schema; one per country
+const createBusinessCalendarSchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).required(),
+  name: Joi.string().trim().min(1).max(120).required(),
+  weekend_days: weekendDaysSchema.optional(),
+  holidays: Joi.array().items(holidaySchema).max(500).optional()
+});
+
+// Business calendar update schema; the country cannot change
+const updateBusinessCalendarSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  weekend_days: weekendDaysSchema
+}).min(1);
+
+// Public holidays to add to a calendar
+const addPublicHolidaysSchema = Joi.object({
+  holidays: Joi.array().items(holidaySchema).min(1).max(500).required()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  shippingIdParamSchema,
+  createShippingZoneSchema,
+  updateShippingZoneSchema,
+  createShippingMethodSchema,
+  updateShippingMethodSchema,
+  createShippingRateSchema,
+  updateShippingRateSchema,
+  createShippingBoxSchema,
+  updateShippingBoxSchema,
+  holidayIdParamSchema,
+  createBusinessCalendarSchema,
+  updateBusinessCalendarSchema,
+  addPublicHolidaysSchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};
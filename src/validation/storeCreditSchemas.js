@@ -0,0 +1,84 @@
+const Joi = require('joi');
+const { SUPPORTED_CURRENCIES } = require('../config/currencies');
+
+const ORDER_NUMBER_PATTERN = /^GM-\d{6}-[0-9A-Z]{6}$/;
+
+// Customer param schema
+const storeCreditUserParamSchema = Joi.object({
+  userId: Joi.number().integer().positive().required()
+});
+
+// Store credit grant schema; the note says why, e.g. goodwill on a return
+const grantStoreCreditSchema = Joi.object({
+  amount: Joi.number().positive().precision(2).required(),
+  currency: Joi.string().trim().uppercase().length(3).valid(...SUPPORTED_CURRENCIES).required(),
+  note: Joi.string().trim().min(3).max(255).required(),
+  order_number: Joi.string().trim().uppercase().pattern(ORDER_NUMBER_PATTERN).optional()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  storeCreditUserParamSchema,
+  grantStoreCreditSchema,
+
+  // Validation middleware
+  validate,
+  validateParams
+};
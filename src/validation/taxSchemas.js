@@ -0,0 +1,191 @@
+const Joi = require('joi');
+const { ADDRESS_COUNTRIES } = require('../config/addresses');
+
+// Tax jurisdiction, rate or class ID param schema
+const taxIdParamSchema = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+// Tax jurisdiction list query schema
+const taxJurisdictionQuerySchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).optional()
+});
+
+// Tax jurisdiction schema; leave out state for the country-wide jurisdiction
+const createTaxJurisdictionSchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).required(),
+  state: Joi.string().trim().uppercase().min(1).max(10).optional(),
+  name: Joi.string().trim().min(1).max(120).required()
+});
+
+// Tax jurisdiction update schema; only the name can change
+const updateTaxJurisdictionSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120).required()
+});
+
+// Tax rate schema; the rate is a fraction (0.2 for 20%) and effective_to is exclusive
+const createTaxRateSchema = Joi.object({
+  jurisdiction_id: Joi.number().integer().positive().required(),
+  // Leave out for the standard rate
+  tax_class_id: Joi.number().integer().positive().allow(null).optional(),
+  name: Joi.string().trim().min(1).max(60).required(),
+  rate: Joi.number().min(0).max(1).precision(6).required(),
+  effective_from: Joi.date().iso().required(),
+  effective_to: Joi.date().iso().greater(Joi.ref('effective_from')).allow(null).optional()
+});
+
+// Tax rate update schema; rates already in effect only accept a name and an end date
+const updateTaxRateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60),
+  rate: Joi.number().min(0).max(1).precision(6),
+  effective_from: Joi.date().iso(),
+  effective_to: Joi.date().iso().allow(null)
+}).min(1);
+
+// Tax class schema; 'standard' is the code of the standard rate and cannot be used
+const createTaxClassSchema = Joi.object({
+  code: Joi.string().trim().lowercase().pattern(/^[a-z0-9_]+$/).max(40).invalid('standard').required(),
+  name: Joi.string().trim().min(1).max(120).required(),
+  description: Joi.string().trim().max(255).allow('', null).optional()
+});
+
+// Tax class update schema; the code cannot change
+const updateTaxClassSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(120),
+  description: Joi.string().trim().max(255).allow('', null)
+}).min(1);
+
+// Tax exemption submission schema (multipart fields); a tax ID or a certificate file is required
+const submitTaxExemptionSchema = Joi.object({
+  country: Joi.string().trim().uppercase().valid(...ADDRESS_COUNTRIES).required(),
+  // Leave out to claim for the whole country
+  state: Joi.string().trim().uppercase().min(1).max(10).optional(),
+  tax_id: Joi.string().trim().uppercase().pattern(/^[A-Z0-9-]+$/).max(40).optional(),
+  certificate_number: Joi.string().trim().max(60).optional()
+});
+
+// Tax exemption list query schema (Finance)
+const taxExemptionQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected', 'revoked').optional(),
+  user_id: Joi.number().integer().positive().optional(),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Tax exemption approval schema; the exemption waives the jurisdiction's tax until expires_at
+const approveTaxExemptionSchema = Joi.object({
+  jurisdiction_id: Joi.number().integer().positive().required(),
+  expires_at: Joi.date().iso().greater('now').required(),
+  note: Joi.string().trim().max(255).optional()
+});
+
+// Tax exemption rejection or revocation schema; the customer sees the note
+const reviewTaxExemptionSchema = Joi.object({
+  note: Joi.string().trim().min(1).max(255).required()
+});
+
+// Validation middleware functions
+const validate = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Request validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.body = value;
+    next();
+  };
+};
+
+const validateParams = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.params, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.params = value;
+    next();
+  };
+};
+
+const validateQuery = (schema) => {
+  return (req, res, next) => {
+    const { error, value } = schema.validate(req.query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      const errorDetails = error.details.map(detail => ({
+        field: detail.path.join('.'),
+        message: detail.message,
+        value: detail.context?.value
+      }));
+
+      return res.status(400).json({
+        error: {
+          code: 'VALIDATION_ERROR',
+          message: 'Query parameter validation failed',
+          details: errorDetails
+        }
+      });
+    }
+
+    req.query = value;
+    next();
+  };
+};
+
+module.exports = {
+  // Schemas
+  taxIdParamSchema,
+  taxJurisdictionQuerySchema,
+  createTaxJurisdictionSchema,
+  updateTaxJurisdictionSchema,
+  createTaxRateSchema,
+  updateTaxRateSchema,
+  createTaxClassSchema,
+  updateTaxClassSchema,
+  submitTaxExemptionSchema,
+  taxExemptionQuerySchema,
+  approveTaxExemptionSchema,
+  reviewTaxExemptionSchema,
+
+  // Validation middleware
+  validate,
+  validateParams,
+  validateQuery
+};